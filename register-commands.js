@@ -1,10 +1,13 @@
 #!/usr/bin/env node
 
 const { REST, Routes } = require('discord.js');
-const fs = require('fs');
-const path = require('path');
 const dotenv = require('dotenv');
+const mongoose = require('mongoose');
 const logger = require('./src/utils/logger');
+const CommandRegistry = require('./src/handlers/commandRegistry');
+const CommandRegistrationPlanner = require('./src/handlers/commandRegistrationPlanner');
+const GuildFeatureService = require('./src/services/guildFeatureService');
+const { localizeCommandData } = require('./src/utils/i18n');
 
 // Load environment variables
 dotenv.config();
@@ -13,66 +16,66 @@ class CommandRegistration {
     constructor() {
         this.rest = new REST({ version: '10' }).setToken(process.env.DISCORD_BOT_TOKEN);
         this.clientId = process.env.DISCORD_CLIENT_ID;
+        this.registry = new CommandRegistry().load();
+        this.planner = new CommandRegistrationPlanner(this.rest, this.clientId);
     }
 
-    async registerCommands() {
-        try {
-            logger.info('Starting Discord slash command registration...');
+    /**
+     * Load global slash command data from the command registry
+     * @returns {Array<Object>} Localized command JSON
+     */
+    loadCommands() {
+        return this.registry.getGlobalCommandData().map(command => {
+            logger.info(`Loaded command: ${command.name}`);
+            // Attach name/description translations from src/locales
+            return localizeCommandData(command);
+        });
+    }
 
-            // Validate environment
-            if (!process.env.DISCORD_BOT_TOKEN) {
-                throw new Error('DISCORD_BOT_TOKEN is required');
-            }
-            if (!process.env.DISCORD_CLIENT_ID) {
-                throw new Error('DISCORD_CLIENT_ID is required');
-            }
+    validateEnvironment() {
+        if (!process.env.DISCORD_BOT_TOKEN) {
+            throw new Error('DISCORD_BOT_TOKEN is required');
+        }
+        if (!process.env.DISCORD_CLIENT_ID) {
+            throw new Error('DISCORD_CLIENT_ID is required');
+        }
+    }
 
-            // Load commands
-            const commands = [];
-            const commandsPath = path.join(__dirname, 'src', 'commands');
-            
-            if (!fs.existsSync(commandsPath)) {
-                throw new Error('Commands directory not found');
-            }
+    /**
+     * Plan a registration, print it and apply it unless this is a dry run
+     * @private
+     */
+    async planAndApply(commands, guildId, dryRun) {
+        const plan = await this.planner.plan(commands, guildId);
+        console.log(this.planner.formatPlan(plan));
 
-            const commandFiles = fs.readdirSync(commandsPath).filter(file => file.endsWith('.js'));
-            
-            logger.info(`Found ${commandFiles.length} command files`);
+        if (dryRun || !CommandRegistrationPlanner.hasChanges(plan)) {
+            return plan;
+        }
 
-            for (const file of commandFiles) {
-                try {
-                    const command = require(path.join(commandsPath, file));
-                    if (command.data) {
-                        commands.push(command.data.toJSON());
-                        logger.info(`Loaded command: ${command.data.name}`);
-                    } else {
-                        logger.warn(`Command file ${file} does not export data property`);
-                    }
-                } catch (error) {
-                    logger.error(`Failed to load command ${file}:`, error);
-                }
-            }
+        await this.planner.apply(plan);
+        return plan;
+    }
+
+    async registerCommands(dryRun = false) {
+        try {
+            logger.info('Starting Discord slash command registration...');
+            this.validateEnvironment();
+
+            // Load commands (feature-gated commands are registered per guild)
+            const commands = this.loadCommands();
 
             if (commands.length === 0) {
                 throw new Error('No valid commands found to register');
             }
 
-            // Register commands globally
-            logger.info(`Registering ${commands.length} commands globally...`);
-            
-            const data = await this.rest.put(
-                Routes.applicationCommands(this.clientId),
-                { body: commands }
-            );
-
-            logger.info(`Successfully registered ${data.length} Discord slash commands globally`);
+            const plan = await this.planAndApply(commands, null, dryRun);
 
-            // Log registered commands
-            data.forEach(command => {
-                logger.info(`Registered: /${command.name} - ${command.description}`);
-            });
+            if (!dryRun) {
+                logger.info(`Global commands up to date (${commands.length} commands)`);
+            }
 
-            return data;
+            return plan;
 
         } catch (error) {
             logger.error('Failed to register Discord commands:', error);
@@ -80,30 +83,31 @@ class CommandRegistration {
         }
     }
 
-    async registerGuildCommands(guildId) {
+    /**
+     * Register the ungated commands plus the guild's feature commands for a
+     * specific guild (faster for testing). Goes through the same plan as
+     * feature syncs, so the two agree on what the guild should have.
+     * @param {string} guildId - Discord guild ID
+     * @param {boolean} dryRun - Only print the plan
+     */
+    async registerGuildCommands(guildId, dryRun = false) {
         try {
             logger.info(`Registering commands for guild: ${guildId}`);
+            this.validateEnvironment();
+            const guildFeatures = await this.connectGuildFeatures();
 
-            // Load commands
-            const commands = [];
-            const commandsPath = path.join(__dirname, 'src', 'commands');
-            const commandFiles = fs.readdirSync(commandsPath).filter(file => file.endsWith('.js'));
+            try {
+                const { plan } = await guildFeatures.syncGuildCommands(guildId, { includeGlobal: true, dryRun });
+                console.log(this.planner.formatPlan(plan));
 
-            for (const file of commandFiles) {
-                const command = require(path.join(commandsPath, file));
-                if (command.data) {
-                    commands.push(command.data.toJSON());
+                if (!dryRun) {
+                    logger.info(`Commands for guild ${guildId} up to date (${plan.create.length + plan.update.length + plan.unchanged.length} commands)`);
                 }
-            }
-
-            // Register commands for specific guild (faster for testing)
-            const data = await this.rest.put(
-                Routes.applicationGuildCommands(this.clientId, guildId),
-                { body: commands }
-            );
 
-            logger.info(`Successfully registered ${data.length} commands for guild ${guildId}`);
-            return data;
+                return plan;
+            } finally {
+                await mongoose.connection.close();
+            }
 
         } catch (error) {
             logger.error(`Failed to register guild commands for ${guildId}:`, error);
@@ -111,6 +115,71 @@ class CommandRegistration {
         }
     }
 
+    /**
+     * Sync feature-gated commands with the guilds' feature flags
+     * @param {string|null} guildId - One guild, or null for every guild with flags
+     * @param {boolean} dryRun - Only print the plans
+     */
+    async syncFeatureCommands(guildId = null, dryRun = false) {
+        this.validateEnvironment();
+        const guildFeatures = await this.connectGuildFeatures();
+
+        try {
+            const results = guildId
+                ? [{ guildId, ...await guildFeatures.syncGuildCommands(guildId, { dryRun }) }]
+                : await guildFeatures.syncAllGuildCommands({ dryRun });
+
+            results.forEach(result => {
+                console.log(result.plan ? this.planner.formatPlan(result.plan) : `Guild ${result.guildId}: ${result.error}`);
+            });
+
+            if (results.length === 0) {
+                console.log('No guilds have feature flags enabled');
+            }
+
+            return results;
+        } finally {
+            await mongoose.connection.close();
+        }
+    }
+
+    /**
+     * Turn a feature on or off for a guild and sync its commands
+     * @param {string} guildId - Discord guild ID
+     * @param {string} feature - Feature flag
+     * @param {boolean} enabled - Whether the guild opts in
+     */
+    async setGuildFeature(guildId, feature, enabled) {
+        this.validateEnvironment();
+        const guildFeatures = await this.connectGuildFeatures();
+
+        try {
+            const result = await guildFeatures.setGuildFeature(guildId, feature, enabled, 'cli');
+            if (!result.success) {
+                throw new Error(result.message);
+            }
+
+            console.log(`Features for guild ${guildId}: ${result.featureFlags.join(', ') || 'none'}`);
+            console.log(this.planner.formatPlan(result.sync.plan));
+
+            return result;
+        } finally {
+            await mongoose.connection.close();
+        }
+    }
+
+    /**
+     * @private
+     */
+    async connectGuildFeatures() {
+        if (!process.env.MONGODB_URI) {
+            throw new Error('MONGODB_URI is required to read guild feature flags');
+        }
+
+        await mongoose.connect(process.env.MONGODB_URI);
+        return new GuildFeatureService({ rest: this.rest, commandRegistry: this.registry });
+    }
+
     async clearCommands() {
         try {
             logger.info('Clearing all global commands...');
@@ -170,48 +239,78 @@ class CommandRegistration {
 // CLI interface
 if (require.main === module) {
     const registration = new CommandRegistration();
-    const command = process.argv[2];
-    const guildId = process.argv[3];
+    const dryRun = process.argv.includes('--dry-run');
+    const [command, ...args] = process.argv.slice(2).filter(arg => arg !== '--dry-run');
+    const guildId = args[0];
+
+    const requireGuildId = () => {
+        if (!guildId) {
+            console.error(`Guild ID is required for ${command} command`);
+            process.exit(1);
+        }
+    };
 
     (async () => {
         try {
             switch (command) {
+                case 'plan':
+                    if (guildId) {
+                        await registration.registerGuildCommands(guildId, true);
+                    } else {
+                        await registration.registerCommands(true);
+                    }
+                    break;
                 case 'register':
-                    await registration.registerCommands();
+                    await registration.registerCommands(dryRun);
                     break;
                 case 'register-guild':
-                    if (!guildId) {
-                        console.error('Guild ID is required for register-guild command');
+                    requireGuildId();
+                    await registration.registerGuildCommands(guildId, dryRun);
+                    break;
+                case 'sync-features':
+                    await registration.syncFeatureCommands(guildId || null, dryRun);
+                    break;
+                case 'enable-feature':
+                case 'disable-feature':
+                    requireGuildId();
+                    if (!args[1]) {
+                        console.error(`Feature is required. Available features: ${registration.registry.getFeatures().join(', ')}`);
                         process.exit(1);
                     }
-                    await registration.registerGuildCommands(guildId);
+                    await registration.setGuildFeature(guildId, args[1], command === 'enable-feature');
                     break;
                 case 'clear':
                     await registration.clearCommands();
                     break;
                 case 'clear-guild':
-                    if (!guildId) {
-                        console.error('Guild ID is required for clear-guild command');
-                        process.exit(1);
-                    }
+                    requireGuildId();
                     await registration.clearGuildCommands(guildId);
                     break;
                 case 'list':
                     await registration.listCommands();
                     break;
                 default:
-                    console.log('Usage: node register-commands.js [register|register-guild|clear|clear-guild|list] [guildId]');
+                    console.log('Usage: node register-commands.js <command> [guildId] [feature] [--dry-run]');
                     console.log('');
                     console.log('Commands:');
-                    console.log('  register       - Register commands globally (takes up to 1 hour)');
-                    console.log('  register-guild - Register commands for a specific guild (instant)');
-                    console.log('  clear          - Clear all global commands');
-                    console.log('  clear-guild    - Clear commands for a specific guild');
-                    console.log('  list           - List currently registered commands');
+                    console.log('  plan [guildId]                      - Show what register/register-guild would change');
+                    console.log('  register                            - Apply changes to global commands (takes up to 1 hour)');
+                    console.log('  register-guild <guildId>            - Apply ungated and enabled feature commands to a guild (instant)');
+                    console.log('  sync-features [guildId]             - Sync feature-gated commands with guild feature flags');
+                    console.log('  enable-feature <guildId> <feature>  - Opt a guild into a feature and register its commands');
+                    console.log('  disable-feature <guildId> <feature> - Opt a guild out of a feature and remove its commands');
+                    console.log('  clear                               - Clear all global commands');
+                    console.log('  clear-guild <guildId>               - Clear commands for a specific guild');
+                    console.log('  list                                - List currently registered commands');
+                    console.log('');
+                    console.log('--dry-run prints the create/update/delete plan without applying it.');
+                    console.log(`Features: ${registration.registry.getFeatures().join(', ') || 'none'}`);
                     console.log('');
                     console.log('Examples:');
+                    console.log('  node register-commands.js plan');
                     console.log('  node register-commands.js register');
-                    console.log('  node register-commands.js register-guild 123456789012345678');
+                    console.log('  node register-commands.js register-guild 123456789012345678 --dry-run');
+                    console.log('  node register-commands.js enable-feature 123456789012345678 allowlist_analytics');
                     process.exit(1);
             }
 
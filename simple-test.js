@@ -16,16 +16,17 @@ try {
     console.log('Testing rate limiter...');
     const RateLimiter = require('./src/utils/rateLimiter');
     const rateLimiter = new RateLimiter();
-    const result = rateLimiter.checkRateLimit('test-user', 'command');
-    console.log('Rate limiter test result:', result);
-    
-    console.log('Basic functionality test completed successfully');
-    
-    // Force exit to prevent hanging due to winston keeping event loop alive
-    setTimeout(() => {
-        console.log('Exiting...');
-        process.exit(0);
-    }, 100);
+    rateLimiter.checkRateLimit('test-user', 'command').then(result => {
+        console.log('Rate limiter test result:', result);
+        
+        console.log('Basic functionality test completed successfully');
+        
+        // Force exit to prevent hanging due to winston keeping event loop alive
+        setTimeout(() => {
+            console.log('Exiting...');
+            process.exit(0);
+        }, 100);
+    });
     
 } catch (error) {
     console.error('Basic functionality test failed:', error);
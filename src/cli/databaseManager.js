@@ -5,7 +5,18 @@ const mongoose = require('mongoose');
 const logger = require('../utils/logger');
 const EnhancedDatabaseService = require('../services/enhancedDatabaseService');
 const DataCleanupService = require('../services/dataCleanupService');
+const UserDataService = require('../services/userDataService');
 const MigrationRunner = require('../migrations/migrationRunner');
+const AuditLogEntry = require('../models/auditLogEntry');
+const DiscordAccountLink = require('../models/discordAccountLink');
+const { getKeyring } = require('../utils/tokenEncryption');
+const RedisService = require('../services/redisService');
+const SyncQueueStore = require('../services/syncQueueStore');
+const MaintenanceService = require('../services/maintenanceService');
+const AuditLogger = require('../services/auditLogger');
+const { EXPORT_FORMATS } = require('../utils/auditExport');
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
 
 const program = new Command();
 
@@ -361,7 +372,8 @@ program
                 'discordaccountlinks',
                 'discordtaskposts',
                 'discordallowlistconnections',
-                'discordinteractionlogs'
+                'discordinteractionlogs',
+                'auditlogentries'
             ];
 
             for (const collectionName of collections) {
@@ -383,6 +395,489 @@ program
         }
     });
 
+// Audit log commands
+function auditFilters(options) {
+    return {
+        guildId: options.guild,
+        userId: options.user,
+        type: options.type,
+        action: options.action,
+        severity: options.severity,
+        startDate: options.from,
+        endDate: options.to
+    };
+}
+
+program
+    .command('audit:export')
+    .description('Stream persisted audit logs to a file')
+    .option('-f, --format <format>', `Export format (${EXPORT_FORMATS.join(', ')})`, 'ndjson')
+    .requiredOption('-o, --output <file>', 'Output file')
+    .option('--guild <guildId>', 'Only this guild')
+    .option('--user <userId>', 'Only this user')
+    .option('--type <type>', 'Only this event type')
+    .option('--action <action>', 'Only this action')
+    .option('--severity <severity>', 'Only this severity')
+    .option('--from <date>', 'Entries at or after this date')
+    .option('--to <date>', 'Entries at or before this date')
+    .action(async (options) => {
+        if (!EXPORT_FORMATS.includes(options.format)) {
+            console.error(`Unsupported format: ${options.format}`);
+            process.exit(1);
+        }
+
+        await initializeServices();
+        // Same export as the bot's, reading persisted entries over this connection
+        const auditLogger = new AuditLogger({ db: { isHealthy: () => mongoose.connection.readyState === 1 } });
+        try {
+            await pipeline(
+                auditLogger.createExportStream(auditFilters(options), options.format),
+                fs.createWriteStream(options.output)
+            );
+
+            logger.info(`Audit logs exported to ${options.output}`);
+
+        } catch (error) {
+            logger.error('Audit export failed:', error);
+            process.exit(1);
+        } finally {
+            auditLogger.stop();
+            await cleanup();
+        }
+    });
+
+program
+    .command('audit:verify')
+    .description('Verify the hash chains of persisted audit logs')
+    .option('--chain <chainId>', 'Only this chain (default: all)')
+    .action(async (options) => {
+        await initializeServices();
+        try {
+            const chainIds = options.chain ? [options.chain] : await AuditLogEntry.findChainIds();
+            let broken = 0;
+
+            console.log('\n=== Audit Chain Verification ===');
+            for (const chainId of chainIds) {
+                const result = await AuditLogEntry.verifyChain(chainId);
+                if (result.valid) {
+                    console.log(`✅ ${chainId}: ${result.checked} entries (sequence ${result.firstSequence}-${result.lastSequence})`);
+                } else {
+                    broken++;
+                    console.log(`❌ ${chainId}: ${result.brokenAt.reason} at sequence ${result.brokenAt.sequence} (${result.checked} entries checked)`);
+                }
+            }
+
+            if (chainIds.length === 0) {
+                console.log('No audit chains found');
+            }
+
+            if (broken > 0) {
+                process.exitCode = 2;
+            }
+
+        } catch (error) {
+            logger.error('Audit verification failed:', error);
+            process.exit(1);
+        } finally {
+            await cleanup();
+        }
+    });
+
+program
+    .command('audit:purge')
+    .description('Delete persisted audit logs past retention, keeping chains verifiable')
+    .option('-d, --days <days>', 'Retention period in days', process.env.AUDIT_LOG_RETENTION_DAYS || '90')
+    .action(async (options) => {
+        const days = parseInt(options.days, 10);
+        if (!Number.isInteger(days) || days < 1) {
+            console.error('--days must be a positive number');
+            process.exit(1);
+        }
+
+        await initializeServices();
+        try {
+            const cutoffDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+            const chainIds = await AuditLogEntry.findChainIds();
+            let total = 0;
+
+            for (const chainId of chainIds) {
+                const deleted = await AuditLogEntry.purgeChain(chainId, cutoffDate);
+                total += deleted;
+                console.log(`${chainId}: ${deleted} entries deleted`);
+            }
+
+            console.log(`\nDeleted ${total} audit log entries older than ${days} days`);
+
+        } catch (error) {
+            logger.error('Audit purge failed:', error);
+            process.exit(1);
+        } finally {
+            await cleanup();
+        }
+    });
+
+program
+    .command('tokens:reencrypt')
+    .description('Re-encrypt stored OAuth tokens under the active key in DISCORD_TOKEN_ENCRYPTION_KEYS')
+    .option('--dry-run', 'Only count the links that would be re-encrypted')
+    .action(async (options) => {
+        let keyring;
+        try {
+            keyring = getKeyring();
+        } catch (error) {
+            console.error(error.message);
+            process.exit(1);
+        }
+
+        if (!keyring.activeKeyId) {
+            console.error('DISCORD_TOKEN_ENCRYPTION_KEYS is not set');
+            process.exit(1);
+        }
+
+        await initializeServices();
+        try {
+            // Anything not already an envelope under the active key
+            const current = new RegExp(`^v1\\.${keyring.activeKeyId}\\.`);
+            const filter = {
+                $or: [
+                    { 'oauthTokens.accessToken': { $type: 'string', $not: current } },
+                    { 'oauthTokens.refreshToken': { $type: 'string', $not: current } }
+                ]
+            };
+
+            if (options.dryRun) {
+                const count = await DiscordAccountLink.countDocuments(filter);
+                console.log(`${count} account links have tokens to re-encrypt under key ${keyring.activeKeyId}`);
+                return;
+            }
+
+            let reencrypted = 0;
+            const failed = [];
+
+            for await (const link of DiscordAccountLink.find(filter).cursor({ batchSize: 200 })) {
+                try {
+                    const update = link.getReencryptedTokens();
+                    if (Object.keys(update).length > 0) {
+                        await DiscordAccountLink.updateOne({ _id: link._id }, { $set: update });
+                        reencrypted++;
+                    }
+                } catch (error) {
+                    failed.push(`${link.discordId}: ${error.message}`);
+                }
+            }
+
+            console.log(`\nRe-encrypted tokens of ${reencrypted} account links under key ${keyring.activeKeyId}`);
+
+            if (failed.length > 0) {
+                console.log(`\n${failed.length} links could not be re-encrypted:`);
+                failed.slice(0, 50).forEach(line => console.log(`  ${line}`));
+                process.exitCode = 2;
+            }
+
+        } catch (error) {
+            logger.error('Token re-encryption failed:', error);
+            process.exit(1);
+        } finally {
+            await cleanup();
+        }
+    });
+
+// Data subject requests
+program
+    .command('user:export <discordId>')
+    .description('Write an archive of everything stored about a Discord user (gzipped JSON)')
+    .option('-o, --output <file>', 'Output file (default: naffles-user-data-<discordId>.json.gz)')
+    .action(async (discordId, options) => {
+        await initializeServices();
+        try {
+            const archive = await new UserDataService().createExport(discordId);
+            const output = options.output || archive.name;
+
+            fs.writeFileSync(output, archive.buffer);
+
+            Object.entries(archive.counts).forEach(([source, count]) => console.log(`${source}: ${count}`));
+            console.log(`\nUser data exported to ${output}`);
+
+        } catch (error) {
+            logger.error('User data export failed:', error);
+            process.exit(1);
+        } finally {
+            await cleanup();
+        }
+    });
+
+program
+    .command('user:erase <discordId>')
+    .description('Erase a Discord user\'s data, pseudonymizing records that feed analytics')
+    .option('--dry-run', 'Only count the records that would be erased')
+    .action(async (discordId, options) => {
+        await initializeServices();
+        try {
+            const userData = new UserDataService();
+
+            if (options.dryRun) {
+                const counts = await userData.countRecords(discordId);
+                Object.entries(counts).forEach(([source, count]) => console.log(`${source}: ${count}`));
+
+                const enforcement = await userData.findEnforcement(discordId);
+                if (enforcement.length > 0) {
+                    console.log(`\nEnforcement in force (lifted by erasure): ${enforcement.join(', ')}`);
+                }
+                return;
+            }
+
+            const { pseudonym, results } = await userData.erase(discordId);
+
+            Object.entries(results).forEach(([source, { pseudonymized, deleted }]) => {
+                console.log(`${source}: ${pseudonymized} pseudonymized, ${deleted} deleted`);
+            });
+            console.log(`\nErased user data; remaining records now belong to ${pseudonym}`);
+
+        } catch (error) {
+            logger.error('User data erasure failed:', error);
+            process.exit(1);
+        } finally {
+            await cleanup();
+        }
+    });
+
+// Sync dead-letter queue commands (Redis only)
+let redisService;
+
+async function initializeSyncQueue() {
+    redisService = new RedisService();
+    await redisService.connect();
+
+    if (!redisService.isConnected) {
+        console.error('Could not connect to Redis; check REDIS_URL');
+        process.exit(1);
+    }
+
+    return new SyncQueueStore(redisService, 'operations');
+}
+
+function describeOperation(operation) {
+    const target = operation.taskId || operation.allowlistId || operation.userId || '-';
+    return `${operation.type} ${target}`;
+}
+
+program
+    .command('sync:dlq')
+    .description('List real-time sync operations that exhausted their retries')
+    .option('--id <syncId>', 'Show one operation in full')
+    .option('-l, --limit <limit>', 'Maximum entries to list', '50')
+    .action(async (options) => {
+        const store = await initializeSyncQueue();
+        try {
+            if (options.id) {
+                const entry = await store.getDeadLetter(options.id);
+                if (!entry) {
+                    console.error(`No dead-lettered operation ${options.id}`);
+                    process.exitCode = 1;
+                    return;
+                }
+
+                console.log(JSON.stringify(entry, null, 2));
+                return;
+            }
+
+            const counts = await store.getCounts();
+            const entries = await store.listDeadLetters(parseInt(options.limit, 10) || 50);
+
+            console.log('\n=== Sync Queue ===');
+            console.log(`Pending: ${counts.pending}, in flight: ${counts.inflight}, dead-lettered: ${counts.deadLettered}`);
+
+            if (entries.length > 0) {
+                console.log('\n--- Dead-lettered operations (newest first) ---');
+                entries.forEach(entry => {
+                    console.log(`${entry.id}  ${new Date(entry.deadLetteredAt).toISOString()}  ${describeOperation(entry.operation)}  ${entry.reason}`);
+                });
+            }
+
+        } catch (error) {
+            logger.error('Failed to read sync dead-letter queue:', error);
+            process.exit(1);
+        } finally {
+            await redisService.disconnect();
+        }
+    });
+
+/**
+ * Apply a dead-letter action to one operation, or every operation with --all
+ */
+async function forEachDeadLetter(syncId, options, action) {
+    if (!syncId && !options.all) {
+        console.error('Pass an operation ID or --all');
+        process.exit(1);
+    }
+
+    const store = await initializeSyncQueue();
+    try {
+        const ids = options.all
+            ? (await store.listDeadLetters(Infinity)).map(entry => entry.id)
+            : [syncId];
+
+        let done = 0;
+        for (const id of ids) {
+            if (await action(store, id)) {
+                done++;
+            } else {
+                console.log(`${id}: not found`);
+            }
+        }
+
+        return done;
+    } finally {
+        await redisService.disconnect();
+    }
+}
+
+program
+    .command('sync:replay [syncId]')
+    .description('Requeue dead-lettered sync operations with their retries reset')
+    .option('--all', 'Replay every dead-lettered operation')
+    .action(async (syncId, options) => {
+        try {
+            const replayed = await forEachDeadLetter(syncId, options, async (store, id) => Boolean(await store.replayDeadLetter(id)));
+            console.log(`Replayed ${replayed} sync operation${replayed === 1 ? '' : 's'}`);
+        } catch (error) {
+            logger.error('Sync replay failed:', error);
+            process.exit(1);
+        }
+    });
+
+program
+    .command('sync:drop [syncId]')
+    .description('Delete dead-lettered sync operations')
+    .option('--all', 'Drop every dead-lettered operation')
+    .action(async (syncId, options) => {
+        try {
+            const dropped = await forEachDeadLetter(syncId, options, (store, id) => store.dropDeadLetter(id));
+            console.log(`Dropped ${dropped} sync operation${dropped === 1 ? '' : 's'}`);
+        } catch (error) {
+            logger.error('Sync drop failed:', error);
+            process.exit(1);
+        }
+    });
+
+// Maintenance commands (Redis only; the bot picks changes up within 30 seconds)
+async function initializeMaintenance() {
+    await initializeSyncQueue();
+
+    const maintenance = new MaintenanceService(null, redisService);
+    await maintenance.refresh();
+    return maintenance;
+}
+
+function splitList(value) {
+    return value ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+function describeWindow(window) {
+    const features = window.features.length > 0 ? window.features.join(',') : 'all features';
+    const guilds = window.guildIds.length > 0 ? window.guildIds.join(',') : 'all guilds';
+    const end = window.endsAt ? window.endsAt.toISOString() : 'until ended';
+    return `${window.id}  ${window.startsAt.toISOString()} -> ${end}  ${features}  ${guilds}  ${window.reason}`;
+}
+
+program
+    .command('maintenance:start')
+    .description('Start or schedule a maintenance window')
+    .option('-f, --feature <features>', 'Comma-separated features to pause (tasks, allowlists, linking); default all')
+    .option('-g, --guild <guildIds>', 'Comma-separated guild IDs; default every guild')
+    .option('-r, --reason <reason>', 'Reason shown to users', 'Scheduled maintenance')
+    .option('--start <date>', 'Start time (ISO 8601); default now')
+    .option('--end <date>', 'End time (ISO 8601)')
+    .option('-d, --duration <minutes>', 'Length in minutes (instead of --end)')
+    .option('--no-announce', 'Skip the pre-announcement in affected guilds')
+    .action(async (options) => {
+        const maintenance = await initializeMaintenance();
+        try {
+            const startsAt = options.start ? new Date(options.start) : new Date();
+            const endsAt = options.duration
+                ? new Date(startsAt.getTime() + parseInt(options.duration, 10) * 60 * 1000)
+                : options.end ? new Date(options.end) : null;
+
+            const result = await maintenance.schedule({
+                reason: options.reason,
+                features: splitList(options.feature),
+                guildIds: splitList(options.guild),
+                startsAt,
+                endsAt,
+                announce: options.announce,
+                createdBy: 'cli'
+            });
+
+            if (!result.success) {
+                console.error(result.message);
+                process.exitCode = 1;
+                return;
+            }
+
+            console.log(`Scheduled ${describeWindow(result.window)}`);
+
+        } catch (error) {
+            logger.error('Failed to schedule maintenance:', error);
+            process.exit(1);
+        } finally {
+            await redisService.disconnect();
+        }
+    });
+
+program
+    .command('maintenance:end [id]')
+    .description('End or cancel a maintenance window')
+    .option('--all', 'End every maintenance window in effect now')
+    .action(async (id, options) => {
+        if (!id && !options.all) {
+            console.error('Pass a maintenance ID or --all');
+            process.exit(1);
+        }
+
+        const maintenance = await initializeMaintenance();
+        try {
+            const ended = id
+                ? [(await maintenance.end(id)).window].filter(Boolean)
+                : await maintenance.endActive();
+
+            if (id && ended.length === 0) {
+                console.error(`No maintenance window ${id}`);
+                process.exitCode = 1;
+                return;
+            }
+
+            console.log(`Ended ${ended.length} maintenance window${ended.length === 1 ? '' : 's'}`);
+
+        } catch (error) {
+            logger.error('Failed to end maintenance:', error);
+            process.exit(1);
+        } finally {
+            await redisService.disconnect();
+        }
+    });
+
+program
+    .command('maintenance:list')
+    .description('List active and scheduled maintenance windows')
+    .action(async () => {
+        const maintenance = await initializeMaintenance();
+        try {
+            const windows = maintenance.list();
+
+            console.log('\n=== Maintenance ===');
+            if (windows.length === 0) {
+                console.log('No active or scheduled maintenance');
+            }
+            windows.forEach(window => console.log(describeWindow(window)));
+
+        } catch (error) {
+            logger.error('Failed to list maintenance:', error);
+            process.exit(1);
+        } finally {
+            await redisService.disconnect();
+        }
+    });
+
 // Error handling
 process.on('SIGINT', async () => {
     logger.info('Received SIGINT, shutting down gracefully...');
@@ -0,0 +1,287 @@
+const { SlashCommandBuilder, ActionRowBuilder, AttachmentBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const logger = require('../utils/logger');
+
+// Slash command data for Discord registration
+const data = new SlashCommandBuilder()
+    .setName('naffles-account')
+    .setDescription('Link and manage your Naffles account')
+    .addSubcommand(subcommand =>
+        subcommand.setName('link')
+            .setDescription('Link your Discord account to your Naffles account'))
+    .addSubcommand(subcommand =>
+        subcommand.setName('status')
+            .setDescription('Show your linked account, activity and privacy settings'))
+    .addSubcommand(subcommand =>
+        subcommand.setName('unlink')
+            .setDescription('Unlink your Naffles account from Discord'))
+    .addSubcommand(subcommand =>
+        subcommand.setName('privacy')
+            .setDescription('Change your notification and data processing consent')
+            .addBooleanOption(option =>
+                option.setName('notifications')
+                    .setDescription('Allow the bot to send you notifications')
+                    .setRequired(false))
+            .addBooleanOption(option =>
+                option.setName('data_processing')
+                    .setDescription('Consent to processing your activity data')
+                    .setRequired(false)))
+    .addSubcommand(subcommand =>
+        subcommand.setName('export')
+            .setDescription('Download a copy of the data the bot stores about you'))
+    .addSubcommand(subcommand =>
+        subcommand.setName('erase')
+            .setDescription('Erase the data the bot stores about you'));
+
+// Registry entry: permissions, cooldown, component routes and help listing
+const meta = {
+    permissions: { requiredPermissions: [], maxUsesPerHour: 30 },
+    cooldown: 5000,
+    routes: {
+        buttons: [{ prefix: 'naffles_account_', handler: 'handleButtonInteraction' }]
+    },
+    help: { audience: 'linked', order: 95 },
+    maintenance: 'linking'
+};
+
+const NOT_LINKED = '❌ Your Discord account is not linked to Naffles. Use `/naffles-account link` to link it.';
+const UNAVAILABLE = '❌ Account services are temporarily unavailable. Please try again later.';
+const ERASE_BLOCKED = '❌ Your data can\'t be erased while moderation applies to your account (a suspended link, ' +
+    'an active moderation action, or a held, rejected or denied allowlist entry). Contact the server moderators to request erasure.';
+
+class AccountCommand {
+    constructor(botService) {
+        this.botService = botService;
+        this.name = 'naffles-account';
+    }
+
+    async execute(interaction) {
+        try {
+            const subcommand = interaction.options.getSubcommand();
+
+            if (subcommand !== 'link' && !this.botService.db?.isHealthy?.()) {
+                return await interaction.reply({ content: UNAVAILABLE, ephemeral: true });
+            }
+
+            switch (subcommand) {
+                case 'link':
+                    await this.handleLink(interaction);
+                    break;
+                case 'status':
+                    await this.handleStatus(interaction);
+                    break;
+                case 'unlink':
+                    await this.handleUnlink(interaction);
+                    break;
+                case 'privacy':
+                    await this.handlePrivacy(interaction);
+                    break;
+                case 'export':
+                    await this.handleExport(interaction);
+                    break;
+                case 'erase':
+                    await this.handleErase(interaction);
+                    break;
+                default:
+                    await interaction.reply({
+                        content: '❌ Unknown subcommand.',
+                        ephemeral: true
+                    });
+            }
+
+        } catch (error) {
+            logger.error('Error in account command:', error);
+
+            const errorMessage = '❌ An error occurred while managing your account. Please try again later.';
+
+            if (interaction.replied || interaction.deferred) {
+                await interaction.followUp({ content: errorMessage, ephemeral: true });
+            } else {
+                await interaction.reply({ content: errorMessage, ephemeral: true });
+            }
+        }
+    }
+
+    async handleLink(interaction) {
+        await interaction.reply(await this.botService.accountLinking.getLinkPrompt(interaction.user.id, interaction.guildId));
+    }
+
+    async handleStatus(interaction) {
+        const link = await this.botService.accountLinking.getLink(interaction.user.id);
+        if (!link) {
+            return await interaction.reply({ content: NOT_LINKED, ephemeral: true });
+        }
+
+        await interaction.reply({
+            embeds: [this.botService.accountLinking.buildStatusEmbed(link)],
+            ephemeral: true
+        });
+    }
+
+    async handleUnlink(interaction) {
+        const link = await this.botService.accountLinking.getLink(interaction.user.id);
+        if (!link) {
+            return await interaction.reply({ content: NOT_LINKED, ephemeral: true });
+        }
+
+        const row = new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId('naffles_account_unlink_confirm')
+                .setLabel('Unlink')
+                .setStyle(ButtonStyle.Danger),
+            new ButtonBuilder()
+                .setCustomId('naffles_account_unlink_cancel')
+                .setLabel('Cancel')
+                .setStyle(ButtonStyle.Secondary)
+        );
+
+        await interaction.reply({
+            content: `⚠️ Unlink the Naffles account **${link.nafflesUserInfo?.username || link.nafflesUserId}**? ` +
+                'You won\'t be able to complete tasks or enter allowlists from Discord until you link again.',
+            components: [row],
+            ephemeral: true
+        });
+    }
+
+    async handlePrivacy(interaction) {
+        const settings = {
+            allowNotifications: interaction.options.getBoolean('notifications'),
+            dataProcessingConsent: interaction.options.getBoolean('data_processing')
+        };
+
+        const result = await this.botService.accountLinking.updatePrivacy(interaction.user.id, settings);
+        if (!result.success) {
+            return await interaction.reply({ content: NOT_LINKED, ephemeral: true });
+        }
+
+        const changed = Object.keys(result.changes).length > 0;
+
+        await interaction.reply({
+            content: changed ? '✅ Your privacy settings were updated.' : 'ℹ️ Your privacy settings are unchanged.',
+            embeds: [this.botService.accountLinking.buildStatusEmbed(result.link)],
+            ephemeral: true
+        });
+    }
+
+    async handleExport(interaction) {
+        await interaction.deferReply({ ephemeral: true });
+
+        const archive = await this.botService.userData.createExport(interaction.user.id);
+        await this.botService.auditLogger?.logDataRequest(
+            interaction.user.id,
+            this.botService.auditLogger.eventTypes.DATA_EXPORT,
+            { counts: archive.counts, requestedVia: 'command' }
+        );
+
+        if (archive.buffer.length > this.botService.allowlistExport.getUploadLimit(interaction.guild)) {
+            return await interaction.editReply({
+                content: '❌ Your data archive is too large to send here. Please contact Naffles support to receive it.'
+            });
+        }
+
+        const total = Object.values(archive.counts).reduce((sum, count) => sum + count, 0);
+
+        await interaction.editReply({
+            content: `📦 Here is a copy of the data the bot stores about you (${total} records, gzipped JSON).`,
+            files: [new AttachmentBuilder(archive.buffer, { name: archive.name })]
+        });
+    }
+
+    async handleErase(interaction) {
+        if ((await this.botService.userData.findEnforcement(interaction.user.id)).length > 0) {
+            return await interaction.reply({ content: ERASE_BLOCKED, ephemeral: true });
+        }
+
+        const row = new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId('naffles_account_erase_confirm')
+                .setLabel('Erase my data')
+                .setStyle(ButtonStyle.Danger),
+            new ButtonBuilder()
+                .setCustomId('naffles_account_erase_cancel')
+                .setLabel('Cancel')
+                .setStyle(ButtonStyle.Secondary)
+        );
+
+        await interaction.reply({
+            content: '⚠️ Erase the data the bot stores about you? Your account will be unlinked, and your comments, ' +
+                'submission proofs and logged details are deleted. Activity counts are kept without your Discord ID. ' +
+                'This cannot be undone; run `/naffles-account export` first if you want a copy.',
+            components: [row],
+            ephemeral: true
+        });
+    }
+
+    /**
+     * Unlink the member, erase their data everywhere and record the erasure
+     * under its pseudonym
+     */
+    async eraseMemberData(discordId) {
+        await this.botService.accountLinking.unlink(discordId);
+
+        const { pseudonym, results } = await this.botService.userData.erase(discordId);
+
+        this.botService.auditLogger?.redactUser(discordId, pseudonym);
+        await this.botService.shardCoordinator?.broadcast?.('user_data_erased', { discordId, pseudonym });
+        await this.botService.auditLogger?.logDataRequest(
+            pseudonym,
+            this.botService.auditLogger.eventTypes.DATA_DELETION,
+            { results, requestedVia: 'command' }
+        );
+    }
+
+    async handleButtonInteraction(interaction) {
+        try {
+            if (interaction.customId === 'naffles_account_unlink_cancel') {
+                return await interaction.update({ content: 'Unlinking cancelled.', components: [] });
+            }
+
+            if (interaction.customId === 'naffles_account_erase_cancel') {
+                return await interaction.update({ content: 'Erasure cancelled. Your data was not changed.', components: [] });
+            }
+
+            if (!['naffles_account_unlink_confirm', 'naffles_account_erase_confirm'].includes(interaction.customId)) {
+                return await interaction.reply({ content: '❌ Unknown account action.', ephemeral: true });
+            }
+
+            if (!this.botService.db?.isHealthy?.()) {
+                return await interaction.update({ content: UNAVAILABLE, components: [] });
+            }
+
+            if (interaction.customId === 'naffles_account_erase_confirm') {
+                // Moderation may have applied since the confirmation was shown
+                if ((await this.botService.userData.findEnforcement(interaction.user.id)).length > 0) {
+                    return await interaction.update({ content: ERASE_BLOCKED, components: [] });
+                }
+
+                await interaction.update({ content: '⏳ Erasing your data...', components: [] });
+                await this.eraseMemberData(interaction.user.id);
+                return await interaction.editReply({ content: '✅ Your data was erased.' });
+            }
+
+            const result = await this.botService.accountLinking.unlink(interaction.user.id);
+
+            await interaction.update({
+                content: result.success
+                    ? '✅ Your Naffles account was unlinked. Use `/naffles-account link` to link it again.'
+                    : NOT_LINKED,
+                components: []
+            });
+
+        } catch (error) {
+            logger.error('Error handling account button:', error);
+
+            const errorMessage = '❌ An error occurred while updating your account. Please try again later.';
+
+            if (interaction.replied || interaction.deferred) {
+                await interaction.followUp({ content: errorMessage, ephemeral: true });
+            } else {
+                await interaction.reply({ content: errorMessage, ephemeral: true });
+            }
+        }
+    }
+}
+
+// Export the command class with its slash command data and registry entry
+module.exports = AccountCommand;
+module.exports.data = data;
+module.exports.meta = meta;
@@ -13,7 +13,20 @@ const data = new SlashCommandBuilder()
                 { name: 'Last 7 days', value: '7d' },
                 { name: 'Last 30 days', value: '30d' },
                 { name: 'All time', value: 'all' }
-            ));
+            ))
+    .addStringOption(option =>
+        option.setName('allowlist_id')
+            .setDescription('Show winner notification delivery for one allowlist')
+            .setRequired(false)
+            .setMaxLength(100));
+
+// Registry entry: permissions, cooldown, component routes and help listing
+const meta = {
+    permissions: { requiredPermissions: ['ManageGuild'], maxUsesPerHour: 30 },
+    cooldown: 10000,
+    feature: 'allowlist_analytics',
+    maintenance: 'allowlists'
+};
 
 class AllowlistAnalyticsCommand {
     constructor(botService) {
@@ -49,6 +62,11 @@ class AllowlistAnalyticsCommand {
             // Defer reply for data processing
             await interaction.deferReply({ ephemeral: true });
 
+            const allowlistId = interaction.options.getString('allowlist_id');
+            if (allowlistId) {
+                return await this.handleWinnerDelivery(interaction, allowlistId.trim());
+            }
+
             try {
                 // Get analytics data
                 const analytics = await this.botService.allowlistIntegration.getAllowlistAnalytics(interaction.guildId);
@@ -215,6 +233,85 @@ class AllowlistAnalyticsCommand {
         return embed;
     }
 
+    /**
+     * Show which winners of an allowlist have been notified
+     * @param {Object} interaction - Discord interaction
+     * @param {string} allowlistId - Naffles allowlist ID
+     */
+    async handleWinnerDelivery(interaction, allowlistId) {
+        const report = await this.botService.winnerNotifications.getDeliveryReport(interaction.guildId, allowlistId);
+
+        if (!report) {
+            return await interaction.editReply({
+                content: `❌ Allowlist \`${allowlistId}\` is not connected to this server.`
+            });
+        }
+
+        await interaction.editReply({ embeds: [this.createWinnerDeliveryEmbed(report)] });
+        await this.botService.logInteraction(interaction, 'view_winner_delivery', 'success');
+    }
+
+    /**
+     * Create winner notification delivery embed
+     * @param {Object} report - Delivery report from the winner notification service
+     * @returns {EmbedBuilder} Delivery embed
+     */
+    createWinnerDeliveryEmbed(report) {
+        const statusLabels = {
+            pending: '⏳ Pending',
+            dm_sent: '✅ DM sent',
+            channel_pinged: '📣 Pinged in channel (DMs closed)',
+            failed: '❌ Not reached',
+            not_linked: '🔗 No linked Discord account'
+        };
+
+        const embed = new EmbedBuilder()
+            .setTitle('🏆 Winner Notifications')
+            .setDescription(`Delivery status for **${report.allowlist}**`)
+            .setColor(report.unreached.length > 0 ? 0xF59E0B : 0x10B981)
+            .setFooter({ 
+                text: 'Powered by Naffles', 
+                iconURL: 'https://naffles.com/logo.png' 
+            })
+            .setTimestamp();
+
+        if (report.winners.length === 0) {
+            embed.addFields({ name: '👥 Winners', value: 'No winners have been drawn yet.', inline: false });
+            return embed;
+        }
+
+        const counts = report.winners.reduce((acc, winner) => {
+            const status = winner.delivery?.status || 'pending';
+            acc[status] = (acc[status] || 0) + 1;
+            return acc;
+        }, {});
+
+        embed.addFields({
+            name: '📊 Summary',
+            value: Object.entries(counts).map(([status, count]) => `${statusLabels[status] || status}: ${count}`).join('\n'),
+            inline: false
+        });
+
+        if (report.unreached.length > 0) {
+            const unreached = report.unreached
+                .slice(0, 20)
+                .map(winner => {
+                    const name = winner.discordId ? `<@${winner.discordId}>` : winner.username || winner.userId;
+                    const reason = winner.delivery?.lastError ? ` — ${winner.delivery.lastError}` : '';
+                    return `${statusLabels[winner.delivery?.status] || statusLabels.pending} ${name}${reason}`;
+                })
+                .join('\n');
+
+            embed.addFields({
+                name: `⚠️ Not Reached (${report.unreached.length})`,
+                value: unreached.substring(0, 1024),
+                inline: false
+            });
+        }
+
+        return embed;
+    }
+
     /**
      * Format time period for display
      * @param {string} period - Period code
@@ -277,6 +374,7 @@ class AllowlistAnalyticsCommand {
     }
 }
 
-// Export both the command class and the slash command data
+// Export the command class with its slash command data and registry entry
 module.exports = AllowlistAnalyticsCommand;
-module.exports.data = data;
\ No newline at end of file
+module.exports.data = data;
+module.exports.meta = meta;
\ No newline at end of file
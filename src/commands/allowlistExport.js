@@ -0,0 +1,131 @@
+const { SlashCommandBuilder, AttachmentBuilder } = require('discord.js');
+const logger = require('../utils/logger');
+
+// Slash command data for Discord registration
+const data = new SlashCommandBuilder()
+    .setName('naffles-allowlist-export')
+    .setDescription('Download an allowlist\'s entrants or winners as CSV or JSON')
+    .addStringOption(option =>
+        option.setName('allowlist_id')
+            .setDescription('Connected allowlist')
+            .setRequired(true)
+            .setMaxLength(100))
+    .addStringOption(option =>
+        option.setName('data')
+            .setDescription('What to export')
+            .setRequired(true)
+            .addChoices(
+                { name: 'Entrants', value: 'entrants' },
+                { name: 'Winners', value: 'winners' }
+            ))
+    .addStringOption(option =>
+        option.setName('format')
+            .setDescription('File format (default CSV)')
+            .setRequired(false)
+            .addChoices(
+                { name: 'CSV', value: 'csv' },
+                { name: 'JSON', value: 'json' }
+            ));
+
+// Registry entry: permissions, cooldown, component routes and help listing
+const meta = {
+    permissions: { requiredPermissions: ['ManageGuild'], adminOnly: true, maxUsesPerHour: 10 },
+    cooldown: 30000,
+    help: { audience: 'linked', order: 62 },
+    maintenance: 'allowlists'
+};
+
+const ERROR_MESSAGES = {
+    not_connected: '❌ This allowlist is not connected to this server.',
+    database_unavailable: '❌ Exports are unavailable right now. Please try again later.',
+    too_large: '❌ This export is too large to upload to Discord, even compressed. Download it from the Naffles dashboard instead.'
+};
+
+class AllowlistExportCommand {
+    constructor(botService) {
+        this.botService = botService;
+        this.name = 'naffles-allowlist-export';
+    }
+
+    async execute(interaction) {
+        try {
+            // Exports include wallet addresses, so they are admin only
+            const permissionCheck = await this.botService.validateUserPermissions(
+                interaction.guildId,
+                interaction.user.id,
+                ['ManageGuild']
+            );
+
+            if (!permissionCheck.hasPermission) {
+                return await interaction.reply({
+                    content: `❌ You don't have permission to export allowlists. Reason: ${permissionCheck.reason}`,
+                    ephemeral: true
+                });
+            }
+
+            const allowlistId = interaction.options.getString('allowlist_id').trim();
+            const dataset = interaction.options.getString('data');
+            const format = interaction.options.getString('format') || 'csv';
+
+            // Defer reply for API paging
+            await interaction.deferReply({ ephemeral: true });
+
+            const allowlistExport = this.botService.allowlistExport;
+            const result = await allowlistExport.createExport({
+                allowlistId,
+                guildId: interaction.guildId,
+                dataset,
+                format,
+                userId: interaction.user.id,
+                uploadLimit: allowlistExport.getUploadLimit(interaction.guild)
+            });
+
+            if (!result.success) {
+                await interaction.editReply({
+                    content: ERROR_MESSAGES[result.reason] || '❌ Failed to export the allowlist. Please try again later.'
+                });
+                return await this.botService.logInteraction(interaction, 'allowlist_export', 'error');
+            }
+
+            const [first, ...rest] = result.files;
+            const notes = [
+                `📄 Exported ${result.rowCount} ${dataset} from allowlist \`${allowlistId}\`.`,
+                result.compressed ? 'The file is gzipped to fit Discord\'s upload limit.' : null,
+                rest.length > 0 ? `Split into ${result.files.length} parts; the rest follow below.` : null
+            ].filter(Boolean);
+
+            // One file per message: Discord's upload limit applies to the whole message
+            await interaction.editReply({
+                content: notes.join('\n'),
+                files: [new AttachmentBuilder(first.buffer, { name: first.name })]
+            });
+
+            for (const file of rest) {
+                await interaction.followUp({
+                    files: [new AttachmentBuilder(file.buffer, { name: file.name })],
+                    ephemeral: true
+                });
+            }
+
+            await this.botService.logInteraction(interaction, 'allowlist_export', 'success');
+
+        } catch (error) {
+            logger.error('Error in allowlist export command:', error);
+
+            const errorMessage = '❌ An error occurred while exporting the allowlist. Please try again later.';
+
+            if (interaction.deferred) {
+                await interaction.editReply({ content: errorMessage });
+            } else {
+                await interaction.reply({ content: errorMessage, ephemeral: true });
+            }
+
+            await this.botService.logInteraction(interaction, 'allowlist_export', 'error');
+        }
+    }
+}
+
+// Export the command class with its slash command data and registry entry
+module.exports = AllowlistExportCommand;
+module.exports.data = data;
+module.exports.meta = meta;
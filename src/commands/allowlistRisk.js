@@ -0,0 +1,294 @@
+const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const logger = require('../utils/logger');
+
+// Slash command data for Discord registration
+const data = new SlashCommandBuilder()
+    .setName('naffles-allowlist-risk')
+    .setDescription('Configure and review anti-Sybil risk scoring for allowlist entries')
+    .addSubcommand(subcommand =>
+        subcommand.setName('settings')
+            .setDescription('Set when entries are held for review or rejected')
+            .addStringOption(option =>
+                option.setName('allowlist_id')
+                    .setDescription('Connected allowlist')
+                    .setRequired(true)
+                    .setMaxLength(100))
+            .addIntegerOption(option =>
+                option.setName('review_above')
+                    .setDescription('Hold entries scoring at or above this for review (0 turns it off)')
+                    .setRequired(false)
+                    .setMinValue(0)
+                    .setMaxValue(100))
+            .addIntegerOption(option =>
+                option.setName('reject_above')
+                    .setDescription('Reject entries scoring at or above this (0 turns it off)')
+                    .setRequired(false)
+                    .setMinValue(0)
+                    .setMaxValue(100))
+            .addBooleanOption(option =>
+                option.setName('enabled')
+                    .setDescription('Score entries for this allowlist')
+                    .setRequired(false)))
+    .addSubcommand(subcommand =>
+        subcommand.setName('view')
+            .setDescription('Show an entrant\'s risk score breakdown')
+            .addStringOption(option =>
+                option.setName('allowlist_id')
+                    .setDescription('Connected allowlist')
+                    .setRequired(true)
+                    .setMaxLength(100))
+            .addUserOption(option =>
+                option.setName('user')
+                    .setDescription('Entrant')
+                    .setRequired(true)))
+    .addSubcommand(subcommand =>
+        subcommand.setName('queue')
+            .setDescription('Show entries held for review')
+            .addStringOption(option =>
+                option.setName('allowlist_id')
+                    .setDescription('Connected allowlist')
+                    .setRequired(true)
+                    .setMaxLength(100)));
+
+// Registry entry: permissions, cooldown, component routes and help listing
+const meta = {
+    permissions: { requiredPermissions: ['ManageGuild'], adminOnly: true, maxUsesPerHour: 60 },
+    cooldown: 3000,
+    routes: {
+        buttons: [{ prefix: 'allowlist_risk_', handler: 'handleReviewButton' }]
+    },
+    help: { audience: 'linked', order: 65 },
+    maintenance: 'allowlists'
+};
+
+const SIGNAL_LABELS = {
+    account_age: 'Account Age',
+    guild_tenure: 'Server Tenure',
+    verification_failures: 'Verification Failures',
+    interaction_history: 'Interaction History',
+    shared_accounts: 'Shared Wallets/Accounts'
+};
+
+const DECISION_LABELS = {
+    allowed: '✅ Allowed',
+    held: '⏳ Held for review',
+    rejected: '🚫 Rejected',
+    approved: '✅ Approved by moderator',
+    denied: '❌ Denied by moderator'
+};
+
+// Held entries shown with review buttons; Discord allows five rows per message
+const QUEUE_BUTTON_LIMIT = 5;
+
+class AllowlistRiskCommand {
+    constructor(botService) {
+        this.botService = botService;
+        this.name = 'naffles-allowlist-risk';
+    }
+
+    async execute(interaction) {
+        try {
+            const permissionCheck = await this.botService.validateUserPermissions(
+                interaction.guildId,
+                interaction.user.id,
+                ['ManageGuild']
+            );
+
+            if (!permissionCheck.hasPermission) {
+                return await interaction.reply({
+                    content: `❌ You don't have permission to manage allowlist risk scoring. Reason: ${permissionCheck.reason}`,
+                    ephemeral: true
+                });
+            }
+
+            const subcommand = interaction.options.getSubcommand();
+            const allowlistId = interaction.options.getString('allowlist_id').trim();
+
+            await interaction.deferReply({ ephemeral: true });
+
+            switch (subcommand) {
+                case 'settings':
+                    await this.handleSettings(interaction, allowlistId);
+                    break;
+                case 'view':
+                    await this.handleView(interaction, allowlistId);
+                    break;
+                case 'queue':
+                    await this.handleQueue(interaction, allowlistId);
+                    break;
+                default:
+                    await interaction.editReply({ content: '❌ Unknown subcommand.' });
+            }
+
+        } catch (error) {
+            logger.error('Error in allowlist risk command:', error);
+
+            const errorMessage = '❌ An error occurred while handling allowlist risk scoring. Please try again later.';
+
+            if (interaction.deferred) {
+                await interaction.editReply({ content: errorMessage });
+            } else {
+                await interaction.reply({ content: errorMessage, ephemeral: true });
+            }
+
+            await this.botService.logInteraction(interaction, 'allowlist_risk', 'error');
+        }
+    }
+
+    async handleSettings(interaction, allowlistId) {
+        const sybilRisk = this.botService.sybilRisk;
+        const values = {
+            reviewAbove: interaction.options.getInteger('review_above'),
+            rejectAbove: interaction.options.getInteger('reject_above'),
+            enabled: interaction.options.getBoolean('enabled')
+        };
+
+        const hasChanges = Object.values(values).some(value => value !== null);
+        const result = hasChanges
+            ? await sybilRisk.updatePolicy(allowlistId, interaction.guildId, values, interaction.user.id)
+            : { success: true, policy: await sybilRisk.getPolicy(allowlistId, interaction.guildId) };
+
+        if (!result.success) {
+            return await interaction.editReply({ content: `❌ ${result.message}` });
+        }
+
+        const summary = await sybilRisk.getSummary(allowlistId, interaction.guildId);
+        await interaction.editReply({ embeds: [this.createSettingsEmbed(allowlistId, result.policy, summary, hasChanges)] });
+
+        await this.botService.logInteraction(interaction, 'allowlist_risk_settings', 'success');
+    }
+
+    async handleView(interaction, allowlistId) {
+        const user = interaction.options.getUser('user');
+        const assessment = await this.botService.sybilRisk.getAssessment(allowlistId, user.id);
+
+        if (!assessment) {
+            return await interaction.editReply({ content: `ℹ️ <@${user.id}> has not tried to enter this allowlist yet.` });
+        }
+
+        await interaction.editReply({
+            embeds: [this.createBreakdownEmbed(assessment, user)],
+            components: assessment.decision === 'held' ? [this.createReviewRow(assessment)] : []
+        });
+
+        await this.botService.logInteraction(interaction, 'view_allowlist_risk', 'success');
+    }
+
+    async handleQueue(interaction, allowlistId) {
+        const held = await this.botService.sybilRisk.getHeldEntries(allowlistId, interaction.guildId);
+
+        const embed = new EmbedBuilder()
+            .setTitle('⏳ Held Allowlist Entries')
+            .setColor(held.length > 0 ? 0xF59E0B : 0x10B981)
+            .setFooter({ text: 'Powered by Naffles' })
+            .setTimestamp();
+
+        if (held.length === 0) {
+            embed.setDescription('No entries are waiting for review.');
+            return await interaction.editReply({ embeds: [embed] });
+        }
+
+        embed.setDescription(held.map(entry =>
+            `**${entry.score}** — <@${entry.discordId}> (held <t:${Math.floor(new Date(entry.createdAt).getTime() / 1000)}:R>)`
+        ).join('\n').substring(0, 4096));
+
+        if (held.length > QUEUE_BUTTON_LIMIT) {
+            embed.addFields({
+                name: 'Buttons',
+                value: `Buttons are shown for the oldest ${QUEUE_BUTTON_LIMIT}. Use \`/naffles-allowlist-risk view\` for the rest.`
+            });
+        }
+
+        await interaction.editReply({
+            embeds: [embed],
+            components: held.slice(0, QUEUE_BUTTON_LIMIT).map(entry => this.createReviewRow(entry))
+        });
+
+        await this.botService.logInteraction(interaction, 'view_allowlist_risk_queue', 'success');
+    }
+
+    // Approve/deny decisions are handled by the risk service
+    async handleReviewButton(interaction) {
+        await this.botService.sybilRisk.handleReviewButton(interaction);
+    }
+
+    createReviewRow(assessment) {
+        const id = assessment._id.toString();
+        return new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`allowlist_risk_approve_${id}`)
+                .setLabel(`Approve (${assessment.score})`)
+                .setStyle(ButtonStyle.Success),
+            new ButtonBuilder()
+                .setCustomId(`allowlist_risk_deny_${id}`)
+                .setLabel('Deny')
+                .setStyle(ButtonStyle.Danger)
+        );
+    }
+
+    createSettingsEmbed(allowlistId, policy, summary, changed) {
+        const embed = new EmbedBuilder()
+            .setTitle(changed ? '✅ Risk Scoring Updated' : '🛡️ Risk Scoring')
+            .setDescription(`Allowlist \`${allowlistId}\``)
+            .setColor(policy.enabled ? 0x3B82F6 : 0x6B7280)
+            .addFields(
+                { name: 'Scoring', value: policy.enabled ? 'Enabled' : 'Disabled', inline: true },
+                { name: 'Hold at', value: policy.reviewAbove ? `${policy.reviewAbove}+` : 'Off', inline: true },
+                { name: 'Reject at', value: policy.rejectAbove ? `${policy.rejectAbove}+` : 'Off', inline: true }
+            )
+            .setFooter({ text: 'Scores run from 0 (no concern) to 100' })
+            .setTimestamp();
+
+        const counts = Object.entries(summary);
+        if (counts.length > 0) {
+            embed.addFields({
+                name: 'Entrants',
+                value: counts.map(([decision, { count, avgScore }]) =>
+                    `${DECISION_LABELS[decision] || decision}: ${count} (avg ${avgScore})`
+                ).join('\n')
+            });
+        }
+
+        return embed;
+    }
+
+    createBreakdownEmbed(assessment, user) {
+        const embed = new EmbedBuilder()
+            .setTitle(`🛡️ Risk Score: ${assessment.score}/100`)
+            .setDescription(`<@${user.id}> — ${DECISION_LABELS[assessment.decision] || assessment.decision}`)
+            .setColor(assessment.score >= 70 ? 0xEF4444 : assessment.score >= 40 ? 0xF59E0B : 0x10B981)
+            .setFooter({ text: `Attempts: ${assessment.attempts}` })
+            .setTimestamp(new Date(assessment.updatedAt));
+
+        embed.addFields(assessment.signals.map(signal => ({
+            name: `${SIGNAL_LABELS[signal.name] || signal.name} (weight ${signal.weight})`,
+            value: signal.risk === null || signal.risk === undefined
+                ? `Unavailable: ${signal.error || 'unknown error'}`
+                : `Risk ${Math.round(signal.risk * 100)}%${this.formatDetail(signal.detail)}`,
+            inline: true
+        })).slice(0, 24));
+
+        if (assessment.review?.decidedBy) {
+            embed.addFields({
+                name: 'Review',
+                value: `<@${assessment.review.decidedBy}> <t:${Math.floor(new Date(assessment.review.decidedAt).getTime() / 1000)}:R>`
+            });
+        } else if (assessment.review?.error) {
+            embed.addFields({ name: 'Last approval error', value: assessment.review.error.substring(0, 1024) });
+        }
+
+        return embed;
+    }
+
+    formatDetail(detail) {
+        if (!detail || Object.keys(detail).length === 0) {
+            return '';
+        }
+        return `\n${Object.entries(detail).map(([key, value]) => `${key}: ${value}`).join(', ')}`.substring(0, 1000);
+    }
+}
+
+// Export the command class with its slash command data and registry entry
+module.exports = AllowlistRiskCommand;
+module.exports.data = data;
+module.exports.meta = meta;
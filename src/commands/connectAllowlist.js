@@ -11,6 +11,20 @@ const data = new SlashCommandBuilder()
             .setRequired(true)
             .setMaxLength(50));
 
+// Registry entry: permissions, cooldown, component routes and help listing
+const meta = {
+    permissions: { requiredPermissions: ['ManageMessages'], adminOnly: true, maxUsesPerHour: 5 },
+    cooldown: 15000,
+    routes: {
+        buttons: [
+            { prefix: 'enter_allowlist_', handler: 'handleAllowlistEntry' },
+            { prefix: 'view_allowlist_', handler: 'handleAllowlistView' }
+        ]
+    },
+    help: { audience: 'linked', order: 60 },
+    maintenance: 'allowlists'
+};
+
 class ConnectAllowlistCommand {
     constructor(botService) {
         this.botService = botService;
@@ -167,6 +181,7 @@ class ConnectAllowlistCommand {
     }
 }
 
-// Export both the command class and the slash command data
+// Export the command class with its slash command data and registry entry
 module.exports = ConnectAllowlistCommand;
-module.exports.data = data;
\ No newline at end of file
+module.exports.data = data;
+module.exports.meta = meta;
\ No newline at end of file
@@ -1,5 +1,6 @@
 const { SlashCommandBuilder, ModalBuilder, TextInputBuilder, TextInputStyle, ActionRowBuilder } = require('discord.js');
 const logger = require('../utils/logger');
+const { isValidCronExpression } = require('../utils/cronSchedule');
 
 // Slash command data for Discord registration
 const data = new SlashCommandBuilder()
@@ -36,7 +37,38 @@ const data = new SlashCommandBuilder()
             .setDescription('Duration in hours (default: 168 hours = 1 week)')
             .setRequired(false)
             .setMinValue(1)
-            .setMaxValue(8760)); // Max 1 year
+            .setMaxValue(8760)) // Max 1 year
+    .addStringOption(option =>
+        option.setName('start_time')
+            .setDescription('Post later at this UTC time (YYYY-MM-DD HH:mm)')
+            .setRequired(false)
+            .setMaxLength(30))
+    .addStringOption(option =>
+        option.setName('repeat')
+            .setDescription('Re-post the task on a recurring schedule')
+            .setRequired(false)
+            .addChoices(
+                { name: 'Do not repeat', value: 'none' },
+                { name: 'Daily', value: 'daily' },
+                { name: 'Weekly', value: 'weekly' },
+                { name: 'Custom (cron rule)', value: 'cron' }
+            ))
+    .addStringOption(option =>
+        option.setName('cron')
+            .setDescription('Cron rule in UTC when repeat is custom, e.g. "0 15 * * 1"')
+            .setRequired(false)
+            .setMaxLength(100));
+
+// Registry entry: permissions, cooldown, component routes and help listing
+const meta = {
+    permissions: { requiredPermissions: ['SendMessages'], maxUsesPerHour: 10 },
+    cooldown: 10000,
+    routes: {
+        modals: [{ prefix: 'create_task_modal_', handler: 'handleModalSubmit' }]
+    },
+    help: { audience: 'linked', order: 10 },
+    maintenance: 'tasks'
+};
 
 class CreateTaskCommand {
     constructor(botService) {
@@ -76,67 +108,16 @@ class CreateTaskCommand {
             const points = interaction.options.getInteger('points');
             const duration = interaction.options.getInteger('duration') || 168; // Default 1 week
 
-            // Create modal for additional task details
-            const modal = new ModalBuilder()
-                .setCustomId(`create_task_modal_${Date.now()}`)
-                .setTitle('Create Social Task');
-
-            // Add additional fields based on task type
-            if (taskType === 'twitter_follow') {
-                const twitterInput = new TextInputBuilder()
-                    .setCustomId('twitter_username')
-                    .setLabel('Twitter Username (without @)')
-                    .setStyle(TextInputStyle.Short)
-                    .setPlaceholder('naffles')
-                    .setRequired(true)
-                    .setMaxLength(50);
-
-                modal.addComponents(new ActionRowBuilder().addComponents(twitterInput));
-            } else if (taskType === 'discord_join') {
-                const discordInput = new TextInputBuilder()
-                    .setCustomId('discord_invite')
-                    .setLabel('Discord Invite Link')
-                    .setStyle(TextInputStyle.Short)
-                    .setPlaceholder('https://discord.gg/naffles')
-                    .setRequired(true)
-                    .setMaxLength(200);
-
-                modal.addComponents(new ActionRowBuilder().addComponents(discordInput));
-            } else if (taskType === 'telegram_join') {
-                const telegramInput = new TextInputBuilder()
-                    .setCustomId('telegram_link')
-                    .setLabel('Telegram Group/Channel Link')
-                    .setStyle(TextInputStyle.Short)
-                    .setPlaceholder('https://t.me/naffles')
-                    .setRequired(true)
-                    .setMaxLength(200);
-
-                modal.addComponents(new ActionRowBuilder().addComponents(telegramInput));
-            } else if (taskType === 'custom') {
-                const instructionsInput = new TextInputBuilder()
-                    .setCustomId('custom_instructions')
-                    .setLabel('Task Instructions')
-                    .setStyle(TextInputStyle.Paragraph)
-                    .setPlaceholder('Detailed instructions for completing this task...')
-                    .setRequired(true)
-                    .setMaxLength(1000);
-
-                const verificationInput = new TextInputBuilder()
-                    .setCustomId('verification_method')
-                    .setLabel('How will completion be verified?')
-                    .setStyle(TextInputStyle.Paragraph)
-                    .setPlaceholder('Manual review, screenshot submission, etc.')
-                    .setRequired(true)
-                    .setMaxLength(500);
-
-                modal.addComponents(
-                    new ActionRowBuilder().addComponents(instructionsInput),
-                    new ActionRowBuilder().addComponents(verificationInput)
-                );
+            // Validate scheduling options before showing the modal
+            const scheduleResult = this.parseScheduleOptions(interaction);
+            if (scheduleResult.error) {
+                return await interaction.reply({
+                    content: `❌ ${scheduleResult.error}`,
+                    ephemeral: true
+                });
             }
 
-            // Store task data in Redis for modal submission
-            const taskData = {
+            await this.startTaskCreation(interaction, {
                 type: taskType,
                 title,
                 description,
@@ -144,17 +125,9 @@ class CreateTaskCommand {
                 duration,
                 guildId: interaction.guildId,
                 userId: interaction.user.id,
-                communityId: serverMapping.communityId
-            };
-
-            await this.botService.redis.setex(
-                `task_creation_${interaction.user.id}_${interaction.guildId}`,
-                300, // 5 minutes
-                JSON.stringify(taskData)
-            );
-
-            // Show modal
-            await interaction.showModal(modal);
+                communityId: serverMapping.communityId,
+                schedule: scheduleResult.schedule
+            });
 
             // Log interaction
             await this.botService.logInteraction(interaction, 'create_task_initiated', 'success');
@@ -178,32 +151,26 @@ class CreateTaskCommand {
         try {
             // Get stored task data
             const taskDataKey = `task_creation_${interaction.user.id}_${interaction.guildId}`;
-            const storedData = await this.botService.redis.get(taskDataKey);
+            const taskData = await this.botService.redis.get(taskDataKey);
             
-            if (!storedData) {
+            if (!taskData) {
                 return await interaction.reply({
                     content: '❌ Task creation session expired. Please try again.',
                     ephemeral: true
                 });
             }
 
-            const taskData = JSON.parse(storedData);
-            
             // Get modal input values
-            const modalData = {};
-            if (taskData.type === 'twitter_follow') {
-                modalData.twitterUsername = interaction.fields.getTextInputValue('twitter_username');
-            } else if (taskData.type === 'discord_join') {
-                modalData.discordInvite = interaction.fields.getTextInputValue('discord_invite');
-            } else if (taskData.type === 'telegram_join') {
-                modalData.telegramLink = interaction.fields.getTextInputValue('telegram_link');
-            } else if (taskData.type === 'custom') {
-                modalData.customInstructions = interaction.fields.getTextInputValue('custom_instructions');
-                modalData.verificationMethod = interaction.fields.getTextInputValue('verification_method');
-            }
+            const modalData = this.getRequirementValues(interaction, taskData.type);
 
             // Combine task data with modal data
-            const completeTaskData = { ...taskData, ...modalData };
+            const { schedule, embedStyle, templateId, ...baseTaskData } = taskData;
+            const completeTaskData = { ...baseTaskData, ...modalData };
+
+            // Hand scheduled or recurring tasks to the scheduler instead of posting now
+            if (schedule) {
+                return await this.scheduleTask(interaction, { ...completeTaskData, embedStyle }, schedule, taskDataKey);
+            }
 
             // Create task via social task integration service
             const createdTask = await this.botService.socialTaskIntegration.createSocialTask(
@@ -221,7 +188,8 @@ class CreateTaskCommand {
                 createdTask,
                 {
                     enableUpdates: true,
-                    showAnalytics: true
+                    showAnalytics: true,
+                    embedStyle
                 }
             );
 
@@ -234,6 +202,10 @@ class CreateTaskCommand {
             // Clean up Redis data
             await this.botService.redis.del(taskDataKey);
 
+            if (templateId) {
+                await this.botService.taskTemplates.recordUsage(templateId);
+            }
+
             // Reply to interaction
             await interaction.reply({
                 content: `✅ Task "${createdTask.title}" has been created and posted to this channel!`,
@@ -254,8 +226,200 @@ class CreateTaskCommand {
             await this.botService.logInteraction(interaction, 'create_task_completed', 'error');
         }
     }
+
+    // Stores the pending task in Redis and shows the requirements modal.
+    // Templates pass prefill values so moderators only confirm the fields.
+    async startTaskCreation(interaction, taskData, prefill = {}) {
+        await this.botService.redis.set(
+            `task_creation_${interaction.user.id}_${interaction.guildId}`,
+            taskData,
+            300 // 5 minutes
+        );
+
+        const modal = this.buildTaskModal(taskData.type, {
+            customId: `create_task_modal_${Date.now()}`,
+            title: 'Create Social Task',
+            prefill
+        });
+
+        await interaction.showModal(modal);
+    }
+
+    buildTaskModal(taskType, { customId, title, prefill = {} }) {
+        const modal = new ModalBuilder()
+            .setCustomId(customId)
+            .setTitle(title);
+
+        // Add additional fields based on task type
+        if (taskType === 'twitter_follow') {
+            const twitterInput = new TextInputBuilder()
+                .setCustomId('twitter_username')
+                .setLabel('Twitter Username (without @)')
+                .setStyle(TextInputStyle.Short)
+                .setPlaceholder('naffles')
+                .setRequired(true)
+                .setMaxLength(50);
+
+            if (prefill.twitterUsername) twitterInput.setValue(prefill.twitterUsername);
+
+            modal.addComponents(new ActionRowBuilder().addComponents(twitterInput));
+        } else if (taskType === 'discord_join') {
+            const discordInput = new TextInputBuilder()
+                .setCustomId('discord_invite')
+                .setLabel('Discord Invite Link')
+                .setStyle(TextInputStyle.Short)
+                .setPlaceholder('https://discord.gg/naffles')
+                .setRequired(true)
+                .setMaxLength(200);
+
+            if (prefill.discordInvite) discordInput.setValue(prefill.discordInvite);
+
+            modal.addComponents(new ActionRowBuilder().addComponents(discordInput));
+        } else if (taskType === 'telegram_join') {
+            const telegramInput = new TextInputBuilder()
+                .setCustomId('telegram_link')
+                .setLabel('Telegram Group/Channel Link')
+                .setStyle(TextInputStyle.Short)
+                .setPlaceholder('https://t.me/naffles')
+                .setRequired(true)
+                .setMaxLength(200);
+
+            if (prefill.telegramLink) telegramInput.setValue(prefill.telegramLink);
+
+            modal.addComponents(new ActionRowBuilder().addComponents(telegramInput));
+        } else if (taskType === 'custom') {
+            const instructionsInput = new TextInputBuilder()
+                .setCustomId('custom_instructions')
+                .setLabel('Task Instructions')
+                .setStyle(TextInputStyle.Paragraph)
+                .setPlaceholder('Detailed instructions for completing this task...')
+                .setRequired(true)
+                .setMaxLength(1000);
+
+            const verificationInput = new TextInputBuilder()
+                .setCustomId('verification_method')
+                .setLabel('How will completion be verified?')
+                .setStyle(TextInputStyle.Paragraph)
+                .setPlaceholder('Manual review, screenshot submission, etc.')
+                .setRequired(true)
+                .setMaxLength(500);
+
+            if (prefill.customInstructions) instructionsInput.setValue(prefill.customInstructions);
+            if (prefill.verificationMethod) verificationInput.setValue(prefill.verificationMethod);
+
+            modal.addComponents(
+                new ActionRowBuilder().addComponents(instructionsInput),
+                new ActionRowBuilder().addComponents(verificationInput)
+            );
+        }
+
+        return modal;
+    }
+
+    getRequirementValues(interaction, taskType) {
+        const values = {};
+        if (taskType === 'twitter_follow') {
+            values.twitterUsername = interaction.fields.getTextInputValue('twitter_username');
+        } else if (taskType === 'discord_join') {
+            values.discordInvite = interaction.fields.getTextInputValue('discord_invite');
+        } else if (taskType === 'telegram_join') {
+            values.telegramLink = interaction.fields.getTextInputValue('telegram_link');
+        } else if (taskType === 'custom') {
+            values.customInstructions = interaction.fields.getTextInputValue('custom_instructions');
+            values.verificationMethod = interaction.fields.getTextInputValue('verification_method');
+        }
+        return values;
+    }
+
+    // Returns { schedule } when scheduling was requested, { error } when the options are invalid
+    parseScheduleOptions(interaction) {
+        const startTimeInput = interaction.options.getString('start_time');
+        const repeat = interaction.options.getString('repeat') || 'none';
+        const cronExpression = interaction.options.getString('cron');
+
+        if (!startTimeInput && repeat === 'none') {
+            return { schedule: null };
+        }
+
+        let startTime = new Date();
+        if (startTimeInput) {
+            startTime = this.parseStartTime(startTimeInput);
+            if (!startTime) {
+                return { error: 'Invalid start time. Use the format `YYYY-MM-DD HH:mm` (UTC).' };
+            }
+            if (startTime.getTime() < Date.now() - 60000) {
+                return { error: 'The start time must be in the future.' };
+            }
+        }
+
+        if (repeat === 'cron') {
+            if (!cronExpression) {
+                return { error: 'Please provide a `cron` rule when using a custom repeat schedule.' };
+            }
+            if (!isValidCronExpression(cronExpression)) {
+                return { error: 'Invalid cron rule. Use 5 fields: minute hour day-of-month month day-of-week.' };
+            }
+        }
+
+        return {
+            schedule: {
+                startTime: startTime.toISOString(),
+                recurrence: repeat,
+                cronExpression: repeat === 'cron' ? cronExpression : null
+            }
+        };
+    }
+
+    // Accepts ISO 8601 or "YYYY-MM-DD HH:mm" interpreted as UTC
+    parseStartTime(input) {
+        const trimmed = input.trim();
+        const simpleFormat = trimmed.match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})$/);
+
+        const date = simpleFormat
+            ? new Date(Date.UTC(
+                parseInt(simpleFormat[1], 10),
+                parseInt(simpleFormat[2], 10) - 1,
+                parseInt(simpleFormat[3], 10),
+                parseInt(simpleFormat[4], 10),
+                parseInt(simpleFormat[5], 10)
+            ))
+            : new Date(trimmed);
+
+        return Number.isNaN(date.getTime()) ? null : date;
+    }
+
+    async scheduleTask(interaction, taskData, schedule, taskDataKey) {
+        const scheduled = await this.botService.taskScheduler.createSchedule(
+            taskData,
+            schedule,
+            {
+                guildId: interaction.guildId,
+                channelId: interaction.channel.id,
+                userId: interaction.user.id
+            }
+        );
+
+        await this.botService.redis.del(taskDataKey);
+
+        const nextRunTimestamp = Math.floor(scheduled.schedule.nextRunAt.getTime() / 1000);
+        const recurrenceText = {
+            none: 'once',
+            daily: 'daily',
+            weekly: 'weekly',
+            cron: `on the rule \`${scheduled.schedule.cronExpression}\``
+        }[scheduled.schedule.recurrence];
+
+        await interaction.reply({
+            content: `🗓️ Task "${taskData.title}" is scheduled to post ${recurrenceText} in this channel, first at <t:${nextRunTimestamp}:F>.\n` +
+                `Schedule ID: \`${scheduled.scheduleId}\` — manage it with \`/naffles-scheduled-tasks\`.`,
+            ephemeral: true
+        });
+
+        await this.botService.logInteraction(interaction, 'create_task_scheduled', 'success');
+    }
 }
 
-// Export both the command class and the slash command data
+// Export the command class with its slash command data and registry entry
 module.exports = CreateTaskCommand;
-module.exports.data = data;
\ No newline at end of file
+module.exports.data = data;
+module.exports.meta = meta;
\ No newline at end of file
@@ -0,0 +1,332 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const logger = require('../utils/logger');
+const HolderRoleRule = require('../models/holderRoleRule');
+
+// Slash command data for Discord registration
+const data = new SlashCommandBuilder()
+    .setName('naffles-holder-roles')
+    .setDescription('Grant Discord roles to NFT and token holders')
+    .addSubcommand(subcommand =>
+        subcommand.setName('set')
+            .setDescription('Grant a role to members holding an NFT collection or token')
+            .addRoleOption(option =>
+                option.setName('role')
+                    .setDescription('Role to grant')
+                    .setRequired(true))
+            .addStringOption(option =>
+                option.setName('type')
+                    .setDescription('What must be held')
+                    .setRequired(true)
+                    .addChoices(
+                        { name: 'NFT', value: 'nft' },
+                        { name: 'Token', value: 'token' }
+                    ))
+            .addStringOption(option =>
+                option.setName('chain')
+                    .setDescription('Blockchain')
+                    .setRequired(true)
+                    .addChoices(...HolderRoleRule.SUPPORTED_CHAINS.map(chain => ({
+                        name: chain.charAt(0).toUpperCase() + chain.slice(1),
+                        value: chain
+                    }))))
+            .addStringOption(option =>
+                option.setName('contract')
+                    .setDescription('Collection or token contract address')
+                    .setRequired(true)
+                    .setMaxLength(100))
+            .addNumberOption(option =>
+                option.setName('minimum')
+                    .setDescription('Minimum NFTs or token balance (default 1)')
+                    .setRequired(false)
+                    .setMinValue(0))
+            .addStringOption(option =>
+                option.setName('traits')
+                    .setDescription('NFT trait filters, e.g. "Background=Gold; Eyes=Laser"')
+                    .setRequired(false)
+                    .setMaxLength(500)))
+    .addSubcommand(subcommand =>
+        subcommand.setName('remove')
+            .setDescription('Stop granting a holder role')
+            .addRoleOption(option =>
+                option.setName('role')
+                    .setDescription('Holder role')
+                    .setRequired(true)))
+    .addSubcommand(subcommand =>
+        subcommand.setName('list')
+            .setDescription('List holder roles and their last re-check'))
+    .addSubcommand(subcommand =>
+        subcommand.setName('recheck')
+            .setDescription('Re-check holders now and report who is below the requirement')
+            .addBooleanOption(option =>
+                option.setName('preview')
+                    .setDescription('Only report; don\'t grant or revoke any roles (default true)')
+                    .setRequired(false)))
+    .addSubcommand(subcommand =>
+        subcommand.setName('enforce')
+            .setDescription('Revoke the role from members below the requirement on re-checks')
+            .addRoleOption(option =>
+                option.setName('role')
+                    .setDescription('Holder role')
+                    .setRequired(true))
+            .addBooleanOption(option =>
+                option.setName('enabled')
+                    .setDescription('Revoke (true) or only report (false)')
+                    .setRequired(true)));
+
+// Registry entry: permissions, cooldown, component routes and help listing
+const meta = {
+    permissions: { requiredPermissions: ['ManageGuild', 'ManageRoles'], maxUsesPerHour: 30 },
+    cooldown: 5000,
+    help: { audience: 'linked', order: 45 }
+};
+
+class HolderRolesCommand {
+    constructor(botService) {
+        this.botService = botService;
+        this.name = 'naffles-holder-roles';
+    }
+
+    async execute(interaction) {
+        try {
+            const permissionCheck = await this.botService.validateUserPermissions(
+                interaction.guildId,
+                interaction.user.id,
+                ['ManageGuild', 'ManageRoles']
+            );
+
+            if (!permissionCheck.hasPermission) {
+                return await interaction.reply({
+                    content: `❌ You don't have permission to manage holder roles. Reason: ${permissionCheck.reason}`,
+                    ephemeral: true
+                });
+            }
+
+            const subcommand = interaction.options.getSubcommand();
+
+            switch (subcommand) {
+                case 'set':
+                    await this.handleSet(interaction);
+                    break;
+                case 'remove':
+                    await this.handleRemove(interaction);
+                    break;
+                case 'list':
+                    await this.handleList(interaction);
+                    break;
+                case 'recheck':
+                    await this.handleRecheck(interaction);
+                    break;
+                case 'enforce':
+                    await this.handleEnforce(interaction);
+                    break;
+                default:
+                    await interaction.reply({
+                        content: '❌ Unknown subcommand.',
+                        ephemeral: true
+                    });
+            }
+
+        } catch (error) {
+            logger.error('Error in holderRoles command:', error);
+
+            const errorMessage = '❌ An error occurred while managing holder roles. Please try again later.';
+
+            if (interaction.replied || interaction.deferred) {
+                await interaction.followUp({ content: errorMessage, ephemeral: true });
+            } else {
+                await interaction.reply({ content: errorMessage, ephemeral: true });
+            }
+        }
+    }
+
+    async handleSet(interaction) {
+        const role = interaction.options.getRole('role');
+        const traits = this.parseTraits(interaction.options.getString('traits'));
+
+        if (!traits) {
+            return await interaction.reply({
+                content: '❌ Write trait filters as `Trait=Value`, separated by `;`.',
+                ephemeral: true
+            });
+        }
+
+        const result = await this.botService.holderRoles.configureRule(
+            interaction.guild,
+            {
+                roleId: role.id,
+                ruleType: interaction.options.getString('type'),
+                chain: interaction.options.getString('chain'),
+                contractAddress: interaction.options.getString('contract'),
+                minimumBalance: interaction.options.getNumber('minimum') ?? 1,
+                traits
+            },
+            interaction.member
+        );
+
+        if (!result.success) {
+            return await interaction.reply({
+                content: `❌ ${result.message}`,
+                ephemeral: true
+            });
+        }
+
+        await interaction.reply({
+            content: [
+                `✅ Linked members holding ${result.rule.describe()} will receive ${role}.`,
+                'The rule starts in **dry run**: members below the requirement keep the role until you review `/naffles-holder-roles recheck` and turn on `/naffles-holder-roles enforce`.'
+            ].join('\n'),
+            ephemeral: true
+        });
+    }
+
+    async handleRemove(interaction) {
+        const role = interaction.options.getRole('role');
+
+        const removed = await this.botService.holderRoles.removeRule(interaction.guildId, role.id, interaction.user.id);
+
+        if (!removed) {
+            return await interaction.reply({
+                content: `❌ No holder rule is set for ${role}.`,
+                ephemeral: true
+            });
+        }
+
+        await interaction.reply({
+            content: `✅ Holder rule for ${role} has been removed. Members keep the role unless you remove it.`,
+            ephemeral: true
+        });
+    }
+
+    async handleList(interaction) {
+        const rules = await this.botService.holderRoles.listRules(interaction.guildId);
+
+        if (rules.length === 0) {
+            return await interaction.reply({
+                content: '📭 No holder roles are configured. Use `/naffles-holder-roles set` to add one.',
+                ephemeral: true
+            });
+        }
+
+        const embed = new EmbedBuilder()
+            .setTitle('💎 Holder Roles')
+            .setDescription(`${rules.length} holder role${rules.length === 1 ? '' : 's'} configured for ${interaction.guild.name}`)
+            .setColor(0x10B981)
+            .setTimestamp();
+
+        rules.slice(0, 25).forEach(rule => {
+            const report = rule.lastReport?.generatedAt
+                ? `${rule.lastReport.holders} holders, ${rule.lastReport.belowThreshold} below <t:${Math.floor(rule.lastReport.generatedAt.getTime() / 1000)}:R>`
+                : 'Not re-checked yet';
+
+            embed.addFields({
+                name: rule.roleName || rule.roleId,
+                value: [
+                    `**Role:** <@&${rule.roleId}>`,
+                    `**Requires:** ${rule.describe()}`,
+                    `**Mode:** ${rule.enforcement === 'enforce' ? '🛡️ Enforcing' : '🧪 Dry run'}`,
+                    `**Last check:** ${report}`
+                ].join('\n').substring(0, 1024),
+                inline: false
+            });
+        });
+
+        await interaction.reply({
+            embeds: [embed],
+            ephemeral: true
+        });
+    }
+
+    async handleRecheck(interaction) {
+        const preview = interaction.options.getBoolean('preview') ?? true;
+
+        await interaction.deferReply({ ephemeral: true });
+
+        const reports = await this.botService.holderRoles.recheckGuild(interaction.guild, {
+            preview,
+            userId: interaction.user.id
+        });
+
+        if (reports.length === 0) {
+            return await interaction.editReply({
+                content: '📭 No holder roles are configured. Use `/naffles-holder-roles set` to add one.'
+            });
+        }
+
+        await interaction.editReply({ embeds: [this.createReportEmbed(reports, preview)] });
+    }
+
+    async handleEnforce(interaction) {
+        const role = interaction.options.getRole('role');
+        const enabled = interaction.options.getBoolean('enabled');
+
+        const result = await this.botService.holderRoles.setEnforcement(interaction.guildId, role.id, enabled, interaction.user.id);
+
+        if (!result.success) {
+            return await interaction.reply({
+                content: `❌ ${result.message}`,
+                ephemeral: true
+            });
+        }
+
+        const below = result.rule.reviewedReport?.belowThreshold || 0;
+        await interaction.reply({
+            content: enabled
+                ? `🛡️ ${role} is now enforced. The next re-check removes it from members below the requirement (${below} in the last report).`
+                : `🧪 ${role} is back in dry run. Re-checks will only report members below the requirement.`,
+            ephemeral: true
+        });
+    }
+
+    createReportEmbed(reports, preview) {
+        const embed = new EmbedBuilder()
+            .setTitle(preview ? '🧪 Holder Role Report (preview)' : '💎 Holder Role Re-check')
+            .setDescription(preview
+                ? 'No roles were changed.'
+                : 'Qualifying members were given their roles. Roles were only revoked for enforcing rules.')
+            .setColor(reports.some(report => report.belowThreshold > 0) ? 0xF59E0B : 0x10B981)
+            .setTimestamp();
+
+        reports.slice(0, 25).forEach(report => {
+            const below = report.revokeUserIds.map(userId => `<@${userId}>`).join(' ');
+            const more = report.belowThreshold > report.revokeUserIds.length
+                ? ` and ${report.belowThreshold - report.revokeUserIds.length} more`
+                : '';
+
+            embed.addFields({
+                name: `${report.roleName || report.roleId} (${report.enforcement === 'enforce' ? 'enforcing' : 'dry run'})`,
+                value: [
+                    `Checked ${report.checked} · Holders ${report.holders} · Granted ${report.granted}`,
+                    `Below requirement ${report.belowThreshold} · Revoked ${report.revoked} · Couldn't verify ${report.unverified}`,
+                    below ? `${report.dryRun ? 'Would lose the role' : 'Lost the role'}: ${below}${more}` : null
+                ].filter(Boolean).join('\n').substring(0, 1024),
+                inline: false
+            });
+        });
+
+        return embed;
+    }
+
+    /**
+     * Parse "Trait=Value; Trait=Value" into trait filters
+     * @returns {Array|null} Filters, or null when malformed
+     */
+    parseTraits(input) {
+        if (!input || !input.trim()) {
+            return [];
+        }
+
+        const traits = input.split(';').map(pair => pair.trim()).filter(Boolean).map(pair => {
+            const separator = pair.indexOf('=');
+            return separator > 0
+                ? { traitType: pair.slice(0, separator).trim(), value: pair.slice(separator + 1).trim() }
+                : null;
+        });
+
+        return traits.every(trait => trait && trait.traitType && trait.value) ? traits : null;
+    }
+}
+
+// Export the command class with its slash command data and registry entry
+module.exports = HolderRolesCommand;
+module.exports.data = data;
+module.exports.meta = meta;
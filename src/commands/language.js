@@ -0,0 +1,147 @@
+const { SlashCommandBuilder } = require('discord.js');
+const logger = require('../utils/logger');
+const { t, LOCALE_NAMES } = require('../utils/i18n');
+
+// Slash command data for Discord registration
+const data = new SlashCommandBuilder()
+    .setName('naffles-language')
+    .setDescription('Set the language the bot uses in this server')
+    .addSubcommand(subcommand =>
+        subcommand.setName('set')
+            .setDescription('Set the default bot language for this server')
+            .addStringOption(option =>
+                option.setName('language')
+                    .setDescription('Default language for bot messages')
+                    .setRequired(true)
+                    .addChoices(
+                        { name: 'Server default (Discord locale)', value: 'default' },
+                        { name: 'English', value: 'en' },
+                        { name: 'Español', value: 'es' },
+                        { name: 'Português (Brasil)', value: 'pt-BR' }
+                    ))
+            .addBooleanOption(option =>
+                option.setName('member_locale')
+                    .setDescription('Reply in each member\'s own Discord language when supported (default: on)')
+                    .setRequired(false)))
+    .addSubcommand(subcommand =>
+        subcommand.setName('view')
+            .setDescription('Show the current bot language settings'));
+
+// Registry entry: permissions, cooldown, component routes and help listing
+const meta = {
+    permissions: { requiredPermissions: ['ManageGuild'], maxUsesPerHour: 20 },
+    cooldown: 5000,
+    help: { audience: 'linked', order: 70 }
+};
+
+class LanguageCommand {
+    constructor(botService) {
+        this.botService = botService;
+        this.name = 'naffles-language';
+    }
+
+    async execute(interaction) {
+        let locale;
+
+        try {
+            locale = await this.botService.localization.resolveLocale(interaction);
+
+            const permissionCheck = await this.botService.validateUserPermissions(
+                interaction.guildId,
+                interaction.user.id,
+                ['ManageGuild']
+            );
+
+            if (!permissionCheck.hasPermission) {
+                return await interaction.reply({
+                    content: t(locale, 'language.noPermission', { reason: permissionCheck.reason }),
+                    ephemeral: true
+                });
+            }
+
+            const subcommand = interaction.options.getSubcommand();
+
+            switch (subcommand) {
+                case 'set':
+                    await this.handleSet(interaction, locale);
+                    break;
+                case 'view':
+                    await this.handleView(interaction, locale);
+                    break;
+                default:
+                    await interaction.reply({
+                        content: '❌ Unknown subcommand.',
+                        ephemeral: true
+                    });
+            }
+
+        } catch (error) {
+            logger.error('Error in language command:', error);
+
+            const errorMessage = t(locale, 'language.error');
+
+            if (interaction.replied || interaction.deferred) {
+                await interaction.followUp({ content: errorMessage, ephemeral: true });
+            } else {
+                await interaction.reply({ content: errorMessage, ephemeral: true });
+            }
+        }
+    }
+
+    async handleSet(interaction, locale) {
+        const choice = interaction.options.getString('language');
+        const useMemberLocale = interaction.options.getBoolean('member_locale');
+
+        const result = await this.botService.localization.setGuildLanguage(
+            interaction.guild,
+            { language: choice === 'default' ? null : choice, useMemberLocale },
+            interaction.user.id
+        );
+
+        if (!result.success) {
+            const content = result.reason === 'not_linked'
+                ? t(locale, 'language.notLinked')
+                : t(locale, 'language.error');
+
+            return await interaction.reply({ content, ephemeral: true });
+        }
+
+        // Confirm in the language the member will see from now on
+        const newLocale = await this.botService.localization.resolveLocale(interaction);
+
+        await interaction.reply({
+            content: [
+                result.language
+                    ? t(newLocale, 'language.updated', { language: LOCALE_NAMES[result.language] })
+                    : this.describeLanguage(newLocale, null, interaction),
+                t(newLocale, result.useMemberLocale ? 'language.memberLocaleOn' : 'language.memberLocaleOff')
+            ].join('\n'),
+            ephemeral: true
+        });
+    }
+
+    async handleView(interaction, locale) {
+        const settings = await this.botService.localization.getGuildSettings(interaction.guildId);
+
+        await interaction.reply({
+            content: [
+                this.describeLanguage(locale, settings.language, interaction),
+                t(locale, settings.useMemberLocale ? 'language.memberLocaleOn' : 'language.memberLocaleOff')
+            ].join('\n'),
+            ephemeral: true
+        });
+    }
+
+    describeLanguage(locale, language, interaction) {
+        if (language) {
+            return t(locale, 'language.current', { language: LOCALE_NAMES[language] });
+        }
+
+        return t(locale, 'language.notSet', { language: interaction.guild?.preferredLocale || interaction.guildLocale || 'en-US' });
+    }
+}
+
+// Export the command class with its slash command data and registry entry
+module.exports = LanguageCommand;
+module.exports.data = data;
+module.exports.meta = meta;
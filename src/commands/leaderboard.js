@@ -0,0 +1,217 @@
+const { SlashCommandBuilder, ChannelType } = require('discord.js');
+const logger = require('../utils/logger');
+const { t } = require('../utils/i18n');
+
+const periodChoices = [
+    { name: 'This week', value: 'weekly' },
+    { name: 'This month', value: 'monthly' },
+    { name: 'All time', value: 'all_time' }
+];
+
+const metricChoices = [
+    { name: 'Points earned', value: 'points' },
+    { name: 'Tasks completed', value: 'tasks' }
+];
+
+// Slash command data for Discord registration
+const data = new SlashCommandBuilder()
+    .setName('naffles-leaderboard')
+    .setDescription('Show the top point earners and task completers in this server')
+    .addSubcommand(subcommand =>
+        subcommand.setName('view')
+            .setDescription('View the leaderboard')
+            .addStringOption(option =>
+                option.setName('period')
+                    .setDescription('Time period (default: this week)')
+                    .setRequired(false)
+                    .addChoices(...periodChoices))
+            .addStringOption(option =>
+                option.setName('metric')
+                    .setDescription('Rank by points or tasks (default: points)')
+                    .setRequired(false)
+                    .addChoices(...metricChoices)))
+    .addSubcommand(subcommand =>
+        subcommand.setName('post')
+            .setDescription('Post a leaderboard that refreshes itself')
+            .addStringOption(option =>
+                option.setName('period')
+                    .setDescription('Time period (default: this week)')
+                    .setRequired(false)
+                    .addChoices(...periodChoices))
+            .addStringOption(option =>
+                option.setName('metric')
+                    .setDescription('Rank by points or tasks (default: points)')
+                    .setRequired(false)
+                    .addChoices(...metricChoices))
+            .addChannelOption(option =>
+                option.setName('channel')
+                    .setDescription('Channel to post in (default: this channel)')
+                    .setRequired(false)
+                    .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)))
+    .addSubcommand(subcommand =>
+        subcommand.setName('remove')
+            .setDescription('Stop refreshing the leaderboards posted in a channel')
+            .addChannelOption(option =>
+                option.setName('channel')
+                    .setDescription('Channel with the leaderboards (default: this channel)')
+                    .setRequired(false)
+                    .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)));
+
+// Registry entry: permissions, cooldown, component routes and help listing
+const meta = {
+    permissions: { requiredPermissions: ['SendMessages'], maxUsesPerHour: 30 },
+    cooldown: 5000,
+    routes: {
+        buttons: [{ prefix: 'leaderboard_', handler: 'handleButtonInteraction' }]
+    },
+    help: { audience: 'linked', order: 80 }
+};
+
+class LeaderboardCommand {
+    constructor(botService) {
+        this.botService = botService;
+        this.name = 'naffles-leaderboard';
+    }
+
+    async execute(interaction) {
+        let locale;
+
+        try {
+            locale = await this.botService.localization.resolveLocale(interaction);
+
+            // Check if server is linked to a community
+            const serverMapping = await this.botService.getServerCommunityMapping(interaction.guildId);
+            if (!serverMapping) {
+                return await interaction.reply({
+                    content: t(locale, 'leaderboard.notLinked'),
+                    ephemeral: true
+                });
+            }
+
+            const subcommand = interaction.options.getSubcommand();
+
+            if (subcommand === 'post' || subcommand === 'remove') {
+                const permissionCheck = await this.botService.validateUserPermissions(
+                    interaction.guildId,
+                    interaction.user.id,
+                    ['ManageGuild']
+                );
+
+                if (!permissionCheck.hasPermission) {
+                    return await interaction.reply({
+                        content: t(locale, 'leaderboard.noPermission', { reason: permissionCheck.reason }),
+                        ephemeral: true
+                    });
+                }
+            }
+
+            switch (subcommand) {
+                case 'view':
+                    await this.handleView(interaction, locale);
+                    break;
+                case 'post':
+                    await this.handlePost(interaction, locale);
+                    break;
+                case 'remove':
+                    await this.handleRemove(interaction, locale);
+                    break;
+                default:
+                    await interaction.reply({
+                        content: '❌ Unknown subcommand.',
+                        ephemeral: true
+                    });
+            }
+
+        } catch (error) {
+            logger.error('Error in leaderboard command:', error);
+
+            const errorMessage = t(locale, 'leaderboard.error');
+
+            if (interaction.replied || interaction.deferred) {
+                await interaction.followUp({ content: errorMessage, ephemeral: true });
+            } else {
+                await interaction.reply({ content: errorMessage, ephemeral: true });
+            }
+        }
+    }
+
+    async handleView(interaction, locale) {
+        await interaction.deferReply({ ephemeral: true });
+
+        const content = await this.botService.leaderboard.buildLeaderboardMessage(interaction.guild, {
+            period: interaction.options.getString('period') || 'weekly',
+            metric: interaction.options.getString('metric') || 'points',
+            locale
+        });
+
+        await interaction.editReply(content);
+        await this.botService.logInteraction(interaction, 'view_leaderboard', 'success');
+    }
+
+    async handlePost(interaction, locale) {
+        const channel = interaction.options.getChannel('channel') || interaction.channel;
+
+        await interaction.deferReply({ ephemeral: true });
+
+        const result = await this.botService.leaderboard.postLeaderboard(channel, {
+            period: interaction.options.getString('period') || 'weekly',
+            metric: interaction.options.getString('metric') || 'points'
+        }, interaction.user.id);
+
+        if (!result.success) {
+            return await interaction.editReply({
+                content: t(locale, 'leaderboard.postFailed', { channel: `<#${channel.id}>` })
+            });
+        }
+
+        await interaction.editReply({
+            content: t(locale, 'leaderboard.posted', {
+                channel: `<#${channel.id}>`,
+                count: Math.round(result.board.updateFrequency / 60000)
+            })
+        });
+        await this.botService.logInteraction(interaction, 'post_leaderboard', 'success');
+    }
+
+    async handleRemove(interaction, locale) {
+        const channel = interaction.options.getChannel('channel') || interaction.channel;
+        const removed = await this.botService.leaderboard.removeLeaderboards(interaction.guildId, channel.id);
+
+        await interaction.reply({
+            content: removed > 0
+                ? t(locale, 'leaderboard.removed', { count: removed, channel: `<#${channel.id}>` })
+                : t(locale, 'leaderboard.noneInChannel', { channel: `<#${channel.id}>` }),
+            ephemeral: true
+        });
+    }
+
+    async handleButtonInteraction(interaction) {
+        const view = this.botService.leaderboard.parseButtonId(interaction.customId);
+        if (!view) {
+            return await interaction.reply({ content: '❌ Unknown button. Please try again.', ephemeral: true });
+        }
+
+        const locale = await this.botService.localization.resolveLocale(interaction);
+
+        // Paging a shared leaderboard opens a private copy instead of changing it for everyone
+        if (view.source === 'post') {
+            await interaction.deferReply({ ephemeral: true });
+        } else {
+            await interaction.deferUpdate();
+        }
+
+        const content = await this.botService.leaderboard.buildLeaderboardMessage(interaction.guild, {
+            period: view.period,
+            metric: view.metric,
+            page: view.page,
+            locale
+        });
+
+        await interaction.editReply(content);
+    }
+}
+
+// Export the command class with its slash command data and registry entry
+module.exports = LeaderboardCommand;
+module.exports.data = data;
+module.exports.meta = meta;
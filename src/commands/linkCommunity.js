@@ -11,6 +11,17 @@ const data = new SlashCommandBuilder()
             .setRequired(true)
             .setMaxLength(50));
 
+// Registry entry: permissions, cooldown, component routes and help listing
+const meta = {
+    permissions: { requiredPermissions: ['Administrator'], adminOnly: true, maxUsesPerHour: 2 },
+    cooldown: 30000,
+    routes: {
+        buttons: [{ customId: ['unlink_community', 'relink_community', 'test_connection'], handler: 'handleButtonInteraction' }]
+    },
+    help: { audience: 'unlinked', order: 5 },
+    maintenance: 'linking'
+};
+
 class LinkCommunityCommand {
     constructor(botService) {
         this.botService = botService;
@@ -351,6 +362,7 @@ class LinkCommunityCommand {
     }
 }
 
-// Export both the command class and the slash command data
+// Export the command class with its slash command data and registry entry
 module.exports = LinkCommunityCommand;
-module.exports.data = data;
\ No newline at end of file
+module.exports.data = data;
+module.exports.meta = meta;
\ No newline at end of file
@@ -16,6 +16,17 @@ const data = new SlashCommandBuilder()
                 { name: 'All', value: 'all' }
             ));
 
+// Registry entry: permissions, cooldown, component routes and help listing
+const meta = {
+    permissions: { requiredPermissions: ['SendMessages'], maxUsesPerHour: 20 },
+    cooldown: 5000,
+    routes: {
+        selectMenus: [{ customId: 'select_task_details', handler: 'handleSelectMenu' }]
+    },
+    help: { audience: 'linked', order: 50 },
+    maintenance: 'tasks'
+};
+
 class ListTasksCommand {
     constructor(botService) {
         this.botService = botService;
@@ -296,6 +307,7 @@ class ListTasksCommand {
     }
 }
 
-// Export both the command class and the slash command data
+// Export the command class with its slash command data and registry entry
 module.exports = ListTasksCommand;
-module.exports.data = data;
\ No newline at end of file
+module.exports.data = data;
+module.exports.meta = meta;
\ No newline at end of file
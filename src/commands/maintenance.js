@@ -0,0 +1,215 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const logger = require('../utils/logger');
+const { MAINTENANCE_FEATURES } = require('../services/maintenanceService');
+
+const MAX_MINUTES = 7 * 24 * 60;
+
+// Slash command data for Discord registration
+const data = new SlashCommandBuilder()
+    .setName('naffles-maintenance')
+    .setDescription('Pause bot features in this server for maintenance')
+    .addSubcommand(subcommand =>
+        subcommand.setName('start')
+            .setDescription('Start or schedule maintenance in this server')
+            .addStringOption(option =>
+                option.setName('feature')
+                    .setDescription('What to pause (default: all bot features)')
+                    .setRequired(false)
+                    .addChoices(
+                        { name: 'All bot features', value: 'all' },
+                        ...MAINTENANCE_FEATURES.map(feature => ({
+                            name: feature.charAt(0).toUpperCase() + feature.slice(1),
+                            value: feature
+                        }))
+                    ))
+            .addStringOption(option =>
+                option.setName('reason')
+                    .setDescription('Shown to members while maintenance is on')
+                    .setRequired(false)
+                    .setMaxLength(200))
+            .addIntegerOption(option =>
+                option.setName('starts_in')
+                    .setDescription('Minutes until maintenance starts (default: now)')
+                    .setRequired(false)
+                    .setMinValue(0)
+                    .setMaxValue(MAX_MINUTES))
+            .addIntegerOption(option =>
+                option.setName('duration')
+                    .setDescription('Minutes maintenance lasts (default: until ended)')
+                    .setRequired(false)
+                    .setMinValue(1)
+                    .setMaxValue(MAX_MINUTES))
+            .addBooleanOption(option =>
+                option.setName('announce')
+                    .setDescription('Announce scheduled maintenance in this server (default true)')
+                    .setRequired(false)))
+    .addSubcommand(subcommand =>
+        subcommand.setName('end')
+            .setDescription('End or cancel maintenance in this server')
+            .addStringOption(option =>
+                option.setName('id')
+                    .setDescription('Maintenance ID from /naffles-maintenance status (default: all active)')
+                    .setRequired(false)))
+    .addSubcommand(subcommand =>
+        subcommand.setName('status')
+            .setDescription('Show active and scheduled maintenance for this server'));
+
+// Registry entry: permissions, cooldown, component routes and help listing
+const meta = {
+    permissions: { requiredPermissions: ['Administrator'], adminOnly: true, maxUsesPerHour: 10 },
+    cooldown: 5000,
+    help: { audience: 'linked', order: 105 },
+    maintenance: false
+};
+
+class MaintenanceCommand {
+    constructor(botService) {
+        this.botService = botService;
+        this.name = 'naffles-maintenance';
+    }
+
+    async execute(interaction) {
+        try {
+            const permissionCheck = await this.botService.validateUserPermissions(
+                interaction.guildId,
+                interaction.user.id,
+                ['Administrator']
+            );
+
+            if (!permissionCheck.hasPermission) {
+                return await interaction.reply({
+                    content: `❌ You don't have permission to manage maintenance. Reason: ${permissionCheck.reason}`,
+                    ephemeral: true
+                });
+            }
+
+            const subcommand = interaction.options.getSubcommand();
+
+            switch (subcommand) {
+                case 'start':
+                    await this.handleStart(interaction);
+                    break;
+                case 'end':
+                    await this.handleEnd(interaction);
+                    break;
+                case 'status':
+                    await this.handleStatus(interaction);
+                    break;
+                default:
+                    await interaction.reply({
+                        content: '❌ Unknown subcommand.',
+                        ephemeral: true
+                    });
+            }
+
+        } catch (error) {
+            logger.error('Error in maintenance command:', error);
+
+            const errorMessage = '❌ An error occurred while managing maintenance. Please try again later.';
+
+            if (interaction.replied || interaction.deferred) {
+                await interaction.followUp({ content: errorMessage, ephemeral: true });
+            } else {
+                await interaction.reply({ content: errorMessage, ephemeral: true });
+            }
+        }
+    }
+
+    async handleStart(interaction) {
+        const feature = interaction.options.getString('feature') || 'all';
+        const startsIn = interaction.options.getInteger('starts_in') || 0;
+        const duration = interaction.options.getInteger('duration');
+        const startsAt = new Date(Date.now() + startsIn * 60 * 1000);
+
+        const result = await this.botService.maintenance.schedule({
+            reason: interaction.options.getString('reason') || undefined,
+            features: feature === 'all' ? [] : [feature],
+            guildIds: [interaction.guildId],
+            startsAt,
+            endsAt: duration ? new Date(startsAt.getTime() + duration * 60 * 1000) : null,
+            announce: interaction.options.getBoolean('announce') ?? true,
+            createdBy: interaction.user.id
+        });
+
+        if (!result.success) {
+            return await interaction.reply({ content: `❌ ${result.message}`, ephemeral: true });
+        }
+
+        await this.botService.auditLogger?.logAdminAction(interaction.user.id, 'maintenance_scheduled', interaction.guildId, {
+            maintenanceId: result.window.id,
+            features: result.window.features,
+            startsAt: result.window.startsAt,
+            endsAt: result.window.endsAt
+        });
+
+        await interaction.reply({
+            content: startsIn > 0
+                ? '🕒 Maintenance scheduled. End or cancel it with `/naffles-maintenance end`.'
+                : '🔧 Maintenance started. End it with `/naffles-maintenance end`.',
+            embeds: [new EmbedBuilder()
+                .setColor(0x6C5CE7)
+                .addFields(this.botService.maintenance.describeField(result.window))],
+            ephemeral: true
+        });
+    }
+
+    async handleEnd(interaction) {
+        const id = interaction.options.getString('id');
+        const guildWindows = this.botService.maintenance.listForGuild(interaction.guildId);
+
+        // Bot-wide maintenance is run by Naffles from the CLI
+        const isOwn = window => window.guildIds.length === 1 && window.guildIds[0] === interaction.guildId;
+
+        let ended;
+        if (id) {
+            const window = guildWindows.find(candidate => candidate.id === id);
+            if (!window || !isOwn(window)) {
+                return await interaction.reply({
+                    content: window
+                        ? '❌ That maintenance covers every server and can only be ended by Naffles.'
+                        : '❌ No maintenance with that ID affects this server.',
+                    ephemeral: true
+                });
+            }
+
+            await this.botService.maintenance.end(id);
+            ended = [window];
+        } else {
+            ended = await this.botService.maintenance.endActive(isOwn);
+        }
+
+        if (ended.length === 0) {
+            return await interaction.reply({ content: 'ℹ️ No maintenance is active in this server.', ephemeral: true });
+        }
+
+        await this.botService.auditLogger?.logAdminAction(interaction.user.id, 'maintenance_ended', interaction.guildId, {
+            maintenanceIds: ended.map(window => window.id)
+        });
+
+        await interaction.reply({
+            content: `✅ Ended ${ended.length === 1 ? `maintenance \`${ended[0].id}\`` : `${ended.length} maintenance windows`}.`,
+            ephemeral: true
+        });
+    }
+
+    async handleStatus(interaction) {
+        const windows = this.botService.maintenance.listForGuild(interaction.guildId);
+
+        if (windows.length === 0) {
+            return await interaction.reply({ content: '🟢 No maintenance is active or scheduled for this server.', ephemeral: true });
+        }
+
+        const embed = new EmbedBuilder()
+            .setTitle('🔧 Maintenance')
+            .setColor(0x6C5CE7)
+            .addFields(windows.slice(0, 25).map(window => this.botService.maintenance.describeField(window)))
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+}
+
+// Export the command class with its slash command data and registry entry
+module.exports = MaintenanceCommand;
+module.exports.data = data;
+module.exports.meta = meta;
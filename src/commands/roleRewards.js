@@ -0,0 +1,203 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const logger = require('../utils/logger');
+
+const targetTypeChoices = [
+    { name: 'Task completion', value: 'task' },
+    { name: 'Allowlist win', value: 'allowlist' }
+];
+
+// Slash command data for Discord registration
+const data = new SlashCommandBuilder()
+    .setName('naffles-role-rewards')
+    .setDescription('Grant Discord roles for completing tasks or winning allowlists')
+    .addSubcommand(subcommand =>
+        subcommand.setName('set')
+            .setDescription('Grant a role when a task is completed or an allowlist is won')
+            .addStringOption(option =>
+                option.setName('type')
+                    .setDescription('What earns the role')
+                    .setRequired(true)
+                    .addChoices(...targetTypeChoices))
+            .addStringOption(option =>
+                option.setName('target_id')
+                    .setDescription('Task or allowlist ID')
+                    .setRequired(true)
+                    .setMaxLength(100))
+            .addRoleOption(option =>
+                option.setName('role')
+                    .setDescription('Role to grant')
+                    .setRequired(true))
+            .addIntegerOption(option =>
+                option.setName('duration_hours')
+                    .setDescription('Remove the role after this many hours (default: permanent)')
+                    .setRequired(false)
+                    .setMinValue(1)
+                    .setMaxValue(8760)))
+    .addSubcommand(subcommand =>
+        subcommand.setName('remove')
+            .setDescription('Stop granting a role for a task or allowlist')
+            .addStringOption(option =>
+                option.setName('type')
+                    .setDescription('What earns the role')
+                    .setRequired(true)
+                    .addChoices(...targetTypeChoices))
+            .addStringOption(option =>
+                option.setName('target_id')
+                    .setDescription('Task or allowlist ID')
+                    .setRequired(true)
+                    .setMaxLength(100)))
+    .addSubcommand(subcommand =>
+        subcommand.setName('list')
+            .setDescription('List role rewards configured for this server'));
+
+// Registry entry: permissions, cooldown, component routes and help listing
+const meta = {
+    permissions: { requiredPermissions: ['ManageGuild', 'ManageRoles'], maxUsesPerHour: 30 },
+    cooldown: 5000,
+    help: { audience: 'linked', order: 40 }
+};
+
+class RoleRewardsCommand {
+    constructor(botService) {
+        this.botService = botService;
+        this.name = 'naffles-role-rewards';
+    }
+
+    async execute(interaction) {
+        try {
+            const permissionCheck = await this.botService.validateUserPermissions(
+                interaction.guildId,
+                interaction.user.id,
+                ['ManageGuild', 'ManageRoles']
+            );
+
+            if (!permissionCheck.hasPermission) {
+                return await interaction.reply({
+                    content: `❌ You don't have permission to manage role rewards. Reason: ${permissionCheck.reason}`,
+                    ephemeral: true
+                });
+            }
+
+            const subcommand = interaction.options.getSubcommand();
+
+            switch (subcommand) {
+                case 'set':
+                    await this.handleSet(interaction);
+                    break;
+                case 'remove':
+                    await this.handleRemove(interaction);
+                    break;
+                case 'list':
+                    await this.handleList(interaction);
+                    break;
+                default:
+                    await interaction.reply({
+                        content: '❌ Unknown subcommand.',
+                        ephemeral: true
+                    });
+            }
+
+        } catch (error) {
+            logger.error('Error in roleRewards command:', error);
+
+            const errorMessage = '❌ An error occurred while managing role rewards. Please try again later.';
+
+            if (interaction.replied || interaction.deferred) {
+                await interaction.followUp({ content: errorMessage, ephemeral: true });
+            } else {
+                await interaction.reply({ content: errorMessage, ephemeral: true });
+            }
+        }
+    }
+
+    async handleSet(interaction) {
+        const targetType = interaction.options.getString('type');
+        const targetId = interaction.options.getString('target_id').trim();
+        const role = interaction.options.getRole('role');
+        const durationHours = interaction.options.getInteger('duration_hours');
+
+        const result = await this.botService.roleRewards.configureReward(
+            interaction.guild,
+            { targetType, targetId, roleId: role.id, durationHours },
+            interaction.member
+        );
+
+        if (!result.success) {
+            return await interaction.reply({
+                content: `❌ ${result.message}`,
+                ephemeral: true
+            });
+        }
+
+        const durationText = durationHours ? `for ${durationHours} hour${durationHours === 1 ? '' : 's'}` : 'permanently';
+        const targetText = targetType === 'task' ? `completing task \`${targetId}\`` : `winning allowlist \`${targetId}\``;
+
+        await interaction.reply({
+            content: `✅ Members ${targetText} will receive ${role} ${durationText}.`,
+            ephemeral: true
+        });
+    }
+
+    async handleRemove(interaction) {
+        const targetType = interaction.options.getString('type');
+        const targetId = interaction.options.getString('target_id').trim();
+
+        const removed = await this.botService.roleRewards.removeReward(
+            interaction.guildId,
+            targetType,
+            targetId,
+            interaction.user.id
+        );
+
+        if (!removed) {
+            return await interaction.reply({
+                content: `❌ No role reward is configured for ${targetType} \`${targetId}\`.`,
+                ephemeral: true
+            });
+        }
+
+        await interaction.reply({
+            content: `✅ Role reward for ${targetType} \`${targetId}\` has been removed. Roles already granted will still expire as scheduled.`,
+            ephemeral: true
+        });
+    }
+
+    async handleList(interaction) {
+        const rewards = await this.botService.roleRewards.listRewards(interaction.guildId);
+
+        if (rewards.length === 0) {
+            return await interaction.reply({
+                content: '📭 No role rewards are configured. Use `/naffles-role-rewards set` to add one.',
+                ephemeral: true
+            });
+        }
+
+        const embed = new EmbedBuilder()
+            .setTitle('🏅 Role Rewards')
+            .setDescription(`${rewards.length} role reward${rewards.length === 1 ? '' : 's'} configured for ${interaction.guild.name}`)
+            .setColor(0x10B981)
+            .setTimestamp();
+
+        rewards.slice(0, 25).forEach(reward => {
+            embed.addFields({
+                name: `${reward.targetType === 'task' ? '🎯 Task' : '🎫 Allowlist'} ${reward.targetId}`,
+                value: [
+                    `**Role:** <@&${reward.roleId}>`,
+                    `**Duration:** ${reward.durationHours ? `${reward.durationHours}h` : 'Permanent'}`,
+                    `**Granted:** ${reward.grantCount} time${reward.grantCount === 1 ? '' : 's'}`
+                ].join('\n'),
+                inline: true
+            });
+        });
+
+        await interaction.reply({
+            embeds: [embed],
+            ephemeral: true
+        });
+    }
+}
+
+// Export the command class with its slash command data and registry entry
+module.exports = RoleRewardsCommand;
+module.exports.data = data;
+module.exports.meta = meta;
@@ -0,0 +1,168 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const logger = require('../utils/logger');
+
+// Slash command data for Discord registration
+const data = new SlashCommandBuilder()
+    .setName('naffles-scheduled-tasks')
+    .setDescription('View or cancel scheduled and recurring task posts')
+    .addSubcommand(subcommand =>
+        subcommand.setName('list')
+            .setDescription('List upcoming scheduled task posts for this server'))
+    .addSubcommand(subcommand =>
+        subcommand.setName('cancel')
+            .setDescription('Cancel a scheduled task post')
+            .addStringOption(option =>
+                option.setName('schedule_id')
+                    .setDescription('ID of the schedule to cancel (shown in the list)')
+                    .setRequired(true)
+                    .setMaxLength(50)));
+
+// Registry entry: permissions, cooldown, component routes and help listing
+const meta = {
+    permissions: { requiredPermissions: ['ManageGuild'], maxUsesPerHour: 30 },
+    cooldown: 5000,
+    help: { audience: 'linked', order: 20 },
+    maintenance: 'tasks'
+};
+
+class ScheduledTasksCommand {
+    constructor(botService) {
+        this.botService = botService;
+        this.name = 'naffles-scheduled-tasks';
+    }
+
+    async execute(interaction) {
+        try {
+            // Scheduling is managed by the same members who can create tasks
+            const permissionCheck = await this.botService.validateUserPermissions(
+                interaction.guildId,
+                interaction.user.id,
+                ['ManageGuild']
+            );
+
+            if (!permissionCheck.hasPermission) {
+                return await interaction.reply({
+                    content: `❌ You don't have permission to manage scheduled tasks. Reason: ${permissionCheck.reason}`,
+                    ephemeral: true
+                });
+            }
+
+            const subcommand = interaction.options.getSubcommand();
+
+            switch (subcommand) {
+                case 'list':
+                    await this.handleList(interaction);
+                    break;
+                case 'cancel':
+                    await this.handleCancel(interaction);
+                    break;
+                default:
+                    await interaction.reply({
+                        content: '❌ Unknown subcommand.',
+                        ephemeral: true
+                    });
+            }
+
+        } catch (error) {
+            logger.error('Error in scheduledTasks command:', error);
+
+            const errorMessage = '❌ An error occurred while managing scheduled tasks. Please try again later.';
+
+            if (interaction.replied || interaction.deferred) {
+                await interaction.followUp({ content: errorMessage, ephemeral: true });
+            } else {
+                await interaction.reply({ content: errorMessage, ephemeral: true });
+            }
+        }
+    }
+
+    async handleList(interaction) {
+        const schedules = await this.botService.taskScheduler.listUpcoming(interaction.guildId);
+
+        if (schedules.length === 0) {
+            return await interaction.reply({
+                content: '📭 There are no upcoming scheduled task posts. Use `/naffles-create-task` with `start_time` or `repeat` to schedule one.',
+                ephemeral: true
+            });
+        }
+
+        const embed = new EmbedBuilder()
+            .setTitle('🗓️ Scheduled Task Posts')
+            .setDescription(`${schedules.length} upcoming post${schedules.length === 1 ? '' : 's'} for ${interaction.guild.name}`)
+            .setColor(0x7C3AED)
+            .setTimestamp();
+
+        schedules.slice(0, 10).forEach(schedule => {
+            const nextRun = schedule.schedule.nextRunAt
+                ? `<t:${Math.floor(new Date(schedule.schedule.nextRunAt).getTime() / 1000)}:R>`
+                : 'Pending';
+
+            embed.addFields({
+                name: `${schedule.taskData.title}`,
+                value: [
+                    `**ID:** \`${schedule.scheduleId}\``,
+                    `**Next post:** ${nextRun} in <#${schedule.channelId}>`,
+                    `**Repeats:** ${this.formatRecurrence(schedule.schedule)}`,
+                    `**Posted:** ${schedule.schedule.runCount} time${schedule.schedule.runCount === 1 ? '' : 's'}`
+                ].join('\n'),
+                inline: false
+            });
+        });
+
+        if (schedules.length > 10) {
+            embed.setFooter({ text: `Showing 10 of ${schedules.length} scheduled posts` });
+        }
+
+        await interaction.reply({
+            embeds: [embed],
+            ephemeral: true
+        });
+    }
+
+    async handleCancel(interaction) {
+        const scheduleId = interaction.options.getString('schedule_id');
+
+        const cancelled = await this.botService.taskScheduler.cancelSchedule(
+            interaction.guildId,
+            scheduleId,
+            interaction.user.id
+        );
+
+        if (!cancelled) {
+            return await interaction.reply({
+                content: `❌ No upcoming scheduled post found with ID \`${scheduleId}\`.`,
+                ephemeral: true
+            });
+        }
+
+        await interaction.reply({
+            content: `✅ Scheduled post "${cancelled.taskData.title}" has been cancelled.`,
+            ephemeral: true
+        });
+
+        await this.botService.auditLogger.logAdminAction(
+            interaction.user.id,
+            'scheduled_task_cancelled',
+            interaction.guildId,
+            { scheduleId }
+        );
+    }
+
+    formatRecurrence(schedule) {
+        switch (schedule.recurrence) {
+            case 'daily':
+                return 'Daily';
+            case 'weekly':
+                return 'Weekly';
+            case 'cron':
+                return `\`${schedule.cronExpression}\` (UTC)`;
+            default:
+                return 'No';
+        }
+    }
+}
+
+// Export the command class with its slash command data and registry entry
+module.exports = ScheduledTasksCommand;
+module.exports.data = data;
+module.exports.meta = meta;
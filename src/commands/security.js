@@ -1,9 +1,349 @@
-const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
 const logger = require('../utils/logger');
+const AutoModerationService = require('../services/autoModerationService');
+
+// Slash command data for Discord registration
+const data = new SlashCommandBuilder()
+    .setName('naffles-security')
+    .setDescription('Security management and monitoring (Admin only)')
+    .addSubcommand(subcommand =>
+        subcommand.setName('report')
+            .setDescription('Generate a security report')
+            .addStringOption(option =>
+                option.setName('timeframe')
+                    .setDescription('Report timeframe')
+                    .setRequired(false)
+                    .addChoices(
+                        { name: 'Last Hour', value: 'hour' },
+                        { name: 'Last Day', value: 'day' },
+                        { name: 'Last Week', value: 'week' },
+                        { name: 'Last Month', value: 'month' }
+                    )))
+    .addSubcommand(subcommand =>
+        subcommand.setName('stats')
+            .setDescription('View security statistics'))
+    .addSubcommand(subcommand =>
+        subcommand.setName('alerts')
+            .setDescription('Configure security alerts')
+            .addStringOption(option =>
+                option.setName('action')
+                    .setDescription('Alert action')
+                    .setRequired(true)
+                    .addChoices(
+                        { name: 'Setup Channel', value: 'setup' },
+                        { name: 'Remove Alerts', value: 'remove' },
+                        { name: 'Test Alert', value: 'test' },
+                        { name: 'View Destinations', value: 'view' },
+                        { name: 'Add Webhook', value: 'add_webhook' },
+                        { name: 'Remove Webhook', value: 'remove_webhook' }
+                    ))
+            .addChannelOption(option =>
+                option.setName('channel')
+                    .setDescription('Channel for security alerts')
+                    .setRequired(false))
+            .addStringOption(option =>
+                option.setName('severity')
+                    .setDescription('Lowest severity sent to this destination (default: high)')
+                    .setRequired(false)
+                    .addChoices(
+                        { name: 'Low', value: 'low' },
+                        { name: 'Medium', value: 'medium' },
+                        { name: 'High', value: 'high' },
+                        { name: 'Critical', value: 'critical' }
+                    ))
+            .addStringOption(option =>
+                option.setName('url')
+                    .setDescription('HTTPS webhook URL (add_webhook)')
+                    .setRequired(false))
+            .addStringOption(option =>
+                option.setName('format')
+                    .setDescription('Webhook payload format (default: json)')
+                    .setRequired(false)
+                    .addChoices(
+                        { name: 'JSON', value: 'json' },
+                        { name: 'Slack', value: 'slack' }
+                    ))
+            .addStringOption(option =>
+                option.setName('secret')
+                    .setDescription('Secret for signing JSON webhook payloads')
+                    .setRequired(false))
+            .addStringOption(option =>
+                option.setName('webhook')
+                    .setDescription('Webhook ID to remove (see action:view)')
+                    .setRequired(false)))
+    .addSubcommand(subcommand =>
+        subcommand.setName('audit')
+            .setDescription('View audit logs')
+            .addStringOption(option =>
+                option.setName('timeframe')
+                    .setDescription('Only show logs from this period')
+                    .setRequired(false)
+                    .addChoices(
+                        { name: 'Last Hour', value: 'hour' },
+                        { name: 'Last Day', value: 'day' },
+                        { name: 'Last Week', value: 'week' },
+                        { name: 'Last Month', value: 'month' }
+                    ))
+            .addUserOption(option =>
+                option.setName('user')
+                    .setDescription('Filter by user')
+                    .setRequired(false))
+            .addStringOption(option =>
+                option.setName('type')
+                    .setDescription('Filter by event type')
+                    .setRequired(false)
+                    .addChoices(
+                        { name: 'Command Executed', value: 'command_executed' },
+                        { name: 'Permission Denied', value: 'permission_denied' },
+                        { name: 'Security Event', value: 'security_event' },
+                        { name: 'Admin Action', value: 'admin_action' },
+                        { name: 'Config Changed', value: 'config_changed' },
+                        { name: 'Rate Limit Hit', value: 'rate_limit_hit' }
+                    ))
+            .addStringOption(option =>
+                option.setName('severity')
+                    .setDescription('Filter by severity')
+                    .setRequired(false)
+                    .addChoices(
+                        { name: 'Low', value: 'low' },
+                        { name: 'Medium', value: 'medium' },
+                        { name: 'High', value: 'high' },
+                        { name: 'Critical', value: 'critical' }
+                    )))
+    .addSubcommand(subcommand =>
+        subcommand.setName('permissions')
+            .setDescription('Manage permission configuration')
+            .addStringOption(option =>
+                option.setName('action')
+                    .setDescription('Permission action')
+                    .setRequired(true)
+                    .addChoices(
+                        { name: 'View Config', value: 'view' },
+                        { name: 'Reset to Defaults', value: 'reset' }
+                    )))
+    .addSubcommand(subcommand =>
+        subcommand.setName('ratelimits')
+            .setDescription('View or override rate limits for this server')
+            .addStringOption(option =>
+                option.setName('action')
+                    .setDescription('Rate limit action')
+                    .setRequired(true)
+                    .addChoices(
+                        { name: 'View Limits', value: 'view' },
+                        { name: 'Set Limit', value: 'set' },
+                        { name: 'Reset to Defaults', value: 'reset' }
+                    ))
+            .addStringOption(option =>
+                option.setName('limit')
+                    .setDescription('What to limit')
+                    .setRequired(false)
+                    .addChoices(
+                        { name: 'Commands', value: 'command' },
+                        { name: 'Buttons', value: 'button' },
+                        { name: 'Allowlist Entries', value: 'allowlist_entry' },
+                        { name: 'Interactions', value: 'interaction' }
+                    ))
+            .addStringOption(option =>
+                option.setName('command')
+                    .setDescription('Limit a single command instead (e.g. naffles-create-task)')
+                    .setRequired(false))
+            .addIntegerOption(option =>
+                option.setName('requests')
+                    .setDescription('Requests allowed per window')
+                    .setRequired(false)
+                    .setMinValue(1)
+                    .setMaxValue(1000))
+            .addIntegerOption(option =>
+                option.setName('window')
+                    .setDescription('Window length in seconds')
+                    .setRequired(false)
+                    .setMinValue(1)
+                    .setMaxValue(86400))
+            .addStringOption(option =>
+                option.setName('algorithm')
+                    .setDescription('Sliding window counts recent requests; token bucket allows short bursts')
+                    .setRequired(false)
+                    .addChoices(
+                        { name: 'Sliding Window', value: 'sliding_window' },
+                        { name: 'Token Bucket', value: 'token_bucket' }
+                    )))
+    .addSubcommand(subcommand =>
+        subcommand.setName('thresholds')
+            .setDescription('View or change when security alerts fire for this server')
+            .addStringOption(option =>
+                option.setName('action')
+                    .setDescription('Threshold action')
+                    .setRequired(true)
+                    .addChoices(
+                        { name: 'View Thresholds', value: 'view' },
+                        { name: 'Set Threshold', value: 'set' },
+                        { name: 'Reset to Defaults', value: 'reset' }
+                    ))
+            .addStringOption(option =>
+                option.setName('threshold')
+                    .setDescription('Which alert to tune')
+                    .setRequired(false)
+                    .addChoices(
+                        { name: 'Rapid Commands', value: 'rapidCommands' },
+                        { name: 'Failed Permissions', value: 'failedPermissions' },
+                        { name: 'New Account Activity', value: 'newAccountActivity' }
+                    ))
+            .addIntegerOption(option =>
+                option.setName('count')
+                    .setDescription('Events within the window that trigger an alert')
+                    .setRequired(false)
+                    .setMinValue(1)
+                    .setMaxValue(1000))
+            .addIntegerOption(option =>
+                option.setName('window')
+                    .setDescription('Window length in seconds')
+                    .setRequired(false)
+                    .setMinValue(1)
+                    .setMaxValue(86400))
+            .addIntegerOption(option =>
+                option.setName('account_age')
+                    .setDescription('New account activity: accounts younger than this many days count as new')
+                    .setRequired(false)
+                    .setMinValue(1)
+                    .setMaxValue(365)))
+    .addSubcommand(subcommand =>
+        subcommand.setName('automod')
+            .setDescription('Configure automatic responses to security events')
+            .addStringOption(option =>
+                option.setName('action')
+                    .setDescription('Auto moderation action')
+                    .setRequired(true)
+                    .addChoices(
+                        { name: 'View Policy', value: 'view' },
+                        { name: 'Enable', value: 'enable' },
+                        { name: 'Disable', value: 'disable' },
+                        { name: 'Set Escalation Step', value: 'set_step' },
+                        { name: 'Remove Escalation Step', value: 'remove_step' },
+                        { name: 'Add Trigger', value: 'add_trigger' },
+                        { name: 'Remove Trigger', value: 'remove_trigger' },
+                        { name: 'Set Escalation Window', value: 'window' },
+                        { name: 'Set Review Channel', value: 'review_channel' },
+                        { name: 'Lift Member Actions', value: 'lift' },
+                        { name: 'Reset to Defaults', value: 'reset' }
+                    ))
+            .addIntegerOption(option =>
+                option.setName('step')
+                    .setDescription('Escalation step (1 = first offence)')
+                    .setRequired(false)
+                    .setMinValue(1)
+                    .setMaxValue(5))
+            .addStringOption(option =>
+                option.setName('response')
+                    .setDescription('What the step does')
+                    .setRequired(false)
+                    .addChoices(
+                        { name: 'Block Bot Commands', value: 'block_commands' },
+                        { name: 'Suspend Naffles Link', value: 'suspend_link' },
+                        { name: 'Time Out Member', value: 'timeout' },
+                        { name: 'Require Manual Review', value: 'review' }
+                    ))
+            .addIntegerOption(option =>
+                option.setName('duration')
+                    .setDescription('Step duration in minutes (0 = until a moderator lifts it)')
+                    .setRequired(false)
+                    .setMinValue(0)
+                    .setMaxValue(40320))
+            .addStringOption(option =>
+                option.setName('trigger')
+                    .setDescription('Security event that triggers a response')
+                    .setRequired(false)
+                    .addChoices(
+                        { name: 'Bot Account', value: 'bot_detection' },
+                        { name: 'Bot-like Timing', value: 'suspicious_pattern' },
+                        { name: 'Rapid Commands', value: 'rapid_commands' },
+                        { name: 'Command Abuse', value: 'command_abuse' }
+                    ))
+            .addIntegerOption(option =>
+                option.setName('days')
+                    .setDescription('Escalation window: earlier actions within this many days count')
+                    .setRequired(false)
+                    .setMinValue(1)
+                    .setMaxValue(365))
+            .addChannelOption(option =>
+                option.setName('channel')
+                    .setDescription('Channel for review holds and appeals')
+                    .setRequired(false))
+            .addUserOption(option =>
+                option.setName('user')
+                    .setDescription('Member whose actions to lift')
+                    .setRequired(false)))
+    .addSubcommand(subcommand =>
+        subcommand.setName('raid')
+            .setDescription('Raid detection and lockdown for new joiners')
+            .addStringOption(option =>
+                option.setName('action')
+                    .setDescription('Raid protection action')
+                    .setRequired(true)
+                    .addChoices(
+                        { name: 'View Status', value: 'status' },
+                        { name: 'Start Lockdown', value: 'lockdown' },
+                        { name: 'End Lockdown', value: 'unlock' },
+                        { name: 'Find Shared Accounts', value: 'alts' },
+                        { name: 'Change Settings', value: 'settings' }
+                    ))
+            .addIntegerOption(option =>
+                option.setName('duration')
+                    .setDescription('Lockdown length in minutes (0 = until unlocked)')
+                    .setRequired(false)
+                    .setMinValue(0)
+                    .setMaxValue(10080))
+            .addBooleanOption(option =>
+                option.setName('auto_lockdown')
+                    .setDescription('Lock down automatically when a raid is detected (default off)')
+                    .setRequired(false))
+            .addIntegerOption(option =>
+                option.setName('new_member_hours')
+                    .setDescription('Members who joined within this many hours of a lockdown are restricted')
+                    .setRequired(false)
+                    .setMinValue(1)
+                    .setMaxValue(720)));
+
+// Names shown for the configurable security thresholds
+const THRESHOLD_NAMES = {
+    rapidCommands: 'Rapid Commands',
+    failedPermissions: 'Failed Permissions',
+    newAccountActivity: 'New Account Activity'
+};
+
+// Audit timeframe -> milliseconds
+const AUDIT_TIMEFRAMES = {
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000,
+    month: 30 * 24 * 60 * 60 * 1000
+};
+
+// Names shown for auto moderation triggers
+const AUTOMOD_TRIGGER_NAMES = {
+    bot_detection: 'Bot Account',
+    suspicious_pattern: 'Bot-like Timing',
+    rapid_commands: 'Rapid Commands',
+    command_abuse: 'Command Abuse'
+};
+
+// Registry entry: permissions, cooldown, component routes and help listing
+const meta = {
+    permissions: { requiredPermissions: ['Administrator'], adminOnly: true, maxUsesPerHour: 10 },
+    cooldown: 5000,
+    // Appeal buttons are pressed by the actioned member; decisions check Moderate Members
+    routes: {
+        buttons: [
+            { prefix: 'automod_appeal_', handler: 'handleAutoModerationAppeal' },
+            { prefix: 'automod_decision_', handler: 'handleAutoModerationDecision' }
+        ],
+        modals: [{ prefix: 'automod_appeal_modal_', handler: 'handleAutoModerationAppealSubmission' }]
+    }
+};
 
 class SecurityCommand {
     constructor(botService) {
         this.botService = botService;
+        this.name = 'naffles-security';
     }
 
     async execute(interaction) {
@@ -39,6 +379,18 @@ class SecurityCommand {
                 case 'permissions':
                     await this.handlePermissionConfig(interaction);
                     break;
+                case 'ratelimits':
+                    await this.handleRateLimitConfig(interaction);
+                    break;
+                case 'thresholds':
+                    await this.handleThresholdConfig(interaction);
+                    break;
+                case 'automod':
+                    await this.handleAutoModerationConfig(interaction);
+                    break;
+                case 'raid':
+                    await this.handleRaidProtection(interaction);
+                    break;
                 default:
                     await interaction.reply({
                         content: '❌ Unknown security subcommand.',
@@ -165,13 +517,15 @@ class SecurityCommand {
 
     async handleSecurityStats(interaction) {
         try {
-            const securityStats = this.botService.securityMonitor.getSecurityStatistics();
+            const securityStats = await this.botService.securityMonitor.getClusterSecurityStatistics();
             const auditStats = this.botService.auditLogger.getAuditStatistics();
             const permissionStats = this.botService.permissionManager.getPermissionStatistics();
 
             const embed = new EmbedBuilder()
                 .setTitle('📈 Security Statistics')
-                .setDescription(`Real-time security metrics for ${interaction.guild.name}`)
+                .setDescription(securityStats.shards > 1
+                    ? `Real-time security metrics for ${interaction.guild.name} (monitoring across ${securityStats.shards} shards)`
+                    : `Real-time security metrics for ${interaction.guild.name}`)
                 .setColor(0x00ff00)
                 .setTimestamp()
                 .addFields([
@@ -239,40 +593,53 @@ class SecurityCommand {
         try {
             const action = interaction.options.getString('action');
             const channelId = interaction.options.getChannel('channel')?.id;
+            const severity = interaction.options.getString('severity') || 'high';
+            const alertDelivery = this.botService.alertDelivery;
 
             if (action === 'setup' && channelId) {
-                this.botService.securityReporter.setAlertChannel(interaction.guildId, channelId);
-                
+                const result = await this.botService.securityReporter.setAlertChannel(interaction.guildId, channelId, {
+                    minSeverity: severity,
+                    userId: interaction.user.id
+                });
+
                 await interaction.reply({
-                    content: `✅ Security alerts configured for <#${channelId}>`,
+                    content: result.success
+                        ? `✅ Security alerts of **${severity}** severity and above will be sent to <#${channelId}>`
+                        : `❌ ${result.message}`,
                     ephemeral: true
                 });
-                
-                // Log admin action
-                await this.botService.auditLogger.logAdminAction(
-                    interaction.user.id,
-                    'security_alerts_configured',
-                    interaction.guildId,
-                    { channelId }
-                );
-                
+
+                if (result.success) {
+                    await this.botService.auditLogger.logAdminAction(
+                        interaction.user.id,
+                        'security_alerts_configured',
+                        interaction.guildId,
+                        { channelId, minSeverity: severity }
+                    );
+                }
+
             } else if (action === 'remove') {
-                this.botService.securityReporter.removeAlertChannel(interaction.guildId);
-                
+                const result = await this.botService.securityReporter.removeAlertChannel(interaction.guildId, interaction.user.id);
+
                 await interaction.reply({
-                    content: '✅ Security alerts disabled for this server.',
+                    content: result.success
+                        ? '✅ Security alerts will no longer be posted in Discord for this server.'
+                        : `❌ ${result.message}`,
                     ephemeral: true
                 });
-                
-                // Log admin action
-                await this.botService.auditLogger.logAdminAction(
-                    interaction.user.id,
-                    'security_alerts_disabled',
-                    interaction.guildId
-                );
-                
+
+                if (result.success) {
+                    await this.botService.auditLogger.logAdminAction(
+                        interaction.user.id,
+                        'security_alerts_disabled',
+                        interaction.guildId
+                    );
+                }
+
             } else if (action === 'test') {
-                await this.botService.securityReporter.sendSecurityAlert({
+                await interaction.deferReply({ ephemeral: true });
+
+                const result = await this.botService.securityReporter.sendSecurityAlert({
                     type: 'test_alert',
                     severity: 'low',
                     description: 'This is a test security alert to verify the alert system is working.',
@@ -280,13 +647,97 @@ class SecurityCommand {
                         testTime: new Date().toISOString(),
                         triggeredBy: interaction.user.tag
                     }
-                }, interaction.guildId);
-                
+                }, interaction.guildId, { force: true, guildOnly: true });
+
+                const failures = result.results.filter(entry => !entry.success);
+                let content = result.results.length === 0
+                    ? '⚠️ No alert destinations are configured for this server.'
+                    : `✅ Test alert delivered to ${result.delivered} of ${result.results.length} destinations.`;
+                if (failures.length > 0) {
+                    content += '\n' + failures.map(entry => `❌ ${entry.destination}: ${entry.error}`).join('\n');
+                }
+
+                await interaction.editReply({ content });
+
+            } else if (action === 'view') {
+                const config = alertDelivery.getGuildConfig(interaction.guildId);
+
+                const embed = new EmbedBuilder()
+                    .setTitle('🚨 Security Alert Destinations')
+                    .setColor(0xff8000)
+                    .addFields([
+                        {
+                            name: 'Discord Channel',
+                            value: config.channelId
+                                ? `<#${config.channelId}> (${config.minSeverity} and above)`
+                                : 'Not configured'
+                        },
+                        {
+                            name: 'Webhooks',
+                            value: config.webhooks.length > 0
+                                ? config.webhooks.map(webhook =>
+                                    `\`${webhook.webhookId}\` ${webhook.format} → ${new URL(webhook.url).hostname} (${webhook.minSeverity} and above)${webhook.secret ? ' 🔏' : ''}`
+                                ).join('\n')
+                                : 'None'
+                        }
+                    ])
+                    .setTimestamp();
+
+                await interaction.reply({ embeds: [embed], ephemeral: true });
+
+            } else if (action === 'add_webhook') {
+                const url = interaction.options.getString('url');
+                if (!url) {
+                    await interaction.reply({ content: '❌ Provide the webhook `url`.', ephemeral: true });
+                    return;
+                }
+
+                const result = await alertDelivery.addWebhook(interaction.guildId, {
+                    url,
+                    format: interaction.options.getString('format') || 'json',
+                    minSeverity: severity,
+                    secret: interaction.options.getString('secret')
+                }, interaction.user.id);
+
                 await interaction.reply({
-                    content: '✅ Test security alert sent.',
+                    content: result.success
+                        ? `✅ Webhook \`${result.webhookId}\` added. Alerts of **${severity}** severity and above will be sent to it.`
+                        : `❌ ${result.message}`,
                     ephemeral: true
                 });
-                
+
+                if (result.success) {
+                    await this.botService.auditLogger.logAdminAction(
+                        interaction.user.id,
+                        'security_alert_webhook_added',
+                        interaction.guildId,
+                        { webhookId: result.webhookId, host: new URL(url).hostname, minSeverity: severity }
+                    );
+                }
+
+            } else if (action === 'remove_webhook') {
+                const webhookId = interaction.options.getString('webhook');
+                if (!webhookId) {
+                    await interaction.reply({ content: '❌ Provide the `webhook` ID to remove.', ephemeral: true });
+                    return;
+                }
+
+                const result = await alertDelivery.removeWebhook(interaction.guildId, webhookId, interaction.user.id);
+
+                await interaction.reply({
+                    content: result.success ? `✅ Webhook \`${webhookId}\` removed.` : `❌ ${result.message}`,
+                    ephemeral: true
+                });
+
+                if (result.success) {
+                    await this.botService.auditLogger.logAdminAction(
+                        interaction.user.id,
+                        'security_alert_webhook_removed',
+                        interaction.guildId,
+                        { webhookId }
+                    );
+                }
+
             } else {
                 await interaction.reply({
                     content: '❌ Invalid alert action or missing channel.',
@@ -296,27 +747,32 @@ class SecurityCommand {
 
         } catch (error) {
             logger.error('Error handling security alerts:', error);
-            await interaction.reply({
-                content: '❌ Failed to configure security alerts.',
-                ephemeral: true
-            });
+            const reply = { content: '❌ Failed to configure security alerts.', ephemeral: true };
+            if (interaction.deferred) {
+                await interaction.editReply(reply);
+            } else {
+                await interaction.reply(reply);
+            }
         }
     }
 
     async handleAuditLogs(interaction) {
         try {
-            const action = interaction.options.getString('action') || 'recent';
+            const timeframe = interaction.options.getString('timeframe');
             const userId = interaction.options.getUser('user')?.id;
             const eventType = interaction.options.getString('type');
+            const severity = interaction.options.getString('severity');
 
             const filters = {
                 guildId: interaction.guildId
             };
 
+            if (timeframe) filters.startDate = new Date(Date.now() - AUDIT_TIMEFRAMES[timeframe]);
             if (userId) filters.userId = userId;
             if (eventType) filters.type = eventType;
+            if (severity) filters.severity = severity;
 
-            const logs = this.botService.auditLogger.getAuditLogs(filters, 10);
+            const logs = await this.botService.auditLogger.queryAuditLogs(filters, { limit: 10 });
 
             if (logs.length === 0) {
                 return await interaction.reply({
@@ -327,7 +783,7 @@ class SecurityCommand {
 
             const embed = new EmbedBuilder()
                 .setTitle('📋 Audit Logs')
-                .setDescription(`Recent audit logs for ${interaction.guild.name}`)
+                .setDescription(`${timeframe ? `Audit logs from the last ${timeframe}` : 'Recent audit logs'} for ${interaction.guild.name}`)
                 .setColor(0x0099ff)
                 .setTimestamp();
 
@@ -463,6 +919,550 @@ class SecurityCommand {
         }
     }
 
+    async handleRateLimitConfig(interaction) {
+        try {
+            const action = interaction.options.getString('action');
+            const command = interaction.options.getString('command');
+            const key = command
+                ? `command:${command.replace(/^\//, '')}`
+                : interaction.options.getString('limit') || 'command';
+            const rateLimitSettings = this.botService.rateLimitSettings;
+
+            if (action === 'view') {
+                const limits = await rateLimitSettings.getEffectiveLimits(interaction.guildId);
+                const rateLimitStats = this.botService.rateLimiter.getStatistics();
+
+                const lines = limits.map(({ key: limitKey, limit, source }) =>
+                    `**${limitKey}:** ${limit.requests} per ${this.formatWindow(limit.window)} · ${limit.algorithm.replace('_', ' ')}${source === 'guild' ? ' · *server override*' : ''}`
+                );
+
+                const embed = new EmbedBuilder()
+                    .setTitle('⏱️ Rate Limits')
+                    .setDescription(`Rate limits in effect for ${interaction.guild.name}`)
+                    .setColor(0x9932cc)
+                    .setTimestamp()
+                    .addFields([
+                        {
+                            name: 'Limits',
+                            value: lines.join('\n').substring(0, 1024)
+                        },
+                        {
+                            name: 'Backend',
+                            value: [
+                                `**Store:** ${rateLimitStats.backend}${rateLimitStats.usingFallback ? ' (using in-memory fallback)' : ''}`,
+                                `**Checks:** ${rateLimitStats.checks}`,
+                                `**Limited:** ${rateLimitStats.limited}`
+                            ].join('\n')
+                        }
+                    ]);
+
+                await interaction.reply({
+                    embeds: [embed],
+                    ephemeral: true
+                });
+
+            } else if (action === 'set') {
+                const requests = interaction.options.getInteger('requests');
+                const windowSeconds = interaction.options.getInteger('window');
+
+                if (!requests || !windowSeconds) {
+                    return await interaction.reply({
+                        content: '❌ Setting a rate limit requires `requests` and `window`.',
+                        ephemeral: true
+                    });
+                }
+
+                const result = await rateLimitSettings.setGuildLimit(interaction.guildId, key, {
+                    requests,
+                    window: windowSeconds * 1000,
+                    algorithm: interaction.options.getString('algorithm') || 'sliding_window'
+                }, interaction.user.id);
+
+                if (!result.success) {
+                    return await interaction.reply({
+                        content: `❌ Failed to set rate limit: ${result.message}`,
+                        ephemeral: true
+                    });
+                }
+
+                await interaction.reply({
+                    content: `✅ **${key}** is now limited to ${result.limit.requests} per ${this.formatWindow(result.limit.window)} (${result.limit.algorithm.replace('_', ' ')}).`,
+                    ephemeral: true
+                });
+
+            } else if (action === 'reset') {
+                const resetKey = command || interaction.options.getString('limit') ? key : null;
+                const result = await rateLimitSettings.resetGuildLimits(interaction.guildId, resetKey, interaction.user.id);
+
+                if (!result.success) {
+                    return await interaction.reply({
+                        content: `❌ Failed to reset rate limits: ${result.message}`,
+                        ephemeral: true
+                    });
+                }
+
+                await interaction.reply({
+                    content: resetKey
+                        ? `✅ **${resetKey}** reset to the default rate limit.`
+                        : '✅ All rate limits reset to defaults.',
+                    ephemeral: true
+                });
+
+            } else {
+                await interaction.reply({
+                    content: '❌ Invalid rate limit action.',
+                    ephemeral: true
+                });
+            }
+
+        } catch (error) {
+            logger.error('Error handling rate limit config:', error);
+            await interaction.reply({
+                content: '❌ Failed to configure rate limits.',
+                ephemeral: true
+            });
+        }
+    }
+
+    async handleThresholdConfig(interaction) {
+        try {
+            const action = interaction.options.getString('action');
+            const name = interaction.options.getString('threshold');
+            const securityMonitor = this.botService.securityMonitor;
+
+            if (action === 'view') {
+                const thresholds = await securityMonitor.getGuildThresholds(interaction.guildId);
+                const defaults = securityMonitor.alertThresholds;
+
+                const lines = Object.entries(THRESHOLD_NAMES).map(([key, label]) => {
+                    const threshold = thresholds[key];
+                    const customized = JSON.stringify(threshold) !== JSON.stringify(defaults[key]);
+                    const accountAge = threshold.maxAccountAge
+                        ? ` · accounts under ${Math.round(threshold.maxAccountAge / 86400000)} days`
+                        : '';
+
+                    return `**${label}:** ${threshold.count} per ${this.formatWindow(threshold.window)}${accountAge}${customized ? ' · *server override*' : ''}`;
+                });
+
+                const embed = new EmbedBuilder()
+                    .setTitle('🚨 Security Thresholds')
+                    .setDescription(`Alert thresholds in effect for ${interaction.guild.name}`)
+                    .setColor(0x9932cc)
+                    .setTimestamp()
+                    .addFields([{
+                        name: 'Thresholds',
+                        value: lines.join('\n')
+                    }]);
+
+                await interaction.reply({
+                    embeds: [embed],
+                    ephemeral: true
+                });
+
+            } else if (action === 'set') {
+                if (!name) {
+                    return await interaction.reply({
+                        content: '❌ Choose a `threshold` to set.',
+                        ephemeral: true
+                    });
+                }
+
+                const windowSeconds = interaction.options.getInteger('window');
+                const accountAgeDays = interaction.options.getInteger('account_age');
+
+                if (accountAgeDays && name !== 'newAccountActivity') {
+                    return await interaction.reply({
+                        content: '❌ `account_age` only applies to the New Account Activity threshold.',
+                        ephemeral: true
+                    });
+                }
+
+                const result = await securityMonitor.setGuildThreshold(interaction.guildId, name, {
+                    count: interaction.options.getInteger('count'),
+                    window: windowSeconds ? windowSeconds * 1000 : null,
+                    maxAccountAge: accountAgeDays ? accountAgeDays * 86400000 : null
+                }, interaction.user.id);
+
+                if (!result.success) {
+                    return await interaction.reply({
+                        content: `❌ Failed to set threshold: ${result.message}`,
+                        ephemeral: true
+                    });
+                }
+
+                const threshold = result.thresholds[name];
+                await interaction.reply({
+                    content: `✅ **${THRESHOLD_NAMES[name]}** alerts now fire at ${threshold.count} per ${this.formatWindow(threshold.window)}.`,
+                    ephemeral: true
+                });
+
+            } else if (action === 'reset') {
+                const result = await securityMonitor.resetGuildThresholds(interaction.guildId, name, interaction.user.id);
+
+                if (!result.success) {
+                    return await interaction.reply({
+                        content: `❌ Failed to reset thresholds: ${result.message}`,
+                        ephemeral: true
+                    });
+                }
+
+                await interaction.reply({
+                    content: name
+                        ? `✅ **${THRESHOLD_NAMES[name]}** reset to the default threshold.`
+                        : '✅ All security thresholds reset to defaults.',
+                    ephemeral: true
+                });
+
+            } else {
+                await interaction.reply({
+                    content: '❌ Invalid threshold action.',
+                    ephemeral: true
+                });
+            }
+
+        } catch (error) {
+            logger.error('Error handling security threshold config:', error);
+            await interaction.reply({
+                content: '❌ Failed to configure security thresholds.',
+                ephemeral: true
+            });
+        }
+    }
+
+    async handleAutoModerationConfig(interaction) {
+        try {
+            const action = interaction.options.getString('action');
+            const autoModeration = this.botService.autoModeration;
+            const guildId = interaction.guildId;
+            const userId = interaction.user.id;
+            let result;
+            let content;
+
+            switch (action) {
+                case 'view':
+                    return await this.showAutoModerationPolicy(interaction);
+
+                case 'enable':
+                case 'disable':
+                    result = await autoModeration.setEnabled(guildId, action === 'enable', userId);
+                    content = action === 'enable'
+                        ? '✅ Auto moderation enabled. Members who trigger the selected security events will be actioned by the escalation policy.'
+                        : '✅ Auto moderation disabled. Actions already in effect stay until they end or are lifted.';
+                    break;
+
+                case 'set_step': {
+                    const step = interaction.options.getInteger('step');
+                    const response = interaction.options.getString('response');
+                    const minutes = interaction.options.getInteger('duration');
+                    if (!step || !response || minutes === null) {
+                        return await interaction.reply({
+                            content: '❌ Provide the `step`, `response` and `duration` to set.',
+                            ephemeral: true
+                        });
+                    }
+
+                    result = await autoModeration.setStep(guildId, step, {
+                        action: response,
+                        duration: minutes > 0 ? minutes * 60000 : null
+                    }, userId);
+                    content = `✅ Step ${step}: ${AutoModerationService.ACTION_LABELS[response]} ${this.formatDuration(minutes > 0 ? minutes * 60000 : null)}.`;
+                    break;
+                }
+
+                case 'remove_step': {
+                    const step = interaction.options.getInteger('step');
+                    if (!step) {
+                        return await interaction.reply({ content: '❌ Provide the `step` to remove.', ephemeral: true });
+                    }
+
+                    result = await autoModeration.removeStep(guildId, step, userId);
+                    content = `✅ Step ${step} removed.`;
+                    break;
+                }
+
+                case 'add_trigger':
+                case 'remove_trigger': {
+                    const trigger = interaction.options.getString('trigger');
+                    if (!trigger) {
+                        return await interaction.reply({ content: '❌ Choose a `trigger`.', ephemeral: true });
+                    }
+
+                    result = await autoModeration.setTrigger(guildId, trigger, action === 'add_trigger', userId);
+                    content = action === 'add_trigger'
+                        ? `✅ **${AUTOMOD_TRIGGER_NAMES[trigger]}** events now trigger auto moderation.`
+                        : `✅ **${AUTOMOD_TRIGGER_NAMES[trigger]}** events no longer trigger auto moderation.`;
+                    break;
+                }
+
+                case 'window': {
+                    const days = interaction.options.getInteger('days');
+                    if (!days) {
+                        return await interaction.reply({ content: '❌ Provide the window in `days`.', ephemeral: true });
+                    }
+
+                    result = await autoModeration.setEscalationWindow(guildId, days * 86400000, userId);
+                    content = `✅ Actions from the last ${days} days now count towards escalation.`;
+                    break;
+                }
+
+                case 'review_channel': {
+                    const channelId = interaction.options.getChannel('channel')?.id || null;
+                    result = await autoModeration.setReviewChannel(guildId, channelId, userId);
+                    content = channelId
+                        ? `✅ Review holds and appeals will be posted in <#${channelId}>.`
+                        : '✅ Review holds and appeals will be posted in the security alert channel.';
+                    break;
+                }
+
+                case 'lift': {
+                    const member = interaction.options.getUser('user');
+                    if (!member) {
+                        return await interaction.reply({ content: '❌ Choose the `user` whose actions to lift.', ephemeral: true });
+                    }
+
+                    await interaction.deferReply({ ephemeral: true });
+                    result = await autoModeration.liftActions(guildId, member.id, interaction.user);
+                    return await interaction.editReply({
+                        content: result.total === 0
+                            ? `ℹ️ <@${member.id}> has no active auto moderation actions.`
+                            : `✅ Lifted ${result.reverted} of ${result.total} active actions for <@${member.id}>.`
+                    });
+                }
+
+                case 'reset':
+                    result = await autoModeration.resetPolicy(guildId, userId);
+                    content = '✅ Auto moderation reset to the default policy and disabled.';
+                    break;
+
+                default:
+                    return await interaction.reply({ content: '❌ Invalid auto moderation action.', ephemeral: true });
+            }
+
+            await interaction.reply({
+                content: result.success ? content : `❌ Failed to update auto moderation: ${result.message}`,
+                ephemeral: true
+            });
+
+        } catch (error) {
+            logger.error('Error handling auto moderation config:', error);
+            const reply = { content: '❌ Failed to configure auto moderation.', ephemeral: true };
+            if (interaction.deferred) {
+                await interaction.editReply(reply);
+            } else {
+                await interaction.reply(reply);
+            }
+        }
+    }
+
+    async showAutoModerationPolicy(interaction) {
+        const autoModeration = this.botService.autoModeration;
+        const [policy, activeActions] = await Promise.all([
+            autoModeration.getPolicy(interaction.guildId),
+            autoModeration.getActiveActions(interaction.guildId, 10)
+        ]);
+
+        const steps = policy.steps.map((step, index) =>
+            `**${index + 1}.** ${AutoModerationService.ACTION_LABELS[step.action]} ${this.formatDuration(step.duration)}`
+        );
+
+        const active = activeActions.map(action => {
+            const ends = action.expiresAt ? `ends <t:${Math.floor(new Date(action.expiresAt).getTime() / 1000)}:R>` : 'until lifted';
+            const appeal = action.appeal?.status === 'pending' ? ' · 📝 appeal pending' : '';
+            return `<@${action.userId}> · ${AutoModerationService.ACTION_LABELS[action.action]} · ${ends}${appeal}`;
+        });
+
+        const embed = new EmbedBuilder()
+            .setTitle('🛡️ Auto Moderation')
+            .setDescription(policy.enabled ? '✅ Enabled' : '⏸️ Disabled')
+            .setColor(policy.enabled ? 0x00ff00 : 0x808080)
+            .setTimestamp()
+            .addFields([
+                {
+                    name: 'Triggers',
+                    value: policy.triggers.length > 0
+                        ? policy.triggers.map(trigger => AUTOMOD_TRIGGER_NAMES[trigger] || trigger).join(', ')
+                        : 'None'
+                },
+                {
+                    name: `Escalation (actions within ${Math.round(policy.escalationWindow / 86400000)} days)`,
+                    value: steps.join('\n')
+                },
+                {
+                    name: 'Review Channel',
+                    value: policy.reviewChannel ? `<#${policy.reviewChannel}>` : 'Security alert channel'
+                },
+                {
+                    name: `Active Actions (${activeActions.length})`,
+                    value: active.length > 0 ? active.join('\n') : 'None'
+                }
+            ]);
+
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    async handleRaidProtection(interaction) {
+        try {
+            const action = interaction.options.getString('action');
+            const raidDetection = this.botService.raidDetection;
+            const guildId = interaction.guildId;
+            const userId = interaction.user.id;
+            let result;
+            let content;
+
+            switch (action) {
+                case 'status':
+                    return await this.showRaidStatus(interaction);
+
+                case 'lockdown': {
+                    const minutes = interaction.options.getInteger('duration');
+                    result = await raidDetection.startLockdown(guildId, {
+                        reason: 'manual',
+                        duration: minutes === null ? undefined : minutes * 60000 || null,
+                        userId
+                    });
+                    content = result.success
+                        ? `🔒 Lockdown started ${this.formatDuration(result.lockdown.endsAt ? result.lockdown.endsAt - result.lockdown.startedAt : null)}. Members who joined after <t:${Math.floor(result.lockdown.joinedAfter.getTime() / 1000)}:f> can't complete tasks or enter allowlists.`
+                        : null;
+                    break;
+                }
+
+                case 'unlock':
+                    result = await raidDetection.endLockdown(guildId, userId);
+                    content = '🔓 Lockdown ended. New members can complete tasks and enter allowlists again.';
+                    break;
+
+                case 'alts': {
+                    await interaction.deferReply({ ephemeral: true });
+                    const { sharedNafflesUsers, sharedDiscordAccounts } = await raidDetection.findAltAccounts(interaction.guild);
+
+                    const lines = [
+                        ...sharedNafflesUsers.map(group =>
+                            `Naffles user \`${group._id}\` ← ${group.discordIds.map(id => `<@${id}>`).join(', ')}`),
+                        ...sharedDiscordAccounts.map(group =>
+                            `<@${group._id}> → ${group.nafflesUserIds.length} Naffles users`)
+                    ];
+
+                    return await interaction.editReply({
+                        content: lines.length > 0
+                            ? `**Shared account links**\n${lines.slice(0, 20).join('\n')}${lines.length > 20 ? `\n…and ${lines.length - 20} more` : ''}`
+                            : '✅ No shared account links among cached members.'
+                    });
+                }
+
+                case 'settings': {
+                    const autoLockdown = interaction.options.getBoolean('auto_lockdown');
+                    const minutes = interaction.options.getInteger('duration');
+                    const hours = interaction.options.getInteger('new_member_hours');
+
+                    result = await raidDetection.updateSettings(guildId, {
+                        autoLockdown: autoLockdown ?? undefined,
+                        lockdownDuration: minutes ? minutes * 60000 : undefined,
+                        newMemberAge: hours ? hours * 3600000 : undefined
+                    }, userId);
+                    content = '✅ Raid protection settings updated.';
+                    break;
+                }
+
+                default:
+                    return await interaction.reply({ content: '❌ Invalid raid protection action.', ephemeral: true });
+            }
+
+            await interaction.reply({
+                content: result.success ? content : `❌ ${result.message}`,
+                ephemeral: true
+            });
+
+        } catch (error) {
+            logger.error('Error handling raid protection:', error);
+            const reply = { content: '❌ Failed to update raid protection.', ephemeral: true };
+            if (interaction.deferred) {
+                await interaction.editReply(reply);
+            } else {
+                await interaction.reply(reply);
+            }
+        }
+    }
+
+    async showRaidStatus(interaction) {
+        const { settings, lockdown, assessment } = await this.botService.raidDetection.getStatus(interaction.guildId);
+
+        const signals = Object.entries(assessment.signals)
+            .map(([signal, value]) => `${signal}: ${Math.round(value * 100)}%`)
+            .join(' · ');
+
+        const embed = new EmbedBuilder()
+            .setTitle('🚨 Raid Protection')
+            .setDescription(lockdown
+                ? `🔒 **Lockdown active** (${lockdown.reason})${lockdown.endsAt ? `, ends <t:${Math.floor(new Date(lockdown.endsAt).getTime() / 1000)}:R>` : ', until unlocked'}`
+                : '🔓 No lockdown')
+            .setColor(lockdown ? 0xff0000 : 0x00ff00)
+            .setTimestamp()
+            .addFields([
+                {
+                    name: `Recent Joins (${assessment.joinCount})`,
+                    value: `Raid score ${assessment.score}${assessment.raid ? ' ⚠️' : ''}\n${signals}`
+                },
+                {
+                    name: 'Settings',
+                    value: [
+                        `Auto lockdown: ${settings.autoLockdown ? 'on' : 'off'}`,
+                        `Lockdown length: ${this.formatDuration(settings.lockdownDuration).replace('for ', '')}`,
+                        `New members: joined within ${Math.round(settings.newMemberAge / 3600000)} hours`
+                    ].join('\n')
+                }
+            ]);
+
+        if (assessment.suspects.length > 0) {
+            embed.addFields([{
+                name: `Suspected Raiders (${assessment.suspects.length})`,
+                value: assessment.suspects.slice(0, 10)
+                    .map(suspect => `<@${suspect.userId}> · ${suspect.flags.join(', ')}`)
+                    .join('\n')
+            }]);
+        }
+
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    async handleAutoModerationAppeal(interaction) {
+        await this.botService.autoModeration.handleAppealButton(interaction);
+    }
+
+    async handleAutoModerationAppealSubmission(interaction) {
+        await this.botService.autoModeration.handleAppealSubmission(interaction);
+    }
+
+    async handleAutoModerationDecision(interaction) {
+        await this.botService.autoModeration.handleDecisionButton(interaction);
+    }
+
+    formatDuration(durationMs) {
+        if (!durationMs) {
+            return 'until a moderator lifts it';
+        }
+
+        const minutes = Math.round(durationMs / 60000);
+        const [value, unit] = minutes % 1440 === 0 ? [minutes / 1440, 'day']
+            : minutes % 60 === 0 ? [minutes / 60, 'hour']
+                : [minutes, 'minute'];
+
+        return `for ${value} ${unit}${value === 1 ? '' : 's'}`;
+    }
+
+    formatWindow(windowMs) {
+        const seconds = Math.round(windowMs / 1000);
+
+        if (seconds % 3600 === 0) {
+            return seconds === 3600 ? 'hour' : `${seconds / 3600} hours`;
+        }
+
+        if (seconds % 60 === 0) {
+            return seconds === 60 ? 'minute' : `${seconds / 60} minutes`;
+        }
+
+        return `${seconds} seconds`;
+    }
+
     getRiskColor(riskLevel) {
         const colors = {
             low: 0x00ff00,      // Green
@@ -476,4 +1476,7 @@ class SecurityCommand {
     }
 }
 
-module.exports = SecurityCommand;
\ No newline at end of file
+// Export the command class with its slash command data and registry entry
+module.exports = SecurityCommand;
+module.exports.data = data;
+module.exports.meta = meta;
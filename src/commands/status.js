@@ -6,6 +6,17 @@ const data = new SlashCommandBuilder()
     .setName('naffles-status')
     .setDescription('Check the Discord bot connection status and community link');
 
+// Registry entry: permissions, cooldown, component routes and help listing
+const meta = {
+    permissions: { requiredPermissions: ['SendMessages'], maxUsesPerHour: 30 },
+    cooldown: 5000,
+    routes: {
+        buttons: [{ customId: ['refresh_status', 'link_community_help'], handler: 'handleButtonInteraction' }]
+    },
+    help: { audience: 'all', order: 100 },
+    maintenance: false
+};
+
 class StatusCommand {
     constructor(botService) {
         this.botService = botService;
@@ -105,6 +116,12 @@ class StatusCommand {
                 });
             }
 
+            // Active and upcoming maintenance for this server
+            const maintenance = this.botService.maintenance?.listForGuild(interaction.guildId) || [];
+            if (maintenance.length > 0) {
+                embed.addFields(maintenance.slice(0, 5).map(window => this.botService.maintenance.describeField(window)));
+            }
+
             // Performance metrics
             const uptimeHours = (Date.now() - this.botService.metrics.uptime) / (1000 * 60 * 60);
             embed.addFields(
@@ -350,6 +367,7 @@ class StatusCommand {
     }
 }
 
-// Export both the command class and the slash command data
+// Export the command class with its slash command data and registry entry
 module.exports = StatusCommand;
-module.exports.data = data;
\ No newline at end of file
+module.exports.data = data;
+module.exports.meta = meta;
\ No newline at end of file
@@ -0,0 +1,205 @@
+const { SlashCommandBuilder, ChannelType, EmbedBuilder } = require('discord.js');
+const logger = require('../utils/logger');
+const { t } = require('../utils/i18n');
+
+// Slash command data for Discord registration
+const data = new SlashCommandBuilder()
+    .setName('naffles-task-review')
+    .setDescription('Review proof submitted for custom tasks')
+    .addSubcommand(subcommand =>
+        subcommand.setName('queue')
+            .setDescription('Show submissions waiting for review')
+            .addStringOption(option =>
+                option.setName('task_id')
+                    .setDescription('Only show submissions for this task')
+                    .setRequired(false)))
+    .addSubcommand(subcommand =>
+        subcommand.setName('channel')
+            .setDescription('Set the channel where submissions are posted for review')
+            .addChannelOption(option =>
+                option.setName('channel')
+                    .setDescription('Moderator review channel')
+                    .setRequired(true)
+                    .addChannelTypes(ChannelType.GuildText)));
+
+// Registry entry: permissions, cooldown, component routes and help listing
+const meta = {
+    permissions: { requiredPermissions: ['ManageMessages'], maxUsesPerHour: 60 },
+    cooldown: 3000,
+    routes: {
+        buttons: [{ prefix: 'task_review_', handler: 'handleReviewButton' }],
+        modals: [
+            { prefix: 'task_proof_modal_', handler: 'handleProofSubmission' },
+            { prefix: 'task_review_modal_', handler: 'handleReviewDecision' }
+        ]
+    },
+    help: { audience: 'linked', order: 90 },
+    maintenance: 'tasks'
+};
+
+class TaskReviewCommand {
+    constructor(botService) {
+        this.botService = botService;
+        this.name = 'naffles-task-review';
+    }
+
+    async execute(interaction) {
+        let locale;
+
+        try {
+            locale = await this.botService.localization.resolveLocale(interaction);
+
+            const serverMapping = await this.botService.getServerCommunityMapping(interaction.guildId);
+            if (!serverMapping) {
+                return await interaction.reply({
+                    content: t(locale, 'review.serverNotLinked'),
+                    ephemeral: true
+                });
+            }
+
+            const subcommand = interaction.options.getSubcommand();
+            const permissionCheck = await this.botService.validateUserPermissions(
+                interaction.guildId,
+                interaction.user.id,
+                subcommand === 'channel' ? ['ManageGuild'] : this.botService.taskReview.reviewPermissions
+            );
+
+            if (!permissionCheck.hasPermission) {
+                return await interaction.reply({
+                    content: t(locale, 'review.noPermission', { reason: permissionCheck.reason }),
+                    ephemeral: true
+                });
+            }
+
+            switch (subcommand) {
+                case 'queue':
+                    await this.handleQueue(interaction, locale);
+                    break;
+                case 'channel':
+                    await this.handleChannel(interaction, locale);
+                    break;
+                default:
+                    await interaction.reply({
+                        content: '❌ Unknown subcommand.',
+                        ephemeral: true
+                    });
+            }
+
+        } catch (error) {
+            logger.error('Error in task review command:', error);
+
+            const errorMessage = t(locale, 'review.error');
+
+            if (interaction.replied || interaction.deferred) {
+                await interaction.followUp({ content: errorMessage, ephemeral: true });
+            } else {
+                await interaction.reply({ content: errorMessage, ephemeral: true });
+            }
+        }
+    }
+
+    async handleQueue(interaction, locale) {
+        await interaction.deferReply({ ephemeral: true });
+
+        const taskReview = this.botService.taskReview;
+        const [queue, reviewChannelId] = await Promise.all([
+            taskReview.getReviewQueue(interaction.guildId, {
+                taskId: interaction.options.getString('task_id') || undefined,
+                limit: 25
+            }),
+            taskReview.getReviewChannelId(interaction.guildId)
+        ]);
+
+        await interaction.editReply({
+            embeds: [this.createQueueEmbed(queue, reviewChannelId, interaction.guildId, locale)]
+        });
+
+        await this.botService.logInteraction(interaction, 'view_review_queue', 'success');
+    }
+
+    async handleChannel(interaction, locale) {
+        const channel = interaction.options.getChannel('channel');
+
+        await interaction.deferReply({ ephemeral: true });
+
+        const result = await this.botService.taskReview.setReviewChannel(interaction.guild, channel, interaction.user.id);
+
+        if (!result.success) {
+            return await interaction.editReply({
+                content: t(locale, result.reason === 'not_linked' ? 'review.serverNotLinked' : 'review.error')
+            });
+        }
+
+        await interaction.editReply({
+            content: [
+                t(locale, 'review.channelSet', { channel: `<#${channel.id}>` }),
+                result.posted > 0 ? t(locale, 'review.channelReposted', { count: result.posted }) : null
+            ].filter(Boolean).join('\n')
+        });
+
+        await this.botService.logInteraction(interaction, 'set_review_channel', 'success');
+    }
+
+    // Proof submissions and moderator decisions are handled by the review service
+    async handleReviewButton(interaction) {
+        await this.botService.taskReview.handleReviewButton(interaction);
+    }
+
+    async handleProofSubmission(interaction) {
+        await this.botService.taskReview.handleProofSubmission(interaction);
+    }
+
+    async handleReviewDecision(interaction) {
+        await this.botService.taskReview.handleReviewDecision(interaction);
+    }
+
+    createQueueEmbed(queue, reviewChannelId, guildId, locale) {
+        const embed = new EmbedBuilder()
+            .setTitle(`🔎 ${t(locale, 'review.queueTitle')}`)
+            .setColor(queue.submissions.length > 0 ? 0xF59E0B : 0x10B981)
+            .setFooter({ text: t(locale, 'common.poweredBy') })
+            .setTimestamp();
+
+        const lines = [];
+
+        if (!reviewChannelId) {
+            lines.push(t(locale, 'review.noReviewChannel'));
+        }
+
+        if (queue.submissions.length === 0) {
+            lines.push(t(locale, 'review.queueEmpty'));
+        }
+
+        queue.tasks.forEach(task => {
+            lines.push(t(locale, 'review.queueTask', {
+                title: task.title,
+                count: task.pending,
+                naffles: task.nafflesPending === null ? '—' : task.nafflesPending
+            }));
+        });
+
+        embed.setDescription(lines.join('\n').substring(0, 4096));
+
+        if (queue.submissions.length > 0) {
+            const entries = queue.submissions.slice(0, 10).map(submission => {
+                const link = submission.review.messageId
+                    ? ` · [${t(locale, 'review.openCard')}](https://discord.com/channels/${guildId}/${submission.review.channelId}/${submission.review.messageId})`
+                    : '';
+
+                return `<@${submission.discordId}> · ${submission.task.title} · <t:${Math.floor(submission.createdAt.getTime() / 1000)}:R>${link}`;
+            });
+
+            embed.addFields({
+                name: t(locale, 'review.oldestTitle'),
+                value: entries.join('\n').substring(0, 1024),
+                inline: false
+            });
+        }
+
+        return embed;
+    }
+}
+
+module.exports = TaskReviewCommand;
+module.exports.data = data;
+module.exports.meta = meta;
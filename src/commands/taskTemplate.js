@@ -0,0 +1,357 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const logger = require('../utils/logger');
+const CreateTaskCommand = require('./createTask');
+
+const taskTypeChoices = [
+    { name: 'Twitter Follow', value: 'twitter_follow' },
+    { name: 'Discord Join', value: 'discord_join' },
+    { name: 'Telegram Join', value: 'telegram_join' },
+    { name: 'Custom Task', value: 'custom' }
+];
+
+// Slash command data for Discord registration
+const data = new SlashCommandBuilder()
+    .setName('naffles-task-template')
+    .setDescription('Save and reuse task templates shared across your community')
+    .addSubcommand(subcommand =>
+        subcommand.setName('save')
+            .setDescription('Save a task template (replaces an existing template with the same name)')
+            .addStringOption(option =>
+                option.setName('name')
+                    .setDescription('Template name')
+                    .setRequired(true)
+                    .setMaxLength(50))
+            .addStringOption(option =>
+                option.setName('type')
+                    .setDescription('Type of social task')
+                    .setRequired(true)
+                    .addChoices(...taskTypeChoices))
+            .addStringOption(option =>
+                option.setName('title')
+                    .setDescription('Title of the task')
+                    .setRequired(true)
+                    .setMaxLength(100))
+            .addStringOption(option =>
+                option.setName('description')
+                    .setDescription('Description of the task')
+                    .setRequired(true)
+                    .setMaxLength(500))
+            .addIntegerOption(option =>
+                option.setName('points')
+                    .setDescription('Points reward for completing the task')
+                    .setRequired(true)
+                    .setMinValue(1)
+                    .setMaxValue(10000))
+            .addIntegerOption(option =>
+                option.setName('duration')
+                    .setDescription('Duration in hours (default: 168 hours = 1 week)')
+                    .setRequired(false)
+                    .setMinValue(1)
+                    .setMaxValue(8760))
+            .addStringOption(option =>
+                option.setName('color')
+                    .setDescription('Embed color as a hex code, e.g. #3B82F6')
+                    .setRequired(false)
+                    .setMaxLength(7))
+            .addStringOption(option =>
+                option.setName('thumbnail_url')
+                    .setDescription('Embed thumbnail image URL (https)')
+                    .setRequired(false)
+                    .setMaxLength(500)))
+    .addSubcommand(subcommand =>
+        subcommand.setName('list')
+            .setDescription('List the task templates for this community'))
+    .addSubcommand(subcommand =>
+        subcommand.setName('use')
+            .setDescription('Create a task from a template')
+            .addStringOption(option =>
+                option.setName('name')
+                    .setDescription('Template name')
+                    .setRequired(true)
+                    .setMaxLength(50)))
+    .addSubcommand(subcommand =>
+        subcommand.setName('delete')
+            .setDescription('Delete a task template')
+            .addStringOption(option =>
+                option.setName('name')
+                    .setDescription('Template name')
+                    .setRequired(true)
+                    .setMaxLength(50)));
+
+// Registry entry: permissions, cooldown, component routes and help listing
+const meta = {
+    permissions: { requiredPermissions: ['ManageGuild'], maxUsesPerHour: 30 },
+    cooldown: 5000,
+    routes: {
+        modals: [{ prefix: 'task_template_modal_', handler: 'handleModalSubmit' }]
+    },
+    help: { audience: 'linked', order: 30 },
+    maintenance: 'tasks'
+};
+
+class TaskTemplateCommand {
+    constructor(botService) {
+        this.botService = botService;
+        this.name = 'naffles-task-template';
+
+        // Reuses the create-task modal so templates pre-fill the same fields
+        this.createTaskCommand = new CreateTaskCommand(botService);
+    }
+
+    async execute(interaction) {
+        try {
+            // Templates are managed by the same members who can create tasks
+            const permissionCheck = await this.botService.validateUserPermissions(
+                interaction.guildId,
+                interaction.user.id,
+                ['ManageGuild']
+            );
+
+            if (!permissionCheck.hasPermission) {
+                return await interaction.reply({
+                    content: `❌ You don't have permission to manage task templates. Reason: ${permissionCheck.reason}`,
+                    ephemeral: true
+                });
+            }
+
+            // Templates are shared by every server linked to the same community
+            const serverMapping = await this.botService.getServerCommunityMapping(interaction.guildId);
+            if (!serverMapping) {
+                return await interaction.reply({
+                    content: '❌ This Discord server is not linked to a Naffles community. Please link your server first at https://naffles.com/discord-setup',
+                    ephemeral: true
+                });
+            }
+
+            const subcommand = interaction.options.getSubcommand();
+
+            switch (subcommand) {
+                case 'save':
+                    await this.handleSave(interaction, serverMapping);
+                    break;
+                case 'list':
+                    await this.handleList(interaction, serverMapping);
+                    break;
+                case 'use':
+                    await this.handleUse(interaction, serverMapping);
+                    break;
+                case 'delete':
+                    await this.handleDelete(interaction, serverMapping);
+                    break;
+                default:
+                    await interaction.reply({
+                        content: '❌ Unknown subcommand.',
+                        ephemeral: true
+                    });
+            }
+
+        } catch (error) {
+            logger.error('Error in taskTemplate command:', error);
+
+            const errorMessage = '❌ An error occurred while managing task templates. Please try again later.';
+
+            if (interaction.replied || interaction.deferred) {
+                await interaction.followUp({ content: errorMessage, ephemeral: true });
+            } else {
+                await interaction.reply({ content: errorMessage, ephemeral: true });
+            }
+        }
+    }
+
+    async handleSave(interaction, serverMapping) {
+        const colorInput = interaction.options.getString('color');
+        const thumbnailUrl = interaction.options.getString('thumbnail_url');
+
+        const color = colorInput ? this.parseColor(colorInput) : undefined;
+        if (color === null) {
+            return await interaction.reply({
+                content: '❌ Invalid color. Use a hex code such as `#3B82F6`.',
+                ephemeral: true
+            });
+        }
+
+        if (thumbnailUrl && !/^https:\/\/\S+$/.test(thumbnailUrl)) {
+            return await interaction.reply({
+                content: '❌ The thumbnail URL must start with `https://`.',
+                ephemeral: true
+            });
+        }
+
+        const taskType = interaction.options.getString('type');
+        const pendingTemplate = {
+            name: interaction.options.getString('name').trim(),
+            communityId: serverMapping.communityId,
+            taskData: {
+                type: taskType,
+                title: interaction.options.getString('title'),
+                description: interaction.options.getString('description'),
+                points: interaction.options.getInteger('points'),
+                duration: interaction.options.getInteger('duration') || 168
+            },
+            embedStyle: { color, thumbnailUrl }
+        };
+
+        // Requirements are collected with the same modal used for task creation
+        await this.botService.redis.set(
+            `task_template_${interaction.user.id}_${interaction.guildId}`,
+            pendingTemplate,
+            300 // 5 minutes
+        );
+
+        const modal = this.createTaskCommand.buildTaskModal(taskType, {
+            customId: `task_template_modal_${Date.now()}`,
+            title: 'Save Task Template'
+        });
+
+        await interaction.showModal(modal);
+    }
+
+    async handleModalSubmit(interaction) {
+        try {
+            const pendingKey = `task_template_${interaction.user.id}_${interaction.guildId}`;
+            const pendingTemplate = await this.botService.redis.get(pendingKey);
+
+            if (!pendingTemplate) {
+                return await interaction.reply({
+                    content: '❌ Template session expired. Please try again.',
+                    ephemeral: true
+                });
+            }
+
+            const requirements = this.createTaskCommand.getRequirementValues(
+                interaction,
+                pendingTemplate.taskData.type
+            );
+
+            const { template, created } = await this.botService.taskTemplates.saveTemplate(
+                pendingTemplate.communityId,
+                pendingTemplate.name,
+                {
+                    taskData: pendingTemplate.taskData,
+                    requirements,
+                    embedStyle: pendingTemplate.embedStyle
+                },
+                {
+                    guildId: interaction.guildId,
+                    userId: interaction.user.id
+                }
+            );
+
+            await this.botService.redis.del(pendingKey);
+
+            await interaction.reply({
+                content: `✅ Template "${template.name}" has been ${created ? 'saved' : 'updated'}. Use \`/naffles-task-template use name:${template.name}\` in any server linked to this community.`,
+                ephemeral: true
+            });
+
+            await this.botService.auditLogger.logAdminAction(
+                interaction.user.id,
+                created ? 'task_template_created' : 'task_template_updated',
+                interaction.guildId,
+                { templateId: template.templateId, name: template.name }
+            );
+
+        } catch (error) {
+            logger.error('Error handling task template modal:', error);
+
+            const content = error.message.startsWith('Template limit reached')
+                ? `❌ ${error.message}. Delete an unused template first.`
+                : '❌ Failed to save the template. Please check your inputs and try again.';
+
+            await interaction.reply({ content, ephemeral: true });
+        }
+    }
+
+    async handleList(interaction, serverMapping) {
+        const templates = await this.botService.taskTemplates.listTemplates(serverMapping.communityId);
+
+        if (templates.length === 0) {
+            return await interaction.reply({
+                content: '📭 This community has no task templates yet. Use `/naffles-task-template save` to create one.',
+                ephemeral: true
+            });
+        }
+
+        const embed = new EmbedBuilder()
+            .setTitle('📋 Task Templates')
+            .setDescription(`${templates.length} template${templates.length === 1 ? '' : 's'} shared across servers linked to this community`)
+            .setColor(0x3B82F6)
+            .setTimestamp();
+
+        templates.slice(0, 25).forEach(template => {
+            embed.addFields({
+                name: template.name,
+                value: [
+                    `**Task:** ${template.taskData.title}`,
+                    `**Type:** ${this.botService.formatTaskType(template.taskData.type)} • **Points:** ${template.taskData.points}`,
+                    `**Used:** ${template.usageCount} time${template.usageCount === 1 ? '' : 's'}`
+                ].join('\n'),
+                inline: true
+            });
+        });
+
+        await interaction.reply({
+            embeds: [embed],
+            ephemeral: true
+        });
+    }
+
+    async handleUse(interaction, serverMapping) {
+        const name = interaction.options.getString('name');
+        const template = await this.botService.taskTemplates.getTemplate(serverMapping.communityId, name);
+
+        if (!template) {
+            return await interaction.reply({
+                content: `❌ No template named "${name}" was found. Use \`/naffles-task-template list\` to see available templates.`,
+                ephemeral: true
+            });
+        }
+
+        const taskData = this.botService.taskTemplates.buildTaskData(template, {
+            guildId: interaction.guildId,
+            userId: interaction.user.id,
+            communityId: serverMapping.communityId
+        });
+
+        // Moderators confirm or adjust the pre-filled requirements before posting
+        // Usage is recorded once the task is actually created
+        await this.createTaskCommand.startTaskCreation(interaction, taskData, template.requirements || {});
+
+        await this.botService.logInteraction(interaction, 'create_task_initiated', 'success');
+    }
+
+    async handleDelete(interaction, serverMapping) {
+        const name = interaction.options.getString('name');
+        const deleted = await this.botService.taskTemplates.deleteTemplate(serverMapping.communityId, name);
+
+        if (!deleted) {
+            return await interaction.reply({
+                content: `❌ No template named "${name}" was found.`,
+                ephemeral: true
+            });
+        }
+
+        await interaction.reply({
+            content: `✅ Template "${deleted.name}" has been deleted.`,
+            ephemeral: true
+        });
+
+        await this.botService.auditLogger.logAdminAction(
+            interaction.user.id,
+            'task_template_deleted',
+            interaction.guildId,
+            { templateId: deleted.templateId, name: deleted.name }
+        );
+    }
+
+    // Accepts "#RRGGBB" or "RRGGBB"; returns null when invalid
+    parseColor(input) {
+        const match = input.trim().match(/^#?([0-9a-fA-F]{6})$/);
+        return match ? parseInt(match[1], 16) : null;
+    }
+}
+
+// Export the command class with its slash command data and registry entry
+module.exports = TaskTemplateCommand;
+module.exports.data = data;
+module.exports.meta = meta;
@@ -1,10 +1,9 @@
 const logger = require('../utils/logger');
-const ConnectAllowlistCommand = require('../commands/connectAllowlist');
 
 class ButtonHandler {
-    constructor(botService) {
+    constructor(botService, commandHandler = null) {
         this.botService = botService;
-        this.connectAllowlistCommand = new ConnectAllowlistCommand(botService);
+        this.commandHandler = commandHandler || botService.commandHandler;
     }
 
     async handleButtonInteraction(interaction) {
@@ -12,39 +11,32 @@ class ButtonHandler {
             const customId = interaction.customId;
             
             // Rate limiting check
-            const rateLimitKey = `button_${interaction.user.id}`;
-            const isRateLimited = await this.botService.rateLimiter.checkRateLimit(
-                rateLimitKey,
-                10, // 10 button clicks
-                60 // per minute
+            const rateLimitResult = await this.botService.rateLimiter.checkRateLimit(
+                interaction.user.id,
+                'button',
+                null,
+                { guildId: interaction.guildId }
             );
 
-            if (isRateLimited) {
+            if (!rateLimitResult.allowed) {
                 return await interaction.reply({
                     content: '⏰ You are clicking buttons too quickly. Please wait a moment and try again.',
                     ephemeral: true
                 });
             }
 
-            // Handle different button types
+            // Task embed buttons; everything else is routed to the command that declared it
+            const taskButton = customId.startsWith('complete_task_') || customId.startsWith('view_task_');
+            const maintenance = taskButton && this.botService.maintenance?.getActiveWindow(interaction.guildId, 'tasks');
+            if (maintenance) {
+                return await interaction.reply(this.botService.maintenance.createBanner(maintenance));
+            }
+
             if (customId.startsWith('complete_task_')) {
                 await this.handleTaskCompletion(interaction);
             } else if (customId.startsWith('view_task_')) {
                 await this.handleTaskView(interaction);
-            } else if (customId.startsWith('enter_allowlist_')) {
-                await this.connectAllowlistCommand.handleAllowlistEntry(interaction);
-            } else if (customId.startsWith('view_allowlist_')) {
-                await this.connectAllowlistCommand.handleAllowlistView(interaction);
-            } else if (customId === 'unlink_community' || customId === 'relink_community' || customId === 'test_connection') {
-                // Handle community linking button interactions
-                await this.handleCommunityLinkingButtons(interaction);
-            } else if (customId === 'refresh_status' || customId === 'link_community_help') {
-                // Handle status command button interactions
-                await this.handleStatusButtons(interaction);
-            } else if (customId === 'help_commands' || customId === 'help_setup') {
-                // Handle help command button interactions
-                await this.handleHelpButtons(interaction);
-            } else {
+            } else if (!this.commandHandler || !(await this.commandHandler.routeComponent('button', interaction))) {
                 logger.warn(`Unknown button interaction: ${customId}`);
                 await interaction.reply({
                     content: '❌ Unknown button. Please try again.',
@@ -78,6 +70,15 @@ class ButtonHandler {
             // Extract task ID from custom ID
             const taskId = interaction.customId.split('_')[2];
 
+            // New joiners sit out raid lockdowns
+            const raidLock = await this.botService.raidDetection?.checkNewJoinerLock(interaction.guildId, interaction.member);
+            if (raidLock) {
+                return await interaction.reply({
+                    content: raidLock.message,
+                    ephemeral: true
+                });
+            }
+
             // Check if user has linked Naffles account
             const userAccount = await this.botService.db.getUserAccountLink(interaction.user.id);
             if (!userAccount) {
@@ -116,6 +117,12 @@ class ButtonHandler {
                 });
             }
 
+            // Custom tasks collect proof for moderator review instead of completing instantly
+            const task = await this.botService.socialTaskIntegration.getTaskDetails(taskId);
+            if (task?.type === 'custom') {
+                return await this.botService.taskReview.showProofModal(interaction, task);
+            }
+
             // Track completion attempt
             await this.botService.taskProgressTracking.updateTaskProgress(taskId, {
                 type: 'completion_attempt',
@@ -310,69 +317,6 @@ class ButtonHandler {
         };
         return statusMap[status] || status;
     }
-
-    async handleCommunityLinkingButtons(interaction) {
-        try {
-            // Get the link community command from the command handler
-            const linkCommunityCommand = this.botService.commandHandler?.commands?.get('naffles-link-community');
-            if (linkCommunityCommand && linkCommunityCommand.handleButtonInteraction) {
-                await linkCommunityCommand.handleButtonInteraction(interaction);
-            } else {
-                await interaction.reply({
-                    content: '❌ Community linking functionality is not available.',
-                    ephemeral: true
-                });
-            }
-        } catch (error) {
-            logger.error('Error handling community linking button:', error);
-            await interaction.reply({
-                content: '❌ An error occurred. Please try again.',
-                ephemeral: true
-            });
-        }
-    }
-
-    async handleStatusButtons(interaction) {
-        try {
-            // Get the status command from the command handler
-            const statusCommand = this.botService.commandHandler?.commands?.get('naffles-status');
-            if (statusCommand && statusCommand.handleButtonInteraction) {
-                await statusCommand.handleButtonInteraction(interaction);
-            } else {
-                await interaction.reply({
-                    content: '❌ Status functionality is not available.',
-                    ephemeral: true
-                });
-            }
-        } catch (error) {
-            logger.error('Error handling status button:', error);
-            await interaction.reply({
-                content: '❌ An error occurred. Please try again.',
-                ephemeral: true
-            });
-        }
-    }
-
-    async handleHelpButtons(interaction) {
-        try {
-            // Get the help command from the command handler
-            const helpCommand = this.botService.commandHandler?.commands?.get('naffles-help');
-            if (helpCommand && helpCommand.handleButtonInteraction) {
-                await helpCommand.handleButtonInteraction(interaction);
-            } else {
-                await interaction.reply({
-                    content: '❌ Help functionality is not available.',
-                    ephemeral: true
-                });
-            }
-        } catch (error) {
-            logger.error('Error handling help button:', error);
-            await interaction.reply({
-                content: '❌ An error occurred. Please try again.',
-                ephemeral: true
-            });
-        }
-    }
 }
 
 module.exports = ButtonHandler;
\ No newline at end of file
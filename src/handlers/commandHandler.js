@@ -1,19 +1,16 @@
 const logger = require('../utils/logger');
-const CreateTaskCommand = require('../commands/createTask');
-const ListTasksCommand = require('../commands/listTasks');
-const ConnectAllowlistCommand = require('../commands/connectAllowlist');
-const AllowlistAnalyticsCommand = require('../commands/allowlistAnalytics');
-const LinkCommunityCommand = require('../commands/linkCommunity');
-const StatusCommand = require('../commands/status');
-const HelpCommand = require('../commands/help');
-const SecurityCommand = require('../commands/security');
+const CommandRegistry = require('./commandRegistry');
 
 class CommandHandler {
     constructor(botService) {
         this.botService = botService;
+        this.registry = botService.commandRegistry || new CommandRegistry().load();
         this.commands = new Map();
         this.cooldowns = new Map();
         this.initializeCommands();
+
+        // Swap in fresh command instances when modules are hot-reloaded
+        this.registry.on('reloaded', () => this.initializeCommands());
     }
 
     async initialize() {
@@ -21,26 +18,17 @@ class CommandHandler {
     }
 
     initializeCommands() {
-        // Initialize command instances
-        const createTaskCommand = new CreateTaskCommand(this.botService);
-        const listTasksCommand = new ListTasksCommand(this.botService);
-        const connectAllowlistCommand = new ConnectAllowlistCommand(this.botService);
-        const allowlistAnalyticsCommand = new AllowlistAnalyticsCommand(this.botService);
-        const linkCommunityCommand = new LinkCommunityCommand(this.botService);
-        const statusCommand = new StatusCommand(this.botService);
-        const helpCommand = new HelpCommand(this.botService);
-        const securityCommand = new SecurityCommand(this.botService);
-
-        // Register commands
-        this.commands.set('naffles-create-task', createTaskCommand);
-        this.commands.set('naffles-list-tasks', listTasksCommand);
-        this.commands.set('naffles-connect-allowlist', connectAllowlistCommand);
-        this.commands.set('naffles-allowlist-analytics', allowlistAnalyticsCommand);
-        this.commands.set('naffles-link-community', linkCommunityCommand);
-        this.commands.set('naffles-status', statusCommand);
-        this.commands.set('naffles-help', helpCommand);
-        this.commands.set('naffles-security', securityCommand);
+        const commands = new Map();
 
+        for (const definition of this.registry.getAll()) {
+            try {
+                commands.set(definition.name, new definition.CommandClass(this.botService));
+            } catch (error) {
+                logger.error(`Failed to initialize command ${definition.name}:`, error);
+            }
+        }
+
+        this.commands = commands;
         logger.info(`Initialized ${this.commands.size} slash commands`);
     }
 
@@ -57,6 +45,25 @@ class CommandHandler {
                 });
             }
 
+            // Paused while the whole bot or this command's feature is in maintenance
+            const maintenance = this.botService.maintenance?.getCommandWindow(interaction.guildId, interaction.commandName);
+            if (maintenance) {
+                await this.botService.auditLogger.logCommandExecution(interaction, 'maintenance_blocked', { maintenanceId: maintenance.id });
+                return await interaction.reply(this.botService.maintenance.createBanner(maintenance));
+            }
+
+            // Members held by auto moderation can't use the bot in this server
+            const block = this.botService.autoModeration?.getCommandBlock(interaction.guildId, interaction.user.id);
+            if (block) {
+                await this.botService.auditLogger.logCommandExecution(interaction, 'moderation_blocked', { moderationActionId: block.actionId });
+                return await interaction.reply({
+                    content: block.expiresAt
+                        ? `🛡️ You can't use bot commands in this server until <t:${Math.floor(block.expiresAt / 1000)}:t> because of unusual activity. Check your DMs to appeal.`
+                        : '🛡️ You can\'t use bot commands in this server until a moderator reviews recent activity. Check your DMs to appeal.',
+                    ephemeral: true
+                });
+            }
+
             // Check permissions first
             const permissionResult = await this.botService.permissionManager.checkCommandPermission(
                 interaction, 
@@ -105,9 +112,11 @@ class CommandHandler {
             }
 
             // Rate limiting check
-            const rateLimitResult = this.botService.rateLimiter.checkRateLimit(
+            const rateLimitResult = await this.botService.rateLimiter.checkRateLimit(
                 interaction.user.id,
-                'command'
+                'command',
+                null,
+                { guildId: interaction.guildId, command: interaction.commandName }
             );
 
             if (!rateLimitResult.allowed) {
@@ -171,26 +180,36 @@ class CommandHandler {
     }
 
     getCooldownTime(commandName) {
-        const cooldownTimes = {
-            'naffles-create-task': 10000, // 10 seconds
-            'naffles-list-tasks': 5000,   // 5 seconds
-            'naffles-connect-allowlist': 15000, // 15 seconds
-            'naffles-allowlist-analytics': 10000, // 10 seconds
-            'naffles-link-community': 30000, // 30 seconds
-            'naffles-status': 5000, // 5 seconds
-            'naffles-help': 2000 // 2 seconds
-        };
-        
-        return cooldownTimes[commandName] || 5000; // Default 5 seconds
+        return this.registry.getCooldown(commandName);
+    }
+
+    /**
+     * Hand a component interaction to the command module that declared its route
+     * @param {string} type - 'button', 'selectMenu' or 'modal'
+     * @param {Object} interaction - Discord interaction
+     * @returns {Promise<boolean>} True when a command handled it
+     */
+    async routeComponent(type, interaction) {
+        const route = this.registry.findRoute(type, interaction.customId);
+        const command = route && this.commands.get(route.command);
+
+        if (!command || typeof command[route.handler] !== 'function') {
+            return false;
+        }
+
+        const maintenance = this.botService.maintenance?.getCommandWindow(interaction.guildId, route.command);
+        if (maintenance) {
+            await interaction.reply(this.botService.maintenance.createBanner(maintenance));
+            return true;
+        }
+
+        await command[route.handler](interaction);
+        return true;
     }
 
     async handleModalSubmit(interaction) {
         try {
-            // Determine which command should handle this modal
-            if (interaction.customId.startsWith('create_task_modal_')) {
-                const createTaskCommand = this.commands.get('naffles-create-task');
-                await createTaskCommand.handleModalSubmit(interaction);
-            } else {
+            if (!(await this.routeComponent('modal', interaction))) {
                 logger.warn(`Unknown modal: ${interaction.customId}`);
                 await interaction.reply({
                     content: '❌ Unknown modal submission. Please try again.',
@@ -221,21 +240,7 @@ class CommandHandler {
 
     async handleSelectMenu(interaction) {
         try {
-            // Determine which command should handle this select menu
-            if (interaction.customId === 'select_task_details') {
-                const listTasksCommand = this.commands.get('naffles-list-tasks');
-                await listTasksCommand.handleSelectMenu(interaction);
-            } else if (interaction.customId === 'help_topic') {
-                const helpCommand = this.commands.get('naffles-help');
-                if (helpCommand && helpCommand.handleSelectMenuInteraction) {
-                    await helpCommand.handleSelectMenuInteraction(interaction);
-                } else {
-                    await interaction.reply({
-                        content: '❌ Help functionality is not available.',
-                        ephemeral: true
-                    });
-                }
-            } else {
+            if (!(await this.routeComponent('selectMenu', interaction))) {
                 logger.warn(`Unknown select menu: ${interaction.customId}`);
                 await interaction.reply({
                     content: '❌ Unknown selection. Please try again.',
@@ -0,0 +1,240 @@
+const { Routes } = require('discord.js');
+const logger = require('../utils/logger');
+
+// Top-level command fields we manage; anything else Discord returns is ignored
+const COMMAND_FIELDS = [
+    'type',
+    'name',
+    'name_localizations',
+    'description',
+    'description_localizations',
+    'options',
+    'default_member_permissions',
+    'dm_permission',
+    'nsfw'
+];
+
+const OPTION_FIELDS = [
+    'type',
+    'name',
+    'name_localizations',
+    'description',
+    'description_localizations',
+    'required',
+    'choices',
+    'options',
+    'channel_types',
+    'min_value',
+    'max_value',
+    'min_length',
+    'max_length',
+    'autocomplete'
+];
+
+// Values Discord assumes when a field is left out
+const COMMAND_DEFAULTS = {
+    type: 1,
+    dm_permission: true,
+    nsfw: false
+};
+
+const OPTION_DEFAULTS = {
+    required: false,
+    autocomplete: false
+};
+
+/**
+ * Command Registration Planner
+ * Compares the slash commands we want registered with the ones Discord
+ * already has and applies only the difference:
+ *
+ *   const plan = await planner.plan(commands, guildId);
+ *   console.log(planner.formatPlan(plan));
+ *   await planner.apply(plan);
+ *
+ * Without a guild ID the plan targets global commands.
+ */
+class CommandRegistrationPlanner {
+    /**
+     * @param {REST} rest - discord.js REST client
+     * @param {string} clientId - Application ID
+     */
+    constructor(rest, clientId) {
+        this.rest = rest;
+        this.clientId = clientId;
+    }
+
+    /**
+     * Fetch the commands Discord has registered
+     * @param {string|null} guildId - Guild ID, or null for global commands
+     * @returns {Promise<Array<Object>>} Registered commands
+     */
+    async fetchExisting(guildId = null) {
+        const route = guildId
+            ? Routes.applicationGuildCommands(this.clientId, guildId)
+            : Routes.applicationCommands(this.clientId);
+
+        // Localizations are left out of the response unless asked for
+        return this.rest.get(route, { query: new URLSearchParams({ with_localizations: 'true' }) });
+    }
+
+    /**
+     * Work out which commands to create, update and delete
+     * @param {Array<Object>} commands - Command JSON that should be registered
+     * @param {string|null} guildId - Guild ID, or null for global commands
+     * @returns {Promise<Object>} { guildId, create, update, delete, unchanged }
+     */
+    async plan(commands, guildId = null) {
+        const existing = await this.fetchExisting(guildId);
+        return CommandRegistrationPlanner.diff(commands, existing, guildId);
+    }
+
+    /**
+     * Compare wanted and registered commands
+     * @param {Array<Object>} commands - Command JSON that should be registered
+     * @param {Array<Object>} existing - Commands Discord has registered
+     * @param {string|null} guildId - Guild ID, or null for global commands
+     * @returns {Object} { guildId, create, update, delete, unchanged }
+     */
+    static diff(commands, existing, guildId = null) {
+        const registered = new Map(existing.map(command => [command.name, command]));
+        const plan = { guildId, create: [], update: [], delete: [], unchanged: [] };
+
+        for (const command of commands) {
+            const current = registered.get(command.name);
+            registered.delete(command.name);
+
+            if (!current) {
+                plan.create.push({ name: command.name, command });
+                continue;
+            }
+
+            const wanted = normalizeCommand(command);
+            const actual = normalizeCommand(current);
+            const changes = COMMAND_FIELDS.filter(field =>
+                JSON.stringify(wanted[field]) !== JSON.stringify(actual[field])
+            );
+
+            if (changes.length > 0) {
+                plan.update.push({ name: command.name, id: current.id, command, changes });
+            } else {
+                plan.unchanged.push({ name: command.name, id: current.id });
+            }
+        }
+
+        for (const current of registered.values()) {
+            plan.delete.push({ name: current.name, id: current.id });
+        }
+
+        return plan;
+    }
+
+    /**
+     * @param {Object} plan - Registration plan
+     * @returns {boolean} True when the plan changes anything
+     */
+    static hasChanges(plan) {
+        return plan.create.length + plan.update.length + plan.delete.length > 0;
+    }
+
+    /**
+     * Apply a plan, one request per changed command
+     * @param {Object} plan - Registration plan
+     * @returns {Promise<Object>} { created, updated, deleted }
+     */
+    async apply(plan) {
+        const { guildId } = plan;
+        const commandsRoute = guildId
+            ? Routes.applicationGuildCommands(this.clientId, guildId)
+            : Routes.applicationCommands(this.clientId);
+        const commandRoute = id => guildId
+            ? Routes.applicationGuildCommand(this.clientId, guildId, id)
+            : Routes.applicationCommand(this.clientId, id);
+
+        for (const { command } of plan.create) {
+            await this.rest.post(commandsRoute, { body: command });
+        }
+
+        for (const { id, command } of plan.update) {
+            await this.rest.patch(commandRoute(id), { body: command });
+        }
+
+        for (const { id } of plan.delete) {
+            await this.rest.delete(commandRoute(id));
+        }
+
+        const result = {
+            created: plan.create.length,
+            updated: plan.update.length,
+            deleted: plan.delete.length
+        };
+
+        logger.info(`Applied command registration plan for ${guildId ? `guild ${guildId}` : 'global commands'}`, result);
+        return result;
+    }
+
+    /**
+     * Describe a plan for dry runs
+     * @param {Object} plan - Registration plan
+     * @returns {string} One line per command
+     */
+    formatPlan(plan) {
+        const target = plan.guildId ? `guild ${plan.guildId}` : 'global commands';
+        const lines = [`Registration plan for ${target}:`];
+
+        plan.create.forEach(({ name }) => lines.push(`  + /${name}`));
+        plan.update.forEach(({ name, changes }) => lines.push(`  ~ /${name} (${changes.join(', ')})`));
+        plan.delete.forEach(({ name }) => lines.push(`  - /${name}`));
+
+        if (!CommandRegistrationPlanner.hasChanges(plan)) {
+            lines.push('  No changes');
+        }
+
+        lines.push(`  ${plan.create.length} to create, ${plan.update.length} to update, ` +
+            `${plan.delete.length} to delete, ${plan.unchanged.length} unchanged`);
+
+        return lines.join('\n');
+    }
+}
+
+/**
+ * Reduce command JSON to the fields we manage, filling in Discord's defaults
+ * so builder output and API responses compare equal
+ * @private
+ */
+function normalizeCommand(command) {
+    return normalizeFields(command, COMMAND_FIELDS, {
+        ...COMMAND_DEFAULTS,
+        default_member_permissions: null
+    });
+}
+
+function normalizeFields(source, fields, defaults) {
+    const normalized = {};
+
+    for (const field of fields) {
+        let value = source[field];
+
+        if (field === 'options') {
+            value = (value || []).map(option => normalizeFields(option, OPTION_FIELDS, OPTION_DEFAULTS));
+        } else if (field === 'choices') {
+            value = (value || []).map(choice => normalizeFields(choice, ['name', 'name_localizations', 'value'], {}));
+        } else if (field.endsWith('_localizations')) {
+            value = sortKeys(value || {});
+        }
+
+        if (value === undefined || value === null) {
+            value = Object.prototype.hasOwnProperty.call(defaults, field) ? defaults[field] : null;
+        }
+
+        normalized[field] = value;
+    }
+
+    return normalized;
+}
+
+function sortKeys(object) {
+    return Object.fromEntries(Object.keys(object).sort().map(key => [key, object[key]]));
+}
+
+module.exports = CommandRegistrationPlanner;
@@ -0,0 +1,312 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const DEFAULT_COOLDOWN = 5000; // 5 seconds
+
+const DEFAULT_PERMISSIONS = {
+    requiredRoles: [], // Empty means any member can use
+    requiredPermissions: [],
+    adminOnly: false,
+    maxUsesPerHour: 30
+};
+
+// Component interaction type -> key in a command's routes
+const ROUTE_TYPES = {
+    button: 'buttons',
+    selectMenu: 'selectMenus',
+    modal: 'modals'
+};
+
+/**
+ * Command Registry
+ * Loads every command module in src/commands. A module exports its command
+ * class with `data` (SlashCommandBuilder) and `meta`:
+ *
+ *   module.exports.meta = {
+ *       permissions: { requiredPermissions: ['ManageGuild'], adminOnly: false, maxUsesPerHour: 30 },
+ *       cooldown: 5000,
+ *       routes: {
+ *           buttons: [{ prefix: 'leaderboard_', handler: 'handleButtonInteraction' }],
+ *           selectMenus: [{ customId: 'help_topic', handler: 'handleSelectMenuInteraction' }],
+ *           modals: [{ prefix: 'create_task_modal_', handler: 'handleModalSubmit' }]
+ *       },
+ *       help: { audience: 'linked', order: 10 }, // 'linked', 'unlinked' or 'all'
+ *       feature: 'allowlist_analytics', // Optional: only registered in guilds with this feature flag
+ *       maintenance: 'allowlists' // Optional: paused while this feature is in maintenance;
+ *                                 // false keeps the command usable during full maintenance
+ *   };
+ *
+ * The command handler, slash command registration, permission manager and
+ * help command all read from here. In development `watch()` reloads the
+ * modules when a file changes and emits 'reloaded'.
+ */
+class CommandRegistry extends EventEmitter {
+    /**
+     * @param {string} commandsPath - Directory holding the command modules
+     */
+    constructor(commandsPath = path.join(__dirname, '..', 'commands')) {
+        super();
+        this.commandsPath = commandsPath;
+        this.definitions = new Map();
+        this.watcher = null;
+        this.reloadTimer = null;
+        this.reloadDelay = 300;
+    }
+
+    /**
+     * Load (or reload) every command module
+     * @returns {CommandRegistry} This registry
+     */
+    load() {
+        const definitions = new Map();
+
+        for (const file of this.getCommandFiles()) {
+            try {
+                const CommandClass = require(file);
+                if (!CommandClass.data) {
+                    continue;
+                }
+
+                const definition = this.createDefinition(CommandClass, file);
+                definitions.set(definition.name, definition);
+            } catch (error) {
+                logger.error(`Failed to load command module ${path.basename(file)}:`, error);
+
+                // Keep serving the last version that loaded
+                for (const definition of this.definitions.values()) {
+                    if (definition.file === file) {
+                        definitions.set(definition.name, definition);
+                    }
+                }
+            }
+        }
+
+        this.definitions = definitions;
+        logger.info(`Loaded ${definitions.size} command definitions`);
+
+        return this;
+    }
+
+    /**
+     * Reload every command module from disk
+     * @returns {Array<string>} Commands whose slash data changed
+     */
+    reload() {
+        const previousData = new Map(Array.from(this.definitions.values())
+            .map(definition => [definition.name, JSON.stringify(definition.data.toJSON())]));
+
+        for (const file of this.getCommandFiles()) {
+            delete require.cache[require.resolve(file)];
+        }
+
+        this.load();
+
+        const changedData = Array.from(this.definitions.values())
+            .filter(definition => previousData.get(definition.name) !== JSON.stringify(definition.data.toJSON()))
+            .map(definition => definition.name);
+
+        if (changedData.length > 0) {
+            logger.warn(`Slash command data changed for ${changedData.join(', ')}; re-register commands to update Discord`);
+        }
+
+        this.emit('reloaded', { commands: this.getNames(), changedData });
+        return changedData;
+    }
+
+    /**
+     * Reload commands whenever a module in the commands directory changes
+     */
+    watch() {
+        if (this.watcher) {
+            return;
+        }
+
+        this.watcher = fs.watch(this.commandsPath, (eventType, filename) => {
+            if (!filename || !filename.endsWith('.js')) {
+                return;
+            }
+
+            // Editors write files in several steps; reload once they settle
+            clearTimeout(this.reloadTimer);
+            this.reloadTimer = setTimeout(() => {
+                logger.info(`Reloading commands after change to ${filename}`);
+                this.reload();
+            }, this.reloadDelay);
+            this.reloadTimer.unref?.();
+        });
+
+        logger.info('Watching command modules for changes');
+    }
+
+    /**
+     * Stop watching for changes
+     */
+    unwatch() {
+        clearTimeout(this.reloadTimer);
+
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+    }
+
+    /**
+     * Build a definition from a command module's exports
+     * @private
+     */
+    createDefinition(CommandClass, file) {
+        const meta = CommandClass.meta || {};
+        const cooldown = meta.cooldown ?? DEFAULT_COOLDOWN;
+        const routes = {};
+
+        for (const key of Object.values(ROUTE_TYPES)) {
+            routes[key] = meta.routes?.[key] || [];
+        }
+
+        return {
+            name: CommandClass.data.name,
+            file,
+            CommandClass,
+            data: CommandClass.data,
+            cooldown,
+            permissions: { ...DEFAULT_PERMISSIONS, ...meta.permissions, cooldown },
+            routes,
+            help: meta.help || null,
+            feature: meta.feature || null,
+            maintenance: meta.maintenance ?? null
+        };
+    }
+
+    /**
+     * @private
+     */
+    getCommandFiles() {
+        return fs.readdirSync(this.commandsPath)
+            .filter(file => file.endsWith('.js'))
+            .map(file => path.join(this.commandsPath, file));
+    }
+
+    get(name) {
+        return this.definitions.get(name) || null;
+    }
+
+    has(name) {
+        return this.definitions.has(name);
+    }
+
+    getAll() {
+        return Array.from(this.definitions.values());
+    }
+
+    getNames() {
+        return Array.from(this.definitions.keys());
+    }
+
+    /**
+     * Get slash command JSON for registration with Discord
+     * @returns {Array<Object>} Command JSON
+     */
+    getSlashCommandData() {
+        return this.getAll().map(definition => definition.data.toJSON());
+    }
+
+    /**
+     * Get slash command JSON for commands registered globally
+     * @returns {Array<Object>} Command JSON
+     */
+    getGlobalCommandData() {
+        return this.getAll()
+            .filter(definition => !definition.feature)
+            .map(definition => definition.data.toJSON());
+    }
+
+    /**
+     * Get slash command JSON for the feature-gated commands a guild opted into
+     * @param {Array<string>} featureFlags - Guild feature flags
+     * @returns {Array<Object>} Command JSON
+     */
+    getFeatureCommandData(featureFlags = []) {
+        return this.getAll()
+            .filter(definition => definition.feature && featureFlags.includes(definition.feature))
+            .map(definition => definition.data.toJSON());
+    }
+
+    /**
+     * @returns {Array<string>} Feature flags that gate at least one command
+     */
+    getFeatures() {
+        return [...new Set(this.getAll().map(definition => definition.feature).filter(Boolean))];
+    }
+
+    /**
+     * Get the default permission configuration of every command
+     * @returns {Object} Command name -> permission config
+     */
+    getPermissionDefaults() {
+        return Object.fromEntries(this.getAll().map(definition => [definition.name, definition.permissions]));
+    }
+
+    /**
+     * @param {string} name - Command name
+     * @returns {number} Cooldown in milliseconds
+     */
+    getCooldown(name) {
+        return this.get(name)?.cooldown ?? DEFAULT_COOLDOWN;
+    }
+
+    /**
+     * @param {string} name - Command name
+     * @returns {string|false|null} Maintenance feature, false when exempt, null when only full maintenance applies
+     */
+    getMaintenanceFeature(name) {
+        return this.get(name)?.maintenance ?? null;
+    }
+
+    /**
+     * Find the command that handles a component interaction
+     * @param {string} type - 'button', 'selectMenu' or 'modal'
+     * @param {string} customId - Component custom ID
+     * @returns {Object|null} { command, handler }
+     */
+    findRoute(type, customId) {
+        const key = ROUTE_TYPES[type];
+        if (!key || !customId) {
+            return null;
+        }
+
+        for (const definition of this.definitions.values()) {
+            const route = definition.routes[key].find(candidate => {
+                if (candidate.prefix) {
+                    return customId.startsWith(candidate.prefix);
+                }
+
+                return Array.isArray(candidate.customId)
+                    ? candidate.customId.includes(customId)
+                    : candidate.customId === customId;
+            });
+
+            if (route) {
+                return { command: definition.name, handler: route.handler };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the commands listed in help for a server
+     * @param {boolean} linked - Whether the server is linked to a community
+     * @returns {Array<Object>} Definitions in help order
+     */
+    getHelpEntries(linked) {
+        const audience = linked ? 'linked' : 'unlinked';
+
+        return this.getAll()
+            .filter(definition => definition.help && [audience, 'all'].includes(definition.help.audience))
+            .sort((a, b) => (a.help.order ?? 0) - (b.help.order ?? 0));
+    }
+}
+
+module.exports = CommandRegistry;
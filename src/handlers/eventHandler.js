@@ -1,10 +1,12 @@
 const logger = require('../utils/logger');
+const ButtonHandler = require('./buttonHandler');
 
 class EventHandler {
     constructor(client, botService, commandHandler) {
         this.client = client;
         this.botService = botService;
         this.commandHandler = commandHandler;
+        this.buttonHandler = new ButtonHandler(botService, commandHandler);
     }
 
     async initialize() {
@@ -203,8 +205,8 @@ class EventHandler {
             }
         });
 
-        // Handle button through bot service
-        await this.botService.handleButtonInteraction(interaction);
+        // Task buttons and the buttons declared by command modules
+        await this.buttonHandler.handleButtonInteraction(interaction);
     }
 
     async handleSelectMenuInteraction(interaction) {
@@ -21,6 +21,9 @@ class OAuthHandler {
         
         // OAuth error route
         this.router.get('/error', this.handleOAuthError.bind(this));
+
+        // Member account linked route
+        this.router.get('/account/success', this.handleAccountLinkSuccess.bind(this));
     }
 
     /**
@@ -86,6 +89,10 @@ class OAuthHandler {
                 return res.redirect('/oauth/error?error=invalid_state');
             }
 
+            if (stateData.purpose === 'account') {
+                return await this.handleAccountLinkCallback(req, res, code, stateData);
+            }
+
             const { guildId, userId, communityId } = stateData;
 
             // Exchange code for access token
@@ -178,6 +185,50 @@ class OAuthHandler {
         }
     }
 
+    /**
+     * Handle the OAuth callback for a member linking their Naffles account
+     */
+    async handleAccountLinkCallback(req, res, code, stateData) {
+        const { guildId, userId } = stateData;
+
+        // Exchange code for access token
+        const tokenData = await this.communityLinkingService.exchangeCodeForToken(code);
+
+        // Get Discord user information
+        const discordUser = await this.communityLinkingService.getDiscordUserInfo(tokenData.access_token);
+
+        // The link was requested from Discord by this user
+        if (discordUser.id !== userId) {
+            logger.error('User ID mismatch in account link callback');
+            return res.redirect('/oauth/error?error=user_mismatch');
+        }
+
+        const result = await this.botService.accountLinking.completeLink(discordUser, tokenData, {
+            guildId,
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+
+        if (!result.success) {
+            return res.redirect(`/oauth/error?error=${result.reason}`);
+        }
+
+        res.redirect('/oauth/account/success');
+    }
+
+    /**
+     * Handle the page shown after a member linked their account
+     */
+    async handleAccountLinkSuccess(req, res) {
+        res.send(this.renderPage({
+            icon: '✅',
+            title: 'Account Linked',
+            titleColor: '#10B981',
+            message: 'Your Discord account is now linked to your Naffles account. You can close this page and return to Discord.',
+            buttons: '<a href="https://naffles.com" class="button">Go to Naffles</a>'
+        }));
+    }
+
     /**
      * Handle OAuth status check
      */
@@ -235,17 +286,35 @@ class OAuthHandler {
             'community_already_linked': 'This community is already linked to another Discord server.',
             'initiation_failed': 'Failed to initiate OAuth process. Please try again.',
             'callback_failed': 'OAuth callback failed. Please try again.',
-            'missing_parameters': 'Missing required parameters in OAuth callback.'
+            'missing_parameters': 'Missing required parameters in OAuth callback.',
+            'naffles_account_not_found': 'No Naffles account has this Discord account connected. Connect Discord in your Naffles profile first, then link again.',
+            'account_suspended': 'Your account link is suspended. Please contact support.',
+            'database_unavailable': 'Account linking is temporarily unavailable. Please try again later.'
         };
 
         const errorMessage = errorMessages[error] || 'An unknown error occurred during authentication.';
 
         // Send HTML error page
-        res.send(`
+        res.send(this.renderPage({
+            icon: '❌',
+            title: 'Authentication Failed',
+            titleColor: '#e53e3e',
+            message: errorMessage,
+            buttons: `
+                        <a href="https://naffles.com/discord-setup" class="button">Try Again</a>
+                        <a href="https://naffles.com/support" class="button secondary">Get Help</a>`
+        }));
+    }
+
+    /**
+     * Render a result page shown in the browser after OAuth
+     */
+    renderPage({ icon, title, titleColor, message, buttons }) {
+        return `
             <!DOCTYPE html>
             <html>
             <head>
-                <title>Naffles Discord Bot - Authentication Error</title>
+                <title>Naffles Discord Bot - ${title}</title>
                 <meta charset="utf-8">
                 <meta name="viewport" content="width=device-width, initial-scale=1">
                 <style>
@@ -267,8 +336,8 @@ class OAuthHandler {
                         text-align: center;
                         box-shadow: 0 10px 30px rgba(0,0,0,0.2);
                     }
-                    .error-icon { font-size: 48px; margin-bottom: 20px; }
-                    h1 { color: #e53e3e; margin-bottom: 20px; }
+                    .icon { font-size: 48px; margin-bottom: 20px; }
+                    h1 { color: ${titleColor}; margin-bottom: 20px; }
                     p { color: #666; line-height: 1.6; margin-bottom: 30px; }
                     .button {
                         display: inline-block;
@@ -287,17 +356,15 @@ class OAuthHandler {
             </head>
             <body>
                 <div class="container">
-                    <div class="error-icon">❌</div>
-                    <h1>Authentication Failed</h1>
-                    <p>${errorMessage}</p>
-                    <div>
-                        <a href="https://naffles.com/discord-setup" class="button">Try Again</a>
-                        <a href="https://naffles.com/support" class="button secondary">Get Help</a>
+                    <div class="icon">${icon}</div>
+                    <h1>${title}</h1>
+                    <p>${message}</p>
+                    <div>${buttons}
                     </div>
                 </div>
             </body>
             </html>
-        `);
+        `;
     }
 
     /**
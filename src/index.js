@@ -8,6 +8,7 @@ const RedisService = require('./services/redisService');
 const CommandHandler = require('./handlers/commandHandler');
 const EventHandler = require('./handlers/eventHandler');
 const HealthMonitor = require('./services/healthMonitor');
+const ShardCoordinator = require('./services/shardCoordinator');
 
 // Load environment variables
 dotenv.config();
@@ -18,6 +19,7 @@ class NafflesDiscordBot {
         this.botService = null;
         this.databaseService = null;
         this.redisService = null;
+        this.shardCoordinator = null;
         this.commandHandler = null;
         this.eventHandler = null;
         this.healthMonitor = null;
@@ -82,16 +84,21 @@ class NafflesDiscordBot {
 
     async initializeServices() {
         try {
-            // Initialize database service
-            this.databaseService = new DatabaseService();
-            await this.databaseService.connect();
-
             // Initialize Redis service
             this.redisService = new RedisService();
             await this.redisService.connect();
 
+            // Coordinate background jobs with other shards before any of them start
+            this.shardCoordinator = new ShardCoordinator(this.client, this.redisService);
+            await this.shardCoordinator.initialize();
+
+            // Initialize database service
+            this.databaseService = new DatabaseService();
+            this.databaseService.cleanupService.setCoordinator(this.shardCoordinator);
+            await this.databaseService.connect();
+
             // Initialize Discord bot service
-            this.botService = new DiscordBotService(this.client, this.databaseService, this.redisService);
+            this.botService = new DiscordBotService(this.client, this.databaseService, this.redisService, this.shardCoordinator);
             await this.botService.initialize();
 
             logger.info('All services initialized successfully');
@@ -106,6 +113,7 @@ class NafflesDiscordBot {
             // Initialize command handler
             this.commandHandler = new CommandHandler(this.botService);
             await this.commandHandler.initialize();
+            this.botService.commandHandler = this.commandHandler;
 
             // Initialize event handler with command handler reference
             this.eventHandler = new EventHandler(this.client, this.botService, this.commandHandler);
@@ -171,6 +179,12 @@ class NafflesDiscordBot {
                     logger.info('Bot service cleaned up');
                 }
 
+                // Hand background jobs over to the remaining shards
+                if (this.shardCoordinator) {
+                    await this.shardCoordinator.shutdown();
+                    logger.info('Shard coordinator shutdown');
+                }
+
                 // Close Redis connection
                 if (this.redisService) {
                     await this.redisService.disconnect();
@@ -48,6 +48,16 @@ const allowlistConnectionSchema = new mongoose.Schema({
         },
         lastInteraction: Date
     },
+    // Anti-Sybil thresholds (0-100 risk score; null = off)
+    riskPolicy: {
+        enabled: {
+            type: Boolean,
+            default: true
+        },
+        reviewAbove: { type: Number, min: 1, max: 100, default: null },
+        rejectAbove: { type: Number, min: 1, max: 100, default: null },
+        updatedBy: String
+    },
     isActive: {
         type: Boolean,
         default: true
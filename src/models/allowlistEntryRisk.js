@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+const DECISIONS = ['allowed', 'held', 'rejected', 'approved', 'denied'];
+
+const allowlistEntryRiskSchema = new mongoose.Schema({
+    allowlistId: {
+        type: String,
+        required: true
+    },
+    guildId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    discordId: {
+        type: String,
+        required: true
+    },
+    nafflesUserId: String,
+
+    // Risk score (0-100) and what each signal contributed
+    score: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 100
+    },
+    signals: [{
+        name: {
+            type: String,
+            required: true
+        },
+        weight: Number,
+        risk: Number, // 0-1; null when the signal was unavailable
+        detail: mongoose.Schema.Types.Mixed,
+        error: String,
+        _id: false
+    }],
+    // Thresholds in force when the entrant was scored
+    policy: {
+        reviewAbove: Number,
+        rejectAbove: Number
+    },
+
+    // allowed/held/rejected by score; approved/denied by a moderator
+    decision: {
+        type: String,
+        enum: DECISIONS,
+        required: true
+    },
+    // Entry payload for the Naffles API, kept while the entry is held
+    entryData: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    review: {
+        decidedBy: String,
+        decidedAt: Date,
+        error: String
+    },
+    attempts: {
+        type: Number,
+        default: 1
+    }
+}, {
+    timestamps: true
+});
+
+// Compound Indexes for Performance
+allowlistEntryRiskSchema.index({ allowlistId: 1, discordId: 1 }, { unique: true });
+allowlistEntryRiskSchema.index({ allowlistId: 1, decision: 1, createdAt: 1 });
+
+// TTL Index (cleanup after 180 days)
+allowlistEntryRiskSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+// Instance Methods
+allowlistEntryRiskSchema.methods.isHeld = function() {
+    return this.decision === 'held';
+};
+
+/**
+ * Whether a new entry attempt should be scored again. Held entries wait
+ * for a moderator, and moderator decisions stand.
+ */
+allowlistEntryRiskSchema.methods.isFinal = function() {
+    return ['held', 'approved', 'denied'].includes(this.decision);
+};
+
+// Static Methods
+allowlistEntryRiskSchema.statics.findHeld = function(allowlistId, guildId, limit = 25) {
+    return this.find({ allowlistId, guildId, decision: 'held' })
+        .sort({ createdAt: 1 })
+        .limit(limit);
+};
+
+allowlistEntryRiskSchema.statics.getDecisionCounts = function(allowlistId, guildId) {
+    return this.aggregate([
+        { $match: { allowlistId, guildId } },
+        { $group: { _id: '$decision', count: { $sum: 1 }, avgScore: { $avg: '$score' } } }
+    ]);
+};
+
+allowlistEntryRiskSchema.statics.DECISIONS = DECISIONS;
+
+module.exports = mongoose.model('AllowlistEntryRisk', allowlistEntryRiskSchema);
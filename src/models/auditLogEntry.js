@@ -0,0 +1,391 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const RETENTION_PURGE_ACTION = 'audit_retention_purge';
+const USER_ERASURE_ACTION = 'user_data_erasure';
+
+const auditLogEntrySchema = new mongoose.Schema({
+    entryId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    // Hash chain: each writer (shard) appends to its own chain in sequence
+    chainId: {
+        type: String,
+        required: true
+    },
+    sequence: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    prevHash: {
+        type: String,
+        default: null
+    },
+    hash: {
+        type: String,
+        required: true
+    },
+
+    // Queryable fields
+    type: {
+        type: String,
+        required: true
+    },
+    userId: {
+        type: String,
+        default: null
+    },
+    guildId: {
+        type: String,
+        default: null
+    },
+    action: {
+        type: String,
+        default: null
+    },
+    severity: {
+        type: String,
+        default: null
+    },
+    timestamp: {
+        type: Date,
+        required: true
+    },
+    // When the entry was appended; drives retention
+    recordedAt: {
+        type: Date,
+        required: true
+    },
+
+    // Everything else the audit call logged
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+
+    // Entry ID of the erasure record that pseudonymized this entry; not hashed
+    redactedBy: {
+        type: String,
+        default: null
+    }
+}, {
+    minimize: false,
+    versionKey: false
+});
+
+// Compound Indexes for Performance
+auditLogEntrySchema.index({ chainId: 1, sequence: 1 }, { unique: true });
+auditLogEntrySchema.index({ chainId: 1, recordedAt: 1 });
+auditLogEntrySchema.index({ guildId: 1, timestamp: -1 });
+auditLogEntrySchema.index({ userId: 1, timestamp: -1 });
+auditLogEntrySchema.index({ type: 1, timestamp: -1 });
+auditLogEntrySchema.index({ action: 1, timestamp: -1 });
+auditLogEntrySchema.index({ severity: 1, timestamp: -1 });
+auditLogEntrySchema.index({ timestamp: -1 });
+
+/**
+ * JSON with object keys sorted, so the same entry always hashes the same
+ */
+function canonicalize(value) {
+    if (value instanceof Date) {
+        return JSON.stringify(value.toISOString());
+    }
+    if (Array.isArray(value)) {
+        return `[${value.map(item => canonicalize(item === undefined ? null : item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+// Static Methods
+
+/**
+ * Hash of an entry's content and the previous entry's hash
+ * @param {Object} entry - Entry fields
+ * @returns {string} Hex SHA-256
+ */
+auditLogEntrySchema.statics.computeHash = function(entry) {
+    const content = canonicalize({
+        entryId: entry.entryId,
+        chainId: entry.chainId,
+        sequence: entry.sequence,
+        prevHash: entry.prevHash || null,
+        type: entry.type,
+        userId: entry.userId || null,
+        guildId: entry.guildId || null,
+        action: entry.action || null,
+        severity: entry.severity || null,
+        timestamp: new Date(entry.timestamp),
+        recordedAt: new Date(entry.recordedAt),
+        data: entry.data || {}
+    });
+
+    return crypto.createHash('sha256').update(content).digest('hex');
+};
+
+/**
+ * Mongo query for audit filters
+ * @param {Object} filters - { guildId, userId, type, action, severity, startDate, endDate }; type, action and severity also take arrays
+ * @returns {Object} Query
+ */
+auditLogEntrySchema.statics.buildQuery = function(filters = {}) {
+    const query = {};
+
+    for (const field of ['guildId', 'userId', 'type', 'action', 'severity']) {
+        if (Array.isArray(filters[field])) {
+            query[field] = { $in: filters[field] };
+        } else if (filters[field]) {
+            query[field] = filters[field];
+        }
+    }
+
+    if (filters.startDate || filters.endDate) {
+        query.timestamp = {};
+        if (filters.startDate) query.timestamp.$gte = new Date(filters.startDate);
+        if (filters.endDate) query.timestamp.$lte = new Date(filters.endDate);
+    }
+
+    return query;
+};
+
+/**
+ * Flatten a stored entry back into the shape AuditLogger logged
+ * @param {Object} entry - Lean entry
+ * @returns {Object} Audit log
+ */
+auditLogEntrySchema.statics.toAuditLog = function(entry) {
+    return {
+        ...entry.data,
+        id: entry.entryId,
+        type: entry.type,
+        userId: entry.userId,
+        guildId: entry.guildId,
+        action: entry.action,
+        severity: entry.severity,
+        timestamp: entry.timestamp
+    };
+};
+
+auditLogEntrySchema.statics.findChainHead = function(chainId) {
+    return this.findOne({ chainId })
+        .sort({ sequence: -1 })
+        .select('sequence hash')
+        .lean();
+};
+
+auditLogEntrySchema.statics.findChainIds = function() {
+    return this.distinct('chainId');
+};
+
+/**
+ * Last entry of a chain appended before a date; retention deletes up to it
+ */
+auditLogEntrySchema.statics.findRetentionBoundary = function(chainId, cutoffDate) {
+    return this.findOne({ chainId, recordedAt: { $lt: cutoffDate } })
+        .sort({ sequence: -1 })
+        .select('sequence hash')
+        .lean();
+};
+
+/**
+ * Append an entry to a chain
+ * @param {string} chainId - Chain to append to
+ * @param {Object} fields - { entryId, type, userId, guildId, action, severity, timestamp, data }
+ * @param {Object|null} head - Known chain head { sequence, hash }; loaded when omitted
+ * @param {number} attempt - Retry count
+ * @returns {Promise<Object>} New head { sequence, hash }
+ */
+auditLogEntrySchema.statics.appendToChain = async function(chainId, fields, head = null, attempt = 1) {
+    const previous = head || await this.findChainHead(chainId);
+    const entry = {
+        entryId: fields.entryId || `audit_${Date.now()}_${crypto.randomBytes(5).toString('hex')}`,
+        chainId,
+        sequence: (previous?.sequence || 0) + 1,
+        prevHash: previous?.hash || null,
+        type: fields.type,
+        userId: fields.userId || null,
+        guildId: fields.guildId || null,
+        action: fields.action || null,
+        severity: fields.severity || null,
+        timestamp: new Date(fields.timestamp || Date.now()),
+        recordedAt: new Date(),
+        data: fields.data || {}
+    };
+    entry.hash = this.computeHash(entry);
+
+    try {
+        await this.create(entry);
+    } catch (error) {
+        // Another writer took the sequence; retry on the new head
+        if (error.code === 11000 && !head && attempt < 3) {
+            return this.appendToChain(chainId, fields, null, attempt + 1);
+        }
+        throw error;
+    }
+
+    return { sequence: entry.sequence, hash: entry.hash };
+};
+
+/**
+ * Delete a chain's entries appended before a date. The purge is recorded in
+ * the chain first, with the last deleted hash, so verification can still
+ * anchor the entries that remain.
+ * @param {string} chainId - Chain to purge
+ * @param {Date} cutoffDate - Delete entries appended before this
+ * @returns {Promise<number>} Entries deleted
+ */
+auditLogEntrySchema.statics.purgeChain = async function(chainId, cutoffDate) {
+    const boundary = await this.findRetentionBoundary(chainId, cutoffDate);
+    if (!boundary) {
+        return 0;
+    }
+
+    await this.appendToChain(chainId, {
+        type: 'data_deletion',
+        action: RETENTION_PURGE_ACTION,
+        severity: 'medium',
+        data: {
+            details: {
+                throughSequence: boundary.sequence,
+                lastHash: boundary.hash,
+                cutoffDate: cutoffDate.toISOString()
+            }
+        }
+    });
+
+    const result = await this.deleteMany({ chainId, sequence: { $lte: boundary.sequence } });
+    return result.deletedCount;
+};
+
+/**
+ * Pseudonymize a user's entries for a data erasure request. Redacted entries
+ * keep their hash so the chain still links, and each chain first records
+ * which entries were redacted so verification can account for them.
+ * @param {string} userId - Discord user ID
+ * @param {string} pseudonym - Replacement user ID
+ * @returns {Promise<number>} Entries redacted
+ */
+auditLogEntrySchema.statics.redactUser = async function(userId, pseudonym) {
+    const chainIds = await this.distinct('chainId', { userId });
+    let redacted = 0;
+
+    for (const chainId of chainIds) {
+        const entryIds = await this.distinct('entryId', { chainId, userId });
+        const erasureId = `audit_${Date.now()}_${crypto.randomBytes(5).toString('hex')}`;
+
+        await this.appendToChain(chainId, {
+            entryId: erasureId,
+            type: 'data_deletion',
+            userId: pseudonym,
+            action: USER_ERASURE_ACTION,
+            severity: 'medium',
+            data: { details: { entries: entryIds } }
+        });
+
+        const result = await this.updateMany(
+            { chainId, entryId: { $in: entryIds } },
+            { $set: { userId: pseudonym, data: { redacted: true }, redactedBy: erasureId } }
+        );
+        redacted += result.modifiedCount;
+    }
+
+    return redacted;
+};
+
+/**
+ * Check that a redacted entry is listed by the erasure record it points to
+ * @private
+ */
+auditLogEntrySchema.statics.isRedactionRecorded = async function(entry) {
+    if (!entry.redactedBy) {
+        return false;
+    }
+
+    const erasure = await this.findOne({
+        chainId: entry.chainId,
+        entryId: entry.redactedBy,
+        action: USER_ERASURE_ACTION,
+        'data.details.entries': entry.entryId
+    }).lean();
+
+    return Boolean(erasure);
+};
+
+/**
+ * Walk a chain in order and check every link. Entries removed by retention
+ * are accounted for by the purge entry that records the last removed hash,
+ * and redacted entries by the erasure entry that lists them.
+ * @param {string} chainId - Chain to verify
+ * @returns {Promise<Object>} { chainId, valid, checked, firstSequence, lastSequence, brokenAt }
+ */
+auditLogEntrySchema.statics.verifyChain = async function(chainId) {
+    const result = { chainId, valid: true, checked: 0, firstSequence: null, lastSequence: null, brokenAt: null };
+    const fail = (sequence, reason) => {
+        result.valid = false;
+        result.brokenAt = { sequence, reason };
+        return result;
+    };
+
+    const cursor = this.find({ chainId }).sort({ sequence: 1 }).lean().cursor();
+    let expectedSequence = null;
+    let previousHash = null;
+
+    for await (const entry of cursor) {
+        if (expectedSequence === null) {
+            result.firstSequence = entry.sequence;
+
+            if (entry.sequence > 1) {
+                const purge = await this.findOne({
+                    chainId,
+                    action: RETENTION_PURGE_ACTION,
+                    'data.details.throughSequence': entry.sequence - 1
+                }).lean();
+
+                if (!purge || purge.data.details.lastHash !== entry.prevHash) {
+                    await cursor.close();
+                    return fail(entry.sequence, 'missing_entries');
+                }
+            } else if (entry.prevHash !== null) {
+                await cursor.close();
+                return fail(entry.sequence, 'broken_link');
+            }
+
+            previousHash = entry.prevHash;
+        } else if (entry.sequence !== expectedSequence) {
+            await cursor.close();
+            return fail(expectedSequence, 'missing_entries');
+        }
+
+        if (entry.prevHash !== previousHash) {
+            await cursor.close();
+            return fail(entry.sequence, 'broken_link');
+        }
+
+        if (this.computeHash(entry) !== entry.hash && !(await this.isRedactionRecorded(entry))) {
+            await cursor.close();
+            return fail(entry.sequence, 'hash_mismatch');
+        }
+
+        result.checked++;
+        result.lastSequence = entry.sequence;
+        expectedSequence = entry.sequence + 1;
+        previousHash = entry.hash;
+    }
+
+    return result;
+};
+
+auditLogEntrySchema.statics.RETENTION_PURGE_ACTION = RETENTION_PURGE_ACTION;
+auditLogEntrySchema.statics.USER_ERASURE_ACTION = USER_ERASURE_ACTION;
+
+module.exports = mongoose.model('AuditLogEntry', auditLogEntrySchema);
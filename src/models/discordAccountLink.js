@@ -1,5 +1,5 @@
 const mongoose = require('mongoose');
-const crypto = require('crypto');
+const { encryptToken, decryptToken, isEnvelope, reencryptToken } = require('../utils/tokenEncryption');
 
 const discordAccountLinkSchema = new mongoose.Schema({
     discordId: {
@@ -81,7 +81,19 @@ const discordAccountLinkSchema = new mongoose.Schema({
         tokenType: String,
         scope: String,
         expiresAt: Date,
-        lastRefreshed: Date
+        lastRefreshed: Date,
+
+        // Refresh failures; a permanent failure means the user has to link again
+        refreshFailures: {
+            type: Number,
+            default: 0
+        },
+        lastRefreshError: String,
+        refreshFailedAt: Date,
+        needsRelink: {
+            type: Boolean,
+            default: false
+        }
     },
 
     // Status and Permissions
@@ -151,7 +163,31 @@ const discordAccountLinkSchema = new mongoose.Schema({
         lastTaskCompletion: Date,
         lastAllowlistEntry: Date,
         averageResponseTime: Number,
-        preferredInteractionTime: String // e.g., "morning", "evening"
+        preferredInteractionTime: String, // e.g., "morning", "evening"
+
+        // Rolling totals for leaderboards, reset when a new period starts
+        weekly: {
+            periodStart: Date,
+            tasksCompleted: {
+                type: Number,
+                default: 0
+            },
+            pointsEarned: {
+                type: Number,
+                default: 0
+            }
+        },
+        monthly: {
+            periodStart: Date,
+            tasksCompleted: {
+                type: Number,
+                default: 0
+            },
+            pointsEarned: {
+                type: Number,
+                default: 0
+            }
+        }
     },
 
     // Security and Audit
@@ -206,6 +242,9 @@ discordAccountLinkSchema.index({ 'linkingData.linkedAt': -1 });
 discordAccountLinkSchema.index({ 'activityStats.lastActivity': -1 });
 discordAccountLinkSchema.index({ 'status.isActive': 1, 'status.isVerified': 1 });
 discordAccountLinkSchema.index({ 'oauthTokens.expiresAt': 1 });
+discordAccountLinkSchema.index({ 'activityStats.totalPointsEarned': -1 });
+discordAccountLinkSchema.index({ 'activityStats.weekly.periodStart': 1, 'activityStats.weekly.pointsEarned': -1 });
+discordAccountLinkSchema.index({ 'activityStats.monthly.periodStart': 1, 'activityStats.monthly.pointsEarned': -1 });
 
 // TTL Index for expired verification tokens
 discordAccountLinkSchema.index(
@@ -228,45 +267,39 @@ discordAccountLinkSchema.index(
     }
 );
 
-// Encryption/Decryption Methods
-const ENCRYPTION_KEY = process.env.DISCORD_TOKEN_ENCRYPTION_KEY || 'default-key-change-in-production';
-
-function encrypt(text) {
-    if (!text) return null;
-    const cipher = crypto.createCipher('aes-256-cbc', ENCRYPTION_KEY);
-    let encrypted = cipher.update(text, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    return encrypted;
-}
-
-function decrypt(encryptedText) {
-    if (!encryptedText) return null;
-    try {
-        const decipher = crypto.createDecipher('aes-256-cbc', ENCRYPTION_KEY);
-        let decrypted = decipher.update(encryptedText, 'hex', 'utf8');
-        decrypted += decipher.final('utf8');
-        return decrypted;
-    } catch (error) {
-        return null;
+// Leaderboard periods start on Monday (weekly) or the 1st (monthly), 00:00 UTC
+function getPeriodStart(period, date = new Date()) {
+    if (period === 'weekly') {
+        const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+        return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - daysSinceMonday));
     }
+    if (period === 'monthly') {
+        return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+    }
+    return null;
 }
 
-// Pre-save middleware for token encryption
+// Pre-save middleware for token encryption. Values that are already
+// envelopes (re-saved or re-encrypted tokens) are stored as they are.
 discordAccountLinkSchema.pre('save', function(next) {
-    if (this.isModified('oauthTokens.accessToken') && this.oauthTokens.accessToken) {
-        this.oauthTokens.accessToken = encrypt(this.oauthTokens.accessToken);
-    }
-    if (this.isModified('oauthTokens.refreshToken') && this.oauthTokens.refreshToken) {
-        this.oauthTokens.refreshToken = encrypt(this.oauthTokens.refreshToken);
+    try {
+        for (const field of ['accessToken', 'refreshToken']) {
+            const value = this.oauthTokens?.[field];
+            if (this.isModified(`oauthTokens.${field}`) && value && !isEnvelope(value)) {
+                this.oauthTokens[field] = encryptToken(value);
+            }
+        }
+        next();
+    } catch (error) {
+        next(error);
     }
-    next();
 });
 
 // Instance Methods
 discordAccountLinkSchema.methods.getDecryptedTokens = function() {
     return {
-        accessToken: decrypt(this.oauthTokens.accessToken),
-        refreshToken: decrypt(this.oauthTokens.refreshToken),
+        accessToken: decryptToken(this.oauthTokens.accessToken),
+        refreshToken: decryptToken(this.oauthTokens.refreshToken),
         tokenType: this.oauthTokens.tokenType,
         scope: this.oauthTokens.scope,
         expiresAt: this.oauthTokens.expiresAt
@@ -276,15 +309,55 @@ discordAccountLinkSchema.methods.getDecryptedTokens = function() {
 discordAccountLinkSchema.methods.updateTokens = function(tokenData) {
     this.oauthTokens = {
         accessToken: tokenData.access_token,
-        refreshToken: tokenData.refresh_token,
+        // Keep the current refresh token when the provider doesn't rotate it
+        refreshToken: tokenData.refresh_token || decryptToken(this.oauthTokens?.refreshToken),
         tokenType: tokenData.token_type,
         scope: tokenData.scope,
         expiresAt: new Date(Date.now() + (tokenData.expires_in * 1000)),
-        lastRefreshed: new Date()
+        lastRefreshed: new Date(),
+        refreshFailures: 0,
+        needsRelink: false
     };
     return this.save();
 };
 
+/**
+ * Record a failed token refresh. Permanent failures (revoked or invalid
+ * grants) stop further refreshes until the user links again.
+ */
+discordAccountLinkSchema.methods.recordRefreshFailure = function(errorMessage, permanent = false) {
+    this.oauthTokens.refreshFailures = (this.oauthTokens.refreshFailures || 0) + 1;
+    this.oauthTokens.lastRefreshError = errorMessage;
+    this.oauthTokens.refreshFailedAt = new Date();
+
+    if (permanent) {
+        this.oauthTokens.needsRelink = true;
+        return this.addAuditEntry('token_refresh_failed', 'system', { error: errorMessage });
+    }
+
+    return this.save();
+};
+
+/**
+ * Stored tokens re-encrypted under the active key, for an update
+ * @returns {Object} Changed `oauthTokens.*` paths and their new values
+ */
+discordAccountLinkSchema.methods.getReencryptedTokens = function() {
+    const update = {};
+
+    for (const field of ['accessToken', 'refreshToken']) {
+        const value = this.oauthTokens?.[field];
+        if (value) {
+            const reencrypted = reencryptToken(value);
+            if (reencrypted !== value) {
+                update[`oauthTokens.${field}`] = reencrypted;
+            }
+        }
+    }
+
+    return update;
+};
+
 discordAccountLinkSchema.methods.updateActivity = function(activityType = 'general') {
     this.activityStats.lastActivity = new Date();
     this.activityStats.totalInteractions += 1;
@@ -299,8 +372,23 @@ discordAccountLinkSchema.methods.updateActivity = function(activityType = 'gener
 };
 
 discordAccountLinkSchema.methods.incrementTaskCompletion = function(points = 0) {
+    const now = new Date();
+
     this.activityStats.totalTasksCompleted += 1;
     this.activityStats.totalPointsEarned += points;
+
+    for (const period of ['weekly', 'monthly']) {
+        const periodStart = getPeriodStart(period, now);
+        const current = this.activityStats[period];
+
+        if (!current?.periodStart || current.periodStart.getTime() !== periodStart.getTime()) {
+            this.activityStats[period] = { periodStart, tasksCompleted: 0, pointsEarned: 0 };
+        }
+
+        this.activityStats[period].tasksCompleted += 1;
+        this.activityStats[period].pointsEarned += points;
+    }
+
     this.activityStats.lastTaskCompletion = new Date();
     this.activityStats.lastActivity = new Date();
     return this.save();
@@ -436,11 +524,24 @@ discordAccountLinkSchema.statics.getVerifiedCount = function() {
     });
 };
 
-discordAccountLinkSchema.statics.findExpiredTokens = function() {
-    return this.find({
+/**
+ * Active links whose access token has expired, or expires within `withinMs`
+ * @param {number} withinMs - Include tokens expiring this soon
+ * @param {Object} options - { refreshable } to skip links without a refresh
+ *   token or whose refresh permanently failed
+ */
+discordAccountLinkSchema.statics.findExpiredTokens = function(withinMs = 0, options = {}) {
+    const filter = {
         'status.isActive': true,
-        'oauthTokens.expiresAt': { $lt: new Date() }
-    });
+        'oauthTokens.expiresAt': { $lt: new Date(Date.now() + withinMs) }
+    };
+
+    if (options.refreshable) {
+        filter['oauthTokens.refreshToken'] = { $exists: true, $ne: null };
+        filter['oauthTokens.needsRelink'] = { $ne: true };
+    }
+
+    return this.find(filter).sort({ 'oauthTokens.expiresAt': 1 });
 };
 
 discordAccountLinkSchema.statics.getActivityStats = function(days = 30) {
@@ -492,6 +593,8 @@ discordAccountLinkSchema.statics.findInactiveAccounts = function(days = 90) {
     }).sort({ 'activityStats.lastActivity': 1 });
 };
 
+discordAccountLinkSchema.statics.getPeriodStart = getPeriodStart;
+
 discordAccountLinkSchema.statics.findSuspiciousAccounts = function() {
     return this.find({
         'status.isActive': true,
@@ -499,4 +602,37 @@ discordAccountLinkSchema.statics.findSuspiciousAccounts = function() {
     }).sort({ 'securityData.suspiciousActivityFlags.timestamp': -1 });
 };
 
+/**
+ * Naffles users with more than one active Discord account linked
+ * @param {Array<string>|null} discordIds - Only groups containing one of these Discord IDs
+ * @returns {Promise<Array>} [{ _id: nafflesUserId, discordIds }]
+ */
+discordAccountLinkSchema.statics.findSharedNafflesUsers = function(discordIds = null) {
+    const pipeline = [
+        { $match: { 'status.isActive': true } },
+        { $group: { _id: '$nafflesUserId', discordIds: { $addToSet: '$discordId' } } },
+        { $match: { 'discordIds.1': { $exists: true } } }
+    ];
+
+    if (discordIds) {
+        pipeline.push({ $match: { discordIds: { $in: discordIds } } });
+    }
+
+    return this.aggregate(pipeline);
+};
+
+/**
+ * Discord accounts that have been linked to more than one Naffles user,
+ * including earlier links that were since deactivated
+ * @param {Array<string>|null} discordIds - Only these Discord IDs
+ * @returns {Promise<Array>} [{ _id: discordId, nafflesUserIds }]
+ */
+discordAccountLinkSchema.statics.findSharedDiscordAccounts = function(discordIds = null) {
+    return this.aggregate([
+        { $match: discordIds ? { discordId: { $in: discordIds } } : {} },
+        { $group: { _id: '$discordId', nafflesUserIds: { $addToSet: '$nafflesUserId' } } },
+        { $match: { 'nafflesUserIds.1': { $exists: true } } }
+    ]);
+};
+
 module.exports = mongoose.model('DiscordAccountLink', discordAccountLinkSchema);
\ No newline at end of file
@@ -278,12 +278,33 @@ const discordAllowlistConnectionSchema = new mongoose.Schema({
         winners: [{
             userId: String,
             username: String,
+            discordId: String,
             position: Number,
             notified: Boolean,
             notifiedAt: Date,
             claimed: Boolean,
-            claimedAt: Date
+            claimedAt: Date,
+            delivery: {
+                status: {
+                    type: String,
+                    enum: ['pending', 'dm_sent', 'channel_pinged', 'failed', 'not_linked'],
+                    default: 'pending'
+                },
+                attempts: {
+                    type: Number,
+                    default: 0
+                },
+                dmSentAt: Date,
+                channelPingedAt: Date,
+                lastAttemptAt: Date,
+                lastError: String
+            }
         }],
+        announcement: {
+            channelId: String,
+            messageId: String,
+            postedAt: Date
+        },
         drawMethod: String, // e.g., "VRF", "manual", "automated"
         vrfRequestId: String,
         randomSeed: String,
@@ -610,6 +631,64 @@ discordAllowlistConnectionSchema.methods.setWinners = function(winners, drawnBy,
     return this.save();
 };
 
+discordAllowlistConnectionSchema.methods.mergeWinners = function(winners, drawnBy = 'system') {
+    if (!this.winnerData.isDrawn) {
+        this.winnerData.isDrawn = true;
+        this.winnerData.drawnAt = new Date();
+        this.winnerData.drawnBy = drawnBy;
+    }
+
+    // Sync events can repeat, so keep delivery state for winners we already know
+    winners.forEach(winner => {
+        const existing = this.winnerData.winners.find(w =>
+            (winner.userId && w.userId === winner.userId) || (winner.discordId && w.discordId === winner.discordId)
+        );
+
+        if (existing) {
+            existing.discordId = existing.discordId || winner.discordId;
+            return;
+        }
+
+        this.winnerData.winners.push({
+            userId: winner.userId,
+            username: winner.username,
+            discordId: winner.discordId,
+            position: this.winnerData.winners.length + 1,
+            notified: false,
+            claimed: false,
+            delivery: { status: 'pending', attempts: 0 }
+        });
+    });
+
+    return this.winnerData.winners;
+};
+
+discordAllowlistConnectionSchema.methods.recordWinnerDelivery = function(winner, status, error = null) {
+    const now = new Date();
+
+    winner.delivery.status = status;
+    winner.delivery.attempts += 1;
+    winner.delivery.lastAttemptAt = now;
+    winner.delivery.lastError = error;
+
+    if (status === 'dm_sent') {
+        winner.delivery.dmSentAt = now;
+    } else if (status === 'channel_pinged') {
+        winner.delivery.channelPingedAt = now;
+    }
+
+    if (status === 'dm_sent' || status === 'channel_pinged') {
+        winner.notified = true;
+        winner.notifiedAt = now;
+    }
+
+    return winner;
+};
+
+discordAllowlistConnectionSchema.methods.getUnreachedWinners = function() {
+    return this.winnerData.winners.filter(w => !w.notified);
+};
+
 discordAllowlistConnectionSchema.methods.addReaction = function(emoji, userId) {
     const existingReaction = this.engagement.reactions.find(r => r.emoji === emoji);
     
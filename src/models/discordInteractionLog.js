@@ -494,6 +494,36 @@ discordInteractionLogSchema.statics.getUserStats = function(userId, days = 30) {
     ]);
 };
 
+/**
+ * A user's recent interaction record for risk scoring
+ * @returns {Promise<Object>} { total, errors, blocked, suspicious, firstSeen }
+ */
+discordInteractionLogSchema.statics.getRiskHistory = async function(userId, days = 30) {
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - days);
+
+    const [history] = await this.aggregate([
+        {
+            $match: {
+                userId,
+                'timing.timestamp': { $gte: cutoffDate }
+            }
+        },
+        {
+            $group: {
+                _id: null,
+                total: { $sum: 1 },
+                errors: { $sum: { $cond: [{ $eq: ['$result', 'error'] }, 1, 0] } },
+                blocked: { $sum: { $cond: ['$security.isBlocked', 1, 0] } },
+                suspicious: { $sum: { $cond: ['$security.suspiciousActivity', 1, 0] } },
+                firstSeen: { $min: '$timing.timestamp' }
+            }
+        }
+    ]);
+
+    return history || { total: 0, errors: 0, blocked: 0, suspicious: 0, firstSeen: null };
+};
+
 discordInteractionLogSchema.statics.getCommandStats = function(commandName, days = 7) {
     const cutoffDate = new Date();
     cutoffDate.setDate(cutoffDate.getDate() - days);
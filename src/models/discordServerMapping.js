@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { SUPPORTED_LOCALES } = require('../utils/i18n');
 
 const discordServerMappingSchema = new mongoose.Schema({
     guildId: {
@@ -95,6 +96,103 @@ const discordServerMappingSchema = new mongoose.Schema({
                 type: Boolean,
                 default: true
             }
+        },
+        // Bot language for this server (null falls back to the guild's Discord locale)
+        language: {
+            type: String,
+            enum: SUPPORTED_LOCALES,
+            default: null
+        },
+        // Reply in the member's own Discord language when it is supported
+        useMemberLocale: {
+            type: Boolean,
+            default: true
+        },
+        // Channel where custom task submissions are posted for moderator review
+        reviewChannel: {
+            type: String,
+            default: null
+        },
+        // Rate limit overrides keyed by action (e.g. "button") or "command:<name>"
+        rateLimits: {
+            type: Map,
+            of: new mongoose.Schema({
+                requests: { type: Number, required: true, min: 1 },
+                window: { type: Number, required: true, min: 1000 },
+                algorithm: {
+                    type: String,
+                    enum: ['sliding_window', 'token_bucket'],
+                    default: 'sliding_window'
+                }
+            }, { _id: false }),
+            default: undefined
+        },
+        // Security alert limits overriding SecurityMonitor's defaults (windows in ms)
+        securityThresholds: {
+            rapidCommands: {
+                count: { type: Number, min: 1 },
+                window: { type: Number, min: 1000 }
+            },
+            failedPermissions: {
+                count: { type: Number, min: 1 },
+                window: { type: Number, min: 1000 }
+            },
+            newAccountActivity: {
+                count: { type: Number, min: 1 },
+                window: { type: Number, min: 1000 },
+                maxAccountAge: { type: Number, min: 86400000 }
+            }
+        },
+        // Automatic responses to security events (see AutoModerationService)
+        autoModeration: {
+            enabled: {
+                type: Boolean,
+                default: false
+            },
+            triggers: {
+                type: [String],
+                default: undefined
+            },
+            // Escalation steps; durations in ms, null = until a moderator lifts it
+            steps: {
+                type: [new mongoose.Schema({
+                    action: {
+                        type: String,
+                        enum: ['block_commands', 'suspend_link', 'timeout', 'review'],
+                        required: true
+                    },
+                    duration: { type: Number, min: 60000, default: null }
+                }, { _id: false })],
+                default: undefined
+            },
+            escalationWindow: { type: Number, min: 3600000 },
+            reviewChannel: { type: String, default: null }
+        },
+        // Raid protection (see RaidDetectionService); durations in ms
+        raidProtection: {
+            autoLockdown: {
+                type: Boolean,
+                default: false
+            },
+            lockdownDuration: { type: Number, min: 60000 },
+            newMemberAge: { type: Number, min: 60000 },
+            lockdown: {
+                active: {
+                    type: Boolean,
+                    default: false
+                },
+                reason: String,
+                startedAt: Date,
+                startedBy: String,
+                endsAt: Date,
+                joinedAfter: Date, // Members who joined after this are restricted
+                score: Number
+            }
+        },
+        // Opt-in features; commands gated by a feature are registered in this guild only
+        featureFlags: {
+            type: [String],
+            default: []
         }
     },
 
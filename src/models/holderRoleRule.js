@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+
+const SUPPORTED_CHAINS = ['ethereum', 'polygon', 'base', 'arbitrum', 'solana'];
+
+const holderRoleRuleSchema = new mongoose.Schema({
+    guildId: {
+        type: String,
+        required: true,
+        index: true
+    },
+
+    // Role granted to holders
+    roleId: {
+        type: String,
+        required: true
+    },
+    roleName: String,
+
+    // What must be held
+    ruleType: {
+        type: String,
+        required: true,
+        enum: ['nft', 'token']
+    },
+    chain: {
+        type: String,
+        required: true,
+        enum: SUPPORTED_CHAINS
+    },
+    contractAddress: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    minimumBalance: {
+        type: Number,
+        default: 1,
+        min: 0
+    },
+    // NFT only: every filter must match one of the NFT's attributes
+    traits: [{
+        traitType: {
+            type: String,
+            required: true
+        },
+        value: {
+            type: String,
+            required: true
+        },
+        _id: false
+    }],
+
+    // Roles are only revoked once an admin has seen a dry-run report and
+    // switched the rule to enforce. Changing the rule goes back to dry run.
+    enforcement: {
+        type: String,
+        enum: ['dry_run', 'enforce'],
+        default: 'dry_run'
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+
+    // Ownership
+    configuredBy: {
+        type: String,
+        required: true
+    },
+
+    // Last re-check of current holders
+    lastReport: {
+        generatedAt: Date,
+        dryRun: Boolean,
+        checked: {
+            type: Number,
+            default: 0
+        },
+        holders: {
+            type: Number,
+            default: 0
+        },
+        granted: {
+            type: Number,
+            default: 0
+        },
+        revoked: {
+            type: Number,
+            default: 0
+        },
+        belowThreshold: {
+            type: Number,
+            default: 0
+        },
+        unverified: {
+            type: Number,
+            default: 0
+        },
+        // Members below the requirement who would lose (dry run) or lost the role; first 50
+        revokeUserIds: [String]
+    },
+
+    // Last re-check an admin asked for; enforcing needs a recent one
+    reviewedReport: {
+        generatedAt: Date,
+        requestedBy: String,
+        belowThreshold: Number
+    },
+
+    // Statistics
+    grantCount: {
+        type: Number,
+        default: 0
+    },
+    lastGrantedAt: Date
+}, {
+    timestamps: true
+});
+
+// Compound Indexes for Performance
+holderRoleRuleSchema.index({ guildId: 1, roleId: 1 }, { unique: true });
+holderRoleRuleSchema.index({ isActive: 1, guildId: 1 });
+
+// Instance Methods
+
+/**
+ * Requirement in the shape taskEligibilityService validators expect
+ */
+holderRoleRuleSchema.methods.toRequirement = function() {
+    if (this.ruleType === 'token') {
+        return {
+            tokenAddress: this.contractAddress,
+            minimumBalance: this.minimumBalance,
+            chain: this.chain
+        };
+    }
+
+    return {
+        contractAddress: this.contractAddress,
+        minimumCount: Math.max(1, Math.ceil(this.minimumBalance)),
+        chain: this.chain,
+        traits: this.traits
+    };
+};
+
+holderRoleRuleSchema.methods.describe = function() {
+    const traits = this.traits?.length > 0
+        ? ` with ${this.traits.map(trait => `${trait.traitType}: ${trait.value}`).join(', ')}`
+        : '';
+    const unit = this.ruleType === 'nft' ? ` NFT${this.minimumBalance === 1 ? '' : 's'}` : ' tokens';
+    return `${this.minimumBalance}+${unit} of ${this.contractAddress} on ${this.chain}${traits}`;
+};
+
+// Static Methods
+holderRoleRuleSchema.statics.findByGuild = function(guildId) {
+    return this.find({ guildId, isActive: true }).sort({ createdAt: 1 });
+};
+
+holderRoleRuleSchema.statics.findGuildIdsWithRules = function() {
+    return this.distinct('guildId', { isActive: true });
+};
+
+holderRoleRuleSchema.statics.SUPPORTED_CHAINS = SUPPORTED_CHAINS;
+
+module.exports = mongoose.model('HolderRoleRule', holderRoleRuleSchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const leaderboardMessageSchema = new mongoose.Schema({
+    guildId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    channelId: {
+        type: String,
+        required: true
+    },
+    messageId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    // What the board shows
+    period: {
+        type: String,
+        required: true,
+        enum: ['weekly', 'monthly', 'all_time']
+    },
+    metric: {
+        type: String,
+        required: true,
+        enum: ['points', 'tasks']
+    },
+    updateFrequency: {
+        type: Number,
+        default: 10 * 60 * 1000 // 10 minutes
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+
+    // Ownership
+    createdBy: {
+        type: String,
+        required: true
+    },
+    lastRefreshedAt: Date
+}, {
+    timestamps: true
+});
+
+// Compound Indexes for Performance
+leaderboardMessageSchema.index({ guildId: 1, channelId: 1, isActive: 1 });
+leaderboardMessageSchema.index({ isActive: 1 });
+
+// Instance Methods
+leaderboardMessageSchema.methods.getEmbedId = function() {
+    return `leaderboard_${this.guildId}_${this.messageId}`;
+};
+
+// Static Methods
+leaderboardMessageSchema.statics.findActive = function() {
+    return this.find({ isActive: true });
+};
+
+leaderboardMessageSchema.statics.findByChannel = function(guildId, channelId) {
+    return this.find({ guildId, channelId, isActive: true });
+};
+
+module.exports = mongoose.model('LeaderboardMessage', leaderboardMessageSchema);
@@ -0,0 +1,201 @@
+const mongoose = require('mongoose');
+
+const ACTIONS = ['block_commands', 'suspend_link', 'timeout', 'review'];
+
+const moderationActionSchema = new mongoose.Schema({
+    guildId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    userId: {
+        type: String,
+        required: true,
+        index: true
+    },
+
+    // What was done, and which escalation step chose it (1-based)
+    action: {
+        type: String,
+        required: true,
+        enum: ACTIONS
+    },
+    level: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    // Set when the policy's action couldn't be used (e.g. suspend_link for an unlinked member)
+    fallbackFrom: {
+        type: String,
+        enum: ACTIONS
+    },
+
+    // Security event that triggered the action
+    trigger: {
+        eventId: String,
+        type: {
+            type: String,
+            required: true
+        },
+        details: mongoose.Schema.Types.Mixed
+    },
+
+    // Lifecycle
+    duration: {
+        type: Number,
+        default: null // null = until a moderator lifts it
+    },
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+    status: {
+        type: String,
+        enum: ['active', 'expired', 'reverted', 'failed'],
+        default: 'active',
+        index: true
+    },
+    endedAt: Date,
+    endedBy: String,
+    lastError: String,
+
+    // Moderator review card (review actions and appeals)
+    review: {
+        channelId: String,
+        messageId: String,
+        decision: {
+            type: String,
+            enum: ['upheld', 'reverted']
+        },
+        decidedBy: String,
+        decidedAt: Date
+    },
+
+    // Member appeal; 'expired' when the action ran out before anyone decided
+    appeal: {
+        status: {
+            type: String,
+            enum: ['none', 'pending', 'approved', 'denied', 'expired'],
+            default: 'none'
+        },
+        reason: String,
+        requestedAt: Date
+    },
+
+    notification: {
+        status: {
+            type: String,
+            enum: ['pending', 'dm_sent', 'failed'],
+            default: 'pending'
+        },
+        lastError: String
+    }
+}, {
+    timestamps: true
+});
+
+// Compound Indexes for Performance
+moderationActionSchema.index({ guildId: 1, userId: 1, createdAt: -1 });
+moderationActionSchema.index({ status: 1, expiresAt: 1 });
+
+// TTL Index for finished actions (cleanup after 180 days)
+moderationActionSchema.index(
+    { updatedAt: 1 },
+    {
+        expireAfterSeconds: 180 * 24 * 60 * 60,
+        partialFilterExpression: {
+            status: { $in: ['expired', 'reverted', 'failed'] }
+        }
+    }
+);
+
+// Instance Methods
+moderationActionSchema.methods.isActive = function() {
+    return this.status === 'active';
+};
+
+/**
+ * Whether the action keeps the member from using bot commands
+ */
+moderationActionSchema.methods.blocksCommands = function() {
+    return this.isActive() && (this.action === 'block_commands' || this.action === 'review');
+};
+
+// Static Methods
+moderationActionSchema.statics.findActive = function(guildId, userId) {
+    return this.find({ guildId, userId, status: 'active' }).sort({ createdAt: -1 });
+};
+
+/**
+ * Actions that count towards the next escalation step; reverted and failed
+ * actions don't
+ */
+moderationActionSchema.statics.countRecent = function(guildId, userId, since) {
+    return this.countDocuments({
+        guildId,
+        userId,
+        createdAt: { $gte: since },
+        status: { $in: ['active', 'expired'] }
+    });
+};
+
+moderationActionSchema.statics.findCommandBlocks = function(guildIds = null) {
+    const query = {
+        status: 'active',
+        action: { $in: ['block_commands', 'review'] }
+    };
+
+    if (guildIds) {
+        query.guildId = { $in: guildIds };
+    }
+
+    return this.find(query).lean();
+};
+
+/**
+ * Another active action that still keeps the member from using bot commands
+ * in the same guild
+ */
+moderationActionSchema.statics.findOtherCommandBlock = function(action) {
+    return this.findOne({
+        _id: { $ne: action._id },
+        guildId: action.guildId,
+        userId: action.userId,
+        status: 'active',
+        action: { $in: ['block_commands', 'review'] }
+    }).sort({ createdAt: -1 }).lean();
+};
+
+/**
+ * Whether another active action, in any guild, still suspends the member's link
+ */
+moderationActionSchema.statics.hasOtherLinkSuspension = async function(action) {
+    const other = await this.exists({
+        _id: { $ne: action._id },
+        userId: action.userId,
+        status: 'active',
+        action: 'suspend_link'
+    });
+
+    return Boolean(other);
+};
+
+moderationActionSchema.statics.findExpired = function(limit = 100, guildIds = null) {
+    const query = {
+        status: 'active',
+        expiresAt: { $ne: null, $lte: new Date() }
+    };
+
+    if (guildIds) {
+        query.guildId = { $in: guildIds };
+    }
+
+    return this.find(query)
+        .sort({ expiresAt: 1 })
+        .limit(limit);
+};
+
+moderationActionSchema.statics.ACTIONS = ACTIONS;
+
+module.exports = mongoose.model('ModerationAction', moderationActionSchema);
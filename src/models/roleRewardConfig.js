@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const roleRewardConfigSchema = new mongoose.Schema({
+    guildId: {
+        type: String,
+        required: true,
+        index: true
+    },
+
+    // What earns the role
+    targetType: {
+        type: String,
+        required: true,
+        enum: ['task', 'allowlist']
+    },
+    targetId: {
+        type: String,
+        required: true
+    },
+
+    // Reward Configuration
+    roleId: {
+        type: String,
+        required: true
+    },
+    roleName: String,
+    durationHours: {
+        type: Number,
+        default: null // null = permanent
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+
+    // Ownership
+    configuredBy: {
+        type: String,
+        required: true
+    },
+
+    // Statistics
+    grantCount: {
+        type: Number,
+        default: 0
+    },
+    lastGrantedAt: Date
+}, {
+    timestamps: true
+});
+
+// Compound Indexes for Performance
+roleRewardConfigSchema.index({ guildId: 1, targetType: 1, targetId: 1 }, { unique: true });
+roleRewardConfigSchema.index({ targetType: 1, targetId: 1, isActive: 1 });
+
+// Instance Methods
+roleRewardConfigSchema.methods.getExpiryDate = function(from = new Date()) {
+    if (!this.durationHours) {
+        return null;
+    }
+    return new Date(from.getTime() + this.durationHours * 60 * 60 * 1000);
+};
+
+// Static Methods
+roleRewardConfigSchema.statics.findActiveForTarget = function(targetType, targetId, guildId = null) {
+    const query = { targetType, targetId, isActive: true };
+    if (guildId) {
+        query.guildId = guildId;
+    }
+    return this.find(query);
+};
+
+roleRewardConfigSchema.statics.findByGuild = function(guildId) {
+    return this.find({ guildId, isActive: true }).sort({ targetType: 1, createdAt: -1 });
+};
+
+module.exports = mongoose.model('RoleRewardConfig', roleRewardConfigSchema);
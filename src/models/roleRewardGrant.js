@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+const roleRewardGrantSchema = new mongoose.Schema({
+    guildId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    userId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    roleId: {
+        type: String,
+        required: true
+    },
+
+    // Source of the reward
+    source: {
+        type: {
+            type: String,
+            required: true,
+            enum: ['task', 'allowlist', 'holder_rule']
+        },
+        id: {
+            type: String,
+            required: true
+        }
+    },
+
+    // Lifecycle
+    grantedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        default: null // null = permanent
+    },
+    status: {
+        type: String,
+        enum: ['active', 'expired', 'removed', 'failed'],
+        default: 'active',
+        index: true
+    },
+    removedAt: Date,
+    removalAttempts: {
+        type: Number,
+        default: 0
+    },
+    lastError: String
+}, {
+    timestamps: true
+});
+
+// Compound Indexes for Performance
+roleRewardGrantSchema.index({ status: 1, expiresAt: 1 });
+roleRewardGrantSchema.index({ guildId: 1, userId: 1, roleId: 1, status: 1 });
+
+// TTL Index for finished grants (cleanup after 90 days)
+roleRewardGrantSchema.index(
+    { updatedAt: 1 },
+    {
+        expireAfterSeconds: 90 * 24 * 60 * 60,
+        partialFilterExpression: {
+            status: { $in: ['expired', 'removed', 'failed'] }
+        }
+    }
+);
+
+// Instance Methods
+roleRewardGrantSchema.methods.markRemoved = function(status = 'expired') {
+    this.status = status;
+    this.removedAt = new Date();
+    this.lastError = undefined;
+    return this.save();
+};
+
+roleRewardGrantSchema.methods.recordRemovalFailure = function(error, maxAttempts = 3) {
+    this.removalAttempts += 1;
+    this.lastError = error;
+    if (this.removalAttempts >= maxAttempts) {
+        this.status = 'failed';
+    }
+    return this.save();
+};
+
+// Static Methods
+roleRewardGrantSchema.statics.findActiveGrant = function(guildId, userId, roleId) {
+    return this.findOne({ guildId, userId, roleId, status: 'active' });
+};
+
+roleRewardGrantSchema.statics.findExpired = function(limit = 100, guildIds = null) {
+    const query = {
+        status: 'active',
+        expiresAt: { $ne: null, $lte: new Date() }
+    };
+
+    if (guildIds) {
+        query.guildId = { $in: guildIds };
+    }
+
+    return this.find(query)
+        .sort({ expiresAt: 1 })
+        .limit(limit);
+};
+
+module.exports = mongoose.model('RoleRewardGrant', roleRewardGrantSchema);
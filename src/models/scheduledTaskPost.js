@@ -0,0 +1,216 @@
+const mongoose = require('mongoose');
+
+const scheduledTaskPostSchema = new mongoose.Schema({
+    scheduleId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+    guildId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    channelId: {
+        type: String,
+        required: true
+    },
+    communityId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    createdBy: {
+        type: String,
+        required: true,
+        index: true
+    },
+
+    // Task payload passed to SocialTaskIntegrationService.createSocialTask
+    taskData: {
+        type: {
+            type: String,
+            required: true,
+            enum: ['twitter_follow', 'discord_join', 'telegram_join', 'custom']
+        },
+        title: {
+            type: String,
+            required: true
+        },
+        description: String,
+        points: {
+            type: Number,
+            default: 0
+        },
+        duration: Number, // in hours
+        twitterUsername: String,
+        discordInvite: String,
+        telegramLink: String,
+        customInstructions: String,
+        verificationMethod: String,
+        embedStyle: {
+            color: Number,
+            thumbnailUrl: String
+        }
+    },
+
+    // Schedule Configuration
+    schedule: {
+        startTime: {
+            type: Date,
+            required: true
+        },
+        recurrence: {
+            type: String,
+            enum: ['none', 'daily', 'weekly', 'cron'],
+            default: 'none'
+        },
+        cronExpression: String,
+        endDate: Date,
+        maxRuns: Number,
+        nextRunAt: {
+            type: Date,
+            index: true
+        },
+        lastRunAt: Date,
+        runCount: {
+            type: Number,
+            default: 0
+        }
+    },
+
+    status: {
+        type: String,
+        enum: ['scheduled', 'completed', 'cancelled', 'failed'],
+        default: 'scheduled',
+        index: true
+    },
+
+    // Execution lock so only one worker posts a given run
+    lock: {
+        lockedBy: String,
+        lockedUntil: Date
+    },
+
+    // Run History
+    runHistory: [{
+        runAt: {
+            type: Date,
+            default: Date.now
+        },
+        status: {
+            type: String,
+            enum: ['posted', 'failed']
+        },
+        taskId: String,
+        messageId: String,
+        error: String
+    }],
+
+    // Naffles task created for the current run but not posted yet; retries post it instead of creating another
+    pendingTaskId: String,
+
+    consecutiveFailures: {
+        type: Number,
+        default: 0
+    },
+    cancelledBy: String,
+    cancelledAt: Date
+}, {
+    timestamps: true
+});
+
+// Compound Indexes for Performance
+scheduledTaskPostSchema.index({ status: 1, 'schedule.nextRunAt': 1 });
+scheduledTaskPostSchema.index({ guildId: 1, status: 1, 'schedule.nextRunAt': 1 });
+
+// TTL Index for finished schedules (cleanup after 30 days)
+scheduledTaskPostSchema.index(
+    { updatedAt: 1 },
+    {
+        expireAfterSeconds: 30 * 24 * 60 * 60,
+        partialFilterExpression: {
+            status: { $in: ['completed', 'cancelled', 'failed'] }
+        }
+    }
+);
+
+// Instance Methods
+scheduledTaskPostSchema.methods.isRecurring = function() {
+    return this.schedule.recurrence !== 'none';
+};
+
+scheduledTaskPostSchema.methods.recordRun = function(runData) {
+    this.runHistory.push({
+        runAt: new Date(),
+        ...runData
+    });
+
+    // Keep only last 50 runs
+    if (this.runHistory.length > 50) {
+        this.runHistory = this.runHistory.slice(-50);
+    }
+
+    this.schedule.lastRunAt = new Date();
+    if (runData.status === 'posted') {
+        this.schedule.runCount += 1;
+        this.consecutiveFailures = 0;
+    } else {
+        this.consecutiveFailures += 1;
+    }
+};
+
+scheduledTaskPostSchema.methods.cancel = function(cancelledBy) {
+    this.status = 'cancelled';
+    this.cancelledBy = cancelledBy;
+    this.cancelledAt = new Date();
+    this.schedule.nextRunAt = null;
+    return this.save();
+};
+
+// Static Methods
+scheduledTaskPostSchema.statics.findUpcomingByGuild = function(guildId, limit = 25) {
+    return this.find({ guildId, status: 'scheduled' })
+        .sort({ 'schedule.nextRunAt': 1 })
+        .limit(limit);
+};
+
+/**
+ * Atomically claim the next due schedule for execution
+ * @param {string} workerId - Identifier of the claiming worker
+ * @param {number} lockDurationMs - How long the claim is held
+ * @param {Array<string>|null} guildIds - Only schedules of these guilds (the claiming shard's)
+ */
+scheduledTaskPostSchema.statics.claimDueSchedule = function(workerId, lockDurationMs = 5 * 60 * 1000, guildIds = null) {
+    const now = new Date();
+    const query = {
+        status: 'scheduled',
+        'schedule.nextRunAt': { $lte: now },
+        $or: [
+            { 'lock.lockedUntil': { $exists: false } },
+            { 'lock.lockedUntil': null },
+            { 'lock.lockedUntil': { $lte: now } }
+        ]
+    };
+
+    if (guildIds) {
+        query.guildId = { $in: guildIds };
+    }
+
+    return this.findOneAndUpdate(
+        query,
+        {
+            $set: {
+                'lock.lockedBy': workerId,
+                'lock.lockedUntil': new Date(now.getTime() + lockDurationMs)
+            }
+        },
+        {
+            new: true,
+            sort: { 'schedule.nextRunAt': 1 }
+        }
+    );
+};
+
+module.exports = mongoose.model('ScheduledTaskPost', scheduledTaskPostSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+const securityAlertConfigSchema = new mongoose.Schema({
+    guildId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+
+    // Discord channel that receives the guild's alerts
+    channel: {
+        channelId: {
+            type: String,
+            default: null
+        },
+        minSeverity: {
+            type: String,
+            enum: SEVERITIES,
+            default: 'high'
+        }
+    },
+
+    // Outbound webhooks
+    webhooks: [{
+        webhookId: {
+            type: String,
+            required: true
+        },
+        url: {
+            type: String,
+            required: true
+        },
+        format: {
+            type: String,
+            enum: ['json', 'slack'],
+            default: 'json'
+        },
+        minSeverity: {
+            type: String,
+            enum: SEVERITIES,
+            default: 'high'
+        },
+        // Signs JSON payloads (X-Naffles-Signature) when set
+        secret: {
+            type: String,
+            default: null
+        },
+        createdBy: String,
+        createdAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+
+    updatedBy: String
+}, {
+    timestamps: true
+});
+
+// Static Methods
+securityAlertConfigSchema.statics.findByGuild = function(guildId) {
+    return this.findOne({ guildId });
+};
+
+securityAlertConfigSchema.statics.SEVERITIES = SEVERITIES;
+
+module.exports = mongoose.model('SecurityAlertConfig', securityAlertConfigSchema);
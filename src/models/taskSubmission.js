@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+const taskSubmissionSchema = new mongoose.Schema({
+    taskId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    guildId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    channelId: String,
+
+    // Who submitted
+    discordId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    discordUsername: String,
+    nafflesUserId: {
+        type: String,
+        required: true
+    },
+
+    // Task details at submission time, so the review card survives task edits
+    task: {
+        title: String,
+        instructions: String,
+        points: {
+            type: Number,
+            default: 0
+        }
+    },
+
+    // Proof provided through the submission modal
+    proof: {
+        url: String,
+        text: String
+    },
+
+    status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected'],
+        default: 'pending'
+    },
+
+    // Moderator review
+    review: {
+        channelId: String,
+        messageId: String,
+        reviewedBy: String,
+        reviewedByUsername: String,
+        reason: String,
+        reviewedAt: Date
+    },
+
+    // Decision delivery to the Naffles API and the submitter
+    sync: {
+        syncedAt: Date,
+        lastError: String
+    },
+    notification: {
+        status: {
+            type: String,
+            enum: ['pending', 'dm_sent', 'failed'],
+            default: 'pending'
+        },
+        notifiedAt: Date,
+        lastError: String
+    }
+}, {
+    timestamps: true
+});
+
+// Compound Indexes for Performance
+taskSubmissionSchema.index({ guildId: 1, status: 1, createdAt: 1 });
+taskSubmissionSchema.index({ taskId: 1, discordId: 1, status: 1 });
+
+// Instance Methods
+taskSubmissionSchema.methods.isPending = function() {
+    return this.status === 'pending';
+};
+
+// Static Methods
+taskSubmissionSchema.statics.findPending = function(guildId, options = {}) {
+    const query = { guildId, status: 'pending' };
+    if (options.taskId) {
+        query.taskId = options.taskId;
+    }
+
+    return this.find(query)
+        .sort({ createdAt: 1 })
+        .limit(options.limit || 25);
+};
+
+taskSubmissionSchema.statics.findOpenSubmission = function(taskId, discordId) {
+    return this.findOne({ taskId, discordId, status: 'pending' });
+};
+
+/**
+ * Claim a pending submission for a decision. Returns null when another
+ * moderator already decided it, so two reviewers can't both act on it.
+ */
+taskSubmissionSchema.statics.claimForReview = function(submissionId, decision, reviewer, reason) {
+    return this.findOneAndUpdate(
+        { _id: submissionId, status: 'pending' },
+        {
+            $set: {
+                status: decision,
+                'review.reviewedBy': reviewer.id,
+                'review.reviewedByUsername': reviewer.username,
+                'review.reason': reason || null,
+                'review.reviewedAt': new Date()
+            }
+        },
+        { new: true }
+    );
+};
+
+module.exports = mongoose.model('TaskSubmission', taskSubmissionSchema);
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+const taskTemplateSchema = new mongoose.Schema({
+    templateId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+    // Templates belong to the Naffles community, so every linked server shares them
+    communityId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Lower-cased name used for case-insensitive lookups
+    nameKey: {
+        type: String,
+        required: true
+    },
+
+    // Task Fields
+    taskData: {
+        type: {
+            type: String,
+            required: true,
+            enum: ['twitter_follow', 'discord_join', 'telegram_join', 'custom']
+        },
+        title: {
+            type: String,
+            required: true
+        },
+        description: String,
+        points: {
+            type: Number,
+            default: 0
+        },
+        duration: Number // in hours
+    },
+
+    // Type-specific requirements pre-filled into the creation modal
+    requirements: {
+        twitterUsername: String,
+        discordInvite: String,
+        telegramLink: String,
+        customInstructions: String,
+        verificationMethod: String
+    },
+
+    // Embed Style
+    embedStyle: {
+        color: Number,
+        thumbnailUrl: String
+    },
+
+    // Ownership
+    createdBy: {
+        type: String,
+        required: true
+    },
+    createdInGuild: String,
+    updatedBy: String,
+
+    // Usage Tracking
+    usageCount: {
+        type: Number,
+        default: 0
+    },
+    lastUsedAt: Date
+}, {
+    timestamps: true
+});
+
+// Compound Indexes for Performance
+taskTemplateSchema.index({ communityId: 1, nameKey: 1 }, { unique: true });
+taskTemplateSchema.index({ communityId: 1, usageCount: -1 });
+
+// Pre-save middleware
+taskTemplateSchema.pre('validate', function(next) {
+    if (this.name) {
+        this.nameKey = this.name.trim().toLowerCase();
+    }
+    next();
+});
+
+// Static Methods
+taskTemplateSchema.statics.recordUsage = function(templateId) {
+    return this.updateOne(
+        { templateId },
+        { $inc: { usageCount: 1 }, $set: { lastUsedAt: new Date() } }
+    );
+};
+
+taskTemplateSchema.statics.findByName = function(communityId, name) {
+    return this.findOne({
+        communityId,
+        nameKey: name.trim().toLowerCase()
+    });
+};
+
+taskTemplateSchema.statics.findByCommunity = function(communityId, limit = 25) {
+    return this.find({ communityId })
+        .sort({ usageCount: -1, name: 1 })
+        .limit(limit);
+};
+
+module.exports = mongoose.model('TaskTemplate', taskTemplateSchema);
@@ -94,6 +94,23 @@ class MonitoringDashboard {
             }
         });
 
+        // Real-time sync queue and dead-lettered operations (read-only;
+        // replay and drop with the sync:replay and sync:drop CLI commands)
+        this.app.get('/sync/queue', async (req, res) => {
+            try {
+                const { limit = 50 } = req.query;
+                const realTimeSync = this.botService.realTimeSync;
+
+                res.json({
+                    ...(await realTimeSync.getQueueStatus()),
+                    deadLetters: await realTimeSync.listDeadLetters(parseInt(limit))
+                });
+            } catch (error) {
+                logger.error('Failed to get sync queue:', error);
+                res.status(500).json({ error: 'Failed to retrieve sync queue' });
+            }
+        });
+
         // Performance metrics
         this.app.get('/performance', (req, res) => {
             const performance = this.getPerformanceMetrics();
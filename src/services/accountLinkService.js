@@ -0,0 +1,323 @@
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const logger = require('../utils/logger');
+const DiscordAccountLink = require('../models/discordAccountLink');
+const { getKeyring } = require('../utils/tokenEncryption');
+
+const NAFFLES_DISCORD_SETTINGS_URL = 'https://naffles.com/discord-link';
+
+// Consent flags members can change themselves
+const PRIVACY_FLAGS = ['allowNotifications', 'dataProcessingConsent'];
+
+/**
+ * Account Link Service
+ * Self-serve linking of a member's Discord account to their Naffles account.
+ * Members authorize with Discord OAuth; the callback (OAuthHandler) asks the
+ * Naffles API which Naffles account has that Discord ID connected and stores
+ * the link, its tokens and the member's consent flags.
+ */
+class AccountLinkService {
+    constructor(botService) {
+        this.botService = botService;
+
+        this.stats = {
+            linksCreated: 0,
+            linksRemoved: 0,
+            linkFailures: 0,
+            privacyUpdates: 0
+        };
+
+        // The OAuth callback runs on the primary shard; holder roles are
+        // granted in the servers each shard can reach
+        this.botService.shardCoordinator?.on?.('account_linked', ({ discordId }) => {
+            this.botService.holderRoles?.handleAccountLinked(discordId);
+        });
+    }
+
+    /**
+     * Get a member's active link, including suspended ones
+     * @param {string} discordId - Discord user ID
+     * @returns {Promise<Object|null>} DiscordAccountLink document
+     */
+    async getLink(discordId) {
+        return await DiscordAccountLink.findOne({ discordId, 'status.isActive': true });
+    }
+
+    /**
+     * Discord OAuth URL that links the member's account
+     * @param {string} discordId - Discord user ID
+     * @param {string} guildId - Server the member started from
+     * @returns {string|null} URL, or null when OAuth isn't configured
+     */
+    createLinkUrl(discordId, guildId) {
+        const { discordClientId, discordRedirectUri } = this.botService.communityLinking;
+        if (!discordClientId || !discordRedirectUri) {
+            return null;
+        }
+
+        return this.botService.communityLinking.generateAccountOAuthUrl(guildId, discordId);
+    }
+
+    /**
+     * Reply payload that starts linking, or explains why it can't
+     * @param {string} discordId - Discord user ID
+     * @param {string} guildId - Server the member started from
+     * @returns {Promise<Object>} Interaction reply options
+     */
+    async getLinkPrompt(discordId, guildId) {
+        if (!this.isDatabaseAvailable()) {
+            return { content: '❌ Account linking is temporarily unavailable. Please try again later.', ephemeral: true };
+        }
+
+        const link = await this.getLink(discordId);
+        if (link && !link.oauthTokens?.needsRelink) {
+            return {
+                content: `✅ Your Discord account is already linked to the Naffles account **${link.nafflesUserInfo?.username || link.nafflesUserId}**. Use \`/naffles-account status\` to see it.`,
+                ephemeral: true
+            };
+        }
+
+        const url = this.createLinkUrl(discordId, guildId);
+        if (!url) {
+            return { content: '❌ Account linking is not configured for this bot.', ephemeral: true };
+        }
+
+        const embed = new EmbedBuilder()
+            .setTitle('🔗 Link your Naffles account')
+            .setDescription([
+                'Authorize with Discord to confirm it\'s you. Your Discord account is linked to the Naffles account that has it connected.',
+                '',
+                `Haven't connected Discord on Naffles yet? Do that first at ${NAFFLES_DISCORD_SETTINGS_URL}.`
+            ].join('\n'))
+            .setColor(0x5865F2)
+            .setFooter({ text: 'This link expires in 10 minutes' });
+
+        const row = new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setLabel('Link with Discord')
+                .setStyle(ButtonStyle.Link)
+                .setURL(url)
+        );
+
+        return { embeds: [embed], components: [row], ephemeral: true };
+    }
+
+    /**
+     * Store the link for a member who completed OAuth
+     * @param {Object} discordUser - Discord user from /users/@me
+     * @param {Object} tokenData - Discord OAuth token response
+     * @param {Object} context - { guildId, ipAddress, userAgent }
+     * @returns {Promise<Object>} { success, reason, link }
+     */
+    async completeLink(discordUser, tokenData, context = {}) {
+        if (!this.isDatabaseAvailable()) {
+            return { success: false, reason: 'database_unavailable' };
+        }
+
+        const discordId = discordUser.id;
+
+        let nafflesUser;
+        try {
+            // Returns { userId, username, walletAddress, tier } of the Naffles
+            // account this Discord ID is connected to
+            nafflesUser = await this.botService.makeNafflesApiCall('/api/discord/account-links', 'POST', {
+                discordId,
+                discordUsername: discordUser.username
+            });
+        } catch (error) {
+            this.stats.linkFailures++;
+            if (error.response?.status === 404) {
+                return { success: false, reason: 'naffles_account_not_found' };
+            }
+            throw error;
+        }
+
+        let link = await DiscordAccountLink.findOne({ discordId });
+        if (link?.status.isSuspended) {
+            this.stats.linkFailures++;
+            return { success: false, reason: 'account_suspended' };
+        }
+
+        const relinked = Boolean(link?.status.isActive && link.nafflesUserId === nafflesUser.userId);
+        const now = new Date();
+
+        link = link || new DiscordAccountLink({ discordId });
+        link.nafflesUserId = nafflesUser.userId;
+        link.discordUserInfo = {
+            username: discordUser.username,
+            discriminator: discordUser.discriminator,
+            globalName: discordUser.global_name,
+            avatar: discordUser.avatar,
+            locale: discordUser.locale,
+            verified: discordUser.verified,
+            mfaEnabled: discordUser.mfa_enabled,
+            lastUpdated: now
+        };
+        link.nafflesUserInfo = {
+            username: nafflesUser.username,
+            walletAddress: nafflesUser.walletAddress,
+            tier: nafflesUser.tier,
+            lastUpdated: now
+        };
+        link.linkingData = {
+            method: 'oauth',
+            linkedAt: relinked ? link.linkingData.linkedAt : now,
+            lastVerified: now,
+            ipAddress: context.ipAddress,
+            userAgent: context.userAgent
+        };
+        link.status.isActive = true;
+        link.status.isVerified = true;
+
+        if (getKeyring().activeKeyId) {
+            await link.updateTokens(tokenData);
+        } else {
+            // Tokens are only kept encrypted; without a key there is nothing to refresh
+            link.oauthTokens = { refreshFailures: 0, needsRelink: false };
+        }
+
+        await link.addAuditEntry(relinked ? 'relinked' : 'linked', discordId, {
+            guildId: context.guildId,
+            nafflesUserId: nafflesUser.userId
+        }, context.ipAddress, context.userAgent);
+
+        this.stats.linksCreated++;
+        logger.info('Discord account linked', { discordId, nafflesUserId: nafflesUser.userId, relinked });
+
+        await this.botService.holderRoles?.handleAccountLinked(discordId);
+        await this.botService.shardCoordinator?.broadcast?.('account_linked', { discordId });
+
+        return { success: true, link };
+    }
+
+    /**
+     * Unlink a member's account and forget their tokens
+     * @param {string} discordId - Discord user ID
+     * @returns {Promise<Object>} { success, reason }
+     */
+    async unlink(discordId) {
+        const link = await this.getLink(discordId);
+        if (!link) {
+            return { success: false, reason: 'not_linked' };
+        }
+
+        link.status.isActive = false;
+        link.oauthTokens = { refreshFailures: 0, needsRelink: false };
+        await link.addAuditEntry('unlinked', discordId);
+
+        try {
+            await this.botService.makeNafflesApiCall(`/api/discord/account-links/${discordId}`, 'DELETE');
+        } catch (error) {
+            // Non-critical; the link is already gone on our side
+            logger.warn('Failed to notify Naffles API about account unlink:', error.message);
+        }
+
+        this.stats.linksRemoved++;
+        logger.info('Discord account unlinked', { discordId, nafflesUserId: link.nafflesUserId });
+
+        return { success: true };
+    }
+
+    /**
+     * Change a member's notification and data-processing consent
+     * @param {string} discordId - Discord user ID
+     * @param {Object} settings - { allowNotifications, dataProcessingConsent }; unset flags are kept
+     * @returns {Promise<Object>} { success, reason, link, changes }
+     */
+    async updatePrivacy(discordId, settings) {
+        const link = await this.getLink(discordId);
+        if (!link) {
+            return { success: false, reason: 'not_linked' };
+        }
+
+        const changes = {};
+        for (const flag of PRIVACY_FLAGS) {
+            if (typeof settings[flag] === 'boolean' && link.permissions[flag] !== settings[flag]) {
+                link.permissions[flag] = settings[flag];
+                changes[flag] = settings[flag];
+            }
+        }
+
+        if (Object.keys(changes).length > 0) {
+            if ('dataProcessingConsent' in changes) {
+                link.permissions.consentTimestamp = new Date();
+            }
+
+            await link.addAuditEntry('privacy_updated', discordId, changes);
+            this.stats.privacyUpdates++;
+        }
+
+        return { success: true, link, changes };
+    }
+
+    /**
+     * Embed describing a member's link, activity and consent flags
+     * @param {Object} link - DiscordAccountLink document
+     * @returns {EmbedBuilder} Status embed
+     */
+    buildStatusEmbed(link) {
+        const stats = link.activityStats || {};
+        const permissions = link.permissions || {};
+        const timestamp = (date) => date ? `<t:${Math.floor(new Date(date).getTime() / 1000)}:R>` : 'Never';
+        const onOff = (value) => value ? '🟢 On' : '⚪ Off';
+
+        const embed = new EmbedBuilder()
+            .setTitle('🔗 Your Naffles Account')
+            .setColor(0x10B981)
+            .addFields(
+                { name: '👤 Naffles Account', value: link.nafflesUserInfo?.username || link.nafflesUserId, inline: true },
+                { name: '📅 Linked', value: timestamp(link.linkingData?.linkedAt), inline: true },
+                { name: '🕒 Last Activity', value: timestamp(stats.lastActivity), inline: true },
+                { name: '✅ Tasks Completed', value: `${stats.totalTasksCompleted || 0}`, inline: true },
+                { name: '💰 Points Earned', value: `${stats.totalPointsEarned || 0}`, inline: true },
+                { name: '🎫 Allowlists Entered', value: `${stats.totalAllowlistsEntered || 0}`, inline: true },
+                {
+                    name: '🔒 Privacy',
+                    value: [
+                        `Notifications: ${onOff(permissions.allowNotifications)}`,
+                        `Data processing consent: ${onOff(permissions.dataProcessingConsent)}` +
+                            (permissions.consentTimestamp ? ` (changed ${timestamp(permissions.consentTimestamp)})` : '')
+                    ].join('\n'),
+                    inline: false
+                },
+                {
+                    name: '⚙️ Account Permissions',
+                    value: [
+                        `Task completion: ${onOff(permissions.allowTaskCompletion)}`,
+                        `Allowlist entry: ${onOff(permissions.allowAllowlistEntry)}`,
+                        `Points earning: ${onOff(permissions.allowPointsEarning)}`
+                    ].join('\n'),
+                    inline: false
+                }
+            )
+            .setFooter({ text: 'Change your privacy settings with /naffles-account privacy' })
+            .setTimestamp();
+
+        if (link.status?.isSuspended) {
+            embed.setColor(0xEF4444)
+                .setDescription(`⛔ This link is suspended${link.status.suspensionReason ? `: ${link.status.suspensionReason}` : '.'}`);
+        } else if (link.oauthTokens?.needsRelink) {
+            embed.setColor(0xF59E0B)
+                .setDescription('⚠️ Your Discord authorization has expired. Run `/naffles-account link` to link again.');
+        }
+
+        return embed;
+    }
+
+    /**
+     * @private
+     */
+    isDatabaseAvailable() {
+        return Boolean(this.botService?.db?.isHealthy?.());
+    }
+
+    /**
+     * Get account linking statistics
+     * @returns {Object} Account linking statistics
+     */
+    getStatistics() {
+        return { ...this.stats };
+    }
+}
+
+module.exports = AccountLinkService;
+module.exports.PRIVACY_FLAGS = PRIVACY_FLAGS;
@@ -0,0 +1,525 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const SmtpMailer = require('../utils/smtpMailer');
+const SecurityAlertConfig = require('../models/securityAlertConfig');
+const DiscordChannelTransport = require('./alertTransports/discordChannelTransport');
+const WebhookTransport = require('./alertTransports/webhookTransport');
+const EmailTransport = require('./alertTransports/emailTransport');
+
+const SEVERITY_RANK = { low: 0, medium: 1, high: 2, critical: 3 };
+const MAX_WEBHOOKS_PER_GUILD = 5;
+
+/**
+ * Alert Delivery Service
+ * Sends security alerts to every destination whose minimum severity they
+ * meet:
+ *
+ * - the guild's alert channel and webhooks (stored in SecurityAlertConfig)
+ * - deployment-wide destinations from the environment
+ *   (SECURITY_ALERT_WEBHOOK_URL, SECURITY_ALERT_EMAIL_TO with SMTP_*)
+ *
+ * Repeats of the same alert type for the same guild and user are suppressed
+ * for a window and counted on the next alert that goes out. Failed sends
+ * are retried with exponential backoff unless the error is permanent.
+ */
+class AlertDeliveryService {
+    /**
+     * @param {Object} botService - Bot service
+     * @param {Object} options - { mailer, dedupWindow, maxAttempts, baseDelay, globalDestinations }
+     */
+    constructor(botService, options = {}) {
+        this.botService = botService;
+        this.guildConfigs = new Map(); // Guild ID -> { channelId, minSeverity, webhooks }
+        this.recentAlerts = new Map(); // Dedup key -> { lastSent, suppressed }
+
+        this.dedupWindow = options.dedupWindow ?? (parseInt(process.env.SECURITY_ALERT_DEDUP_WINDOW_MS, 10) || 10 * 60 * 1000);
+        this.retry = {
+            maxAttempts: options.maxAttempts || 3,
+            baseDelay: options.baseDelay ?? 1000
+        };
+
+        this.transports = new Map();
+        this.registerTransport(new DiscordChannelTransport(botService));
+        this.registerTransport(new WebhookTransport());
+
+        const mailer = options.mailer !== undefined ? options.mailer : SmtpMailer.fromEnv();
+        if (mailer) {
+            this.registerTransport(new EmailTransport(mailer));
+        }
+
+        this.globalDestinations = options.globalDestinations || this.loadGlobalDestinations();
+
+        this.stats = {
+            delivered: 0,
+            failed: 0,
+            retried: 0,
+            suppressed: 0
+        };
+    }
+
+    /**
+     * Register an alert transport, replacing any transport with the same name
+     * @param {AlertTransport} transport - Transport instance
+     */
+    registerTransport(transport) {
+        this.transports.set(transport.name, transport);
+    }
+
+    getTransport(name) {
+        return this.transports.get(name) || null;
+    }
+
+    /**
+     * Load saved alert configuration and follow changes made on other shards
+     */
+    async initialize() {
+        this.botService.shardCoordinator?.on?.('security_alerts_changed', ({ guildId }) => {
+            this.loadGuildConfig(guildId).catch(error => {
+                logger.error('Failed to reload security alert config:', error);
+            });
+        });
+
+        if (!this.isDatabaseAvailable()) {
+            logger.warn('Database unavailable; security alert channels will not be restored');
+            return;
+        }
+
+        try {
+            const configs = await SecurityAlertConfig.find({}).lean();
+            configs.forEach(config => this.cacheConfig(config));
+
+            logger.info(`Loaded security alert configuration for ${configs.length} guilds`);
+        } catch (error) {
+            logger.error('Failed to load security alert configuration:', error);
+        }
+    }
+
+    /**
+     * Guild ID -> alert channel ID for every guild with an alert channel
+     * @returns {Map<string, string>}
+     */
+    get alertChannels() {
+        const channels = new Map();
+        for (const [guildId, config] of this.guildConfigs) {
+            if (config.channelId) {
+                channels.set(guildId, config.channelId);
+            }
+        }
+        return channels;
+    }
+
+    /**
+     * @param {string} guildId - Guild ID
+     * @returns {Object} { channelId, minSeverity, webhooks }
+     */
+    getGuildConfig(guildId) {
+        return this.guildConfigs.get(guildId) || { channelId: null, minSeverity: 'high', webhooks: [] };
+    }
+
+    /**
+     * Set the Discord channel that receives a guild's alerts. Alerts are
+     * routed there at once; the setting is saved when the database is up.
+     * @param {string} guildId - Guild ID
+     * @param {string} channelId - Channel ID
+     * @param {Object} options - { minSeverity, userId }
+     * @returns {Promise<Object>} Result with success status
+     */
+    setAlertChannel(guildId, channelId, options = {}) {
+        const minSeverity = options.minSeverity || 'high';
+        if (!SEVERITY_RANK.hasOwnProperty(minSeverity)) {
+            return Promise.resolve({ success: false, reason: 'invalid_severity', message: `Unknown severity: ${minSeverity}` });
+        }
+
+        this.guildConfigs.set(guildId, { ...this.getGuildConfig(guildId), channelId, minSeverity });
+        logger.info('Security alert channel configured', { guildId, channelId, minSeverity });
+
+        return this.saveGuildConfig(guildId, {
+            $set: { 'channel.channelId': channelId, 'channel.minSeverity': minSeverity, updatedBy: options.userId }
+        });
+    }
+
+    /**
+     * Stop sending a guild's alerts to Discord
+     * @param {string} guildId - Guild ID
+     * @param {string} userId - User making the change
+     * @returns {Promise<Object>} Result with success status
+     */
+    removeAlertChannel(guildId, userId = null) {
+        if (this.guildConfigs.has(guildId)) {
+            this.guildConfigs.set(guildId, { ...this.getGuildConfig(guildId), channelId: null });
+        }
+        logger.info('Security alert channel removed', { guildId });
+
+        return this.saveGuildConfig(guildId, {
+            $set: { 'channel.channelId': null, updatedBy: userId }
+        });
+    }
+
+    /**
+     * Add an outbound webhook for a guild's alerts
+     * @param {string} guildId - Guild ID
+     * @param {Object} webhook - { url, format, minSeverity, secret }
+     * @param {string} userId - User making the change
+     * @returns {Promise<Object>} Result with success status and webhookId
+     */
+    async addWebhook(guildId, webhook, userId) {
+        const urlCheck = this.validateWebhookUrl(webhook.url);
+        if (!urlCheck.valid) {
+            return { success: false, reason: 'invalid_url', message: urlCheck.message };
+        }
+
+        const minSeverity = webhook.minSeverity || 'high';
+        if (!SEVERITY_RANK.hasOwnProperty(minSeverity)) {
+            return { success: false, reason: 'invalid_severity', message: `Unknown severity: ${minSeverity}` };
+        }
+
+        if (this.getGuildConfig(guildId).webhooks.length >= MAX_WEBHOOKS_PER_GUILD) {
+            return { success: false, reason: 'limit_reached', message: `A server can have at most ${MAX_WEBHOOKS_PER_GUILD} alert webhooks` };
+        }
+
+        const webhookId = crypto.randomBytes(4).toString('hex');
+        const result = await this.saveGuildConfig(guildId, {
+            $push: {
+                webhooks: {
+                    webhookId,
+                    url: webhook.url,
+                    format: webhook.format === 'slack' ? 'slack' : 'json',
+                    minSeverity,
+                    secret: webhook.secret || null,
+                    createdBy: userId
+                }
+            },
+            $set: { updatedBy: userId }
+        });
+
+        return result.success ? { ...result, webhookId } : result;
+    }
+
+    /**
+     * Remove an outbound webhook
+     * @param {string} guildId - Guild ID
+     * @param {string} webhookId - Webhook ID shown by the alerts view
+     * @param {string} userId - User making the change
+     * @returns {Promise<Object>} Result with success status
+     */
+    async removeWebhook(guildId, webhookId, userId) {
+        if (!this.getGuildConfig(guildId).webhooks.some(webhook => webhook.webhookId === webhookId)) {
+            return { success: false, reason: 'not_found', message: `No webhook with ID ${webhookId}` };
+        }
+
+        return this.saveGuildConfig(guildId, {
+            $pull: { webhooks: { webhookId } },
+            $set: { updatedBy: userId }
+        });
+    }
+
+    /**
+     * Only HTTPS webhooks on public hostnames are accepted
+     * @param {string} url - Webhook URL
+     * @returns {Object} { valid, message }
+     */
+    validateWebhookUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return { valid: false, message: 'Webhook URL is not a valid URL' };
+        }
+
+        if (parsed.protocol !== 'https:') {
+            return { valid: false, message: 'Webhook URL must use https' };
+        }
+
+        const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+        if (hostname === 'localhost' || hostname.endsWith('.localhost') || hostname.endsWith('.internal') ||
+            /^[\d.]+$/.test(hostname) || hostname.includes(':')) {
+            return { valid: false, message: 'Webhook URL must use a public hostname' };
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Deliver an alert to every destination it qualifies for
+     * @param {Object} alert - { type, severity, description, userId, details, recommendations }
+     * @param {string|null} guildId - Guild the alert belongs to
+     * @param {Object} options - { force, guildOnly, channelOnly }
+     *   force skips severity routing and deduplication; guildOnly leaves out
+     *   deployment-wide destinations; channelOnly sends to the Discord channel only
+     * @returns {Promise<Object>} { delivered, failed, suppressed, results }
+     */
+    async deliver(alert, guildId = alert.guildId || null, options = {}) {
+        const normalized = {
+            ...alert,
+            id: alert.id || `alert_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`,
+            type: alert.type || 'unknown',
+            severity: SEVERITY_RANK.hasOwnProperty(alert.severity) ? alert.severity : 'medium',
+            timestamp: alert.timestamp || Date.now(),
+            guildId
+        };
+
+        if (!options.force && this.isDuplicate(normalized)) {
+            this.stats.suppressed++;
+            return { delivered: 0, failed: 0, suppressed: true, results: [] };
+        }
+
+        const destinations = this.getDestinations(normalized, options);
+        const results = await Promise.all(destinations.map(destination =>
+            this.deliverWithRetry(normalized, destination)
+        ));
+
+        const delivered = results.filter(result => result.success).length;
+        this.stats.delivered += delivered;
+        this.stats.failed += results.length - delivered;
+
+        if (destinations.length > 0) {
+            logger.security('Security alert delivered', {
+                alertId: normalized.id,
+                alertType: normalized.type,
+                severity: normalized.severity,
+                guildId,
+                delivered,
+                failed: results.length - delivered
+            });
+        }
+
+        return { delivered, failed: results.length - delivered, suppressed: false, results };
+    }
+
+    /**
+     * Pick the destinations for an alert
+     * @private
+     */
+    getDestinations(alert, options = {}) {
+        const destinations = [];
+        const config = alert.guildId ? this.getGuildConfig(alert.guildId) : null;
+
+        if (config?.channelId) {
+            destinations.push({
+                transport: 'discord',
+                label: `channel ${config.channelId}`,
+                minSeverity: config.minSeverity,
+                target: { channelId: config.channelId }
+            });
+        }
+
+        if (!options.channelOnly) {
+            (config?.webhooks || []).forEach(webhook => {
+                destinations.push({
+                    transport: 'webhook',
+                    label: `webhook ${webhook.webhookId}`,
+                    minSeverity: webhook.minSeverity,
+                    target: { url: webhook.url, format: webhook.format, secret: webhook.secret }
+                });
+            });
+
+            if (!options.guildOnly) {
+                destinations.push(...this.globalDestinations);
+            }
+        }
+
+        return destinations.filter(destination =>
+            this.transports.has(destination.transport) &&
+            (options.force || SEVERITY_RANK[alert.severity] >= SEVERITY_RANK[destination.minSeverity || 'high'])
+        );
+    }
+
+    /**
+     * Check whether a matching alert went out within the dedup window.
+     * When it did not, the alert is marked as sent and carries the number
+     * of repeats suppressed since the previous one.
+     * @private
+     */
+    isDuplicate(alert) {
+        const now = Date.now();
+        const key = `${alert.guildId || 'global'}:${alert.type}:${alert.userId || ''}`;
+        const previous = this.recentAlerts.get(key);
+
+        if (previous && now - previous.lastSent < this.dedupWindow) {
+            previous.suppressed++;
+            return true;
+        }
+
+        alert.suppressedDuplicates = previous?.suppressed || 0;
+        this.recentAlerts.set(key, { lastSent: now, suppressed: 0 });
+
+        if (this.recentAlerts.size > 1000) {
+            for (const [entryKey, entry] of this.recentAlerts) {
+                if (now - entry.lastSent >= this.dedupWindow) {
+                    this.recentAlerts.delete(entryKey);
+                }
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Send to one destination, backing off between attempts
+     * @private
+     */
+    async deliverWithRetry(alert, destination) {
+        const transport = this.transports.get(destination.transport);
+
+        for (let attempt = 1; attempt <= this.retry.maxAttempts; attempt++) {
+            try {
+                await transport.send(alert, destination.target);
+                return { destination: destination.label, success: true, attempts: attempt };
+            } catch (error) {
+                const retryable = this.isRetryable(error);
+
+                if (!retryable || attempt === this.retry.maxAttempts) {
+                    logger.error(`Failed to deliver security alert to ${destination.label}`, {
+                        alertId: alert.id,
+                        attempts: attempt,
+                        error: error.message
+                    });
+                    return { destination: destination.label, success: false, attempts: attempt, error: error.message };
+                }
+
+                this.stats.retried++;
+                await new Promise(resolve => setTimeout(resolve, this.retry.baseDelay * 2 ** (attempt - 1)));
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    isRetryable(error) {
+        if (typeof error.retryable === 'boolean') {
+            return error.retryable;
+        }
+
+        const status = error.status ?? error.response?.status;
+        if (!status) {
+            return true; // Network error or timeout
+        }
+
+        return status === 429 || status >= 500;
+    }
+
+    /**
+     * Deployment-wide destinations from the environment
+     * @private
+     */
+    loadGlobalDestinations() {
+        const destinations = [];
+        const minSeverity = process.env.SECURITY_ALERT_MIN_SEVERITY || 'high';
+
+        if (process.env.SECURITY_ALERT_WEBHOOK_URL) {
+            destinations.push({
+                transport: 'webhook',
+                label: 'global webhook',
+                minSeverity,
+                target: {
+                    url: process.env.SECURITY_ALERT_WEBHOOK_URL,
+                    format: process.env.SECURITY_ALERT_WEBHOOK_FORMAT === 'slack' ? 'slack' : 'json',
+                    secret: process.env.SECURITY_ALERT_WEBHOOK_SECRET || null
+                }
+            });
+        }
+
+        if (process.env.SECURITY_ALERT_EMAIL_TO) {
+            destinations.push({
+                transport: 'email',
+                label: 'email',
+                minSeverity,
+                target: { to: process.env.SECURITY_ALERT_EMAIL_TO.split(',').map(address => address.trim()) }
+            });
+        }
+
+        return destinations;
+    }
+
+    /**
+     * Apply an update to a guild's saved configuration and refresh the cache
+     * @private
+     */
+    async saveGuildConfig(guildId, update) {
+        if (!this.isDatabaseAvailable()) {
+            logger.warn('Database unavailable; security alert configuration not saved', { guildId });
+            return { success: false, reason: 'database_unavailable', message: 'Settings could not be saved right now' };
+        }
+
+        try {
+            const config = await SecurityAlertConfig.findOneAndUpdate(
+                { guildId },
+                update,
+                { new: true, upsert: true, setDefaultsOnInsert: true }
+            ).lean();
+
+            this.cacheConfig(config);
+            await this.botService.shardCoordinator?.broadcast?.('security_alerts_changed', { guildId });
+
+            return { success: true, config: this.getGuildConfig(guildId) };
+        } catch (error) {
+            logger.error('Failed to save security alert configuration:', error);
+            return { success: false, reason: 'error', message: error.message };
+        }
+    }
+
+    /**
+     * @private
+     */
+    async loadGuildConfig(guildId) {
+        if (!this.isDatabaseAvailable()) {
+            return;
+        }
+
+        const config = await SecurityAlertConfig.findOne({ guildId }).lean();
+        if (config) {
+            this.cacheConfig(config);
+        } else {
+            this.guildConfigs.delete(guildId);
+        }
+    }
+
+    /**
+     * @private
+     */
+    cacheConfig(config) {
+        this.guildConfigs.set(config.guildId, {
+            channelId: config.channel?.channelId || null,
+            minSeverity: config.channel?.minSeverity || 'high',
+            webhooks: (config.webhooks || []).map(webhook => ({
+                webhookId: webhook.webhookId,
+                url: webhook.url,
+                format: webhook.format,
+                minSeverity: webhook.minSeverity,
+                secret: webhook.secret || null
+            }))
+        });
+    }
+
+    /**
+     * @private
+     */
+    isDatabaseAvailable() {
+        return Boolean(this.botService?.db?.isHealthy?.());
+    }
+
+    /**
+     * Forget cached configuration (saved settings are kept)
+     */
+    clearCache() {
+        this.guildConfigs.clear();
+        this.recentAlerts.clear();
+    }
+
+    /**
+     * @returns {Object} Delivery statistics
+     */
+    getStatistics() {
+        return {
+            ...this.stats,
+            configuredGuilds: this.guildConfigs.size,
+            globalDestinations: this.globalDestinations.map(destination => destination.label),
+            transports: Array.from(this.transports.keys())
+        };
+    }
+}
+
+AlertDeliveryService.SEVERITY_RANK = SEVERITY_RANK;
+
+module.exports = AlertDeliveryService;
@@ -0,0 +1,30 @@
+/**
+ * Alert Transport
+ * Interface for delivering a security alert to one destination. Transports
+ * are used through AlertDeliveryService, which handles severity routing,
+ * deduplication and retries; a transport only sends.
+ *
+ * An alert has the shape:
+ *   { id, type, severity, description, guildId, userId, details,
+ *     recommendations, timestamp, suppressedDuplicates }
+ *
+ * send() throws when delivery failed. Errors may carry `retryable`; without
+ * it, HTTP 429 and 5xx responses and network errors are retried.
+ */
+class AlertTransport {
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Deliver an alert
+     * @param {Object} alert - Security alert
+     * @param {Object} target - Transport-specific destination settings
+     * @returns {Promise<void>}
+     */
+    async send(alert, target) {
+        throw new Error(`${this.name} transport does not implement send`);
+    }
+}
+
+module.exports = AlertTransport;
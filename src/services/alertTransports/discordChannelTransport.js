@@ -0,0 +1,87 @@
+const { EmbedBuilder } = require('discord.js');
+const AlertTransport = require('./alertTransport');
+
+const SEVERITY_COLORS = {
+    low: 0x00ff00,      // Green
+    medium: 0xffff00,   // Yellow
+    high: 0xff8000,     // Orange
+    critical: 0xff0000  // Red
+};
+
+/**
+ * Discord Channel Transport
+ * Posts alerts as embeds in a guild's alert channel. Target: { channelId }
+ */
+class DiscordChannelTransport extends AlertTransport {
+    constructor(botService) {
+        super('discord');
+        this.botService = botService;
+    }
+
+    async send(alert, target) {
+        const channel = await this.botService.client.channels.fetch(target.channelId);
+        if (!channel) {
+            const error = new Error(`Alert channel ${target.channelId} not found`);
+            error.retryable = false;
+            throw error;
+        }
+
+        await channel.send({ embeds: [this.formatEmbed(alert)] });
+    }
+
+    /**
+     * Format an alert as a Discord embed
+     * @param {Object} alert - Security alert
+     * @returns {EmbedBuilder} Embed
+     */
+    formatEmbed(alert) {
+        const embed = new EmbedBuilder()
+            .setTitle('🚨 Security Alert')
+            .setDescription(alert.description || 'Security event detected')
+            .setColor(SEVERITY_COLORS[alert.severity] || SEVERITY_COLORS.medium)
+            .setTimestamp()
+            .addFields([
+                {
+                    name: 'Alert Type',
+                    value: alert.type || 'Unknown',
+                    inline: true
+                },
+                {
+                    name: 'Severity',
+                    value: alert.severity?.toUpperCase() || 'UNKNOWN',
+                    inline: true
+                },
+                {
+                    name: 'Time',
+                    value: new Date(alert.timestamp || Date.now()).toLocaleString(),
+                    inline: true
+                }
+            ]);
+
+        if (alert.details) {
+            embed.addFields([{
+                name: 'Details',
+                value: typeof alert.details === 'string' ?
+                    alert.details :
+                    JSON.stringify(alert.details, null, 2).substring(0, 1000)
+            }]);
+        }
+
+        if (alert.recommendations) {
+            embed.addFields([{
+                name: 'Recommended Actions',
+                value: Array.isArray(alert.recommendations) ?
+                    alert.recommendations.join('\n') :
+                    alert.recommendations
+            }]);
+        }
+
+        if (alert.suppressedDuplicates > 0) {
+            embed.setFooter({ text: `${alert.suppressedDuplicates} similar alerts were suppressed since the last one` });
+        }
+
+        return embed;
+    }
+}
+
+module.exports = DiscordChannelTransport;
@@ -0,0 +1,57 @@
+const AlertTransport = require('./alertTransport');
+
+/**
+ * Email Transport
+ * Mails alerts through an SmtpMailer. Target: { to }
+ */
+class EmailTransport extends AlertTransport {
+    /**
+     * @param {SmtpMailer} mailer - Configured mailer
+     */
+    constructor(mailer) {
+        super('email');
+        this.mailer = mailer;
+    }
+
+    async send(alert, target) {
+        await this.mailer.send({
+            to: target.to,
+            subject: `[Naffles Security] ${alert.severity.toUpperCase()}: ${alert.type.replace(/_/g, ' ')}`,
+            text: this.formatText(alert)
+        });
+    }
+
+    /**
+     * @param {Object} alert - Security alert
+     * @returns {string} Plain-text body
+     */
+    formatText(alert) {
+        const lines = [
+            alert.description,
+            '',
+            `Type: ${alert.type}`,
+            `Severity: ${alert.severity}`,
+            `Time: ${new Date(alert.timestamp || Date.now()).toISOString()}`
+        ];
+
+        if (alert.guildId) lines.push(`Guild: ${alert.guildId}`);
+        if (alert.userId) lines.push(`User: ${alert.userId}`);
+        if (alert.suppressedDuplicates > 0) {
+            lines.push(`Suppressed: ${alert.suppressedDuplicates} similar alerts since the last one`);
+        }
+
+        if (alert.details) {
+            lines.push('', 'Details:', typeof alert.details === 'string'
+                ? alert.details
+                : JSON.stringify(alert.details, null, 2));
+        }
+
+        if (Array.isArray(alert.recommendations) && alert.recommendations.length > 0) {
+            lines.push('', 'Recommended actions:', ...alert.recommendations.map(item => `- ${item}`));
+        }
+
+        return lines.join('\n');
+    }
+}
+
+module.exports = EmailTransport;
@@ -0,0 +1,109 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const AlertTransport = require('./alertTransport');
+
+const SLACK_COLORS = {
+    low: '#2eb886',
+    medium: '#daa038',
+    high: '#e8912d',
+    critical: '#a30200'
+};
+
+/**
+ * Webhook Transport
+ * POSTs alerts to an outbound webhook. Target: { url, format, secret }
+ *
+ * - `json`: { event: 'security_alert', alert: {...} }, signed with
+ *   `X-Naffles-Signature: sha256=<hex HMAC of the body>` when a secret is set
+ * - `slack`: Slack incoming-webhook message with one attachment
+ */
+class WebhookTransport extends AlertTransport {
+    constructor(options = {}) {
+        super('webhook');
+        this.timeout = options.timeout || 10000;
+    }
+
+    async send(alert, target) {
+        const payload = target.format === 'slack' ? this.formatSlack(alert) : this.formatJson(alert);
+        const body = JSON.stringify(payload);
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': 'Naffles-Discord-Bot'
+        };
+
+        if (target.secret && target.format !== 'slack') {
+            headers['X-Naffles-Signature'] = `sha256=${crypto.createHmac('sha256', target.secret).update(body).digest('hex')}`;
+        }
+
+        await axios.post(target.url, body, {
+            headers,
+            timeout: this.timeout,
+            maxRedirects: 0
+        });
+    }
+
+    /**
+     * @param {Object} alert - Security alert
+     * @returns {Object} Generic JSON payload
+     */
+    formatJson(alert) {
+        return {
+            event: 'security_alert',
+            alert: {
+                id: alert.id,
+                type: alert.type,
+                severity: alert.severity,
+                description: alert.description,
+                guildId: alert.guildId || null,
+                userId: alert.userId || null,
+                details: alert.details || null,
+                recommendations: alert.recommendations || [],
+                suppressedDuplicates: alert.suppressedDuplicates || 0,
+                timestamp: new Date(alert.timestamp || Date.now()).toISOString()
+            }
+        };
+    }
+
+    /**
+     * @param {Object} alert - Security alert
+     * @returns {Object} Slack-compatible message
+     */
+    formatSlack(alert) {
+        const fields = [
+            { title: 'Type', value: alert.type, short: true },
+            { title: 'Severity', value: alert.severity.toUpperCase(), short: true }
+        ];
+
+        if (alert.guildId) {
+            fields.push({ title: 'Guild', value: alert.guildId, short: true });
+        }
+        if (alert.userId) {
+            fields.push({ title: 'User', value: alert.userId, short: true });
+        }
+        if (alert.details) {
+            fields.push({
+                title: 'Details',
+                value: typeof alert.details === 'string'
+                    ? alert.details
+                    : JSON.stringify(alert.details).substring(0, 1000),
+                short: false
+            });
+        }
+        if (alert.suppressedDuplicates > 0) {
+            fields.push({ title: 'Suppressed', value: `${alert.suppressedDuplicates} similar alerts`, short: true });
+        }
+
+        return {
+            text: `:rotating_light: Security alert (${alert.severity}): ${alert.description}`,
+            attachments: [{
+                color: SLACK_COLORS[alert.severity] || SLACK_COLORS.medium,
+                title: alert.type.replace(/_/g, ' '),
+                text: alert.description,
+                fields,
+                ts: Math.floor((alert.timestamp || Date.now()) / 1000)
+            }]
+        };
+    }
+}
+
+module.exports = WebhookTransport;
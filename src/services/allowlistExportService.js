@@ -0,0 +1,278 @@
+const zlib = require('zlib');
+const logger = require('../utils/logger');
+const AllowlistConnection = require('../models/allowlistConnection');
+const DiscordAllowlistConnection = require('../models/discordAllowlistConnection');
+const DiscordAccountLink = require('../models/discordAccountLink');
+const { toCsvValue } = require('../utils/auditExport');
+
+const EXPORT_DATASETS = ['entrants', 'winners'];
+const EXPORT_FORMATS = ['csv', 'json'];
+
+const COLUMNS = {
+    entrants: ['nafflesUserId', 'username', 'discordId', 'discordUsername', 'walletAddress', 'enteredAt'],
+    winners: ['position', 'nafflesUserId', 'username', 'discordId', 'walletAddress', 'enteredAt', 'deliveryStatus', 'claimed']
+};
+
+// Upload limits by server boost tier; bots share the server's limit
+const UPLOAD_LIMITS = [10, 10, 50, 100].map(mb => mb * 1024 * 1024);
+
+/**
+ * Allowlist Export Service
+ * Builds CSV or JSON files of an allowlist's entrants or winners for server
+ * admins. Entries are paged from the Naffles API, missing Discord IDs are
+ * filled in from account links, and files too large for a Discord upload are
+ * gzipped and, if still too large, split into parts.
+ */
+class AllowlistExportService {
+    constructor(botService) {
+        this.botService = botService;
+
+        this.pageSize = 500;
+        this.maxRows = 100000;
+        this.maxParts = 10;
+
+        this.stats = {
+            exports: 0,
+            rowsExported: 0,
+            gzipped: 0,
+            split: 0
+        };
+    }
+
+    /**
+     * Build export files for an allowlist connected to a server
+     * @param {Object} params - { allowlistId, guildId, dataset, format, userId, uploadLimit }
+     * @returns {Promise<Object>} { success, files: [{ name, buffer }], rowCount, compressed, reason }
+     */
+    async createExport({ allowlistId, guildId, dataset, format = 'csv', userId, uploadLimit = UPLOAD_LIMITS[0] }) {
+        if (!EXPORT_DATASETS.includes(dataset) || !EXPORT_FORMATS.includes(format)) {
+            return { success: false, reason: 'invalid_options' };
+        }
+
+        if (!this.botService?.db?.isHealthy?.()) {
+            return { success: false, reason: 'database_unavailable' };
+        }
+
+        try {
+            // Only allowlists connected to this server can be exported from it
+            const connection = await AllowlistConnection.findConnection(allowlistId, guildId);
+            if (!connection) {
+                return { success: false, reason: 'not_connected' };
+            }
+
+            const records = dataset === 'winners'
+                ? await this.fetchWinners(allowlistId, guildId)
+                : await this.fetchEntrants(allowlistId);
+
+            const rows = await this.fillDiscordIds(records.map(record => this.toRow(record, dataset)));
+            const baseName = `allowlist-${allowlistId}-${dataset}`.replace(/[^\w.-]/g, '_');
+            const files = this.packageExport(rows, COLUMNS[dataset], format, baseName, uploadLimit);
+
+            if (!files) {
+                return { success: false, reason: 'too_large', rowCount: rows.length };
+            }
+
+            const compressed = files[0].name.endsWith('.gz');
+            this.stats.exports++;
+            this.stats.rowsExported += rows.length;
+            if (compressed) this.stats.gzipped++;
+            if (files.length > 1) this.stats.split++;
+
+            await this.botService.auditLogger?.logAdminAction(userId, 'allowlist_export', guildId, {
+                allowlistId,
+                dataset,
+                format,
+                rowCount: rows.length,
+                files: files.length,
+                bytes: files.reduce((total, file) => total + file.buffer.length, 0),
+                compressed
+            });
+
+            return { success: true, files, rowCount: rows.length, compressed };
+        } catch (error) {
+            logger.error('Failed to export allowlist:', error);
+            return { success: false, reason: 'error', message: error.message };
+        }
+    }
+
+    /**
+     * Page through every entry of an allowlist
+     * @param {string} allowlistId - Naffles allowlist ID
+     * @returns {Promise<Array>} Entries
+     */
+    async fetchEntrants(allowlistId) {
+        const entries = [];
+
+        for (let page = 1; entries.length < this.maxRows; page++) {
+            const response = await this.botService.makeNafflesApiCall(
+                `/api/allowlists/${allowlistId}/entries?page=${page}&limit=${this.pageSize}`
+            );
+            const batch = response?.entries || [];
+            entries.push(...batch);
+
+            const totalPages = response?.pagination?.totalPages;
+            if (batch.length < this.pageSize || (totalPages && page >= totalPages)) {
+                break;
+            }
+        }
+
+        if (entries.length >= this.maxRows) {
+            logger.warn(`Allowlist ${allowlistId} export stopped at ${this.maxRows} entries`);
+        }
+
+        return entries.slice(0, this.maxRows);
+    }
+
+    /**
+     * Winners from the Naffles API, with this server's notification status
+     * @param {string} allowlistId - Naffles allowlist ID
+     * @param {string} guildId - Discord guild ID
+     * @returns {Promise<Array>} Winners
+     */
+    async fetchWinners(allowlistId, guildId) {
+        const [response, connection] = await Promise.all([
+            this.botService.makeNafflesApiCall(`/api/allowlists/${allowlistId}/winners`),
+            DiscordAllowlistConnection.findOne({ guildId, allowlistId }).select('winnerData.winners').lean()
+        ]);
+
+        const stored = new Map((connection?.winnerData?.winners || []).map(winner => [winner.userId, winner]));
+
+        return (response?.winners || []).map((winner, index) => {
+            const delivery = stored.get(winner.userId || winner.nafflesUserId);
+            return {
+                position: index + 1,
+                ...winner,
+                discordId: winner.discordId || delivery?.discordId,
+                deliveryStatus: delivery?.delivery?.status || null,
+                claimed: winner.claimed ?? delivery?.claimed ?? null
+            };
+        });
+    }
+
+    /**
+     * Flatten an API record into export columns
+     * @private
+     */
+    toRow(record, dataset) {
+        const row = {
+            nafflesUserId: record.userId || record.nafflesUserId || null,
+            username: record.username || null,
+            discordId: record.discordId || record.socialData?.discordId || null,
+            discordUsername: record.discordUsername || record.socialData?.discordUsername || null,
+            walletAddress: record.walletAddress || record.wallet?.address || null,
+            enteredAt: record.enteredAt || record.createdAt || null
+        };
+
+        if (dataset === 'winners') {
+            row.position = record.position;
+            row.deliveryStatus = record.deliveryStatus;
+            row.claimed = record.claimed;
+        }
+
+        return Object.fromEntries(COLUMNS[dataset].map(column => [column, row[column] ?? null]));
+    }
+
+    /**
+     * Look up Discord IDs the API didn't return from active account links
+     * @private
+     */
+    async fillDiscordIds(rows) {
+        const missing = [...new Set(rows.filter(row => !row.discordId && row.nafflesUserId).map(row => row.nafflesUserId))];
+        if (missing.length === 0) {
+            return rows;
+        }
+
+        const links = await DiscordAccountLink.find({
+            nafflesUserId: { $in: missing },
+            'status.isActive': true
+        }).select('nafflesUserId discordId').lean();
+
+        const discordIds = new Map(links.map(link => [link.nafflesUserId, link.discordId]));
+        rows.forEach(row => {
+            if (!row.discordId && discordIds.has(row.nafflesUserId)) {
+                row.discordId = discordIds.get(row.nafflesUserId);
+            }
+        });
+
+        return rows;
+    }
+
+    /**
+     * Serialize rows as CSV or JSON
+     * @param {Array} rows - Export rows
+     * @param {Array} columns - Column order
+     * @param {string} format - csv or json
+     * @returns {string} File content
+     */
+    formatRows(rows, columns, format) {
+        if (format === 'json') {
+            return JSON.stringify(rows, null, 2);
+        }
+
+        return [columns.join(','), ...rows.map(row => columns.map(column => toCsvValue(row[column])).join(','))]
+            .join('\n') + '\n';
+    }
+
+    /**
+     * Turn rows into files that each fit the upload limit: plain when it
+     * fits, gzipped when that fits, otherwise gzipped parts that each stand
+     * alone (CSV header or JSON array in every part)
+     * @param {Array} rows - Export rows
+     * @param {Array} columns - Column order
+     * @param {string} format - csv or json
+     * @param {string} baseName - File name without extension
+     * @param {number} limit - Max bytes per file
+     * @returns {Array|null} Files ({ name, buffer }), or null if more than maxParts would be needed
+     */
+    packageExport(rows, columns, format, baseName, limit) {
+        const plain = Buffer.from(this.formatRows(rows, columns, format));
+        if (plain.length <= limit) {
+            return [{ name: `${baseName}.${format}`, buffer: plain }];
+        }
+
+        const gzipped = zlib.gzipSync(plain);
+        if (gzipped.length <= limit) {
+            return [{ name: `${baseName}.${format}.gz`, buffer: gzipped }];
+        }
+
+        for (let parts = Math.ceil(gzipped.length / limit) + 1; parts <= this.maxParts; parts++) {
+            const size = Math.ceil(rows.length / parts);
+            const files = [];
+
+            for (let i = 0; i < parts; i++) {
+                files.push({
+                    name: `${baseName}.part${i + 1}of${parts}.${format}.gz`,
+                    buffer: zlib.gzipSync(this.formatRows(rows.slice(i * size, (i + 1) * size), columns, format))
+                });
+            }
+
+            if (files.every(file => file.buffer.length <= limit)) {
+                return files;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Largest file the bot can upload in a server
+     * @param {Object} guild - Discord guild
+     * @returns {number} Bytes
+     */
+    getUploadLimit(guild) {
+        return UPLOAD_LIMITS[guild?.premiumTier] || UPLOAD_LIMITS[0];
+    }
+
+    /**
+     * @returns {Object} Export statistics
+     */
+    getStatistics() {
+        return { ...this.stats };
+    }
+}
+
+AllowlistExportService.EXPORT_DATASETS = EXPORT_DATASETS;
+AllowlistExportService.EXPORT_FORMATS = EXPORT_FORMATS;
+AllowlistExportService.COLUMNS = COLUMNS;
+
+module.exports = AllowlistExportService;
@@ -134,18 +134,29 @@ class AllowlistIntegrationService {
             const userId = interaction.user.id;
             const username = interaction.user.username;
 
+            // Anti-fraud: New joiners sit out raid lockdowns
+            const raidLock = await this.botService.raidDetection?.checkNewJoinerLock(interaction.guildId, interaction.member);
+            if (raidLock) {
+                return {
+                    success: false,
+                    message: raidLock.message,
+                    reason: 'raid_lockdown'
+                };
+            }
+
             // Anti-fraud: Check entry rate limiting
-            const rateLimitKey = `allowlist_entry_${userId}_${allowlistId}`;
-            const isRateLimited = await this.botService.rateLimiter.checkRateLimit(
-                rateLimitKey,
-                3, // 3 attempts
-                300 // per 5 minutes
+            const rateLimitResult = await this.botService.rateLimiter.checkRateLimit(
+                `${userId}:${allowlistId}`,
+                'allowlist_entry',
+                null,
+                { guildId: interaction.guildId }
             );
 
-            if (isRateLimited) {
+            if (!rateLimitResult.allowed) {
+                const retryAfterMinutes = Math.max(1, Math.ceil(rateLimitResult.retryAfter / 60000));
                 return {
                     success: false,
-                    message: '⏰ You are attempting to enter too frequently. Please wait 5 minutes and try again.',
+                    message: `⏰ You are attempting to enter too frequently. Please wait ${retryAfterMinutes} minute${retryAfterMinutes === 1 ? '' : 's'} and try again.`,
                     reason: 'rate_limited'
                 };
             }
@@ -240,6 +251,33 @@ class AllowlistIntegrationService {
                 completedTasks: requirementValidation.completedTasks || []
             };
 
+            // Anti-fraud: Score the entrant against the allowlist's risk policy
+            const risk = await this.botService.sybilRisk?.assessEntry({
+                discordId: userId,
+                user: interaction.user,
+                member: interaction.member,
+                guildId: interaction.guildId,
+                allowlistId,
+                nafflesUserId: userAccount.nafflesUserId,
+                walletAddress: userAccount.walletAddress
+            }, entryData);
+
+            if (risk?.decision === 'rejected') {
+                return {
+                    success: false,
+                    message: '❌ Your entry could not be accepted. Contact a server moderator if you think this is a mistake.',
+                    reason: 'risk_rejected'
+                };
+            }
+
+            if (risk?.decision === 'held') {
+                return {
+                    success: false,
+                    message: '⏳ Your entry is being reviewed by the server moderators. You will get a DM once it is decided.',
+                    reason: 'held_for_review'
+                };
+            }
+
             const entryResult = await this.botService.makeNafflesApiCall(
                 `/api/allowlists/${allowlistId}/enter`,
                 'POST',
@@ -378,7 +416,7 @@ class AllowlistIntegrationService {
         try {
             switch (task.taskType) {
                 case 'twitter_follow':
-                    return await this.validateTwitterFollow(task, nafflesUserId);
+                    return await this.validateTwitterFollow(task, nafflesUserId, discordId);
                 
                 case 'discord_join':
                     return await this.validateDiscordJoin(task, discordId);
@@ -410,26 +448,29 @@ class AllowlistIntegrationService {
      * Validate Twitter follow task
      * @param {Object} task - Twitter task data
      * @param {string} nafflesUserId - Naffles user ID
+     * @param {string} discordId - Discord user ID
      * @returns {Object} Validation result
      */
-    async validateTwitterFollow(task, nafflesUserId) {
+    async validateTwitterFollow(task, nafflesUserId, discordId) {
         try {
-            // Call Naffles API to verify Twitter follow
-            const verification = await this.botService.makeNafflesApiCall(
-                `/api/social-tasks/verify-twitter-follow`,
-                'POST',
-                {
-                    userId: nafflesUserId,
-                    targetUsername: task.verificationData?.twitter?.username,
-                    taskId: task.taskId
-                }
-            );
+            const verification = await this.botService.twitterVerification.verifyFollow({
+                nafflesUserId,
+                discordId,
+                targetUsername: task.verificationData?.twitter?.username,
+                taskId: task.taskId,
+                source: 'allowlist'
+            });
 
             return {
                 valid: verification.verified,
                 reason: verification.verified ? 'Verified' : 'Twitter follow not detected',
                 guidance: verification.verified ? null : `Please follow @${task.verificationData?.twitter?.username} on Twitter`,
-                verificationData: verification.data
+                verificationData: {
+                    ...verification.data,
+                    verificationId: verification.verificationId,
+                    provider: verification.provider,
+                    expiresAt: verification.expiresAt
+                }
             };
         } catch (error) {
             logger.error('Error validating Twitter follow:', error);
@@ -855,7 +896,11 @@ class AllowlistIntegrationService {
     initializeRealTimeSync() {
         // Set up periodic sync every 30 seconds
         this.syncInterval = setInterval(async () => {
-            await this.syncAllowlistStatuses();
+            // One shard polls the backend for every guild
+            const coordinator = this.botService.shardCoordinator;
+            if (!coordinator || await coordinator.claimJob('allowlist_status_sync', 90000)) {
+                await this.syncAllowlistStatuses();
+            }
         }, 30000);
 
         logger.info('Allowlist real-time synchronization initialized');
@@ -1,4 +1,9 @@
 const logger = require('../utils/logger');
+const AuditLogEntry = require('../models/auditLogEntry');
+const { createAuditExportStream, EXPORT_FORMATS } = require('../utils/auditExport');
+
+// Fields stored as indexed columns; the rest of an audit entry goes into `data`
+const INDEXED_FIELDS = ['id', 'type', 'userId', 'guildId', 'action', 'severity', 'timestamp'];
 
 class AuditLogger {
     constructor(botService) {
@@ -7,6 +12,12 @@ class AuditLogger {
         this.maxLogSize = 10000; // Maximum number of logs to keep in memory
         this.logRetentionDays = 30; // Keep logs for 30 days
         
+        // Persisted entries (auditlogentries collection)
+        this.persistedRetentionDays = parseInt(process.env.AUDIT_LOG_RETENTION_DAYS, 10) || 90;
+        this.chainHead = null; // { chainId, sequence, hash } of this shard's chain
+        this.writeQueue = Promise.resolve();
+        this.persistStats = { persisted: 0, failed: 0, purged: 0 };
+        
         // Audit event types
         this.eventTypes = {
             COMMAND_EXECUTED: 'command_executed',
@@ -26,10 +37,17 @@ class AuditLogger {
             RATE_LIMIT_HIT: 'rate_limit_hit',
             ERROR_OCCURRED: 'error_occurred',
             CONFIG_CHANGED: 'config_changed',
+            ROLE_REWARD: 'role_reward',
+            SOCIAL_VERIFICATION: 'social_verification',
             DATA_EXPORT: 'data_export',
             DATA_DELETION: 'data_deletion'
         };
         
+        // Erasures are run on one shard; the others redact their in-memory logs
+        this.botService?.shardCoordinator?.on?.('user_data_erased', ({ discordId, pseudonym }) => {
+            this.redactUser(discordId, pseudonym);
+        });
+        
         // Start cleanup interval
         this.startCleanup();
     }
@@ -224,6 +242,58 @@ class AuditLogger {
         }
     }
 
+    /**
+     * Log role reward grants and removals
+     * @param {string} userId - Member the role was granted to or removed from
+     * @param {string} guildId - Guild ID
+     * @param {string} action - Action (granted/expired/grant_failed/expiry_failed/holder_granted/holder_revoked)
+     * @param {Object} details - Role, source and expiry details
+     */
+    async logRoleRewardEvent(userId, guildId, action, details = {}) {
+        try {
+            const auditData = {
+                type: this.eventTypes.ROLE_REWARD,
+                userId,
+                guildId,
+                action,
+                details,
+                timestamp: new Date(),
+                severity: action.endsWith('failed') ? 'medium' : 'low'
+            };
+            
+            await this.createAuditLog(auditData);
+
+        } catch (error) {
+            logger.error('Failed to log role reward event:', error);
+        }
+    }
+
+    /**
+     * Log social verification checks (e.g. Twitter follows)
+     * @param {string} userId - Discord (or Naffles) user ID
+     * @param {string} guildId - Guild ID
+     * @param {string} action - Action (twitter_follow_verified, twitter_follow_not_verified, twitter_follow_error)
+     * @param {Object} details - Verification details
+     */
+    async logSocialVerification(userId, guildId, action, details = {}) {
+        try {
+            const auditData = {
+                type: this.eventTypes.SOCIAL_VERIFICATION,
+                userId,
+                guildId,
+                action,
+                details,
+                timestamp: new Date(),
+                severity: action.endsWith('error') ? 'medium' : 'low'
+            };
+            
+            await this.createAuditLog(auditData);
+
+        } catch (error) {
+            logger.error('Failed to log social verification:', error);
+        }
+    }
+
     /**
      * Log user join/leave events
      * @param {Object} member - Discord member
@@ -334,6 +404,60 @@ class AuditLogger {
         }
     }
 
+    /**
+     * Log a member's data export or erasure request
+     * @param {string} userId - User ID (the pseudonym for erasures)
+     * @param {string} type - DATA_EXPORT or DATA_DELETION
+     * @param {Object} details - Record counts and who asked
+     */
+    async logDataRequest(userId, type, details = {}) {
+        try {
+            const auditData = {
+                type,
+                userId,
+                details,
+                timestamp: new Date(),
+                severity: 'medium'
+            };
+            
+            await this.createAuditLog(auditData);
+
+        } catch (error) {
+            logger.error('Failed to log data request:', error);
+        }
+    }
+
+    /**
+     * Pseudonymize a user's in-memory logs after an erasure. Persisted
+     * entries are redacted by AuditLogEntry.redactUser.
+     * @param {string} userId - Erased user ID
+     * @param {string} pseudonym - Replacement ID
+     * @returns {number} Logs redacted
+     */
+    redactUser(userId, pseudonym) {
+        let redacted = 0;
+
+        this.auditLogs = this.auditLogs.map(log => {
+            if (log.userId !== userId) {
+                return log;
+            }
+
+            redacted++;
+            return {
+                id: log.id,
+                type: log.type,
+                userId: pseudonym,
+                guildId: log.guildId,
+                action: log.action,
+                severity: log.severity,
+                timestamp: log.timestamp,
+                redacted: true
+            };
+        });
+
+        return redacted;
+    }
+
     /**
      * Log errors
      * @param {Error} error - Error object
@@ -404,9 +528,9 @@ class AuditLogger {
             // Log to Winston
             logger.audit('Audit log created', auditData);
             
-            // Store in database if available
-            if (this.botService.db && this.botService.db.logAuditEvent) {
-                await this.botService.db.logAuditEvent(auditData);
+            // Persist to the shard's hash chain
+            if (this.isDatabaseAvailable()) {
+                await this.persistAuditLog(auditData);
             }
 
         } catch (error) {
@@ -414,6 +538,180 @@ class AuditLogger {
         }
     }
 
+    /**
+     * Append an audit entry to this shard's chain. Writes are queued so each
+     * entry links to the one before it.
+     * @param {Object} auditData - Audit data
+     * @returns {Promise<Object|null>} New chain head, or null if the write failed
+     */
+    persistAuditLog(auditData) {
+        const write = this.writeQueue.then(() => this.appendEntry(auditData));
+        this.writeQueue = write.catch(() => {});
+
+        return write.catch(error => {
+            this.persistStats.failed++;
+            logger.error('Failed to persist audit log:', error);
+            return null;
+        });
+    }
+
+    /**
+     * @private
+     */
+    async appendEntry(auditData) {
+        const chainId = this.getChainId();
+        const fields = this.toEntryFields(auditData);
+
+        try {
+            const head = this.chainHead?.chainId === chainId ? this.chainHead : null;
+            this.chainHead = { chainId, ...await AuditLogEntry.appendToChain(chainId, fields, head) };
+        } catch (error) {
+            if (error.code !== 11000) {
+                throw error;
+            }
+
+            // Someone else appended (e.g. a retention purge): reload the head and retry
+            this.chainHead = { chainId, ...await AuditLogEntry.appendToChain(chainId, fields) };
+        }
+
+        this.persistStats.persisted++;
+        return this.chainHead;
+    }
+
+    /**
+     * Split an audit entry into indexed fields and JSON-safe data
+     * @private
+     */
+    toEntryFields(auditData) {
+        const data = {};
+        for (const [key, value] of Object.entries(auditData)) {
+            if (!INDEXED_FIELDS.includes(key)) {
+                data[key] = value;
+            }
+        }
+
+        let storable;
+        try {
+            storable = JSON.parse(JSON.stringify(data));
+        } catch (error) {
+            storable = { unserializable: true, keys: Object.keys(data) };
+        }
+
+        return {
+            entryId: auditData.id,
+            type: auditData.type,
+            userId: auditData.userId,
+            guildId: auditData.guildId,
+            action: auditData.action,
+            severity: auditData.severity,
+            timestamp: auditData.timestamp instanceof Date && !isNaN(auditData.timestamp)
+                ? auditData.timestamp
+                : new Date(),
+            data: storable
+        };
+    }
+
+    /**
+     * Each shard appends to its own chain
+     * @private
+     */
+    getChainId() {
+        const shardIds = this.botService.shardCoordinator?.shardIds || [0];
+        return `shard_${shardIds.join('-')}`;
+    }
+
+    /**
+     * Query persisted audit logs, newest first. Falls back to the in-memory
+     * logs while the database is unavailable.
+     * @param {Object} filters - { guildId, userId, type, action, severity, startDate, endDate }
+     * @param {Object} options - { limit, skip }
+     * @returns {Promise<Array>} Audit logs
+     */
+    async queryAuditLogs(filters = {}, options = {}) {
+        const limit = Math.min(options.limit || 100, 1000);
+
+        if (!this.isDatabaseAvailable()) {
+            return this.getAuditLogs(filters, limit);
+        }
+
+        try {
+            const entries = await AuditLogEntry.find(AuditLogEntry.buildQuery(filters))
+                .sort({ timestamp: -1 })
+                .skip(options.skip || 0)
+                .limit(limit)
+                .lean();
+
+            return entries.map(entry => AuditLogEntry.toAuditLog(entry));
+
+        } catch (error) {
+            logger.error('Failed to query audit logs:', error);
+            return this.getAuditLogs(filters, limit);
+        }
+    }
+
+    /**
+     * Count persisted audit logs matching filters
+     * @param {Object} filters - Filter criteria
+     * @returns {Promise<number>} Matching entries
+     */
+    async countAuditLogs(filters = {}) {
+        if (!this.isDatabaseAvailable()) {
+            return this.getAuditLogs(filters, this.maxLogSize).length;
+        }
+
+        return AuditLogEntry.countDocuments(AuditLogEntry.buildQuery(filters));
+    }
+
+    /**
+     * Check this shard's chain (or another one) for tampering
+     * @param {string} chainId - Chain to verify, defaults to this shard's
+     * @returns {Promise<Object>} { chainId, valid, checked, firstSequence, lastSequence, brokenAt }
+     */
+    async verifyAuditChain(chainId = this.getChainId()) {
+        // Let queued writes land first
+        await this.writeQueue;
+        return AuditLogEntry.verifyChain(chainId);
+    }
+
+    /**
+     * Delete this shard's persisted entries older than the retention period
+     * @returns {Promise<number>} Entries deleted
+     */
+    async purgeExpiredEntries() {
+        if (!this.isDatabaseAvailable()) {
+            return 0;
+        }
+
+        const cutoffDate = new Date(Date.now() - this.persistedRetentionDays * 24 * 60 * 60 * 1000);
+        const chainId = this.getChainId();
+
+        const purge = this.writeQueue.then(async () => {
+            const deleted = await AuditLogEntry.purgeChain(chainId, cutoffDate);
+            this.chainHead = null;
+            return deleted;
+        });
+        this.writeQueue = purge.catch(() => {});
+
+        try {
+            const deleted = await purge;
+            if (deleted > 0) {
+                this.persistStats.purged += deleted;
+                logger.info('Persisted audit logs purged', { chainId, deleted, retentionDays: this.persistedRetentionDays });
+            }
+            return deleted;
+        } catch (error) {
+            logger.error('Failed to purge persisted audit logs:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * @private
+     */
+    isDatabaseAvailable() {
+        return Boolean(this.botService?.db?.isHealthy?.());
+    }
+
     /**
      * Get audit logs with filtering
      * @param {Object} filters - Filter criteria
@@ -538,24 +836,51 @@ class AuditLogger {
     }
 
     /**
-     * Export audit logs
+     * Stream audit logs in timestamp order. Reads through a database cursor,
+     * so large ranges never sit in memory; without the database, streams the
+     * in-memory logs.
+     * @param {Object} filters - Filter criteria
+     * @param {string} format - Export format (json/csv/ndjson)
+     * @returns {Readable} Export stream
+     */
+    createExportStream(filters = {}, format = 'json') {
+        if (!EXPORT_FORMATS.includes(format)) {
+            throw new Error(`Unsupported export format: ${format}`);
+        }
+
+        if (!this.isDatabaseAvailable()) {
+            return createAuditExportStream(this.getAuditLogs(filters, this.maxLogSize).reverse(), format);
+        }
+
+        const cursor = AuditLogEntry.find(AuditLogEntry.buildQuery(filters))
+            .sort({ timestamp: 1 })
+            .lean()
+            .cursor({ batchSize: 500 });
+
+        return createAuditExportStream((async function* () {
+            for await (const entry of cursor) {
+                yield AuditLogEntry.toAuditLog(entry);
+            }
+        })(), format);
+    }
+
+    /**
+     * Export audit logs to a string (for small ranges; use createExportStream for large ones)
      * @param {Object} filters - Filter criteria
-     * @param {string} format - Export format (json/csv)
-     * @returns {string} Exported data
+     * @param {string} format - Export format (json/csv/ndjson)
+     * @returns {Promise<string>} Exported data
      */
-    exportAuditLogs(filters = {}, format = 'json') {
+    async exportAuditLogs(filters = {}, format = 'json') {
         try {
-            const logs = this.getAuditLogs(filters, 10000); // Max 10k for export
-            
-            if (format === 'csv') {
-                return this.convertToCSV(logs);
+            const chunks = [];
+            for await (const chunk of this.createExportStream(filters, format)) {
+                chunks.push(chunk);
             }
-            
-            return JSON.stringify(logs, null, 2);
+            return chunks.join('');
 
         } catch (error) {
             logger.error('Failed to export audit logs:', error);
-            return format === 'csv' ? '' : '[]';
+            return format === 'json' ? '[]' : '';
         }
     }
 
@@ -632,32 +957,30 @@ class AuditLogger {
         // Discord doesn't provide user agent, return placeholder
         return 'discord_client';
     }
-    
-    convertToCSV(logs) {
-        if (logs.length === 0) return '';
-        
-        const headers = Object.keys(logs[0]).join(',');
-        const rows = logs.map(log => 
-            Object.values(log).map(value => 
-                typeof value === 'object' ? JSON.stringify(value) : value
-            ).join(',')
-        );
-        
-        return [headers, ...rows].join('\n');
-    }
 
     /**
      * Start cleanup interval
      */
     startCleanup() {
         // Clean up old logs every hour
-        setInterval(() => {
+        this.cleanupInterval = setInterval(() => {
             this.cleanupOldLogs();
+            this.purgeExpiredEntries();
         }, 60 * 60 * 1000);
         
         logger.info('Audit logger cleanup started');
     }
 
+    /**
+     * Stop the cleanup interval (for one-off uses such as the CLI)
+     */
+    stop() {
+        if (this.cleanupInterval) {
+            clearInterval(this.cleanupInterval);
+            this.cleanupInterval = null;
+        }
+    }
+
     /**
      * Clean up old audit logs
      */
@@ -0,0 +1,1119 @@
+const {
+    EmbedBuilder,
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle,
+    ModalBuilder,
+    TextInputBuilder,
+    TextInputStyle,
+    PermissionFlagsBits
+} = require('discord.js');
+const logger = require('../utils/logger');
+const ModerationAction = require('../models/moderationAction');
+const DiscordServerMapping = require('../models/discordServerMapping');
+const DiscordAccountLink = require('../models/discordAccountLink');
+
+// Security events that can trigger an automatic response
+const TRIGGERS = ['bot_detection', 'suspicious_pattern', 'rapid_commands', 'command_abuse'];
+
+const DEFAULT_POLICY = {
+    enabled: false,
+    triggers: TRIGGERS,
+    // Step N is used for a member's Nth action within the escalation window
+    steps: [
+        { action: 'block_commands', duration: 60 * 60 * 1000 },
+        { action: 'timeout', duration: 24 * 60 * 60 * 1000 },
+        { action: 'suspend_link', duration: null }
+    ],
+    escalationWindow: 30 * 24 * 60 * 60 * 1000,
+    reviewChannel: null
+};
+
+const ACTION_LABELS = {
+    block_commands: 'Blocked from bot commands',
+    suspend_link: 'Naffles account link suspended',
+    timeout: 'Timed out',
+    review: 'Bot commands held for moderator review'
+};
+
+const MAX_STEPS = 5;
+const MAX_TIMEOUT = 28 * 24 * 60 * 60 * 1000; // Discord's limit
+const ACTION_COOLDOWN = 10 * 60 * 1000; // One action per member per burst of events
+const SYSTEM_ACTOR = 'auto_moderation';
+
+/**
+ * Auto Moderation Service
+ * Responds to security events with the guild's escalation policy (stored in
+ * discordServerMapping.botConfig.autoModeration): block the member from bot
+ * commands, suspend their Naffles account link, time them out, or hold them
+ * for moderator review. Each response is stored as a ModerationAction, is
+ * DMed to the member with an Appeal button, and can be reverted by a
+ * moderator. Every action taken or reverted goes through
+ * auditLogger.logAdminAction.
+ */
+class AutoModerationService {
+    constructor(botService) {
+        this.botService = botService;
+
+        this.policyCache = new Map();
+        this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
+        this.commandBlocks = new Map(); // `${guildId}:${userId}` -> { actionId, expiresAt }
+        this.inFlight = new Set();
+
+        this.expiryInterval = null;
+        this.expiryCheckFrequency = 60 * 1000; // 1 minute
+        this.isProcessingExpiries = false;
+
+        this.stats = {
+            actionsTaken: 0,
+            actionsFailed: 0,
+            actionsReverted: 0,
+            actionsExpired: 0,
+            appeals: 0
+        };
+
+        // Keep policies and command blocks in step with other shards
+        this.botService?.shardCoordinator?.on?.('auto_moderation_changed', ({ guildId }) => {
+            this.policyCache.delete(guildId);
+        });
+        this.botService?.shardCoordinator?.on?.('auto_moderation_block', ({ guildId, userId, block }) => {
+            this.applyCommandBlock(guildId, userId, block);
+        });
+    }
+
+    /**
+     * Restore command blocks and start expiring actions
+     */
+    async start() {
+        if (this.expiryInterval) {
+            logger.warn('Auto moderation expiry job is already running');
+            return;
+        }
+
+        await this.loadCommandBlocks();
+
+        this.expiryInterval = setInterval(() => {
+            this.processExpiredActions();
+        }, this.expiryCheckFrequency);
+
+        logger.info('Auto moderation expiry job started');
+    }
+
+    /**
+     * Stop the expiry job
+     */
+    stop() {
+        if (this.expiryInterval) {
+            clearInterval(this.expiryInterval);
+            this.expiryInterval = null;
+            logger.info('Auto moderation expiry job stopped');
+        }
+    }
+
+    /**
+     * Get a guild's escalation policy
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<Object>} { enabled, triggers, steps, escalationWindow, reviewChannel }
+     */
+    async getPolicy(guildId) {
+        const cached = this.policyCache.get(guildId);
+        if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
+            return cached.policy;
+        }
+
+        if (!this.isDatabaseAvailable()) {
+            return this.mergePolicy();
+        }
+
+        try {
+            const mapping = await DiscordServerMapping.findOne({ guildId, isActive: true })
+                .select('botConfig.autoModeration')
+                .lean();
+
+            const policy = this.mergePolicy(mapping?.botConfig?.autoModeration);
+            this.policyCache.set(guildId, { policy, timestamp: Date.now() });
+
+            return policy;
+        } catch (error) {
+            logger.error('Failed to load auto moderation policy:', error);
+            return this.mergePolicy();
+        }
+    }
+
+    /**
+     * Apply saved settings over the default policy
+     * @param {Object} saved - Saved botConfig.autoModeration
+     * @returns {Object} Policy
+     */
+    mergePolicy(saved = {}) {
+        return {
+            enabled: saved?.enabled === true,
+            triggers: Array.isArray(saved?.triggers) ? saved.triggers : [...DEFAULT_POLICY.triggers],
+            steps: Array.isArray(saved?.steps) && saved.steps.length > 0
+                ? saved.steps.map(step => ({ action: step.action, duration: step.duration ?? null }))
+                : DEFAULT_POLICY.steps.map(step => ({ ...step })),
+            escalationWindow: saved?.escalationWindow || DEFAULT_POLICY.escalationWindow,
+            reviewChannel: saved?.reviewChannel || null
+        };
+    }
+
+    /**
+     * Turn automatic responses on or off for a guild
+     * @param {string} guildId - Guild ID
+     * @param {boolean} enabled - Whether to respond to security events
+     * @param {string} userId - User making the change
+     * @returns {Promise<Object>} Result with success status
+     */
+    setEnabled(guildId, enabled, userId) {
+        return this.savePolicy(guildId, { $set: { 'botConfig.autoModeration.enabled': enabled } }, { enabled }, userId);
+    }
+
+    /**
+     * Choose whether a security event type triggers a response
+     * @param {string} guildId - Guild ID
+     * @param {string} trigger - Security event type
+     * @param {boolean} enabled - Whether it triggers
+     * @param {string} userId - User making the change
+     * @returns {Promise<Object>} Result with success status
+     */
+    async setTrigger(guildId, trigger, enabled, userId) {
+        if (!TRIGGERS.includes(trigger)) {
+            return { success: false, reason: 'invalid_trigger', message: `Unknown trigger: ${trigger}` };
+        }
+
+        const policy = await this.getPolicy(guildId);
+        const triggers = enabled
+            ? Array.from(new Set([...policy.triggers, trigger]))
+            : policy.triggers.filter(existing => existing !== trigger);
+
+        return this.savePolicy(guildId, { $set: { 'botConfig.autoModeration.triggers': triggers } }, { triggers }, userId);
+    }
+
+    /**
+     * Set or add an escalation step
+     * @param {string} guildId - Guild ID
+     * @param {number} stepNumber - 1-based step; one past the last step appends
+     * @param {Object} step - { action, duration } (duration in ms, null = until lifted)
+     * @param {string} userId - User making the change
+     * @returns {Promise<Object>} Result with success status
+     */
+    async setStep(guildId, stepNumber, step, userId) {
+        if (!ModerationAction.ACTIONS.includes(step.action)) {
+            return { success: false, reason: 'invalid_action', message: `Unknown action: ${step.action}` };
+        }
+
+        if (step.duration !== null && (!Number.isFinite(step.duration) || step.duration <= 0)) {
+            return { success: false, reason: 'invalid_duration', message: 'Duration must be a positive number of minutes' };
+        }
+
+        if (step.action === 'timeout' && (step.duration === null || step.duration > MAX_TIMEOUT)) {
+            return { success: false, reason: 'invalid_duration', message: 'Timeouts need a duration of at most 28 days' };
+        }
+
+        const steps = (await this.getPolicy(guildId)).steps;
+        if (!Number.isInteger(stepNumber) || stepNumber < 1 || stepNumber > Math.min(steps.length + 1, MAX_STEPS)) {
+            return {
+                success: false,
+                reason: 'invalid_step',
+                message: `Step must be between 1 and ${Math.min(steps.length + 1, MAX_STEPS)}`
+            };
+        }
+
+        steps[stepNumber - 1] = { action: step.action, duration: step.duration };
+
+        return this.savePolicy(guildId, { $set: { 'botConfig.autoModeration.steps': steps } }, { steps }, userId);
+    }
+
+    /**
+     * Remove an escalation step
+     * @param {string} guildId - Guild ID
+     * @param {number} stepNumber - 1-based step
+     * @param {string} userId - User making the change
+     * @returns {Promise<Object>} Result with success status
+     */
+    async removeStep(guildId, stepNumber, userId) {
+        const steps = (await this.getPolicy(guildId)).steps;
+
+        if (!Number.isInteger(stepNumber) || stepNumber < 1 || stepNumber > steps.length) {
+            return { success: false, reason: 'invalid_step', message: `Step must be between 1 and ${steps.length}` };
+        }
+
+        if (steps.length === 1) {
+            return { success: false, reason: 'last_step', message: 'The policy needs at least one step; disable auto moderation instead' };
+        }
+
+        steps.splice(stepNumber - 1, 1);
+
+        return this.savePolicy(guildId, { $set: { 'botConfig.autoModeration.steps': steps } }, { steps }, userId);
+    }
+
+    /**
+     * Set how long earlier actions count towards escalation
+     * @param {string} guildId - Guild ID
+     * @param {number} escalationWindow - Window in ms
+     * @param {string} userId - User making the change
+     * @returns {Promise<Object>} Result with success status
+     */
+    setEscalationWindow(guildId, escalationWindow, userId) {
+        if (!Number.isFinite(escalationWindow) || escalationWindow < 60 * 60 * 1000) {
+            return Promise.resolve({ success: false, reason: 'invalid_window', message: 'The escalation window must be at least one hour' });
+        }
+
+        return this.savePolicy(guildId, { $set: { 'botConfig.autoModeration.escalationWindow': escalationWindow } }, { escalationWindow }, userId);
+    }
+
+    /**
+     * Set the channel where review holds and appeals are posted
+     * @param {string} guildId - Guild ID
+     * @param {string|null} channelId - Channel ID, or null to use the security alert channel
+     * @param {string} userId - User making the change
+     * @returns {Promise<Object>} Result with success status
+     */
+    setReviewChannel(guildId, channelId, userId) {
+        return this.savePolicy(guildId, { $set: { 'botConfig.autoModeration.reviewChannel': channelId } }, { reviewChannel: channelId }, userId);
+    }
+
+    /**
+     * Return a guild to the default policy (auto moderation off)
+     * @param {string} guildId - Guild ID
+     * @param {string} userId - User making the change
+     * @returns {Promise<Object>} Result with success status
+     */
+    resetPolicy(guildId, userId) {
+        return this.savePolicy(guildId, { $unset: { 'botConfig.autoModeration': '' } }, { reset: 'all' }, userId);
+    }
+
+    /**
+     * @private
+     */
+    async savePolicy(guildId, update, changes, userId) {
+        try {
+            const mapping = await DiscordServerMapping.findOneAndUpdate(
+                { guildId, isActive: true },
+                update,
+                { new: true, runValidators: true }
+            );
+
+            if (!mapping) {
+                return { success: false, reason: 'not_linked', message: 'Server is not linked to a community' };
+            }
+
+            this.policyCache.delete(guildId);
+            await this.botService.shardCoordinator?.broadcast?.('auto_moderation_changed', { guildId });
+
+            if (this.botService.auditLogger) {
+                await this.botService.auditLogger.logConfigChange(userId, guildId, 'auto_moderation', changes);
+            }
+
+            logger.info(`Auto moderation policy for guild ${guildId} updated`, changes);
+
+            return { success: true, policy: this.mergePolicy(mapping.botConfig?.autoModeration) };
+        } catch (error) {
+            logger.error('Failed to save auto moderation policy:', error);
+            return { success: false, reason: 'error', message: error.message };
+        }
+    }
+
+    /**
+     * Respond to a security event according to the guild's policy
+     * @param {Object} event - Security event from SecurityMonitor
+     * @returns {Promise<Object|null>} ModerationAction taken, or null
+     */
+    async handleSecurityEvent(event) {
+        const { guildId, userId } = event;
+        if (!guildId || !userId || !this.isDatabaseAvailable()) {
+            return null;
+        }
+
+        const key = `${guildId}:${userId}`;
+        if (this.inFlight.has(key)) {
+            return null;
+        }
+
+        this.inFlight.add(key);
+
+        try {
+            const policy = await this.getPolicy(guildId);
+            if (!policy.enabled || !policy.triggers.includes(event.type)) {
+                return null;
+            }
+
+            const [latest] = await ModerationAction.find({ guildId, userId })
+                .sort({ createdAt: -1 })
+                .limit(1)
+                .lean();
+            if (latest && Date.now() - new Date(latest.createdAt).getTime() < ACTION_COOLDOWN) {
+                return null;
+            }
+
+            const guild = this.botService.client?.guilds?.cache.get(guildId);
+            const member = guild ? await guild.members.fetch(userId).catch(() => null) : null;
+            if (member && this.isExempt(member)) {
+                logger.info(`Skipped auto moderation for staff member ${userId} in guild ${guildId}`);
+                return null;
+            }
+
+            const previous = await ModerationAction.countRecent(guildId, userId, new Date(Date.now() - policy.escalationWindow));
+            const level = Math.min(previous, policy.steps.length - 1) + 1;
+
+            return await this.takeAction({ guildId, userId, guild, member, policy, step: policy.steps[level - 1], level, event });
+        } catch (error) {
+            logger.error('Failed to apply auto moderation:', error);
+            return null;
+        } finally {
+            this.inFlight.delete(key);
+        }
+    }
+
+    /**
+     * Guild owners and members who can manage the guild are never actioned
+     * @private
+     */
+    isExempt(member) {
+        return member.id === member.guild?.ownerId ||
+            member.permissions?.has(PermissionFlagsBits.Administrator) ||
+            member.permissions?.has(PermissionFlagsBits.ManageGuild);
+    }
+
+    /**
+     * Record an escalation step, apply it and tell the member
+     * @private
+     */
+    async takeAction({ guildId, userId, guild, member, policy, step, level, event }) {
+        const action = new ModerationAction({
+            guildId,
+            userId,
+            action: step.action,
+            level,
+            trigger: { eventId: event.id, type: event.type, details: event.details },
+            duration: step.duration
+        });
+
+        try {
+            await this.performAction(action, member);
+            action.expiresAt = action.action === 'review' || !action.duration
+                ? null
+                : new Date(Date.now() + action.duration);
+            this.stats.actionsTaken++;
+        } catch (error) {
+            logger.error(`Auto moderation ${action.action} failed for ${userId} in guild ${guildId}:`, error);
+            action.status = 'failed';
+            action.lastError = error.message;
+            this.stats.actionsFailed++;
+        }
+
+        await action.save();
+
+        if (action.blocksCommands()) {
+            await this.setCommandBlock(action);
+        }
+
+        await this.botService.auditLogger?.logAdminAction(this.getActorId(), `auto_moderation_${action.action}`, guildId, {
+            actionId: action._id.toString(),
+            userId,
+            level,
+            trigger: event.type,
+            eventId: event.id,
+            duration: action.duration,
+            status: action.status,
+            fallbackFrom: action.fallbackFrom || null,
+            error: action.lastError || null
+        });
+
+        if (action.isActive()) {
+            await this.notifyMember(action, guild);
+
+            if (action.action === 'review') {
+                await this.postReviewCard(action, policy, 'review');
+            }
+        }
+
+        logger.security(`Auto moderation ${action.action} applied`, {
+            actionId: action._id.toString(),
+            guildId,
+            userId,
+            level,
+            status: action.status
+        });
+
+        return action;
+    }
+
+    /**
+     * Apply an action's effect
+     * @private
+     */
+    async performAction(action, member) {
+        const reason = `Naffles auto moderation: ${action.trigger.type.replace(/_/g, ' ')}`;
+
+        switch (action.action) {
+            case 'block_commands':
+            case 'review':
+                // Enforced by the command handler through getCommandBlock
+                return;
+
+            case 'timeout':
+                if (!member) {
+                    throw new Error('Member is no longer in the server');
+                }
+                if (!member.moderatable) {
+                    throw new Error('The bot cannot time out this member (missing Moderate Members permission or role hierarchy)');
+                }
+                await member.timeout(Math.min(action.duration || MAX_TIMEOUT, MAX_TIMEOUT), reason);
+                return;
+
+            case 'suspend_link': {
+                const link = await DiscordAccountLink.findOne({ discordId: action.userId, 'status.isActive': true });
+
+                if (!link) {
+                    // Nothing to suspend; keep them away from the bot instead
+                    action.fallbackFrom = 'suspend_link';
+                    action.action = 'block_commands';
+                    return;
+                }
+
+                // Leave suspensions made by staff alone
+                if (!link.status.isSuspended) {
+                    await link.suspend(reason, SYSTEM_ACTOR);
+                }
+                return;
+            }
+
+            default:
+                throw new Error(`Unknown action: ${action.action}`);
+        }
+    }
+
+    /**
+     * Undo an action's effect
+     * @private
+     */
+    async undoAction(action, reason) {
+        switch (action.action) {
+            case 'block_commands':
+            case 'review': {
+                // Another active block keeps the member blocked
+                const remaining = await ModerationAction.findOtherCommandBlock(action);
+                if (remaining) {
+                    await this.setCommandBlock(remaining);
+                } else {
+                    await this.clearCommandBlock(action.guildId, action.userId);
+                }
+                return;
+            }
+
+            case 'timeout': {
+                if (action.expiresAt && action.expiresAt <= new Date()) {
+                    return; // Discord has already lifted it
+                }
+
+                const guild = this.botService.client?.guilds?.cache.get(action.guildId);
+                const member = guild ? await guild.members.fetch(action.userId).catch(() => null) : null;
+                if (member?.isCommunicationDisabled?.()) {
+                    await member.timeout(null, reason);
+                }
+                return;
+            }
+
+            case 'suspend_link': {
+                // Suspensions are global, so another guild's action may still hold it
+                if (await ModerationAction.hasOtherLinkSuspension(action)) {
+                    return;
+                }
+
+                const link = await DiscordAccountLink.findOne({ discordId: action.userId, 'status.isActive': true });
+                if (link?.status.isSuspended && link.status.suspendedBy === SYSTEM_ACTOR) {
+                    await link.unsuspend(SYSTEM_ACTOR);
+                }
+                return;
+            }
+        }
+    }
+
+    /**
+     * Revert an action (moderator decision or approved appeal)
+     * @param {string} actionId - ModerationAction ID
+     * @param {Object} moderator - Discord user reverting it
+     * @returns {Promise<Object>} { success, reason, action }
+     */
+    async revertAction(actionId, moderator) {
+        const action = await ModerationAction.findById(actionId);
+        if (!action) {
+            return { success: false, reason: 'not_found' };
+        }
+
+        if (!action.isActive()) {
+            return { success: false, reason: 'not_active', action };
+        }
+
+        try {
+            await this.undoAction(action, `Reverted by ${moderator.username || moderator.id}`);
+        } catch (error) {
+            logger.error(`Failed to revert moderation action ${actionId}:`, error);
+            return { success: false, reason: 'revert_failed', message: error.message, action };
+        }
+
+        action.status = 'reverted';
+        action.endedAt = new Date();
+        action.endedBy = moderator.id;
+        action.review.decision = 'reverted';
+        action.review.decidedBy = moderator.id;
+        action.review.decidedAt = new Date();
+        if (action.appeal.status === 'pending') {
+            action.appeal.status = 'approved';
+        }
+        await action.save();
+
+        this.stats.actionsReverted++;
+
+        await this.botService.auditLogger?.logAdminAction(moderator.id, 'auto_moderation_reverted', action.guildId, {
+            actionId: action._id.toString(),
+            userId: action.userId,
+            action: action.action,
+            appealed: action.appeal.status === 'approved'
+        });
+
+        await this.notifyDecision(action);
+        await this.updateReviewCard(action);
+
+        logger.info(`Moderation action ${actionId} reverted by ${moderator.id}`);
+
+        return { success: true, action };
+    }
+
+    /**
+     * Keep an action in place after review or appeal
+     * @param {string} actionId - ModerationAction ID
+     * @param {Object} moderator - Discord user deciding
+     * @returns {Promise<Object>} { success, reason, action }
+     */
+    async upholdAction(actionId, moderator) {
+        const action = await ModerationAction.findById(actionId);
+        if (!action) {
+            return { success: false, reason: 'not_found' };
+        }
+
+        if (!action.isActive()) {
+            return { success: false, reason: 'not_active', action };
+        }
+
+        action.review.decision = 'upheld';
+        action.review.decidedBy = moderator.id;
+        action.review.decidedAt = new Date();
+        if (action.appeal.status === 'pending') {
+            action.appeal.status = 'denied';
+        }
+
+        // An upheld review hold runs for the step's duration from now on
+        if (action.action === 'review' && action.duration && !action.expiresAt) {
+            action.expiresAt = new Date(Date.now() + action.duration);
+            await this.setCommandBlock(action);
+        }
+
+        await action.save();
+
+        await this.botService.auditLogger?.logAdminAction(moderator.id, 'auto_moderation_upheld', action.guildId, {
+            actionId: action._id.toString(),
+            userId: action.userId,
+            action: action.action,
+            appealed: action.appeal.status === 'denied'
+        });
+
+        await this.notifyDecision(action);
+        await this.updateReviewCard(action);
+
+        return { success: true, action };
+    }
+
+    /**
+     * Revert every active action for a member
+     * @param {string} guildId - Guild ID
+     * @param {string} userId - Member's Discord ID
+     * @param {Object} moderator - Discord user lifting them
+     * @returns {Promise<Object>} { success, reverted }
+     */
+    async liftActions(guildId, userId, moderator) {
+        const actions = await ModerationAction.findActive(guildId, userId);
+        let reverted = 0;
+
+        for (const action of actions) {
+            const result = await this.revertAction(action._id, moderator);
+            if (result.success) {
+                reverted++;
+            }
+        }
+
+        return { success: true, reverted, total: actions.length };
+    }
+
+    /**
+     * Get the active actions in a guild
+     * @param {string} guildId - Guild ID
+     * @param {number} limit - Maximum number of actions
+     * @returns {Promise<Array>} Actions, newest first
+     */
+    getActiveActions(guildId, limit = 10) {
+        return ModerationAction.find({ guildId, status: 'active' })
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .lean();
+    }
+
+    /**
+     * Check whether a member is blocked from bot commands in a guild
+     * @param {string} guildId - Guild ID
+     * @param {string} userId - Discord user ID
+     * @returns {Object|null} { actionId, expiresAt } or null
+     */
+    getCommandBlock(guildId, userId) {
+        if (!guildId) {
+            return null;
+        }
+
+        const key = `${guildId}:${userId}`;
+        const block = this.commandBlocks.get(key);
+        if (block?.expiresAt && block.expiresAt <= Date.now()) {
+            this.commandBlocks.delete(key);
+            return null;
+        }
+
+        return block || null;
+    }
+
+    /**
+     * @private
+     */
+    async setCommandBlock(action) {
+        const block = {
+            actionId: action._id.toString(),
+            expiresAt: action.expiresAt ? new Date(action.expiresAt).getTime() : null
+        };
+
+        this.applyCommandBlock(action.guildId, action.userId, block);
+        await this.botService.shardCoordinator?.broadcast?.('auto_moderation_block', {
+            guildId: action.guildId,
+            userId: action.userId,
+            block
+        });
+    }
+
+    /**
+     * @private
+     */
+    async clearCommandBlock(guildId, userId) {
+        this.applyCommandBlock(guildId, userId, null);
+        await this.botService.shardCoordinator?.broadcast?.('auto_moderation_block', { guildId, userId, block: null });
+    }
+
+    /**
+     * @private
+     */
+    applyCommandBlock(guildId, userId, block) {
+        const key = `${guildId}:${userId}`;
+        if (block) {
+            this.commandBlocks.set(key, block);
+        } else {
+            this.commandBlocks.delete(key);
+        }
+    }
+
+    /**
+     * @private
+     */
+    async loadCommandBlocks() {
+        if (!this.isDatabaseAvailable()) {
+            return;
+        }
+
+        try {
+            const actions = await ModerationAction.findCommandBlocks(this.getShardGuildIds());
+            actions.forEach(action => this.applyCommandBlock(action.guildId, action.userId, {
+                actionId: action._id.toString(),
+                expiresAt: action.expiresAt ? new Date(action.expiresAt).getTime() : null
+            }));
+
+            logger.info(`Restored ${actions.length} auto moderation command blocks`);
+        } catch (error) {
+            logger.error('Failed to restore auto moderation command blocks:', error);
+        }
+    }
+
+    /**
+     * End actions whose duration has passed
+     */
+    async processExpiredActions() {
+        if (this.isProcessingExpiries || !this.botService.client?.isReady?.() || !this.isDatabaseAvailable()) {
+            return;
+        }
+
+        this.isProcessingExpiries = true;
+
+        try {
+            const expired = await ModerationAction.findExpired(100, this.getShardGuildIds());
+
+            for (const action of expired) {
+                try {
+                    await this.undoAction(action, 'Auto moderation action expired');
+                    action.status = 'expired';
+                    action.endedAt = new Date();
+                    action.endedBy = SYSTEM_ACTOR;
+                    // Nobody decided the appeal, so it is closed rather than approved
+                    const appealExpired = action.appeal.status === 'pending';
+                    if (appealExpired) {
+                        action.appeal.status = 'expired';
+                    }
+                    await action.save();
+
+                    this.stats.actionsExpired++;
+
+                    await this.botService.auditLogger?.logAdminAction(this.getActorId(), 'auto_moderation_expired', action.guildId, {
+                        actionId: action._id.toString(),
+                        userId: action.userId,
+                        action: action.action,
+                        appealExpired
+                    });
+                } catch (error) {
+                    logger.error(`Failed to expire moderation action ${action._id}:`, error);
+                }
+            }
+        } catch (error) {
+            logger.error('Error processing expired moderation actions:', error);
+        } finally {
+            this.isProcessingExpiries = false;
+        }
+    }
+
+    /**
+     * DM the member what happened, with an Appeal button
+     * @private
+     */
+    async notifyMember(action, guild) {
+        try {
+            const user = await this.botService.client.users.fetch(action.userId);
+            const embed = new EmbedBuilder()
+                .setTitle('🛡️ Automatic moderation action')
+                .setDescription(`Our security checks flagged unusual activity from your account in **${guild?.name || 'a server'}**.`)
+                .setColor(0xff8000)
+                .addFields([
+                    { name: 'Action', value: ACTION_LABELS[action.action], inline: true },
+                    { name: 'Reason', value: action.trigger.type.replace(/_/g, ' '), inline: true },
+                    {
+                        name: 'Ends',
+                        value: action.expiresAt
+                            ? `<t:${Math.floor(action.expiresAt.getTime() / 1000)}:R>`
+                            : 'When a moderator reviews it',
+                        inline: true
+                    }
+                ])
+                .setFooter({ text: 'If this was a mistake, press Appeal and tell the moderators what happened.' })
+                .setTimestamp();
+
+            const row = new ActionRowBuilder().addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`automod_appeal_${action._id}`)
+                    .setLabel('Appeal')
+                    .setStyle(ButtonStyle.Secondary)
+                    .setEmoji('📝')
+            );
+
+            await user.send({ embeds: [embed], components: [row] });
+            action.notification.status = 'dm_sent';
+        } catch (error) {
+            logger.warn(`Could not notify ${action.userId} about moderation action ${action._id}:`, error.message);
+            action.notification.status = 'failed';
+            action.notification.lastError = error.message;
+        }
+
+        await action.save();
+    }
+
+    /**
+     * DM the member the outcome of a review or appeal
+     * @private
+     */
+    async notifyDecision(action) {
+        try {
+            const user = await this.botService.client.users.fetch(action.userId);
+            const reverted = action.status === 'reverted';
+
+            await user.send({
+                content: reverted
+                    ? `✅ A moderator lifted the automatic action on your account (${ACTION_LABELS[action.action].toLowerCase()}).`
+                    : `❌ A moderator reviewed the automatic action on your account (${ACTION_LABELS[action.action].toLowerCase()}) and kept it in place.`
+            });
+        } catch (error) {
+            logger.warn(`Could not notify ${action.userId} about moderation decision:`, error.message);
+        }
+    }
+
+    /**
+     * Handle the Appeal button in the member's DM
+     * @param {Object} interaction - Button interaction
+     */
+    async handleAppealButton(interaction) {
+        const actionId = interaction.customId.replace('automod_appeal_', '');
+        const action = await ModerationAction.findById(actionId);
+
+        const problem = this.checkAppealable(action, interaction.user.id);
+        if (problem) {
+            return await interaction.reply({ content: problem, ephemeral: true });
+        }
+
+        const modal = new ModalBuilder()
+            .setCustomId(`automod_appeal_modal_${actionId}`)
+            .setTitle('Appeal moderation action');
+
+        const reasonInput = new TextInputBuilder()
+            .setCustomId('reason')
+            .setLabel('What happened?')
+            .setPlaceholder('Explain why this action was a mistake')
+            .setStyle(TextInputStyle.Paragraph)
+            .setMaxLength(1000)
+            .setRequired(true);
+
+        modal.addComponents(new ActionRowBuilder().addComponents(reasonInput));
+
+        await interaction.showModal(modal);
+    }
+
+    /**
+     * Handle the appeal modal: record the appeal and post it for moderators
+     * @param {Object} interaction - Modal submit interaction
+     */
+    async handleAppealSubmission(interaction) {
+        const actionId = interaction.customId.replace('automod_appeal_modal_', '');
+
+        await interaction.deferReply({ ephemeral: true });
+
+        const action = await ModerationAction.findById(actionId);
+        const problem = this.checkAppealable(action, interaction.user.id);
+        if (problem) {
+            return await interaction.editReply({ content: problem });
+        }
+
+        action.appeal.status = 'pending';
+        action.appeal.reason = interaction.fields.getTextInputValue('reason')?.trim();
+        action.appeal.requestedAt = new Date();
+        await action.save();
+
+        this.stats.appeals++;
+
+        await this.botService.auditLogger?.logAdminAction(interaction.user.id, 'auto_moderation_appealed', action.guildId, {
+            actionId: action._id.toString(),
+            action: action.action
+        });
+
+        const posted = await this.postReviewCard(action, await this.getPolicy(action.guildId), 'appeal');
+
+        await interaction.editReply({
+            content: posted
+                ? '✅ Your appeal was sent to the moderators. You will get a DM when they decide.'
+                : '✅ Your appeal was recorded, but this server has no review channel. Please contact the moderators directly.'
+        });
+    }
+
+    /**
+     * @private
+     */
+    checkAppealable(action, userId) {
+        if (!action || action.userId !== userId) {
+            return '❌ This moderation action could not be found.';
+        }
+        if (!action.isActive()) {
+            return '✅ This action is no longer in effect.';
+        }
+        if (action.appeal.status !== 'none') {
+            return '⏳ You have already appealed this action.';
+        }
+        return null;
+    }
+
+    /**
+     * Handle Revert/Uphold on a review or appeal card
+     * @param {Object} interaction - Button interaction
+     */
+    async handleDecisionButton(interaction) {
+        const [, , decision, actionId] = interaction.customId.split('_');
+
+        const permissionCheck = await this.botService.validateUserPermissions(
+            interaction.guildId,
+            interaction.user.id,
+            ['ModerateMembers']
+        );
+        if (!permissionCheck.hasPermission) {
+            return await interaction.reply({
+                content: `🚫 You need the Moderate Members permission to decide this. (${permissionCheck.reason})`,
+                ephemeral: true
+            });
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        const result = decision === 'revert'
+            ? await this.revertAction(actionId, interaction.user)
+            : await this.upholdAction(actionId, interaction.user);
+
+        if (!result.success) {
+            const messages = {
+                not_found: '❌ This moderation action could not be found.',
+                not_active: '✅ This action is no longer in effect.',
+                revert_failed: `❌ Could not revert the action: ${result.message}`
+            };
+            return await interaction.editReply({ content: messages[result.reason] || '❌ Failed to record the decision.' });
+        }
+
+        await interaction.editReply({
+            content: decision === 'revert'
+                ? `✅ Action reverted for <@${result.action.userId}>.`
+                : `✅ Action kept in place for <@${result.action.userId}>.`
+        });
+    }
+
+    /**
+     * Post a review hold or appeal for moderators
+     * @private
+     * @returns {Promise<boolean>} Whether the card was posted
+     */
+    async postReviewCard(action, policy, kind) {
+        try {
+            const channelId = policy.reviewChannel ||
+                this.botService.alertDelivery?.getGuildConfig(action.guildId).channelId;
+            if (!channelId) {
+                logger.warn(`No review channel for auto moderation in guild ${action.guildId}`);
+                return false;
+            }
+
+            const channel = await this.botService.client.channels.fetch(channelId).catch(() => null);
+            if (!channel) {
+                logger.warn(`Auto moderation review channel ${channelId} is not accessible`);
+                return false;
+            }
+
+            const message = await channel.send({
+                ...this.createReviewCard(action, kind),
+                allowedMentions: { parse: [] }
+            });
+
+            action.review.channelId = channel.id;
+            action.review.messageId = message.id;
+            await action.save();
+
+            return true;
+        } catch (error) {
+            logger.error('Error posting auto moderation review card:', error);
+            return false;
+        }
+    }
+
+    /**
+     * @private
+     */
+    createReviewCard(action, kind) {
+        const decided = Boolean(action.review.decision) || !action.isActive();
+
+        const embed = new EmbedBuilder()
+            .setTitle(kind === 'appeal' ? '📝 Moderation appeal' : '🛡️ Review required')
+            .setColor(decided ? 0x808080 : 0xff8000)
+            .addFields([
+                { name: 'Member', value: `<@${action.userId}>`, inline: true },
+                { name: 'Action', value: ACTION_LABELS[action.action], inline: true },
+                { name: 'Trigger', value: action.trigger.type.replace(/_/g, ' '), inline: true },
+                { name: 'Escalation step', value: String(action.level), inline: true }
+            ])
+            .setTimestamp(action.createdAt || new Date());
+
+        if (action.trigger.details) {
+            embed.addFields([{
+                name: 'Details',
+                value: JSON.stringify(action.trigger.details, null, 2).substring(0, 1000)
+            }]);
+        }
+
+        if (action.appeal.reason) {
+            embed.addFields([{ name: 'Appeal', value: action.appeal.reason.substring(0, 1000) }]);
+        }
+
+        if (decided) {
+            const outcome = action.status === 'expired' ? 'Expired' : action.review.decision === 'reverted' ? 'Reverted' : 'Upheld';
+            embed.addFields([{
+                name: 'Decision',
+                value: action.review.decidedBy ? `${outcome} by <@${action.review.decidedBy}>` : outcome
+            }]);
+            return { embeds: [embed], components: [] };
+        }
+
+        const row = new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`automod_decision_revert_${action._id}`)
+                .setLabel('Revert')
+                .setStyle(ButtonStyle.Success),
+            new ButtonBuilder()
+                .setCustomId(`automod_decision_uphold_${action._id}`)
+                .setLabel('Uphold')
+                .setStyle(ButtonStyle.Danger)
+        );
+
+        return { embeds: [embed], components: [row] };
+    }
+
+    /**
+     * Redraw the review card with the decision and without the buttons
+     * @private
+     */
+    async updateReviewCard(action) {
+        try {
+            if (!action.review.messageId) {
+                return;
+            }
+
+            const channel = await this.botService.client.channels.fetch(action.review.channelId);
+            const message = await channel.messages.fetch(action.review.messageId);
+
+            await message.edit(this.createReviewCard(action, action.appeal.status === 'none' ? 'review' : 'appeal'));
+        } catch (error) {
+            logger.warn(`Could not update review card for moderation action ${action._id}:`, error.message);
+        }
+    }
+
+    /**
+     * Guilds this shard handles, or null for all of them
+     * @private
+     */
+    getShardGuildIds() {
+        return this.botService.shardCoordinator?.isSharded?.()
+            ? Array.from(this.botService.client.guilds.cache.keys())
+            : null;
+    }
+
+    /**
+     * Automated actions are audited as the bot user
+     * @private
+     */
+    getActorId() {
+        return this.botService.client?.user?.id || SYSTEM_ACTOR;
+    }
+
+    /**
+     * @private
+     */
+    isDatabaseAvailable() {
+        return Boolean(this.botService?.db?.isHealthy?.());
+    }
+
+    /**
+     * @returns {Object} Auto moderation statistics
+     */
+    getStatistics() {
+        return {
+            ...this.stats,
+            commandBlocks: this.commandBlocks.size,
+            cachedPolicies: this.policyCache.size
+        };
+    }
+}
+
+AutoModerationService.TRIGGERS = TRIGGERS;
+AutoModerationService.ACTION_LABELS = ACTION_LABELS;
+AutoModerationService.MAX_STEPS = MAX_STEPS;
+
+module.exports = AutoModerationService;
@@ -31,13 +31,33 @@ class CommunityLinkingService {
     }
 
     /**
-     * Generate secure state parameter for OAuth
+     * Generate OAuth URL for a member linking their own Naffles account
      */
-    generateSecureState(guildId, userId, communityId) {
+    generateAccountOAuthUrl(guildId, userId) {
+        const state = this.generateSecureState(guildId, userId, null, 'account');
+
+        const params = new URLSearchParams({
+            client_id: this.discordClientId,
+            redirect_uri: this.discordRedirectUri,
+            response_type: 'code',
+            scope: 'identify',
+            state: state,
+            prompt: 'consent'
+        });
+
+        return `https://discord.com/api/oauth2/authorize?${params.toString()}`;
+    }
+
+    /**
+     * Generate secure state parameter for OAuth. `purpose` tells the
+     * callback whether a community or a member account is being linked.
+     */
+    generateSecureState(guildId, userId, communityId, purpose = 'community') {
         const data = {
             guildId,
             userId,
             communityId,
+            purpose,
             timestamp: Date.now(),
             nonce: crypto.randomBytes(16).toString('hex')
         };
@@ -109,6 +129,29 @@ class CommunityLinkingService {
         }
     }
 
+    /**
+     * Exchange a refresh token for new tokens. Errors are rethrown as they
+     * are, so callers can tell a rejected grant (400/401) from an outage.
+     */
+    async refreshAccessToken(refreshToken) {
+        const response = await axios.post('https://discord.com/api/oauth2/token',
+            new URLSearchParams({
+                client_id: this.discordClientId,
+                client_secret: this.discordClientSecret,
+                grant_type: 'refresh_token',
+                refresh_token: refreshToken
+            }),
+            {
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                },
+                timeout: 10000
+            }
+        );
+
+        return response.data;
+    }
+
     /**
      * Get Discord user info from access token
      */
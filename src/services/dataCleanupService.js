@@ -11,6 +11,8 @@ const DiscordInteractionLog = require('../models/discordInteractionLog');
 class DataCleanupService {
     constructor() {
         this.cleanupInterval = null;
+        this.intervalMs = 60 * 60 * 1000;
+        this.coordinator = null;
         this.isRunning = false;
         this.lastCleanup = null;
         this.cleanupStats = {
@@ -22,6 +24,14 @@ class DataCleanupService {
         };
     }
 
+    /**
+     * Only run scheduled cleanups on the shard holding the cleanup lease
+     * @param {Object} coordinator - ShardCoordinator instance
+     */
+    setCoordinator(coordinator) {
+        this.coordinator = coordinator;
+    }
+
     start(intervalMinutes = 60) {
         if (this.cleanupInterval) {
             logger.warn('Data cleanup service is already running');
@@ -29,14 +39,15 @@ class DataCleanupService {
         }
 
         logger.info(`Starting data cleanup service with ${intervalMinutes} minute intervals`);
+        this.intervalMs = intervalMinutes * 60 * 1000;
         
         // Run initial cleanup
-        this.runCleanup();
+        this.runScheduledCleanup();
         
         // Schedule recurring cleanup
         this.cleanupInterval = setInterval(() => {
-            this.runCleanup();
-        }, intervalMinutes * 60 * 1000);
+            this.runScheduledCleanup();
+        }, this.intervalMs);
     }
 
     stop() {
@@ -47,6 +58,15 @@ class DataCleanupService {
         }
     }
 
+    async runScheduledCleanup() {
+        if (this.coordinator && !(await this.coordinator.claimJob('data_cleanup', this.intervalMs * 2))) {
+            logger.debug('Data cleanup is owned by another shard, skipping this run');
+            return;
+        }
+
+        await this.runCleanup();
+    }
+
     async runCleanup() {
         if (this.isRunning) {
             logger.warn('Cleanup already in progress, skipping this run');
@@ -182,6 +182,15 @@ class DatabaseService {
         }
     }
 
+    async getAllServerMappings() {
+        try {
+            return await ServerMapping.find({ isActive: true }).lean();
+        } catch (error) {
+            logger.error('Failed to get server mappings:', error);
+            throw error;
+        }
+    }
+
     async createServerCommunityMapping(data) {
         try {
             // Deactivate any existing mapping for this guild
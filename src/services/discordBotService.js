@@ -1,4 +1,4 @@
-const { REST, Routes, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { REST, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
 const axios = require('axios');
 const logger = require('../utils/logger');
 const RateLimiter = require('../utils/rateLimiter');
@@ -16,43 +16,95 @@ const PermissionManager = require('./permissionManager');
 const SecurityMonitor = require('./securityMonitor');
 const AuditLogger = require('./auditLogger');
 const SecurityReporter = require('./securityReporter');
+const AlertDeliveryService = require('./alertDeliveryService');
+const AutoModerationService = require('./autoModerationService');
+const RaidDetectionService = require('./raidDetectionService');
+const SybilRiskService = require('./sybilRiskService');
 const RealTimeSyncService = require('./realTimeSyncService');
 const WebhookIntegrationService = require('./webhookIntegrationService');
 const SyncMonitoringService = require('./syncMonitoringService');
+const TaskSchedulerService = require('./taskSchedulerService');
+const TaskTemplateService = require('./taskTemplateService');
+const RoleRewardService = require('./roleRewardService');
+const HolderRoleService = require('./holderRoleService');
+const TokenRefreshService = require('./tokenRefreshService');
+const AccountLinkService = require('./accountLinkService');
+const MaintenanceService = require('./maintenanceService');
+const UserDataService = require('./userDataService');
+const LeaderboardService = require('./leaderboardService');
+const TwitterVerificationService = require('./twitterVerificationService');
+const TaskReviewService = require('./taskReviewService');
+const WinnerNotificationService = require('./winnerNotificationService');
+const AllowlistExportService = require('./allowlistExportService');
+const LocalizationService = require('./localizationService');
+const RateLimitSettingsService = require('./rateLimitSettingsService');
+const ShardCoordinator = require('./shardCoordinator');
+const GuildFeatureService = require('./guildFeatureService');
+const CommandRegistry = require('../handlers/commandRegistry');
+const CommandRegistrationPlanner = require('../handlers/commandRegistrationPlanner');
+const { localizeCommandData } = require('../utils/i18n');
 
 class DiscordBotService {
-    constructor(client, databaseService, redisService) {
+    constructor(client, databaseService, redisService, shardCoordinator = null) {
         this.client = client;
         this.db = databaseService;
         this.redis = redisService;
+        this.shardCoordinator = shardCoordinator || new ShardCoordinator(client, redisService);
         this.rest = new REST({ version: '10' }).setToken(process.env.DISCORD_BOT_TOKEN);
-        this.rateLimiter = new RateLimiter();
-        this.errorHandler = new ErrorHandler();
+        this.rateLimiter = new RateLimiter(redisService, {
+            getGuildLimits: guildId => this.rateLimitSettings.getGuildLimits(guildId)
+        });
+        this.rateLimitSettings = new RateLimitSettingsService(this);
+        this.maintenance = new MaintenanceService(this);
+        this.errorHandler = new ErrorHandler(this.maintenance);
         this.nafflesApiBaseUrl = process.env.NAFFLES_API_BASE_URL;
         this.nafflesApiKey = process.env.NAFFLES_API_KEY;
         
+        // Command modules (slash data, permissions, cooldowns, routes and help)
+        this.commandRegistry = new CommandRegistry().load();
+        this.guildFeatures = new GuildFeatureService(this);
+
         // Initialize community linking service
         this.communityLinking = new CommunityLinkingService(this);
         
         // Initialize embed services
         this.embedBuilder = new EmbedBuilderService();
-        this.embedUpdater = new EmbedUpdateService(client, databaseService, redisService);
+        this.embedUpdater = new EmbedUpdateService(client, databaseService, redisService, this.shardCoordinator);
         this.embedTemplates = new EmbedTemplates();
         
+        // Initialize localization service
+        this.localization = new LocalizationService(this);
+        
         // Initialize social task integration services
         this.socialTaskIntegration = new SocialTaskIntegrationService(this);
         this.taskProgressTracking = new TaskProgressTrackingService(this);
         this.taskEligibility = new TaskEligibilityService(this);
         this.taskAnalytics = new TaskAnalyticsService(this);
+        this.taskScheduler = new TaskSchedulerService(this);
+        this.taskTemplates = new TaskTemplateService(this);
+        this.roleRewards = new RoleRewardService(this);
+        this.holderRoles = new HolderRoleService(this);
+        this.tokenRefresh = new TokenRefreshService(this);
+        this.accountLinking = new AccountLinkService(this);
+        this.userData = new UserDataService();
+        this.leaderboard = new LeaderboardService(this);
+        this.twitterVerification = new TwitterVerificationService(this);
+        this.taskReview = new TaskReviewService(this);
         
         // Initialize allowlist integration service
         this.allowlistIntegration = new AllowlistIntegrationService(this);
+        this.winnerNotifications = new WinnerNotificationService(this);
+        this.allowlistExport = new AllowlistExportService(this);
         
         // Initialize security services
         this.permissionManager = new PermissionManager(this);
+        this.alertDelivery = new AlertDeliveryService(this);
         this.securityMonitor = new SecurityMonitor(this);
         this.auditLogger = new AuditLogger(this);
         this.securityReporter = new SecurityReporter(this);
+        this.autoModeration = new AutoModerationService(this);
+        this.raidDetection = new RaidDetectionService(this);
+        this.sybilRisk = new SybilRiskService(this);
         
         // Initialize real-time synchronization services
         this.realTimeSync = new RealTimeSyncService(this);
@@ -86,8 +138,15 @@ class DiscordBotService {
             // Set up Discord client event listeners
             this.setupDiscordEventListeners();
 
-            // Register slash commands
-            await this.registerSlashCommands();
+            // Register slash commands (once, from the primary shard)
+            if (this.shardCoordinator.isPrimary()) {
+                await this.registerSlashCommands();
+            }
+
+            // Pick up edited command modules without restarting the client
+            if (process.env.NODE_ENV === 'development') {
+                this.commandRegistry.watch();
+            }
 
             // Start connection monitoring
             this.startConnectionMonitoring();
@@ -98,11 +157,38 @@ class DiscordBotService {
             // Initialize embed update service
             await this.embedUpdater.initialize();
 
+            // Restore security alert channels and webhooks
+            await this.alertDelivery.initialize();
+
             // Initialize real-time synchronization services
             await this.realTimeSync.initialize();
-            await this.webhookIntegration.initialize();
+            if (this.shardCoordinator.isPrimary()) {
+                // Only one process can listen on the webhook port
+                await this.webhookIntegration.initialize();
+            }
             await this.syncMonitoring.initialize();
 
+            // Load maintenance windows and keep them in sync across shards
+            await this.maintenance.start();
+
+            // Start posting scheduled and recurring tasks
+            this.taskScheduler.start();
+
+            // Start removing expired role rewards
+            this.roleRewards.start();
+
+            // Start re-checking token and NFT holder roles
+            this.holderRoles.start();
+
+            // Start renewing linked accounts' OAuth tokens before they expire
+            this.tokenRefresh.start();
+
+            // Restore auto moderation blocks and start expiring actions
+            await this.autoModeration.start();
+
+            // Resume refreshing persistent leaderboards
+            await this.leaderboard.start();
+
             logger.info('Discord Bot Service initialized successfully');
         } catch (error) {
             logger.error('Failed to initialize Discord Bot Service:', error);
@@ -144,214 +230,38 @@ class DiscordBotService {
         try {
             logger.info('Registering Discord slash commands...');
 
-            const commands = [
-                {
-                    name: 'naffles-create-task',
-                    description: 'Create a new social task for your community',
-                    options: [
-                        {
-                            name: 'type',
-                            description: 'Type of social task',
-                            type: 3, // STRING
-                            required: true,
-                            choices: [
-                                { name: 'Twitter Follow', value: 'twitter_follow' },
-                                { name: 'Discord Join', value: 'discord_join' },
-                                { name: 'Telegram Join', value: 'telegram_join' },
-                                { name: 'Custom Task', value: 'custom' }
-                            ]
-                        },
-                        {
-                            name: 'title',
-                            description: 'Title of the social task',
-                            type: 3, // STRING
-                            required: true,
-                            max_length: 100
-                        },
-                        {
-                            name: 'description',
-                            description: 'Description of the social task',
-                            type: 3, // STRING
-                            required: true,
-                            max_length: 500
-                        },
-                        {
-                            name: 'points',
-                            description: 'Points reward for completing the task',
-                            type: 4, // INTEGER
-                            required: true,
-                            min_value: 1,
-                            max_value: 10000
-                        },
-                        {
-                            name: 'duration',
-                            description: 'Duration in hours (default: 168 hours = 1 week)',
-                            type: 4, // INTEGER
-                            required: false,
-                            min_value: 1,
-                            max_value: 8760 // 1 year
-                        }
-                    ]
-                },
-                {
-                    name: 'naffles-list-tasks',
-                    description: 'List active social tasks for your community',
-                    options: [
-                        {
-                            name: 'status',
-                            description: 'Filter tasks by status',
-                            type: 3, // STRING
-                            required: false,
-                            choices: [
-                                { name: 'Active', value: 'active' },
-                                { name: 'Completed', value: 'completed' },
-                                { name: 'Expired', value: 'expired' },
-                                { name: 'All', value: 'all' }
-                            ]
-                        }
-                    ]
-                },
-                {
-                    name: 'naffles-connect-allowlist',
-                    description: 'Connect an existing allowlist to this Discord server',
-                    options: [
-                        {
-                            name: 'allowlist_id',
-                            description: 'ID of the allowlist to connect',
-                            type: 3, // STRING
-                            required: true
-                        }
-                    ]
-                },
-                {
-                    name: 'naffles-link-community',
-                    description: 'Link this Discord server to a Naffles community',
-                    options: [
-                        {
-                            name: 'community_id',
-                            description: 'Your Naffles community ID (found in community settings)',
-                            type: 3, // STRING
-                            required: true,
-                            max_length: 50
-                        }
-                    ]
-                },
-                {
-                    name: 'naffles-status',
-                    description: 'Check the Discord bot connection status and community link'
-                },
-                {
-                    name: 'naffles-help',
-                    description: 'Get help with Naffles Discord bot commands and setup'
-                },
-                {
-                    name: 'naffles-security',
-                    description: 'Security management and monitoring (Admin only)',
-                    options: [
-                        {
-                            name: 'report',
-                            description: 'Generate a security report',
-                            type: 1, // SUB_COMMAND
-                            options: [
-                                {
-                                    name: 'timeframe',
-                                    description: 'Report timeframe',
-                                    type: 3, // STRING
-                                    required: false,
-                                    choices: [
-                                        { name: 'Last Hour', value: 'hour' },
-                                        { name: 'Last Day', value: 'day' },
-                                        { name: 'Last Week', value: 'week' },
-                                        { name: 'Last Month', value: 'month' }
-                                    ]
-                                }
-                            ]
-                        },
-                        {
-                            name: 'stats',
-                            description: 'View security statistics',
-                            type: 1 // SUB_COMMAND
-                        },
-                        {
-                            name: 'alerts',
-                            description: 'Configure security alerts',
-                            type: 1, // SUB_COMMAND
-                            options: [
-                                {
-                                    name: 'action',
-                                    description: 'Alert action',
-                                    type: 3, // STRING
-                                    required: true,
-                                    choices: [
-                                        { name: 'Setup Channel', value: 'setup' },
-                                        { name: 'Remove Alerts', value: 'remove' },
-                                        { name: 'Test Alert', value: 'test' }
-                                    ]
-                                },
-                                {
-                                    name: 'channel',
-                                    description: 'Channel for security alerts',
-                                    type: 7, // CHANNEL
-                                    required: false
-                                }
-                            ]
-                        },
-                        {
-                            name: 'audit',
-                            description: 'View audit logs',
-                            type: 1, // SUB_COMMAND
-                            options: [
-                                {
-                                    name: 'user',
-                                    description: 'Filter by user',
-                                    type: 6, // USER
-                                    required: false
-                                },
-                                {
-                                    name: 'type',
-                                    description: 'Filter by event type',
-                                    type: 3, // STRING
-                                    required: false,
-                                    choices: [
-                                        { name: 'Command Executed', value: 'command_executed' },
-                                        { name: 'Permission Denied', value: 'permission_denied' },
-                                        { name: 'Security Event', value: 'security_event' },
-                                        { name: 'Admin Action', value: 'admin_action' }
-                                    ]
-                                }
-                            ]
-                        },
-                        {
-                            name: 'permissions',
-                            description: 'Manage permission configuration',
-                            type: 1, // SUB_COMMAND
-                            options: [
-                                {
-                                    name: 'action',
-                                    description: 'Permission action',
-                                    type: 3, // STRING
-                                    required: true,
-                                    choices: [
-                                        { name: 'View Config', value: 'view' },
-                                        { name: 'Reset to Defaults', value: 'reset' }
-                                    ]
-                                }
-                            ]
-                        }
-                    ]
-                }
-            ];
+            // Slash command data is declared by each command module; only
+            // commands that differ from Discord's copy are sent
+            const planner = new CommandRegistrationPlanner(this.rest, process.env.DISCORD_CLIENT_ID);
+            const commands = this.commandRegistry.getGlobalCommandData().map(localizeCommandData);
+            const plan = await planner.plan(commands);
 
-            await this.rest.put(
-                Routes.applicationCommands(process.env.DISCORD_CLIENT_ID),
-                { body: commands }
-            );
+            if (CommandRegistrationPlanner.hasChanges(plan)) {
+                logger.info(planner.formatPlan(plan));
+                await planner.apply(plan);
+            }
 
-            logger.info(`Successfully registered ${commands.length} slash commands`);
+            logger.info(`Global slash commands up to date (${commands.length} commands)`);
         } catch (error) {
             logger.error('Failed to register slash commands:', error);
             throw error;
         }
+
+        await this.syncFeatureCommands();
+    }
+
+    /**
+     * Register feature-gated commands per guild. Needs the database for the
+     * guilds' flags, so failures are logged instead of stopping startup.
+     * @private
+     */
+    async syncFeatureCommands() {
+        try {
+            const guildResults = await this.guildFeatures.syncAllGuildCommands();
+            logger.info(`Feature commands synced for ${guildResults.length} guilds`);
+        } catch (error) {
+            logger.error('Failed to sync feature-gated commands:', error);
+        }
     }
 
     async updateBotPresence() {
@@ -520,8 +430,8 @@ class DiscordBotService {
         return this.embedBuilder.createActionButtons(type, data, options);
     }
 
-    formatTaskType(type) {
-        return this.embedBuilder.formatTaskType(type);
+    formatTaskType(type, locale) {
+        return this.embedBuilder.formatTaskType(type, locale);
     }
 
     /**
@@ -533,8 +443,9 @@ class DiscordBotService {
      */
     async postTaskEmbed(channel, taskData, options = {}) {
         try {
-            const embed = this.createTaskEmbed(taskData, options);
-            const buttons = this.createActionButtons('task', taskData, options);
+            const embedOptions = { ...options, locale: options.locale || await this.localization.getGuildLocale(channel.guild.id) };
+            const embed = this.createTaskEmbed(taskData, embedOptions);
+            const buttons = this.createActionButtons('task', taskData, embedOptions);
             
             const message = await channel.send({
                 embeds: [embed],
@@ -572,8 +483,9 @@ class DiscordBotService {
      */
     async postAllowlistEmbed(channel, allowlistData, options = {}) {
         try {
-            const embed = this.createAllowlistEmbed(allowlistData, options);
-            const buttons = this.createActionButtons('allowlist', allowlistData, options);
+            const embedOptions = { ...options, locale: options.locale || await this.localization.getGuildLocale(channel.guild.id) };
+            const embed = this.createAllowlistEmbed(allowlistData, embedOptions);
+            const buttons = this.createActionButtons('allowlist', allowlistData, embedOptions);
             
             const message = await channel.send({
                 embeds: [embed],
@@ -667,10 +579,11 @@ class DiscordBotService {
     /**
      * Create loading embed
      * @param {string} message - Loading message
+     * @param {Object} options - Additional options
      * @returns {EmbedBuilder} Loading embed
      */
-    createLoadingEmbed(message = 'Processing...') {
-        return this.embedBuilder.createLoadingEmbed(message);
+    createLoadingEmbed(message, options = {}) {
+        return this.embedBuilder.createLoadingEmbed(message, options);
     }
 
     /**
@@ -781,6 +694,9 @@ class DiscordBotService {
                     discriminator: member.user.discriminator
                 }
             });
+
+            // Linked holders get their token and NFT roles straight away
+            await this.holderRoles.verifyMember(member);
             
         } catch (error) {
             logger.error(`Error handling member join in ${member.guild.name}:`, error);
@@ -1025,6 +941,48 @@ class DiscordBotService {
                 logger.info('Allowlist integration service cleaned up');
             }
 
+            // Stop task scheduler
+            if (this.taskScheduler) {
+                this.taskScheduler.stop();
+                logger.info('Task scheduler stopped');
+            }
+
+            // Stop role reward expiry job
+            if (this.roleRewards) {
+                this.roleRewards.stop();
+                logger.info('Role reward expiry job stopped');
+            }
+
+            // Stop holder role re-check job
+            if (this.holderRoles) {
+                this.holderRoles.stop();
+            }
+
+            // Stop OAuth token refresh job
+            if (this.tokenRefresh) {
+                this.tokenRefresh.stop();
+            }
+
+            // Stop auto moderation expiry job
+            if (this.autoModeration) {
+                this.autoModeration.stop();
+            }
+
+            // Stop syncing maintenance windows
+            if (this.maintenance) {
+                this.maintenance.stop();
+            }
+
+            // Stop rate limiter cleanup
+            if (this.rateLimiter) {
+                this.rateLimiter.stop();
+            }
+
+            // Stop watching command modules
+            if (this.commandRegistry) {
+                this.commandRegistry.unwatch();
+            }
+
             // Cleanup embed updater
             if (this.embedUpdater) {
                 await this.embedUpdater.cleanup();
@@ -1192,15 +1150,18 @@ class DiscordBotService {
     }
 
     async startAccountLinking(interaction) {
-        await interaction.reply({
-            content: 'Account linking functionality will be implemented in the next phase.',
-            ephemeral: true
-        });
+        await interaction.reply(await this.accountLinking.getLinkPrompt(interaction.user.id, interaction.guildId));
     }
 
     async verifyAccountLink(interaction) {
+        const link = this.db?.isHealthy?.() ? await this.accountLinking.getLink(interaction.user.id) : null;
+
+        if (!link) {
+            return await this.startAccountLinking(interaction);
+        }
+
         await interaction.reply({
-            content: 'Account verification functionality will be implemented in the next phase.',
+            embeds: [this.accountLinking.buildStatusEmbed(link)],
             ephemeral: true
         });
     }
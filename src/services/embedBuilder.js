@@ -1,9 +1,11 @@
 const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder } = require('discord.js');
 const logger = require('../utils/logger');
+const { t } = require('../utils/i18n');
 
 /**
  * Rich Embed Builder Service for Discord Posts
- * Provides comprehensive embed templates with Naffles branding and consistent styling
+ * Provides comprehensive embed templates with Naffles branding and consistent styling.
+ * Pass `locale` in the options of any builder to render its labels in that language.
  */
 class EmbedBuilderService {
     constructor() {
@@ -68,16 +70,16 @@ class EmbedBuilderService {
         try {
             const embed = new EmbedBuilder()
                 .setTitle(`${this.emojis.task} ${taskData.title}`)
-                .setDescription(this.formatDescription(taskData.description, options.maxLength || 500))
-                .setColor(this.colors.primary)
+                .setDescription(this.formatDescription(taskData.description, options.maxLength || 500, options.locale))
+                .setColor(options.color ?? this.colors.primary)
                 .setFooter({ 
-                    text: 'Powered by Naffles', 
+                    text: t(options.locale, 'common.poweredBy'), 
                     iconURL: this.brandAssets.iconUrl 
                 })
                 .setTimestamp();
 
             // Add task-specific fields
-            this.addTaskFields(embed, taskData);
+            this.addTaskFields(embed, taskData, options.locale);
 
             // Add thumbnail if provided
             if (taskData.thumbnailUrl || options.thumbnailUrl) {
@@ -96,7 +98,7 @@ class EmbedBuilderService {
             return embed;
         } catch (error) {
             logger.error('Error creating task embed:', error);
-            return this.createErrorEmbed('Failed to create task embed');
+            return this.createErrorEmbed(t(options.locale, 'embed.errors.taskEmbed'), { locale: options.locale });
         }
     }
 
@@ -110,16 +112,16 @@ class EmbedBuilderService {
         try {
             const embed = new EmbedBuilder()
                 .setTitle(`${this.emojis.allowlist} ${allowlistData.title}`)
-                .setDescription(this.formatDescription(allowlistData.description, options.maxLength || 500))
+                .setDescription(this.formatDescription(allowlistData.description, options.maxLength || 500, options.locale))
                 .setColor(this.colors.success)
                 .setFooter({ 
-                    text: 'Powered by Naffles', 
+                    text: t(options.locale, 'common.poweredBy'), 
                     iconURL: this.brandAssets.iconUrl 
                 })
                 .setTimestamp();
 
             // Add allowlist-specific fields
-            this.addAllowlistFields(embed, allowlistData);
+            this.addAllowlistFields(embed, allowlistData, options.locale);
 
             // Add prize image if available
             if (allowlistData.prizeImageUrl) {
@@ -133,13 +135,13 @@ class EmbedBuilderService {
 
             // Add countdown timer if end time is provided
             if (allowlistData.endTime) {
-                this.addCountdownField(embed, allowlistData.endTime);
+                this.addCountdownField(embed, allowlistData.endTime, options.locale);
             }
 
             return embed;
         } catch (error) {
             logger.error('Error creating allowlist embed:', error);
-            return this.createErrorEmbed('Failed to create allowlist embed');
+            return this.createErrorEmbed(t(options.locale, 'embed.errors.allowlistEmbed'), { locale: options.locale });
         }
     }
 
@@ -171,19 +173,19 @@ class EmbedBuilderService {
 
     /**
      * Create pagination controls for long content lists
-     * @param {Object} paginationData - Pagination information
+     * @param {Object} paginationData - Pagination information (currentPage, totalPages, customId, locale)
      * @returns {ActionRowBuilder} Action row with pagination buttons
      */
     createPaginationControls(paginationData) {
         try {
             const row = new ActionRowBuilder();
-            const { currentPage, totalPages, customId } = paginationData;
+            const { currentPage, totalPages, customId, locale } = paginationData;
 
             // Previous button
             row.addComponents(
                 new ButtonBuilder()
                     .setCustomId(`${customId}_prev_${currentPage - 1}`)
-                    .setLabel('Previous')
+                    .setLabel(t(locale, 'common.buttons.previous'))
                     .setStyle(ButtonStyle.Secondary)
                     .setEmoji('⬅️')
                     .setDisabled(currentPage <= 1)
@@ -202,7 +204,7 @@ class EmbedBuilderService {
             row.addComponents(
                 new ButtonBuilder()
                     .setCustomId(`${customId}_next_${currentPage + 1}`)
-                    .setLabel('Next')
+                    .setLabel(t(locale, 'common.buttons.next'))
                     .setStyle(ButtonStyle.Secondary)
                     .setEmoji('➡️')
                     .setDisabled(currentPage >= totalPages)
@@ -228,7 +230,7 @@ class EmbedBuilderService {
             .setDescription(message)
             .setColor(this.colors.success)
             .setFooter({ 
-                text: 'Powered by Naffles', 
+                text: t(options.locale, 'common.poweredBy'), 
                 iconURL: this.brandAssets.iconUrl 
             })
             .setTimestamp();
@@ -252,11 +254,11 @@ class EmbedBuilderService {
      */
     createErrorEmbed(message, options = {}) {
         const embed = new EmbedBuilder()
-            .setTitle(`${this.emojis.error} Error`)
+            .setTitle(`${this.emojis.error} ${t(options.locale, 'embed.titles.error')}`)
             .setDescription(message)
             .setColor(this.colors.error)
             .setFooter({ 
-                text: 'Powered by Naffles', 
+                text: t(options.locale, 'common.poweredBy'), 
                 iconURL: this.brandAssets.iconUrl 
             })
             .setTimestamp();
@@ -264,7 +266,7 @@ class EmbedBuilderService {
         // Add troubleshooting guidance if provided
         if (options.troubleshooting) {
             embed.addFields({
-                name: `${this.emojis.help} Troubleshooting`,
+                name: `${this.emojis.help} ${t(options.locale, 'embed.troubleshooting')}`,
                 value: options.troubleshooting,
                 inline: false
             });
@@ -273,8 +275,8 @@ class EmbedBuilderService {
         // Add support information
         if (options.showSupport !== false) {
             embed.addFields({
-                name: `${this.emojis.info} Need Help?`,
-                value: 'Contact support or visit our documentation for assistance.',
+                name: `${this.emojis.info} ${t(options.locale, 'embed.needHelp')}`,
+                value: t(options.locale, 'embed.needHelpText'),
                 inline: false
             });
         }
@@ -295,7 +297,7 @@ class EmbedBuilderService {
             .setDescription(message)
             .setColor(this.colors.warning)
             .setFooter({ 
-                text: 'Powered by Naffles', 
+                text: t(options.locale, 'common.poweredBy'), 
                 iconURL: this.brandAssets.iconUrl 
             })
             .setTimestamp();
@@ -320,7 +322,7 @@ class EmbedBuilderService {
             .setDescription(message)
             .setColor(this.colors.info)
             .setFooter({ 
-                text: 'Powered by Naffles', 
+                text: t(options.locale, 'common.poweredBy'), 
                 iconURL: this.brandAssets.iconUrl 
             })
             .setTimestamp();
@@ -338,16 +340,17 @@ class EmbedBuilderService {
 
     /**
      * Create loading embed template
-     * @param {string} message - Loading message
+     * @param {string} message - Loading message (defaults to "Processing...")
+     * @param {Object} options - Additional options
      * @returns {EmbedBuilder} Loading embed
      */
-    createLoadingEmbed(message = 'Processing...') {
+    createLoadingEmbed(message, options = {}) {
         return new EmbedBuilder()
-            .setTitle(`${this.emojis.loading} Loading`)
-            .setDescription(message)
+            .setTitle(`${this.emojis.loading} ${t(options.locale, 'embed.titles.loading')}`)
+            .setDescription(message || t(options.locale, 'embed.processing'))
             .setColor(this.colors.info)
             .setFooter({ 
-                text: 'Powered by Naffles', 
+                text: t(options.locale, 'common.poweredBy'), 
                 iconURL: this.brandAssets.iconUrl 
             })
             .setTimestamp();
@@ -356,22 +359,25 @@ class EmbedBuilderService {
     /**
      * Update embed with real-time status changes
      * @param {EmbedBuilder} embed - Existing embed to update
-     * @param {Object} updateData - Data for updates
+     * @param {Object} updateData - Data for updates (labels are matched in updateData.locale)
      * @returns {EmbedBuilder} Updated embed
      */
     updateEmbedStatus(embed, updateData) {
         try {
+            const { locale } = updateData;
+
             // Update timestamp
             embed.setTimestamp();
 
             // Update status field if provided
             if (updateData.status) {
-                const statusField = embed.data.fields?.find(field => field.name.includes('Status'));
+                const statusLabel = t(locale, 'embed.fields.status');
+                const statusField = embed.data.fields?.find(field => field.name.includes(statusLabel));
                 if (statusField) {
                     statusField.value = `${this.emojis.status} ${updateData.status}`;
                 } else {
                     embed.addFields({
-                        name: `${this.emojis.status} Status`,
+                        name: `${this.emojis.status} ${statusLabel}`,
                         value: updateData.status,
                         inline: true
                     });
@@ -380,17 +386,17 @@ class EmbedBuilderService {
 
             // Update progress if provided
             if (updateData.progress !== undefined) {
-                this.updateProgressField(embed, updateData.progress);
+                this.updateProgressField(embed, updateData.progress, locale);
             }
 
             // Update participant count if provided
             if (updateData.participants !== undefined) {
-                this.updateParticipantField(embed, updateData.participants);
+                this.updateParticipantField(embed, updateData.participants, locale);
             }
 
             // Update countdown if provided
             if (updateData.endTime) {
-                this.updateCountdownField(embed, updateData.endTime);
+                this.updateCountdownField(embed, updateData.endTime, locale);
             }
 
             return embed;
@@ -411,7 +417,7 @@ class EmbedBuilderService {
         try {
             const selectMenu = new StringSelectMenuBuilder()
                 .setCustomId(customId)
-                .setPlaceholder(config.placeholder || 'Select an option...')
+                .setPlaceholder(config.placeholder || t(config.locale, 'embed.selectPlaceholder'))
                 .setMinValues(config.minValues || 1)
                 .setMaxValues(config.maxValues || 1);
 
@@ -439,12 +445,12 @@ class EmbedBuilderService {
      * Add task-specific fields to embed
      * @private
      */
-    addTaskFields(embed, taskData) {
+    addTaskFields(embed, taskData, locale) {
         // Reward field
         if (taskData.points !== undefined) {
             embed.addFields({
-                name: `${this.emojis.reward} Reward`,
-                value: `${taskData.points} points`,
+                name: `${this.emojis.reward} ${t(locale, 'embed.fields.reward')}`,
+                value: t(locale, 'embed.values.points', { count: taskData.points }),
                 inline: true
             });
         }
@@ -452,8 +458,8 @@ class EmbedBuilderService {
         // Duration field
         if (taskData.duration) {
             embed.addFields({
-                name: `${this.emojis.time} Duration`,
-                value: this.formatDuration(taskData.duration),
+                name: `${this.emojis.time} ${t(locale, 'embed.fields.duration')}`,
+                value: this.formatDuration(taskData.duration, locale),
                 inline: true
             });
         }
@@ -461,8 +467,8 @@ class EmbedBuilderService {
         // Status field
         if (taskData.status) {
             embed.addFields({
-                name: `${this.emojis.status} Status`,
-                value: this.formatStatus(taskData.status),
+                name: `${this.emojis.status} ${t(locale, 'embed.fields.status')}`,
+                value: this.formatStatus(taskData.status, locale),
                 inline: true
             });
         }
@@ -470,8 +476,8 @@ class EmbedBuilderService {
         // Task type field
         if (taskData.type) {
             embed.addFields({
-                name: `${this.emojis.type} Type`,
-                value: this.formatTaskType(taskData.type),
+                name: `${this.emojis.type} ${t(locale, 'embed.fields.type')}`,
+                value: this.formatTaskType(taskData.type, locale),
                 inline: true
             });
         }
@@ -479,8 +485,8 @@ class EmbedBuilderService {
         // Completion count
         if (taskData.completedBy !== undefined) {
             embed.addFields({
-                name: `${this.emojis.completed} Completed By`,
-                value: `${taskData.completedBy} users`,
+                name: `${this.emojis.completed} ${t(locale, 'embed.fields.completedBy')}`,
+                value: t(locale, 'embed.values.users', { count: taskData.completedBy }),
                 inline: true
             });
         }
@@ -488,7 +494,7 @@ class EmbedBuilderService {
         // Requirements
         if (taskData.requirements && taskData.requirements.length > 0) {
             embed.addFields({
-                name: `${this.emojis.info} Requirements`,
+                name: `${this.emojis.info} ${t(locale, 'embed.fields.requirements')}`,
                 value: taskData.requirements.join('\n'),
                 inline: false
             });
@@ -496,7 +502,7 @@ class EmbedBuilderService {
 
         // Time remaining
         if (taskData.endTime) {
-            this.addCountdownField(embed, taskData.endTime);
+            this.addCountdownField(embed, taskData.endTime, locale);
         }
     }
 
@@ -504,11 +510,11 @@ class EmbedBuilderService {
      * Add allowlist-specific fields to embed
      * @private
      */
-    addAllowlistFields(embed, allowlistData) {
+    addAllowlistFields(embed, allowlistData, locale) {
         // Prize field
         if (allowlistData.prize) {
             embed.addFields({
-                name: `${this.emojis.prize} Prize`,
+                name: `${this.emojis.prize} ${t(locale, 'embed.fields.prize')}`,
                 value: allowlistData.prize,
                 inline: true
             });
@@ -517,8 +523,8 @@ class EmbedBuilderService {
         // Winner count
         if (allowlistData.winnerCount !== undefined) {
             embed.addFields({
-                name: `${this.emojis.participants} Winners`,
-                value: allowlistData.winnerCount === 'everyone' ? 'Everyone Wins!' : `${allowlistData.winnerCount}`,
+                name: `${this.emojis.participants} ${t(locale, 'embed.fields.winners')}`,
+                value: allowlistData.winnerCount === 'everyone' ? t(locale, 'embed.values.everyoneWins') : `${allowlistData.winnerCount}`,
                 inline: true
             });
         }
@@ -526,8 +532,8 @@ class EmbedBuilderService {
         // Entry price
         if (allowlistData.entryPrice !== undefined) {
             embed.addFields({
-                name: `${this.emojis.entry} Entry Price`,
-                value: allowlistData.entryPrice === 0 || allowlistData.entryPrice === '0' ? 'Free' : `${allowlistData.entryPrice}`,
+                name: `${this.emojis.entry} ${t(locale, 'embed.fields.entryPrice')}`,
+                value: allowlistData.entryPrice === 0 || allowlistData.entryPrice === '0' ? t(locale, 'embed.values.free') : `${allowlistData.entryPrice}`,
                 inline: true
             });
         }
@@ -535,7 +541,7 @@ class EmbedBuilderService {
         // Current participants
         if (allowlistData.participants !== undefined) {
             embed.addFields({
-                name: `${this.emojis.participants} Participants`,
+                name: `${this.emojis.participants} ${t(locale, 'embed.fields.participants')}`,
                 value: `${allowlistData.participants}`,
                 inline: true
             });
@@ -544,11 +550,11 @@ class EmbedBuilderService {
         // Social requirements
         if (allowlistData.socialTasks && allowlistData.socialTasks.length > 0) {
             const requirements = allowlistData.socialTasks.map(task => 
-                `${this.getTaskTypeEmoji(task.taskType)} ${task.description || this.formatTaskType(task.taskType)}`
+                `${this.getTaskTypeEmoji(task.taskType)} ${task.description || this.formatTaskType(task.taskType, locale)}`
             ).join('\n');
             
             embed.addFields({
-                name: `${this.emojis.info} Requirements`,
+                name: `${this.emojis.info} ${t(locale, 'embed.fields.requirements')}`,
                 value: requirements,
                 inline: false
             });
@@ -557,8 +563,8 @@ class EmbedBuilderService {
         // Profit guarantee
         if (allowlistData.profitGuaranteePercentage) {
             embed.addFields({
-                name: `${this.emojis.success} Profit Guarantee`,
-                value: `${allowlistData.profitGuaranteePercentage}% of winner sales distributed to losers`,
+                name: `${this.emojis.success} ${t(locale, 'embed.fields.profitGuarantee')}`,
+                value: t(locale, 'embed.values.profitGuarantee', { percentage: allowlistData.profitGuaranteePercentage }),
                 inline: false
             });
         }
@@ -574,7 +580,7 @@ class EmbedBuilderService {
             row.addComponents(
                 new ButtonBuilder()
                     .setCustomId(`complete_task_${data.id}`)
-                    .setLabel('Complete Task')
+                    .setLabel(t(options.locale, 'common.buttons.completeTask'))
                     .setStyle(ButtonStyle.Primary)
                     .setEmoji(this.emojis.completed)
                     .setDisabled(data.status === 'completed' || data.status === 'expired')
@@ -586,7 +592,7 @@ class EmbedBuilderService {
             row.addComponents(
                 new ButtonBuilder()
                     .setCustomId(`view_task_${data.id}`)
-                    .setLabel('View Details')
+                    .setLabel(t(options.locale, 'common.buttons.viewDetails'))
                     .setStyle(ButtonStyle.Secondary)
                     .setEmoji('👁️')
             );
@@ -597,7 +603,7 @@ class EmbedBuilderService {
             row.addComponents(
                 new ButtonBuilder()
                     .setURL(data.externalUrl)
-                    .setLabel('Visit Link')
+                    .setLabel(t(options.locale, 'common.buttons.visitLink'))
                     .setStyle(ButtonStyle.Link)
                     .setEmoji(this.emojis.link)
             );
@@ -614,7 +620,7 @@ class EmbedBuilderService {
             row.addComponents(
                 new ButtonBuilder()
                     .setCustomId(`enter_allowlist_${data.id}`)
-                    .setLabel('Enter Allowlist')
+                    .setLabel(t(options.locale, 'common.buttons.enterAllowlist'))
                     .setStyle(ButtonStyle.Success)
                     .setEmoji(this.emojis.allowlist)
                     .setDisabled(data.status === 'ended' || data.status === 'full')
@@ -626,7 +632,7 @@ class EmbedBuilderService {
             row.addComponents(
                 new ButtonBuilder()
                     .setCustomId(`view_allowlist_${data.id}`)
-                    .setLabel('View Details')
+                    .setLabel(t(options.locale, 'common.buttons.viewDetails'))
                     .setStyle(ButtonStyle.Secondary)
                     .setEmoji('👁️')
             );
@@ -637,7 +643,7 @@ class EmbedBuilderService {
             row.addComponents(
                 new ButtonBuilder()
                     .setURL(`https://naffles.com/allowlist/${data.id}`)
-                    .setLabel('View on Naffles')
+                    .setLabel(t(options.locale, 'common.buttons.viewOnNaffles'))
                     .setStyle(ButtonStyle.Link)
                     .setEmoji(this.emojis.link)
             );
@@ -674,10 +680,10 @@ class EmbedBuilderService {
      * Add countdown field to embed
      * @private
      */
-    addCountdownField(embed, endTime) {
+    addCountdownField(embed, endTime, locale) {
         const timestamp = Math.floor(new Date(endTime).getTime() / 1000);
         embed.addFields({
-            name: `${this.emojis.countdown} Time Remaining`,
+            name: `${this.emojis.countdown} ${t(locale, 'embed.fields.timeRemaining')}`,
             value: `<t:${timestamp}:R>`,
             inline: true
         });
@@ -687,13 +693,14 @@ class EmbedBuilderService {
      * Update countdown field in embed
      * @private
      */
-    updateCountdownField(embed, endTime) {
+    updateCountdownField(embed, endTime, locale) {
         const timestamp = Math.floor(new Date(endTime).getTime() / 1000);
-        const countdownField = embed.data.fields?.find(field => field.name.includes('Time Remaining'));
+        const label = t(locale, 'embed.fields.timeRemaining');
+        const countdownField = embed.data.fields?.find(field => field.name.includes(label));
         if (countdownField) {
             countdownField.value = `<t:${timestamp}:R>`;
         } else {
-            this.addCountdownField(embed, endTime);
+            this.addCountdownField(embed, endTime, locale);
         }
     }
 
@@ -701,14 +708,15 @@ class EmbedBuilderService {
      * Update progress field in embed
      * @private
      */
-    updateProgressField(embed, progress) {
+    updateProgressField(embed, progress, locale) {
         const progressBar = this.createProgressBar(progress.current, progress.total);
-        const progressField = embed.data.fields?.find(field => field.name.includes('Progress'));
+        const label = t(locale, 'embed.fields.progress');
+        const progressField = embed.data.fields?.find(field => field.name.includes(label));
         if (progressField) {
             progressField.value = `${progressBar} ${progress.current}/${progress.total}`;
         } else {
             embed.addFields({
-                name: `${this.emojis.status} Progress`,
+                name: `${this.emojis.status} ${label}`,
                 value: `${progressBar} ${progress.current}/${progress.total}`,
                 inline: true
             });
@@ -719,13 +727,14 @@ class EmbedBuilderService {
      * Update participant field in embed
      * @private
      */
-    updateParticipantField(embed, participants) {
-        const participantField = embed.data.fields?.find(field => field.name.includes('Participants'));
+    updateParticipantField(embed, participants, locale) {
+        const label = t(locale, 'embed.fields.participants');
+        const participantField = embed.data.fields?.find(field => field.name.includes(label));
         if (participantField) {
             participantField.value = `${participants}`;
         } else {
             embed.addFields({
-                name: `${this.emojis.participants} Participants`,
+                name: `${this.emojis.participants} ${label}`,
                 value: `${participants}`,
                 inline: true
             });
@@ -736,8 +745,8 @@ class EmbedBuilderService {
      * Format description with length limit
      * @private
      */
-    formatDescription(description, maxLength = 500) {
-        if (!description) return 'No description provided.';
+    formatDescription(description, maxLength = 500, locale) {
+        if (!description) return t(locale, 'embed.noDescription');
         if (description.length <= maxLength) return description;
         return description.substring(0, maxLength - 3) + '...';
     }
@@ -746,14 +755,12 @@ class EmbedBuilderService {
      * Format task type with emoji
      * @private
      */
-    formatTaskType(type) {
-        const typeMap = {
-            'twitter_follow': `${this.emojis.twitter} Twitter Follow`,
-            'discord_join': `${this.emojis.discord} Discord Join`,
-            'telegram_join': `${this.emojis.telegram} Telegram Join`,
-            'custom': `${this.emojis.custom} Custom Task`
-        };
-        return typeMap[type] || `${this.emojis.custom} ${type}`;
+    formatTaskType(type, locale) {
+        const knownTypes = ['twitter_follow', 'discord_join', 'telegram_join', 'custom'];
+        if (!knownTypes.includes(type)) {
+            return `${this.emojis.custom} ${type}`;
+        }
+        return `${this.getTaskTypeEmoji(type)} ${t(locale, `embed.taskTypes.${type}`)}`;
     }
 
     /**
@@ -774,31 +781,32 @@ class EmbedBuilderService {
      * Format status with appropriate styling
      * @private
      */
-    formatStatus(status) {
-        const statusMap = {
-            'active': `${this.emojis.success} Active`,
-            'completed': `${this.emojis.completed} Completed`,
-            'expired': `${this.emojis.error} Expired`,
-            'paused': `${this.emojis.warning} Paused`,
-            'ended': `${this.emojis.info} Ended`,
-            'full': `${this.emojis.warning} Full`
+    formatStatus(status, locale) {
+        const statusEmojis = {
+            'active': this.emojis.success,
+            'completed': this.emojis.completed,
+            'expired': this.emojis.error,
+            'paused': this.emojis.warning,
+            'ended': this.emojis.info,
+            'full': this.emojis.warning
         };
-        return statusMap[status] || `${this.emojis.info} ${status}`;
+        if (!statusEmojis[status]) {
+            return `${this.emojis.info} ${status}`;
+        }
+        return `${statusEmojis[status]} ${t(locale, `embed.statuses.${status}`)}`;
     }
 
     /**
      * Format duration in human-readable format
      * @private
      */
-    formatDuration(hours) {
+    formatDuration(hours, locale) {
         if (hours < 24) {
-            return `${hours} hour${hours !== 1 ? 's' : ''}`;
+            return t(locale, 'embed.durations.hours', { count: hours });
         } else if (hours < 168) {
-            const days = Math.floor(hours / 24);
-            return `${days} day${days !== 1 ? 's' : ''}`;
+            return t(locale, 'embed.durations.days', { count: Math.floor(hours / 24) });
         } else {
-            const weeks = Math.floor(hours / 168);
-            return `${weeks} week${weeks !== 1 ? 's' : ''}`;
+            return t(locale, 'embed.durations.weeks', { count: Math.floor(hours / 168) });
         }
     }
 
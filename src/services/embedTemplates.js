@@ -1,9 +1,11 @@
 const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
 const EmbedBuilderService = require('./embedBuilder');
+const { t } = require('../utils/i18n');
 
 /**
  * Specialized Embed Templates for Different Use Cases
- * Provides pre-configured embed templates for common Discord bot scenarios
+ * Provides pre-configured embed templates for common Discord bot scenarios.
+ * Every template accepts an options object whose `locale` selects the language.
  */
 class EmbedTemplates extends EmbedBuilderService {
     constructor() {
@@ -16,47 +18,35 @@ class EmbedTemplates extends EmbedBuilderService {
      * @returns {Object} Embed and components
      */
     createHelpEmbed(options = {}) {
+        const { locale } = options;
         const embed = new EmbedBuilder()
-            .setTitle(`${this.emojis.help} Naffles Discord Bot Help`)
-            .setDescription('Welcome to the Naffles Discord Bot! Here are all available commands and features.')
+            .setTitle(`${this.emojis.help} ${t(locale, 'templates.help.title')}`)
+            .setDescription(t(locale, 'templates.help.description'))
             .setColor(this.colors.info)
             .addFields(
                 {
-                    name: `${this.emojis.task} Task Management`,
-                    value: [
-                        '`/naffles-create-task` - Create a new social task',
-                        '`/naffles-list-tasks` - List active community tasks'
-                    ].join('\n'),
+                    name: `${this.emojis.task} ${t(locale, 'templates.help.taskManagement')}`,
+                    value: t(locale, 'templates.help.taskCommands'),
                     inline: false
                 },
                 {
-                    name: `${this.emojis.allowlist} Allowlist Management`,
-                    value: [
-                        '`/naffles-connect-allowlist` - Connect an allowlist to Discord'
-                    ].join('\n'),
+                    name: `${this.emojis.allowlist} ${t(locale, 'templates.help.allowlistManagement')}`,
+                    value: t(locale, 'templates.help.allowlistCommands'),
                     inline: false
                 },
                 {
-                    name: `${this.emojis.community} Community Setup`,
-                    value: [
-                        '`/naffles-link-community` - Link Discord server to Naffles community',
-                        '`/naffles-status` - Check bot connection status'
-                    ].join('\n'),
+                    name: `${this.emojis.community} ${t(locale, 'templates.help.communitySetup')}`,
+                    value: t(locale, 'templates.help.communityCommands'),
                     inline: false
                 },
                 {
-                    name: `${this.emojis.info} Getting Started`,
-                    value: [
-                        '1. Link your Discord server to a Naffles community',
-                        '2. Create social tasks to engage your members',
-                        '3. Connect allowlists for NFT launches',
-                        '4. Monitor progress with real-time updates'
-                    ].join('\n'),
+                    name: `${this.emojis.info} ${t(locale, 'templates.help.gettingStarted')}`,
+                    value: t(locale, 'templates.help.gettingStartedSteps'),
                     inline: false
                 }
             )
             .setFooter({ 
-                text: 'Powered by Naffles', 
+                text: t(locale, 'common.poweredBy'), 
                 iconURL: this.brandAssets.iconUrl 
             })
             .setTimestamp();
@@ -65,17 +55,17 @@ class EmbedTemplates extends EmbedBuilderService {
             .addComponents(
                 new ButtonBuilder()
                     .setURL('https://naffles.com/docs/discord-bot')
-                    .setLabel('Documentation')
+                    .setLabel(t(locale, 'common.buttons.documentation'))
                     .setStyle(ButtonStyle.Link)
                     .setEmoji('📚'),
                 new ButtonBuilder()
                     .setURL('https://naffles.com/support')
-                    .setLabel('Support')
+                    .setLabel(t(locale, 'common.buttons.support'))
                     .setStyle(ButtonStyle.Link)
                     .setEmoji('🆘'),
                 new ButtonBuilder()
                     .setURL('https://naffles.com')
-                    .setLabel('Visit Naffles')
+                    .setLabel(t(locale, 'common.buttons.visitNaffles'))
                     .setStyle(ButtonStyle.Link)
                     .setEmoji('🌐')
             );
@@ -86,9 +76,11 @@ class EmbedTemplates extends EmbedBuilderService {
     /**
      * Create status embed showing bot and API connection status
      * @param {Object} statusData - Status information
+     * @param {Object} options - Configuration options
      * @returns {Object} Embed and components
      */
-    createStatusEmbed(statusData) {
+    createStatusEmbed(statusData, options = {}) {
+        const { locale } = options;
         const {
             discordStatus,
             nafflesApiStatus,
@@ -100,43 +92,45 @@ class EmbedTemplates extends EmbedBuilderService {
         } = statusData;
 
         const embed = new EmbedBuilder()
-            .setTitle(`${this.emojis.settings} Naffles Bot Status`)
-            .setDescription('Current status of the Naffles Discord bot and its connections.')
+            .setTitle(`${this.emojis.settings} ${t(locale, 'templates.status.title')}`)
+            .setDescription(t(locale, 'templates.status.description'))
             .setColor(discordStatus && nafflesApiStatus ? this.colors.success : this.colors.warning)
             .addFields(
                 {
-                    name: `${this.emojis.discord} Discord Connection`,
-                    value: discordStatus ? `${this.emojis.success} Connected` : `${this.emojis.error} Disconnected`,
+                    name: `${this.emojis.discord} ${t(locale, 'templates.status.discordConnection')}`,
+                    value: this.formatConnectionStatus(discordStatus, locale),
                     inline: true
                 },
                 {
-                    name: `${this.emojis.link} Naffles API`,
-                    value: nafflesApiStatus ? `${this.emojis.success} Connected` : `${this.emojis.error} Disconnected`,
+                    name: `${this.emojis.link} ${t(locale, 'templates.status.nafflesApi')}`,
+                    value: this.formatConnectionStatus(nafflesApiStatus, locale),
                     inline: true
                 },
                 {
-                    name: `${this.emojis.community} Community Link`,
-                    value: communityLinked ? `${this.emojis.success} Linked to ${communityName}` : `${this.emojis.warning} Not Linked`,
+                    name: `${this.emojis.community} ${t(locale, 'templates.status.communityLink')}`,
+                    value: communityLinked
+                        ? `${this.emojis.success} ${t(locale, 'templates.status.linkedTo', { name: communityName })}`
+                        : `${this.emojis.warning} ${t(locale, 'templates.status.notLinked')}`,
                     inline: true
                 },
                 {
-                    name: `${this.emojis.info} Server Count`,
-                    value: `${serverCount} servers`,
+                    name: `${this.emojis.info} ${t(locale, 'templates.status.serverCount')}`,
+                    value: t(locale, 'templates.status.servers', { count: serverCount }),
                     inline: true
                 },
                 {
-                    name: `${this.emojis.time} Uptime`,
+                    name: `${this.emojis.time} ${t(locale, 'templates.status.uptime')}`,
                     value: this.formatUptime(uptime),
                     inline: true
                 },
                 {
-                    name: `${this.emojis.status} Last Health Check`,
+                    name: `${this.emojis.status} ${t(locale, 'templates.status.lastHealthCheck')}`,
                     value: `<t:${Math.floor(lastHealthCheck / 1000)}:R>`,
                     inline: true
                 }
             )
             .setFooter({ 
-                text: 'Powered by Naffles', 
+                text: t(locale, 'common.poweredBy'), 
                 iconURL: this.brandAssets.iconUrl 
             })
             .setTimestamp();
@@ -147,7 +141,7 @@ class EmbedTemplates extends EmbedBuilderService {
             buttons.addComponents(
                 new ButtonBuilder()
                     .setCustomId('link_community_prompt')
-                    .setLabel('Link Community')
+                    .setLabel(t(locale, 'templates.status.linkCommunity'))
                     .setStyle(ButtonStyle.Primary)
                     .setEmoji(this.emojis.link)
             );
@@ -156,7 +150,7 @@ class EmbedTemplates extends EmbedBuilderService {
         buttons.addComponents(
             new ButtonBuilder()
                 .setCustomId('refresh_status')
-                .setLabel('Refresh Status')
+                .setLabel(t(locale, 'templates.status.refreshStatus'))
                 .setStyle(ButtonStyle.Secondary)
                 .setEmoji('🔄')
         );
@@ -167,41 +161,30 @@ class EmbedTemplates extends EmbedBuilderService {
     /**
      * Create community linking embed
      * @param {Object} linkingData - Community linking information
+     * @param {Object} options - Configuration options
      * @returns {Object} Embed and components
      */
-    createCommunityLinkingEmbed(linkingData = {}) {
+    createCommunityLinkingEmbed(linkingData = {}, options = {}) {
         const { step = 'start', communityId, error } = linkingData;
+        const { locale } = options;
 
         let embed;
         let buttons = new ActionRowBuilder();
 
         if (step === 'start') {
             embed = new EmbedBuilder()
-                .setTitle(`${this.emojis.link} Link Community to Discord`)
-                .setDescription([
-                    'Connect your Discord server to a Naffles community to enable:',
-                    '',
-                    `${this.emojis.task} **Social Task Management** - Create and manage tasks directly from Discord`,
-                    `${this.emojis.allowlist} **Allowlist Integration** - Post allowlists with interactive buttons`,
-                    `${this.emojis.community} **Community Features** - Access community-specific tools and analytics`,
-                    '',
-                    'To get started, you\'ll need your Naffles community ID from your community settings.'
-                ].join('\n'))
+                .setTitle(`${this.emojis.link} ${t(locale, 'templates.communityLinking.startTitle')}`)
+                .setDescription(t(locale, 'templates.communityLinking.startDescription', this.emojis))
                 .setColor(this.colors.info)
                 .addFields(
                     {
-                        name: `${this.emojis.info} How to Find Your Community ID`,
-                        value: [
-                            '1. Visit [Naffles.com](https://naffles.com)',
-                            '2. Go to your community dashboard',
-                            '3. Navigate to Settings → Discord Integration',
-                            '4. Copy your Community ID'
-                        ].join('\n'),
+                        name: `${this.emojis.info} ${t(locale, 'templates.communityLinking.findIdTitle')}`,
+                        value: t(locale, 'templates.communityLinking.findIdSteps'),
                         inline: false
                     }
                 )
                 .setFooter({ 
-                    text: 'Powered by Naffles', 
+                    text: t(locale, 'common.poweredBy'), 
                     iconURL: this.brandAssets.iconUrl 
                 })
                 .setTimestamp();
@@ -209,34 +192,29 @@ class EmbedTemplates extends EmbedBuilderService {
             buttons.addComponents(
                 new ButtonBuilder()
                     .setURL('https://naffles.com/communities')
-                    .setLabel('Visit Naffles')
+                    .setLabel(t(locale, 'common.buttons.visitNaffles'))
                     .setStyle(ButtonStyle.Link)
                     .setEmoji('🌐'),
                 new ButtonBuilder()
                     .setCustomId('start_community_linking')
-                    .setLabel('Start Linking')
+                    .setLabel(t(locale, 'templates.communityLinking.startLinking'))
                     .setStyle(ButtonStyle.Primary)
                     .setEmoji(this.emojis.link)
             );
         } else if (step === 'success') {
             embed = new EmbedBuilder()
-                .setTitle(`${this.emojis.success} Community Successfully Linked!`)
-                .setDescription(`Your Discord server has been successfully linked to community: **${communityId}**`)
+                .setTitle(`${this.emojis.success} ${t(locale, 'templates.communityLinking.successTitle')}`)
+                .setDescription(t(locale, 'templates.communityLinking.successDescription', { communityId }))
                 .setColor(this.colors.success)
                 .addFields(
                     {
-                        name: `${this.emojis.task} What's Next?`,
-                        value: [
-                            '• Use `/naffles-create-task` to create social tasks',
-                            '• Use `/naffles-connect-allowlist` to post allowlists',
-                            '• Use `/naffles-list-tasks` to manage existing tasks',
-                            '• Use `/naffles-help` for more information'
-                        ].join('\n'),
+                        name: `${this.emojis.task} ${t(locale, 'templates.communityLinking.whatsNext')}`,
+                        value: t(locale, 'templates.communityLinking.whatsNextSteps'),
                         inline: false
                     }
                 )
                 .setFooter({ 
-                    text: 'Powered by Naffles', 
+                    text: t(locale, 'common.poweredBy'), 
                     iconURL: this.brandAssets.iconUrl 
                 })
                 .setTimestamp();
@@ -244,37 +222,33 @@ class EmbedTemplates extends EmbedBuilderService {
             buttons.addComponents(
                 new ButtonBuilder()
                     .setCustomId('create_first_task')
-                    .setLabel('Create First Task')
+                    .setLabel(t(locale, 'templates.communityLinking.createFirstTask'))
                     .setStyle(ButtonStyle.Primary)
                     .setEmoji(this.emojis.task),
                 new ButtonBuilder()
                     .setURL('https://naffles.com/docs/discord-bot')
-                    .setLabel('View Documentation')
+                    .setLabel(t(locale, 'common.buttons.viewDocumentation'))
                     .setStyle(ButtonStyle.Link)
                     .setEmoji('📚')
             );
         } else if (step === 'error') {
             embed = this.createErrorEmbed(
-                error || 'Failed to link community',
+                error || t(locale, 'templates.communityLinking.errorDefault'),
                 {
-                    troubleshooting: [
-                        '• Verify your community ID is correct',
-                        '• Ensure you have admin permissions in the community',
-                        '• Check that the community exists and is active',
-                        '• Try again in a few moments'
-                    ].join('\n')
+                    locale,
+                    troubleshooting: t(locale, 'templates.communityLinking.errorTroubleshooting')
                 }
             );
 
             buttons.addComponents(
                 new ButtonBuilder()
                     .setCustomId('retry_community_linking')
-                    .setLabel('Try Again')
+                    .setLabel(t(locale, 'common.buttons.tryAgain'))
                     .setStyle(ButtonStyle.Primary)
                     .setEmoji('🔄'),
                 new ButtonBuilder()
                     .setURL('https://naffles.com/support')
-                    .setLabel('Get Support')
+                    .setLabel(t(locale, 'common.buttons.getSupport'))
                     .setStyle(ButtonStyle.Link)
                     .setEmoji('🆘')
             );
@@ -287,20 +261,22 @@ class EmbedTemplates extends EmbedBuilderService {
      * Create task list embed with pagination
      * @param {Array} tasks - List of tasks
      * @param {Object} paginationData - Pagination information
+     * @param {Object} options - Configuration options
      * @returns {Object} Embed and components
      */
-    createTaskListEmbed(tasks, paginationData = {}) {
+    createTaskListEmbed(tasks, paginationData = {}, options = {}) {
         const { currentPage = 1, totalPages = 1, totalTasks = 0 } = paginationData;
+        const { locale } = options;
 
         const embed = new EmbedBuilder()
-            .setTitle(`${this.emojis.task} Community Tasks`)
+            .setTitle(`${this.emojis.task} ${t(locale, 'templates.taskList.title')}`)
             .setDescription(totalTasks > 0 ? 
-                `Showing ${tasks.length} of ${totalTasks} tasks (Page ${currentPage}/${totalPages})` :
-                'No tasks found for this community.'
+                t(locale, 'templates.taskList.showing', { shown: tasks.length, total: totalTasks, page: currentPage, pages: totalPages }) :
+                t(locale, 'templates.taskList.empty')
             )
             .setColor(this.colors.primary)
             .setFooter({ 
-                text: 'Powered by Naffles', 
+                text: t(locale, 'common.poweredBy'), 
                 iconURL: this.brandAssets.iconUrl 
             })
             .setTimestamp();
@@ -312,18 +288,18 @@ class EmbedTemplates extends EmbedBuilderService {
                 embed.addFields({
                     name: `${taskNumber}. ${task.title}`,
                     value: [
-                        `**Type:** ${this.formatTaskType(task.type)}`,
-                        `**Reward:** ${task.points} points`,
-                        `**Status:** ${this.formatStatus(task.status)}`,
-                        `**Completed:** ${task.completedBy || 0} users`
+                        t(locale, 'templates.taskList.typeLine', { value: this.formatTaskType(task.type, locale) }),
+                        t(locale, 'templates.taskList.rewardLine', { count: task.points }),
+                        t(locale, 'templates.taskList.statusLine', { value: this.formatStatus(task.status, locale) }),
+                        t(locale, 'templates.taskList.completedLine', { count: task.completedBy || 0 })
                     ].join('\n'),
                     inline: false
                 });
             });
         } else {
             embed.addFields({
-                name: `${this.emojis.info} No Tasks Found`,
-                value: 'Use `/naffles-create-task` to create your first social task!',
+                name: `${this.emojis.info} ${t(locale, 'templates.taskList.noTasksTitle')}`,
+                value: t(locale, 'templates.taskList.noTasksText'),
                 inline: false
             });
         }
@@ -335,7 +311,8 @@ class EmbedTemplates extends EmbedBuilderService {
             components.push(this.createPaginationControls({
                 currentPage,
                 totalPages,
-                customId: 'task_list_page'
+                customId: 'task_list_page',
+                locale
             }));
         }
 
@@ -344,12 +321,12 @@ class EmbedTemplates extends EmbedBuilderService {
             .addComponents(
                 new ButtonBuilder()
                     .setCustomId('create_new_task')
-                    .setLabel('Create Task')
+                    .setLabel(t(locale, 'templates.taskList.createTask'))
                     .setStyle(ButtonStyle.Primary)
                     .setEmoji(this.emojis.task),
                 new ButtonBuilder()
                     .setCustomId('refresh_task_list')
-                    .setLabel('Refresh')
+                    .setLabel(t(locale, 'common.buttons.refresh'))
                     .setStyle(ButtonStyle.Secondary)
                     .setEmoji('🔄')
             );
@@ -359,32 +336,310 @@ class EmbedTemplates extends EmbedBuilderService {
         return { embeds: [embed], components };
     }
 
+    /**
+     * Create leaderboard embed with pagination
+     * @param {Array} entries - Ranked entries for the current page ({ rank, discordId, points, tasks })
+     * @param {Object} paginationData - Pagination information (currentPage, totalPages, totalEntries, customId)
+     * @param {Object} options - Configuration options (locale, period, metric)
+     * @returns {Object} Embed and components
+     */
+    createLeaderboardEmbed(entries, paginationData = {}, options = {}) {
+        const { currentPage = 1, totalPages = 1, totalEntries = 0, customId } = paginationData;
+        const { locale, period = 'all_time', metric = 'points' } = options;
+        const medals = ['🥇', '🥈', '🥉'];
+
+        const lines = entries.map(entry => t(locale, 'leaderboard.entry', {
+            rank: medals[entry.rank - 1] || `**${entry.rank}.**`,
+            userId: entry.discordId,
+            points: t(locale, 'embed.values.points', { count: entry.points }),
+            tasks: t(locale, 'leaderboard.tasks', { count: entry.tasks })
+        }));
+
+        const embed = new EmbedBuilder()
+            .setTitle(`🏆 ${t(locale, `leaderboard.metrics.${metric}`)} · ${t(locale, `leaderboard.periods.${period}`)}`)
+            .setDescription(totalEntries > 0 ? lines.join('\n') : t(locale, 'leaderboard.empty'))
+            .setColor(this.colors.primary)
+            .setFooter({
+                text: t(locale, 'common.poweredBy'),
+                iconURL: this.brandAssets.iconUrl
+            })
+            .setTimestamp();
+
+        if (totalEntries > 0) {
+            embed.addFields({
+                name: `${this.emojis.info} ${t(locale, 'leaderboard.rankedTitle')}`,
+                value: t(locale, 'leaderboard.ranked', { count: totalEntries }),
+                inline: false
+            });
+        }
+
+        const components = [];
+
+        // Add pagination if needed
+        if (totalPages > 1 && customId) {
+            components.push(this.createPaginationControls({
+                currentPage,
+                totalPages,
+                customId,
+                locale
+            }));
+        }
+
+        return { embeds: [embed], components };
+    }
+
+    /**
+     * Create allowlist winner announcement embed
+     * @param {Object} allowlistData - Allowlist information (id, title, prize)
+     * @param {Array} winners - Winners ({ discordId, username })
+     * @param {Object} options - Configuration options
+     * @returns {EmbedBuilder} Announcement embed
+     */
+    createWinnerAnnouncementEmbed(allowlistData, winners, options = {}) {
+        const { locale } = options;
+        const maxListed = 50;
+
+        const names = winners.slice(0, maxListed).map((winner, index) =>
+            `**${index + 1}.** ${winner.discordId ? `<@${winner.discordId}>` : winner.username || t(locale, 'winners.unknownWinner')}`
+        );
+
+        if (winners.length > maxListed) {
+            names.push(t(locale, 'winners.andMore', { count: winners.length - maxListed }));
+        }
+
+        return new EmbedBuilder()
+            .setTitle(`${this.emojis.success} ${t(locale, 'winners.announcementTitle', { title: allowlistData.title })}`)
+            .setDescription(t(locale, 'winners.announcementDescription', { count: winners.length }))
+            .setColor(this.colors.success)
+            .addFields(
+                {
+                    name: `${this.emojis.prize} ${t(locale, 'embed.fields.prize')}`,
+                    value: allowlistData.prize || '—',
+                    inline: true
+                },
+                {
+                    name: `${this.emojis.participants} ${t(locale, 'embed.fields.winners')}`,
+                    value: names.join('\n').substring(0, 1024) || '—',
+                    inline: false
+                },
+                {
+                    name: `${this.emojis.info} ${t(locale, 'winners.howToClaimTitle')}`,
+                    value: t(locale, 'winners.announcementClaim', { url: this.getClaimUrl(allowlistData) }),
+                    inline: false
+                }
+            )
+            .setFooter({
+                text: t(locale, 'common.poweredBy'),
+                iconURL: this.brandAssets.iconUrl
+            })
+            .setTimestamp();
+    }
+
+    /**
+     * Create the claim instructions sent to an allowlist winner
+     * @param {Object} allowlistData - Allowlist information (id, title, prize, claimDeadline)
+     * @param {Object} options - Configuration options (locale, guildName)
+     * @returns {EmbedBuilder} Claim instructions embed
+     */
+    createWinnerClaimEmbed(allowlistData, options = {}) {
+        const { locale, guildName } = options;
+
+        const embed = new EmbedBuilder()
+            .setTitle(`${this.emojis.success} ${t(locale, 'winners.dmTitle', { title: allowlistData.title })}`)
+            .setDescription(t(locale, 'winners.dmDescription', { title: allowlistData.title, server: guildName || 'Discord' }))
+            .setColor(this.colors.success)
+            .setURL(this.getClaimUrl(allowlistData))
+            .addFields(
+                {
+                    name: `${this.emojis.prize} ${t(locale, 'embed.fields.prize')}`,
+                    value: allowlistData.prize || '—',
+                    inline: true
+                },
+                {
+                    name: `${this.emojis.info} ${t(locale, 'winners.howToClaimTitle')}`,
+                    value: t(locale, 'winners.claimSteps', { url: this.getClaimUrl(allowlistData) }),
+                    inline: false
+                }
+            )
+            .setFooter({
+                text: t(locale, 'common.poweredBy'),
+                iconURL: this.brandAssets.iconUrl
+            })
+            .setTimestamp();
+
+        if (allowlistData.claimDeadline) {
+            embed.addFields({
+                name: `${this.emojis.time} ${t(locale, 'winners.claimBy')}`,
+                value: `<t:${Math.floor(new Date(allowlistData.claimDeadline).getTime() / 1000)}:F>`,
+                inline: true
+            });
+        }
+
+        return embed;
+    }
+
+    /**
+     * Get the page where a winner claims an allowlist spot
+     * @private
+     */
+    getClaimUrl(allowlistData) {
+        return allowlistData.claimUrl || `https://naffles.com/allowlist/${allowlistData.id}`;
+    }
+
+    /**
+     * Create the moderator review card for a custom task submission
+     * @param {Object} submission - TaskSubmission document
+     * @param {Object} options - Configuration options
+     * @returns {Object} Embed and components (Approve/Reject while pending)
+     */
+    createTaskSubmissionEmbed(submission, options = {}) {
+        const { locale } = options;
+        const colors = { pending: this.colors.warning, approved: this.colors.success, rejected: this.colors.error };
+
+        const embed = new EmbedBuilder()
+            .setTitle(`${this.emojis.custom} ${t(locale, 'review.cardTitle', { title: submission.task.title })}`)
+            .setColor(colors[submission.status])
+            .addFields(
+                {
+                    name: `${this.emojis.user} ${t(locale, 'review.fields.submittedBy')}`,
+                    value: `<@${submission.discordId}> (${submission.discordUsername || submission.discordId})`,
+                    inline: true
+                },
+                {
+                    name: `${this.emojis.reward} ${t(locale, 'embed.fields.reward')}`,
+                    value: t(locale, 'embed.values.points', { count: submission.task.points }),
+                    inline: true
+                },
+                {
+                    name: `${this.emojis.status} ${t(locale, 'embed.fields.status')}`,
+                    value: t(locale, `review.statuses.${submission.status}`),
+                    inline: true
+                }
+            )
+            .setFooter({
+                text: `${t(locale, 'common.poweredBy')} • ${submission._id}`,
+                iconURL: this.brandAssets.iconUrl
+            })
+            .setTimestamp(submission.createdAt || new Date());
+
+        if (submission.task.instructions) {
+            embed.setDescription(`**${t(locale, 'review.fields.instructions')}:** ${submission.task.instructions}`.substring(0, 4096));
+        }
+
+        if (submission.proof.url) {
+            embed.addFields({ name: `${this.emojis.link} ${t(locale, 'review.fields.proofUrl')}`, value: submission.proof.url.substring(0, 1024), inline: false });
+        }
+
+        if (submission.proof.text) {
+            embed.addFields({ name: `${this.emojis.info} ${t(locale, 'review.fields.proofText')}`, value: submission.proof.text.substring(0, 1024), inline: false });
+        }
+
+        if (submission.status !== 'pending') {
+            embed.addFields(
+                {
+                    name: `${this.emojis.user} ${t(locale, 'review.fields.reviewedBy')}`,
+                    value: `<@${submission.review.reviewedBy}>`,
+                    inline: true
+                },
+                {
+                    name: `${this.emojis.info} ${t(locale, 'review.fields.reason')}`,
+                    value: (submission.review.reason || t(locale, 'review.noReason')).substring(0, 1024),
+                    inline: true
+                }
+            );
+        }
+
+        const buttons = [];
+
+        if (submission.status === 'pending') {
+            buttons.push(
+                new ButtonBuilder()
+                    .setCustomId(`task_review_approve_${submission._id}`)
+                    .setLabel(t(locale, 'review.buttons.approve'))
+                    .setStyle(ButtonStyle.Success)
+                    .setEmoji('✅'),
+                new ButtonBuilder()
+                    .setCustomId(`task_review_reject_${submission._id}`)
+                    .setLabel(t(locale, 'review.buttons.reject'))
+                    .setStyle(ButtonStyle.Danger)
+                    .setEmoji('✖️')
+            );
+        }
+
+        if (submission.proof.url) {
+            buttons.push(
+                new ButtonBuilder()
+                    .setLabel(t(locale, 'review.buttons.openProof'))
+                    .setStyle(ButtonStyle.Link)
+                    .setURL(submission.proof.url)
+                    .setEmoji('🔗')
+            );
+        }
+
+        return {
+            embeds: [embed],
+            components: buttons.length > 0 ? [new ActionRowBuilder().addComponents(buttons)] : []
+        };
+    }
+
+    /**
+     * Create the DM telling a member how their task submission was reviewed
+     * @param {Object} submission - Reviewed TaskSubmission document
+     * @param {Object} options - Configuration options (locale, guildName, roleNames)
+     * @returns {EmbedBuilder} Decision embed
+     */
+    createReviewDecisionEmbed(submission, options = {}) {
+        const { locale, guildName, roleNames = [] } = options;
+        const approved = submission.status === 'approved';
+
+        const embed = new EmbedBuilder()
+            .setTitle(`${approved ? this.emojis.success : this.emojis.error} ${t(locale, approved ? 'review.dmApprovedTitle' : 'review.dmRejectedTitle', { title: submission.task.title })}`)
+            .setDescription(t(locale, approved ? 'review.dmApprovedDescription' : 'review.dmRejectedDescription', {
+                server: guildName || 'Discord',
+                points: t(locale, 'embed.values.points', { count: submission.task.points })
+            }))
+            .setColor(approved ? this.colors.success : this.colors.error)
+            .addFields({
+                name: `${this.emojis.info} ${t(locale, 'review.fields.reason')}`,
+                value: (submission.review.reason || t(locale, 'review.noReason')).substring(0, 1024),
+                inline: false
+            })
+            .setFooter({
+                text: t(locale, 'common.poweredBy'),
+                iconURL: this.brandAssets.iconUrl
+            })
+            .setTimestamp();
+
+        if (roleNames.length > 0) {
+            embed.addFields({
+                name: `${this.emojis.prize} ${t(locale, 'review.fields.rolesGranted')}`,
+                value: roleNames.join(', '),
+                inline: false
+            });
+        }
+
+        return embed;
+    }
+
     /**
      * Create allowlist connection embed
      * @param {Object} allowlistData - Allowlist information
      * @param {string} step - Current step in the process
+     * @param {Object} options - Configuration options
      * @returns {Object} Embed and components
      */
-    createAllowlistConnectionEmbed(allowlistData, step = 'start') {
+    createAllowlistConnectionEmbed(allowlistData, step = 'start', options = {}) {
+        const { locale } = options;
         let embed;
         let buttons = new ActionRowBuilder();
 
         if (step === 'start') {
             embed = new EmbedBuilder()
-                .setTitle(`${this.emojis.allowlist} Connect Allowlist to Discord`)
-                .setDescription([
-                    'Connect an existing Naffles allowlist to this Discord server.',
-                    '',
-                    'This will create an interactive post that allows members to:',
-                    `${this.emojis.allowlist} Enter the allowlist directly from Discord`,
-                    `${this.emojis.info} View detailed allowlist information`,
-                    `${this.emojis.countdown} See real-time countdown and updates`,
-                    '',
-                    'You\'ll need the Allowlist ID from your Naffles dashboard.'
-                ].join('\n'))
+                .setTitle(`${this.emojis.allowlist} ${t(locale, 'templates.allowlistConnection.startTitle')}`)
+                .setDescription(t(locale, 'templates.allowlistConnection.startDescription', this.emojis))
                 .setColor(this.colors.success)
                 .setFooter({ 
-                    text: 'Powered by Naffles', 
+                    text: t(locale, 'common.poweredBy'), 
                     iconURL: this.brandAssets.iconUrl 
                 })
                 .setTimestamp();
@@ -392,48 +647,44 @@ class EmbedTemplates extends EmbedBuilderService {
             buttons.addComponents(
                 new ButtonBuilder()
                     .setURL('https://naffles.com/allowlists')
-                    .setLabel('View Allowlists')
+                    .setLabel(t(locale, 'templates.allowlistConnection.viewAllowlists'))
                     .setStyle(ButtonStyle.Link)
                     .setEmoji('🌐'),
                 new ButtonBuilder()
                     .setCustomId('start_allowlist_connection')
-                    .setLabel('Connect Allowlist')
+                    .setLabel(t(locale, 'templates.allowlistConnection.connectAllowlist'))
                     .setStyle(ButtonStyle.Primary)
                     .setEmoji(this.emojis.allowlist)
             );
         } else if (step === 'preview') {
-            embed = this.createAllowlistEmbed(allowlistData, { preview: true });
-            embed.setTitle(`${this.emojis.allowlist} Allowlist Preview`);
-            embed.setDescription(`Preview of how the allowlist will appear in Discord:\n\n${allowlistData.description}`);
+            embed = this.createAllowlistEmbed(allowlistData, { preview: true, locale });
+            embed.setTitle(`${this.emojis.allowlist} ${t(locale, 'templates.allowlistConnection.previewTitle')}`);
+            embed.setDescription(t(locale, 'templates.allowlistConnection.previewDescription', { description: allowlistData.description }));
 
             buttons.addComponents(
                 new ButtonBuilder()
                     .setCustomId(`confirm_allowlist_connection_${allowlistData.id}`)
-                    .setLabel('Confirm & Post')
+                    .setLabel(t(locale, 'templates.allowlistConnection.confirmPost'))
                     .setStyle(ButtonStyle.Success)
                     .setEmoji(this.emojis.success),
                 new ButtonBuilder()
                     .setCustomId('cancel_allowlist_connection')
-                    .setLabel('Cancel')
+                    .setLabel(t(locale, 'templates.allowlistConnection.cancel'))
                     .setStyle(ButtonStyle.Secondary)
                     .setEmoji(this.emojis.error)
             );
         } else if (step === 'success') {
             embed = new EmbedBuilder()
-                .setTitle(`${this.emojis.success} Allowlist Connected Successfully!`)
-                .setDescription(`The allowlist "${allowlistData.title}" has been posted to this channel with interactive buttons.`)
+                .setTitle(`${this.emojis.success} ${t(locale, 'templates.allowlistConnection.successTitle')}`)
+                .setDescription(t(locale, 'templates.allowlistConnection.successDescription', { title: allowlistData.title }))
                 .setColor(this.colors.success)
                 .addFields({
-                    name: `${this.emojis.info} What Happens Next?`,
-                    value: [
-                        '• Members can enter the allowlist using the button below the post',
-                        '• The post will update automatically with real-time information',
-                        '• You can monitor entries from your Naffles dashboard'
-                    ].join('\n'),
+                    name: `${this.emojis.info} ${t(locale, 'templates.allowlistConnection.whatHappensNext')}`,
+                    value: t(locale, 'templates.allowlistConnection.whatHappensNextSteps'),
                     inline: false
                 })
                 .setFooter({ 
-                    text: 'Powered by Naffles', 
+                    text: t(locale, 'common.poweredBy'), 
                     iconURL: this.brandAssets.iconUrl 
                 })
                 .setTimestamp();
@@ -441,12 +692,12 @@ class EmbedTemplates extends EmbedBuilderService {
             buttons.addComponents(
                 new ButtonBuilder()
                     .setURL(`https://naffles.com/allowlist/${allowlistData.id}`)
-                    .setLabel('View on Naffles')
+                    .setLabel(t(locale, 'common.buttons.viewOnNaffles'))
                     .setStyle(ButtonStyle.Link)
                     .setEmoji('🌐'),
                 new ButtonBuilder()
                     .setCustomId('connect_another_allowlist')
-                    .setLabel('Connect Another')
+                    .setLabel(t(locale, 'templates.allowlistConnection.connectAnother'))
                     .setStyle(ButtonStyle.Primary)
                     .setEmoji(this.emojis.allowlist)
             );
@@ -458,30 +709,23 @@ class EmbedTemplates extends EmbedBuilderService {
     /**
      * Create account linking embed
      * @param {Object} linkingData - Account linking information
+     * @param {Object} options - Configuration options
      * @returns {Object} Embed and components
      */
-    createAccountLinkingEmbed(linkingData = {}) {
+    createAccountLinkingEmbed(linkingData = {}, options = {}) {
         const { step = 'start', oauthUrl, error, username } = linkingData;
+        const { locale } = options;
 
         let embed;
         let buttons = new ActionRowBuilder();
 
         if (step === 'start') {
             embed = new EmbedBuilder()
-                .setTitle(`${this.emojis.link} Link Your Naffles Account`)
-                .setDescription([
-                    'Link your Discord account to your Naffles account to:',
-                    '',
-                    `${this.emojis.task} **Complete Social Tasks** - Automatically verify task completion`,
-                    `${this.emojis.allowlist} **Enter Allowlists** - Seamlessly enter allowlists from Discord`,
-                    `${this.emojis.reward} **Earn Rewards** - Receive points and rewards directly`,
-                    `${this.emojis.community} **Access Features** - Unlock community-specific features`,
-                    '',
-                    'Click the button below to securely link your accounts via OAuth.'
-                ].join('\n'))
+                .setTitle(`${this.emojis.link} ${t(locale, 'templates.accountLinking.startTitle')}`)
+                .setDescription(t(locale, 'templates.accountLinking.startDescription', this.emojis))
                 .setColor(this.colors.info)
                 .setFooter({ 
-                    text: 'Powered by Naffles', 
+                    text: t(locale, 'common.poweredBy'), 
                     iconURL: this.brandAssets.iconUrl 
                 })
                 .setTimestamp();
@@ -490,48 +734,39 @@ class EmbedTemplates extends EmbedBuilderService {
                 buttons.addComponents(
                     new ButtonBuilder()
                         .setURL(oauthUrl)
-                        .setLabel('Link Account')
+                        .setLabel(t(locale, 'templates.accountLinking.linkAccount'))
                         .setStyle(ButtonStyle.Link)
                         .setEmoji(this.emojis.link)
                 );
             }
         } else if (step === 'success') {
             embed = new EmbedBuilder()
-                .setTitle(`${this.emojis.success} Account Successfully Linked!`)
-                .setDescription(`Your Discord account has been linked to Naffles account: **${username}**`)
+                .setTitle(`${this.emojis.success} ${t(locale, 'templates.accountLinking.successTitle')}`)
+                .setDescription(t(locale, 'templates.accountLinking.successDescription', { username }))
                 .setColor(this.colors.success)
                 .addFields({
-                    name: `${this.emojis.info} You Can Now:`,
-                    value: [
-                        '• Complete social tasks directly from Discord',
-                        '• Enter allowlists with one click',
-                        '• Receive automatic reward notifications',
-                        '• Access all community features'
-                    ].join('\n'),
+                    name: `${this.emojis.info} ${t(locale, 'templates.accountLinking.youCanNow')}`,
+                    value: t(locale, 'templates.accountLinking.youCanNowSteps'),
                     inline: false
                 })
                 .setFooter({ 
-                    text: 'Powered by Naffles', 
+                    text: t(locale, 'common.poweredBy'), 
                     iconURL: this.brandAssets.iconUrl 
                 })
                 .setTimestamp();
         } else if (step === 'error') {
             embed = this.createErrorEmbed(
-                error || 'Failed to link account',
+                error || t(locale, 'templates.accountLinking.errorDefault'),
                 {
-                    troubleshooting: [
-                        '• Ensure you have a Naffles account',
-                        '• Check that you completed the OAuth process',
-                        '• Try clearing your browser cache and cookies',
-                        '• Contact support if the issue persists'
-                    ].join('\n')
+                    locale,
+                    troubleshooting: t(locale, 'templates.accountLinking.errorTroubleshooting')
                 }
             );
 
             buttons.addComponents(
                 new ButtonBuilder()
                     .setCustomId('retry_account_linking')
-                    .setLabel('Try Again')
+                    .setLabel(t(locale, 'common.buttons.tryAgain'))
                     .setStyle(ButtonStyle.Primary)
                     .setEmoji('🔄')
             );
@@ -540,6 +775,16 @@ class EmbedTemplates extends EmbedBuilderService {
         return { embeds: [embed], components: buttons.components.length > 0 ? [buttons] : [] };
     }
 
+    /**
+     * Format a connected/disconnected status line
+     * @private
+     */
+    formatConnectionStatus(connected, locale) {
+        return connected
+            ? `${this.emojis.success} ${t(locale, 'templates.status.connected')}`
+            : `${this.emojis.error} ${t(locale, 'templates.status.disconnected')}`;
+    }
+
     /**
      * Format uptime in human-readable format
      * @private
@@ -6,10 +6,12 @@ const EmbedBuilderService = require('./embedBuilder');
  * Handles dynamic updates to Discord embeds with real-time data synchronization
  */
 class EmbedUpdateService {
-    constructor(client, databaseService, redisService) {
+    constructor(client, databaseService, redisService, shardCoordinator = null) {
         this.client = client;
         this.db = databaseService;
         this.redis = redisService;
+        // Routes updates to the shard that owns the embed's guild
+        this.shardCoordinator = shardCoordinator;
         this.embedBuilder = new EmbedBuilderService();
         
         // Track active embeds for updates
@@ -21,6 +23,18 @@ class EmbedUpdateService {
         // Rate limiting for updates
         this.updateCooldowns = new Map();
         this.cooldownDuration = 5000; // 5 seconds between updates
+
+        // Renderers for embed types owned by other services
+        this.renderers = new Map();
+    }
+
+    /**
+     * Register a renderer for an embed type that builds its own message content
+     * @param {string} type - Embed type (e.g. 'leaderboard')
+     * @param {Function} renderer - async (embedInfo, updateData) => message edit options, or null to skip
+     */
+    registerRenderer(type, renderer) {
+        this.renderers.set(type, renderer);
     }
 
     /**
@@ -34,23 +48,11 @@ class EmbedUpdateService {
                 guildId,
                 channelId,
                 messageId,
-                type, // 'task' or 'allowlist'
-                dataId, // task ID or allowlist ID
+                type, // 'task', 'allowlist' or a type with a registered renderer
+                dataId, // task ID, allowlist ID or renderer-specific data
                 updateFrequency = 30000 // 30 seconds default
             } = embedInfo;
 
-            // Store embed information
-            this.activeEmbeds.set(embedId, {
-                guildId,
-                channelId,
-                messageId,
-                type,
-                dataId,
-                updateFrequency,
-                lastUpdate: Date.now(),
-                isActive: true
-            });
-
             // Store in Redis for persistence across restarts
             await this.redis.setex(
                 `embed_update:${embedId}`,
@@ -58,8 +60,14 @@ class EmbedUpdateService {
                 JSON.stringify(embedInfo)
             );
 
-            // Start update interval if needed
-            this.startUpdateInterval(embedId, updateFrequency);
+            // Scheduled updates run on the shard that owns the guild
+            if (!this.ownsGuild(guildId)) {
+                await this.shardCoordinator.broadcast('embed_register', { embedId, embedInfo });
+                logger.info(`Handed embed to the shard owning guild ${guildId}: ${embedId}`);
+                return;
+            }
+
+            this.activateEmbed(embedId, { guildId, channelId, messageId, type, dataId, updateFrequency });
 
             logger.info(`Registered embed for updates: ${embedId}`);
         } catch (error) {
@@ -73,18 +81,16 @@ class EmbedUpdateService {
      */
     async unregisterEmbedFromUpdates(embedId) {
         try {
-            // Remove from active embeds
-            this.activeEmbeds.delete(embedId);
-
-            // Clear update interval
-            if (this.updateIntervals.has(embedId)) {
-                clearInterval(this.updateIntervals.get(embedId));
-                this.updateIntervals.delete(embedId);
-            }
+            const wasLocal = this.deactivateEmbed(embedId);
 
             // Remove from Redis
             await this.redis.del(`embed_update:${embedId}`);
 
+            // Stop the owning shard's schedule
+            if (!wasLocal && this.shardCoordinator?.isSharded()) {
+                await this.shardCoordinator.broadcast('embed_unregister', { embedId });
+            }
+
             logger.info(`Unregistered embed from updates: ${embedId}`);
         } catch (error) {
             logger.error('Error unregistering embed from updates:', error);
@@ -100,6 +106,11 @@ class EmbedUpdateService {
     async updateEmbed(embedId, updateData, force = false) {
         try {
             const embedInfo = this.activeEmbeds.get(embedId);
+            if (!embedInfo && this.shardCoordinator?.isSharded()) {
+                // Tracked by another shard: let the owner apply the update
+                return await this.shardCoordinator.broadcast('embed_update', { embedId, updateData, force });
+            }
+
             if (!embedInfo || !embedInfo.isActive) {
                 logger.warn(`Embed not found or inactive: ${embedId}`);
                 return false;
@@ -135,7 +146,13 @@ class EmbedUpdateService {
 
             // Create updated embed
             let updatedEmbed;
-            if (embedInfo.type === 'task') {
+            let content = null;
+            if (this.renderers.has(embedInfo.type)) {
+                content = await this.renderers.get(embedInfo.type)(embedInfo, updateData);
+                if (!content) {
+                    return false;
+                }
+            } else if (embedInfo.type === 'task') {
                 updatedEmbed = await this.updateTaskEmbed(currentEmbed, updateData);
             } else if (embedInfo.type === 'allowlist') {
                 updatedEmbed = await this.updateAllowlistEmbed(currentEmbed, updateData);
@@ -145,7 +162,7 @@ class EmbedUpdateService {
             }
 
             // Update the message
-            await message.edit({ embeds: [updatedEmbed] });
+            await message.edit(content || { embeds: [updatedEmbed] });
 
             // Update cooldown
             this.updateCooldowns.set(embedId, Date.now());
@@ -155,6 +172,11 @@ class EmbedUpdateService {
             return true;
         } catch (error) {
             logger.error(`Error updating embed ${embedId}:`, error);
+
+            // Unknown Channel / Unknown Message: the embed was deleted
+            if (error.code === 10003 || error.code === 10008) {
+                await this.unregisterEmbedFromUpdates(embedId);
+            }
             return false;
         }
     }
@@ -250,6 +272,74 @@ class EmbedUpdateService {
         }
     }
 
+    /**
+     * Check whether scheduled updates for a guild run in this process
+     * @private
+     */
+    ownsGuild(guildId) {
+        return !this.shardCoordinator || this.shardCoordinator.ownsGuild(guildId);
+    }
+
+    /**
+     * Track an embed locally and start its update interval
+     * @private
+     */
+    activateEmbed(embedId, embedInfo) {
+        this.activeEmbeds.set(embedId, {
+            guildId: embedInfo.guildId,
+            channelId: embedInfo.channelId,
+            messageId: embedInfo.messageId,
+            type: embedInfo.type,
+            dataId: embedInfo.dataId,
+            updateFrequency: embedInfo.updateFrequency || 30000,
+            lastUpdate: Date.now(),
+            isActive: true
+        });
+
+        this.startUpdateInterval(embedId, embedInfo.updateFrequency || 30000);
+    }
+
+    /**
+     * Stop tracking an embed locally
+     * @private
+     * @returns {boolean} True when the embed was tracked here
+     */
+    deactivateEmbed(embedId) {
+        if (this.updateIntervals.has(embedId)) {
+            clearInterval(this.updateIntervals.get(embedId));
+            this.updateIntervals.delete(embedId);
+        }
+
+        return this.activeEmbeds.delete(embedId);
+    }
+
+    /**
+     * Handle embed events from other shards
+     * @private
+     */
+    setupShardListeners() {
+        if (!this.shardCoordinator?.isSharded()) {
+            return;
+        }
+
+        this.shardCoordinator.on('embed_register', ({ embedId, embedInfo }) => {
+            if (this.ownsGuild(embedInfo.guildId)) {
+                this.activateEmbed(embedId, embedInfo);
+                logger.info(`Took over embed updates from another shard: ${embedId}`);
+            }
+        });
+
+        this.shardCoordinator.on('embed_update', async ({ embedId, updateData, force }) => {
+            if (this.activeEmbeds.has(embedId)) {
+                await this.updateEmbed(embedId, updateData, force);
+            }
+        });
+
+        this.shardCoordinator.on('embed_unregister', ({ embedId }) => {
+            this.deactivateEmbed(embedId);
+        });
+    }
+
     /**
      * Start automatic update interval for an embed
      * @private
@@ -281,7 +371,10 @@ class EmbedUpdateService {
 
             // Fetch latest data from database/API
             let latestData;
-            if (embedInfo.type === 'task') {
+            if (this.renderers.has(embedInfo.type)) {
+                // Renderers fetch their own data
+                latestData = {};
+            } else if (embedInfo.type === 'task') {
                 latestData = await this.fetchLatestTaskData(embedInfo.dataId);
             } else if (embedInfo.type === 'allowlist') {
                 latestData = await this.fetchLatestAllowlistData(embedInfo.dataId);
@@ -398,22 +491,22 @@ class EmbedUpdateService {
      */
     async initialize() {
         try {
+            this.setupShardListeners();
+
             // Restore active embeds from Redis
             const keys = await this.redis.keys('embed_update:*');
             
             for (const key of keys) {
                 const embedId = key.replace('embed_update:', '');
-                const embedInfoStr = await this.redis.get(key);
+                const storedInfo = await this.redis.get(key);
                 
-                if (embedInfoStr) {
-                    const embedInfo = JSON.parse(embedInfoStr);
-                    this.activeEmbeds.set(embedId, {
-                        ...embedInfo,
-                        lastUpdate: Date.now(),
-                        isActive: true
-                    });
-                    
-                    this.startUpdateInterval(embedId, embedInfo.updateFrequency || 30000);
+                if (storedInfo) {
+                    const embedInfo = typeof storedInfo === 'string' ? JSON.parse(storedInfo) : storedInfo;
+
+                    // Other shards restore the embeds of their own guilds
+                    if (this.ownsGuild(embedInfo.guildId)) {
+                        this.activateEmbed(embedId, embedInfo);
+                    }
                 }
             }
 
@@ -1,5 +1,7 @@
 const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
 const logger = require('../utils/logger');
+const { t } = require('../utils/i18n');
+const MaintenanceService = require('./maintenanceService');
 
 /**
  * Fallback Service - Handles graceful degradation and fallback mechanisms
@@ -34,13 +36,8 @@ class FallbackService {
             backoffMultiplier: 2
         };
         
-        // Maintenance mode tracking
-        this.maintenanceMode = {
-            active: false,
-            reason: null,
-            startTime: null,
-            estimatedEndTime: null
-        };
+        // Maintenance mode is kept by the bot's maintenance controller
+        this.maintenance = botService?.maintenance || new MaintenanceService();
         
         // Service availability tracking
         this.serviceStatus = {
@@ -493,36 +490,23 @@ class FallbackService {
     /**
      * Create user-friendly error message
      * @param {Error} error - Original error
-     * @param {Object} options - Message options
+     * @param {Object} options - Message options (context, suggestAlternatives, locale)
      * @returns {Object} User-friendly message
      */
     createUserFriendlyMessage(error, options = {}) {
-        const { context, suggestAlternatives } = options;
+        const { context, suggestAlternatives, locale } = options;
+        const contexts = ['task_creation', 'allowlist_management', 'community_linking'];
 
-        let message = '⚠️ **Something went wrong**\n\n';
-        
         // Provide context-specific messaging
-        switch (context) {
-            case 'task_creation':
-                message += 'We couldn\'t create your task right now. ';
-                break;
-            case 'allowlist_management':
-                message += 'We couldn\'t access your allowlist data right now. ';
-                break;
-            case 'community_linking':
-                message += 'We couldn\'t link your community right now. ';
-                break;
-            default:
-                message += 'The requested operation couldn\'t be completed right now. ';
-        }
+        const contextMessage = t(locale, `fallback.contexts.${contexts.includes(context) ? context : 'default'}`);
 
-        message += 'This is usually temporary and should resolve quickly.\n\n';
+        const message = `${t(locale, 'fallback.somethingWentWrong')}\n\n${contextMessage} ${t(locale, 'fallback.temporary')}\n\n`;
 
         const alternatives = [];
         if (suggestAlternatives) {
-            alternatives.push('Try again in a few minutes');
-            alternatives.push(`Visit [naffles.com](${this.fallbackConfig.websiteUrl}) for full functionality`);
-            alternatives.push(`Contact [support](${this.fallbackConfig.supportUrl}) if this persists`);
+            alternatives.push(t(locale, 'fallback.alternatives.tryAgain'));
+            alternatives.push(t(locale, 'fallback.alternatives.visitWebsite', { url: this.fallbackConfig.websiteUrl }));
+            alternatives.push(t(locale, 'fallback.alternatives.contactSupport', { url: this.fallbackConfig.supportUrl }));
         }
 
         return { message, alternatives };
@@ -640,40 +624,31 @@ class FallbackService {
     }
 
     /**
-     * Enable maintenance mode
+     * Put the whole bot into maintenance now
      * @param {Object} maintenanceInfo - Maintenance information
+     * @returns {Promise<Object>} Maintenance controller result
      */
     enableMaintenanceMode(maintenanceInfo) {
-        this.maintenanceMode = {
-            active: true,
-            reason: maintenanceInfo.reason || 'Scheduled maintenance',
-            startTime: new Date(),
-            estimatedEndTime: maintenanceInfo.estimatedEndTime || null
-        };
-
-        logger.info('Maintenance mode enabled', this.maintenanceMode);
+        return this.maintenance.schedule({
+            reason: maintenanceInfo.reason,
+            endsAt: maintenanceInfo.estimatedEndTime
+        });
     }
 
     /**
-     * Disable maintenance mode
+     * End bot-wide maintenance that is in effect
+     * @returns {Promise<Array<Object>>} Ended windows
      */
     disableMaintenanceMode() {
-        this.maintenanceMode = {
-            active: false,
-            reason: null,
-            startTime: null,
-            estimatedEndTime: null
-        };
-
-        logger.info('Maintenance mode disabled');
+        return this.maintenance.endActive(window => window.guildIds.length === 0 && window.features.length === 0);
     }
 
     /**
-     * Check if maintenance mode is active
+     * Check if bot-wide maintenance is in effect
      * @returns {boolean} Maintenance mode status
      */
     isMaintenanceModeActive() {
-        return this.maintenanceMode.active;
+        return Boolean(this.maintenance.getActiveWindow());
     }
 
     /**
@@ -0,0 +1,163 @@
+const logger = require('../utils/logger');
+const DiscordServerMapping = require('../models/discordServerMapping');
+const CommandRegistrationPlanner = require('../handlers/commandRegistrationPlanner');
+const { localizeCommandData } = require('../utils/i18n');
+
+/**
+ * Guild Feature Service
+ * Stores per-guild feature flags in discordServerMapping.botConfig and keeps
+ * each guild's feature-gated slash commands (commands whose registry entry
+ * names a `feature`) registered to match them.
+ */
+class GuildFeatureService {
+    constructor(botService) {
+        this.botService = botService;
+        this.planner = new CommandRegistrationPlanner(botService.rest, process.env.DISCORD_CLIENT_ID);
+    }
+
+    /**
+     * @returns {Array<string>} Feature flags a guild can opt into
+     */
+    getAvailableFeatures() {
+        return this.botService.commandRegistry.getFeatures();
+    }
+
+    /**
+     * Get a guild's feature flags
+     * @param {string} guildId - Discord guild ID
+     * @returns {Promise<Array<string>>} Enabled features
+     */
+    async getGuildFeatures(guildId) {
+        try {
+            const mapping = await DiscordServerMapping.findOne({ guildId, isActive: true })
+                .select('botConfig.featureFlags')
+                .lean();
+
+            return mapping?.botConfig?.featureFlags || [];
+        } catch (error) {
+            logger.error('Error loading guild feature flags:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Turn a feature on or off for a guild and update its commands
+     * @param {string} guildId - Discord guild ID
+     * @param {string} feature - Feature flag
+     * @param {boolean} enabled - Whether the guild opts in
+     * @param {string} userId - User making the change
+     * @returns {Promise<Object>} Result with success status
+     */
+    async setGuildFeature(guildId, feature, enabled, userId) {
+        if (!this.getAvailableFeatures().includes(feature)) {
+            return { success: false, reason: 'invalid_feature', message: `Unknown feature: ${feature}` };
+        }
+
+        try {
+            const update = enabled
+                ? { $addToSet: { 'botConfig.featureFlags': feature } }
+                : { $pull: { 'botConfig.featureFlags': feature } };
+            const mapping = await DiscordServerMapping.findOneAndUpdate(
+                { guildId, isActive: true },
+                update,
+                { new: true }
+            );
+
+            if (!mapping) {
+                return { success: false, reason: 'not_linked', message: 'Server is not linked to a community' };
+            }
+
+            if (this.botService.auditLogger) {
+                await this.botService.auditLogger.logConfigChange(userId, guildId, 'feature_flags', { [feature]: enabled });
+            }
+
+            logger.info(`Feature ${feature} ${enabled ? 'enabled' : 'disabled'} for guild ${guildId}`);
+
+            const featureFlags = mapping.botConfig.featureFlags;
+            const sync = await this.syncGuildCommands(guildId, { featureFlags });
+
+            return { success: true, featureFlags, sync };
+        } catch (error) {
+            logger.error('Error setting guild feature flag:', error);
+            return { success: false, reason: 'error', message: error.message };
+        }
+    }
+
+    /**
+     * Plan the feature-gated commands for a guild. Other guild commands are
+     * only touched with `includeGlobal`, which plans the guild's full set
+     * (ungated commands plus the features it opted into) for testing guilds.
+     * @param {string} guildId - Discord guild ID
+     * @param {Array<string>|null} featureFlags - Flags to plan for (loaded when null)
+     * @param {Object} options - { includeGlobal }
+     * @returns {Promise<Object>} Registration plan
+     */
+    async planGuildCommands(guildId, featureFlags = null, options = {}) {
+        const registry = this.botService.commandRegistry;
+        const flags = featureFlags || await this.getGuildFeatures(guildId);
+        const commands = [
+            ...(options.includeGlobal ? registry.getGlobalCommandData() : []),
+            ...registry.getFeatureCommandData(flags)
+        ].map(localizeCommandData);
+
+        const plan = await this.planner.plan(commands, guildId);
+
+        if (!options.includeGlobal) {
+            // Leave guild copies of ungated commands to register-guild
+            const gated = new Set(registry.getFeatureCommandData(registry.getFeatures()).map(command => command.name));
+            plan.delete = plan.delete.filter(({ name }) => gated.has(name));
+        }
+
+        return plan;
+    }
+
+    /**
+     * Register, update and remove a guild's feature-gated commands
+     * @param {string} guildId - Discord guild ID
+     * @param {Object} options - { featureFlags, dryRun, includeGlobal }
+     * @returns {Promise<Object>} { plan, applied }
+     */
+    async syncGuildCommands(guildId, options = {}) {
+        const plan = await this.planGuildCommands(guildId, options.featureFlags || null, {
+            includeGlobal: options.includeGlobal
+        });
+
+        if (options.dryRun || !CommandRegistrationPlanner.hasChanges(plan)) {
+            return { plan, applied: false };
+        }
+
+        await this.planner.apply(plan);
+        return { plan, applied: true };
+    }
+
+    /**
+     * Sync the commands of every guild that opted into a feature
+     * @param {Object} options - { dryRun }
+     * @returns {Promise<Array<Object>>} [{ guildId, plan, applied, error }]
+     */
+    async syncAllGuildCommands(options = {}) {
+        const mappings = await DiscordServerMapping.find({
+            isActive: true,
+            'botConfig.featureFlags.0': { $exists: true }
+        }).select('guildId botConfig.featureFlags').lean();
+
+        const results = [];
+
+        for (const mapping of mappings) {
+            try {
+                const result = await this.syncGuildCommands(mapping.guildId, {
+                    featureFlags: mapping.botConfig.featureFlags,
+                    dryRun: options.dryRun
+                });
+                results.push({ guildId: mapping.guildId, ...result });
+            } catch (error) {
+                logger.error(`Failed to sync feature commands for guild ${mapping.guildId}:`, error);
+                results.push({ guildId: mapping.guildId, applied: false, error: error.message });
+            }
+        }
+
+        return results;
+    }
+}
+
+module.exports = GuildFeatureService;
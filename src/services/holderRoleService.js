@@ -0,0 +1,563 @@
+const logger = require('../utils/logger');
+const HolderRoleRule = require('../models/holderRoleRule');
+const RoleRewardGrant = require('../models/roleRewardGrant');
+const DiscordAccountLink = require('../models/discordAccountLink');
+
+// Solana mints are base58; everything else is an EVM address
+const CONTRACT_PATTERNS = {
+    solana: /^[1-9A-HJ-NP-Za-km-z]{32,44}$/,
+    evm: /^0x[a-fA-F0-9]{40}$/
+};
+
+/**
+ * Holder Role Service
+ * Grants Discord roles to linked members who hold an NFT collection or a
+ * token balance, verified through taskEligibilityService and the Naffles
+ * API. Members are verified when they link their account or join a server,
+ * and current holders are re-checked on a schedule. Grants are stored as
+ * role reward grants (source `holder_rule`) so only roles the bot granted are
+ * ever revoked. A rule only revokes once an admin has reviewed a dry-run
+ * report and switched it to enforce.
+ */
+class HolderRoleService {
+    constructor(botService) {
+        this.botService = botService;
+
+        this.recheckInterval = null;
+        this.recheckFrequency = (parseInt(process.env.HOLDER_ROLE_RECHECK_HOURS, 10) || 6) * 60 * 60 * 1000;
+        this.maxMembersPerRecheck = 1000;
+        this.maxReportedUsers = 50;
+        this.reviewMaxAge = 24 * 60 * 60 * 1000; // Enforcing needs an admin-requested report this recent
+        this.isRechecking = false;
+
+        this.stats = {
+            membersVerified: 0,
+            rolesGranted: 0,
+            rolesRevoked: 0,
+            verificationErrors: 0,
+            lastRecheck: null
+        };
+    }
+
+    /**
+     * Start the background re-check of current holders
+     */
+    start() {
+        if (this.recheckInterval) {
+            logger.warn('Holder role re-check job is already running');
+            return;
+        }
+
+        this.recheckInterval = setInterval(() => {
+            this.processRechecks();
+        }, this.recheckFrequency);
+
+        logger.info('Holder role re-check job started');
+    }
+
+    /**
+     * Stop the re-check job
+     */
+    stop() {
+        if (this.recheckInterval) {
+            clearInterval(this.recheckInterval);
+            this.recheckInterval = null;
+            logger.info('Holder role re-check job stopped');
+        }
+    }
+
+    /**
+     * Create or update the holder rule for a role. Changing a rule puts it
+     * back in dry run until an admin reviews a new report.
+     * @param {Object} guild - Discord guild
+     * @param {Object} ruleOptions - { roleId, ruleType, chain, contractAddress, minimumBalance, traits }
+     * @param {Object} configuringMember - Member configuring the rule
+     * @returns {Promise<Object>} { success, reason, message, rule }
+     */
+    async configureRule(guild, ruleOptions, configuringMember) {
+        try {
+            const { roleId, ruleType, chain, minimumBalance = 1, traits = [] } = ruleOptions;
+            const contractAddress = (ruleOptions.contractAddress || '').trim();
+
+            if (!HolderRoleRule.SUPPORTED_CHAINS.includes(chain)) {
+                return { success: false, reason: 'invalid_chain', message: `Unsupported chain. Use one of: ${HolderRoleRule.SUPPORTED_CHAINS.join(', ')}.` };
+            }
+
+            if (!CONTRACT_PATTERNS[chain === 'solana' ? 'solana' : 'evm'].test(contractAddress)) {
+                return { success: false, reason: 'invalid_contract', message: `That is not a valid ${chain} contract address.` };
+            }
+
+            if (!(minimumBalance > 0) || (ruleType === 'nft' && !Number.isInteger(minimumBalance))) {
+                return { success: false, reason: 'invalid_balance', message: 'The minimum must be above 0, and a whole number for NFTs.' };
+            }
+
+            if (ruleType === 'token' && traits.length > 0) {
+                return { success: false, reason: 'invalid_traits', message: 'Trait filters only apply to NFT rules.' };
+            }
+
+            const check = await this.botService.roleRewards.validateRoleAssignable(guild, roleId, configuringMember);
+            if (!check.valid) {
+                return { success: false, reason: check.reason, message: check.message };
+            }
+
+            const rule = await HolderRoleRule.findOneAndUpdate(
+                { guildId: guild.id, roleId },
+                {
+                    $set: {
+                        roleName: check.role.name,
+                        ruleType,
+                        chain,
+                        contractAddress: chain === 'solana' ? contractAddress : contractAddress.toLowerCase(),
+                        minimumBalance,
+                        traits,
+                        enforcement: 'dry_run',
+                        isActive: true,
+                        configuredBy: configuringMember.id
+                    },
+                    $unset: { lastReport: '', reviewedReport: '' }
+                },
+                { new: true, upsert: true, setDefaultsOnInsert: true, runValidators: true }
+            );
+
+            await this.botService.auditLogger.logConfigChange(configuringMember.id, guild.id, 'holder_role', {
+                roleId,
+                ruleType,
+                chain,
+                contractAddress: rule.contractAddress,
+                minimumBalance,
+                traits
+            });
+
+            logger.info('Holder role rule configured', { guildId: guild.id, roleId, ruleType, chain });
+
+            return { success: true, rule };
+
+        } catch (error) {
+            logger.error('Error configuring holder role rule:', error);
+            return { success: false, reason: 'processing_error', message: 'Failed to save the holder role rule.' };
+        }
+    }
+
+    /**
+     * Remove a role's holder rule. Roles already granted are kept.
+     * @param {string} guildId - Guild ID
+     * @param {string} roleId - Role ID
+     * @param {string} userId - User removing the rule
+     * @returns {Promise<Object|null>} Removed rule, or null if not found
+     */
+    async removeRule(guildId, roleId, userId) {
+        const rule = await HolderRoleRule.findOneAndDelete({ guildId, roleId });
+
+        if (rule) {
+            await this.botService.auditLogger.logConfigChange(userId, guildId, 'holder_role', {
+                roleId,
+                removed: true
+            });
+        }
+
+        return rule;
+    }
+
+    /**
+     * Switch a rule between dry run and enforce. Enforcing needs a report an
+     * admin requested in the last reviewMaxAge for the rule's current
+     * requirements; scheduled re-checks don't count.
+     * @param {string} guildId - Guild ID
+     * @param {string} roleId - Role ID
+     * @param {boolean} enforce - Revoke roles from members below the requirement
+     * @param {string} userId - User making the change
+     * @returns {Promise<Object>} { success, reason, message, rule }
+     */
+    async setEnforcement(guildId, roleId, enforce, userId) {
+        const rule = await HolderRoleRule.findOne({ guildId, roleId, isActive: true });
+        if (!rule) {
+            return { success: false, reason: 'not_found', message: 'No holder rule is set for that role.' };
+        }
+
+        const reviewedAt = rule.reviewedReport?.generatedAt;
+        if (enforce && !(reviewedAt && Date.now() - reviewedAt.getTime() < this.reviewMaxAge)) {
+            return {
+                success: false,
+                reason: 'report_required',
+                message: 'Review a dry-run report from the last 24 hours first: run `/naffles-holder-roles recheck`.'
+            };
+        }
+
+        rule.enforcement = enforce ? 'enforce' : 'dry_run';
+        await rule.save();
+
+        await this.botService.auditLogger.logConfigChange(userId, guildId, 'holder_role', {
+            roleId,
+            enforcement: rule.enforcement,
+            belowThreshold: rule.reviewedReport?.belowThreshold
+        });
+
+        return { success: true, rule };
+    }
+
+    /**
+     * List a guild's holder rules
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<Array>} Holder rules
+     */
+    async listRules(guildId) {
+        try {
+            return await HolderRoleRule.findByGuild(guildId);
+        } catch (error) {
+            logger.error('Error listing holder role rules:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Check one Naffles user against a rule
+     * @param {Object} rule - Holder rule
+     * @param {string} nafflesUserId - Naffles user ID
+     * @returns {Promise<Object>} { eligible (null when it could not be checked), balance, error }
+     */
+    async checkHolding(rule, nafflesUserId) {
+        const taskEligibility = this.botService.taskEligibility;
+        const result = rule.ruleType === 'nft'
+            ? await taskEligibility.validateNFTOwnership(rule.toRequirement(), { id: nafflesUserId })
+            : await taskEligibility.validateTokenBalance(rule.toRequirement(), { id: nafflesUserId });
+
+        if (result.reason === 'validation_error') {
+            this.stats.verificationErrors++;
+            return { eligible: null, balance: null, error: result.message };
+        }
+
+        return {
+            eligible: result.valid,
+            balance: rule.ruleType === 'nft' ? result.ownedCount : result.currentBalance
+        };
+    }
+
+    /**
+     * Verify a member against their server's rules and grant the roles they
+     * qualify for. Never revokes; that is left to the re-check.
+     * @param {Object} member - Discord guild member
+     * @returns {Promise<Object>} { linked, granted: [roleId] }
+     */
+    async verifyMember(member) {
+        if (!this.isDatabaseAvailable()) {
+            return { linked: null, granted: [] };
+        }
+
+        try {
+            const rules = await HolderRoleRule.findByGuild(member.guild.id);
+            if (rules.length === 0 || member.user?.bot) {
+                return { linked: null, granted: [] };
+            }
+
+            const accountLink = await DiscordAccountLink.findByDiscord(member.id);
+            if (!accountLink) {
+                return { linked: false, granted: [] };
+            }
+
+            const granted = [];
+            for (const rule of rules) {
+                const holding = await this.checkHolding(rule, accountLink.nafflesUserId);
+                if (holding.eligible) {
+                    const result = await this.grantRole(rule, member, holding.balance);
+                    if (result.success) {
+                        granted.push(rule.roleId);
+                    }
+                }
+            }
+
+            this.stats.membersVerified++;
+            return { linked: true, granted };
+
+        } catch (error) {
+            logger.error('Error verifying holder roles:', { guildId: member.guild?.id, userId: member.id, error: error.message });
+            return { linked: null, granted: [] };
+        }
+    }
+
+    /**
+     * Verify a newly linked account in every server with holder rules
+     * @param {string} discordId - Discord user ID
+     * @returns {Promise<number>} Roles granted
+     */
+    async handleAccountLinked(discordId) {
+        if (!this.isDatabaseAvailable()) {
+            return 0;
+        }
+
+        try {
+            const guildIds = await HolderRoleRule.findGuildIdsWithRules();
+            let granted = 0;
+
+            for (const guildId of guildIds) {
+                // Each shard handles the servers it can reach
+                const guild = this.botService.client.guilds.cache.get(guildId);
+                const member = guild ? await guild.members.fetch(discordId).catch(() => null) : null;
+                if (member) {
+                    granted += (await this.verifyMember(member)).granted.length;
+                }
+            }
+
+            return granted;
+        } catch (error) {
+            logger.error('Error verifying holder roles for linked account:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Add a holder role to a member and record the grant
+     * @param {Object} rule - Holder rule
+     * @param {Object} member - Discord guild member
+     * @param {number} balance - Verified balance
+     * @returns {Promise<Object>} { success, reason }
+     */
+    async grantRole(rule, member, balance) {
+        const source = { type: 'holder_rule', id: rule._id.toString() };
+
+        try {
+            if (await RoleRewardGrant.findActiveGrant(rule.guildId, member.id, rule.roleId)) {
+                return { success: false, reason: 'already_granted' };
+            }
+
+            if (member.roles.cache.has(rule.roleId)) {
+                // Role was given some other way; leave it untracked so re-checks never remove it
+                return { success: false, reason: 'already_has_role' };
+            }
+
+            const check = await this.botService.roleRewards.validateRoleAssignable(member.guild, rule.roleId);
+            if (!check.valid) {
+                await this.botService.auditLogger.logRoleRewardEvent(member.id, rule.guildId, 'grant_failed', {
+                    roleId: rule.roleId,
+                    source,
+                    reason: check.reason
+                });
+                return { success: false, reason: check.reason };
+            }
+
+            await member.roles.add(rule.roleId, `Naffles holder role: ${rule.describe()}`);
+            await RoleRewardGrant.create({
+                guildId: rule.guildId,
+                userId: member.id,
+                roleId: rule.roleId,
+                source
+            });
+
+            rule.grantCount += 1;
+            rule.lastGrantedAt = new Date();
+            await rule.save();
+
+            this.stats.rolesGranted++;
+
+            await this.botService.auditLogger.logRoleRewardEvent(member.id, rule.guildId, 'holder_granted', {
+                roleId: rule.roleId,
+                source,
+                balance
+            });
+
+            return { success: true };
+
+        } catch (error) {
+            logger.error('Error granting holder role:', {
+                guildId: rule.guildId,
+                userId: member.id,
+                roleId: rule.roleId,
+                error: error.message
+            });
+            return { success: false, reason: 'processing_error' };
+        }
+    }
+
+    /**
+     * Re-check a server's holders. Members who now qualify get the role;
+     * members below the requirement lose it only under enforcing rules.
+     * @param {Object} guild - Discord guild
+     * @param {Object} options - { preview: report without changing any roles, userId: admin who asked }
+     * @returns {Promise<Array>} One report per rule
+     */
+    async recheckGuild(guild, { preview = false, userId = null } = {}) {
+        const rules = await HolderRoleRule.findByGuild(guild.id);
+        if (rules.length === 0) {
+            return [];
+        }
+
+        const grants = await RoleRewardGrant.find({ guildId: guild.id, status: 'active', 'source.type': 'holder_rule' });
+
+        // Current holders plus linked members who may have become holders
+        const memberIds = Array.from(guild.members.cache.values())
+            .filter(member => !member.user?.bot)
+            .map(member => member.id);
+        const candidateIds = [...new Set([...grants.map(grant => grant.userId), ...memberIds])].slice(0, this.maxMembersPerRecheck);
+
+        const links = await DiscordAccountLink.find({
+            discordId: { $in: candidateIds },
+            'status.isActive': true,
+            'status.isSuspended': false
+        }).select('discordId nafflesUserId').lean();
+        const nafflesUserIds = new Map(links.map(link => [link.discordId, link.nafflesUserId]));
+
+        const reports = [];
+
+        for (const rule of rules) {
+            const enforce = !preview && rule.enforcement === 'enforce';
+            const ruleGrants = new Map(grants.filter(grant => grant.roleId === rule.roleId).map(grant => [grant.userId, grant]));
+            const report = {
+                roleId: rule.roleId,
+                roleName: rule.roleName,
+                enforcement: rule.enforcement,
+                dryRun: !enforce,
+                checked: 0,
+                holders: 0,
+                granted: 0,
+                revoked: 0,
+                belowThreshold: 0,
+                unverified: 0,
+                revokeUserIds: []
+            };
+
+            for (const discordId of candidateIds) {
+                const grant = ruleGrants.get(discordId);
+                const nafflesUserId = nafflesUserIds.get(discordId);
+
+                // Unlinked members can't be verified; only their existing grants matter
+                if (!nafflesUserId && !grant) {
+                    continue;
+                }
+
+                const holding = nafflesUserId
+                    ? await this.checkHolding(rule, nafflesUserId)
+                    : { eligible: false, balance: null };
+                report.checked++;
+
+                if (holding.eligible === null) {
+                    report.unverified++;
+                } else if (holding.eligible) {
+                    report.holders++;
+                    const member = !grant && !preview ? guild.members.cache.get(discordId) : null;
+                    if (member && (await this.grantRole(rule, member, holding.balance)).success) {
+                        report.granted++;
+                    }
+                } else if (grant) {
+                    report.belowThreshold++;
+                    if (report.revokeUserIds.length < this.maxReportedUsers) {
+                        report.revokeUserIds.push(discordId);
+                    }
+                    if (enforce && await this.revokeGrant(grant, guild, rule, holding.balance)) {
+                        report.revoked++;
+                    }
+                }
+            }
+
+            const { roleId, roleName, enforcement, ...lastReport } = report;
+            rule.lastReport = { generatedAt: new Date(), ...lastReport };
+            if (userId) {
+                rule.reviewedReport = {
+                    generatedAt: rule.lastReport.generatedAt,
+                    requestedBy: userId,
+                    belowThreshold: report.belowThreshold
+                };
+            }
+            await rule.save();
+
+            reports.push(report);
+        }
+
+        if (userId) {
+            await this.botService.auditLogger.logAdminAction(userId, 'holder_roles_rechecked', guild.id, {
+                preview,
+                rules: reports.map(({ revokeUserIds, ...report }) => report)
+            });
+        }
+
+        return reports;
+    }
+
+    /**
+     * Remove a holder role from a member below the requirement
+     * @param {Object} grant - Active grant document
+     * @param {Object} guild - Discord guild
+     * @param {Object} rule - Holder rule
+     * @param {number|null} balance - Verified balance, or null when the account is no longer linked
+     * @returns {Promise<boolean>} Whether the grant was closed
+     */
+    async revokeGrant(grant, guild, rule, balance) {
+        try {
+            const member = await guild.members.fetch(grant.userId).catch(() => null);
+
+            // Member left: nothing to remove
+            if (member && member.roles.cache.has(grant.roleId)) {
+                await member.roles.remove(grant.roleId, `Naffles holder role: no longer holds ${rule.describe()}`);
+            }
+
+            await grant.markRemoved('removed');
+            this.stats.rolesRevoked++;
+
+            await this.botService.auditLogger.logRoleRewardEvent(grant.userId, grant.guildId, 'holder_revoked', {
+                roleId: grant.roleId,
+                source: { type: grant.source.type, id: grant.source.id },
+                balance,
+                memberPresent: Boolean(member)
+            });
+
+            return true;
+
+        } catch (error) {
+            logger.warn('Failed to revoke holder role:', {
+                guildId: grant.guildId,
+                userId: grant.userId,
+                roleId: grant.roleId,
+                error: error.message
+            });
+
+            await grant.recordRemovalFailure(error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Re-check every server with holder rules that this shard can reach
+     */
+    async processRechecks() {
+        if (this.isRechecking || !this.botService.client?.isReady?.() || !this.isDatabaseAvailable()) {
+            return;
+        }
+
+        this.isRechecking = true;
+
+        try {
+            const guildIds = await HolderRoleRule.findGuildIdsWithRules();
+
+            for (const guildId of guildIds) {
+                const guild = this.botService.client.guilds.cache.get(guildId);
+                if (guild) {
+                    await this.recheckGuild(guild);
+                }
+            }
+
+            this.stats.lastRecheck = new Date();
+        } catch (error) {
+            logger.error('Error re-checking holder roles:', error);
+        } finally {
+            this.isRechecking = false;
+        }
+    }
+
+    /**
+     * @private
+     */
+    isDatabaseAvailable() {
+        return Boolean(this.botService?.db?.isHealthy?.());
+    }
+
+    /**
+     * Get holder role statistics
+     * @returns {Object} Holder role statistics
+     */
+    getStatistics() {
+        return {
+            ...this.stats,
+            isRunning: this.recheckInterval !== null
+        };
+    }
+}
+
+module.exports = HolderRoleService;
@@ -0,0 +1,309 @@
+const logger = require('../utils/logger');
+const DiscordAccountLink = require('../models/discordAccountLink');
+const LeaderboardMessage = require('../models/leaderboardMessage');
+
+const PERIODS = ['weekly', 'monthly', 'all_time'];
+const METRICS = ['points', 'tasks'];
+
+/**
+ * Leaderboard Service
+ * Ranks a server's linked members by points earned and tasks completed over
+ * weekly, monthly and all-time periods from discordAccountLink.activityStats.
+ * Rankings are cached in Redis and member lists in memory; persistent
+ * leaderboard messages are stored in Mongo and refreshed through the embed
+ * update service.
+ */
+class LeaderboardService {
+    constructor(botService) {
+        this.botService = botService;
+
+        this.pageSize = 10;
+        this.maxEntries = 100;
+        this.cacheTTL = 300; // 5 minutes
+        this.memberCacheTTL = 30 * 60 * 1000; // 30 minutes
+        this.defaultUpdateFrequency = 10 * 60 * 1000; // 10 minutes
+
+        // Guild member IDs, so page buttons and refreshes don't fetch every member
+        this.memberIds = new Map(); // guildId -> { ids, fetchedAt }
+
+        // Persistent leaderboards are redrawn by the embed update service
+        this.botService.embedUpdater?.registerRenderer('leaderboard', (embedInfo) => this.renderPersistentBoard(embedInfo));
+    }
+
+    /**
+     * Re-register persistent leaderboard messages for refreshing
+     */
+    async start() {
+        try {
+            const boards = await LeaderboardMessage.findActive();
+
+            for (const board of boards) {
+                await this.registerBoard(board);
+            }
+
+            logger.info(`Leaderboard service started with ${boards.length} persistent leaderboards`);
+        } catch (error) {
+            logger.error('Error starting leaderboard service:', error);
+        }
+    }
+
+    /**
+     * Get the ranked members of a server for a period and metric
+     * @param {Object} guild - Discord guild
+     * @param {Object} view - { period, metric }
+     * @returns {Promise<Array>} Ranked entries ({ rank, discordId, points, tasks })
+     */
+    async getRankings(guild, view) {
+        const { period, metric } = this.normalizeView(view);
+        const cacheKey = `leaderboard:${guild.id}:${period}:${metric}`;
+
+        try {
+            const cached = await this.botService.redis.get(cacheKey);
+            if (cached) {
+                return cached;
+            }
+        } catch (error) {
+            logger.warn('Error reading cached leaderboard:', error);
+        }
+
+        const memberIds = await this.getMemberIds(guild);
+
+        const { query, sort, fields } = this.buildRankingQuery(period, metric);
+        query.discordId = { $in: memberIds };
+
+        const links = await DiscordAccountLink.find(query)
+            .sort(sort)
+            .limit(this.maxEntries)
+            .select('discordId activityStats')
+            .lean();
+
+        const rankings = links.map((link, index) => ({
+            rank: index + 1,
+            discordId: link.discordId,
+            points: this.getStat(link, fields.points),
+            tasks: this.getStat(link, fields.tasks)
+        }));
+
+        try {
+            await this.botService.redis.set(cacheKey, rankings, this.cacheTTL);
+        } catch (error) {
+            logger.warn('Error caching leaderboard:', error);
+        }
+
+        return rankings;
+    }
+
+    /**
+     * Get a guild's member IDs, fetching the full list at most once per
+     * memberCacheTTL. Concurrent callers share one fetch.
+     * @private
+     */
+    async getMemberIds(guild) {
+        const cached = this.memberIds.get(guild.id);
+        if (cached && Date.now() - cached.fetchedAt < this.memberCacheTTL) {
+            return await cached.ids;
+        }
+
+        const ids = guild.members.fetch().then(members => [...members.keys()]);
+        this.memberIds.set(guild.id, { ids, fetchedAt: Date.now() });
+
+        try {
+            return await ids;
+        } catch (error) {
+            this.memberIds.delete(guild.id);
+            throw error;
+        }
+    }
+
+    /**
+     * Build the Mongo query for a leaderboard view
+     * @private
+     */
+    buildRankingQuery(period, metric) {
+        const query = { 'status.isActive': true, 'status.isSuspended': false };
+        let fields;
+
+        if (period === 'all_time') {
+            fields = { points: 'activityStats.totalPointsEarned', tasks: 'activityStats.totalTasksCompleted' };
+        } else {
+            fields = { points: `activityStats.${period}.pointsEarned`, tasks: `activityStats.${period}.tasksCompleted` };
+            query[`activityStats.${period}.periodStart`] = DiscordAccountLink.getPeriodStart(period);
+        }
+
+        const [primary, secondary] = metric === 'tasks'
+            ? [fields.tasks, fields.points]
+            : [fields.points, fields.tasks];
+
+        query[primary] = { $gt: 0 };
+
+        return { query, sort: { [primary]: -1, [secondary]: -1 }, fields };
+    }
+
+    /**
+     * Read a dotted activity stat from a lean account link
+     * @private
+     */
+    getStat(link, path) {
+        return path.split('.').reduce((value, key) => value?.[key], link) || 0;
+    }
+
+    /**
+     * Build a leaderboard page ready to send or edit into a message
+     * @param {Object} guild - Discord guild
+     * @param {Object} view - { period, metric, page, locale, source }
+     * @returns {Promise<Object>} Message options with embeds and components
+     */
+    async buildLeaderboardMessage(guild, view) {
+        const { period, metric } = this.normalizeView(view);
+        const rankings = await this.getRankings(guild, { period, metric });
+
+        const totalPages = Math.max(1, Math.ceil(rankings.length / this.pageSize));
+        const currentPage = Math.min(Math.max(parseInt(view.page, 10) || 1, 1), totalPages);
+        const entries = rankings.slice((currentPage - 1) * this.pageSize, currentPage * this.pageSize);
+
+        return this.botService.embedTemplates.createLeaderboardEmbed(entries, {
+            currentPage,
+            totalPages,
+            totalEntries: rankings.length,
+            customId: `leaderboard_${view.source || 'view'}_${period}_${metric}`
+        }, {
+            locale: view.locale,
+            period,
+            metric
+        });
+    }
+
+    /**
+     * Parse a leaderboard pagination button ID
+     * @param {string} customId - e.g. leaderboard_view_weekly_points_next_2
+     * @returns {Object|null} { source, period, metric, page }
+     */
+    parseButtonId(customId) {
+        const match = customId.match(/^leaderboard_(view|post)_(weekly|monthly|all_time)_(points|tasks)_(?:prev|next)_(\d+)$/);
+        if (!match) {
+            return null;
+        }
+
+        return { source: match[1], period: match[2], metric: match[3], page: parseInt(match[4], 10) };
+    }
+
+    /**
+     * Post a leaderboard message that refreshes itself
+     * @param {Object} channel - Discord text channel
+     * @param {Object} view - { period, metric }
+     * @param {string} userId - Discord user ID posting the board
+     * @returns {Promise<Object>} Result with success status
+     */
+    async postLeaderboard(channel, view, userId) {
+        const { period, metric } = this.normalizeView(view);
+
+        try {
+            const locale = await this.botService.localization.getGuildLocale(channel.guild.id);
+            const content = await this.buildLeaderboardMessage(channel.guild, { period, metric, locale, source: 'post' });
+            const message = await channel.send(content);
+
+            const board = await LeaderboardMessage.create({
+                guildId: channel.guild.id,
+                channelId: channel.id,
+                messageId: message.id,
+                period,
+                metric,
+                updateFrequency: this.defaultUpdateFrequency,
+                createdBy: userId,
+                lastRefreshedAt: new Date()
+            });
+
+            await this.registerBoard(board);
+
+            logger.info(`Posted ${period} ${metric} leaderboard in channel ${channel.id} (guild ${channel.guild.id})`);
+
+            return { success: true, message, board };
+        } catch (error) {
+            logger.error('Error posting leaderboard:', error);
+            return { success: false, reason: 'post_failed', message: error.message };
+        }
+    }
+
+    /**
+     * Stop refreshing the leaderboards posted in a channel
+     * @param {string} guildId - Discord guild ID
+     * @param {string} channelId - Discord channel ID
+     * @returns {Promise<number>} Number of leaderboards removed
+     */
+    async removeLeaderboards(guildId, channelId) {
+        const boards = await LeaderboardMessage.findByChannel(guildId, channelId);
+
+        for (const board of boards) {
+            board.isActive = false;
+            await board.save();
+            await this.botService.embedUpdater.unregisterEmbedFromUpdates(board.getEmbedId());
+        }
+
+        return boards.length;
+    }
+
+    /**
+     * Register a persistent leaderboard with the embed update service
+     * @private
+     */
+    async registerBoard(board) {
+        await this.botService.embedUpdater.registerEmbedForUpdates(board.getEmbedId(), {
+            guildId: board.guildId,
+            channelId: board.channelId,
+            messageId: board.messageId,
+            type: 'leaderboard',
+            dataId: `${board.period}:${board.metric}`,
+            updateFrequency: board.updateFrequency || this.defaultUpdateFrequency
+        });
+    }
+
+    /**
+     * Redraw a persistent leaderboard (embed update service renderer)
+     * @private
+     */
+    async renderPersistentBoard(embedInfo) {
+        const guild = this.botService.client.guilds.cache.get(embedInfo.guildId);
+        if (!guild) {
+            return null;
+        }
+
+        const [period, metric] = embedInfo.dataId.split(':');
+        const locale = await this.botService.localization.getGuildLocale(guild.id);
+        const content = await this.buildLeaderboardMessage(guild, { period, metric, locale, source: 'post' });
+
+        await LeaderboardMessage.updateOne({ messageId: embedInfo.messageId }, { lastRefreshedAt: new Date() });
+
+        return content;
+    }
+
+    /**
+     * Record a completed task on the member's account link
+     * @param {string} discordId - Discord user ID
+     * @param {number} points - Points earned
+     */
+    async recordTaskCompletion(discordId, points = 0) {
+        try {
+            const link = await DiscordAccountLink.findByDiscord(discordId);
+            if (link) {
+                await link.incrementTaskCompletion(points);
+            }
+        } catch (error) {
+            logger.error('Error recording task completion for leaderboard:', error);
+        }
+    }
+
+    /**
+     * Fill in defaults for a leaderboard view
+     * @private
+     */
+    normalizeView(view = {}) {
+        return {
+            period: PERIODS.includes(view.period) ? view.period : 'weekly',
+            metric: METRICS.includes(view.metric) ? view.metric : 'points'
+        };
+    }
+}
+
+module.exports = LeaderboardService;
+module.exports.PERIODS = PERIODS;
+module.exports.METRICS = METRICS;
@@ -0,0 +1,145 @@
+const logger = require('../utils/logger');
+const DiscordServerMapping = require('../models/discordServerMapping');
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES, normalizeLocale } = require('../utils/i18n');
+
+/**
+ * Localization Service
+ * Resolves which language to reply in. Each server has a default language in
+ * discordServerMapping.botConfig; members can override it with their own
+ * Discord locale unless the server has turned that off.
+ */
+class LocalizationService {
+    constructor(botService) {
+        this.botService = botService;
+        this.settingsCache = new Map();
+        this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
+    }
+
+    /**
+     * Get a server's language settings
+     * @param {string} guildId - Discord guild ID
+     * @returns {Promise<Object>} { language, useMemberLocale, guildLocale }
+     */
+    async getGuildSettings(guildId) {
+        const cached = this.settingsCache.get(guildId);
+        if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
+            return cached.settings;
+        }
+
+        let settings = { language: null, useMemberLocale: true, guildLocale: null };
+
+        try {
+            const mapping = await DiscordServerMapping.findOne({ guildId, isActive: true })
+                .select('botConfig.language botConfig.useMemberLocale guildInfo.preferredLocale')
+                .lean();
+
+            if (mapping) {
+                settings = {
+                    language: mapping.botConfig?.language || null,
+                    useMemberLocale: mapping.botConfig?.useMemberLocale !== false,
+                    guildLocale: mapping.guildInfo?.preferredLocale || null
+                };
+            }
+        } catch (error) {
+            logger.error('Error loading guild language settings:', error);
+            return settings;
+        }
+
+        this.settingsCache.set(guildId, { settings, timestamp: Date.now() });
+        return settings;
+    }
+
+    /**
+     * Get the default language for a server
+     * @param {string} guildId - Discord guild ID
+     * @returns {Promise<string>} Supported locale
+     */
+    async getGuildLocale(guildId) {
+        if (!guildId) {
+            return DEFAULT_LOCALE;
+        }
+
+        const settings = await this.getGuildSettings(guildId);
+        const guildLocale = settings.guildLocale || this.botService.client?.guilds?.cache.get(guildId)?.preferredLocale;
+
+        return settings.language || normalizeLocale(guildLocale) || DEFAULT_LOCALE;
+    }
+
+    /**
+     * Resolve the language to reply to an interaction in
+     * @param {Object} interaction - Discord interaction
+     * @returns {Promise<string>} Supported locale
+     */
+    async resolveLocale(interaction) {
+        if (!interaction.guildId) {
+            return normalizeLocale(interaction.locale) || DEFAULT_LOCALE;
+        }
+
+        const settings = await this.getGuildSettings(interaction.guildId);
+        const memberLocale = normalizeLocale(interaction.locale);
+
+        if (settings.useMemberLocale && memberLocale) {
+            return memberLocale;
+        }
+
+        return settings.language || normalizeLocale(settings.guildLocale || interaction.guildLocale) || DEFAULT_LOCALE;
+    }
+
+    /**
+     * Set a server's default language
+     * @param {Object} guild - Discord guild
+     * @param {Object} languageSettings - { language, useMemberLocale }
+     * @param {string} userId - Discord user ID making the change
+     * @returns {Promise<Object>} Result with success status
+     */
+    async setGuildLanguage(guild, languageSettings, userId) {
+        const { language, useMemberLocale } = languageSettings;
+
+        if (language && !SUPPORTED_LOCALES.includes(language)) {
+            return { success: false, reason: 'unsupported_language', message: `Unsupported language: ${language}` };
+        }
+
+        try {
+            const serverMapping = await this.botService.getServerCommunityMapping(guild.id);
+            if (!serverMapping) {
+                return { success: false, reason: 'not_linked', message: 'Server is not linked to a community' };
+            }
+
+            const update = { 'botConfig.language': language || null };
+            if (typeof useMemberLocale === 'boolean') {
+                update['botConfig.useMemberLocale'] = useMemberLocale;
+            }
+
+            const mapping = await DiscordServerMapping.findOneAndUpdate(
+                { guildId: guild.id },
+                {
+                    $set: update,
+                    $setOnInsert: {
+                        communityId: serverMapping.communityId,
+                        linkedBy: serverMapping.linkedBy,
+                        guildInfo: {
+                            name: guild.name,
+                            preferredLocale: guild.preferredLocale
+                        }
+                    }
+                },
+                { new: true, upsert: true, setDefaultsOnInsert: true }
+            );
+
+            this.settingsCache.delete(guild.id);
+
+            if (this.botService.auditLogger) {
+                await this.botService.auditLogger.logConfigChange(userId, guild.id, 'language', update);
+            }
+
+            logger.info(`Bot language for guild ${guild.id} set to ${language || 'server default'}`);
+
+            return { success: true, language: mapping.botConfig.language, useMemberLocale: mapping.botConfig.useMemberLocale };
+        } catch (error) {
+            logger.error('Error setting guild language:', error);
+            return { success: false, reason: 'error', message: error.message };
+        }
+    }
+}
+
+module.exports = LocalizationService;
@@ -0,0 +1,436 @@
+const crypto = require('crypto');
+const { EmbedBuilder } = require('discord.js');
+const logger = require('../utils/logger');
+
+// Features that can be put into maintenance on their own
+const MAINTENANCE_FEATURES = ['tasks', 'allowlists', 'linking'];
+
+const FEATURE_LABELS = {
+    tasks: 'Tasks',
+    allowlists: 'Allowlists',
+    linking: 'Account and community linking'
+};
+
+/**
+ * Maintenance Service
+ * The one maintenance switch for the bot. Maintenance is a set of windows,
+ * each with a start, an optional end, and optionally limited to some
+ * features and guilds. Windows are stored in Redis so every shard and the
+ * CLI see the same state; without Redis they only live in this process.
+ * Commands name the feature they belong to in their registry entry.
+ */
+class MaintenanceService {
+    /**
+     * @param {Object|null} botService - Bot service (null for the CLI or standalone use)
+     * @param {Object|null} redisService - RedisService instance
+     */
+    constructor(botService = null, redisService = botService?.redis || null) {
+        this.botService = botService;
+        this.redis = redisService;
+        this.windows = new Map();
+
+        this.keyPrefix = 'discord:maintenance:window:';
+        this.openEndedTTL = 30 * 24 * 60 * 60; // Open-ended windows expire after 30 days
+        this.refreshInterval = 30 * 1000;
+        this.refreshTimer = null;
+
+        this.stats = {
+            scheduled: 0,
+            ended: 0,
+            announced: 0,
+            blocked: 0
+        };
+
+        // Another shard changed the windows; the primary also announces new ones
+        this.botService?.shardCoordinator?.on?.('maintenance_updated', () => this.refresh());
+
+        // Each shard announces in the guilds it serves
+        this.botService?.shardCoordinator?.on?.('maintenance_announced', (window) => {
+            this.postAnnouncement(this.normalize(window));
+        });
+    }
+
+    /**
+     * Load the windows and keep them in sync with Redis
+     */
+    async start() {
+        await this.refresh();
+        this.refreshTimer = setInterval(() => this.refresh(), this.refreshInterval);
+    }
+
+    stop() {
+        if (this.refreshTimer) {
+            clearInterval(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+    }
+
+    /**
+     * Reload the windows from Redis and drop the ones that ended
+     * @returns {Promise<Array<Object>>} Current windows
+     */
+    async refresh() {
+        try {
+            if (this.redis?.isConnected) {
+                const keys = await this.redis.getKeysByPattern(`${this.keyPrefix}*`);
+                const stored = keys.length > 0 ? await this.redis.mget(keys) : [];
+                this.windows = new Map(stored.filter(Boolean).map(window => [window.id, this.normalize(window)]));
+            }
+
+            this.prune();
+
+            if (this.isPrimary()) {
+                await this.announcePending();
+            }
+        } catch (error) {
+            logger.error('Failed to refresh maintenance windows:', error);
+        }
+
+        return this.list();
+    }
+
+    /**
+     * Schedule a maintenance window. The window applies in this process right
+     * away; other shards pick it up from Redis.
+     * @param {Object} options - { reason, features, guildIds, startsAt, endsAt, announce, createdBy }
+     *   Empty `features` means the whole bot, empty `guildIds` every guild.
+     *   `announce` posts a notice to the affected guilds when the window starts later.
+     * @returns {Promise<Object>} { success, reason, window }
+     */
+    async schedule(options = {}) {
+        const now = new Date();
+        const features = [...new Set(options.features || [])];
+        const startsAt = options.startsAt ? this.toDate(options.startsAt) : now;
+        const endsAt = options.endsAt ? this.toDate(options.endsAt) : null;
+
+        const unknown = features.find(feature => !MAINTENANCE_FEATURES.includes(feature));
+        if (unknown) {
+            return { success: false, reason: 'invalid_feature', message: `Unknown feature: ${unknown}` };
+        }
+
+        if (isNaN(startsAt) || (endsAt && (isNaN(endsAt) || endsAt <= startsAt || endsAt <= now))) {
+            return { success: false, reason: 'invalid_window', message: 'The window must end after it starts and in the future' };
+        }
+
+        const window = {
+            id: `mw_${crypto.randomBytes(4).toString('hex')}`,
+            reason: options.reason || 'Scheduled maintenance',
+            features,
+            guildIds: [...new Set(options.guildIds || [])],
+            startsAt,
+            endsAt,
+            announce: options.announce !== false && startsAt > now,
+            announcedAt: null,
+            createdBy: options.createdBy || null,
+            createdAt: now
+        };
+
+        this.windows.set(window.id, window);
+        this.stats.scheduled++;
+        logger.warn('Maintenance scheduled', this.describe(window));
+
+        await this.save(window);
+        await this.publishUpdate();
+
+        if (this.isPrimary()) {
+            await this.announcePending();
+        }
+
+        return { success: true, window };
+    }
+
+    /**
+     * End (or cancel) a window
+     * @param {string} id - Window ID
+     * @returns {Promise<Object>} { success, reason, window }
+     */
+    async end(id) {
+        const window = this.windows.get(id);
+        if (!window) {
+            return { success: false, reason: 'not_found' };
+        }
+
+        await this.remove([window]);
+        return { success: true, window };
+    }
+
+    /**
+     * End every window that is in effect now. Scheduled windows are kept.
+     * @param {Function} filter - Optional window filter
+     * @returns {Promise<Array<Object>>} Ended windows
+     */
+    async endActive(filter = () => true) {
+        const now = Date.now();
+        const active = this.list().filter(window => this.isWindowActive(window, now) && filter(window));
+
+        await this.remove(active);
+        return active;
+    }
+
+    /**
+     * @returns {Array<Object>} Windows that haven't ended, by start time
+     */
+    list() {
+        this.prune();
+        return Array.from(this.windows.values()).sort((a, b) => a.startsAt - b.startsAt);
+    }
+
+    /**
+     * Windows that apply to a guild, active or upcoming
+     * @param {string} guildId - Discord guild ID
+     * @returns {Array<Object>} Windows
+     */
+    listForGuild(guildId) {
+        return this.list().filter(window => window.guildIds.length === 0 || window.guildIds.includes(guildId));
+    }
+
+    /**
+     * Find the window that pauses a feature in a guild right now
+     * @param {string|null} guildId - Discord guild ID (null matches only bot-wide windows)
+     * @param {string|null} feature - Feature name (null matches only full maintenance)
+     * @returns {Object|null} Active window
+     */
+    getActiveWindow(guildId = null, feature = null) {
+        const now = Date.now();
+
+        for (const window of this.list()) {
+            if (!this.isWindowActive(window, now)) continue;
+            if (window.guildIds.length > 0 && !window.guildIds.includes(guildId)) continue;
+            if (window.features.length > 0 && !window.features.includes(feature)) continue;
+
+            return window;
+        }
+
+        return null;
+    }
+
+    /**
+     * Find the window that pauses a command (or a component it routes)
+     * @param {string|null} guildId - Discord guild ID
+     * @param {string} commandName - Command name
+     * @returns {Object|null} Active window
+     */
+    getCommandWindow(guildId, commandName) {
+        const feature = this.botService?.commandRegistry?.getMaintenanceFeature(commandName) ?? null;
+        if (feature === false) {
+            return null;
+        }
+
+        return this.getActiveWindow(guildId, feature);
+    }
+
+    /**
+     * Reply for interactions paused by maintenance. The end time is a Discord
+     * timestamp, so the countdown stays current.
+     * @param {Object} window - Active window
+     * @returns {Object} Interaction reply options
+     */
+    createBanner(window) {
+        this.stats.blocked++;
+
+        const scope = window.features.length > 0
+            ? `${window.features.map(feature => FEATURE_LABELS[feature]).join(', ')} ${window.features.length > 1 ? 'are' : 'is'} paused for maintenance.`
+            : 'The Naffles bot is down for maintenance.';
+
+        const embed = new EmbedBuilder()
+            .setColor(0x6C5CE7)
+            .setTitle('🔧 Maintenance in progress')
+            .setDescription(`${scope} Everything on naffles.com still works.`)
+            .addFields(
+                { name: '📋 Details', value: window.reason, inline: false },
+                {
+                    name: '⏱️ Back',
+                    value: window.endsAt ? this.formatTime(window.endsAt, 'R') : 'As soon as possible',
+                    inline: true
+                }
+            )
+            .setTimestamp();
+
+        return { embeds: [embed], ephemeral: true };
+    }
+
+    /**
+     * Embed field describing a window, for lists and status
+     * @param {Object} window - Window
+     * @returns {Object} { name, value }
+     */
+    describeField(window) {
+        const active = this.isWindowActive(window, Date.now());
+
+        return {
+            name: `${active ? '🔴 Active' : '🕒 Scheduled'} · \`${window.id}\``,
+            value: [
+                window.reason,
+                `Scope: ${window.features.length > 0 ? window.features.map(feature => FEATURE_LABELS[feature]).join(', ') : 'Whole bot'}` +
+                    (window.guildIds.length > 0 ? '' : ' (all servers)'),
+                `${active ? 'Started' : 'Starts'} ${this.formatTime(window.startsAt, 'f')}` +
+                    (window.endsAt ? `, ends ${this.formatTime(window.endsAt, 'R')}` : ', no end set')
+            ].join('\n'),
+            inline: false
+        };
+    }
+
+    /**
+     * Post pre-announcements for windows that haven't been announced yet.
+     * Runs on the primary shard; the other shards post in their own guilds.
+     * @private
+     */
+    async announcePending() {
+        const pending = this.list().filter(window => window.announce && !window.announcedAt && window.startsAt > Date.now());
+
+        for (const window of pending) {
+            window.announcedAt = new Date();
+            await this.save(window);
+
+            await this.postAnnouncement(window);
+            await this.botService?.shardCoordinator?.broadcast?.('maintenance_announced', window);
+            this.stats.announced++;
+        }
+    }
+
+    /**
+     * @private
+     */
+    async postAnnouncement(window) {
+        const duration = window.endsAt ? Math.round((window.endsAt - window.startsAt) / 60000) : null;
+
+        await this.botService?.webhookIntegration?.notifyMaintenanceScheduled(
+            window.reason,
+            window.startsAt,
+            duration,
+            { guildIds: window.guildIds, features: window.features.map(feature => FEATURE_LABELS[feature]) }
+        );
+    }
+
+    /**
+     * @private
+     */
+    async save(window) {
+        if (!this.redis?.isConnected) {
+            return false;
+        }
+
+        const ttl = window.endsAt
+            ? Math.max(1, Math.ceil((window.endsAt - Date.now()) / 1000))
+            : this.openEndedTTL;
+
+        return await this.redis.set(`${this.keyPrefix}${window.id}`, window, ttl);
+    }
+
+    /**
+     * @private
+     */
+    async remove(windows) {
+        // Drop them here first so this process stops applying them right away
+        for (const window of windows) {
+            this.windows.delete(window.id);
+            this.stats.ended++;
+            logger.info('Maintenance ended', this.describe(window));
+        }
+
+        if (this.redis?.isConnected) {
+            for (const window of windows) {
+                await this.redis.del(`${this.keyPrefix}${window.id}`);
+            }
+        }
+
+        if (windows.length > 0) {
+            await this.publishUpdate();
+        }
+    }
+
+    /**
+     * @private
+     */
+    async publishUpdate() {
+        await this.botService?.shardCoordinator?.broadcast?.('maintenance_updated', {});
+    }
+
+    /**
+     * @private
+     */
+    prune() {
+        const now = Date.now();
+
+        for (const [id, window] of this.windows) {
+            if (window.endsAt && window.endsAt <= now) {
+                this.windows.delete(id);
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    isWindowActive(window, now) {
+        return window.startsAt <= now && (!window.endsAt || window.endsAt > now);
+    }
+
+    /**
+     * @private
+     */
+    isPrimary() {
+        return Boolean(this.botService?.shardCoordinator?.isPrimary?.());
+    }
+
+    /**
+     * Restore dates after a Redis or shard-event round trip
+     * @private
+     */
+    normalize(window) {
+        return {
+            ...window,
+            features: window.features || [],
+            guildIds: window.guildIds || [],
+            startsAt: this.toDate(window.startsAt),
+            endsAt: window.endsAt ? this.toDate(window.endsAt) : null,
+            announcedAt: window.announcedAt ? this.toDate(window.announcedAt) : null,
+            createdAt: this.toDate(window.createdAt)
+        };
+    }
+
+    /**
+     * @private
+     */
+    toDate(value) {
+        return value instanceof Date ? value : new Date(value);
+    }
+
+    /**
+     * @private
+     */
+    formatTime(date, style) {
+        return `<t:${Math.floor(date.getTime() / 1000)}:${style}>`;
+    }
+
+    /**
+     * @private
+     */
+    describe(window) {
+        return {
+            id: window.id,
+            reason: window.reason,
+            features: window.features,
+            guildIds: window.guildIds,
+            startsAt: window.startsAt,
+            endsAt: window.endsAt
+        };
+    }
+
+    /**
+     * Get maintenance statistics
+     * @returns {Object} Maintenance statistics
+     */
+    getStatistics() {
+        const now = Date.now();
+
+        return {
+            ...this.stats,
+            active: this.list().filter(window => this.isWindowActive(window, now)).length,
+            upcoming: this.list().filter(window => window.startsAt > now).length
+        };
+    }
+}
+
+module.exports = MaintenanceService;
+module.exports.MAINTENANCE_FEATURES = MAINTENANCE_FEATURES;
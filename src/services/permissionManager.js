@@ -1,4 +1,5 @@
 const logger = require('../utils/logger');
+const CommandRegistry = require('../handlers/commandRegistry');
 
 class PermissionManager {
     constructor(botService) {
@@ -6,58 +7,9 @@ class PermissionManager {
         this.permissionCache = new Map();
         this.cacheTimeout = 300000; // 5 minutes
         
-        // Default permission configurations
-        this.defaultPermissions = {
-            'naffles-create-task': {
-                requiredRoles: [], // Empty means any member can use
-                requiredPermissions: ['SendMessages'],
-                adminOnly: false,
-                cooldown: 10000,
-                maxUsesPerHour: 10
-            },
-            'naffles-list-tasks': {
-                requiredRoles: [],
-                requiredPermissions: ['SendMessages'],
-                adminOnly: false,
-                cooldown: 5000,
-                maxUsesPerHour: 20
-            },
-            'naffles-connect-allowlist': {
-                requiredRoles: [],
-                requiredPermissions: ['ManageMessages'],
-                adminOnly: true,
-                cooldown: 15000,
-                maxUsesPerHour: 5
-            },
-            'naffles-link-community': {
-                requiredRoles: [],
-                requiredPermissions: ['Administrator'],
-                adminOnly: true,
-                cooldown: 30000,
-                maxUsesPerHour: 2
-            },
-            'naffles-status': {
-                requiredRoles: [],
-                requiredPermissions: ['SendMessages'],
-                adminOnly: false,
-                cooldown: 5000,
-                maxUsesPerHour: 30
-            },
-            'naffles-help': {
-                requiredRoles: [],
-                requiredPermissions: [],
-                adminOnly: false,
-                cooldown: 2000,
-                maxUsesPerHour: 50
-            },
-            'naffles-security': {
-                requiredRoles: [],
-                requiredPermissions: ['Administrator'],
-                adminOnly: true,
-                cooldown: 30000,
-                maxUsesPerHour: 10
-            }
-        };
+        // Default permission configurations are declared by the command modules
+        this.commandRegistry = botService.commandRegistry || new CommandRegistry().load();
+        this.commandRegistry.on('reloaded', () => this.permissionCache.clear());
         
         // Server-specific permission overrides
         this.serverPermissions = new Map();
@@ -66,6 +18,14 @@ class PermissionManager {
         this.startCacheCleanup();
     }
 
+    /**
+     * Default permission configuration of every registered command
+     * @returns {Object} Command name -> permission config
+     */
+    get defaultPermissions() {
+        return this.commandRegistry.getPermissionDefaults();
+    }
+
     /**
      * Check if user has permission to execute a command
      * @param {Object} interaction - Discord interaction
@@ -324,31 +284,18 @@ class PermissionManager {
      */
     async checkUsageLimits(userId, guildId, commandName, permConfig) {
         try {
-            const key = `usage_${userId}_${guildId}_${commandName}`;
-            const now = Date.now();
-            const hourWindow = 60 * 60 * 1000; // 1 hour
-            
-            // Get usage data from cache
-            let usageData = this.permissionCache.get(key);
-            if (!usageData) {
-                usageData = {
-                    uses: [],
-                    createdAt: now
-                };
-            }
-            
-            // Filter to last hour
-            usageData.uses = usageData.uses.filter(timestamp => 
-                now - timestamp < hourWindow
+            const usage = await this.botService.rateLimiter.checkRateLimit(
+                `${userId}:${guildId}`,
+                `usage:${commandName}`,
+                { requests: permConfig.maxUsesPerHour, window: 60 * 60 * 1000 } // per hour
             );
             
             // Check if limit exceeded
-            if (usageData.uses.length >= permConfig.maxUsesPerHour) {
+            if (!usage.allowed) {
                 logger.security('Command usage limit exceeded', {
                     userId,
                     guildId,
                     commandName,
-                    uses: usageData.uses.length,
                     limit: permConfig.maxUsesPerHour
                 });
                 
@@ -359,16 +306,9 @@ class PermissionManager {
                 };
             }
             
-            // Add current use
-            usageData.uses.push(now);
-            usageData.lastUsed = now;
-            
-            // Update cache
-            this.permissionCache.set(key, usageData);
-            
             return {
                 allowed: true,
-                remaining: permConfig.maxUsesPerHour - usageData.uses.length,
+                remaining: usage.remaining,
                 reason: 'Usage limit check passed'
             };
 
@@ -536,17 +476,6 @@ class PermissionManager {
                 if (data.createdAt && now - data.createdAt > this.cacheTimeout) {
                     keysToDelete.push(key);
                 }
-                
-                // Clean up usage arrays
-                if (data.uses) {
-                    const hourAgo = now - (60 * 60 * 1000);
-                    data.uses = data.uses.filter(timestamp => timestamp > hourAgo);
-                    
-                    // Remove if no recent uses
-                    if (data.uses.length === 0 && (!data.lastUsed || now - data.lastUsed > this.cacheTimeout)) {
-                        keysToDelete.push(key);
-                    }
-                }
             }
             
             keysToDelete.forEach(key => this.permissionCache.delete(key));
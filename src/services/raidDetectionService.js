@@ -0,0 +1,620 @@
+const logger = require('../utils/logger');
+const DiscordServerMapping = require('../models/discordServerMapping');
+const DiscordAccountLink = require('../models/discordAccountLink');
+
+const DEFAULT_SETTINGS = {
+    autoLockdown: false,
+    lockdownDuration: 60 * 60 * 1000, // 1 hour
+    newMemberAge: 24 * 60 * 60 * 1000 // Members who joined within a day of a lockdown count as new
+};
+
+// Join scoring
+const MIN_RAID_JOINS = 5;
+const RAID_SCORE = 0.6;
+const CRITICAL_SCORE = 0.85;
+const NEW_ACCOUNT_AGE = 7 * 24 * 60 * 60 * 1000;
+const CREATION_CLUSTER_SPAN = 60 * 60 * 1000; // Accounts created within an hour of each other
+const CREATION_CLUSTER_SIZE = 3;
+const NAME_SIMILARITY = 0.8;
+const MAX_TRACKED_JOINS = 200; // Newest joins scored per guild; names are compared pairwise
+const SIGNAL_WEIGHTS = {
+    burst: 0.35,
+    similarNames: 0.2,
+    sharedAvatars: 0.15,
+    creationClusters: 0.2,
+    newAccounts: 0.1
+};
+
+const LEET_MAP = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', '$': 's' };
+const SYSTEM_ACTOR = 'raid_detection';
+
+/**
+ * Raid Detection Service
+ * Scores recent joins per guild for raid signals and checks joining members
+ * for shared Naffles account links. A join burst scores on top of:
+ *
+ * - similar usernames (after folding case, accents, digits and look-alikes)
+ * - shared or default avatars
+ * - accounts created in clusters, and new accounts
+ *
+ * A raid raises a security event and, unless the guild turned it off,
+ * locks down the guild: members who joined shortly before or during the
+ * lockdown can't complete tasks or enter allowlists until it ends.
+ * Settings and the lockdown live in discordServerMapping.botConfig.raidProtection.
+ */
+class RaidDetectionService {
+    constructor(botService) {
+        this.botService = botService;
+
+        this.recentJoins = new Map(); // Guild ID -> [{ userId, username, avatar, createdTimestamp, joinedAt }]
+        this.lastRaid = new Map(); // Guild ID -> timestamp of the last raid event
+        this.settingsCache = new Map();
+        this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
+
+        this.stats = {
+            joinsScored: 0,
+            raidsDetected: 0,
+            altAccountsFlagged: 0,
+            lockdowns: 0
+        };
+
+        // Drop cached settings another shard changed
+        this.botService?.shardCoordinator?.on?.('raid_protection_changed', ({ guildId }) => {
+            this.settingsCache.delete(guildId);
+        });
+    }
+
+    /**
+     * Join burst window and size, shared with SecurityMonitor's mass join alert
+     * @private
+     */
+    getBurstThreshold() {
+        return this.botService.securityMonitor?.alertThresholds?.massJoins || { count: 10, window: 300000 };
+    }
+
+    /**
+     * Score a member join and act on raids and shared account links
+     * @param {Object} member - Discord guild member
+     * @returns {Promise<Object>} Assessment of the guild's recent joins
+     */
+    async recordJoin(member) {
+        const guildId = member.guild.id;
+        const now = Date.now();
+        const threshold = this.getBurstThreshold();
+
+        const joins = (this.recentJoins.get(guildId) || [])
+            .filter(join => now - join.joinedAt < threshold.window && join.userId !== member.user.id);
+        joins.push({
+            userId: member.user.id,
+            username: member.user.username,
+            avatar: member.user.avatar || null,
+            createdTimestamp: member.user.createdTimestamp,
+            joinedAt: now
+        });
+        if (joins.length > MAX_TRACKED_JOINS) {
+            joins.splice(0, joins.length - MAX_TRACKED_JOINS);
+        }
+        this.recentJoins.set(guildId, joins);
+        this.stats.joinsScored++;
+
+        const assessment = this.scoreJoins(joins, now);
+
+        if (assessment.raid && now - (this.lastRaid.get(guildId) || 0) >= threshold.window) {
+            this.lastRaid.set(guildId, now);
+            await this.handleRaid(member.guild, assessment);
+        }
+
+        await this.checkLinkedAccounts(member);
+
+        return assessment;
+    }
+
+    /**
+     * Score a set of recent joins
+     * @param {Array} joins - [{ userId, username, avatar, createdTimestamp, joinedAt }]
+     * @param {number} now - Current time
+     * @returns {Object} { score, raid, joinCount, signals, suspects }
+     */
+    scoreJoins(joins, now = Date.now()) {
+        const joinCount = joins.length;
+        const flags = new Map(joins.map(join => [join.userId, new Set()]));
+
+        // Similar usernames
+        const names = joins.map(join => this.letterPairs(this.normalizeName(join.username)));
+        for (let i = 0; i < joinCount; i++) {
+            for (let j = i + 1; j < joinCount; j++) {
+                if (this.comparePairs(names[i], names[j]) >= NAME_SIMILARITY) {
+                    flags.get(joins[i].userId).add('similar_name');
+                    flags.get(joins[j].userId).add('similar_name');
+                }
+            }
+        }
+
+        // Shared avatars; default avatars count half
+        const avatarCounts = new Map();
+        joins.forEach(join => {
+            if (join.avatar) {
+                avatarCounts.set(join.avatar, (avatarCounts.get(join.avatar) || 0) + 1);
+            }
+        });
+        let avatarWeight = 0;
+        joins.forEach(join => {
+            if (!join.avatar) {
+                flags.get(join.userId).add('default_avatar');
+                avatarWeight += 0.5;
+            } else if (avatarCounts.get(join.avatar) > 1) {
+                flags.get(join.userId).add('shared_avatar');
+                avatarWeight += 1;
+            }
+        });
+
+        // Accounts created close together: slide a window of the cluster
+        // span over the joins sorted by creation time
+        const byCreation = [...joins].sort((a, b) => a.createdTimestamp - b.createdTimestamp);
+        let low = 0;
+        let high = 0;
+        byCreation.forEach(join => {
+            while (byCreation[low].createdTimestamp < join.createdTimestamp - CREATION_CLUSTER_SPAN) {
+                low++;
+            }
+            while (high < byCreation.length && byCreation[high].createdTimestamp <= join.createdTimestamp + CREATION_CLUSTER_SPAN) {
+                high++;
+            }
+            if (high - low >= CREATION_CLUSTER_SIZE) {
+                flags.get(join.userId).add('creation_cluster');
+            }
+        });
+
+        // New accounts
+        joins.forEach(join => {
+            if (now - join.createdTimestamp < NEW_ACCOUNT_AGE) {
+                flags.get(join.userId).add('new_account');
+            }
+        });
+
+        const countFlag = flag => joins.filter(join => flags.get(join.userId).has(flag)).length;
+        const fraction = count => (joinCount > 0 ? count / joinCount : 0);
+
+        const signals = {
+            burst: Math.min(1, joinCount / this.getBurstThreshold().count),
+            similarNames: fraction(countFlag('similar_name')),
+            sharedAvatars: fraction(avatarWeight),
+            creationClusters: fraction(countFlag('creation_cluster')),
+            newAccounts: fraction(countFlag('new_account'))
+        };
+
+        const score = Object.entries(SIGNAL_WEIGHTS)
+            .reduce((total, [signal, weight]) => total + signals[signal] * weight, 0);
+
+        return {
+            score: Math.round(score * 100) / 100,
+            raid: joinCount >= MIN_RAID_JOINS && score >= RAID_SCORE,
+            joinCount,
+            signals,
+            // Joiners with at least two raid traits
+            suspects: joins
+                .filter(join => flags.get(join.userId).size >= 2)
+                .map(join => ({ userId: join.userId, username: join.username, flags: Array.from(flags.get(join.userId)) }))
+        };
+    }
+
+    /**
+     * Fold a username so look-alike variants compare equal
+     * @param {string} name - Username
+     * @returns {string} Letters only, lower case
+     */
+    normalizeName(name = '') {
+        return name
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '') // Accents
+            .toLowerCase()
+            .replace(/[0-9@$]+$/, '') // Trailing counters ("raider123")
+            .replace(/[0134579@$]/g, character => LEET_MAP[character] || '')
+            .replace(/[^a-z]/g, '');
+    }
+
+    /**
+     * Dice coefficient of two normalized names' letter pairs
+     * @param {string} a - Normalized name
+     * @param {string} b - Normalized name
+     * @returns {number} 0 to 1
+     */
+    nameSimilarity(a, b) {
+        return this.comparePairs(this.letterPairs(a), this.letterPairs(b));
+    }
+
+    /**
+     * Count a normalized name's letter pairs, once per join
+     * @private
+     */
+    letterPairs(name) {
+        const counts = new Map();
+        for (let i = 0; i < name.length - 1; i++) {
+            const pair = name.slice(i, i + 2);
+            counts.set(pair, (counts.get(pair) || 0) + 1);
+        }
+        return { name, counts };
+    }
+
+    /**
+     * @private
+     */
+    comparePairs(a, b) {
+        if (a.name.length < 3 || b.name.length < 3) {
+            return 0;
+        }
+        if (a.name === b.name) {
+            return 1;
+        }
+
+        let shared = 0;
+        for (const [pair, count] of a.counts) {
+            shared += Math.min(count, b.counts.get(pair) || 0);
+        }
+
+        return (2 * shared) / (a.name.length - 1 + b.name.length - 1);
+    }
+
+    /**
+     * Raise a raid event and lock the guild down if it opted in
+     * @private
+     */
+    async handleRaid(guild, assessment) {
+        this.stats.raidsDetected++;
+
+        logger.security('Raid detected', { guildId: guild.id, score: assessment.score, joinCount: assessment.joinCount });
+
+        await this.botService.securityMonitor?.createSecurityEvent({
+            type: 'raid_detected',
+            userId: null,
+            guildId: guild.id,
+            severity: assessment.score >= CRITICAL_SCORE ? 'critical' : 'high',
+            details: {
+                score: assessment.score,
+                joinCount: assessment.joinCount,
+                signals: assessment.signals,
+                suspects: assessment.suspects.slice(0, 10)
+            },
+            timestamp: Date.now()
+        });
+
+        const settings = await this.getSettings(guild.id);
+        if (settings.autoLockdown && !this.isLockdownActive(settings.lockdown)) {
+            await this.startLockdown(guild.id, {
+                reason: 'raid_detected',
+                score: assessment.score
+            });
+        }
+    }
+
+    /**
+     * Flag members whose Naffles link is shared with other Discord accounts,
+     * or whose Discord account has been linked to several Naffles users
+     * @param {Object} member - Discord guild member
+     * @returns {Promise<Object|null>} { sharedNafflesUsers, sharedDiscordAccounts } when flagged
+     */
+    async checkLinkedAccounts(member) {
+        if (!this.isDatabaseAvailable()) {
+            return null;
+        }
+
+        try {
+            const discordIds = [member.user.id];
+            const [sharedNafflesUsers, sharedDiscordAccounts] = await Promise.all([
+                DiscordAccountLink.findSharedNafflesUsers(discordIds),
+                DiscordAccountLink.findSharedDiscordAccounts(discordIds)
+            ]);
+
+            if (sharedNafflesUsers.length === 0 && sharedDiscordAccounts.length === 0) {
+                return null;
+            }
+
+            this.stats.altAccountsFlagged++;
+
+            const details = {
+                // Other Discord accounts linked to the same Naffles user
+                otherDiscordAccounts: sharedNafflesUsers.flatMap(group =>
+                    group.discordIds.filter(discordId => discordId !== member.user.id)),
+                nafflesUserIds: Array.from(new Set([
+                    ...sharedNafflesUsers.map(group => group._id),
+                    ...sharedDiscordAccounts.flatMap(group => group.nafflesUserIds)
+                ]))
+            };
+
+            await this.botService.securityMonitor?.createSecurityEvent({
+                type: 'alt_account_detected',
+                userId: member.user.id,
+                guildId: member.guild.id,
+                severity: 'medium',
+                details,
+                timestamp: Date.now()
+            });
+
+            return { sharedNafflesUsers, sharedDiscordAccounts };
+        } catch (error) {
+            logger.error('Failed to check linked accounts:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Find shared account links among a guild's cached members
+     * @param {Object} guild - Discord guild
+     * @returns {Promise<Object>} { sharedNafflesUsers, sharedDiscordAccounts }
+     */
+    async findAltAccounts(guild) {
+        const discordIds = Array.from(guild.members.cache.keys());
+
+        const [sharedNafflesUsers, sharedDiscordAccounts] = await Promise.all([
+            DiscordAccountLink.findSharedNafflesUsers(discordIds),
+            DiscordAccountLink.findSharedDiscordAccounts(discordIds)
+        ]);
+
+        return { sharedNafflesUsers, sharedDiscordAccounts };
+    }
+
+    /**
+     * Get a guild's raid protection settings and lockdown
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<Object>} { autoLockdown, lockdownDuration, newMemberAge, lockdown }
+     */
+    async getSettings(guildId) {
+        const cached = this.settingsCache.get(guildId);
+        if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
+            return cached.settings;
+        }
+
+        if (!this.isDatabaseAvailable()) {
+            return this.mergeSettings();
+        }
+
+        try {
+            const mapping = await DiscordServerMapping.findOne({ guildId, isActive: true })
+                .select('botConfig.raidProtection')
+                .lean();
+
+            const settings = this.mergeSettings(mapping?.botConfig?.raidProtection);
+            this.settingsCache.set(guildId, { settings, timestamp: Date.now() });
+
+            return settings;
+        } catch (error) {
+            logger.error('Failed to load raid protection settings:', error);
+            return this.mergeSettings();
+        }
+    }
+
+    /**
+     * @private
+     */
+    mergeSettings(saved = {}) {
+        return {
+            autoLockdown: saved?.autoLockdown === true,
+            lockdownDuration: saved?.lockdownDuration || DEFAULT_SETTINGS.lockdownDuration,
+            newMemberAge: saved?.newMemberAge || DEFAULT_SETTINGS.newMemberAge,
+            lockdown: saved?.lockdown?.active ? { ...saved.lockdown } : null
+        };
+    }
+
+    /**
+     * @private
+     */
+    isLockdownActive(lockdown) {
+        return Boolean(lockdown?.active && (!lockdown.endsAt || new Date(lockdown.endsAt).getTime() > Date.now()));
+    }
+
+    /**
+     * Get a guild's lockdown if one is in effect
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<Object|null>} Lockdown or null
+     */
+    async getLockdown(guildId) {
+        if (!guildId) {
+            return null;
+        }
+
+        const { lockdown } = await this.getSettings(guildId);
+        return this.isLockdownActive(lockdown) ? lockdown : null;
+    }
+
+    /**
+     * Check whether a member is held back by a lockdown as a new joiner
+     * @param {string} guildId - Guild ID
+     * @param {Object} member - Guild member (needs joinedTimestamp)
+     * @returns {Promise<Object|null>} { lockdown, message } when restricted
+     */
+    async checkNewJoinerLock(guildId, member) {
+        const lockdown = await this.getLockdown(guildId);
+        if (!lockdown || !member?.joinedTimestamp) {
+            return null;
+        }
+
+        if (member.joinedTimestamp < new Date(lockdown.joinedAfter).getTime()) {
+            return null;
+        }
+
+        const ends = lockdown.endsAt
+            ? ` It ends <t:${Math.floor(new Date(lockdown.endsAt).getTime() / 1000)}:R>.`
+            : '';
+
+        return {
+            lockdown,
+            message: `🔒 This server is in raid lockdown. New members can't complete tasks or enter allowlists until it ends.${ends}`
+        };
+    }
+
+    /**
+     * Lock down a guild for new joiners
+     * @param {string} guildId - Guild ID
+     * @param {Object} options - { reason, duration (ms, null = until unlocked), userId, score }
+     * @returns {Promise<Object>} Result with success status and lockdown
+     */
+    async startLockdown(guildId, options = {}) {
+        const settings = await this.getSettings(guildId);
+        const now = Date.now();
+        const duration = options.duration === undefined ? settings.lockdownDuration : options.duration;
+
+        const lockdown = {
+            active: true,
+            reason: options.reason || 'manual',
+            startedAt: new Date(now),
+            startedBy: options.userId || SYSTEM_ACTOR,
+            endsAt: duration ? new Date(now + duration) : null,
+            joinedAfter: new Date(now - settings.newMemberAge),
+            score: options.score ?? null
+        };
+
+        const result = await this.saveSettings(guildId, { $set: { 'botConfig.raidProtection.lockdown': lockdown } });
+        if (!result.success) {
+            return result;
+        }
+
+        this.stats.lockdowns++;
+
+        await this.botService.auditLogger?.logAdminAction(
+            options.userId || this.getActorId(),
+            'raid_lockdown_started',
+            guildId,
+            { reason: lockdown.reason, endsAt: lockdown.endsAt, joinedAfter: lockdown.joinedAfter, score: lockdown.score }
+        );
+
+        logger.security('Raid lockdown started', { guildId, reason: lockdown.reason, endsAt: lockdown.endsAt });
+
+        return { success: true, lockdown };
+    }
+
+    /**
+     * Lift a guild's lockdown
+     * @param {string} guildId - Guild ID
+     * @param {string} userId - User lifting it
+     * @returns {Promise<Object>} Result with success status
+     */
+    async endLockdown(guildId, userId) {
+        const lockdown = await this.getLockdown(guildId);
+        if (!lockdown) {
+            return { success: false, reason: 'not_locked', message: 'This server is not in lockdown' };
+        }
+
+        const result = await this.saveSettings(guildId, {
+            $set: { 'botConfig.raidProtection.lockdown.active': false, 'botConfig.raidProtection.lockdown.endsAt': new Date() }
+        });
+        if (!result.success) {
+            return result;
+        }
+
+        await this.botService.auditLogger?.logAdminAction(userId, 'raid_lockdown_ended', guildId, {
+            reason: lockdown.reason,
+            startedAt: lockdown.startedAt
+        });
+
+        logger.security('Raid lockdown ended', { guildId, userId });
+
+        return { success: true };
+    }
+
+    /**
+     * Change a guild's raid protection settings
+     * @param {string} guildId - Guild ID
+     * @param {Object} values - Any of { autoLockdown, lockdownDuration, newMemberAge } (ms)
+     * @param {string} userId - User making the change
+     * @returns {Promise<Object>} Result with success status and settings
+     */
+    async updateSettings(guildId, values, userId) {
+        const update = {};
+
+        if (typeof values.autoLockdown === 'boolean') {
+            update['botConfig.raidProtection.autoLockdown'] = values.autoLockdown;
+        }
+
+        for (const field of ['lockdownDuration', 'newMemberAge']) {
+            if (values[field] === undefined || values[field] === null) {
+                continue;
+            }
+            if (!Number.isFinite(values[field]) || values[field] < 60000) {
+                return { success: false, reason: 'invalid_value', message: `${field} must be at least one minute` };
+            }
+            update[`botConfig.raidProtection.${field}`] = values[field];
+        }
+
+        if (Object.keys(update).length === 0) {
+            return { success: false, reason: 'no_values', message: 'Provide at least one setting to change' };
+        }
+
+        const result = await this.saveSettings(guildId, { $set: update });
+
+        if (result.success && this.botService.auditLogger) {
+            await this.botService.auditLogger.logConfigChange(userId, guildId, 'raid_protection', values);
+        }
+
+        return result;
+    }
+
+    /**
+     * @private
+     */
+    async saveSettings(guildId, update) {
+        try {
+            const mapping = await DiscordServerMapping.findOneAndUpdate(
+                { guildId, isActive: true },
+                update,
+                { new: true, runValidators: true }
+            );
+
+            if (!mapping) {
+                return { success: false, reason: 'not_linked', message: 'Server is not linked to a community' };
+            }
+
+            this.settingsCache.delete(guildId);
+            await this.botService.shardCoordinator?.broadcast?.('raid_protection_changed', { guildId });
+
+            return { success: true, settings: this.mergeSettings(mapping.botConfig?.raidProtection) };
+        } catch (error) {
+            logger.error('Failed to save raid protection settings:', error);
+            return { success: false, reason: 'error', message: error.message };
+        }
+    }
+
+    /**
+     * Current raid picture for a guild
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<Object>} { settings, lockdown, assessment }
+     */
+    async getStatus(guildId) {
+        const settings = await this.getSettings(guildId);
+        const now = Date.now();
+        const joins = (this.recentJoins.get(guildId) || [])
+            .filter(join => now - join.joinedAt < this.getBurstThreshold().window);
+
+        return {
+            settings,
+            lockdown: this.isLockdownActive(settings.lockdown) ? settings.lockdown : null,
+            assessment: this.scoreJoins(joins, now)
+        };
+    }
+
+    /**
+     * Automated lockdowns are audited as the bot user
+     * @private
+     */
+    getActorId() {
+        return this.botService.client?.user?.id || SYSTEM_ACTOR;
+    }
+
+    /**
+     * @private
+     */
+    isDatabaseAvailable() {
+        return Boolean(this.botService?.db?.isHealthy?.());
+    }
+
+    /**
+     * @returns {Object} Raid detection statistics
+     */
+    getStatistics() {
+        return {
+            ...this.stats,
+            trackedGuilds: this.recentJoins.size
+        };
+    }
+}
+
+module.exports = RaidDetectionService;
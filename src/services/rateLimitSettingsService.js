@@ -0,0 +1,166 @@
+const logger = require('../utils/logger');
+const RateLimiter = require('../utils/rateLimiter');
+const DiscordServerMapping = require('../models/discordServerMapping');
+
+/**
+ * Rate Limit Settings Service
+ * Stores per-guild rate limit overrides in discordServerMapping.botConfig and
+ * hands them to the rate limiter. Overrides are keyed by action ("command",
+ * "button", "allowlist_entry", ...) or by "command:<command name>".
+ */
+class RateLimitSettingsService {
+    constructor(botService) {
+        this.botService = botService;
+        this.limitsCache = new Map();
+        this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
+    }
+
+    /**
+     * Get a guild's rate limit overrides
+     * @param {string} guildId - Discord guild ID
+     * @returns {Promise<Object>} Limits keyed by action or `command:<name>`
+     */
+    async getGuildLimits(guildId) {
+        const cached = this.limitsCache.get(guildId);
+        if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
+            return cached.limits;
+        }
+
+        let limits = {};
+
+        try {
+            const mapping = await DiscordServerMapping.findOne({ guildId, isActive: true })
+                .select('botConfig.rateLimits')
+                .lean();
+
+            limits = { ...(mapping?.botConfig?.rateLimits || {}) };
+        } catch (error) {
+            logger.error('Error loading guild rate limits:', error);
+            return limits;
+        }
+
+        this.limitsCache.set(guildId, { limits, timestamp: Date.now() });
+        return limits;
+    }
+
+    /**
+     * Check that a key names something the rate limiter knows how to limit
+     * @param {string} key - Action or `command:<name>`
+     * @returns {boolean} True when valid
+     */
+    isValidKey(key) {
+        if (key.startsWith('command:')) {
+            return /^[\w-]{1,32}$/.test(key.slice('command:'.length));
+        }
+
+        return Object.prototype.hasOwnProperty.call(this.botService.rateLimiter.defaultLimits, key);
+    }
+
+    /**
+     * Set a rate limit override for a guild
+     * @param {string} guildId - Discord guild ID
+     * @param {string} key - Action or `command:<name>`
+     * @param {Object} config - { requests, window, algorithm }
+     * @param {string} userId - Discord user ID making the change
+     * @returns {Promise<Object>} Result with success status
+     */
+    async setGuildLimit(guildId, key, config, userId) {
+        if (!this.isValidKey(key)) {
+            return { success: false, reason: 'invalid_key', message: `Unknown rate limit: ${key}` };
+        }
+
+        let limit;
+        try {
+            limit = RateLimiter.normalizeLimit(config);
+        } catch (error) {
+            return { success: false, reason: 'invalid_limit', message: error.message };
+        }
+
+        try {
+            const mapping = await DiscordServerMapping.findOneAndUpdate(
+                { guildId, isActive: true },
+                { $set: { [`botConfig.rateLimits.${key}`]: limit } },
+                { new: true }
+            );
+
+            if (!mapping) {
+                return { success: false, reason: 'not_linked', message: 'Server is not linked to a community' };
+            }
+
+            this.limitsCache.delete(guildId);
+
+            if (this.botService.auditLogger) {
+                await this.botService.auditLogger.logConfigChange(userId, guildId, 'rate_limits', { [key]: limit });
+            }
+
+            logger.info(`Rate limit ${key} for guild ${guildId} set`, limit);
+
+            return { success: true, key, limit };
+        } catch (error) {
+            logger.error('Error setting guild rate limit:', error);
+            return { success: false, reason: 'error', message: error.message };
+        }
+    }
+
+    /**
+     * Remove rate limit overrides for a guild
+     * @param {string} guildId - Discord guild ID
+     * @param {string|null} key - Override to remove, or null for all of them
+     * @param {string} userId - Discord user ID making the change
+     * @returns {Promise<Object>} Result with success status
+     */
+    async resetGuildLimits(guildId, key, userId) {
+        try {
+            const path = key ? `botConfig.rateLimits.${key}` : 'botConfig.rateLimits';
+            const mapping = await DiscordServerMapping.findOneAndUpdate(
+                { guildId, isActive: true },
+                { $unset: { [path]: '' } },
+                { new: true }
+            );
+
+            if (!mapping) {
+                return { success: false, reason: 'not_linked', message: 'Server is not linked to a community' };
+            }
+
+            this.limitsCache.delete(guildId);
+
+            if (this.botService.auditLogger) {
+                await this.botService.auditLogger.logConfigChange(userId, guildId, 'rate_limits', { reset: key || 'all' });
+            }
+
+            logger.info(`Rate limit overrides for guild ${guildId} reset`, { key: key || 'all' });
+
+            return { success: true };
+        } catch (error) {
+            logger.error('Error resetting guild rate limits:', error);
+            return { success: false, reason: 'error', message: error.message };
+        }
+    }
+
+    /**
+     * Describe the limits in effect for a guild
+     * @param {string} guildId - Discord guild ID
+     * @returns {Promise<Array>} [{ key, limit, source }]
+     */
+    async getEffectiveLimits(guildId) {
+        const rateLimiter = this.botService.rateLimiter;
+        const overrides = await this.getGuildLimits(guildId);
+        const effective = new Map();
+
+        Object.entries(rateLimiter.defaultLimits).forEach(([key, limit]) => {
+            effective.set(key, { key, limit, source: 'default' });
+        });
+
+        Object.entries(rateLimiter.commandLimits).forEach(([command, limit]) => {
+            effective.set(`command:${command}`, { key: `command:${command}`, limit, source: 'command' });
+        });
+
+        Object.entries(overrides).forEach(([key, limit]) => {
+            effective.set(key, { key, limit, source: 'guild' });
+        });
+
+        return Array.from(effective.values());
+    }
+}
+
+module.exports = RateLimitSettingsService;
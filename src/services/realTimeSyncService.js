@@ -1,6 +1,7 @@
 const logger = require('../utils/logger');
 const axios = require('axios');
 const EventEmitter = require('events');
+const SyncQueueStore = require('./syncQueueStore');
 
 /**
  * Real-Time Synchronization Service
@@ -31,12 +32,20 @@ class RealTimeSyncService extends EventEmitter {
         this.batchSize = 50;
         this.batchTimeout = 5000; // 5 seconds
         this.batchTimer = null;
+
+        // Durable queues in Redis; syncQueue and batchQueue hold the work
+        // when Redis is unavailable
+        this.syncStore = new SyncQueueStore(this.redis, 'operations');
+        this.batchStore = new SyncQueueStore(this.redis, 'batches');
+        this.legacyBatchQueueKey = 'discord_sync:batch_queue';
+        this.batchLease = 30000; // 30 seconds
         
         // Performance monitoring
         this.metrics = {
             syncOperations: 0,
             successfulSyncs: 0,
             failedSyncs: 0,
+            deadLetteredSyncs: 0,
             batchOperations: 0,
             webhookEvents: 0,
             lastSyncTime: null,
@@ -61,6 +70,7 @@ class RealTimeSyncService extends EventEmitter {
 
             // Set up event listeners
             this.setupEventListeners();
+            this.setupShardListeners();
 
             // Start periodic sync processes
             this.startPeriodicSync();
@@ -114,6 +124,35 @@ class RealTimeSyncService extends EventEmitter {
         });
     }
 
+    /**
+     * Apply sync operations processed on other shards to the guilds this
+     * shard owns. The queue is shared, so whichever shard claims an operation
+     * updates the backend and hands the Discord side to the rest.
+     */
+    setupShardListeners() {
+        const coordinator = this.botService.shardCoordinator;
+        if (!coordinator?.isSharded()) {
+            return;
+        }
+
+        coordinator.on('sync_task_status', async ({ taskId, newStatus, metadata }) => {
+            await this.applyTaskStatus(taskId, newStatus, metadata);
+        });
+
+        coordinator.on('sync_allowlist_update', async ({ allowlistId, updateType, changes }) => {
+            await this.applyAllowlistUpdate(allowlistId, updateType, changes, { fromShard: true });
+        });
+    }
+
+    /**
+     * Check whether this shard handles a guild
+     * @param {string} guildId - Discord guild ID
+     * @returns {boolean} True when this shard owns the guild
+     */
+    ownsGuild(guildId) {
+        return !this.botService.shardCoordinator || this.botService.shardCoordinator.ownsGuild(guildId);
+    }
+
     /**
      * Handle task status synchronization
      * @param {Object} data - Task status change data
@@ -126,7 +165,7 @@ class RealTimeSyncService extends EventEmitter {
             logger.info('Handling task status sync:', { taskId, newStatus, syncId });
 
             // Add to sync queue
-            this.syncQueue.set(syncId, {
+            await this.queueSyncOperation(syncId, {
                 type: 'task_status',
                 taskId,
                 newStatus,
@@ -158,7 +197,7 @@ class RealTimeSyncService extends EventEmitter {
             logger.info('Handling allowlist sync:', { allowlistId, updateType, syncId });
 
             // Add to sync queue
-            this.syncQueue.set(syncId, {
+            await this.queueSyncOperation(syncId, {
                 type: 'allowlist_update',
                 allowlistId,
                 updateType,
@@ -190,7 +229,7 @@ class RealTimeSyncService extends EventEmitter {
             logger.info('Handling user progress sync:', { userId, progressType, syncId });
 
             // Add to sync queue
-            this.syncQueue.set(syncId, {
+            await this.queueSyncOperation(syncId, {
                 type: 'user_progress',
                 userId,
                 progressType,
@@ -210,6 +249,18 @@ class RealTimeSyncService extends EventEmitter {
         }
     }
 
+    /**
+     * Add an operation to the sync queue and persist it. Outside tests the
+     * caller processes it right away, so it's stored already leased; if this
+     * process stops first, the lease lapses and another process picks it up.
+     * @param {string} syncId - Sync operation ID
+     * @param {Object} syncOp - Sync operation data
+     */
+    async queueSyncOperation(syncId, syncOp) {
+        this.syncQueue.set(syncId, syncOp);
+        await this.syncStore.enqueue(syncId, syncOp, { claimed: process.env.NODE_ENV !== 'test' });
+    }
+
     /**
      * Handle batch synchronization
      * @param {Object} data - Batch sync data
@@ -217,7 +268,7 @@ class RealTimeSyncService extends EventEmitter {
     async handleBatchSync(data) {
         try {
             const { operations, priority = 'normal' } = data;
-            const batchId = `batch_${Date.now()}`;
+            const batchId = `batch_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
 
             logger.info('Handling batch sync:', { batchId, operationCount: operations.length, priority });
 
@@ -230,7 +281,9 @@ class RealTimeSyncService extends EventEmitter {
                 processed: false
             };
 
-            if (priority === 'high') {
+            if (this.batchStore.isDurable()) {
+                await this.batchStore.enqueue(batchId, batchOperation, { front: priority === 'high' });
+            } else if (priority === 'high') {
                 this.batchQueue.unshift(batchOperation);
             } else {
                 this.batchQueue.push(batchOperation);
@@ -287,6 +340,7 @@ class RealTimeSyncService extends EventEmitter {
 
                 // Success - remove from queue
                 this.syncQueue.delete(syncId);
+                await this.syncStore.ack(syncId);
                 this.metrics.successfulSyncs++;
                 
                 // Update performance metrics
@@ -321,18 +375,34 @@ class RealTimeSyncService extends EventEmitter {
     async syncTaskStatus(syncOp) {
         const { taskId, newStatus, metadata } = syncOp;
 
-        // Update Naffles backend
-        await this.makeNafflesApiCall(
-            `/api/social-tasks/${taskId}/sync-status`,
-            'PATCH',
-            {
-                status: newStatus,
-                source: 'discord_bot',
-                metadata,
-                timestamp: new Date()
-            }
-        );
+        // A retry after a failed handoff only repeats the handoff
+        if (!syncOp.appliedLocally) {
+            // Update Naffles backend
+            await this.makeNafflesApiCall(
+                `/api/social-tasks/${taskId}/sync-status`,
+                'PATCH',
+                {
+                    status: newStatus,
+                    source: 'discord_bot',
+                    metadata,
+                    timestamp: new Date()
+                }
+            );
+
+            await this.applyTaskStatus(taskId, newStatus, metadata);
+            syncOp.appliedLocally = true;
+        }
 
+        await this.handToOtherShards('sync_task_status', { taskId, newStatus, metadata });
+    }
+
+    /**
+     * Update the task's messages in the guilds this shard owns
+     * @param {string} taskId - Task ID
+     * @param {string} newStatus - New status
+     * @param {Object} metadata - Additional metadata
+     */
+    async applyTaskStatus(taskId, newStatus, metadata) {
         // Update Discord embeds
         await this.updateDiscordTaskEmbeds(taskId, {
             status: newStatus,
@@ -350,18 +420,53 @@ class RealTimeSyncService extends EventEmitter {
     async syncAllowlistUpdate(syncOp) {
         const { allowlistId, updateType, changes } = syncOp;
 
-        // Update Naffles backend
-        await this.makeNafflesApiCall(
-            `/api/allowlists/${allowlistId}/sync-update`,
-            'PATCH',
-            {
-                updateType,
-                changes,
-                source: 'discord_bot',
-                timestamp: new Date()
-            }
-        );
+        // A retry after a failed handoff only repeats the handoff
+        if (!syncOp.appliedLocally) {
+            // Update Naffles backend
+            await this.makeNafflesApiCall(
+                `/api/allowlists/${allowlistId}/sync-update`,
+                'PATCH',
+                {
+                    updateType,
+                    changes,
+                    source: 'discord_bot',
+                    timestamp: new Date()
+                }
+            );
+
+            await this.applyAllowlistUpdate(allowlistId, updateType, changes);
+            syncOp.appliedLocally = true;
+        }
+
+        await this.handToOtherShards('sync_allowlist_update', { allowlistId, updateType, changes });
+    }
+
+    /**
+     * Send the Discord side of a sync operation to the other shards. Throws
+     * when it can't be published, so the operation is retried instead of
+     * acknowledged while guilds on other shards still miss the update.
+     * @param {string} type - Shard event type
+     * @param {Object} payload - Update to apply
+     */
+    async handToOtherShards(type, payload) {
+        const coordinator = this.botService.shardCoordinator;
+        if (!coordinator?.isSharded()) {
+            return;
+        }
+
+        if (!(await coordinator.broadcast(type, payload))) {
+            throw new Error('Could not hand the update to the other shards');
+        }
+    }
 
+    /**
+     * Update the allowlist's messages in the guilds this shard owns
+     * @param {string} allowlistId - Allowlist ID
+     * @param {string} updateType - Update type
+     * @param {Object} changes - Changes to apply
+     * @param {Object} options - { fromShard } when another shard synced the update
+     */
+    async applyAllowlistUpdate(allowlistId, updateType, changes, options = {}) {
         // Update Discord embeds
         await this.updateDiscordAllowlistEmbeds(allowlistId, changes);
 
@@ -376,7 +481,10 @@ class RealTimeSyncService extends EventEmitter {
                 break;
             
             case 'winner_selected':
-                await this.handleAllowlistWinnerSelected(allowlistId, changes);
+                // Winner notifications and role rewards hand other shards their guilds themselves
+                if (!options.fromShard) {
+                    await this.handleAllowlistWinnerSelected(allowlistId, changes);
+                }
                 break;
         }
     }
@@ -432,7 +540,7 @@ class RealTimeSyncService extends EventEmitter {
             const updatePromises = taskMessages.map(async (messageData) => {
                 try {
                     const channel = await this.botService.client.channels.fetch(messageData.channelId);
-                    if (!channel) return;
+                    if (!channel || !this.ownsGuild(channel.guildId)) return;
 
                     const message = await channel.messages.fetch(messageData.messageId);
                     if (!message) return;
@@ -448,7 +556,8 @@ class RealTimeSyncService extends EventEmitter {
                     const updatedEmbed = this.botService.createTaskEmbed(updatedTaskData, {
                         showProgress: true,
                         showAnalytics: true,
-                        lastUpdate: new Date()
+                        lastUpdate: new Date(),
+                        locale: await this.botService.localization.getGuildLocale(channel.guild?.id)
                     });
 
                     // Update message
@@ -484,7 +593,7 @@ class RealTimeSyncService extends EventEmitter {
             const updatePromises = allowlistMessages.map(async (messageData) => {
                 try {
                     const channel = await this.botService.client.channels.fetch(messageData.channelId);
-                    if (!channel) return;
+                    if (!channel || !this.ownsGuild(channel.guildId)) return;
 
                     const message = await channel.messages.fetch(messageData.messageId);
                     if (!message) return;
@@ -500,7 +609,8 @@ class RealTimeSyncService extends EventEmitter {
                     const updatedEmbed = this.botService.createAllowlistEmbed(updatedAllowlistData, {
                         showProgress: true,
                         showAnalytics: true,
-                        lastUpdate: new Date()
+                        lastUpdate: new Date(),
+                        locale: await this.botService.localization.getGuildLocale(channel.guild?.id)
                     });
 
                     // Update message
@@ -528,9 +638,26 @@ class RealTimeSyncService extends EventEmitter {
      */
     async processBatchQueue() {
         try {
-            if (this.batchQueue.length === 0) return;
+            let batch;
+            let claimedIds = [];
+
+            if (this.batchStore.isDurable()) {
+                // When sharded, one shard processes the batches queued by every shard
+                // and hands the Discord side of each update to the other shards
+                const coordinator = this.botService.shardCoordinator;
+                if (coordinator?.isSharded() && !(await coordinator.claimJob('sync_batch', this.batchLease))) return;
+
+                const claimed = await this.batchStore.claim(this.batchSize);
+                if (claimed.length === 0) return;
+
+                claimedIds = claimed.map(({ id }) => id);
+                batch = claimed.map(({ operation }) => operation);
+            } else {
+                if (this.batchQueue.length === 0) return;
+
+                batch = this.batchQueue.splice(0, this.batchSize);
+            }
 
-            const batch = this.batchQueue.splice(0, this.batchSize);
             const batchId = `batch_${Date.now()}`;
 
             logger.info(`Processing batch: ${batchId} with ${batch.length} operations`);
@@ -549,6 +676,10 @@ class RealTimeSyncService extends EventEmitter {
             const successful = results.filter(r => r.status === 'fulfilled').length;
             const failed = results.length - successful;
 
+            // Batches are acknowledged once processed; a crash before this
+            // point leaves them to be claimed again after the visibility timeout
+            await Promise.all(claimedIds.map(id => this.batchStore.ack(id)));
+
             this.metrics.batchOperations++;
             logger.info(`Batch processed: ${batchId} - ${successful} successful, ${failed} failed`);
 
@@ -809,7 +940,7 @@ class RealTimeSyncService extends EventEmitter {
 
         // Start batch timeout processing
         this.batchTimer = setInterval(() => {
-            if (this.batchQueue.length > 0) {
+            if (this.batchQueue.length > 0 || this.batchStore.isDurable()) {
                 this.processBatchQueue();
             }
         }, this.batchTimeout);
@@ -847,9 +978,21 @@ class RealTimeSyncService extends EventEmitter {
      */
     async processPendingSyncs() {
         try {
-            const pendingSyncs = Array.from(this.syncQueue.keys())
-                .filter(syncId => !this.activeSyncs.has(syncId))
-                .slice(0, 10); // Process up to 10 at a time
+            const maxConcurrent = 10; // Process up to 10 at a time
+            const localSyncs = Array.from(this.syncQueue.keys())
+                .filter(syncId => !this.activeSyncs.has(syncId));
+
+            // Fill the remaining slots from the durable queue: operations queued
+            // by other shards, replayed ones, or ones a stopped process left behind
+            const claimed = await this.syncStore.claim(maxConcurrent - localSyncs.length);
+            for (const { id, operation } of claimed) {
+                if (!this.syncQueue.has(id)) {
+                    this.syncQueue.set(id, operation);
+                    localSyncs.push(id);
+                }
+            }
+
+            const pendingSyncs = localSyncs.slice(0, maxConcurrent);
 
             const processPromises = pendingSyncs.map(syncId => 
                 this.processSyncOperation(syncId)
@@ -872,8 +1015,10 @@ class RealTimeSyncService extends EventEmitter {
 
             // Clean up old sync operations
             for (const [syncId, syncOp] of this.syncQueue.entries()) {
-                if (now - syncOp.timestamp > maxAge) {
+                if (now - syncOp.timestamp > maxAge && !this.activeSyncs.has(syncId)) {
                     this.syncQueue.delete(syncId);
+                    await this.syncStore.deadLetter(syncId, syncOp, 'Not synced within 5 minutes');
+                    this.metrics.deadLetteredSyncs++;
                     logger.debug(`Cleaned up old sync operation: ${syncId}`);
                 }
             }
@@ -904,9 +1049,11 @@ class RealTimeSyncService extends EventEmitter {
         syncOp.lastRetryTime = Date.now();
 
         if (syncOp.retries >= this.maxRetries) {
-            // Max retries reached - remove from queue and log
+            // Max retries reached - move to the dead-letter queue and log
             this.syncQueue.delete(syncId);
+            await this.syncStore.deadLetter(syncId, syncOp, error.message);
             this.metrics.failedSyncs++;
+            this.metrics.deadLetteredSyncs++;
             
             logger.error(`Sync operation failed after ${this.maxRetries} retries: ${syncId}`, {
                 type: syncOp.type,
@@ -917,10 +1064,13 @@ class RealTimeSyncService extends EventEmitter {
             // Set error cooldown
             this.errorCooldowns.set(syncId, Date.now());
         } else {
-            // Schedule retry
+            // Schedule retry, keeping the lease until it's due
+            const delay = this.retryDelay * syncOp.retries;
+            await this.syncStore.touch(syncId, syncOp, delay);
+
             setTimeout(() => {
                 this.processSyncOperation(syncId);
-            }, this.retryDelay * syncOp.retries);
+            }, delay);
 
             logger.warn(`Sync operation retry scheduled: ${syncId} (attempt ${syncOp.retries + 1}/${this.maxRetries})`);
         }
@@ -1109,6 +1259,11 @@ class RealTimeSyncService extends EventEmitter {
                 return;
             }
 
+            // The webhook server only runs on the primary shard
+            if (this.botService.shardCoordinator && !this.botService.shardCoordinator.isPrimary()) {
+                return;
+            }
+
             // Register webhook endpoint with Naffles backend
             await this.makeNafflesApiCall('/api/webhooks/discord-bot', 'POST', {
                 url: `${process.env.DISCORD_BOT_WEBHOOK_URL}/webhook`,
@@ -1128,33 +1283,92 @@ class RealTimeSyncService extends EventEmitter {
     }
 
     /**
-     * Restore sync state from Redis
+     * Restore sync state from Redis. Queued operations are already durable and
+     * ones left leased by a stopped process are reclaimed once their visibility
+     * timeout lapses, so this only moves batches from the old shared list.
      */
     async restoreSyncState() {
         try {
-            const keys = await this.redis.keys('discord_sync:*');
-            
-            // Handle case where keys might be null or undefined
-            if (!keys || !Array.isArray(keys)) {
-                logger.info('No sync state to restore from Redis');
+            // Persisted operations are restored by a single shard so they don't run twice
+            const coordinator = this.botService.shardCoordinator;
+            if (coordinator && !(await coordinator.claimJob('sync_restore', 60000))) {
+                logger.info('Sync state is being restored by another shard');
                 return;
             }
-            
-            for (const key of keys) {
-                const syncData = await this.redis.get(key);
-                if (syncData) {
-                    const syncOp = JSON.parse(syncData);
-                    const syncId = key.replace('discord_sync:', '');
-                    this.syncQueue.set(syncId, syncOp);
-                }
+
+            if (!this.batchStore.isDurable()) {
+                logger.info('Redis unavailable; sync operations are queued in memory');
+                return;
+            }
+
+            const legacyBatches = await this.redis.popFromList(this.legacyBatchQueueKey, 1000);
+            for (const batch of legacyBatches) {
+                await this.batchStore.enqueue(batch.batchId, batch);
             }
 
-            logger.info(`Restored ${this.syncQueue.size} sync operations from Redis`);
+            const [operations, batches] = await Promise.all([
+                this.syncStore.getCounts(),
+                this.batchStore.getCounts()
+            ]);
+
+            logger.info(`Sync queue restored from Redis: ${operations.pending + operations.inflight} operations, ${batches.pending + batches.inflight + legacyBatches.length} batches, ${operations.deadLettered} dead-lettered`);
         } catch (error) {
             logger.error('Error restoring sync state:', error);
         }
     }
 
+    /**
+     * Count queued and dead-lettered work in the durable queues
+     * @returns {Promise<Object>} { operations, batches } counts
+     */
+    async getQueueStatus() {
+        const [operations, batches] = await Promise.all([
+            this.syncStore.getCounts(),
+            this.batchStore.getCounts()
+        ]);
+
+        return { operations, batches };
+    }
+
+    /**
+     * List operations that exhausted their retries
+     * @param {number} limit - Maximum entries
+     * @returns {Promise<Array>} Dead-letter entries, newest first
+     */
+    async listDeadLetters(limit = 50) {
+        return await this.syncStore.listDeadLetters(limit);
+    }
+
+    /**
+     * Requeue a dead-lettered operation with its retries reset
+     * @param {string} syncId - Sync operation ID
+     * @returns {Promise<Object|null>} The requeued operation, or null when not found
+     */
+    async replayDeadLetter(syncId) {
+        const syncOp = await this.syncStore.replayDeadLetter(syncId);
+
+        // Without Redis the operation goes back on the in-memory queue
+        if (syncOp && !this.syncStore.isDurable()) {
+            this.syncQueue.set(syncId, syncOp);
+        }
+
+        if (syncOp) {
+            this.errorCooldowns.delete(syncId);
+            logger.info(`Dead-lettered sync operation replayed: ${syncId}`);
+        }
+
+        return syncOp;
+    }
+
+    /**
+     * Delete a dead-lettered operation
+     * @param {string} syncId - Sync operation ID
+     * @returns {Promise<boolean>} True when it existed
+     */
+    async dropDeadLetter(syncId) {
+        return await this.syncStore.dropDeadLetter(syncId);
+    }
+
     /**
      * Get sync service statistics
      * @returns {Object} Service statistics
@@ -1184,7 +1398,7 @@ class RealTimeSyncService extends EventEmitter {
             for (const messageData of taskMessages) {
                 try {
                     const channel = await this.botService.client.channels.fetch(messageData.channelId);
-                    if (!channel) continue;
+                    if (!channel || !this.ownsGuild(channel.guildId)) continue;
 
                     // Send notification message
                     await channel.send({
@@ -1223,7 +1437,7 @@ class RealTimeSyncService extends EventEmitter {
             for (const messageData of allowlistMessages) {
                 try {
                     const channel = await this.botService.client.channels.fetch(messageData.channelId);
-                    if (!channel) continue;
+                    if (!channel || !this.ownsGuild(channel.guildId)) continue;
 
                     await channel.send({
                         content: `🎉 New participant joined the allowlist!`,
@@ -1266,6 +1480,15 @@ class RealTimeSyncService extends EventEmitter {
     async handleAllowlistWinnerSelected(allowlistId, changes) {
         try {
             await this.updateDiscordAllowlistEmbeds(allowlistId, changes);
+
+            // Announce the winners and tell each of them how to claim
+            if (this.botService.winnerNotifications) {
+                await this.botService.winnerNotifications.notifyWinners(allowlistId, changes.winners || []);
+            }
+
+            if (this.botService.roleRewards) {
+                await this.botService.roleRewards.handleAllowlistWinners(allowlistId, changes.winners || []);
+            }
         } catch (error) {
             logger.error('Error handling allowlist winner selected:', error);
         }
@@ -1347,9 +1570,10 @@ class RealTimeSyncService extends EventEmitter {
             // Process remaining sync operations
             await this.processPendingSyncs();
 
-            // Save sync state to Redis
+            // Hand unfinished operations back so the next process claims them
+            // straight away instead of waiting for their leases to lapse
             for (const [syncId, syncOp] of this.syncQueue.entries()) {
-                await this.redis.setex(`discord_sync:${syncId}`, 3600, JSON.stringify(syncOp));
+                await this.syncStore.release(syncId, syncOp);
             }
 
             logger.info('Real-Time Sync Service shutdown complete');
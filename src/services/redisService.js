@@ -4,6 +4,7 @@ const logger = require('../utils/logger');
 class RedisService {
     constructor() {
         this.client = null;
+        this.subscriber = null;
         this.isConnected = false;
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 5;
@@ -113,6 +114,11 @@ class RedisService {
 
     async disconnect() {
         try {
+            if (this.subscriber) {
+                await this.subscriber.quit();
+                this.subscriber = null;
+            }
+
             if (this.client && this.isConnected) {
                 await this.client.quit();
                 this.isConnected = false;
@@ -232,42 +238,130 @@ class RedisService {
         return await this.del(key);
     }
 
-    // Rate Limiting Methods
-    async checkRateLimit(identifier, limit = 10, window = 60) {
+    // Scripting
+    /**
+     * Run a Lua script atomically
+     * @param {string} script - Lua source
+     * @param {Array<string>} keys - Keys the script touches
+     * @param {Array<string>} args - Script arguments
+     * @returns {Promise<*>} Script result, or null when Redis is unavailable
+     */
+    async evalScript(script, keys = [], args = []) {
         try {
             if (!this.isConnected) {
-                return { allowed: true, remaining: limit };
+                return null;
             }
 
-            const key = `${this.cachePrefixes.rateLimiting}${identifier}`;
-            const current = await this.client.get(key);
-            
-            if (!current) {
-                await this.client.setEx(key, window, '1');
-                return { allowed: true, remaining: limit - 1 };
+            return await this.client.eval(script, { keys, arguments: args });
+        } catch (error) {
+            logger.error('Failed to run Redis script:', error);
+            return null;
+        }
+    }
+
+    // Pub/Sub
+    /**
+     * Publish a message to a channel
+     * @param {string} channel - Channel name
+     * @param {*} message - Message (JSON-serialized)
+     * @returns {Promise<boolean>} True when published
+     */
+    async publish(channel, message) {
+        try {
+            if (!this.isConnected) {
+                return false;
+            }
+
+            await this.client.publish(channel, JSON.stringify(message));
+            return true;
+        } catch (error) {
+            logger.error('Failed to publish message:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Subscribe to a channel. Subscriptions need their own connection, which
+     * is created on first use.
+     * @param {string} channel - Channel name
+     * @param {Function} handler - Called with each parsed message
+     * @returns {Promise<boolean>} True when subscribed
+     */
+    async subscribe(channel, handler) {
+        try {
+            if (!this.isConnected) {
+                return false;
+            }
+
+            if (!this.subscriber) {
+                this.subscriber = this.client.duplicate();
+                this.subscriber.on('error', error => logger.error('Redis subscriber error:', error));
+                await this.subscriber.connect();
             }
 
-            const count = parseInt(current);
-            if (count >= limit) {
-                const ttl = await this.client.ttl(key);
-                return { 
-                    allowed: false, 
-                    remaining: 0, 
-                    resetTime: Date.now() + (ttl * 1000) 
-                };
+            await this.subscriber.subscribe(channel, message => {
+                try {
+                    handler(JSON.parse(message));
+                } catch (error) {
+                    logger.error(`Failed to handle message on ${channel}:`, error);
+                }
+            });
+            return true;
+        } catch (error) {
+            logger.error('Failed to subscribe to channel:', error);
+            return false;
+        }
+    }
+
+    // Shared Queues
+    /**
+     * Add an item to a list used as a queue
+     * @param {string} key - List key
+     * @param {*} value - Item (JSON-serialized)
+     * @param {boolean} prepend - Put the item at the front of the queue
+     * @returns {Promise<boolean>} True when queued
+     */
+    async pushToList(key, value, prepend = false) {
+        try {
+            if (!this.isConnected) {
+                return false;
             }
 
-            await this.client.incr(key);
-            return { allowed: true, remaining: limit - count - 1 };
+            const serializedValue = JSON.stringify(value);
+            if (prepend) {
+                await this.client.lPush(key, serializedValue);
+            } else {
+                await this.client.rPush(key, serializedValue);
+            }
+            return true;
         } catch (error) {
-            logger.error('Failed to check rate limit:', error);
-            return { allowed: true, remaining: limit };
+            logger.error('Failed to push to list:', error);
+            return false;
         }
     }
 
-    async resetRateLimit(identifier) {
-        const key = `${this.cachePrefixes.rateLimiting}${identifier}`;
-        return await this.del(key);
+    /**
+     * Atomically take up to `count` items from the front of a list
+     * @param {string} key - List key
+     * @param {number} count - Maximum items to take
+     * @returns {Promise<Array>} Parsed items
+     */
+    async popFromList(key, count) {
+        try {
+            if (!this.isConnected) {
+                return [];
+            }
+
+            const [values] = await this.client.multi()
+                .lRange(key, 0, count - 1)
+                .lTrim(key, count, -1)
+                .exec();
+
+            return values.map(value => JSON.parse(value));
+        } catch (error) {
+            logger.error('Failed to pop from list:', error);
+            return [];
+        }
     }
 
     // Temporary Data Methods
@@ -0,0 +1,36 @@
+const RiskSignal = require('./riskSignal');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Account age -> risk
+const AGE_TIERS = [
+    [DAY, 1],
+    [7 * DAY, 0.8],
+    [30 * DAY, 0.5],
+    [90 * DAY, 0.2]
+];
+
+/**
+ * Account Age Signal
+ * Young Discord accounts are the cheapest to farm.
+ */
+class AccountAgeSignal extends RiskSignal {
+    constructor(weight = 25) {
+        super('account_age', weight);
+    }
+
+    async evaluate(context) {
+        if (!context.user?.createdTimestamp) {
+            throw new Error('Account creation date unknown');
+        }
+
+        const age = Date.now() - context.user.createdTimestamp;
+
+        return {
+            risk: this.tierRisk(age, AGE_TIERS),
+            detail: { days: Math.floor(age / DAY) }
+        };
+    }
+}
+
+module.exports = AccountAgeSignal;
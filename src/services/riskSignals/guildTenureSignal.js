@@ -0,0 +1,38 @@
+const RiskSignal = require('./riskSignal');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Time in the server -> risk
+const TENURE_TIERS = [
+    [HOUR, 1],
+    [DAY, 0.7],
+    [7 * DAY, 0.4],
+    [30 * DAY, 0.1]
+];
+
+/**
+ * Guild Tenure Signal
+ * Members who joined the server just before entering are more likely to be
+ * passing through for the allowlist.
+ */
+class GuildTenureSignal extends RiskSignal {
+    constructor(weight = 15) {
+        super('guild_tenure', weight);
+    }
+
+    async evaluate(context) {
+        if (!context.member?.joinedTimestamp) {
+            throw new Error('Server join date unknown');
+        }
+
+        const tenure = Date.now() - context.member.joinedTimestamp;
+
+        return {
+            risk: this.tierRisk(tenure, TENURE_TIERS),
+            detail: { hours: Math.floor(tenure / HOUR) }
+        };
+    }
+}
+
+module.exports = GuildTenureSignal;
@@ -0,0 +1,39 @@
+const RiskSignal = require('./riskSignal');
+const DiscordInteractionLog = require('../../models/discordInteractionLog');
+
+const HISTORY_DAYS = 30;
+const NO_HISTORY_RISK = 0.6;
+
+/**
+ * Interaction History Signal
+ * Blocked or suspicious interactions and error-heavy use of the bot in the
+ * last 30 days (discordInteractionLog). Entrants the bot has never seen
+ * before score moderately.
+ */
+class InteractionHistorySignal extends RiskSignal {
+    constructor(weight = 15) {
+        super('interaction_history', weight);
+    }
+
+    async evaluate(context) {
+        const history = await DiscordInteractionLog.getRiskHistory(context.discordId, HISTORY_DAYS);
+
+        if (history.total === 0) {
+            return { risk: NO_HISTORY_RISK, detail: { interactions: 0 } };
+        }
+
+        const flagged = history.blocked + history.suspicious;
+        const errorRate = history.errors / history.total;
+
+        return {
+            risk: Math.max(Math.min(1, flagged / 3), errorRate > 0.5 ? 0.5 : 0),
+            detail: {
+                interactions: history.total,
+                flagged,
+                errorRate: Math.round(errorRate * 100) / 100
+            }
+        };
+    }
+}
+
+module.exports = InteractionHistorySignal;
@@ -0,0 +1,43 @@
+/**
+ * Risk Signal
+ * One input to an allowlist entrant's Sybil risk score. Signals are used
+ * through SybilRiskService, which weights them into a 0-100 score; a signal
+ * only measures.
+ *
+ * evaluate() receives the entry context:
+ *   { discordId, user, member, guildId, allowlistId, nafflesUserId, walletAddress }
+ * and returns { risk, detail }, with risk from 0 (no concern) to 1. A signal
+ * that throws is left out of the score and shown as unavailable.
+ */
+class RiskSignal {
+    /**
+     * @param {string} name - Signal name
+     * @param {number} weight - Relative weight in the score
+     */
+    constructor(name, weight) {
+        this.name = name;
+        this.weight = weight;
+    }
+
+    /**
+     * Measure the entrant
+     * @param {Object} context - Entry context
+     * @returns {Promise<Object>} { risk, detail }
+     */
+    async evaluate(context) {
+        throw new Error(`${this.name} signal does not implement evaluate`);
+    }
+
+    /**
+     * Risk for a value against ascending [limit, risk] tiers
+     * @param {number} value - Measured value
+     * @param {Array} tiers - [[limit, risk], ...]; the first limit the value is under wins
+     * @returns {number} Risk, 0 when the value is past every limit
+     */
+    tierRisk(value, tiers) {
+        const tier = tiers.find(([limit]) => value < limit);
+        return tier ? tier[1] : 0;
+    }
+}
+
+module.exports = RiskSignal;
@@ -0,0 +1,36 @@
+const RiskSignal = require('./riskSignal');
+const DiscordAccountLink = require('../../models/discordAccountLink');
+
+/**
+ * Shared Account Signal
+ * Other Naffles users on the entrant's wallet (from the Naffles API), and
+ * other Discord accounts linked to the entrant's Naffles user.
+ */
+class SharedAccountSignal extends RiskSignal {
+    constructor(botService, weight = 25) {
+        super('shared_accounts', weight);
+        this.botService = botService;
+    }
+
+    async evaluate(context) {
+        const [walletUsers, linkGroups] = await Promise.all([
+            context.walletAddress
+                ? this.botService.makeNafflesApiCall(`/api/wallets/${encodeURIComponent(context.walletAddress)}/accounts`)
+                : null,
+            DiscordAccountLink.findSharedNafflesUsers([context.discordId])
+        ]);
+
+        const otherWalletUsers = (walletUsers?.userIds || []).filter(userId => userId !== context.nafflesUserId).length;
+        const otherDiscordAccounts = linkGroups.reduce((count, group) => count + group.discordIds.length - 1, 0);
+
+        return {
+            risk: Math.max(
+                otherWalletUsers === 0 ? 0 : otherWalletUsers === 1 ? 0.6 : 1,
+                otherDiscordAccounts === 0 ? 0 : 0.8
+            ),
+            detail: { otherWalletUsers, otherDiscordAccounts }
+        };
+    }
+}
+
+module.exports = SharedAccountSignal;
@@ -0,0 +1,31 @@
+const RiskSignal = require('./riskSignal');
+const DiscordAccountLink = require('../../models/discordAccountLink');
+
+/**
+ * Verification Failure Signal
+ * Failed verifications, suspicious activity flags and locks recorded on the
+ * entrant's account link (discordAccountLink.securityData).
+ */
+class VerificationFailureSignal extends RiskSignal {
+    constructor(weight = 20) {
+        super('verification_failures', weight);
+    }
+
+    async evaluate(context) {
+        const link = await DiscordAccountLink.findOne({ discordId: context.discordId, 'status.isActive': true })
+            .select('securityData')
+            .lean();
+
+        const securityData = link?.securityData || {};
+        const failedVerifications = securityData.failedVerifications || 0;
+        const suspiciousFlags = securityData.suspiciousActivityFlags?.length || 0;
+        const locked = Boolean(securityData.isLocked);
+
+        return {
+            risk: locked ? 1 : Math.max(Math.min(1, failedVerifications / 5), Math.min(1, suspiciousFlags / 3)),
+            detail: { failedVerifications, suspiciousFlags, locked }
+        };
+    }
+}
+
+module.exports = VerificationFailureSignal;
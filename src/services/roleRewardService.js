@@ -0,0 +1,472 @@
+const { PermissionFlagsBits } = require('discord.js');
+const logger = require('../utils/logger');
+const RoleRewardConfig = require('../models/roleRewardConfig');
+const RoleRewardGrant = require('../models/roleRewardGrant');
+const DiscordAccountLink = require('../models/discordAccountLink');
+
+/**
+ * Role Reward Service
+ * Grants Discord roles when members complete tasks or win allowlists, and
+ * removes time-limited roles once they expire. Grants are persisted so
+ * expiries survive bot restarts.
+ */
+class RoleRewardService {
+    constructor(botService) {
+        this.botService = botService;
+
+        this.expiryInterval = null;
+        this.expiryCheckFrequency = 5 * 60 * 1000; // 5 minutes
+        this.maxRemovalAttempts = 3;
+        this.isProcessingExpiries = false;
+
+        this.stats = {
+            rolesGranted: 0,
+            rolesExpired: 0,
+            grantFailures: 0,
+            lastExpiryRun: null
+        };
+
+        // Allowlist draws are synced on one shard; the others grant the
+        // roles in the guilds they own
+        this.botService.shardCoordinator?.on?.('allowlist_winner_roles', async ({ allowlistId, winners }) => {
+            try {
+                const configs = await RoleRewardConfig.findActiveForTarget('allowlist', allowlistId);
+                await this.grantWinnerRoles(configs.filter(config => this.ownsGuild(config.guildId)), winners);
+            } catch (error) {
+                logger.error('Error granting allowlist role rewards from another shard:', error);
+            }
+        });
+    }
+
+    /**
+     * Start the background job that removes expired roles
+     */
+    start() {
+        if (this.expiryInterval) {
+            logger.warn('Role reward expiry job is already running');
+            return;
+        }
+
+        this.expiryInterval = setInterval(() => {
+            this.processExpiredGrants();
+        }, this.expiryCheckFrequency);
+
+        logger.info('Role reward expiry job started');
+    }
+
+    /**
+     * Stop the expiry job
+     */
+    stop() {
+        if (this.expiryInterval) {
+            clearInterval(this.expiryInterval);
+            this.expiryInterval = null;
+            logger.info('Role reward expiry job stopped');
+        }
+    }
+
+    /**
+     * Check that the bot can assign a role and that the configuring member may hand it out
+     * @param {Object} guild - Discord guild
+     * @param {string} roleId - Role to assign
+     * @param {Object} configuringMember - Member configuring the reward (optional)
+     * @returns {Promise<Object>} { valid, reason, message, role }
+     */
+    async validateRoleAssignable(guild, roleId, configuringMember = null) {
+        const role = guild.roles.cache.get(roleId) || await guild.roles.fetch(roleId).catch(() => null);
+
+        if (!role) {
+            return { valid: false, reason: 'role_not_found', message: 'That role no longer exists.' };
+        }
+
+        if (role.id === guild.id) {
+            return { valid: false, reason: 'everyone_role', message: 'The @everyone role cannot be used as a reward.' };
+        }
+
+        if (role.managed) {
+            return { valid: false, reason: 'managed_role', message: `The ${role.name} role is managed by an integration and cannot be assigned.` };
+        }
+
+        if (role.permissions.has(PermissionFlagsBits.Administrator)) {
+            return { valid: false, reason: 'privileged_role', message: `The ${role.name} role has Administrator permission and cannot be used as a reward.` };
+        }
+
+        const botMember = guild.members.me;
+        if (!botMember || !botMember.permissions.has(PermissionFlagsBits.ManageRoles)) {
+            return { valid: false, reason: 'missing_permission', message: 'The bot needs the Manage Roles permission to grant role rewards.' };
+        }
+
+        if (role.position >= botMember.roles.highest.position) {
+            return {
+                valid: false,
+                reason: 'role_hierarchy',
+                message: `The ${role.name} role is above the bot's highest role. Move the bot's role above it in Server Settings → Roles.`
+            };
+        }
+
+        // Stop members from handing out roles above their own
+        if (configuringMember &&
+            configuringMember.id !== guild.ownerId &&
+            role.position >= configuringMember.roles.highest.position) {
+            return {
+                valid: false,
+                reason: 'member_hierarchy',
+                message: 'You can only configure rewards for roles below your highest role.'
+            };
+        }
+
+        return { valid: true, role };
+    }
+
+    /**
+     * Create or update a role reward for a task or allowlist
+     * @param {Object} guild - Discord guild
+     * @param {Object} rewardOptions - { targetType, targetId, roleId, durationHours }
+     * @param {Object} configuringMember - Member configuring the reward
+     * @returns {Promise<Object>} { success, reason, message, config }
+     */
+    async configureReward(guild, rewardOptions, configuringMember) {
+        try {
+            const { targetType, targetId, roleId, durationHours = null } = rewardOptions;
+
+            const check = await this.validateRoleAssignable(guild, roleId, configuringMember);
+            if (!check.valid) {
+                return { success: false, reason: check.reason, message: check.message };
+            }
+
+            const config = await RoleRewardConfig.findOneAndUpdate(
+                { guildId: guild.id, targetType, targetId },
+                {
+                    $set: {
+                        roleId,
+                        roleName: check.role.name,
+                        durationHours: durationHours || null,
+                        isActive: true,
+                        configuredBy: configuringMember.id
+                    }
+                },
+                { new: true, upsert: true, setDefaultsOnInsert: true }
+            );
+
+            await this.botService.auditLogger.logConfigChange(configuringMember.id, guild.id, 'role_reward', {
+                targetType,
+                targetId,
+                roleId,
+                durationHours: config.durationHours
+            });
+
+            logger.info('Role reward configured', { guildId: guild.id, targetType, targetId, roleId });
+
+            return { success: true, config };
+
+        } catch (error) {
+            logger.error('Error configuring role reward:', error);
+            return { success: false, reason: 'processing_error', message: 'Failed to save the role reward.' };
+        }
+    }
+
+    /**
+     * Remove a role reward configuration. Roles already granted keep their expiry.
+     * @param {string} guildId - Guild ID
+     * @param {string} targetType - task or allowlist
+     * @param {string} targetId - Task or allowlist ID
+     * @param {string} userId - User removing the reward
+     * @returns {Promise<Object|null>} Removed configuration, or null if not found
+     */
+    async removeReward(guildId, targetType, targetId, userId) {
+        const config = await RoleRewardConfig.findOneAndDelete({ guildId, targetType, targetId });
+
+        if (config) {
+            await this.botService.auditLogger.logConfigChange(userId, guildId, 'role_reward', {
+                targetType,
+                targetId,
+                roleId: config.roleId,
+                removed: true
+            });
+        }
+
+        return config;
+    }
+
+    /**
+     * List a guild's role rewards
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<Array>} Role reward configurations
+     */
+    async listRewards(guildId) {
+        try {
+            return await RoleRewardConfig.findByGuild(guildId);
+        } catch (error) {
+            logger.error('Error listing role rewards:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Grant configured roles for a completed task
+     * @param {Object} task - Completed task
+     * @param {string} discordUserId - Discord user who completed the task
+     * @param {string} guildId - Guild where the task was completed
+     * @returns {Promise<Array>} Granted role results
+     */
+    async handleTaskCompleted(task, discordUserId, guildId) {
+        try {
+            const configs = await RoleRewardConfig.findActiveForTarget('task', task.id, guildId);
+            const results = [];
+
+            for (const config of configs) {
+                results.push(await this.grantReward(config, discordUserId));
+            }
+
+            return results.filter(result => result.success);
+        } catch (error) {
+            logger.error('Error granting task role rewards:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Grant configured roles to allowlist winners in every guild with a reward
+     * @param {string} allowlistId - Allowlist ID
+     * @param {Array} winners - Winners from the allowlist draw
+     * @returns {Promise<number>} Number of roles granted
+     */
+    async handleAllowlistWinners(allowlistId, winners = []) {
+        try {
+            const configs = await RoleRewardConfig.findActiveForTarget('allowlist', allowlistId);
+            if (configs.length === 0 || winners.length === 0) {
+                return 0;
+            }
+
+            // Guilds on other shards are handled there
+            if (configs.some(config => !this.ownsGuild(config.guildId))) {
+                await this.botService.shardCoordinator.broadcast('allowlist_winner_roles', { allowlistId, winners });
+            }
+
+            const granted = await this.grantWinnerRoles(configs.filter(config => this.ownsGuild(config.guildId)), winners);
+
+            logger.info('Allowlist winner role rewards processed', { allowlistId, granted });
+
+            return granted;
+        } catch (error) {
+            logger.error('Error granting allowlist role rewards:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Add a reward role to a member and record the grant
+     * @param {Object} config - Role reward configuration
+     * @param {string} discordUserId - Discord user ID
+     * @returns {Promise<Object>} { success, reason, roleId, expiresAt }
+     */
+    async grantReward(config, discordUserId) {
+        const source = { type: config.targetType, id: config.targetId };
+
+        try {
+            const guild = this.botService.client.guilds.cache.get(config.guildId);
+            if (!guild) {
+                return { success: false, reason: 'guild_not_found' };
+            }
+
+            const member = await guild.members.fetch(discordUserId).catch(() => null);
+            if (!member) {
+                return { success: false, reason: 'member_not_found' };
+            }
+
+            // Re-check in case the role or bot permissions changed since configuration
+            const check = await this.validateRoleAssignable(guild, config.roleId);
+            if (!check.valid) {
+                this.stats.grantFailures++;
+                await this.botService.auditLogger.logRoleRewardEvent(discordUserId, config.guildId, 'grant_failed', {
+                    roleId: config.roleId,
+                    source,
+                    reason: check.reason
+                });
+                return { success: false, reason: check.reason };
+            }
+
+            const expiresAt = config.getExpiryDate();
+            const existingGrant = await RoleRewardGrant.findActiveGrant(config.guildId, discordUserId, config.roleId);
+
+            if (existingGrant) {
+                // Extend a time-limited grant; a permanent grant stays permanent
+                if (existingGrant.expiresAt && (!expiresAt || expiresAt > existingGrant.expiresAt)) {
+                    existingGrant.expiresAt = expiresAt;
+                    await existingGrant.save();
+                }
+            } else if (member.roles.cache.has(config.roleId)) {
+                // Role was given some other way; leave it untracked so expiry never removes it
+                return { success: false, reason: 'already_has_role' };
+            } else {
+                await member.roles.add(config.roleId, `Naffles reward: ${source.type} ${source.id}`);
+                await RoleRewardGrant.create({
+                    guildId: config.guildId,
+                    userId: discordUserId,
+                    roleId: config.roleId,
+                    source,
+                    expiresAt
+                });
+            }
+
+            config.grantCount += 1;
+            config.lastGrantedAt = new Date();
+            await config.save();
+
+            this.stats.rolesGranted++;
+
+            await this.botService.auditLogger.logRoleRewardEvent(discordUserId, config.guildId, 'granted', {
+                roleId: config.roleId,
+                source,
+                expiresAt,
+                extended: Boolean(existingGrant)
+            });
+
+            return { success: true, roleId: config.roleId, roleName: config.roleName, expiresAt };
+
+        } catch (error) {
+            this.stats.grantFailures++;
+            logger.error('Error granting role reward:', {
+                guildId: config.guildId,
+                userId: discordUserId,
+                roleId: config.roleId,
+                error: error.message
+            });
+            return { success: false, reason: 'processing_error' };
+        }
+    }
+
+    /**
+     * Remove every role grant whose expiry has passed
+     */
+    async processExpiredGrants() {
+        if (this.isProcessingExpiries || !this.botService.client?.isReady?.()) {
+            return;
+        }
+
+        this.isProcessingExpiries = true;
+
+        try {
+            // Each shard only expires grants for the guilds it can reach
+            const guildIds = this.botService.shardCoordinator?.isSharded()
+                ? Array.from(this.botService.client.guilds.cache.keys())
+                : null;
+            const expiredGrants = await RoleRewardGrant.findExpired(100, guildIds);
+
+            for (const grant of expiredGrants) {
+                await this.expireGrant(grant);
+            }
+
+            this.stats.lastExpiryRun = new Date();
+        } catch (error) {
+            logger.error('Error processing expired role rewards:', error);
+        } finally {
+            this.isProcessingExpiries = false;
+        }
+    }
+
+    /**
+     * Remove a single expired role
+     * @param {Object} grant - Expired grant document
+     */
+    async expireGrant(grant) {
+        try {
+            const guild = this.botService.client.guilds.cache.get(grant.guildId);
+            const member = guild ? await guild.members.fetch(grant.userId).catch(() => null) : null;
+
+            // Bot left the guild or member left: nothing to remove
+            if (member && member.roles.cache.has(grant.roleId)) {
+                await member.roles.remove(grant.roleId, 'Naffles reward expired');
+            }
+
+            await grant.markRemoved('expired');
+            this.stats.rolesExpired++;
+
+            await this.botService.auditLogger.logRoleRewardEvent(grant.userId, grant.guildId, 'expired', {
+                roleId: grant.roleId,
+                source: { type: grant.source.type, id: grant.source.id },
+                memberPresent: Boolean(member)
+            });
+
+        } catch (error) {
+            logger.warn('Failed to remove expired role reward:', {
+                guildId: grant.guildId,
+                userId: grant.userId,
+                roleId: grant.roleId,
+                error: error.message
+            });
+
+            await grant.recordRemovalFailure(error.message, this.maxRemovalAttempts);
+
+            if (grant.status === 'failed') {
+                await this.botService.auditLogger.logRoleRewardEvent(grant.userId, grant.guildId, 'expiry_failed', {
+                    roleId: grant.roleId,
+                    error: error.message
+                });
+            }
+        }
+    }
+
+    /**
+     * Grant each config's role to every winner with a linked account
+     * @private
+     * @returns {Promise<number>} Number of roles granted
+     */
+    async grantWinnerRoles(configs, winners) {
+        let granted = 0;
+
+        for (const winner of winners) {
+            const discordUserId = await this.resolveWinnerDiscordId(winner);
+            if (!discordUserId) {
+                continue;
+            }
+
+            for (const config of configs) {
+                const result = await this.grantReward(config, discordUserId);
+                if (result.success) {
+                    granted++;
+                }
+            }
+        }
+
+        return granted;
+    }
+
+    /**
+     * Check whether this shard handles a guild
+     * @private
+     */
+    ownsGuild(guildId) {
+        return !this.botService.shardCoordinator || this.botService.shardCoordinator.ownsGuild(guildId);
+    }
+
+    /**
+     * Resolve a winner's Discord ID, falling back to the linked account
+     * @private
+     */
+    async resolveWinnerDiscordId(winner) {
+        if (winner.discordId) {
+            return winner.discordId;
+        }
+
+        if (!winner.userId) {
+            return null;
+        }
+
+        const accountLink = await DiscordAccountLink.findByNaffles(winner.userId);
+        return accountLink ? accountLink.discordId : null;
+    }
+
+    /**
+     * Get role reward statistics
+     * @returns {Object} Role reward statistics
+     */
+    getStatistics() {
+        return {
+            ...this.stats,
+            isRunning: this.expiryInterval !== null
+        };
+    }
+}
+
+module.exports = RoleRewardService;
@@ -1,14 +1,24 @@
 const logger = require('../utils/logger');
+const DiscordServerMapping = require('../models/discordServerMapping');
+
+// Thresholds a guild can override with /naffles-security thresholds
+const CONFIGURABLE_THRESHOLDS = {
+    rapidCommands: ['count', 'window'],
+    failedPermissions: ['count', 'window'],
+    newAccountActivity: ['count', 'window', 'maxAccountAge']
+};
 
 class SecurityMonitor {
     constructor(botService) {
         this.botService = botService;
         this.suspiciousActivity = new Map();
         this.securityEvents = [];
+        // Defaults; guilds can save their own rapidCommands, failedPermissions
+        // and newAccountActivity limits (see getGuildThresholds)
         this.alertThresholds = {
             rapidCommands: { count: 10, window: 60000 }, // 10 commands in 1 minute
             failedPermissions: { count: 5, window: 300000 }, // 5 failed permissions in 5 minutes
-            newAccountActivity: { count: 3, window: 3600000 }, // 3 activities from new accounts in 1 hour
+            newAccountActivity: { count: 3, window: 3600000, maxAccountAge: 604800000 }, // 3 activities from accounts under 7 days old in 1 hour
             botDetection: { count: 1, window: 0 }, // Immediate alert for bot activity
             massJoins: { count: 10, window: 300000 }, // 10 joins in 5 minutes
             suspiciousPatterns: { count: 3, window: 1800000 } // 3 suspicious patterns in 30 minutes
@@ -25,8 +35,18 @@ class SecurityMonitor {
             RATE_LIMIT_EXCEEDED: 'rate_limit_exceeded',
             COMMAND_ABUSE: 'command_abuse',
             UNAUTHORIZED_ACCESS: 'unauthorized_access',
-            ACCOUNT_AGE_VIOLATION: 'account_age_violation'
+            ACCOUNT_AGE_VIOLATION: 'account_age_violation',
+            RAID_DETECTED: 'raid_detected',
+            ALT_ACCOUNT: 'alt_account_detected'
         };
+
+        this.thresholdCache = new Map();
+        this.thresholdCacheTimeout = 5 * 60 * 1000; // 5 minutes
+
+        // Drop cached thresholds another shard changed
+        this.botService?.shardCoordinator?.on?.('security_thresholds_changed', ({ guildId }) => {
+            this.thresholdCache.delete(guildId);
+        });
         
         // Start monitoring
         this.startMonitoring();
@@ -119,7 +139,7 @@ class SecurityMonitor {
             
             if (!userData) return;
             
-            const threshold = this.alertThresholds.rapidCommands;
+            const threshold = (await this.getGuildThresholds(guildId)).rapidCommands;
             const recentCommands = userData.commands.filter(cmd => 
                 timestamp - cmd.timestamp < threshold.window
             );
@@ -169,7 +189,7 @@ class SecurityMonitor {
             });
             
             // Keep only recent failures
-            const threshold = this.alertThresholds.failedPermissions;
+            const threshold = (await this.getGuildThresholds(guildId)).failedPermissions;
             userData.failures = userData.failures.filter(failure => 
                 timestamp - failure.timestamp < threshold.window
             );
@@ -207,9 +227,9 @@ class SecurityMonitor {
             const userId = interaction.user.id;
             const guildId = interaction.guildId;
             const accountAge = timestamp - interaction.user.createdTimestamp;
-            const newAccountThreshold = 7 * 24 * 60 * 60 * 1000; // 7 days
+            const threshold = (await this.getGuildThresholds(guildId)).newAccountActivity;
             
-            if (accountAge < newAccountThreshold) {
+            if (accountAge < threshold.maxAccountAge) {
                 const key = `new_account_${guildId}`;
                 
                 if (!this.suspiciousActivity.has(key)) {
@@ -228,7 +248,6 @@ class SecurityMonitor {
                 });
                 
                 // Keep only recent activity
-                const threshold = this.alertThresholds.newAccountActivity;
                 guildData.newAccounts = guildData.newAccounts.filter(account => 
                     timestamp - account.timestamp < threshold.window
                 );
@@ -425,6 +444,9 @@ class SecurityMonitor {
             
             this.suspiciousActivity.set(key, guildData);
 
+            // Raid scoring and shared account links
+            await this.botService.raidDetection?.recordJoin(member);
+
         } catch (error) {
             logger.error('Failed to monitor member join:', error);
         }
@@ -454,10 +476,13 @@ class SecurityMonitor {
             // Log security event
             logger.security('Security event created', event);
             
-            // Send alert if high severity
-            if (event.severity === 'high' || event.severity === 'critical') {
-                await this.sendSecurityAlert(event);
-            }
+            // Alert delivery decides which destinations the severity reaches
+            await this.sendSecurityAlert(event);
+
+            // Escalation policy may block, suspend or time out the member
+            this.botService.autoModeration?.handleSecurityEvent(event).catch(error => {
+                logger.error('Auto moderation failed:', error);
+            });
             
             // Store in database if available
             if (this.botService.db) {
@@ -475,21 +500,32 @@ class SecurityMonitor {
      */
     async sendSecurityAlert(event) {
         try {
-            // Log high-priority alert
-            logger.security('HIGH PRIORITY SECURITY ALERT', {
-                eventId: event.id,
+            if (event.severity === 'high' || event.severity === 'critical') {
+                // Log high-priority alert
+                logger.security('HIGH PRIORITY SECURITY ALERT', {
+                    eventId: event.id,
+                    type: event.type,
+                    severity: event.severity,
+                    userId: event.userId,
+                    guildId: event.guildId,
+                    details: event.details
+                });
+            }
+
+            // Delivery retries with backoff, so don't hold up event handling
+            this.botService.alertDelivery?.deliver({
+                id: event.id,
                 type: event.type,
                 severity: event.severity,
-                userId: event.userId,
+                description: `${event.type.replace(/_/g, ' ')} detected`,
                 guildId: event.guildId,
-                details: event.details
+                userId: event.userId,
+                details: event.details,
+                timestamp: event.timestamp
+            }, event.guildId || null).catch(error => {
+                logger.error('Failed to deliver security alert:', error);
             });
-            
-            // TODO: Implement additional alerting mechanisms:
-            // - Discord webhook notifications
-            // - Email alerts to administrators
-            // - Integration with external monitoring systems
-            
+
         } catch (error) {
             logger.error('Failed to send security alert:', error);
         }
@@ -540,6 +576,64 @@ class SecurityMonitor {
         }
     }
 
+    /**
+     * Get security statistics summed across every shard
+     * @returns {Promise<Object>} Security statistics with a shard count
+     */
+    async getClusterSecurityStatistics() {
+        const localStats = this.getSecurityStatistics();
+        const coordinator = this.botService.shardCoordinator;
+
+        if (!coordinator?.isSharded()) {
+            return { ...localStats, shards: 1 };
+        }
+
+        try {
+            const reports = await coordinator.getClusterStats('security', localStats);
+            const merged = {
+                totalEvents: 0,
+                recentEvents: 0,
+                dailyEvents: 0,
+                eventsByType: {},
+                eventsBySeverity: {},
+                suspiciousUsers: 0,
+                alertThresholds: this.alertThresholds,
+                shards: reports.length
+            };
+
+            for (const { stats } of reports) {
+                merged.totalEvents += stats.totalEvents || 0;
+                merged.recentEvents += stats.recentEvents || 0;
+                merged.dailyEvents += stats.dailyEvents || 0;
+                merged.suspiciousUsers += stats.suspiciousUsers || 0;
+
+                for (const [type, count] of Object.entries(stats.eventsByType || {})) {
+                    merged.eventsByType[type] = (merged.eventsByType[type] || 0) + count;
+                }
+                for (const [severity, count] of Object.entries(stats.eventsBySeverity || {})) {
+                    merged.eventsBySeverity[severity] = (merged.eventsBySeverity[severity] || 0) + count;
+                }
+            }
+
+            return merged;
+
+        } catch (error) {
+            logger.error('Failed to get cluster security statistics:', error);
+            return { ...localStats, shards: 1 };
+        }
+    }
+
+    /**
+     * Publish this shard's statistics for cluster-wide views
+     */
+    async reportShardStatistics() {
+        try {
+            await this.botService.shardCoordinator?.reportStats('security', this.getSecurityStatistics());
+        } catch (error) {
+            logger.error('Failed to report shard security statistics:', error);
+        }
+    }
+
     /**
      * Get recent security events
      * @param {number} limit - Maximum number of events to return
@@ -580,6 +674,168 @@ class SecurityMonitor {
         }
     }
 
+    /**
+     * Get the alert thresholds in effect for a guild
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<Object>} Default thresholds with the guild's saved limits applied
+     */
+    async getGuildThresholds(guildId) {
+        if (!guildId) {
+            return this.alertThresholds;
+        }
+
+        const cached = this.thresholdCache.get(guildId);
+        if (cached && Date.now() - cached.timestamp < this.thresholdCacheTimeout) {
+            return cached.thresholds;
+        }
+
+        // Saved limits live in the database; use the defaults until it is connected
+        if (!this.botService?.db?.isHealthy?.()) {
+            return this.alertThresholds;
+        }
+
+        try {
+            const mapping = await DiscordServerMapping.findOne({ guildId, isActive: true })
+                .select('botConfig.securityThresholds')
+                .lean();
+
+            const thresholds = this.mergeThresholds(mapping?.botConfig?.securityThresholds);
+            this.thresholdCache.set(guildId, { thresholds, timestamp: Date.now() });
+
+            return thresholds;
+        } catch (error) {
+            logger.error('Failed to load guild security thresholds:', error);
+            return this.alertThresholds;
+        }
+    }
+
+    /**
+     * Apply saved limits over the defaults
+     * @param {Object} saved - Saved limits keyed by threshold
+     * @returns {Object} Thresholds
+     */
+    mergeThresholds(saved = {}) {
+        const thresholds = { ...this.alertThresholds };
+
+        Object.entries(CONFIGURABLE_THRESHOLDS).forEach(([name, fields]) => {
+            const overrides = {};
+            fields.forEach(field => {
+                if (typeof saved?.[name]?.[field] === 'number') {
+                    overrides[field] = saved[name][field];
+                }
+            });
+
+            thresholds[name] = { ...this.alertThresholds[name], ...overrides };
+        });
+
+        return thresholds;
+    }
+
+    /**
+     * Save limits for one threshold in a guild
+     * @param {string} guildId - Guild ID
+     * @param {string} name - rapidCommands, failedPermissions or newAccountActivity
+     * @param {Object} values - Any of { count, window, maxAccountAge } (milliseconds)
+     * @param {string} userId - User making the change
+     * @returns {Promise<Object>} Result with success status
+     */
+    async setGuildThreshold(guildId, name, values, userId) {
+        const fields = CONFIGURABLE_THRESHOLDS[name];
+        if (!fields) {
+            return { success: false, reason: 'invalid_threshold', message: `Unknown threshold: ${name}` };
+        }
+
+        const update = {};
+        for (const field of fields) {
+            if (values[field] === undefined || values[field] === null) {
+                continue;
+            }
+
+            if (!Number.isFinite(values[field]) || values[field] <= 0) {
+                return { success: false, reason: 'invalid_value', message: `${field} must be a positive number` };
+            }
+
+            update[`botConfig.securityThresholds.${name}.${field}`] = values[field];
+        }
+
+        if (Object.keys(update).length === 0) {
+            return { success: false, reason: 'no_values', message: `Provide at least one of: ${fields.join(', ')}` };
+        }
+
+        try {
+            const mapping = await DiscordServerMapping.findOneAndUpdate(
+                { guildId, isActive: true },
+                { $set: update },
+                { new: true, runValidators: true }
+            );
+
+            if (!mapping) {
+                return { success: false, reason: 'not_linked', message: 'Server is not linked to a community' };
+            }
+
+            await this.onThresholdsChanged(guildId);
+
+            if (this.botService.auditLogger) {
+                await this.botService.auditLogger.logConfigChange(userId, guildId, 'security_thresholds', { [name]: values });
+            }
+
+            logger.info(`Security threshold ${name} for guild ${guildId} set`, values);
+
+            return { success: true, thresholds: this.mergeThresholds(mapping.botConfig.securityThresholds) };
+        } catch (error) {
+            logger.error('Failed to save guild security threshold:', error);
+            return { success: false, reason: 'error', message: error.message };
+        }
+    }
+
+    /**
+     * Return one or all of a guild's thresholds to the defaults
+     * @param {string} guildId - Guild ID
+     * @param {string|null} name - Threshold to reset, or null for all of them
+     * @param {string} userId - User making the change
+     * @returns {Promise<Object>} Result with success status
+     */
+    async resetGuildThresholds(guildId, name, userId) {
+        if (name && !CONFIGURABLE_THRESHOLDS[name]) {
+            return { success: false, reason: 'invalid_threshold', message: `Unknown threshold: ${name}` };
+        }
+
+        try {
+            const path = name ? `botConfig.securityThresholds.${name}` : 'botConfig.securityThresholds';
+            const mapping = await DiscordServerMapping.findOneAndUpdate(
+                { guildId, isActive: true },
+                { $unset: { [path]: '' } },
+                { new: true }
+            );
+
+            if (!mapping) {
+                return { success: false, reason: 'not_linked', message: 'Server is not linked to a community' };
+            }
+
+            await this.onThresholdsChanged(guildId);
+
+            if (this.botService.auditLogger) {
+                await this.botService.auditLogger.logConfigChange(userId, guildId, 'security_thresholds', { reset: name || 'all' });
+            }
+
+            logger.info(`Security thresholds for guild ${guildId} reset`, { threshold: name || 'all' });
+
+            return { success: true, thresholds: this.mergeThresholds(mapping.botConfig?.securityThresholds) };
+        } catch (error) {
+            logger.error('Failed to reset guild security thresholds:', error);
+            return { success: false, reason: 'error', message: error.message };
+        }
+    }
+
+    /**
+     * Forget cached thresholds here and on the other shards
+     * @private
+     */
+    async onThresholdsChanged(guildId) {
+        this.thresholdCache.delete(guildId);
+        await this.botService.shardCoordinator?.broadcast?.('security_thresholds_changed', { guildId });
+    }
+
     /**
      * Start monitoring intervals
      */
@@ -593,6 +849,13 @@ class SecurityMonitor {
         setInterval(() => {
             this.generateHourlyReport();
         }, 3600000);
+
+        // Share statistics with the other shards every minute
+        if (this.botService?.shardCoordinator?.isSharded()) {
+            setInterval(() => {
+                this.reportShardStatistics();
+            }, 60000);
+        }
         
         logger.info('Security monitoring started');
     }
@@ -1,10 +1,11 @@
 const logger = require('../utils/logger');
+const AlertDeliveryService = require('./alertDeliveryService');
 
 class SecurityReporter {
     constructor(botService) {
         this.botService = botService;
         this.reports = [];
-        this.alertChannels = new Map(); // Guild ID -> Channel ID for security alerts
+        this.alertDelivery = botService.alertDelivery || new AlertDeliveryService(botService);
         this.reportSchedule = {
             daily: true,
             weekly: true,
@@ -398,34 +399,26 @@ class SecurityReporter {
     }
 
     /**
-     * Send security alert to configured channels
+     * Guild ID -> Channel ID for security alerts
+     * @returns {Map<string, string>}
+     */
+    get alertChannels() {
+        return this.alertDelivery.alertChannels;
+    }
+
+    /**
+     * Send security alert to configured destinations
      * @param {Object} alert - Alert data
      * @param {string} guildId - Guild ID (optional)
+     * @param {Object} options - Delivery options, see AlertDeliveryService.deliver
+     * @returns {Promise<Object>} Delivery result
      */
-    async sendSecurityAlert(alert, guildId = null) {
+    async sendSecurityAlert(alert, guildId = null, options = {}) {
         try {
-            const alertMessage = this.formatSecurityAlert(alert);
-            
-            if (guildId && this.alertChannels.has(guildId)) {
-                const channelId = this.alertChannels.get(guildId);
-                const channel = await this.botService.client.channels.fetch(channelId);
-                
-                if (channel) {
-                    await channel.send({
-                        embeds: [alertMessage]
-                    });
-                }
-            }
-            
-            // Log alert
-            logger.security('Security alert sent', {
-                alertType: alert.type,
-                severity: alert.severity,
-                guildId
-            });
-
+            return await this.alertDelivery.deliver(alert, guildId, options);
         } catch (error) {
             logger.error('Failed to send security alert:', error);
+            return { delivered: 0, failed: 0, suppressed: false, results: [] };
         }
     }
 
@@ -435,76 +428,28 @@ class SecurityReporter {
      * @returns {Object} Discord embed
      */
     formatSecurityAlert(alert) {
-        const { EmbedBuilder } = require('discord.js');
-        
-        const colors = {
-            low: 0x00ff00,      // Green
-            medium: 0xffff00,   // Yellow
-            high: 0xff8000,     // Orange
-            critical: 0xff0000  // Red
-        };
-        
-        const embed = new EmbedBuilder()
-            .setTitle('🚨 Security Alert')
-            .setDescription(alert.description || 'Security event detected')
-            .setColor(colors[alert.severity] || colors.medium)
-            .setTimestamp()
-            .addFields([
-                {
-                    name: 'Alert Type',
-                    value: alert.type || 'Unknown',
-                    inline: true
-                },
-                {
-                    name: 'Severity',
-                    value: alert.severity?.toUpperCase() || 'UNKNOWN',
-                    inline: true
-                },
-                {
-                    name: 'Time',
-                    value: new Date().toLocaleString(),
-                    inline: true
-                }
-            ]);
-        
-        if (alert.details) {
-            embed.addFields([{
-                name: 'Details',
-                value: typeof alert.details === 'string' ? 
-                    alert.details : 
-                    JSON.stringify(alert.details, null, 2).substring(0, 1000)
-            }]);
-        }
-        
-        if (alert.recommendations) {
-            embed.addFields([{
-                name: 'Recommended Actions',
-                value: Array.isArray(alert.recommendations) ? 
-                    alert.recommendations.join('\n') : 
-                    alert.recommendations
-            }]);
-        }
-        
-        return embed;
+        return this.alertDelivery.getTransport('discord').formatEmbed(alert);
     }
 
     /**
      * Configure alert channel for a guild
      * @param {string} guildId - Guild ID
      * @param {string} channelId - Channel ID for alerts
+     * @param {Object} options - { minSeverity, userId }
+     * @returns {Promise<Object>} Result with success status
      */
-    setAlertChannel(guildId, channelId) {
-        this.alertChannels.set(guildId, channelId);
-        logger.info('Security alert channel configured', { guildId, channelId });
+    setAlertChannel(guildId, channelId, options = {}) {
+        return this.alertDelivery.setAlertChannel(guildId, channelId, options);
     }
 
     /**
      * Remove alert channel for a guild
      * @param {string} guildId - Guild ID
+     * @param {string} userId - User making the change
+     * @returns {Promise<Object>} Result with success status
      */
-    removeAlertChannel(guildId) {
-        this.alertChannels.delete(guildId);
-        logger.info('Security alert channel removed', { guildId });
+    removeAlertChannel(guildId, userId = null) {
+        return this.alertDelivery.removeAlertChannel(guildId, userId);
     }
 
     /**
@@ -626,6 +571,17 @@ class SecurityReporter {
         });
     }
 
+    /**
+     * Make sure only one shard distributes a scheduled report
+     * @param {string} jobName - Report job name
+     * @returns {Promise<boolean>} True when this shard should send it
+     */
+    async claimScheduledReport(jobName) {
+        const coordinator = this.botService.shardCoordinator;
+        // Outlive the minute the schedule matches in
+        return coordinator ? coordinator.claimJob(jobName, 10 * 60 * 1000) : true;
+    }
+
     /**
      * Start scheduled reporting
      */
@@ -634,7 +590,7 @@ class SecurityReporter {
         if (this.reportSchedule.daily) {
             setInterval(async () => {
                 const now = new Date();
-                if (now.getHours() === 0 && now.getMinutes() === 0) {
+                if (now.getHours() === 0 && now.getMinutes() === 0 && await this.claimScheduledReport('security_daily_report')) {
                     await this.generateAndDistributeDailyReport();
                 }
             }, 60000); // Check every minute
@@ -644,7 +600,7 @@ class SecurityReporter {
         if (this.reportSchedule.weekly) {
             setInterval(async () => {
                 const now = new Date();
-                if (now.getDay() === 0 && now.getHours() === 1 && now.getMinutes() === 0) {
+                if (now.getDay() === 0 && now.getHours() === 1 && now.getMinutes() === 0 && await this.claimScheduledReport('security_weekly_report')) {
                     await this.generateAndDistributeWeeklyReport();
                 }
             }, 60000);
@@ -662,13 +618,13 @@ class SecurityReporter {
             
             if (report && (report.summary.highSeverityEvents > 0 || report.summary.criticalEvents > 0)) {
                 // Send alerts for significant daily activity
-                for (const [guildId, channelId] of this.alertChannels.entries()) {
+                for (const guildId of this.alertChannels.keys()) {
                     await this.sendSecurityAlert({
                         type: 'daily_report',
                         severity: report.summary.criticalEvents > 0 ? 'high' : 'medium',
                         description: `Daily security report: ${report.summary.totalSecurityEvents} events, ${report.summary.highSeverityEvents} high severity`,
                         details: report.summary
-                    }, guildId);
+                    }, guildId, { force: true, channelOnly: true });
                 }
             }
             
@@ -687,14 +643,14 @@ class SecurityReporter {
             const report = await this.generateSecurityReport('week');
             
             // Always send weekly reports
-            for (const [guildId, channelId] of this.alertChannels.entries()) {
+            for (const guildId of this.alertChannels.keys()) {
                 await this.sendSecurityAlert({
                     type: 'weekly_report',
                     severity: 'low',
                     description: `Weekly security summary: ${report.summary.totalSecurityEvents} events processed`,
                     details: report.summary,
                     recommendations: report.recommendations.slice(0, 3).map(r => r.title)
-                }, guildId);
+                }, guildId, { force: true, channelOnly: true });
             }
             
             logger.info('Weekly security report generated and distributed');
@@ -712,7 +668,7 @@ class SecurityReporter {
         const alertChannelCount = this.alertChannels.size;
         
         this.reports = [];
-        this.alertChannels.clear();
+        this.alertDelivery.clearCache();
         
         logger.info('Security reporter cleared', {
             clearedReports: reportCount,
@@ -0,0 +1,281 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { ShardClientUtil } = require('discord.js');
+const logger = require('../utils/logger');
+
+// Take the lease when it's free, or extend it when we already hold it
+const CLAIM_LEASE_SCRIPT = `
+local owner = redis.call('GET', KEYS[1])
+if not owner then
+    redis.call('SET', KEYS[1], ARGV[1], 'PX', ARGV[2])
+    return 1
+end
+if owner == ARGV[1] then
+    redis.call('PEXPIRE', KEYS[1], ARGV[2])
+    return 1
+end
+return 0
+`;
+
+// Only the holder may release a lease
+const RELEASE_LEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+/**
+ * Shard Coordinator
+ * Coordinates bot processes started by the ShardingManager through Redis:
+ * background jobs run on whichever shard holds the job's lease, guild-bound
+ * work (embed updates) is routed to the shard that owns the guild, and
+ * per-shard statistics are published for cluster-wide views. Without
+ * sharding every check short-circuits, so a single process behaves as before.
+ */
+class ShardCoordinator extends EventEmitter {
+    /**
+     * @param {Object} client - Discord client
+     * @param {Object} redisService - RedisService instance
+     */
+    constructor(client, redisService) {
+        super();
+        this.client = client;
+        this.redis = redisService;
+
+        // Set by discord.js when the process was spawned by the ShardingManager
+        this.shardIds = client?.shard?.ids || [0];
+        this.shardCount = client?.shard?.count || 1;
+        this.instanceId = `shard_${this.shardIds.join('-')}_${process.pid}_${crypto.randomBytes(4).toString('hex')}`;
+
+        this.eventChannel = 'discord:shards:events';
+        this.leasePrefix = 'discord:shards:lease:';
+        this.statsPrefix = 'discord:shards:stats:';
+        this.statsTTL = 120; // 2 minutes
+
+        this.ownedJobs = new Set();
+        this.subscribed = false;
+    }
+
+    /**
+     * Subscribe to cross-shard events
+     */
+    async initialize() {
+        if (!this.isSharded()) {
+            return;
+        }
+
+        this.subscribed = await this.redis.subscribe(this.eventChannel, message => this.handleMessage(message));
+
+        if (!this.subscribed) {
+            logger.warn('Shard event channel unavailable, cross-shard embed updates are disabled', {
+                shardIds: this.shardIds
+            });
+        }
+
+        logger.info('Shard coordinator initialized', {
+            shardIds: this.shardIds,
+            shardCount: this.shardCount,
+            instanceId: this.instanceId
+        });
+    }
+
+    isSharded() {
+        return this.shardCount > 1;
+    }
+
+    /**
+     * The primary shard hosts process-wide singletons such as the webhook
+     * server and slash command registration
+     */
+    isPrimary() {
+        return this.shardIds.includes(0);
+    }
+
+    /**
+     * Get the shard responsible for a guild
+     * @param {string} guildId - Discord guild ID
+     * @returns {number} Shard ID
+     */
+    shardIdForGuild(guildId) {
+        return ShardClientUtil.shardIdForGuildId(guildId, this.shardCount);
+    }
+
+    /**
+     * Check whether this process handles a guild
+     * @param {string} guildId - Discord guild ID
+     * @returns {boolean} True when this process owns the guild
+     */
+    ownsGuild(guildId) {
+        if (!this.isSharded() || !guildId) {
+            return true;
+        }
+
+        return this.shardIds.includes(this.shardIdForGuild(guildId));
+    }
+
+    /**
+     * Claim or renew the lease for a background job. Call it on every run:
+     * the holder keeps the job while it keeps running, and another shard
+     * takes over once the lease lapses.
+     * @param {string} jobName - Job name
+     * @param {number} leaseMs - How long the claim lasts without renewal
+     * @returns {Promise<boolean>} True when this shard should run the job
+     */
+    async claimJob(jobName, leaseMs) {
+        if (!this.isSharded()) {
+            return true;
+        }
+
+        let owned;
+        const result = this.redis?.isConnected
+            ? await this.redis.evalScript(CLAIM_LEASE_SCRIPT, [`${this.leasePrefix}${jobName}`], [this.instanceId, String(leaseMs)])
+            : null;
+
+        if (result === null) {
+            // Redis unavailable: fall back to a fixed owner so jobs never run twice
+            owned = this.isPrimary();
+        } else {
+            owned = Number(result) === 1;
+        }
+
+        if (owned && !this.ownedJobs.has(jobName)) {
+            this.ownedJobs.add(jobName);
+            logger.info(`Shard took ownership of job ${jobName}`, { shardIds: this.shardIds });
+        } else if (!owned && this.ownedJobs.has(jobName)) {
+            this.ownedJobs.delete(jobName);
+            logger.info(`Shard lost ownership of job ${jobName}`, { shardIds: this.shardIds });
+        }
+
+        return owned;
+    }
+
+    /**
+     * Run a job only on the shard that holds its lease
+     * @param {string} jobName - Job name
+     * @param {number} leaseMs - Lease duration
+     * @param {Function} job - async () => {}
+     * @returns {Promise<boolean>} True when the job ran here
+     */
+    async runExclusive(jobName, leaseMs, job) {
+        if (!(await this.claimJob(jobName, leaseMs))) {
+            return false;
+        }
+
+        await job();
+        return true;
+    }
+
+    /**
+     * Release every lease held by this process so another shard can take over
+     */
+    async releaseJobs() {
+        if (!this.isSharded() || !this.redis?.isConnected) {
+            this.ownedJobs.clear();
+            return;
+        }
+
+        for (const jobName of this.ownedJobs) {
+            await this.redis.evalScript(RELEASE_LEASE_SCRIPT, [`${this.leasePrefix}${jobName}`], [this.instanceId]);
+        }
+
+        this.ownedJobs.clear();
+    }
+
+    /**
+     * Send an event to the other shards
+     * @param {string} type - Event type
+     * @param {Object} payload - Event data
+     * @returns {Promise<boolean>} True when published
+     */
+    async broadcast(type, payload) {
+        if (!this.isSharded()) {
+            return false;
+        }
+
+        return await this.redis.publish(this.eventChannel, {
+            type,
+            payload,
+            from: this.instanceId
+        });
+    }
+
+    /**
+     * Dispatch an event received from another shard
+     * @private
+     */
+    handleMessage(message) {
+        if (!message || message.from === this.instanceId) {
+            return;
+        }
+
+        this.emit(message.type, message.payload);
+    }
+
+    /**
+     * Publish this shard's statistics for cluster-wide views
+     * @param {string} name - Statistics name (e.g. 'security')
+     * @param {Object} stats - Statistics snapshot
+     */
+    async reportStats(name, stats) {
+        if (!this.isSharded()) {
+            return;
+        }
+
+        await this.redis.set(`${this.statsPrefix}${name}:${this.instanceId}`, {
+            shardIds: this.shardIds,
+            stats,
+            reportedAt: Date.now()
+        }, this.statsTTL);
+    }
+
+    /**
+     * Get the latest statistics reported by every live shard
+     * @param {string} name - Statistics name
+     * @param {Object} localStats - This shard's current statistics
+     * @returns {Promise<Array>} [{ shardIds, stats }]
+     */
+    async getClusterStats(name, localStats) {
+        const local = { shardIds: this.shardIds, stats: localStats };
+
+        if (!this.isSharded() || !this.redis?.isConnected) {
+            return [local];
+        }
+
+        const ownKey = `${this.statsPrefix}${name}:${this.instanceId}`;
+        const keys = (await this.redis.getKeysByPattern(`${this.statsPrefix}${name}:*`))
+            .filter(key => key !== ownKey);
+        const reports = await this.redis.mget(keys);
+
+        return [local, ...reports.filter(Boolean).map(report => ({ shardIds: report.shardIds, stats: report.stats }))];
+    }
+
+    /**
+     * Get coordinator status
+     * @returns {Object} Status
+     */
+    getStatus() {
+        return {
+            sharded: this.isSharded(),
+            shardIds: this.shardIds,
+            shardCount: this.shardCount,
+            instanceId: this.instanceId,
+            ownedJobs: Array.from(this.ownedJobs),
+            subscribed: this.subscribed
+        };
+    }
+
+    /**
+     * Release leases before the process exits
+     */
+    async shutdown() {
+        try {
+            await this.releaseJobs();
+            this.removeAllListeners();
+        } catch (error) {
+            logger.error('Error shutting down shard coordinator:', error);
+        }
+    }
+}
+
+module.exports = ShardCoordinator;
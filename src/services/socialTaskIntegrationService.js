@@ -98,18 +98,25 @@ class SocialTaskIntegrationService {
                 guildId: channel.guild.id
             });
 
+            // Posts are public, so they use the server's language rather than the poster's
+            const locale = await this.botService.localization.getGuildLocale(channel.guild.id);
+
             // Create task embed with real-time updates enabled
             const embed = this.botService.createTaskEmbed(taskData, {
                 showProgress: true,
                 showAnalytics: options.showAnalytics || false,
-                enableUpdates: true
+                enableUpdates: true,
+                color: options.embedStyle?.color,
+                thumbnailUrl: options.embedStyle?.thumbnailUrl,
+                locale
             });
 
             // Create interactive buttons
             const buttons = this.botService.createActionButtons('task', taskData, {
                 showCompleteButton: true,
                 showDetailsButton: true,
-                showAnalyticsButton: options.showAnalytics || false
+                showAnalyticsButton: options.showAnalytics || false,
+                locale
             });
 
             // Post message to Discord
@@ -125,7 +132,9 @@ class SocialTaskIntegrationService {
                 channelId: channel.id,
                 messageId: message.id,
                 embedId: `task_${taskData.id}_${message.id}`,
-                createdAt: new Date()
+                createdAt: new Date(),
+                timing: options.timing || null,
+                embedStyle: options.embedStyle || null
             });
 
             // Register for real-time updates
@@ -279,7 +288,7 @@ class SocialTaskIntegrationService {
 
             switch (task.type) {
                 case 'twitter_follow':
-                    return await this.verifyTwitterFollow(task, userAccount);
+                    return await this.verifyTwitterFollow(task, userAccount, interaction);
                 
                 case 'discord_join':
                     return await this.verifyDiscordJoin(task, userAccount, interaction);
@@ -380,7 +389,10 @@ class SocialTaskIntegrationService {
                     const updatedEmbed = this.botService.createTaskEmbed(taskData, {
                         showProgress: true,
                         showAnalytics: true,
-                        lastUpdate: new Date()
+                        lastUpdate: new Date(),
+                        color: messageData.embedStyle?.color,
+                        thumbnailUrl: messageData.embedStyle?.thumbnailUrl,
+                        locale: await this.botService.localization.getGuildLocale(channel.guild?.id)
                     });
 
                     // Update message
@@ -580,13 +592,29 @@ class SocialTaskIntegrationService {
                 completionData
             );
 
+            // Custom tasks are only rewarded once a moderator approves them
+            if (task.type !== 'custom' && this.botService.leaderboard) {
+                await this.botService.leaderboard.recordTaskCompletion(interaction.user.id, task.rewards.points);
+            }
+
+            const rolesGranted = task.type === 'custom' || !this.botService.roleRewards
+                ? []
+                : await this.botService.roleRewards.handleTaskCompleted(task, interaction.user.id, interaction.guildId);
+
+            let message = task.type === 'custom' 
+                ? `Task completion submitted for review! You'll receive ${task.rewards.points} points once approved.`
+                : `🎉 Task completed successfully! You earned ${task.rewards.points} points!`;
+
+            if (rolesGranted.length > 0) {
+                message += `\nYou also received the ${rolesGranted.map(grant => `<@&${grant.roleId}>`).join(', ')} role${rolesGranted.length === 1 ? '' : 's'}.`;
+            }
+
             return {
                 success: true,
                 completion,
                 pointsEarned: task.rewards.points,
-                message: task.type === 'custom' 
-                    ? `Task completion submitted for review! You'll receive ${task.rewards.points} points once approved.`
-                    : `🎉 Task completed successfully! You earned ${task.rewards.points} points!`
+                rolesGranted,
+                message
             };
 
         } catch (error) {
@@ -612,17 +640,34 @@ class SocialTaskIntegrationService {
      * Verify Twitter follow task
      * @private
      */
-    async verifyTwitterFollow(task, userAccount) {
+    async verifyTwitterFollow(task, userAccount, interaction) {
         try {
-            // This would integrate with Twitter API to verify follow
-            // For now, we'll use a placeholder implementation
-            
+            const targetUsername = task.configuration.twitterUsername;
+            const verification = await this.botService.twitterVerification.verifyFollow({
+                nafflesUserId: userAccount.nafflesUserId,
+                discordId: userAccount.discordId || interaction?.user?.id,
+                guildId: interaction?.guildId,
+                targetUsername,
+                taskId: task.id,
+                source: 'social_task'
+            });
+
+            if (!verification.verified) {
+                return {
+                    verified: false,
+                    reason: 'twitter_follow_not_detected',
+                    message: `Twitter follow not detected. Please follow @${targetUsername} and try again.`
+                };
+            }
+
             return {
                 verified: true,
                 data: {
-                    method: 'twitter_api',
-                    targetUsername: task.configuration.twitterUsername,
-                    verifiedAt: new Date()
+                    method: verification.provider,
+                    targetUsername,
+                    verificationId: verification.verificationId,
+                    verifiedAt: verification.verifiedAt,
+                    expiresAt: verification.expiresAt
                 },
                 message: 'Twitter follow verified successfully'
             };
@@ -727,7 +772,16 @@ class SocialTaskIntegrationService {
      */
     async verifyCustomTask(task, userAccount, interaction) {
         try {
-            // Custom tasks require manual verification
+            // Custom tasks require manual verification of the proof entered in the submission modal
+            const proof = this.botService.taskReview?.getSubmittedProof(interaction);
+            if (!proof) {
+                return {
+                    verified: false,
+                    reason: 'proof_required',
+                    message: 'Please submit proof of completion using the Complete Task button.'
+                };
+            }
+
             return {
                 verified: true,
                 requiresManualReview: true,
@@ -735,7 +789,8 @@ class SocialTaskIntegrationService {
                     method: 'manual_review',
                     submittedBy: interaction.user.username,
                     submittedAt: new Date(),
-                    instructions: task.configuration.instructions
+                    instructions: task.configuration.instructions,
+                    proof
                 },
                 message: 'Custom task submitted for manual review'
             };
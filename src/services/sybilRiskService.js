@@ -0,0 +1,432 @@
+const logger = require('../utils/logger');
+const AllowlistConnection = require('../models/allowlistConnection');
+const AllowlistEntryRisk = require('../models/allowlistEntryRisk');
+const AccountAgeSignal = require('./riskSignals/accountAgeSignal');
+const GuildTenureSignal = require('./riskSignals/guildTenureSignal');
+const VerificationFailureSignal = require('./riskSignals/verificationFailureSignal');
+const InteractionHistorySignal = require('./riskSignals/interactionHistorySignal');
+const SharedAccountSignal = require('./riskSignals/sharedAccountSignal');
+
+const DEFAULT_POLICY = {
+    enabled: true,
+    reviewAbove: null,
+    rejectAbove: null
+};
+
+/**
+ * Sybil Risk Service
+ * Scores allowlist entrants from 0 (no concern) to 100 by weighting a set of
+ * pluggable risk signals (see riskSignals/). Each allowlist connection can
+ * set two thresholds in `riskPolicy`: entrants scoring at or above
+ * `rejectAbove` are turned away, and at or above `reviewAbove` are held until
+ * a moderator approves or denies them. Every scored entrant is stored in
+ * AllowlistEntryRisk with the breakdown, so admins can see why.
+ */
+class SybilRiskService {
+    constructor(botService, options = {}) {
+        this.botService = botService;
+        this.signals = new Map();
+        this.policyCache = new Map();
+        this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
+
+        const signals = options.signals || [
+            new AccountAgeSignal(),
+            new GuildTenureSignal(),
+            new VerificationFailureSignal(),
+            new InteractionHistorySignal(),
+            new SharedAccountSignal(botService)
+        ];
+        signals.forEach(signal => this.registerSignal(signal));
+
+        this.stats = {
+            scored: 0,
+            held: 0,
+            rejected: 0,
+            signalErrors: 0
+        };
+
+        // Drop cached policies another shard changed
+        this.botService?.shardCoordinator?.on?.('allowlist_risk_changed', ({ guildId, allowlistId }) => {
+            this.policyCache.delete(`${guildId}:${allowlistId}`);
+        });
+    }
+
+    registerSignal(signal) {
+        this.signals.set(signal.name, signal);
+    }
+
+    unregisterSignal(name) {
+        this.signals.delete(name);
+    }
+
+    getSignal(name) {
+        return this.signals.get(name) || null;
+    }
+
+    /**
+     * Score an entrant with every registered signal
+     * @param {Object} context - { discordId, user, member, guildId, allowlistId, nafflesUserId, walletAddress }
+     * @returns {Promise<Object>} { score, signals: [{ name, weight, risk, detail, error }] }
+     */
+    async scoreEntrant(context) {
+        const signals = await Promise.all(Array.from(this.signals.values()).map(async signal => {
+            try {
+                const { risk, detail } = await signal.evaluate(context);
+                return {
+                    name: signal.name,
+                    weight: signal.weight,
+                    risk: Math.max(0, Math.min(1, Number(risk) || 0)),
+                    detail: detail || null
+                };
+            } catch (error) {
+                this.stats.signalErrors++;
+                logger.warn(`Risk signal ${signal.name} unavailable:`, error.message);
+                return { name: signal.name, weight: signal.weight, risk: null, detail: null, error: error.message };
+            }
+        }));
+
+        // Unavailable signals are left out rather than counted as safe or risky
+        const scored = signals.filter(signal => signal.risk !== null);
+        const totalWeight = scored.reduce((total, signal) => total + signal.weight, 0);
+        const score = totalWeight > 0
+            ? Math.round(scored.reduce((total, signal) => total + signal.risk * signal.weight, 0) / totalWeight * 100)
+            : 0;
+
+        return { score, signals };
+    }
+
+    /**
+     * Score an allowlist entry and decide whether it goes through
+     * @param {Object} context - Entry context (see scoreEntrant)
+     * @param {Object} entryData - Payload for the Naffles entry API, kept if the entry is held
+     * @returns {Promise<Object>} { decision: allowed|held|rejected, score, assessmentId }
+     */
+    async assessEntry(context, entryData) {
+        const policy = await this.getPolicy(context.allowlistId, context.guildId);
+        if (!policy.enabled || !this.isDatabaseAvailable()) {
+            return { decision: 'allowed', score: null, assessmentId: null };
+        }
+
+        const existing = await AllowlistEntryRisk.findOne({ allowlistId: context.allowlistId, discordId: context.discordId });
+        if (existing?.isFinal()) {
+            existing.attempts++;
+            await existing.save();
+
+            // An approved entrant whose entry was lost can go through again
+            const decision = existing.decision === 'approved' ? 'allowed'
+                : existing.decision === 'denied' ? 'rejected'
+                    : existing.decision;
+            return { decision, score: existing.score, assessmentId: existing._id };
+        }
+
+        const { score, signals } = await this.scoreEntrant(context);
+        const decision = this.decide(score, policy);
+
+        const assessment = await AllowlistEntryRisk.findOneAndUpdate(
+            { allowlistId: context.allowlistId, discordId: context.discordId },
+            {
+                $set: {
+                    guildId: context.guildId,
+                    nafflesUserId: context.nafflesUserId,
+                    score,
+                    signals,
+                    policy: { reviewAbove: policy.reviewAbove, rejectAbove: policy.rejectAbove },
+                    decision,
+                    entryData: decision === 'held' ? entryData : null
+                },
+                $inc: { attempts: 1 }
+            },
+            { new: true, upsert: true, setDefaultsOnInsert: true }
+        );
+
+        this.stats.scored++;
+        if (decision !== 'allowed') {
+            this.stats[decision]++;
+            await this.botService.auditLogger?.logAllowlistEvent(
+                context.discordId,
+                context.guildId,
+                context.allowlistId,
+                `entry_${decision}`,
+                { riskScore: score, assessmentId: assessment._id.toString() }
+            );
+        }
+
+        return { decision, score, assessmentId: assessment._id };
+    }
+
+    /**
+     * @private
+     */
+    decide(score, policy) {
+        if (policy.rejectAbove && score >= policy.rejectAbove) {
+            return 'rejected';
+        }
+        if (policy.reviewAbove && score >= policy.reviewAbove) {
+            return 'held';
+        }
+        return 'allowed';
+    }
+
+    /**
+     * Get an allowlist connection's risk policy
+     * @param {string} allowlistId - Allowlist ID
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<Object>} { enabled, reviewAbove, rejectAbove }
+     */
+    async getPolicy(allowlistId, guildId) {
+        const key = `${guildId}:${allowlistId}`;
+        const cached = this.policyCache.get(key);
+        if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
+            return cached.policy;
+        }
+
+        if (!this.isDatabaseAvailable()) {
+            return { ...DEFAULT_POLICY };
+        }
+
+        try {
+            const connection = await AllowlistConnection.findConnection(allowlistId, guildId)
+                .select('riskPolicy')
+                .lean();
+
+            const policy = { ...DEFAULT_POLICY };
+            if (connection?.riskPolicy) {
+                policy.enabled = connection.riskPolicy.enabled !== false;
+                policy.reviewAbove = connection.riskPolicy.reviewAbove || null;
+                policy.rejectAbove = connection.riskPolicy.rejectAbove || null;
+            }
+
+            this.policyCache.set(key, { policy, timestamp: Date.now() });
+            return policy;
+        } catch (error) {
+            logger.error('Failed to load allowlist risk policy:', error);
+            return { ...DEFAULT_POLICY };
+        }
+    }
+
+    /**
+     * Change an allowlist connection's risk policy
+     * @param {string} allowlistId - Allowlist ID
+     * @param {string} guildId - Guild ID
+     * @param {Object} values - Any of { enabled, reviewAbove, rejectAbove }; 0 turns a threshold off
+     * @param {string} userId - User making the change
+     * @returns {Promise<Object>} Result with success status and policy
+     */
+    async updatePolicy(allowlistId, guildId, values, userId) {
+        const current = await this.getPolicy(allowlistId, guildId);
+        const update = {};
+
+        if (typeof values.enabled === 'boolean') {
+            update['riskPolicy.enabled'] = values.enabled;
+        }
+
+        for (const field of ['reviewAbove', 'rejectAbove']) {
+            if (values[field] === undefined || values[field] === null) {
+                continue;
+            }
+            if (!Number.isInteger(values[field]) || values[field] < 0 || values[field] > 100) {
+                return { success: false, reason: 'invalid_threshold', message: 'Thresholds must be whole numbers from 0 to 100' };
+            }
+            update[`riskPolicy.${field}`] = values[field] || null;
+        }
+
+        if (Object.keys(update).length === 0) {
+            return { success: false, reason: 'no_values', message: 'Provide at least one setting to change' };
+        }
+
+        const reviewAbove = update['riskPolicy.reviewAbove'] !== undefined ? update['riskPolicy.reviewAbove'] : current.reviewAbove;
+        const rejectAbove = update['riskPolicy.rejectAbove'] !== undefined ? update['riskPolicy.rejectAbove'] : current.rejectAbove;
+        if (reviewAbove && rejectAbove && reviewAbove >= rejectAbove) {
+            return { success: false, reason: 'invalid_threshold', message: 'The review threshold must be below the reject threshold' };
+        }
+
+        update['riskPolicy.updatedBy'] = userId;
+
+        try {
+            const connection = await AllowlistConnection.findOneAndUpdate(
+                { allowlistId, guildId, isActive: true },
+                { $set: update },
+                { new: true, runValidators: true }
+            );
+
+            if (!connection) {
+                return { success: false, reason: 'not_connected', message: 'This allowlist is not connected to this server' };
+            }
+
+            this.policyCache.delete(`${guildId}:${allowlistId}`);
+            await this.botService.shardCoordinator?.broadcast?.('allowlist_risk_changed', { guildId, allowlistId });
+            await this.botService.auditLogger?.logConfigChange(userId, guildId, 'allowlist_risk', { allowlistId, ...values });
+
+            return {
+                success: true,
+                policy: {
+                    enabled: connection.riskPolicy?.enabled !== false,
+                    reviewAbove: connection.riskPolicy?.reviewAbove || null,
+                    rejectAbove: connection.riskPolicy?.rejectAbove || null
+                }
+            };
+        } catch (error) {
+            logger.error('Failed to update allowlist risk policy:', error);
+            return { success: false, reason: 'error', message: error.message };
+        }
+    }
+
+    /**
+     * Latest assessment for an entrant
+     * @param {string} allowlistId - Allowlist ID
+     * @param {string} discordId - Entrant's Discord ID
+     * @returns {Promise<Object|null>} Assessment
+     */
+    getAssessment(allowlistId, discordId) {
+        return AllowlistEntryRisk.findOne({ allowlistId, discordId }).lean();
+    }
+
+    /**
+     * Held entries, oldest first
+     */
+    getHeldEntries(allowlistId, guildId, limit = 25) {
+        return AllowlistEntryRisk.findHeld(allowlistId, guildId, limit).lean();
+    }
+
+    /**
+     * How many entrants were allowed, held, rejected, approved and denied
+     * @returns {Promise<Object>} decision -> { count, avgScore }
+     */
+    async getSummary(allowlistId, guildId) {
+        const counts = await AllowlistEntryRisk.getDecisionCounts(allowlistId, guildId);
+        return Object.fromEntries(counts.map(({ _id, count, avgScore }) => [_id, { count, avgScore: Math.round(avgScore) }]));
+    }
+
+    /**
+     * Approve or deny a held entry. Approval submits the stored entry to Naffles.
+     * @param {string} assessmentId - Assessment ID
+     * @param {boolean} approve - Approve (true) or deny (false)
+     * @param {Object} moderator - Discord user deciding
+     * @returns {Promise<Object>} Result with success status and assessment
+     */
+    async reviewEntry(assessmentId, approve, moderator) {
+        const assessment = await AllowlistEntryRisk.findById(assessmentId);
+        if (!assessment) {
+            return { success: false, reason: 'not_found' };
+        }
+        if (!assessment.isHeld()) {
+            return { success: false, reason: 'not_held', assessment };
+        }
+
+        if (approve) {
+            try {
+                const entryResult = await this.botService.makeNafflesApiCall(
+                    `/api/allowlists/${assessment.allowlistId}/enter`,
+                    'POST',
+                    assessment.entryData
+                );
+                if (!entryResult) {
+                    throw new Error('Entry was not accepted');
+                }
+            } catch (error) {
+                // A 409 means the entrant is already in; anything else keeps the hold
+                if (error.response?.status !== 409) {
+                    assessment.review = { ...assessment.review, error: error.message };
+                    await assessment.save();
+                    return { success: false, reason: 'entry_failed', message: error.message, assessment };
+                }
+            }
+
+            await this.botService.allowlistIntegration?.updateConnectionAnalytics(assessment.allowlistId, 'entry', assessment.discordId);
+            await this.botService.allowlistIntegration?.updateAllowlistEmbed(assessment.allowlistId);
+        }
+
+        assessment.decision = approve ? 'approved' : 'denied';
+        assessment.entryData = null;
+        assessment.review = { decidedBy: moderator.id, decidedAt: new Date() };
+        await assessment.save();
+
+        await this.botService.auditLogger?.logAdminAction(
+            moderator.id,
+            approve ? 'allowlist_entry_approved' : 'allowlist_entry_denied',
+            assessment.guildId,
+            { allowlistId: assessment.allowlistId, discordId: assessment.discordId, riskScore: assessment.score }
+        );
+
+        await this.notifyEntrant(assessment);
+
+        return { success: true, assessment };
+    }
+
+    /**
+     * Tell the entrant how their held entry was decided
+     * @private
+     */
+    async notifyEntrant(assessment) {
+        try {
+            const user = await this.botService.client.users.fetch(assessment.discordId);
+            await user.send({
+                content: assessment.decision === 'approved'
+                    ? '🎉 Your allowlist entry was reviewed and accepted. Good luck!'
+                    : '❌ Your allowlist entry was reviewed and could not be accepted.'
+            });
+        } catch (error) {
+            logger.warn(`Could not notify ${assessment.discordId} about allowlist review:`, error.message);
+        }
+    }
+
+    /**
+     * Approve/deny buttons: allowlist_risk_{approve|deny}_<assessmentId>
+     * @param {Object} interaction - Button interaction
+     */
+    async handleReviewButton(interaction) {
+        const [, , decision, assessmentId] = interaction.customId.split('_');
+
+        const permissionCheck = await this.botService.validateUserPermissions(
+            interaction.guildId,
+            interaction.user.id,
+            ['ManageGuild']
+        );
+        if (!permissionCheck.hasPermission) {
+            return await interaction.reply({
+                content: `🚫 You need the Manage Server permission to review entries. (${permissionCheck.reason})`,
+                ephemeral: true
+            });
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        const result = await this.reviewEntry(assessmentId, decision === 'approve', interaction.user);
+
+        if (!result.success) {
+            const messages = {
+                not_found: '❌ This entry could not be found.',
+                not_held: `ℹ️ This entry was already ${result.assessment?.decision}.`,
+                entry_failed: `❌ Naffles did not accept the entry: ${result.message}`
+            };
+            return await interaction.editReply({ content: messages[result.reason] || '❌ Failed to record the decision.' });
+        }
+
+        await interaction.editReply({
+            content: decision === 'approve'
+                ? `✅ Entry approved for <@${result.assessment.discordId}>.`
+                : `✅ Entry denied for <@${result.assessment.discordId}>.`
+        });
+    }
+
+    /**
+     * @private
+     */
+    isDatabaseAvailable() {
+        return Boolean(this.botService?.db?.isHealthy?.());
+    }
+
+    /**
+     * @returns {Object} Scoring statistics
+     */
+    getStatistics() {
+        return {
+            ...this.stats,
+            signals: Array.from(this.signals.keys())
+        };
+    }
+}
+
+SybilRiskService.DEFAULT_POLICY = DEFAULT_POLICY;
+
+module.exports = SybilRiskService;
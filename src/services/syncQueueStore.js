@@ -0,0 +1,374 @@
+const logger = require('../utils/logger');
+
+// Store an operation and queue it, or hand it straight to the caller with a lease
+const ENQUEUE_SCRIPT = `
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[2])
+if ARGV[3] == 'claimed' then
+    redis.call('ZADD', KEYS[3], ARGV[4], ARGV[1])
+elseif ARGV[3] == 'front' then
+    redis.call('LPUSH', KEYS[2], ARGV[1])
+else
+    redis.call('RPUSH', KEYS[2], ARGV[1])
+end
+return 1
+`;
+
+// Requeue operations whose visibility timeout lapsed, then lease up to ARGV[3]
+// operations until ARGV[2]. Returns a flat list of id, operation pairs.
+const CLAIM_SCRIPT = `
+local expired = redis.call('ZRANGEBYSCORE', KEYS[3], '-inf', ARGV[1])
+for _, id in ipairs(expired) do
+    redis.call('ZREM', KEYS[3], id)
+    redis.call('LPUSH', KEYS[2], id)
+end
+local claimed = {}
+for i = 1, tonumber(ARGV[3]) do
+    local id = redis.call('LPOP', KEYS[2])
+    if not id then
+        break
+    end
+    local operation = redis.call('HGET', KEYS[1], id)
+    if operation then
+        redis.call('ZADD', KEYS[3], ARGV[2], id)
+        table.insert(claimed, id)
+        table.insert(claimed, operation)
+    end
+end
+return claimed
+`;
+
+// Update a leased operation and move its lease deadline, unless it was already acknowledged
+const TOUCH_SCRIPT = `
+if redis.call('HEXISTS', KEYS[1], ARGV[1]) == 0 then
+    return 0
+end
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[2])
+redis.call('ZADD', KEYS[2], ARGV[3], ARGV[1])
+return 1
+`;
+
+const ACK_SCRIPT = `
+redis.call('ZREM', KEYS[2], ARGV[1])
+return redis.call('HDEL', KEYS[1], ARGV[1])
+`;
+
+const DEAD_LETTER_SCRIPT = `
+redis.call('HDEL', KEYS[1], ARGV[1])
+redis.call('ZREM', KEYS[3], ARGV[1])
+redis.call('LREM', KEYS[2], 0, ARGV[1])
+redis.call('HSET', KEYS[4], ARGV[1], ARGV[2])
+return 1
+`;
+
+// Only one caller can take an entry out of the dead-letter queue
+const REPLAY_SCRIPT = `
+if redis.call('HDEL', KEYS[1], ARGV[1]) == 0 then
+    return 0
+end
+redis.call('HSET', KEYS[2], ARGV[1], ARGV[2])
+redis.call('RPUSH', KEYS[3], ARGV[1])
+return 1
+`;
+
+const COUNTS_SCRIPT = `
+return { redis.call('LLEN', KEYS[1]), redis.call('ZCARD', KEYS[2]), redis.call('HLEN', KEYS[3]) }
+`;
+
+/**
+ * Sync Queue Store
+ * Durable queue for real-time sync work, kept in Redis so pending operations
+ * survive a crash or restart. Claimed operations are leased for a visibility
+ * timeout and return to the queue if they aren't acknowledged in time, so
+ * every operation is processed at least once. Operations that keep failing
+ * are moved to a dead-letter queue for operators to inspect, replay or drop.
+ *
+ * Without Redis nothing is persisted: callers keep their in-memory queue and
+ * only the dead-letter queue is held here, in memory.
+ */
+class SyncQueueStore {
+    /**
+     * @param {Object} redisService - RedisService instance
+     * @param {string} name - Queue name, used in the Redis keys
+     * @param {Object} options - { visibilityTimeout } in ms
+     */
+    constructor(redisService, name, options = {}) {
+        this.redis = redisService;
+        this.name = name;
+        this.visibilityTimeout = options.visibilityTimeout
+            || parseInt(process.env.SYNC_VISIBILITY_TIMEOUT_MS, 10)
+            || 60000; // 1 minute
+
+        const prefix = `discord_sync:queue:${name}`;
+        this.keys = {
+            operations: `${prefix}:operations`,
+            pending: `${prefix}:pending`,
+            inflight: `${prefix}:inflight`,
+            deadLetters: `${prefix}:dead_letters`
+        };
+
+        // Dead letters when Redis is unavailable
+        this.localDeadLetters = new Map();
+    }
+
+    /**
+     * Check whether operations are persisted in Redis
+     * @returns {boolean} True when Redis is connected
+     */
+    isDurable() {
+        return Boolean(this.redis?.isConnected);
+    }
+
+    /**
+     * Persist an operation
+     * @param {string} id - Operation ID
+     * @param {Object} operation - Operation data
+     * @param {Object} options - { front } to queue it first, { claimed } when the
+     *   caller processes it right away and holds the lease
+     * @returns {Promise<boolean>} True when persisted
+     */
+    async enqueue(id, operation, options = {}) {
+        if (!this.isDurable()) {
+            return false;
+        }
+
+        const mode = options.claimed ? 'claimed' : (options.front ? 'front' : 'back');
+        const result = await this.redis.evalScript(
+            ENQUEUE_SCRIPT,
+            [this.keys.operations, this.keys.pending, this.keys.inflight],
+            [id, JSON.stringify(operation), mode, String(Date.now() + this.visibilityTimeout)]
+        );
+
+        return result === 1;
+    }
+
+    /**
+     * Lease the next operations in the queue. Operations whose lease lapsed are
+     * requeued first, so work left by a stopped process is picked up again.
+     * @param {number} count - Maximum operations to claim
+     * @returns {Promise<Array<{id: string, operation: Object}>>} Claimed operations
+     */
+    async claim(count) {
+        if (!this.isDurable() || count <= 0) {
+            return [];
+        }
+
+        const now = Date.now();
+        const result = await this.redis.evalScript(
+            CLAIM_SCRIPT,
+            [this.keys.operations, this.keys.pending, this.keys.inflight],
+            [String(now), String(now + this.visibilityTimeout), String(count)]
+        );
+
+        const claimed = [];
+        for (let i = 0; i + 1 < (result || []).length; i += 2) {
+            try {
+                claimed.push({ id: result[i], operation: JSON.parse(result[i + 1]) });
+            } catch (error) {
+                logger.error(`Unreadable sync operation ${result[i]} in ${this.name} queue:`, error);
+                await this.ack(result[i]);
+            }
+        }
+
+        return claimed;
+    }
+
+    /**
+     * Save a leased operation and extend its lease, e.g. while a retry is pending
+     * @param {string} id - Operation ID
+     * @param {Object} operation - Updated operation data
+     * @param {number} delayMs - Time before the operation is processed again
+     * @returns {Promise<boolean>} True when the operation is still queued
+     */
+    async touch(id, operation, delayMs = 0) {
+        if (!this.isDurable()) {
+            return false;
+        }
+
+        const result = await this.redis.evalScript(
+            TOUCH_SCRIPT,
+            [this.keys.operations, this.keys.inflight],
+            [id, JSON.stringify(operation), String(Date.now() + delayMs + this.visibilityTimeout)]
+        );
+
+        return result === 1;
+    }
+
+    /**
+     * Give up a lease so the operation is claimed again right away
+     * @param {string} id - Operation ID
+     * @param {Object} operation - Operation data
+     */
+    async release(id, operation) {
+        if (!this.isDurable()) {
+            return false;
+        }
+
+        const result = await this.redis.evalScript(
+            TOUCH_SCRIPT,
+            [this.keys.operations, this.keys.inflight],
+            [id, JSON.stringify(operation), '0']
+        );
+
+        return result === 1;
+    }
+
+    /**
+     * Acknowledge a processed operation
+     * @param {string} id - Operation ID
+     */
+    async ack(id) {
+        if (!this.isDurable()) {
+            return false;
+        }
+
+        const result = await this.redis.evalScript(
+            ACK_SCRIPT,
+            [this.keys.operations, this.keys.inflight],
+            [id]
+        );
+
+        return result === 1;
+    }
+
+    /**
+     * Move an operation to the dead-letter queue
+     * @param {string} id - Operation ID
+     * @param {Object} operation - Operation data
+     * @param {string} reason - Why it was given up on
+     * @returns {Promise<Object>} Dead-letter entry
+     */
+    async deadLetter(id, operation, reason) {
+        const entry = {
+            id,
+            operation,
+            reason,
+            deadLetteredAt: Date.now()
+        };
+
+        if (!this.isDurable()) {
+            this.localDeadLetters.set(id, entry);
+            return entry;
+        }
+
+        await this.redis.evalScript(
+            DEAD_LETTER_SCRIPT,
+            [this.keys.operations, this.keys.pending, this.keys.inflight, this.keys.deadLetters],
+            [id, JSON.stringify(entry)]
+        );
+
+        return entry;
+    }
+
+    /**
+     * List dead-lettered operations, newest first
+     * @param {number} limit - Maximum entries
+     * @returns {Promise<Array>} Dead-letter entries
+     */
+    async listDeadLetters(limit = 50) {
+        let entries;
+
+        if (this.isDurable()) {
+            const result = await this.redis.evalScript(
+                `return redis.call('HVALS', KEYS[1])`,
+                [this.keys.deadLetters]
+            );
+            entries = (result || []).map(value => JSON.parse(value));
+        } else {
+            entries = Array.from(this.localDeadLetters.values());
+        }
+
+        return entries
+            .sort((a, b) => b.deadLetteredAt - a.deadLetteredAt)
+            .slice(0, limit);
+    }
+
+    /**
+     * Get one dead-lettered operation
+     * @param {string} id - Operation ID
+     * @returns {Promise<Object|null>} Dead-letter entry
+     */
+    async getDeadLetter(id) {
+        if (!this.isDurable()) {
+            return this.localDeadLetters.get(id) || null;
+        }
+
+        const value = await this.redis.evalScript(
+            `return redis.call('HGET', KEYS[1], ARGV[1])`,
+            [this.keys.deadLetters],
+            [id]
+        );
+
+        return value ? JSON.parse(value) : null;
+    }
+
+    /**
+     * Put a dead-lettered operation back on the queue with its retries reset
+     * @param {string} id - Operation ID
+     * @returns {Promise<Object|null>} The requeued operation, or null when not found
+     */
+    async replayDeadLetter(id) {
+        const entry = await this.getDeadLetter(id);
+        if (!entry) {
+            return null;
+        }
+
+        const operation = {
+            ...entry.operation,
+            retries: 0,
+            timestamp: Date.now(),
+            replays: (entry.operation.replays || 0) + 1
+        };
+        delete operation.lastError;
+        delete operation.lastRetryTime;
+
+        if (!this.isDurable()) {
+            return this.localDeadLetters.delete(id) ? operation : null;
+        }
+
+        const result = await this.redis.evalScript(
+            REPLAY_SCRIPT,
+            [this.keys.deadLetters, this.keys.operations, this.keys.pending],
+            [id, JSON.stringify(operation)]
+        );
+
+        return result === 1 ? operation : null;
+    }
+
+    /**
+     * Delete a dead-lettered operation
+     * @param {string} id - Operation ID
+     * @returns {Promise<boolean>} True when it existed
+     */
+    async dropDeadLetter(id) {
+        if (!this.isDurable()) {
+            return this.localDeadLetters.delete(id);
+        }
+
+        const result = await this.redis.evalScript(
+            `return redis.call('HDEL', KEYS[1], ARGV[1])`,
+            [this.keys.deadLetters],
+            [id]
+        );
+
+        return result === 1;
+    }
+
+    /**
+     * Count queued, leased and dead-lettered operations
+     * @returns {Promise<Object>} { durable, pending, inflight, deadLettered }
+     */
+    async getCounts() {
+        if (!this.isDurable()) {
+            return { durable: false, pending: 0, inflight: 0, deadLettered: this.localDeadLetters.size };
+        }
+
+        const [pending, inflight, deadLettered] = await this.redis.evalScript(
+            COUNTS_SCRIPT,
+            [this.keys.pending, this.keys.inflight, this.keys.deadLetters]
+        ) || [0, 0, 0];
+
+        return { durable: true, pending, inflight, deadLettered };
+    }
+}
+
+module.exports = SyncQueueStore;
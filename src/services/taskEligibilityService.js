@@ -789,23 +789,27 @@ class TaskEligibilityService {
      */
     async validateNFTOwnership(requirementData, userData, taskData) {
         try {
-            const { contractAddress, tokenIds, minimumCount } = requirementData;
+            const { contractAddress, tokenIds, minimumCount, chain, traits } = requirementData;
             
-            // This would integrate with NFT ownership verification service
+            // This would integrate with NFT ownership verification service.
+            // API failures fall through to validation_error rather than a zero count.
             const ownedNFTs = await this.botService.makeNafflesApiCall(
-                `/api/nft/ownership/${userData.id}?contract=${contractAddress}`
-            ).catch(() => []);
+                `/api/nft/ownership/${userData.id}?contract=${contractAddress}${chain ? `&chain=${chain}` : ''}`
+            ) || [];
 
-            let validCount = 0;
+            let matchingNFTs = ownedNFTs;
             
             if (tokenIds && tokenIds.length > 0) {
                 // Check specific token IDs
-                validCount = ownedNFTs.filter(nft => tokenIds.includes(nft.tokenId)).length;
-            } else {
-                // Check any NFTs from the contract
-                validCount = ownedNFTs.length;
+                matchingNFTs = matchingNFTs.filter(nft => tokenIds.includes(nft.tokenId));
             }
 
+            if (traits && traits.length > 0) {
+                // Every trait filter must match one of the NFT's attributes
+                matchingNFTs = matchingNFTs.filter(nft => this.matchesTraits(nft, traits));
+            }
+
+            const validCount = matchingNFTs.length;
             const required = minimumCount || 1;
 
             return {
@@ -829,17 +833,32 @@ class TaskEligibilityService {
         }
     }
 
+    /**
+     * Check an NFT's attributes against trait filters ({ traitType, value })
+     * @private
+     */
+    matchesTraits(nft, traits) {
+        const attributes = nft.attributes || nft.traits || [];
+        const normalize = value => String(value).trim().toLowerCase();
+
+        return traits.every(filter => attributes.some(attribute =>
+            normalize(attribute.trait_type ?? attribute.traitType) === normalize(filter.traitType) &&
+            normalize(attribute.value) === normalize(filter.value)
+        ));
+    }
+
     /**
      * Validate token balance requirement
      * @private
      */
     async validateTokenBalance(requirementData, userData, taskData) {
         try {
-            const { tokenAddress, minimumBalance } = requirementData;
+            const { tokenAddress, minimumBalance, chain } = requirementData;
             
+            // API failures fall through to validation_error rather than a zero balance
             const balance = await this.botService.makeNafflesApiCall(
-                `/api/tokens/balance/${userData.id}?token=${tokenAddress}`
-            ).catch(() => ({ balance: 0 }));
+                `/api/tokens/balance/${userData.id}?token=${tokenAddress}${chain ? `&chain=${chain}` : ''}`
+            ) || { balance: 0 };
 
             const userBalance = parseFloat(balance.balance || 0);
             const required = parseFloat(minimumBalance);
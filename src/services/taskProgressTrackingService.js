@@ -523,7 +523,8 @@ class TaskProgressTrackingService {
                         showAnalytics: true,
                         progress,
                         lastUpdate: new Date(),
-                        updateType: updateData.type
+                        updateType: updateData.type,
+                        locale: await this.botService.localization.getGuildLocale(channel.guild?.id)
                     });
 
                     // Update message
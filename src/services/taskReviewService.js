@@ -0,0 +1,499 @@
+const { ModalBuilder, TextInputBuilder, TextInputStyle, ActionRowBuilder } = require('discord.js');
+const logger = require('../utils/logger');
+const TaskSubmission = require('../models/taskSubmission');
+const DiscordServerMapping = require('../models/discordServerMapping');
+const { t } = require('../utils/i18n');
+
+/**
+ * Task Review Service
+ * Human review flow for custom tasks: members submit proof through a modal,
+ * submissions are stored in Mongo and posted to the server's review channel
+ * with Approve/Reject buttons, and the moderator's decision is sent to the
+ * Naffles API and DMed to the member with the reason.
+ */
+class TaskReviewService {
+    constructor(botService) {
+        this.botService = botService;
+
+        this.reviewPermissions = ['ManageMessages'];
+        this.maxProofTextLength = 1000;
+    }
+
+    /**
+     * Show the proof submission modal for a custom task
+     * @param {Object} interaction - Button interaction
+     * @param {Object} task - Task details
+     */
+    async showProofModal(interaction, task) {
+        const locale = await this.botService.localization.resolveLocale(interaction);
+
+        const modal = new ModalBuilder()
+            .setCustomId(`task_proof_modal_${task.id}`)
+            .setTitle(t(locale, 'review.modalTitle').substring(0, 45));
+
+        const urlInput = new TextInputBuilder()
+            .setCustomId('proof_url')
+            .setLabel(t(locale, 'review.proofUrlLabel'))
+            .setPlaceholder('https://')
+            .setStyle(TextInputStyle.Short)
+            .setMaxLength(500)
+            .setRequired(false);
+
+        const textInput = new TextInputBuilder()
+            .setCustomId('proof_text')
+            .setLabel(t(locale, 'review.proofTextLabel'))
+            .setPlaceholder((task.configuration?.instructions || t(locale, 'review.proofTextPlaceholder')).substring(0, 100))
+            .setStyle(TextInputStyle.Paragraph)
+            .setMaxLength(this.maxProofTextLength)
+            .setRequired(false);
+
+        modal.addComponents(
+            new ActionRowBuilder().addComponents(urlInput),
+            new ActionRowBuilder().addComponents(textInput)
+        );
+
+        await interaction.showModal(modal);
+    }
+
+    /**
+     * Read the proof entered in the submission modal
+     * @param {Object} interaction - Modal submit interaction
+     * @returns {Object|null} { url, text } or null when nothing was entered
+     */
+    getSubmittedProof(interaction) {
+        if (!interaction?.isModalSubmit?.() || !interaction.customId.startsWith('task_proof_modal_')) {
+            return null;
+        }
+
+        const url = interaction.fields.getTextInputValue('proof_url')?.trim() || null;
+        const text = interaction.fields.getTextInputValue('proof_text')?.trim() || null;
+
+        return url || text ? { url, text } : null;
+    }
+
+    /**
+     * Handle a proof submission from the modal
+     * @param {Object} interaction - Modal submit interaction
+     */
+    async handleProofSubmission(interaction) {
+        const locale = await this.botService.localization.resolveLocale(interaction);
+        const taskId = interaction.customId.replace('task_proof_modal_', '');
+        const proof = this.getSubmittedProof(interaction);
+
+        if (!proof) {
+            return await interaction.reply({ content: t(locale, 'review.proofRequired'), ephemeral: true });
+        }
+
+        if (proof.url && !this.isValidUrl(proof.url)) {
+            return await interaction.reply({ content: t(locale, 'review.invalidUrl'), ephemeral: true });
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        const userAccount = await this.botService.db.getUserAccountLink(interaction.user.id);
+        if (!userAccount) {
+            return await interaction.editReply({ content: t(locale, 'review.notLinked') });
+        }
+
+        if (await TaskSubmission.findOpenSubmission(taskId, interaction.user.id)) {
+            return await interaction.editReply({ content: t(locale, 'review.alreadyPending') });
+        }
+
+        const socialTasks = this.botService.socialTaskIntegration;
+        const task = await socialTasks.getTaskDetails(taskId);
+        if (!task) {
+            return await interaction.editReply({ content: t(locale, 'review.taskNotFound') });
+        }
+
+        const availability = await socialTasks.checkTaskAvailability(task, userAccount.nafflesUserId);
+        if (!availability.available) {
+            return await interaction.editReply({ content: `❌ ${availability.message}` });
+        }
+
+        // Registers the pending completion (with the proof) in the Naffles verification queue
+        const completionResult = await socialTasks.processTaskCompletion(task, userAccount, interaction);
+        if (!completionResult.success) {
+            return await interaction.editReply({ content: completionResult.message });
+        }
+
+        const submission = await TaskSubmission.create({
+            taskId: task.id,
+            guildId: interaction.guildId,
+            channelId: interaction.channelId,
+            discordId: interaction.user.id,
+            discordUsername: interaction.user.username,
+            nafflesUserId: userAccount.nafflesUserId,
+            task: {
+                title: task.title,
+                instructions: task.configuration?.instructions,
+                points: task.rewards?.points || 0
+            },
+            proof
+        });
+
+        const posted = await this.postForReview(submission);
+
+        await interaction.editReply({
+            content: [
+                t(locale, 'review.submitted', { title: task.title, points: t(locale, 'embed.values.points', { count: submission.task.points }) }),
+                posted ? null : t(locale, 'review.submittedNoChannel')
+            ].filter(Boolean).join('\n')
+        });
+
+        await this.botService.logInteraction(interaction, 'submit_task_proof', 'success');
+    }
+
+    /**
+     * Post a submission's review card in the server's review channel
+     * @param {Object} submission - TaskSubmission document
+     * @returns {Promise<boolean>} Whether the card was posted
+     */
+    async postForReview(submission) {
+        try {
+            const channelId = await this.getReviewChannelId(submission.guildId);
+            if (!channelId) {
+                return false;
+            }
+
+            const channel = await this.botService.client.channels.fetch(channelId).catch(() => null);
+            if (!channel) {
+                logger.warn(`Review channel ${channelId} for guild ${submission.guildId} is not accessible`);
+                return false;
+            }
+
+            const locale = await this.botService.localization.getGuildLocale(submission.guildId);
+            const message = await channel.send({
+                ...this.botService.embedTemplates.createTaskSubmissionEmbed(submission, { locale }),
+                allowedMentions: { parse: [] }
+            });
+
+            submission.review.channelId = channel.id;
+            submission.review.messageId = message.id;
+            await submission.save();
+
+            return true;
+        } catch (error) {
+            logger.error('Error posting task submission for review:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Handle the Approve/Reject buttons on a review card
+     * @param {Object} interaction - Button interaction
+     */
+    async handleReviewButton(interaction) {
+        const locale = await this.botService.localization.resolveLocale(interaction);
+        const [, , decision, submissionId] = interaction.customId.split('_');
+
+        if (!await this.checkReviewerPermission(interaction, locale)) {
+            return;
+        }
+
+        const submission = await TaskSubmission.findById(submissionId);
+        if (!submission) {
+            return await interaction.reply({ content: t(locale, 'review.notFound'), ephemeral: true });
+        }
+
+        if (!submission.isPending()) {
+            return await interaction.reply({ content: this.describeReviewed(submission, locale), ephemeral: true });
+        }
+
+        const modal = new ModalBuilder()
+            .setCustomId(`task_review_modal_${decision}_${submissionId}`)
+            .setTitle(t(locale, `review.reviewModalTitles.${decision}`).substring(0, 45));
+
+        const reasonInput = new TextInputBuilder()
+            .setCustomId('reason')
+            .setLabel(t(locale, 'review.reasonLabel'))
+            .setPlaceholder(t(locale, `review.reasonPlaceholders.${decision}`))
+            .setStyle(TextInputStyle.Paragraph)
+            .setMaxLength(500)
+            .setRequired(decision === 'reject');
+
+        modal.addComponents(new ActionRowBuilder().addComponents(reasonInput));
+
+        await interaction.showModal(modal);
+    }
+
+    /**
+     * Handle the reason modal that completes a moderator decision
+     * @param {Object} interaction - Modal submit interaction
+     */
+    async handleReviewDecision(interaction) {
+        const locale = await this.botService.localization.resolveLocale(interaction);
+        const [, , , decision, submissionId] = interaction.customId.split('_');
+
+        if (!await this.checkReviewerPermission(interaction, locale)) {
+            return;
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        const result = await this.reviewSubmission(
+            submissionId,
+            decision === 'approve' ? 'approved' : 'rejected',
+            interaction.user,
+            interaction.fields.getTextInputValue('reason')?.trim()
+        );
+
+        if (!result.success) {
+            const content = result.reason === 'already_reviewed'
+                ? this.describeReviewed(result.submission, locale)
+                : t(locale, result.reason === 'not_found' ? 'review.notFound' : 'review.syncFailed');
+
+            return await interaction.editReply({ content });
+        }
+
+        const { submission } = result;
+        await interaction.editReply({
+            content: t(locale, submission.notification.status === 'dm_sent' ? 'review.decisionRecorded' : 'review.decisionRecordedNoDm', {
+                status: t(locale, `review.statuses.${submission.status}`),
+                userId: submission.discordId
+            })
+        });
+
+        await this.botService.logInteraction(interaction, `task_submission_${submission.status}`, 'success');
+    }
+
+    /**
+     * Record a moderator decision on a submission
+     * @param {string} submissionId - TaskSubmission ID
+     * @param {string} decision - 'approved' or 'rejected'
+     * @param {Object} reviewer - Discord user making the decision
+     * @param {string} reason - Reason shown to the member
+     * @returns {Promise<Object>} { success, reason, submission }
+     */
+    async reviewSubmission(submissionId, decision, reviewer, reason) {
+        const submission = await TaskSubmission.claimForReview(submissionId, decision, reviewer, reason);
+        if (!submission) {
+            const existing = await TaskSubmission.findById(submissionId);
+            return existing
+                ? { success: false, reason: 'already_reviewed', submission: existing }
+                : { success: false, reason: 'not_found' };
+        }
+
+        try {
+            await this.botService.makeNafflesApiCall(
+                `/api/social-tasks/${submission.taskId}/completions/${submission.nafflesUserId}/review`,
+                'POST',
+                {
+                    decision,
+                    reason: reason || null,
+                    reviewedBy: reviewer.id,
+                    reviewedByUsername: reviewer.username,
+                    submissionId: submission._id.toString(),
+                    source: 'discord_bot'
+                }
+            );
+            submission.sync.syncedAt = new Date();
+        } catch (error) {
+            logger.error('Error sending task review decision to Naffles:', error);
+
+            // Put the submission back in the queue so the decision can be retried
+            await TaskSubmission.updateOne(
+                { _id: submission._id },
+                {
+                    $set: { status: 'pending', 'sync.lastError': error.message },
+                    $unset: { 'review.reviewedBy': '', 'review.reviewedByUsername': '', 'review.reason': '', 'review.reviewedAt': '' }
+                }
+            );
+            return { success: false, reason: 'sync_failed', submission };
+        }
+
+        let rolesGranted = [];
+        if (decision === 'approved') {
+            // Custom tasks are only rewarded once a moderator approves them
+            await this.botService.leaderboard?.recordTaskCompletion(submission.discordId, submission.task.points);
+            rolesGranted = this.botService.roleRewards
+                ? await this.botService.roleRewards.handleTaskCompleted({ id: submission.taskId }, submission.discordId, submission.guildId)
+                : [];
+        }
+
+        await this.notifySubmitter(submission, rolesGranted);
+        await submission.save();
+        await this.updateReviewCard(submission);
+
+        await this.botService.auditLogger?.logAdminAction(reviewer.id, `task_submission_${decision}`, submission.guildId, {
+            submissionId: submission._id.toString(),
+            taskId: submission.taskId,
+            discordId: submission.discordId,
+            nafflesUserId: submission.nafflesUserId,
+            reason: reason || null
+        });
+
+        logger.info(`Task submission ${submission._id} ${decision} by ${reviewer.id}`);
+
+        return { success: true, submission, rolesGranted };
+    }
+
+    /**
+     * DM the member the decision and reason (no save)
+     * @private
+     */
+    async notifySubmitter(submission, rolesGranted = []) {
+        try {
+            const locale = await this.botService.localization.getGuildLocale(submission.guildId);
+            const guild = this.botService.client.guilds.cache.get(submission.guildId);
+            const user = await this.botService.client.users.fetch(submission.discordId);
+
+            // Role mentions don't resolve in DMs, so send the names
+            const roleNames = rolesGranted.map(grant => guild?.roles.cache.get(grant.roleId)?.name).filter(Boolean);
+
+            await user.send({
+                embeds: [this.botService.embedTemplates.createReviewDecisionEmbed(submission, {
+                    locale,
+                    guildName: guild?.name,
+                    roleNames
+                })]
+            });
+
+            submission.notification.status = 'dm_sent';
+            submission.notification.notifiedAt = new Date();
+        } catch (error) {
+            logger.warn(`Could not notify ${submission.discordId} about task submission ${submission._id}:`, error.message);
+            submission.notification.status = 'failed';
+            submission.notification.lastError = error.message;
+        }
+    }
+
+    /**
+     * Redraw the review card with the decision and without the buttons
+     * @private
+     */
+    async updateReviewCard(submission) {
+        try {
+            if (!submission.review.messageId) {
+                return;
+            }
+
+            const channel = await this.botService.client.channels.fetch(submission.review.channelId);
+            const message = await channel.messages.fetch(submission.review.messageId);
+            const locale = await this.botService.localization.getGuildLocale(submission.guildId);
+
+            await message.edit(this.botService.embedTemplates.createTaskSubmissionEmbed(submission, { locale }));
+        } catch (error) {
+            logger.warn(`Could not update review card for task submission ${submission._id}:`, error.message);
+        }
+    }
+
+    /**
+     * Get the pending review queue for a server
+     * @param {string} guildId - Guild ID
+     * @param {Object} options - { taskId, limit }
+     * @returns {Promise<Object>} { submissions, tasks } with Naffles queue sizes per task
+     */
+    async getReviewQueue(guildId, options = {}) {
+        const submissions = await TaskSubmission.findPending(guildId, options);
+
+        const tasks = new Map();
+        for (const submission of submissions) {
+            if (!tasks.has(submission.taskId)) {
+                tasks.set(submission.taskId, { taskId: submission.taskId, title: submission.task.title, pending: 0, nafflesPending: null });
+            }
+            tasks.get(submission.taskId).pending++;
+        }
+
+        if (options.taskId && !tasks.has(options.taskId)) {
+            tasks.set(options.taskId, { taskId: options.taskId, title: options.taskId, pending: 0, nafflesPending: null });
+        }
+
+        for (const task of tasks.values()) {
+            const queue = await this.botService.taskAnalytics.getVerificationQueue(task.taskId);
+            task.nafflesPending = Array.isArray(queue) ? queue.length : null;
+        }
+
+        return { submissions, tasks: [...tasks.values()] };
+    }
+
+    /**
+     * Set the channel review cards are posted in and post any waiting submissions
+     * @param {Object} guild - Discord guild
+     * @param {Object} channel - Review channel
+     * @param {string} userId - Admin making the change
+     * @returns {Promise<Object>} { success, reason, posted }
+     */
+    async setReviewChannel(guild, channel, userId) {
+        try {
+            const mapping = await DiscordServerMapping.findOneAndUpdate(
+                { guildId: guild.id, isActive: true },
+                { $set: { 'botConfig.reviewChannel': channel.id } },
+                { new: true }
+            );
+
+            if (!mapping) {
+                return { success: false, reason: 'not_linked' };
+            }
+
+            await this.botService.auditLogger?.logConfigChange(userId, guild.id, 'task_review', {
+                'botConfig.reviewChannel': channel.id
+            });
+
+            // Submissions made while no channel was set still need a card
+            const waiting = await TaskSubmission.find({ guildId: guild.id, status: 'pending', 'review.messageId': null });
+            let posted = 0;
+            for (const submission of waiting) {
+                if (await this.postForReview(submission)) {
+                    posted++;
+                }
+            }
+
+            return { success: true, posted };
+        } catch (error) {
+            logger.error('Error setting task review channel:', error);
+            return { success: false, reason: 'error' };
+        }
+    }
+
+    /**
+     * Get the configured review channel for a server
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<string|null>} Channel ID
+     */
+    async getReviewChannelId(guildId) {
+        const mapping = await DiscordServerMapping.findOne({ guildId, isActive: true })
+            .select('botConfig.reviewChannel')
+            .lean();
+
+        return mapping?.botConfig?.reviewChannel || null;
+    }
+
+    /**
+     * Check that the member may review submissions, replying when they can't
+     * @private
+     */
+    async checkReviewerPermission(interaction, locale) {
+        const permissionCheck = await this.botService.validateUserPermissions(
+            interaction.guildId,
+            interaction.user.id,
+            this.reviewPermissions
+        );
+
+        if (!permissionCheck.hasPermission) {
+            await interaction.reply({
+                content: t(locale, 'review.noPermission', { reason: permissionCheck.reason }),
+                ephemeral: true
+            });
+        }
+
+        return permissionCheck.hasPermission;
+    }
+
+    describeReviewed(submission, locale) {
+        return t(locale, 'review.alreadyReviewed', {
+            status: t(locale, `review.statuses.${submission.status}`),
+            userId: submission.review?.reviewedBy
+        });
+    }
+
+    isValidUrl(value) {
+        try {
+            const url = new URL(value);
+            return url.protocol === 'https:' || url.protocol === 'http:';
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+module.exports = TaskReviewService;
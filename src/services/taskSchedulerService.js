@@ -0,0 +1,434 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const ScheduledTaskPost = require('../models/scheduledTaskPost');
+const { parseCronExpression, getNextCronDate } = require('../utils/cronSchedule');
+
+/**
+ * Task Scheduler Service
+ * Posts social tasks at a scheduled start time and re-posts recurring tasks
+ * (daily, weekly or on a cron rule). Schedules are persisted in MongoDB so
+ * pending posts survive bot restarts.
+ */
+class TaskSchedulerService {
+    constructor(botService) {
+        this.botService = botService;
+        this.workerId = `scheduler_${process.pid}_${crypto.randomBytes(4).toString('hex')}`;
+
+        this.pollInterval = null;
+        this.pollFrequency = 30000; // 30 seconds
+        this.lockDuration = 5 * 60 * 1000; // 5 minutes
+        this.maxConsecutiveFailures = 3;
+        this.isProcessing = false;
+
+        this.recurrenceIntervals = {
+            daily: 24 * 60 * 60 * 1000,
+            weekly: 7 * 24 * 60 * 60 * 1000
+        };
+
+        this.stats = {
+            postsPublished: 0,
+            postsFailed: 0,
+            lastRun: null
+        };
+    }
+
+    /**
+     * Start polling for due schedules
+     */
+    start() {
+        if (this.pollInterval) {
+            logger.warn('Task scheduler is already running');
+            return;
+        }
+
+        this.pollInterval = setInterval(() => {
+            this.processDueSchedules();
+        }, this.pollFrequency);
+
+        logger.info('Task scheduler started', { workerId: this.workerId });
+    }
+
+    /**
+     * Stop polling for due schedules
+     */
+    stop() {
+        if (this.pollInterval) {
+            clearInterval(this.pollInterval);
+            this.pollInterval = null;
+            logger.info('Task scheduler stopped');
+        }
+    }
+
+    /**
+     * Create a new scheduled task post
+     * @param {Object} taskData - Complete task data (including modal fields)
+     * @param {Object} scheduleOptions - Schedule options
+     * @param {Date} scheduleOptions.startTime - First post time
+     * @param {string} scheduleOptions.recurrence - none, daily, weekly or cron
+     * @param {string} scheduleOptions.cronExpression - Cron rule when recurrence is cron
+     * @param {Date} scheduleOptions.endDate - Optional date after which no more posts are made
+     * @param {Object} discordContext - Discord context (guild, channel, user)
+     * @returns {Promise<Object>} Created schedule
+     */
+    async createSchedule(taskData, scheduleOptions, discordContext) {
+        const recurrence = scheduleOptions.recurrence || 'none';
+        const startTime = scheduleOptions.startTime ? new Date(scheduleOptions.startTime) : new Date();
+
+        if (Number.isNaN(startTime.getTime())) {
+            throw new Error('Invalid start time');
+        }
+
+        if (recurrence === 'cron') {
+            // Throws with a descriptive message when invalid
+            parseCronExpression(scheduleOptions.cronExpression);
+        }
+
+        const nextRunAt = recurrence === 'cron'
+            ? getNextCronDate(scheduleOptions.cronExpression, new Date(startTime.getTime() - 60000))
+            : startTime;
+
+        if (!nextRunAt) {
+            throw new Error('Schedule never runs');
+        }
+
+        const schedule = new ScheduledTaskPost({
+            scheduleId: `sched_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`,
+            guildId: discordContext.guildId,
+            channelId: discordContext.channelId,
+            communityId: taskData.communityId,
+            createdBy: discordContext.userId,
+            taskData: {
+                type: taskData.type,
+                title: taskData.title,
+                description: taskData.description,
+                points: taskData.points,
+                duration: taskData.duration,
+                twitterUsername: taskData.twitterUsername,
+                discordInvite: taskData.discordInvite,
+                telegramLink: taskData.telegramLink,
+                customInstructions: taskData.customInstructions,
+                verificationMethod: taskData.verificationMethod,
+                embedStyle: taskData.embedStyle || undefined
+            },
+            schedule: {
+                startTime,
+                recurrence,
+                cronExpression: recurrence === 'cron' ? scheduleOptions.cronExpression.trim() : undefined,
+                endDate: scheduleOptions.endDate || undefined,
+                maxRuns: scheduleOptions.maxRuns || undefined,
+                nextRunAt
+            }
+        });
+
+        await schedule.save();
+
+        logger.info('Scheduled task post created', {
+            scheduleId: schedule.scheduleId,
+            guildId: schedule.guildId,
+            recurrence,
+            nextRunAt
+        });
+
+        return schedule;
+    }
+
+    /**
+     * List upcoming scheduled posts for a guild
+     * @param {string} guildId - Guild ID
+     * @param {number} limit - Maximum number of schedules
+     * @returns {Promise<Array>} Upcoming schedules
+     */
+    async listUpcoming(guildId, limit = 25) {
+        try {
+            return await ScheduledTaskPost.findUpcomingByGuild(guildId, limit);
+        } catch (error) {
+            logger.error('Error listing scheduled task posts:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Cancel a scheduled post
+     * @param {string} guildId - Guild ID the schedule must belong to
+     * @param {string} scheduleId - Schedule ID
+     * @param {string} userId - User cancelling the schedule
+     * @returns {Promise<Object|null>} Cancelled schedule, or null if not found
+     */
+    async cancelSchedule(guildId, scheduleId, userId) {
+        const schedule = await ScheduledTaskPost.findOne({
+            scheduleId,
+            guildId,
+            status: 'scheduled'
+        });
+
+        if (!schedule) {
+            return null;
+        }
+
+        await schedule.cancel(userId);
+
+        logger.info('Scheduled task post cancelled', { scheduleId, guildId, cancelledBy: userId });
+
+        return schedule;
+    }
+
+    /**
+     * Claim and post every schedule that is due
+     */
+    async processDueSchedules() {
+        if (this.isProcessing) {
+            return;
+        }
+
+        if (!this.botService.client?.isReady?.()) {
+            return;
+        }
+
+        this.isProcessing = true;
+
+        try {
+            // Each shard posts for the guilds whose channels it can reach
+            const guildIds = this.getShardGuildIds();
+            let schedule = await ScheduledTaskPost.claimDueSchedule(this.workerId, this.lockDuration, guildIds);
+
+            while (schedule) {
+                await this.executeSchedule(schedule);
+                schedule = await ScheduledTaskPost.claimDueSchedule(this.workerId, this.lockDuration, guildIds);
+            }
+
+            this.stats.lastRun = new Date();
+        } catch (error) {
+            logger.error('Error processing scheduled task posts:', error);
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    /**
+     * Create and post a single scheduled run, then advance the schedule
+     * @param {Object} schedule - Claimed schedule document
+     */
+    async executeSchedule(schedule) {
+        try {
+            const channel = await this.botService.client.channels.fetch(schedule.channelId);
+            if (!channel) {
+                throw new Error(`Channel ${schedule.channelId} not found`);
+            }
+
+            const { embedStyle, ...scheduledTaskData } = schedule.taskData.toObject();
+            const taskData = {
+                ...scheduledTaskData,
+                communityId: schedule.communityId,
+                guildId: schedule.guildId,
+                userId: schedule.createdBy
+            };
+
+            const discordContext = {
+                guildId: schedule.guildId,
+                channelId: schedule.channelId,
+                userId: schedule.createdBy
+            };
+
+            const createdTask = schedule.pendingTaskId
+                ? await this.loadPendingTask(schedule, discordContext)
+                : await this.createRunTask(schedule, taskData, discordContext);
+
+            const nextRunAt = this.calculateNextRun(schedule);
+
+            const { message } = await this.botService.socialTaskIntegration.postTaskToDiscord(
+                channel,
+                createdTask,
+                {
+                    enableUpdates: true,
+                    embedStyle,
+                    timing: {
+                        startTime: new Date(),
+                        isRecurring: schedule.isRecurring(),
+                        recurringPattern: schedule.schedule.recurrence === 'cron'
+                            ? schedule.schedule.cronExpression
+                            : schedule.schedule.recurrence,
+                        nextRecurrence: nextRunAt
+                    }
+                }
+            );
+
+            schedule.recordRun({
+                status: 'posted',
+                taskId: createdTask.id,
+                messageId: message.id
+            });
+            schedule.pendingTaskId = null;
+            this.advanceSchedule(schedule, nextRunAt);
+            this.stats.postsPublished++;
+
+            logger.info('Scheduled task posted', {
+                scheduleId: schedule.scheduleId,
+                taskId: createdTask.id,
+                nextRunAt: schedule.schedule.nextRunAt
+            });
+
+        } catch (error) {
+            logger.error('Failed to post scheduled task:', {
+                scheduleId: schedule.scheduleId,
+                error: error.message
+            });
+
+            schedule.recordRun({ status: 'failed', taskId: schedule.pendingTaskId || undefined, error: error.message });
+            this.stats.postsFailed++;
+
+            if (schedule.consecutiveFailures >= this.maxConsecutiveFailures) {
+                // Give up on this run: close its unposted task, and let a
+                // recurring schedule carry on with its next occurrence
+                await this.closePendingTask(schedule);
+
+                if (schedule.isRecurring()) {
+                    schedule.consecutiveFailures = 0;
+                    this.advanceSchedule(schedule, this.calculateNextRun(schedule));
+                } else {
+                    schedule.status = 'failed';
+                    schedule.schedule.nextRunAt = null;
+                }
+            } else {
+                // Retry after one poll cycle without advancing the recurrence
+                schedule.schedule.nextRunAt = new Date(Date.now() + this.pollFrequency);
+            }
+        }
+
+        schedule.lock = { lockedBy: null, lockedUntil: null };
+
+        try {
+            await schedule.save();
+        } catch (saveError) {
+            logger.error('Failed to save scheduled task state:', saveError);
+        }
+    }
+
+    /**
+     * Create the Naffles task for a run and remember it before posting, so a
+     * failed post is retried without creating the task again
+     * @private
+     */
+    async createRunTask(schedule, taskData, discordContext) {
+        const createdTask = await this.botService.socialTaskIntegration.createSocialTask(taskData, discordContext);
+
+        schedule.pendingTaskId = createdTask.id;
+        await schedule.save();
+
+        return createdTask;
+    }
+
+    /**
+     * Load the task created by an earlier attempt at this run
+     * @private
+     */
+    async loadPendingTask(schedule, discordContext) {
+        const task = await this.botService.socialTaskIntegration.getTaskDetails(schedule.pendingTaskId);
+        if (!task) {
+            throw new Error(`Task ${schedule.pendingTaskId} could not be loaded`);
+        }
+
+        return {
+            ...task,
+            discordIntegration: {
+                guildId: discordContext.guildId,
+                channelId: discordContext.channelId,
+                createdBy: discordContext.userId
+            }
+        };
+    }
+
+    /**
+     * Expire the Naffles task of a run that was never posted
+     * @private
+     */
+    async closePendingTask(schedule) {
+        if (!schedule.pendingTaskId) {
+            return;
+        }
+
+        try {
+            await this.botService.makeNafflesApiCall(
+                `/api/social-tasks/${schedule.pendingTaskId}/status`,
+                'PATCH',
+                { status: 'expired' }
+            );
+        } catch (error) {
+            logger.warn('Failed to close unposted scheduled task:', {
+                scheduleId: schedule.scheduleId,
+                taskId: schedule.pendingTaskId,
+                error: error.message
+            });
+        }
+
+        schedule.pendingTaskId = null;
+    }
+
+    /**
+     * Move a schedule to its next run, or mark it completed
+     * @private
+     */
+    advanceSchedule(schedule, nextRunAt) {
+        const { endDate, maxRuns, runCount } = schedule.schedule;
+        const reachedMaxRuns = maxRuns && runCount >= maxRuns;
+        const pastEndDate = nextRunAt && endDate && nextRunAt > endDate;
+
+        if (!nextRunAt || reachedMaxRuns || pastEndDate) {
+            schedule.status = 'completed';
+            schedule.schedule.nextRunAt = null;
+            return;
+        }
+
+        schedule.schedule.nextRunAt = nextRunAt;
+    }
+
+    /**
+     * Calculate the next run after the schedule's current run
+     * @param {Object} schedule - Schedule document
+     * @returns {Date|null} Next run, or null for one-off schedules
+     */
+    calculateNextRun(schedule) {
+        const { recurrence, cronExpression, nextRunAt } = schedule.schedule;
+        const now = new Date();
+
+        if (recurrence === 'cron') {
+            return getNextCronDate(cronExpression, now);
+        }
+
+        const interval = this.recurrenceIntervals[recurrence];
+        if (!interval) {
+            return null;
+        }
+
+        // Skip runs missed while the bot was offline instead of posting them all at once
+        let next = new Date(new Date(nextRunAt).getTime() + interval);
+        while (next <= now) {
+            next = new Date(next.getTime() + interval);
+        }
+
+        return next;
+    }
+
+    /**
+     * Guilds on this shard, or null when not sharded
+     * @private
+     */
+    getShardGuildIds() {
+        return this.botService.shardCoordinator?.isSharded?.()
+            ? Array.from(this.botService.client.guilds.cache.keys())
+            : null;
+    }
+
+    /**
+     * Get scheduler statistics
+     * @returns {Object} Scheduler statistics
+     */
+    getStatistics() {
+        return {
+            ...this.stats,
+            workerId: this.workerId,
+            isRunning: this.pollInterval !== null
+        };
+    }
+}
+
+module.exports = TaskSchedulerService;
@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const TaskTemplate = require('../models/taskTemplate');
+
+/**
+ * Task Template Service
+ * Stores reusable task definitions per Naffles community so moderators of any
+ * linked server can re-post common tasks without retyping every field.
+ */
+class TaskTemplateService {
+    constructor(botService) {
+        this.botService = botService;
+        this.maxTemplatesPerCommunity = 50;
+
+        this.requirementFields = {
+            twitter_follow: ['twitterUsername'],
+            discord_join: ['discordInvite'],
+            telegram_join: ['telegramLink'],
+            custom: ['customInstructions', 'verificationMethod']
+        };
+    }
+
+    /**
+     * Save a template, replacing any existing template with the same name
+     * @param {string} communityId - Naffles community ID
+     * @param {string} name - Template name
+     * @param {Object} templateData - Task fields, requirements and embed style
+     * @param {Object} discordContext - Discord context (guild, user)
+     * @returns {Promise<Object>} { template, created }
+     */
+    async saveTemplate(communityId, name, templateData, discordContext) {
+        const { taskData, requirements = {}, embedStyle = {} } = templateData;
+
+        if (!this.requirementFields[taskData.type]) {
+            throw new Error(`Unsupported task type: ${taskData.type}`);
+        }
+
+        // Only keep the requirements that apply to the template's task type
+        const filteredRequirements = {};
+        for (const field of this.requirementFields[taskData.type]) {
+            if (requirements[field]) {
+                filteredRequirements[field] = requirements[field];
+            }
+        }
+
+        let template = await TaskTemplate.findByName(communityId, name);
+        const created = !template;
+
+        if (created) {
+            const templateCount = await TaskTemplate.countDocuments({ communityId });
+            if (templateCount >= this.maxTemplatesPerCommunity) {
+                throw new Error(`Template limit reached (${this.maxTemplatesPerCommunity} per community)`);
+            }
+
+            template = new TaskTemplate({
+                templateId: `tmpl_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`,
+                communityId,
+                name: name.trim(),
+                createdBy: discordContext.userId,
+                createdInGuild: discordContext.guildId
+            });
+        }
+
+        template.taskData = {
+            type: taskData.type,
+            title: taskData.title,
+            description: taskData.description,
+            points: taskData.points,
+            duration: taskData.duration
+        };
+        template.requirements = filteredRequirements;
+        template.embedStyle = {
+            color: embedStyle.color ?? undefined,
+            thumbnailUrl: embedStyle.thumbnailUrl || undefined
+        };
+        template.updatedBy = discordContext.userId;
+
+        await template.save();
+
+        logger.info(`Task template ${created ? 'created' : 'updated'}`, {
+            templateId: template.templateId,
+            communityId,
+            guildId: discordContext.guildId
+        });
+
+        return { template, created };
+    }
+
+    /**
+     * List a community's templates, most used first
+     * @param {string} communityId - Naffles community ID
+     * @returns {Promise<Array>} Templates
+     */
+    async listTemplates(communityId) {
+        try {
+            return await TaskTemplate.findByCommunity(communityId, this.maxTemplatesPerCommunity);
+        } catch (error) {
+            logger.error('Error listing task templates:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get a template by name
+     * @param {string} communityId - Naffles community ID
+     * @param {string} name - Template name (case-insensitive)
+     * @returns {Promise<Object|null>} Template
+     */
+    async getTemplate(communityId, name) {
+        return await TaskTemplate.findByName(communityId, name);
+    }
+
+    /**
+     * Delete a template by name
+     * @param {string} communityId - Naffles community ID
+     * @param {string} name - Template name (case-insensitive)
+     * @returns {Promise<Object|null>} Deleted template, or null if not found
+     */
+    async deleteTemplate(communityId, name) {
+        const template = await TaskTemplate.findOneAndDelete({
+            communityId,
+            nameKey: name.trim().toLowerCase()
+        });
+
+        if (template) {
+            logger.info('Task template deleted', { templateId: template.templateId, communityId });
+        }
+
+        return template;
+    }
+
+    /**
+     * Build the pending task-creation data for a template
+     * @param {Object} template - Template document
+     * @param {Object} context - Guild, user and community the task is created for
+     * @returns {Object} Task data in the shape CreateTaskCommand stores
+     */
+    buildTaskData(template, context) {
+        const { color, thumbnailUrl } = template.embedStyle || {};
+        const hasEmbedStyle = (color !== undefined && color !== null) || Boolean(thumbnailUrl);
+
+        return {
+            type: template.taskData.type,
+            title: template.taskData.title,
+            description: template.taskData.description,
+            points: template.taskData.points,
+            duration: template.taskData.duration || 168,
+            guildId: context.guildId,
+            userId: context.userId,
+            communityId: context.communityId,
+            templateId: template.templateId,
+            schedule: null,
+            embedStyle: hasEmbedStyle ? { color, thumbnailUrl } : null
+        };
+    }
+
+    /**
+     * Record that a task was created from a template
+     * @param {string} templateId - Template ID
+     */
+    async recordUsage(templateId) {
+        try {
+            await TaskTemplate.recordUsage(templateId);
+        } catch (error) {
+            logger.warn('Failed to record task template usage:', error.message);
+        }
+    }
+}
+
+module.exports = TaskTemplateService;
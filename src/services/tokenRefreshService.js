@@ -0,0 +1,177 @@
+const logger = require('../utils/logger');
+const DiscordAccountLink = require('../models/discordAccountLink');
+const { getKeyring } = require('../utils/tokenEncryption');
+
+/**
+ * Token Refresh Service
+ * Renews linked accounts' Discord OAuth tokens before they expire. A link
+ * whose refresh is rejected (revoked or invalid grant), or keeps failing, is
+ * flagged `needsRelink` and skipped until the user links again.
+ */
+class TokenRefreshService {
+    constructor(botService) {
+        this.botService = botService;
+
+        this.refreshInterval = null;
+        this.checkFrequency = 60 * 60 * 1000; // 1 hour
+        this.refreshLead = (parseInt(process.env.TOKEN_REFRESH_LEAD_HOURS, 10) || 24) * 60 * 60 * 1000;
+        this.batchSize = 100;
+        this.maxFailures = 5;
+        this.isRefreshing = false;
+
+        this.stats = {
+            tokensRefreshed: 0,
+            refreshFailures: 0,
+            linksFlagged: 0,
+            lastRun: null
+        };
+    }
+
+    /**
+     * Start the background refresh job
+     */
+    start() {
+        if (this.refreshInterval) {
+            logger.warn('Token refresh job is already running');
+            return;
+        }
+
+        this.refreshInterval = setInterval(() => {
+            this.processRefreshes();
+        }, this.checkFrequency);
+
+        logger.info('Token refresh job started');
+    }
+
+    /**
+     * Stop the refresh job
+     */
+    stop() {
+        if (this.refreshInterval) {
+            clearInterval(this.refreshInterval);
+            this.refreshInterval = null;
+            logger.info('Token refresh job stopped');
+        }
+    }
+
+    /**
+     * Refresh tokens that expire within the lead time. Runs on one shard.
+     * @returns {Promise<Object>} { refreshed, failed, flagged }
+     */
+    async processRefreshes() {
+        const result = { refreshed: 0, failed: 0, flagged: 0 };
+
+        if (this.isRefreshing || !this.isDatabaseAvailable()) {
+            return result;
+        }
+
+        const coordinator = this.botService.shardCoordinator;
+        if (coordinator && !(await coordinator.claimJob('oauth_token_refresh', this.checkFrequency * 2))) {
+            return result;
+        }
+
+        this.isRefreshing = true;
+
+        try {
+            if (!getKeyring().activeKeyId) {
+                logger.warn('DISCORD_TOKEN_ENCRYPTION_KEYS is not set; skipping OAuth token refresh');
+                return result;
+            }
+
+            const links = await DiscordAccountLink.findExpiredTokens(this.refreshLead, { refreshable: true })
+                .limit(this.batchSize);
+
+            for (const link of links) {
+                const outcome = await this.refreshLink(link);
+                result[outcome]++;
+            }
+
+            this.stats.lastRun = new Date();
+
+            if (links.length > 0) {
+                logger.info('Token refresh run completed', result);
+            }
+        } catch (error) {
+            logger.error('Error refreshing OAuth tokens:', error);
+        } finally {
+            this.isRefreshing = false;
+        }
+
+        return result;
+    }
+
+    /**
+     * Refresh one link's tokens
+     * @param {Object} link - DiscordAccountLink document
+     * @returns {Promise<string>} 'refreshed', 'failed' (will retry) or 'flagged'
+     */
+    async refreshLink(link) {
+        const { refreshToken } = link.getDecryptedTokens();
+
+        if (!refreshToken) {
+            // Encrypted under a key that is no longer configured
+            return await this.recordFailure(link, 'Refresh token could not be decrypted', true);
+        }
+
+        try {
+            const tokenData = await this.botService.communityLinking.refreshAccessToken(refreshToken);
+            await link.updateTokens(tokenData);
+
+            this.stats.tokensRefreshed++;
+            return 'refreshed';
+
+        } catch (error) {
+            const status = error.response?.status;
+            const message = error.response?.data?.error || error.message;
+
+            // Discord answers a revoked or invalid grant with 400/401
+            return await this.recordFailure(link, message, status === 400 || status === 401);
+        }
+    }
+
+    /**
+     * @private
+     */
+    async recordFailure(link, message, permanent) {
+        const flag = permanent || (link.oauthTokens.refreshFailures || 0) + 1 >= this.maxFailures;
+
+        await link.recordRefreshFailure(message, flag);
+        this.stats.refreshFailures++;
+
+        if (flag) {
+            this.stats.linksFlagged++;
+            logger.warn('OAuth token refresh failed permanently; account must be linked again', {
+                discordId: link.discordId,
+                error: message
+            });
+            return 'flagged';
+        }
+
+        logger.warn('OAuth token refresh failed; will retry', {
+            discordId: link.discordId,
+            attempt: link.oauthTokens.refreshFailures,
+            error: message
+        });
+        return 'failed';
+    }
+
+    /**
+     * @private
+     */
+    isDatabaseAvailable() {
+        return Boolean(this.botService?.db?.isHealthy?.());
+    }
+
+    /**
+     * Get token refresh statistics
+     * @returns {Object} Token refresh statistics
+     */
+    getStatistics() {
+        return {
+            ...this.stats,
+            isRunning: this.refreshInterval !== null
+        };
+    }
+}
+
+module.exports = TokenRefreshService;
@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const NafflesApiTwitterProvider = require('./verifiers/nafflesApiTwitterProvider');
+const SignedProofTwitterProvider = require('./verifiers/signedProofTwitterProvider');
+const StubTwitterProvider = require('./verifiers/stubTwitterProvider');
+
+/**
+ * Twitter Verification Service
+ * Single entry point for Twitter/X follow checks used by social tasks and
+ * allowlist requirements. The answer comes from a pluggable provider
+ * (TWITTER_VERIFIER_PROVIDER); every result gets a verification ID and an
+ * expiry, is cached in Redis until it expires and is written to the audit log.
+ */
+class TwitterVerificationService {
+    constructor(botService, options = {}) {
+        this.botService = botService;
+
+        this.positiveTTL = options.positiveTTL || parseInt(process.env.TWITTER_VERIFY_CACHE_TTL, 10) || 3600; // 1 hour
+        this.negativeTTL = options.negativeTTL || 60; // Let users retry soon after following
+
+        this.providers = new Map();
+        this.registerProvider(new NafflesApiTwitterProvider(botService));
+        this.registerProvider(new SignedProofTwitterProvider(botService));
+        this.registerProvider(new StubTwitterProvider());
+
+        this.defaultProvider = options.provider || process.env.TWITTER_VERIFIER_PROVIDER || 'naffles_api';
+    }
+
+    /**
+     * Register a follow provider, replacing any provider with the same name
+     * @param {TwitterFollowProvider} provider - Provider instance
+     */
+    registerProvider(provider) {
+        this.providers.set(provider.name, provider);
+    }
+
+    /**
+     * Get a registered provider
+     * @param {string} name - Provider name (defaults to the configured one)
+     * @returns {TwitterFollowProvider} Provider
+     */
+    getProvider(name = this.defaultProvider) {
+        const provider = this.providers.get(name);
+        if (!provider) {
+            throw new Error(`Unknown Twitter verification provider: ${name}`);
+        }
+        return provider;
+    }
+
+    /**
+     * Verify that a user follows a Twitter account
+     * @param {Object} request - { nafflesUserId, discordId, guildId, targetUsername, taskId, source, proof, provider }
+     * @returns {Promise<Object>} { verified, reason, data, provider, verificationId, verifiedAt, expiresAt, cached }
+     * @throws When the provider could not reach an answer
+     */
+    async verifyFollow(request) {
+        const provider = this.getProvider(request.provider);
+        const normalized = {
+            ...request,
+            targetUsername: this.normalizeUsername(request.targetUsername)
+        };
+
+        if (!normalized.targetUsername) {
+            return this.buildResult(provider, { verified: false, reason: 'missing_target', data: null }, 0);
+        }
+
+        const cacheKey = this.getCacheKey(provider.name, normalized);
+
+        // A submitted proof is always checked rather than answered from cache
+        if (!normalized.proof) {
+            const cached = await this.getCachedResult(cacheKey);
+            if (cached) {
+                const result = { ...cached, cached: true };
+                await this.audit(normalized, result);
+                return result;
+            }
+        }
+
+        let answer;
+        try {
+            answer = await provider.verifyFollow(normalized);
+        } catch (error) {
+            logger.error(`Twitter follow check via ${provider.name} failed:`, error);
+            await this.audit(normalized, {
+                verified: false,
+                reason: 'provider_error',
+                provider: provider.name,
+                error: error.message
+            });
+            throw error;
+        }
+
+        const result = this.buildResult(provider, answer, answer.verified ? this.positiveTTL : this.negativeTTL);
+        const ttl = Math.floor((new Date(result.expiresAt).getTime() - Date.now()) / 1000);
+
+        if (ttl > 0) {
+            try {
+                await this.botService.redis.set(cacheKey, result, ttl);
+            } catch (error) {
+                logger.warn('Error caching Twitter follow result:', error);
+            }
+        }
+
+        await this.audit(normalized, result);
+        return result;
+    }
+
+    /**
+     * Build a time-limited result from a provider answer
+     * @private
+     */
+    buildResult(provider, answer, ttlSeconds) {
+        const verifiedAt = new Date();
+        let expiresAt = new Date(verifiedAt.getTime() + ttlSeconds * 1000);
+
+        if (answer.expiresAt && new Date(answer.expiresAt) < expiresAt) {
+            expiresAt = new Date(answer.expiresAt);
+        }
+
+        return {
+            verified: answer.verified === true,
+            reason: answer.reason || (answer.verified ? 'follow_confirmed' : 'follow_not_detected'),
+            data: answer.data || null,
+            provider: provider.name,
+            verificationId: crypto.randomUUID(),
+            verifiedAt,
+            expiresAt,
+            cached: false
+        };
+    }
+
+    /**
+     * Read a cached result that has not expired yet
+     * @private
+     */
+    async getCachedResult(cacheKey) {
+        try {
+            const cached = await this.botService.redis.get(cacheKey);
+            if (!cached) {
+                return null;
+            }
+
+            // Dates come back from Redis as strings
+            const result = { ...cached, verifiedAt: new Date(cached.verifiedAt), expiresAt: new Date(cached.expiresAt) };
+            return result.expiresAt > new Date() ? result : null;
+        } catch (error) {
+            logger.warn('Error reading cached Twitter follow result:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Record a follow check in the audit log
+     * @private
+     */
+    async audit(request, result) {
+        const action = result.reason === 'provider_error'
+            ? 'twitter_follow_error'
+            : result.verified ? 'twitter_follow_verified' : 'twitter_follow_not_verified';
+
+        await this.botService.auditLogger?.logSocialVerification(request.discordId || request.nafflesUserId, request.guildId, action, {
+            verificationId: result.verificationId || null,
+            provider: result.provider,
+            nafflesUserId: request.nafflesUserId,
+            targetUsername: request.targetUsername,
+            taskId: request.taskId,
+            source: request.source,
+            reason: result.reason,
+            cached: result.cached === true,
+            expiresAt: result.expiresAt || null,
+            error: result.error
+        });
+    }
+
+    getCacheKey(providerName, request) {
+        return `twitter_follow:${providerName}:${request.nafflesUserId || request.discordId}:${request.targetUsername}`;
+    }
+
+    normalizeUsername(username) {
+        return String(username || '').trim().replace(/^@/, '').toLowerCase();
+    }
+}
+
+module.exports = TwitterVerificationService;
@@ -0,0 +1,454 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const logger = require('../utils/logger');
+const AccountLink = require('../models/accountLink');
+const AllowlistEntryRisk = require('../models/allowlistEntryRisk');
+const AuditLogEntry = require('../models/auditLogEntry');
+const DiscordAccountLink = require('../models/discordAccountLink');
+const DiscordAllowlistConnection = require('../models/discordAllowlistConnection');
+const DiscordInteractionLog = require('../models/discordInteractionLog');
+const DiscordTaskPost = require('../models/discordTaskPost');
+const InteractionLog = require('../models/interactionLog');
+const ModerationAction = require('../models/moderationAction');
+const RoleRewardGrant = require('../models/roleRewardGrant');
+const ScheduledTaskPost = require('../models/scheduledTaskPost');
+const TaskPost = require('../models/taskPost');
+const TaskSubmission = require('../models/taskSubmission');
+const TaskTemplate = require('../models/taskTemplate');
+
+const ERASED = '[erased]';
+
+/**
+ * Replace a user ID in arrays of IDs. `$[]` marks a nested array, e.g.
+ * 'engagement.reactions.$[].users'.
+ * @returns {Promise<number>} Documents changed
+ */
+async function replaceIdInArrays(model, paths, discordId, pseudonym) {
+    let modified = 0;
+
+    for (const path of paths) {
+        const result = await model.updateMany(
+            { [path.replace('.$[]', '')]: discordId },
+            { $set: { [`${path}.$[id]`]: pseudonym } },
+            { arrayFilters: [{ id: discordId }] }
+        );
+        modified += result.modifiedCount;
+    }
+
+    return modified;
+}
+
+/**
+ * Overwrite fields of the user's entries in an array of subdocuments
+ * @returns {Promise<number>} Documents changed
+ */
+async function pseudonymizeArrayEntries(model, path, idField, discordId, fields) {
+    const update = {};
+    for (const [field, value] of Object.entries(fields)) {
+        update[`${path}.$[entry].${field}`] = value;
+    }
+
+    const result = await model.updateMany(
+        { [`${path}.${idField}`]: discordId },
+        { $set: update },
+        { arrayFilters: [{ [`entry.${idField}`]: discordId }] }
+    );
+    return result.modifiedCount;
+}
+
+async function pullComments(model, discordId) {
+    const result = await model.updateMany(
+        { 'engagement.comments.userId': discordId },
+        { $pull: { 'engagement.comments': { userId: discordId } } }
+    );
+    return result.modifiedCount;
+}
+
+const ownComments = (record, discordId) =>
+    (record.engagement?.comments || []).filter(comment => comment.userId === discordId);
+
+/**
+ * Everything stored about a Discord user, in archive order. Each source
+ * finds the user's records, shapes them for the archive, and erases them:
+ * records that feed analytics keep their counts and get a pseudonym in place
+ * of the user ID; free text, usernames, IPs and tokens are removed.
+ */
+const DATA_SOURCES = [
+    {
+        key: 'accountLinks',
+        model: DiscordAccountLink,
+        query: discordId => ({ discordId }),
+        // Tokens are credentials, not personal data to hand out
+        toArchive: ({ oauthTokens, linkingData, ...link }) => ({
+            ...link,
+            linkingData: { ...linkingData, verificationToken: undefined },
+            oauthTokens: oauthTokens && { scope: oauthTokens.scope, expiresAt: oauthTokens.expiresAt, needsRelink: oauthTokens.needsRelink }
+        }),
+        erase: async (discordId, pseudonym) => {
+            // Activity stats stay for totals; the link itself is gone
+            const result = await DiscordAccountLink.updateMany({ discordId }, {
+                $set: {
+                    discordId: pseudonym,
+                    nafflesUserId: pseudonym,
+                    discordUserInfo: { username: ERASED },
+                    nafflesUserInfo: { username: ERASED },
+                    'status.isActive': false,
+                    'securityData.suspiciousActivityFlags': [],
+                    auditLog: []
+                },
+                $unset: {
+                    oauthTokens: 1,
+                    'linkingData.ipAddress': 1,
+                    'linkingData.userAgent': 1,
+                    'linkingData.verificationToken': 1
+                }
+            });
+            return { pseudonymized: result.modifiedCount };
+        }
+    },
+    {
+        key: 'legacyAccountLinks',
+        model: AccountLink,
+        query: discordId => ({ discordId }),
+        erase: async (discordId) => {
+            const result = await AccountLink.deleteMany({ discordId });
+            return { deleted: result.deletedCount };
+        }
+    },
+    {
+        key: 'interactionLogs',
+        model: DiscordInteractionLog,
+        query: discordId => ({ userId: discordId }),
+        erase: async (discordId, pseudonym) => {
+            const result = await DiscordInteractionLog.updateMany({ userId: discordId }, {
+                $set: { userId: pseudonym, userInfo: { username: ERASED } },
+                $unset: { requestData: 1, 'context.ipAddress': 1, 'context.userAgent': 1 }
+            });
+            return { pseudonymized: result.modifiedCount };
+        }
+    },
+    {
+        key: 'legacyInteractionLogs',
+        model: InteractionLog,
+        query: discordId => ({ userId: discordId }),
+        erase: async (discordId, pseudonym) => {
+            const result = await InteractionLog.updateMany({ userId: discordId }, {
+                $set: { userId: pseudonym, username: ERASED },
+                $unset: { 'metadata.ipAddress': 1, 'metadata.userAgent': 1 }
+            });
+            return { pseudonymized: result.modifiedCount };
+        }
+    },
+    {
+        key: 'taskPosts',
+        model: DiscordTaskPost,
+        query: discordId => ({ 'creationData.createdBy': discordId }),
+        toArchive: ({ taskId, guildId, channelId, creationData, taskData, timing, createdAt }) =>
+            ({ taskId, guildId, channelId, creationData, taskData, timing, createdAt }),
+        erase: async (discordId, pseudonym) => {
+            const result = await DiscordTaskPost.updateMany(
+                { 'creationData.createdBy': discordId },
+                { $set: { 'creationData.createdBy': pseudonym } }
+            );
+            await pseudonymizeArrayEntries(DiscordTaskPost, 'auditLog', 'performedBy', discordId, {
+                performedBy: pseudonym,
+                ipAddress: null,
+                userAgent: null
+            });
+            return { pseudonymized: result.modifiedCount };
+        }
+    },
+    {
+        key: 'taskEngagement',
+        model: DiscordTaskPost,
+        query: discordId => ({
+            $or: [
+                { 'engagement.participantIds': discordId },
+                { 'engagement.completedByIds': discordId },
+                { 'engagement.viewedByIds': discordId },
+                { 'engagement.comments.userId': discordId }
+            ]
+        }),
+        toArchive: (post, discordId) => ({
+            taskId: post.taskId,
+            guildId: post.guildId,
+            title: post.taskData?.title,
+            participated: (post.engagement?.participantIds || []).includes(discordId),
+            completed: (post.engagement?.completedByIds || []).includes(discordId),
+            viewed: (post.engagement?.viewedByIds || []).includes(discordId),
+            comments: ownComments(post, discordId)
+        }),
+        erase: async (discordId, pseudonym) => {
+            const pseudonymized = await replaceIdInArrays(DiscordTaskPost, [
+                'engagement.participantIds',
+                'engagement.completedByIds',
+                'engagement.viewedByIds',
+                'engagement.reactions.$[].users'
+            ], discordId, pseudonym);
+            return { pseudonymized, deleted: await pullComments(DiscordTaskPost, discordId) };
+        }
+    },
+    {
+        key: 'legacyTaskPosts',
+        model: TaskPost,
+        query: discordId => ({ createdBy: discordId }),
+        erase: async (discordId, pseudonym) => {
+            const result = await TaskPost.updateMany({ createdBy: discordId }, { $set: { createdBy: pseudonym } });
+            return { pseudonymized: result.modifiedCount };
+        }
+    },
+    {
+        key: 'scheduledTaskPosts',
+        model: ScheduledTaskPost,
+        query: discordId => ({ createdBy: discordId }),
+        erase: async (discordId, pseudonym) => {
+            const result = await ScheduledTaskPost.updateMany({ createdBy: discordId }, { $set: { createdBy: pseudonym } });
+            return { pseudonymized: result.modifiedCount };
+        }
+    },
+    {
+        key: 'taskTemplates',
+        model: TaskTemplate,
+        query: discordId => ({ $or: [{ createdBy: discordId }, { updatedBy: discordId }] }),
+        erase: async (discordId, pseudonym) => {
+            // Templates are shared by the community, so they stay under the pseudonym
+            const created = await TaskTemplate.updateMany({ createdBy: discordId }, { $set: { createdBy: pseudonym } });
+            const updated = await TaskTemplate.updateMany({ updatedBy: discordId }, { $set: { updatedBy: pseudonym } });
+            return { pseudonymized: created.modifiedCount + updated.modifiedCount };
+        }
+    },
+    {
+        key: 'taskSubmissions',
+        model: TaskSubmission,
+        query: discordId => ({ discordId }),
+        erase: async (discordId, pseudonym) => {
+            const result = await TaskSubmission.updateMany({ discordId }, {
+                $set: { discordId: pseudonym, nafflesUserId: pseudonym, discordUsername: ERASED },
+                $unset: { proof: 1 }
+            });
+            return { pseudonymized: result.modifiedCount };
+        }
+    },
+    {
+        key: 'allowlistEntries',
+        model: AllowlistEntryRisk,
+        query: discordId => ({ discordId }),
+        erase: async (discordId, pseudonym) => {
+            // Scores and decisions stay for risk analytics
+            const result = await AllowlistEntryRisk.updateMany({ discordId }, {
+                $set: { discordId: pseudonym, nafflesUserId: pseudonym, entryData: null },
+                $unset: { 'signals.$[].detail': 1 }
+            });
+            return { pseudonymized: result.modifiedCount };
+        }
+    },
+    {
+        key: 'allowlistParticipation',
+        model: DiscordAllowlistConnection,
+        query: discordId => ({
+            $or: [
+                { 'engagement.entrantIds': discordId },
+                { 'engagement.viewerIds': discordId },
+                { 'engagement.interestedIds': discordId },
+                { 'engagement.comments.userId': discordId },
+                { 'entryManagement.entryQueue.userId': discordId },
+                { 'entryManagement.waitingList.userId': discordId },
+                { 'winnerData.winners.discordId': discordId }
+            ]
+        }),
+        toArchive: (connection, discordId) => ({
+            allowlistId: connection.allowlistId,
+            guildId: connection.guildId,
+            title: connection.allowlistData?.title,
+            entered: (connection.engagement?.entrantIds || []).includes(discordId),
+            viewed: (connection.engagement?.viewerIds || []).includes(discordId),
+            comments: ownComments(connection, discordId),
+            entryQueue: (connection.entryManagement?.entryQueue || []).filter(entry => entry.userId === discordId),
+            waitingList: (connection.entryManagement?.waitingList || []).filter(entry => entry.userId === discordId),
+            winner: (connection.winnerData?.winners || []).find(winner => winner.discordId === discordId) || null
+        }),
+        erase: async (discordId, pseudonym) => {
+            const Model = DiscordAllowlistConnection;
+            const pseudonymized = await replaceIdInArrays(Model, [
+                'engagement.entrantIds',
+                'engagement.viewerIds',
+                'engagement.interestedIds',
+                'engagement.reactions.$[].users'
+            ], discordId, pseudonym) +
+                await pseudonymizeArrayEntries(Model, 'entryManagement.entryQueue', 'userId', discordId, {
+                    userId: pseudonym, username: ERASED, verificationData: null
+                }) +
+                await pseudonymizeArrayEntries(Model, 'entryManagement.waitingList', 'userId', discordId, {
+                    userId: pseudonym, username: ERASED
+                }) +
+                await pseudonymizeArrayEntries(Model, 'entryManagement.duplicateAttempts', 'userId', discordId, {
+                    userId: pseudonym, ipAddress: null
+                }) +
+                await pseudonymizeArrayEntries(Model, 'entryManagement.fraudulentAttempts', 'userId', discordId, {
+                    userId: pseudonym
+                }) +
+                await pseudonymizeArrayEntries(Model, 'winnerData.winners', 'discordId', discordId, {
+                    discordId: pseudonym, userId: pseudonym, username: ERASED
+                }) +
+                await pseudonymizeArrayEntries(Model, 'auditLog', 'performedBy', discordId, {
+                    performedBy: pseudonym, ipAddress: null, userAgent: null
+                });
+            return { pseudonymized, deleted: await pullComments(Model, discordId) };
+        }
+    },
+    {
+        key: 'auditEntries',
+        model: AuditLogEntry,
+        query: discordId => ({ userId: discordId }),
+        toArchive: entry => AuditLogEntry.toAuditLog(entry),
+        erase: async (discordId, pseudonym) => ({ pseudonymized: await AuditLogEntry.redactUser(discordId, pseudonym) })
+    },
+    {
+        key: 'moderationActions',
+        model: ModerationAction,
+        query: discordId => ({ userId: discordId }),
+        erase: async (discordId, pseudonym) => {
+            const result = await ModerationAction.updateMany({ userId: discordId }, {
+                $set: { userId: pseudonym },
+                $unset: { 'trigger.details': 1 }
+            });
+            return { pseudonymized: result.modifiedCount };
+        }
+    },
+    {
+        key: 'roleRewardGrants',
+        model: RoleRewardGrant,
+        query: discordId => ({ userId: discordId }),
+        erase: async (discordId, pseudonym) => {
+            const result = await RoleRewardGrant.updateMany({ userId: discordId }, { $set: { userId: pseudonym } });
+            return { pseudonymized: result.modifiedCount };
+        }
+    }
+];
+
+/**
+ * User Data Service
+ * Answers data subject requests for one Discord user: builds an archive of
+ * everything stored about them, or erases it. Used by `/naffles-account`
+ * and the `user:export` / `user:erase` CLI commands.
+ */
+class UserDataService {
+    constructor() {
+        this.stats = {
+            exports: 0,
+            erasures: 0
+        };
+    }
+
+    /**
+     * Count the user's records in each source
+     * @param {string} discordId - Discord user ID
+     * @returns {Promise<Object>} { [source]: count }
+     */
+    async countRecords(discordId) {
+        const counts = {};
+
+        for (const source of DATA_SOURCES) {
+            counts[source.key] = await source.model.countDocuments(source.query(discordId));
+        }
+
+        return counts;
+    }
+
+    /**
+     * Gather everything stored about a user
+     * @param {string} discordId - Discord user ID
+     * @returns {Promise<Object>} Archive, one key per source
+     */
+    async collect(discordId) {
+        const archive = {
+            subject: { discordId, generatedAt: new Date().toISOString() }
+        };
+
+        for (const source of DATA_SOURCES) {
+            const records = await source.model.find(source.query(discordId)).lean();
+            archive[source.key] = source.toArchive
+                ? records.map(record => source.toArchive(record, discordId))
+                : records;
+        }
+
+        return archive;
+    }
+
+    /**
+     * Build a downloadable archive of a user's data
+     * @param {string} discordId - Discord user ID
+     * @returns {Promise<Object>} { name, buffer (gzipped JSON), counts }
+     */
+    async createExport(discordId) {
+        const archive = await this.collect(discordId);
+        const counts = Object.fromEntries(DATA_SOURCES.map(source => [source.key, archive[source.key].length]));
+
+        this.stats.exports++;
+        logger.info('User data export created', { counts });
+
+        return {
+            name: `naffles-user-data-${discordId}.json.gz`,
+            buffer: zlib.gzipSync(Buffer.from(JSON.stringify(archive, null, 2))),
+            counts
+        };
+    }
+
+    /**
+     * Find enforcement still in force against a user. Links, moderation
+     * actions and risk decisions are matched by Discord ID, so erasing them
+     * would lift the enforcement; members can't erase their own data while
+     * any applies, and operators decide from the CLI.
+     * @param {string} discordId - Discord user ID
+     * @returns {Promise<Array<string>>} Sources with enforcement in force
+     */
+    async findEnforcement(discordId) {
+        const checks = {
+            accountLinks: DiscordAccountLink.exists({ discordId, 'status.isSuspended': true }),
+            moderationActions: ModerationAction.exists({ userId: discordId, status: 'active' }),
+            allowlistEntries: AllowlistEntryRisk.exists({ discordId, decision: { $in: ['held', 'rejected', 'denied'] } })
+        };
+
+        const found = [];
+        for (const [key, check] of Object.entries(checks)) {
+            if (await check) {
+                found.push(key);
+            }
+        }
+
+        return found;
+    }
+
+    /**
+     * Erase a user's data. Records used for analytics are pseudonymized with
+     * a random ID shared by all of them, so per-user counts stay correct
+     * without pointing back to the user; the rest is deleted.
+     * @param {string} discordId - Discord user ID
+     * @returns {Promise<Object>} { pseudonym, results: { [source]: { pseudonymized, deleted } } }
+     */
+    async erase(discordId) {
+        const pseudonym = `erased_${crypto.randomBytes(8).toString('hex')}`;
+        const results = {};
+
+        for (const source of DATA_SOURCES) {
+            results[source.key] = { pseudonymized: 0, deleted: 0, ...await source.erase(discordId, pseudonym) };
+        }
+
+        this.stats.erasures++;
+        logger.info('User data erased', { pseudonym, results });
+
+        return { pseudonym, results };
+    }
+
+    /**
+     * Get user data request statistics
+     * @returns {Object} User data statistics
+     */
+    getStatistics() {
+        return { ...this.stats };
+    }
+}
+
+module.exports = UserDataService;
+module.exports.DATA_SOURCES = DATA_SOURCES;
+module.exports.ERASED = ERASED;
@@ -0,0 +1,32 @@
+const TwitterFollowProvider = require('./twitterFollowProvider');
+
+/**
+ * Naffles API Twitter Provider
+ * Asks the Naffles backend, which holds the user's connected Twitter account.
+ */
+class NafflesApiTwitterProvider extends TwitterFollowProvider {
+    constructor(botService) {
+        super('naffles_api');
+        this.botService = botService;
+    }
+
+    async verifyFollow(request) {
+        const response = await this.botService.makeNafflesApiCall(
+            '/api/social-tasks/verify-twitter-follow',
+            'POST',
+            {
+                userId: request.nafflesUserId,
+                targetUsername: request.targetUsername,
+                taskId: request.taskId
+            }
+        );
+
+        return {
+            verified: response?.verified === true,
+            reason: response?.verified === true ? 'follow_confirmed' : 'follow_not_detected',
+            data: response?.data || null
+        };
+    }
+}
+
+module.exports = NafflesApiTwitterProvider;
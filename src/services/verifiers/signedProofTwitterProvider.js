@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const TwitterFollowProvider = require('./twitterFollowProvider');
+
+/**
+ * Signed Proof Twitter Provider
+ * Accepts a follow proof signed with a shared HMAC secret instead of trusting
+ * an unsigned API answer. A proof is "<payload>.<signature>", both base64url,
+ * where the payload is JSON: { sub, target, followed, iat, exp, jti }.
+ * The proof comes with the request, or is fetched from the Naffles API.
+ */
+class SignedProofTwitterProvider extends TwitterFollowProvider {
+    constructor(botService, options = {}) {
+        super('signed_proof');
+        this.botService = botService;
+        this.secret = options.secret || process.env.TWITTER_PROOF_SECRET;
+        this.clockSkewSeconds = options.clockSkewSeconds || 30;
+    }
+
+    async verifyFollow(request) {
+        if (!this.secret) {
+            throw new Error('TWITTER_PROOF_SECRET is not configured');
+        }
+
+        let proof = request.proof;
+        if (!proof) {
+            const response = await this.botService.makeNafflesApiCall(
+                '/api/social-tasks/twitter-follow-proof',
+                'POST',
+                {
+                    userId: request.nafflesUserId,
+                    targetUsername: request.targetUsername,
+                    taskId: request.taskId
+                }
+            );
+            proof = response?.proof;
+        }
+
+        const payload = SignedProofTwitterProvider.decodeProof(proof, this.secret);
+        if (!payload) {
+            return { verified: false, reason: 'invalid_proof', data: null };
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        const data = {
+            proofId: payload.jti || null,
+            issuedAt: payload.iat ? new Date(payload.iat * 1000) : null,
+            proofExpiresAt: payload.exp ? new Date(payload.exp * 1000) : null
+        };
+
+        if (!payload.exp || payload.exp + this.clockSkewSeconds < now) {
+            return { verified: false, reason: 'proof_expired', data };
+        }
+
+        if (payload.sub !== request.nafflesUserId) {
+            return { verified: false, reason: 'proof_subject_mismatch', data };
+        }
+
+        if (String(payload.target || '').replace(/^@/, '').toLowerCase() !== request.targetUsername) {
+            return { verified: false, reason: 'proof_target_mismatch', data };
+        }
+
+        return {
+            verified: payload.followed === true,
+            reason: payload.followed === true ? 'follow_confirmed' : 'follow_not_detected',
+            data,
+            // Never trust the answer for longer than the proof itself
+            expiresAt: data.proofExpiresAt
+        };
+    }
+
+    /**
+     * Create a signed proof (used by issuers and tests)
+     * @param {Object} payload - { sub, target, followed, iat, exp, jti }
+     * @param {string} secret - Shared HMAC secret
+     * @returns {string} Signed proof
+     */
+    static signProof(payload, secret) {
+        const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+        const signature = crypto.createHmac('sha256', secret).update(encoded).digest('base64url');
+        return `${encoded}.${signature}`;
+    }
+
+    /**
+     * Check a proof's signature and decode its payload
+     * @param {string} proof - Signed proof
+     * @param {string} secret - Shared HMAC secret
+     * @returns {Object|null} Payload, or null when the proof is malformed or forged
+     */
+    static decodeProof(proof, secret) {
+        if (typeof proof !== 'string' || !proof.includes('.')) {
+            return null;
+        }
+
+        const [encoded, signature] = proof.split('.');
+        const expected = crypto.createHmac('sha256', secret).update(encoded).digest();
+        const provided = Buffer.from(signature || '', 'base64url');
+
+        if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+module.exports = SignedProofTwitterProvider;
@@ -0,0 +1,43 @@
+const TwitterFollowProvider = require('./twitterFollowProvider');
+
+/**
+ * Stub Twitter Provider
+ * Answers from an in-memory list of follows. Meant for tests and local
+ * development without Twitter or Naffles API access.
+ */
+class StubTwitterProvider extends TwitterFollowProvider {
+    constructor(options = {}) {
+        super('stub');
+        this.defaultResult = options.defaultResult === true;
+        this.follows = new Map();
+
+        (options.follows || []).forEach(([userId, targetUsername]) => this.setFollow(userId, targetUsername, true));
+    }
+
+    /**
+     * Set whether a user follows an account
+     * @param {string} userId - Naffles user ID (or Discord ID when unlinked)
+     * @param {string} targetUsername - Twitter username
+     * @param {boolean} follows - Follow state
+     */
+    setFollow(userId, targetUsername, follows = true) {
+        this.follows.set(this.key(userId, targetUsername), follows);
+    }
+
+    async verifyFollow(request) {
+        const key = this.key(request.nafflesUserId || request.discordId, request.targetUsername);
+        const verified = this.follows.has(key) ? this.follows.get(key) : this.defaultResult;
+
+        return {
+            verified,
+            reason: verified ? 'follow_confirmed' : 'follow_not_detected',
+            data: { stub: true }
+        };
+    }
+
+    key(userId, targetUsername) {
+        return `${userId}:${String(targetUsername).replace(/^@/, '').toLowerCase()}`;
+    }
+}
+
+module.exports = StubTwitterProvider;
@@ -0,0 +1,29 @@
+/**
+ * Twitter Follow Provider
+ * Interface for checking whether a user follows a Twitter/X account.
+ * Providers are used through TwitterVerificationService, which handles
+ * caching, expiry and audit logging; a provider only answers the question.
+ *
+ * A verification request has the shape:
+ *   { nafflesUserId, discordId, guildId, targetUsername, taskId, source, proof }
+ * where targetUsername is lower-case without the leading "@".
+ *
+ * verifyFollow resolves to { verified, reason, data } and throws when the
+ * provider could not reach an answer (those results are never cached).
+ */
+class TwitterFollowProvider {
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Check whether the user follows the target account
+     * @param {Object} request - Verification request
+     * @returns {Promise<Object>} { verified, reason, data }
+     */
+    async verifyFollow(request) {
+        throw new Error(`${this.name} provider does not implement verifyFollow`);
+    }
+}
+
+module.exports = TwitterFollowProvider;
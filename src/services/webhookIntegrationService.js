@@ -1,6 +1,8 @@
 const logger = require('../utils/logger');
 const crypto = require('crypto');
 const express = require('express');
+const { ChannelType } = require('discord.js');
+const OAuthHandler = require('../handlers/oauthHandler');
 
 /**
  * Webhook Integration Service
@@ -103,6 +105,9 @@ class WebhookIntegrationService {
         
         // Webhook registration endpoint
         this.app.post('/register', this.handleWebhookRegistration.bind(this));
+
+        // Discord OAuth callbacks for community and account linking
+        this.app.use('/oauth', new OAuthHandler(this.botService, this.botService.communityLinking).getRouter());
     }
 
     /**
@@ -431,6 +436,17 @@ class WebhookIntegrationService {
             });
         });
 
+        // Account linked handler: grant token and NFT holder roles here and,
+        // since webhooks only reach the primary shard, on the other shards
+        this.eventHandlers.set('user.account_linked', async (data) => {
+            const { discordId } = data;
+
+            if (discordId) {
+                await this.botService.holderRoles?.handleAccountLinked(discordId);
+                await this.botService.shardCoordinator?.broadcast?.('account_linked', { discordId });
+            }
+        });
+
         // User points earned handler
         this.eventHandlers.set('user.points_earned', async (data, metadata) => {
             const { userId, pointsEarned, source, taskId } = data;
@@ -472,12 +488,18 @@ class WebhookIntegrationService {
             await this.handleCommunitySettingsChange(communityId, changes, metadata);
         });
 
-        // System maintenance handler
+        // System maintenance handler: platform maintenance pauses the whole bot
         this.eventHandlers.set('system.maintenance', async (data, metadata) => {
             const { maintenanceType, scheduledTime, duration } = data;
+            const startsAt = scheduledTime ? new Date(scheduledTime) : new Date();
             
-            // Notify relevant Discord channels about maintenance
-            await this.notifyMaintenanceScheduled(maintenanceType, scheduledTime, duration);
+            // The maintenance controller announces it to Discord channels
+            await this.botService.maintenance.schedule({
+                reason: maintenanceType,
+                startsAt,
+                endsAt: duration ? new Date(startsAt.getTime() + duration * 60 * 1000) : null,
+                createdBy: 'naffles_platform'
+            });
         });
     }
 
@@ -784,12 +806,15 @@ class WebhookIntegrationService {
      * Notify about scheduled maintenance
      * @param {string} maintenanceType - Type of maintenance
      * @param {Date} scheduledTime - Scheduled time
-     * @param {number} duration - Duration in minutes
+     * @param {number|null} duration - Duration in minutes (null when open-ended)
+     * @param {Object} scope - { guildIds, features }; empty means every server or the whole bot
      */
-    async notifyMaintenanceScheduled(maintenanceType, scheduledTime, duration) {
+    async notifyMaintenanceScheduled(maintenanceType, scheduledTime, duration, scope = {}) {
         try {
-            // Get all linked servers
-            const allServers = await this.botService.db.getAllServerMappings();
+            // Linked servers, limited to the affected ones
+            const guildIds = scope.guildIds || [];
+            const allServers = (await this.botService.db.getAllServerMappings())
+                .filter(server => guildIds.length === 0 || guildIds.includes(server.guildId));
             
             const embed = this.botService.createWarningEmbed(
                 'Scheduled Maintenance',
@@ -803,13 +828,18 @@ class WebhookIntegrationService {
                         },
                         {
                             name: 'Scheduled Time',
-                            value: new Date(scheduledTime).toLocaleString(),
+                            value: `<t:${Math.floor(new Date(scheduledTime).getTime() / 1000)}:F>`,
                             inline: true
                         },
                         {
                             name: 'Duration',
-                            value: `${duration} minutes`,
+                            value: duration ? `${duration} minutes` : 'Until further notice',
                             inline: true
+                        },
+                        {
+                            name: 'Affected',
+                            value: scope.features?.length > 0 ? scope.features.join(', ') : 'All bot features',
+                            inline: false
                         }
                     ]
                 }
@@ -824,7 +854,7 @@ class WebhookIntegrationService {
                     // Find a suitable channel to post the notification
                     const channel = guild.systemChannel || 
                                   guild.channels.cache.find(ch => ch.name.includes('general')) ||
-                                  guild.channels.cache.find(ch => ch.type === 'GUILD_TEXT');
+                                  guild.channels.cache.find(ch => ch.type === ChannelType.GuildText);
 
                     if (channel) {
                         await channel.send({ embeds: [embed] });
@@ -0,0 +1,350 @@
+const logger = require('../utils/logger');
+const DiscordAllowlistConnection = require('../models/discordAllowlistConnection');
+const DiscordAccountLink = require('../models/discordAccountLink');
+const { t } = require('../utils/i18n');
+
+/**
+ * Winner Notification Service
+ * Tells allowlist winners they won: posts an announcement in every channel
+ * the allowlist is connected to, DMs each winner claim instructions once and
+ * pings them in each channel when their DMs are closed. Delivery status is stored
+ * per winner on discordAllowlistConnection. When sharded, each shard posts in
+ * the servers it owns.
+ */
+class WinnerNotificationService {
+    constructor(botService) {
+        this.botService = botService;
+
+        this.mentionsPerMessage = 50;
+
+        this.stats = {
+            announcementsPosted: 0,
+            dmsSent: 0,
+            channelPings: 0,
+            deliveryFailures: 0
+        };
+
+        // Sync events are handled on one shard; the others announce the
+        // winners in the servers they own
+        this.botService.shardCoordinator?.on?.('allowlist_winners_notify', async ({ allowlistId, winners, dmResults }) => {
+            try {
+                const connections = await DiscordAllowlistConnection.findByAllowlist(allowlistId);
+                const sharedDmResults = new Map(dmResults);
+
+                for (const connection of connections) {
+                    if (this.ownsGuild(connection.guildId)) {
+                        await this.notifyConnection(connection, winners, sharedDmResults);
+                    }
+                }
+            } catch (error) {
+                logger.error('Error notifying allowlist winners from another shard:', error);
+            }
+        });
+    }
+
+    /**
+     * Announce winners and notify each of them
+     * @param {string} allowlistId - Naffles allowlist ID
+     * @param {Array} winners - Winners from the sync event ({ userId, username, discordId })
+     * @returns {Promise<Object>} Delivery counts across all connected servers
+     */
+    async notifyWinners(allowlistId, winners = []) {
+        const totals = { dmSent: 0, channelPinged: 0, failed: 0, notLinked: 0 };
+
+        try {
+            if (winners.length === 0) {
+                return totals;
+            }
+
+            const connections = await DiscordAllowlistConnection.findByAllowlist(allowlistId);
+
+            // Resolve Discord IDs once; the same winners apply to every connected server
+            const resolvedWinners = [];
+            for (const winner of winners) {
+                resolvedWinners.push({ ...winner, discordId: await this.resolveDiscordId(winner) });
+            }
+
+            // Winners get one DM however many servers the allowlist is connected to;
+            // DMs delivered on an earlier run count too
+            const dmResults = new Map(); // discordId -> null when sent, otherwise the DM error
+            for (const connection of connections) {
+                connection.winnerData.winners
+                    .filter(winner => winner.discordId && winner.delivery?.dmSentAt)
+                    .forEach(winner => dmResults.set(winner.discordId, null));
+            }
+
+            const ownedConnections = connections.filter(connection => this.ownsGuild(connection.guildId));
+            const otherShardConnections = connections.filter(connection => !this.ownsGuild(connection.guildId));
+
+            for (const connection of ownedConnections) {
+                const result = await this.notifyConnection(connection, resolvedWinners, dmResults);
+                Object.keys(totals).forEach(key => { totals[key] += result[key]; });
+            }
+
+            // Servers on other shards are announced there. DMs are sent here first
+            // and their outcomes handed over, so winners still get a single DM.
+            if (otherShardConnections.length > 0) {
+                totals.dmSent += await this.sendMissingDms(otherShardConnections[0], resolvedWinners, dmResults);
+                await this.botService.shardCoordinator.broadcast('allowlist_winners_notify', {
+                    allowlistId,
+                    winners: resolvedWinners,
+                    dmResults: Array.from(dmResults)
+                });
+            }
+
+            logger.info('Allowlist winner notifications processed', { allowlistId, ...totals });
+
+            return totals;
+        } catch (error) {
+            logger.error('Error notifying allowlist winners:', error);
+            return totals;
+        }
+    }
+
+    /**
+     * Announce and notify winners for one connected server
+     * @param {Object} connection - DiscordAllowlistConnection document
+     * @param {Array} winners - Winners with resolved Discord IDs
+     * @param {Map} dmResults - DM outcomes shared across servers (discordId -> null or error)
+     * @returns {Promise<Object>} Delivery counts for this server
+     */
+    async notifyConnection(connection, winners, dmResults = new Map()) {
+        const result = { dmSent: 0, channelPinged: 0, failed: 0, notLinked: 0 };
+
+        const channel = await this.botService.client.channels.fetch(connection.channelId).catch(() => null);
+        const guild = channel?.guild || this.botService.client.guilds.cache.get(connection.guildId);
+        const locale = await this.botService.localization.getGuildLocale(connection.guildId);
+        const allowlistData = { id: connection.allowlistId, ...connection.toObject().allowlistData };
+
+        const storedWinners = connection.mergeWinners(winners);
+
+        if (channel && !connection.winnerData.announcement?.messageId) {
+            await this.postAnnouncement(connection, channel, allowlistData, storedWinners, locale);
+        }
+
+        const unreachedByDm = [];
+
+        for (const winner of storedWinners) {
+            if (winner.notified) {
+                continue;
+            }
+
+            if (!winner.discordId) {
+                connection.recordWinnerDelivery(winner, 'not_linked', 'No linked Discord account');
+                result.notLinked++;
+                continue;
+            }
+
+            if (!dmResults.has(winner.discordId)
+                && await this.sendClaimDm(winner, allowlistData, locale, guild?.name, dmResults)) {
+                result.dmSent++;
+            }
+
+            const dmError = dmResults.get(winner.discordId);
+            if (dmError === null) {
+                connection.recordWinnerDelivery(winner, 'dm_sent');
+            } else {
+                unreachedByDm.push({ winner, dmError });
+            }
+        }
+
+        if (unreachedByDm.length > 0) {
+            const pinged = channel
+                ? await this.pingInChannel(channel, allowlistData, unreachedByDm.map(entry => entry.winner), locale)
+                : false;
+
+            for (const { winner, dmError } of unreachedByDm) {
+                if (pinged) {
+                    connection.recordWinnerDelivery(winner, 'channel_pinged', dmError);
+                    result.channelPinged++;
+                } else {
+                    connection.recordWinnerDelivery(winner, 'failed', dmError);
+                    this.stats.deliveryFailures++;
+                    result.failed++;
+                }
+            }
+
+            if (pinged) {
+                this.stats.channelPings += unreachedByDm.length;
+            }
+        }
+
+        // Saves the merged winners and their delivery status
+        await connection.addAuditEntry('winners_notified', 'system', result);
+
+        return result;
+    }
+
+    /**
+     * DM claim instructions to winners nobody has DMed yet
+     * @private
+     * @returns {Promise<number>} DMs sent
+     */
+    async sendMissingDms(connection, winners, dmResults) {
+        const locale = await this.botService.localization.getGuildLocale(connection.guildId);
+        const allowlistData = { id: connection.allowlistId, ...connection.toObject().allowlistData };
+        let sent = 0;
+
+        for (const winner of winners) {
+            if (winner.discordId && !dmResults.has(winner.discordId)
+                && await this.sendClaimDm(winner, allowlistData, locale, undefined, dmResults)) {
+                sent++;
+            }
+        }
+
+        return sent;
+    }
+
+    /**
+     * DM a winner the claim instructions and record the outcome in dmResults
+     * @private
+     * @returns {Promise<boolean>} True when the DM was sent
+     */
+    async sendClaimDm(winner, allowlistData, locale, guildName, dmResults) {
+        try {
+            const user = await this.botService.client.users.fetch(winner.discordId);
+            await user.send({
+                embeds: [this.botService.embedTemplates.createWinnerClaimEmbed(allowlistData, {
+                    locale,
+                    guildName
+                })]
+            });
+
+            dmResults.set(winner.discordId, null);
+            this.stats.dmsSent++;
+            return true;
+        } catch (error) {
+            logger.warn(`Could not DM allowlist winner ${winner.discordId}: ${error.message}`);
+            dmResults.set(winner.discordId, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Check whether this shard handles a guild
+     * @private
+     */
+    ownsGuild(guildId) {
+        return !this.botService.shardCoordinator || this.botService.shardCoordinator.ownsGuild(guildId);
+    }
+
+    /**
+     * Post the winner announcement, mentioning winners so they are pinged
+     * @private
+     */
+    async postAnnouncement(connection, channel, allowlistData, winners, locale) {
+        try {
+            const discordIds = winners.filter(w => w.discordId).map(w => w.discordId);
+            const embed = this.botService.embedTemplates.createWinnerAnnouncementEmbed(allowlistData, winners, { locale });
+
+            // Message content is capped at 2000 characters, so long mention lists are split
+            const [firstIds = [], ...extraIds] = this.chunk(discordIds, this.mentionsPerMessage);
+            const message = await channel.send({
+                content: firstIds.map(id => `<@${id}>`).join(' ') || undefined,
+                embeds: [embed],
+                allowedMentions: { users: firstIds }
+            });
+
+            for (const ids of extraIds) {
+                await channel.send({
+                    content: ids.map(id => `<@${id}>`).join(' '),
+                    allowedMentions: { users: ids }
+                });
+            }
+
+            connection.winnerData.announcement = {
+                channelId: channel.id,
+                messageId: message.id,
+                postedAt: new Date()
+            };
+            this.stats.announcementsPosted++;
+
+            return message;
+        } catch (error) {
+            logger.error(`Error posting winner announcement in channel ${channel.id}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Ping winners whose DMs are closed with the claim instructions
+     * @private
+     */
+    async pingInChannel(channel, allowlistData, winners, locale) {
+        try {
+            for (const group of this.chunk(winners, this.mentionsPerMessage)) {
+                await channel.send({
+                    content: t(locale, 'winners.fallbackPing', {
+                        count: group.length,
+                        mentions: group.map(w => `<@${w.discordId}>`).join(' '),
+                        title: allowlistData.title,
+                        url: this.botService.embedTemplates.getClaimUrl(allowlistData)
+                    }),
+                    allowedMentions: { users: group.map(w => w.discordId) }
+                });
+            }
+            return true;
+        } catch (error) {
+            logger.error(`Error pinging allowlist winners in channel ${channel.id}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Get winners in a server that have not been reached yet
+     * @param {string} guildId - Discord guild ID
+     * @param {string} allowlistId - Naffles allowlist ID
+     * @returns {Promise<Object|null>} { allowlist, winners, unreached } or null when not connected
+     */
+    async getDeliveryReport(guildId, allowlistId) {
+        const connection = await DiscordAllowlistConnection.findOne({ guildId, allowlistId });
+        if (!connection) {
+            return null;
+        }
+
+        return {
+            allowlist: connection.allowlistData.title,
+            winners: connection.winnerData.winners,
+            unreached: connection.getUnreachedWinners()
+        };
+    }
+
+    /**
+     * Find the Discord ID for a winner
+     * @private
+     */
+    async resolveDiscordId(winner) {
+        if (winner.discordId) {
+            return winner.discordId;
+        }
+
+        if (!winner.userId) {
+            return null;
+        }
+
+        const accountLink = await DiscordAccountLink.findByNaffles(winner.userId);
+        return accountLink ? accountLink.discordId : null;
+    }
+
+    /**
+     * Split a list into chunks
+     * @private
+     */
+    chunk(items, size) {
+        const chunks = [];
+        for (let i = 0; i < items.length; i += size) {
+            chunks.push(items.slice(i, i + size));
+        }
+        return chunks;
+    }
+
+    /**
+     * Get winner notification statistics
+     * @returns {Object} Notification statistics
+     */
+    getStatistics() {
+        return { ...this.stats };
+    }
+}
+
+module.exports = WinnerNotificationService;
@@ -0,0 +1,52 @@
+const { ShardingManager } = require('discord.js');
+const dotenv = require('dotenv');
+const path = require('path');
+const logger = require('./utils/logger');
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Sharded entry point. Spawns one bot process per shard; the processes
+ * coordinate background jobs and embed updates through Redis (see
+ * services/shardCoordinator.js). Use src/index.js directly for a single
+ * process.
+ */
+class NafflesShardManager {
+    constructor() {
+        const totalShards = process.env.SHARD_COUNT ? parseInt(process.env.SHARD_COUNT) : 'auto';
+
+        this.manager = new ShardingManager(path.join(__dirname, 'index.js'), {
+            token: process.env.DISCORD_BOT_TOKEN,
+            totalShards,
+            respawn: true
+        });
+    }
+
+    async start() {
+        this.manager.on('shardCreate', shard => {
+            logger.info(`Launched shard ${shard.id}`);
+
+            shard.on('death', child => {
+                logger.error(`Shard ${shard.id} exited`, { exitCode: child.exitCode });
+            });
+        });
+
+        await this.manager.spawn({
+            delay: parseInt(process.env.SHARD_SPAWN_DELAY_MS) || 5500
+        });
+
+        logger.info(`All ${this.manager.totalShards} shards spawned`);
+    }
+}
+
+// Start the shard manager if this file is run directly
+if (require.main === module) {
+    const shardManager = new NafflesShardManager();
+    shardManager.start().catch(error => {
+        logger.error('Fatal error starting shards:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = NafflesShardManager;
@@ -0,0 +1,80 @@
+const { Readable } = require('stream');
+
+const EXPORT_FORMATS = ['json', 'csv', 'ndjson'];
+
+// Fixed CSV columns; everything else goes into `details` as JSON
+const CSV_COLUMNS = ['id', 'timestamp', 'type', 'userId', 'guildId', 'action', 'severity', 'details'];
+
+/**
+ * Quote a CSV value when needed, and defuse values a spreadsheet would run
+ * as a formula
+ */
+function toCsvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    let text = value instanceof Date ? value.toISOString()
+        : typeof value === 'object' ? JSON.stringify(value)
+            : String(value);
+
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvRow(log) {
+    const { id, timestamp, type, userId, guildId, action, severity, ...details } = log;
+    const row = { id, timestamp, type, userId, guildId, action, severity, details: Object.keys(details).length > 0 ? details : null };
+
+    return CSV_COLUMNS.map(column => toCsvValue(row[column])).join(',');
+}
+
+async function* formatLogs(logs, format) {
+    let first = true;
+
+    if (format === 'csv') {
+        yield `${CSV_COLUMNS.join(',')}\n`;
+    } else if (format === 'json') {
+        yield '[';
+    }
+
+    for await (const log of logs) {
+        if (format === 'csv') {
+            yield `${toCsvRow(log)}\n`;
+        } else if (format === 'ndjson') {
+            yield `${JSON.stringify(log)}\n`;
+        } else {
+            yield `${first ? '\n' : ',\n'}${JSON.stringify(log)}`;
+        }
+        first = false;
+    }
+
+    if (format === 'json') {
+        yield first ? ']\n' : '\n]\n';
+    }
+}
+
+/**
+ * Stream audit logs as JSON, CSV or NDJSON without holding them in memory
+ * @param {AsyncIterable|Iterable} logs - Audit log objects (e.g. a Mongo cursor)
+ * @param {string} format - json, csv or ndjson
+ * @returns {Readable} Text stream
+ */
+function createAuditExportStream(logs, format = 'json') {
+    if (!EXPORT_FORMATS.includes(format)) {
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    return Readable.from(formatLogs(logs, format));
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    CSV_COLUMNS,
+    createAuditExportStream,
+    toCsvRow,
+    toCsvValue
+};
@@ -0,0 +1,178 @@
+/**
+ * Cron Schedule Utilities
+ * Parses standard 5-field cron expressions (minute hour day-of-month month day-of-week)
+ * and computes upcoming run times. All calculations are performed in UTC.
+ */
+
+const FIELD_RANGES = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'dayOfWeek', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+// Upper bound for searching the next run (roughly 5 years of minutes)
+const MAX_SEARCH_MINUTES = 5 * 366 * 24 * 60;
+
+/**
+ * Parse a single cron field into a sorted set of allowed values
+ * @param {string} field - Field expression (e.g. "*", "1-5", "0-59/15", "1,2,3")
+ * @param {Object} range - Allowed range for the field
+ * @returns {Set<number>} Allowed values
+ */
+function parseField(field, range) {
+    const values = new Set();
+
+    for (const part of field.split(',')) {
+        const [rangePart, stepPart] = part.split('/');
+        const step = stepPart === undefined ? 1 : parseInt(stepPart, 10);
+
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid step "${stepPart}" in ${range.name} field`);
+        }
+
+        let start;
+        let end;
+
+        if (rangePart === '*') {
+            start = range.min;
+            end = range.max;
+        } else if (rangePart.includes('-')) {
+            [start, end] = rangePart.split('-').map(value => parseInt(value, 10));
+        } else {
+            start = parseInt(rangePart, 10);
+            end = stepPart === undefined ? start : range.max;
+        }
+
+        if (!Number.isInteger(start) || !Number.isInteger(end) ||
+            start < range.min || end > range.max || start > end) {
+            throw new Error(`Invalid value "${part}" in ${range.name} field`);
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Parse a 5-field cron expression
+ * @param {string} expression - Cron expression
+ * @returns {Object} Parsed expression with a set of allowed values per field
+ */
+function parseCronExpression(expression) {
+    if (typeof expression !== 'string') {
+        throw new Error('Cron expression must be a string');
+    }
+
+    const fields = expression.trim().split(/\s+/);
+    if (fields.length !== 5) {
+        throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+    }
+
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = fields.map((field, index) =>
+        parseField(field, FIELD_RANGES[index])
+    );
+
+    // Normalise Sunday so that both 0 and 7 match getUTCDay() === 0
+    if (dayOfWeek.has(7)) {
+        dayOfWeek.add(0);
+        dayOfWeek.delete(7);
+    }
+
+    return {
+        expression: fields.join(' '),
+        minute,
+        hour,
+        dayOfMonth,
+        month,
+        dayOfWeek,
+        dayOfMonthRestricted: fields[2] !== '*',
+        dayOfWeekRestricted: fields[4] !== '*'
+    };
+}
+
+/**
+ * Check whether a cron expression is valid
+ * @param {string} expression - Cron expression
+ * @returns {boolean} True if the expression can be parsed
+ */
+function isValidCronExpression(expression) {
+    try {
+        parseCronExpression(expression);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Check whether a date matches the day fields of a parsed expression.
+ * Follows cron semantics: when both day-of-month and day-of-week are
+ * restricted, a date matching either field is accepted.
+ * @private
+ */
+function matchesDay(parsed, date) {
+    const domMatch = parsed.dayOfMonth.has(date.getUTCDate());
+    const dowMatch = parsed.dayOfWeek.has(date.getUTCDay());
+
+    if (parsed.dayOfMonthRestricted && parsed.dayOfWeekRestricted) {
+        return domMatch || dowMatch;
+    }
+
+    return domMatch && dowMatch;
+}
+
+/**
+ * Compute the next run time strictly after the given date
+ * @param {string|Object} expression - Cron expression or parsed expression
+ * @param {Date} after - Reference date (defaults to now)
+ * @returns {Date|null} Next matching date, or null if none found
+ */
+function getNextCronDate(expression, after = new Date()) {
+    const parsed = typeof expression === 'string' ? parseCronExpression(expression) : expression;
+
+    const candidate = new Date(after.getTime());
+    candidate.setUTCSeconds(0, 0);
+    candidate.setUTCMinutes(candidate.getUTCMinutes() + 1);
+
+    let iterations = 0;
+    while (iterations < MAX_SEARCH_MINUTES) {
+        iterations++;
+
+        if (!parsed.month.has(candidate.getUTCMonth() + 1)) {
+            candidate.setUTCMonth(candidate.getUTCMonth() + 1, 1);
+            candidate.setUTCHours(0, 0, 0, 0);
+            continue;
+        }
+
+        if (!matchesDay(parsed, candidate)) {
+            candidate.setUTCDate(candidate.getUTCDate() + 1);
+            candidate.setUTCHours(0, 0, 0, 0);
+            continue;
+        }
+
+        if (!parsed.hour.has(candidate.getUTCHours())) {
+            candidate.setUTCHours(candidate.getUTCHours() + 1, 0, 0, 0);
+            continue;
+        }
+
+        if (!parsed.minute.has(candidate.getUTCMinutes())) {
+            candidate.setUTCMinutes(candidate.getUTCMinutes() + 1, 0, 0);
+            continue;
+        }
+
+        return candidate;
+    }
+
+    return null;
+}
+
+module.exports = {
+    parseCronExpression,
+    isValidCronExpression,
+    getNextCronDate
+};
@@ -1,7 +1,11 @@
 const logger = require('./logger');
+const MaintenanceService = require('../services/maintenanceService');
 
 class ErrorHandler {
-    constructor() {
+    /**
+     * @param {MaintenanceService} maintenance - Shared maintenance controller
+     */
+    constructor(maintenance = null) {
         this.errorCounts = new Map();
         this.errorThresholds = {
             discord: { count: 10, window: 300000 }, // 10 errors in 5 minutes
@@ -18,13 +22,8 @@ class ErrorHandler {
             backoffMultiplier: 2
         };
         
-        // Maintenance mode tracking
-        this.maintenanceMode = {
-            active: false,
-            reason: null,
-            startTime: null,
-            estimatedEndTime: null
-        };
+        // Maintenance mode is kept by the maintenance controller
+        this.maintenance = maintenance || new MaintenanceService();
         
         // Service availability tracking
         this.serviceStatus = {
@@ -652,55 +651,44 @@ class ErrorHandler {
     }
 
     /**
-     * Activate maintenance mode
+     * Put the whole bot into maintenance now
      * @param {string} reason - Reason for maintenance
      * @param {Date} estimatedEndTime - Estimated end time
+     * @returns {Promise<Object>} Maintenance controller result
      */
     activateMaintenanceMode(reason, estimatedEndTime = null) {
-        this.maintenanceMode = {
-            active: true,
-            reason,
-            startTime: new Date(),
-            estimatedEndTime
-        };
-        
-        logger.warn('Maintenance mode activated', {
-            reason,
-            estimatedEndTime
-        });
+        return this.maintenance.schedule({ reason, endsAt: estimatedEndTime });
     }
 
     /**
-     * Deactivate maintenance mode
+     * End bot-wide maintenance that is in effect
+     * @returns {Promise<Array<Object>>} Ended windows
      */
     deactivateMaintenanceMode() {
-        const duration = this.maintenanceMode.startTime ? 
-            Date.now() - this.maintenanceMode.startTime.getTime() : 0;
-        
-        this.maintenanceMode = {
-            active: false,
-            reason: null,
-            startTime: null,
-            estimatedEndTime: null
-        };
-        
-        logger.info('Maintenance mode deactivated', { duration });
+        return this.maintenance.endActive(window => window.guildIds.length === 0 && window.features.length === 0);
     }
 
     /**
-     * Check if maintenance mode is active
+     * Check if bot-wide maintenance is in effect
      * @returns {boolean} Maintenance mode status
      */
     isMaintenanceModeActive() {
-        return this.maintenanceMode.active;
+        return Boolean(this.maintenance.getActiveWindow());
     }
 
     /**
-     * Get maintenance mode information
+     * Get bot-wide maintenance information
      * @returns {Object} Maintenance mode info
      */
     getMaintenanceInfo() {
-        return { ...this.maintenanceMode };
+        const window = this.maintenance.getActiveWindow();
+
+        return {
+            active: Boolean(window),
+            reason: window?.reason || null,
+            startTime: window?.startsAt || null,
+            estimatedEndTime: window?.endsAt || null
+        };
     }
 
     /**
@@ -0,0 +1,137 @@
+/**
+ * Localization helpers
+ * Loads the locale files in src/locales and resolves translated strings.
+ * Strings use {name} placeholders; entries with "one"/"other" keys are
+ * pluralized using the `count` variable. Arrays are joined with newlines.
+ */
+
+const DEFAULT_LOCALE = 'en';
+const SUPPORTED_LOCALES = ['en', 'es', 'pt-BR'];
+
+const LOCALE_NAMES = {
+    'en': 'English',
+    'es': 'Español',
+    'pt-BR': 'Português (Brasil)'
+};
+
+// Discord locales each bot locale is registered under (English is the base)
+const DISCORD_LOCALES = {
+    'es': ['es-ES', 'es-419'],
+    'pt-BR': ['pt-BR']
+};
+
+const locales = {
+    'en': require('../locales/en.json'),
+    'es': require('../locales/es.json'),
+    'pt-BR': require('../locales/pt-BR.json')
+};
+
+/**
+ * Map a Discord locale (e.g. "es-419", "pt-BR", "en-US") to a supported locale
+ * @param {string} locale - Discord or bot locale
+ * @returns {string|null} Supported locale, or null if unsupported
+ */
+function normalizeLocale(locale) {
+    if (!locale || typeof locale !== 'string') {
+        return null;
+    }
+
+    if (SUPPORTED_LOCALES.includes(locale)) {
+        return locale;
+    }
+
+    const language = locale.split('-')[0].toLowerCase();
+    if (language === 'pt') {
+        return 'pt-BR';
+    }
+
+    return SUPPORTED_LOCALES.includes(language) ? language : null;
+}
+
+function lookup(locale, key) {
+    return key.split('.').reduce((node, part) => (node && node[part] !== undefined ? node[part] : undefined), locales[locale]);
+}
+
+function interpolate(text, vars) {
+    return text.replace(/\{(\w+)\}/g, (match, name) => (vars[name] !== undefined ? String(vars[name]) : match));
+}
+
+/**
+ * Translate a key, falling back to English and then to the key itself
+ * @param {string} locale - Target locale
+ * @param {string} key - Dotted key, e.g. "embed.fields.reward"
+ * @param {Object} vars - Placeholder values
+ * @returns {string} Translated string
+ */
+function t(locale, key, vars = {}) {
+    const resolvedLocale = normalizeLocale(locale) || DEFAULT_LOCALE;
+    let value = lookup(resolvedLocale, key);
+
+    if (value === undefined && resolvedLocale !== DEFAULT_LOCALE) {
+        value = lookup(DEFAULT_LOCALE, key);
+    }
+
+    if (value === undefined) {
+        return key;
+    }
+
+    if (value && typeof value === 'object' && !Array.isArray(value) && value.other !== undefined) {
+        value = vars.count === 1 && value.one !== undefined ? value.one : value.other;
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(line => interpolate(line, vars)).join('\n');
+    }
+
+    return typeof value === 'string' ? interpolate(value, vars) : key;
+}
+
+/**
+ * Build Discord name/description localizations for a slash command
+ * @param {string} commandName - Base (English) command name
+ * @returns {Object} { name_localizations, description_localizations }
+ */
+function getCommandLocalizations(commandName) {
+    const nameLocalizations = {};
+    const descriptionLocalizations = {};
+
+    for (const [locale, discordLocales] of Object.entries(DISCORD_LOCALES)) {
+        const entry = lookup(locale, `commands.${commandName}`);
+        if (!entry) continue;
+
+        for (const discordLocale of discordLocales) {
+            if (entry.name) nameLocalizations[discordLocale] = entry.name;
+            if (entry.description) descriptionLocalizations[discordLocale] = entry.description;
+        }
+    }
+
+    return {
+        name_localizations: Object.keys(nameLocalizations).length > 0 ? nameLocalizations : undefined,
+        description_localizations: Object.keys(descriptionLocalizations).length > 0 ? descriptionLocalizations : undefined
+    };
+}
+
+/**
+ * Add localizations to slash command JSON without overriding ones already set
+ * @param {Object} commandJson - Command JSON (e.g. SlashCommandBuilder#toJSON())
+ * @returns {Object} Localized command JSON
+ */
+function localizeCommandData(commandJson) {
+    const localizations = getCommandLocalizations(commandJson.name);
+
+    return {
+        ...commandJson,
+        name_localizations: commandJson.name_localizations || localizations.name_localizations,
+        description_localizations: commandJson.description_localizations || localizations.description_localizations
+    };
+}
+
+module.exports = {
+    DEFAULT_LOCALE,
+    SUPPORTED_LOCALES,
+    LOCALE_NAMES,
+    normalizeLocale,
+    t,
+    getCommandLocalizations,
+    localizeCommandData
+};
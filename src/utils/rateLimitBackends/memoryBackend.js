@@ -0,0 +1,148 @@
+/**
+ * In-process rate limit backend. Used on its own when Redis isn't configured
+ * and as the fallback while Redis is unavailable. Counters live in this
+ * process only, so they reset on restart and aren't shared between shards.
+ */
+class MemoryRateLimitBackend {
+    constructor() {
+        this.name = 'memory';
+        this.entries = new Map();
+    }
+
+    /**
+     * Record a request against a sliding window
+     * @param {string} key - Rate limit key
+     * @param {Object} limit - { requests, window }
+     * @param {number} now - Current time (ms)
+     * @returns {Promise<Object>} { allowed, remaining, resetTime }
+     */
+    async slidingWindow(key, limit, now) {
+        let entry = this.entries.get(key);
+        if (!entry || !entry.requests) {
+            entry = { requests: [], createdAt: now };
+            this.entries.set(key, entry);
+        }
+
+        entry.requests = entry.requests.filter(timestamp => now - timestamp < limit.window);
+        entry.lastAccess = now;
+        entry.expiresAt = now + limit.window;
+
+        const allowed = entry.requests.length < limit.requests;
+        if (allowed) {
+            entry.requests.push(now);
+        }
+
+        return {
+            allowed,
+            remaining: Math.max(0, limit.requests - entry.requests.length),
+            resetTime: (entry.requests.length > 0 ? entry.requests[0] : now) + limit.window
+        };
+    }
+
+    /**
+     * Take a token from a bucket that refills `requests` tokens per `window`
+     * @param {string} key - Rate limit key
+     * @param {Object} limit - { requests, window }
+     * @param {number} now - Current time (ms)
+     * @returns {Promise<Object>} { allowed, remaining, resetTime }
+     */
+    async tokenBucket(key, limit, now) {
+        const refillRate = limit.requests / limit.window;
+
+        let entry = this.entries.get(key);
+        if (!entry || entry.tokens === undefined) {
+            entry = { tokens: limit.requests, updatedAt: now, createdAt: now };
+            this.entries.set(key, entry);
+        }
+
+        const elapsed = Math.max(0, now - entry.updatedAt);
+        let tokens = Math.min(limit.requests, entry.tokens + elapsed * refillRate);
+
+        const allowed = tokens >= 1;
+        if (allowed) {
+            tokens -= 1;
+        }
+
+        entry.tokens = tokens;
+        entry.updatedAt = now;
+        entry.lastAccess = now;
+        entry.expiresAt = now + limit.window;
+
+        return {
+            allowed,
+            remaining: Math.floor(tokens),
+            resetTime: allowed
+                ? now + Math.ceil((limit.requests - tokens) / refillRate)
+                : now + Math.ceil((1 - tokens) / refillRate)
+        };
+    }
+
+    /**
+     * Delete rate limit keys
+     * @param {string} prefix - Delete every key starting with this prefix
+     * @returns {Promise<number>} Number of deleted keys
+     */
+    async reset(prefix) {
+        let deleted = 0;
+
+        for (const key of this.entries.keys()) {
+            if (key.startsWith(prefix)) {
+                this.entries.delete(key);
+                deleted++;
+            }
+        }
+
+        return deleted;
+    }
+
+    /**
+     * Remove expired entries and cap the number of tracked keys
+     * @param {number} now - Current time (ms)
+     * @param {number} maxEntries - Maximum entries to keep
+     * @returns {number} Number of removed entries
+     */
+    cleanup(now, maxEntries) {
+        let removed = 0;
+
+        for (const [key, entry] of this.entries.entries()) {
+            if (entry.expiresAt <= now) {
+                this.entries.delete(key);
+                removed++;
+            }
+        }
+
+        if (this.entries.size > maxEntries) {
+            const oldest = Array.from(this.entries.entries())
+                .sort(([, a], [, b]) => (a.lastAccess || a.createdAt) - (b.lastAccess || b.createdAt))
+                .slice(0, this.entries.size - maxEntries);
+
+            oldest.forEach(([key]) => this.entries.delete(key));
+            removed += oldest.length;
+        }
+
+        return removed;
+    }
+
+    clear() {
+        const size = this.entries.size;
+        this.entries.clear();
+        return size;
+    }
+
+    getStatistics(now = Date.now()) {
+        let activeEntries = 0;
+
+        for (const entry of this.entries.values()) {
+            if (entry.expiresAt > now) {
+                activeEntries++;
+            }
+        }
+
+        return {
+            totalEntries: this.entries.size,
+            activeEntries
+        };
+    }
+}
+
+module.exports = MemoryRateLimitBackend;
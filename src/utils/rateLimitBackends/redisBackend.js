@@ -0,0 +1,158 @@
+/**
+ * Redis rate limit backend. Each check runs as a single Lua script so
+ * concurrent requests from every shard see the same counters.
+ */
+
+// Sliding window: one sorted-set member per request, scored by timestamp
+const SLIDING_WINDOW_SCRIPT = `
+local now = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local limit = tonumber(ARGV[3])
+
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now - window)
+local count = redis.call('ZCARD', KEYS[1])
+local allowed = 0
+
+if count < limit then
+    redis.call('ZADD', KEYS[1], now, ARGV[4])
+    count = count + 1
+    allowed = 1
+end
+
+redis.call('PEXPIRE', KEYS[1], window)
+
+local oldest = redis.call('ZRANGE', KEYS[1], 0, 0, 'WITHSCORES')
+local oldestScore = now
+if oldest[2] then
+    oldestScore = tonumber(oldest[2])
+end
+
+return { allowed, count, oldestScore }
+`;
+
+// Token bucket: a hash holding the remaining tokens and the last refill time
+const TOKEN_BUCKET_SCRIPT = `
+local now = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local capacity = tonumber(ARGV[3])
+local refillRate = capacity / window
+
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+local tokens = tonumber(state[1])
+local updatedAt = tonumber(state[2])
+
+if tokens == nil or updatedAt == nil then
+    tokens = capacity
+    updatedAt = now
+end
+
+tokens = math.min(capacity, tokens + math.max(0, now - updatedAt) * refillRate)
+local allowed = 0
+
+if tokens >= 1 then
+    tokens = tokens - 1
+    allowed = 1
+end
+
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', tostring(now))
+redis.call('PEXPIRE', KEYS[1], window)
+
+return { allowed, tostring(tokens) }
+`;
+
+class RedisRateLimitBackend {
+    /**
+     * @param {Object} redisService - RedisService instance
+     */
+    constructor(redisService) {
+        this.name = 'redis';
+        this.redis = redisService;
+        this.prefix = redisService.cachePrefixes?.rateLimiting || 'discord:ratelimit:';
+        this.sequence = 0;
+    }
+
+    isAvailable() {
+        return Boolean(this.redis && this.redis.isConnected);
+    }
+
+    async runScript(script, key, args) {
+        if (!this.isAvailable()) {
+            throw new Error('Redis is not connected');
+        }
+
+        const result = await this.redis.evalScript(script, [`${this.prefix}${key}`], args.map(String));
+        if (!Array.isArray(result)) {
+            throw new Error('Redis rate limit script failed');
+        }
+
+        return result;
+    }
+
+    /**
+     * Record a request against a sliding window
+     * @param {string} key - Rate limit key
+     * @param {Object} limit - { requests, window }
+     * @param {number} now - Current time (ms)
+     * @returns {Promise<Object>} { allowed, remaining, resetTime }
+     */
+    async slidingWindow(key, limit, now) {
+        // Members must be unique or requests in the same millisecond collapse into one
+        const member = `${now}-${process.pid}-${this.sequence++}`;
+        const [allowed, count, oldest] = await this.runScript(
+            SLIDING_WINDOW_SCRIPT,
+            key,
+            [now, limit.window, limit.requests, member]
+        );
+
+        return {
+            allowed: Number(allowed) === 1,
+            remaining: Math.max(0, limit.requests - Number(count)),
+            resetTime: Number(oldest) + limit.window
+        };
+    }
+
+    /**
+     * Take a token from a bucket that refills `requests` tokens per `window`
+     * @param {string} key - Rate limit key
+     * @param {Object} limit - { requests, window }
+     * @param {number} now - Current time (ms)
+     * @returns {Promise<Object>} { allowed, remaining, resetTime }
+     */
+    async tokenBucket(key, limit, now) {
+        const [allowed, rawTokens] = await this.runScript(
+            TOKEN_BUCKET_SCRIPT,
+            key,
+            [now, limit.window, limit.requests]
+        );
+
+        const tokens = parseFloat(rawTokens);
+        const refillRate = limit.requests / limit.window;
+        const isAllowed = Number(allowed) === 1;
+
+        return {
+            allowed: isAllowed,
+            remaining: Math.floor(tokens),
+            resetTime: isAllowed
+                ? now + Math.ceil((limit.requests - tokens) / refillRate)
+                : now + Math.ceil((1 - tokens) / refillRate)
+        };
+    }
+
+    /**
+     * Delete rate limit keys
+     * @param {string} prefix - Delete every key starting with this prefix
+     * @returns {Promise<number>} Number of deleted keys
+     */
+    async reset(prefix) {
+        if (!this.isAvailable()) {
+            throw new Error('Redis is not connected');
+        }
+
+        return await this.redis.deletePattern(`${this.prefix}${prefix}*`);
+    }
+}
+
+RedisRateLimitBackend.SLIDING_WINDOW_SCRIPT = SLIDING_WINDOW_SCRIPT;
+RedisRateLimitBackend.TOKEN_BUCKET_SCRIPT = TOKEN_BUCKET_SCRIPT;
+
+module.exports = RedisRateLimitBackend;
@@ -1,119 +1,282 @@
 const logger = require('./logger');
+const MemoryRateLimitBackend = require('./rateLimitBackends/memoryBackend');
+const RedisRateLimitBackend = require('./rateLimitBackends/redisBackend');
 
+const ALGORITHMS = ['sliding_window', 'token_bucket'];
+
+/**
+ * Rate Limiter
+ * Sliding window and token bucket limits stored in Redis, so every shard and
+ * restart shares the same counters. While Redis is unavailable checks fall
+ * back to an in-memory backend. Limits resolve from the most specific
+ * configuration: guild override for the command, guild override for the
+ * action, per-command limit, then the default for the action.
+ */
 class RateLimiter {
-    constructor() {
-        this.limits = new Map();
+    /**
+     * @param {Object} redisService - RedisService instance (optional)
+     * @param {Object} options - { backend, defaultLimits, commandLimits, getGuildLimits }
+     */
+    constructor(redisService = null, options = {}) {
         this.cleanupInterval = 60000; // 1 minute
         this.maxEntries = 10000; // Maximum entries to keep in memory
-        
+
         // Default rate limit configurations
         this.defaultLimits = {
             command: { requests: 5, window: 60000 }, // 5 commands per minute
             interaction: { requests: 10, window: 60000 }, // 10 interactions per minute
+            button: { requests: 10, window: 60000 }, // 10 button clicks per minute
+            allowlist_entry: { requests: 3, window: 300000 }, // 3 entry attempts per 5 minutes
             api: { requests: 20, window: 60000 }, // 20 API calls per minute
-            global: { requests: 100, window: 60000 } // 100 total actions per minute
+            global: {
+                requests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
+                window: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60000
+            }
         };
-        
+
+        Object.entries(options.defaultLimits || {}).forEach(([action, config]) => {
+            this.defaultLimits[action] = config;
+        });
+
+        Object.keys(this.defaultLimits).forEach(action => {
+            this.defaultLimits[action] = RateLimiter.normalizeLimit(this.defaultLimits[action]);
+        });
+
+        // Per-command limits, applied instead of the generic command limit
+        this.commandLimits = {};
+        Object.entries(options.commandLimits || {}).forEach(([command, config]) => {
+            this.commandLimits[command] = RateLimiter.normalizeLimit(config);
+        });
+
+        // Loads per-guild overrides keyed by action or `action:command`
+        this.getGuildLimitsFn = options.getGuildLimits || null;
+
+        this.memoryBackend = new MemoryRateLimitBackend();
+        const backendName = options.backend || process.env.RATE_LIMIT_BACKEND || 'redis';
+        this.backend = redisService && backendName === 'redis'
+            ? new RedisRateLimitBackend(redisService)
+            : this.memoryBackend;
+        this.usingFallback = false;
+
+        this.stats = {
+            checks: 0,
+            limited: 0,
+            fallbacks: 0,
+            errors: 0
+        };
+
         // Start cleanup interval
         this.startCleanup();
     }
 
     /**
-     * Check if an action is rate limited
+     * Validate a limit configuration
+     * @param {Object} config - { requests, window, algorithm }
+     * @returns {Object} Normalized limit
+     */
+    static normalizeLimit(config) {
+        const requests = parseInt(config?.requests);
+        const window = parseInt(config?.window);
+        const algorithm = config?.algorithm || 'sliding_window';
+
+        if (!(requests > 0) || !(window > 0)) {
+            throw new Error('Rate limit config must include positive requests and window');
+        }
+
+        if (!ALGORITHMS.includes(algorithm)) {
+            throw new Error(`Unknown rate limit algorithm: ${algorithm}`);
+        }
+
+        return { requests, window, algorithm };
+    }
+
+    /**
+     * Check if an action is rate limited, recording the attempt when allowed
      * @param {string} identifier - Unique identifier (e.g., userId, guildId)
-     * @param {string} action - Action type (command, interaction, api, global)
+     * @param {string} action - Action type (command, interaction, button, allowlist_entry, api, global)
      * @param {Object} customLimit - Custom rate limit configuration
-     * @returns {Object} Rate limit result
+     * @param {Object} context - { guildId, command } used to resolve configured limits
+     * @returns {Promise<Object>} { allowed, remaining, resetTime, retryAfter, limit, backend }
      */
-    checkRateLimit(identifier, action = 'global', customLimit = null) {
+    async checkRateLimit(identifier, action = 'global', customLimit = null, context = {}) {
+        const now = Date.now();
+
         try {
-            const key = `${identifier}:${action}`;
-            const limit = customLimit || this.defaultLimits[action] || this.defaultLimits.global;
-            const now = Date.now();
-            
-            // Get or create rate limit entry
-            let entry = this.limits.get(key);
-            if (!entry) {
-                entry = {
-                    requests: [],
-                    createdAt: now
-                };
-                this.limits.set(key, entry);
-            }
-            
-            // Remove expired requests
-            entry.requests = entry.requests.filter(timestamp => 
-                now - timestamp < limit.window
-            );
-            
-            // Check if limit exceeded
-            if (entry.requests.length >= limit.requests) {
-                const oldestRequest = Math.min(...entry.requests);
-                const resetTime = oldestRequest + limit.window;
-                
+            const resolved = await this.resolveLimit(action, customLimit, context);
+            const key = this.buildKey(identifier, resolved);
+            const { result, backend } = await this.runCheck(key, resolved.limit, now);
+
+            this.stats.checks++;
+
+            if (!result.allowed) {
+                this.stats.limited++;
+
                 logger.security('Rate limit exceeded', {
                     identifier,
-                    action,
-                    currentRequests: entry.requests.length,
-                    limit: limit.requests,
-                    resetTime: new Date(resetTime).toISOString()
+                    action: resolved.bucket,
+                    guildId: context.guildId,
+                    limit: resolved.limit.requests,
+                    window: resolved.limit.window,
+                    algorithm: resolved.limit.algorithm,
+                    source: resolved.source,
+                    backend,
+                    resetTime: new Date(result.resetTime).toISOString()
                 });
-                
-                return {
-                    allowed: false,
-                    remaining: 0,
-                    resetTime,
-                    retryAfter: resetTime - now
-                };
             }
-            
-            // Add current request
-            entry.requests.push(now);
-            entry.lastAccess = now;
-            
+
             return {
-                allowed: true,
-                remaining: limit.requests - entry.requests.length,
-                resetTime: now + limit.window,
-                retryAfter: 0
+                allowed: result.allowed,
+                remaining: result.remaining,
+                resetTime: result.resetTime,
+                retryAfter: result.allowed ? 0 : Math.max(0, result.resetTime - now),
+                limit: resolved.limit.requests,
+                backend
             };
-            
+
         } catch (error) {
+            this.stats.errors++;
             logger.error('Rate limiter error:', error);
             // On error, allow the request to prevent blocking legitimate users
             return {
                 allowed: true,
                 remaining: 1,
-                resetTime: Date.now() + 60000,
+                resetTime: now + 60000,
                 retryAfter: 0
             };
         }
     }
 
+    /**
+     * Run a check on the configured backend, falling back to memory when it fails
+     * @param {string} key - Rate limit key
+     * @param {Object} limit - Normalized limit
+     * @param {number} now - Current time (ms)
+     * @returns {Promise<Object>} { result, backend }
+     */
+    async runCheck(key, limit, now) {
+        const method = limit.algorithm === 'token_bucket' ? 'tokenBucket' : 'slidingWindow';
+
+        if (this.backend !== this.memoryBackend) {
+            try {
+                const result = await this.backend[method](key, limit, now);
+
+                if (this.usingFallback) {
+                    this.usingFallback = false;
+                    logger.info('Rate limiter backend recovered', { backend: this.backend.name });
+                }
+
+                return { result, backend: this.backend.name };
+
+            } catch (error) {
+                this.stats.fallbacks++;
+
+                if (!this.usingFallback) {
+                    this.usingFallback = true;
+                    logger.warn('Rate limiter backend unavailable, using in-memory limits', {
+                        backend: this.backend.name,
+                        error: error.message
+                    });
+                }
+            }
+        }
+
+        const result = await this.memoryBackend[method](key, limit, now);
+        return { result, backend: this.memoryBackend.name };
+    }
+
+    /**
+     * Resolve which limit applies to an action
+     * @param {string} action - Action type
+     * @param {Object} customLimit - Explicit limit from the caller
+     * @param {Object} context - { guildId, command }
+     * @returns {Promise<Object>} { limit, bucket, guildId, source }
+     */
+    async resolveLimit(action, customLimit, context = {}) {
+        const { guildId, command } = context;
+        const commandBucket = command ? `${action}:${command}` : null;
+
+        if (customLimit) {
+            return { limit: RateLimiter.normalizeLimit(customLimit), bucket: action, guildId: null, source: 'custom' };
+        }
+
+        if (guildId) {
+            const guildLimits = await this.getGuildLimits(guildId);
+
+            if (commandBucket && guildLimits[commandBucket]) {
+                return { limit: RateLimiter.normalizeLimit(guildLimits[commandBucket]), bucket: commandBucket, guildId, source: 'guild' };
+            }
+
+            if (guildLimits[action]) {
+                return { limit: RateLimiter.normalizeLimit(guildLimits[action]), bucket: action, guildId, source: 'guild' };
+            }
+        }
+
+        if (action === 'command' && command && this.commandLimits[command]) {
+            return { limit: this.commandLimits[command], bucket: commandBucket, guildId: null, source: 'command' };
+        }
+
+        return {
+            limit: this.defaultLimits[action] || this.defaultLimits.global,
+            bucket: action,
+            guildId: null,
+            source: 'default'
+        };
+    }
+
+    /**
+     * Load a guild's limit overrides
+     * @param {string} guildId - Discord guild ID
+     * @returns {Promise<Object>} Limits keyed by action or `action:command`
+     */
+    async getGuildLimits(guildId) {
+        if (!this.getGuildLimitsFn) {
+            return {};
+        }
+
+        try {
+            return (await this.getGuildLimitsFn(guildId)) || {};
+        } catch (error) {
+            logger.error('Failed to load guild rate limits:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Build the storage key. Guild overrides get their own counter so a
+     * stricter limit in one server doesn't consume another server's budget.
+     */
+    buildKey(identifier, resolved) {
+        const algorithm = resolved.limit.algorithm === 'token_bucket' ? 'tb' : 'sw';
+        return [identifier, resolved.bucket, resolved.guildId ? `guild_${resolved.guildId}` : null, algorithm]
+            .filter(Boolean)
+            .join(':');
+    }
+
     /**
      * Check multiple rate limits at once
      * @param {string} identifier - Unique identifier
      * @param {Array} actions - Array of actions to check
-     * @returns {Object} Combined rate limit result
+     * @param {Object} context - { guildId, command }
+     * @returns {Promise<Object>} Combined rate limit result
      */
-    checkMultipleRateLimits(identifier, actions) {
+    async checkMultipleRateLimits(identifier, actions, context = {}) {
         const results = {};
         let overallAllowed = true;
         let minRemaining = Infinity;
         let maxRetryAfter = 0;
-        
+
         for (const action of actions) {
-            const result = this.checkRateLimit(identifier, action);
+            const result = await this.checkRateLimit(identifier, action, null, context);
             results[action] = result;
-            
+
             if (!result.allowed) {
                 overallAllowed = false;
                 maxRetryAfter = Math.max(maxRetryAfter, result.retryAfter);
             }
-            
+
             minRemaining = Math.min(minRemaining, result.remaining);
         }
-        
+
         return {
             allowed: overallAllowed,
             remaining: minRemaining === Infinity ? 0 : minRemaining,
@@ -125,102 +288,51 @@ class RateLimiter {
     /**
      * Reset rate limit for a specific identifier and action
      * @param {string} identifier - Unique identifier
-     * @param {string} action - Action type
+     * @param {string} action - Action type (all actions when omitted)
      */
-    resetRateLimit(identifier, action = null) {
+    async resetRateLimit(identifier, action = null) {
+        const prefix = action ? `${identifier}:${action}:` : `${identifier}:`;
+
         try {
-            if (action) {
-                const key = `${identifier}:${action}`;
-                this.limits.delete(key);
-                logger.info('Rate limit reset', { identifier, action });
-            } else {
-                // Reset all actions for this identifier
-                const keysToDelete = [];
-                for (const key of this.limits.keys()) {
-                    if (key.startsWith(`${identifier}:`)) {
-                        keysToDelete.push(key);
-                    }
-                }
-                
-                keysToDelete.forEach(key => this.limits.delete(key));
-                logger.info('All rate limits reset', { identifier, count: keysToDelete.length });
+            let count = await this.memoryBackend.reset(prefix);
+
+            if (this.backend !== this.memoryBackend) {
+                count += await this.backend.reset(prefix);
             }
+
+            logger.info('Rate limit reset', { identifier, action, count });
         } catch (error) {
             logger.error('Failed to reset rate limit:', error);
         }
     }
 
     /**
-     * Get current rate limit status
-     * @param {string} identifier - Unique identifier
+     * Update the default limit for an action
      * @param {string} action - Action type
-     * @returns {Object} Current status
+     * @param {Object} config - { requests, window, algorithm }
      */
-    getRateLimitStatus(identifier, action = 'global') {
+    updateRateLimit(action, config) {
         try {
-            const key = `${identifier}:${action}`;
-            const entry = this.limits.get(key);
-            const limit = this.defaultLimits[action] || this.defaultLimits.global;
-            const now = Date.now();
-            
-            if (!entry) {
-                return {
-                    requests: 0,
-                    remaining: limit.requests,
-                    resetTime: now + limit.window,
-                    isLimited: false
-                };
-            }
-            
-            // Filter expired requests
-            const activeRequests = entry.requests.filter(timestamp => 
-                now - timestamp < limit.window
-            );
-            
-            const remaining = Math.max(0, limit.requests - activeRequests.length);
-            const isLimited = remaining === 0;
-            const resetTime = activeRequests.length > 0 ? 
-                Math.min(...activeRequests) + limit.window : 
-                now + limit.window;
-            
-            return {
-                requests: activeRequests.length,
-                remaining,
-                resetTime,
-                isLimited
-            };
-            
+            this.defaultLimits[action] = RateLimiter.normalizeLimit(config);
+            logger.info('Rate limit updated', { action, config: this.defaultLimits[action] });
         } catch (error) {
-            logger.error('Failed to get rate limit status:', error);
-            return {
-                requests: 0,
-                remaining: 1,
-                resetTime: Date.now() + 60000,
-                isLimited: false
-            };
+            logger.error('Failed to update rate limit:', error);
         }
     }
 
     /**
-     * Update rate limit configuration
-     * @param {string} action - Action type
-     * @param {Object} config - New configuration
+     * Set the limit for a single command in every guild without an override
+     * @param {string} command - Command name
+     * @param {Object} config - { requests, window, algorithm }, or null to remove
      */
-    updateRateLimit(action, config) {
-        try {
-            if (!config.requests || !config.window) {
-                throw new Error('Rate limit config must include requests and window');
-            }
-            
-            this.defaultLimits[action] = {
-                requests: parseInt(config.requests),
-                window: parseInt(config.window)
-            };
-            
-            logger.info('Rate limit updated', { action, config: this.defaultLimits[action] });
-        } catch (error) {
-            logger.error('Failed to update rate limit:', error);
+    setCommandLimit(command, config) {
+        if (!config) {
+            delete this.commandLimits[command];
+            return;
         }
+
+        this.commandLimits[command] = RateLimiter.normalizeLimit(config);
+        logger.info('Command rate limit updated', { command, config: this.commandLimits[command] });
     }
 
     /**
@@ -228,132 +340,72 @@ class RateLimiter {
      * @returns {Object} Statistics
      */
     getStatistics() {
-        try {
-            const now = Date.now();
-            let totalEntries = 0;
-            let activeEntries = 0;
-            let totalRequests = 0;
-            const actionStats = {};
-            
-            for (const [key, entry] of this.limits.entries()) {
-                totalEntries++;
-                
-                const [identifier, action] = key.split(':');
-                if (!actionStats[action]) {
-                    actionStats[action] = { entries: 0, requests: 0 };
-                }
-                
-                // Count active requests
-                const activeRequests = entry.requests.filter(timestamp => 
-                    now - timestamp < 60000 // Last minute
-                );
-                
-                if (activeRequests.length > 0) {
-                    activeEntries++;
-                }
-                
-                totalRequests += entry.requests.length;
-                actionStats[action].entries++;
-                actionStats[action].requests += entry.requests.length;
-            }
-            
-            return {
-                totalEntries,
-                activeEntries,
-                totalRequests,
-                memoryUsage: this.limits.size,
-                actionStats,
-                limits: this.defaultLimits
-            };
-            
-        } catch (error) {
-            logger.error('Failed to get rate limiter statistics:', error);
-            return {
-                totalEntries: 0,
-                activeEntries: 0,
-                totalRequests: 0,
-                memoryUsage: 0,
-                actionStats: {},
-                limits: this.defaultLimits
-            };
-        }
+        const memory = this.memoryBackend.getStatistics();
+
+        return {
+            backend: this.backend.name,
+            usingFallback: this.usingFallback,
+            ...this.stats,
+            totalEntries: memory.totalEntries,
+            activeEntries: memory.activeEntries,
+            memoryUsage: memory.totalEntries,
+            limits: this.defaultLimits,
+            commandLimits: this.commandLimits
+        };
     }
 
     /**
-     * Start cleanup interval to remove old entries
+     * Start cleanup interval to remove old in-memory entries
      */
     startCleanup() {
-        setInterval(() => {
+        this.cleanupTimer = setInterval(() => {
             this.cleanup();
         }, this.cleanupInterval);
-        
-        logger.info('Rate limiter cleanup started', { 
-            interval: this.cleanupInterval,
-            maxEntries: this.maxEntries 
-        });
+
+        // Don't keep the process alive just for cleanup
+        if (this.cleanupTimer.unref) {
+            this.cleanupTimer.unref();
+        }
     }
 
     /**
-     * Clean up old and expired entries
+     * Clean up expired in-memory entries
      */
     cleanup() {
         try {
-            const now = Date.now();
-            const keysToDelete = [];
-            let cleanedRequests = 0;
-            
-            for (const [key, entry] of this.limits.entries()) {
-                // Remove expired requests
-                const originalLength = entry.requests.length;
-                entry.requests = entry.requests.filter(timestamp => 
-                    now - timestamp < Math.max(...Object.values(this.defaultLimits).map(l => l.window))
-                );
-                
-                cleanedRequests += originalLength - entry.requests.length;
-                
-                // Remove entries with no active requests and old last access
-                if (entry.requests.length === 0 && 
-                    (!entry.lastAccess || now - entry.lastAccess > 300000)) { // 5 minutes
-                    keysToDelete.push(key);
-                }
-            }
-            
-            // Delete old entries
-            keysToDelete.forEach(key => this.limits.delete(key));
-            
-            // If still too many entries, remove oldest ones
-            if (this.limits.size > this.maxEntries) {
-                const sortedEntries = Array.from(this.limits.entries())
-                    .sort(([, a], [, b]) => (a.lastAccess || a.createdAt) - (b.lastAccess || b.createdAt));
-                
-                const toRemove = this.limits.size - this.maxEntries;
-                for (let i = 0; i < toRemove; i++) {
-                    this.limits.delete(sortedEntries[i][0]);
-                    keysToDelete.push(sortedEntries[i][0]);
-                }
-            }
-            
-            if (keysToDelete.length > 0 || cleanedRequests > 0) {
+            const removed = this.memoryBackend.cleanup(Date.now(), this.maxEntries);
+
+            if (removed > 0) {
                 logger.info('Rate limiter cleanup completed', {
-                    deletedEntries: keysToDelete.length,
-                    cleanedRequests,
-                    remainingEntries: this.limits.size
+                    deletedEntries: removed,
+                    remainingEntries: this.memoryBackend.entries.size
                 });
             }
-            
+
         } catch (error) {
             logger.error('Rate limiter cleanup failed:', error);
         }
     }
 
     /**
-     * Clear all rate limit data
+     * Stop the cleanup interval
+     */
+    stop() {
+        if (this.cleanupTimer) {
+            clearInterval(this.cleanupTimer);
+            this.cleanupTimer = null;
+        }
+    }
+
+    /**
+     * Clear all in-memory rate limit data
      */
     clear() {
-        const size = this.limits.size;
-        this.limits.clear();
+        const size = this.memoryBackend.clear();
         logger.info('Rate limiter cleared', { clearedEntries: size });
     }
 }
 
-module.exports = RateLimiter;
\ No newline at end of file
+RateLimiter.ALGORITHMS = ALGORITHMS;
+
+module.exports = RateLimiter;
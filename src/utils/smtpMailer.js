@@ -0,0 +1,248 @@
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+
+/**
+ * SMTP Mailer
+ * Minimal SMTP client for plain-text notification mail: EHLO, optional
+ * STARTTLS or implicit TLS, AUTH PLAIN, one message per connection.
+ * Any SMTP server works, including a local test server.
+ *
+ * Failed sends throw an error with `responseCode` and `retryable`
+ * (true for 4xx replies and connection problems, false for 5xx replies).
+ */
+class SmtpMailer {
+    /**
+     * @param {Object} options - { host, port, secure, user, password, from, timeout, rejectUnauthorized }
+     */
+    constructor(options = {}) {
+        this.host = options.host;
+        this.port = options.port || (options.secure ? 465 : 587);
+        this.secure = options.secure === true;
+        this.user = options.user || null;
+        this.password = options.password || null;
+        this.from = options.from;
+        this.timeout = options.timeout || 15000;
+        this.rejectUnauthorized = options.rejectUnauthorized !== false;
+        this.clientName = options.clientName || os.hostname();
+    }
+
+    /**
+     * Build a mailer from SMTP_* environment variables
+     * @returns {SmtpMailer|null} Mailer, or null when SMTP_HOST is not set
+     */
+    static fromEnv() {
+        if (!process.env.SMTP_HOST) {
+            return null;
+        }
+
+        return new SmtpMailer({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT, 10) || undefined,
+            secure: process.env.SMTP_SECURE === 'true',
+            user: process.env.SMTP_USER,
+            password: process.env.SMTP_PASSWORD,
+            from: process.env.SMTP_FROM
+        });
+    }
+
+    /**
+     * Send a plain-text message
+     * @param {Object} message - { to: string|Array<string>, subject, text }
+     * @returns {Promise<Object>} { accepted, response }
+     */
+    async send(message) {
+        const recipients = Array.isArray(message.to) ? message.to : [message.to];
+        const session = await this.connect();
+
+        try {
+            await session.expect(220);
+            const capabilities = await session.command(`EHLO ${this.clientName}`, 250);
+
+            if (!this.secure && /STARTTLS/i.test(capabilities)) {
+                await session.command('STARTTLS', 220);
+                await session.upgrade({ servername: this.host, rejectUnauthorized: this.rejectUnauthorized });
+                await session.command(`EHLO ${this.clientName}`, 250);
+            }
+
+            if (this.user) {
+                const token = Buffer.from(`\u0000${this.user}\u0000${this.password || ''}`).toString('base64');
+                await session.command(`AUTH PLAIN ${token}`, 235);
+            }
+
+            await session.command(`MAIL FROM:<${this.from}>`, 250);
+            for (const recipient of recipients) {
+                await session.command(`RCPT TO:<${recipient}>`, [250, 251]);
+            }
+
+            await session.command('DATA', 354);
+            const response = await session.command(`${this.buildMessage(message, recipients)}\r\n.`, 250);
+
+            await session.command('QUIT', 221).catch(() => {});
+
+            return { accepted: recipients, response };
+        } finally {
+            session.close();
+        }
+    }
+
+    /**
+     * Build the message headers and body, dot-stuffed for DATA
+     * @private
+     */
+    buildMessage(message, recipients) {
+        const headers = [
+            `From: ${this.from}`,
+            `To: ${recipients.join(', ')}`,
+            `Subject: ${message.subject.replace(/[\r\n]+/g, ' ')}`,
+            `Date: ${new Date().toUTCString()}`,
+            'MIME-Version: 1.0',
+            'Content-Type: text/plain; charset=utf-8',
+            'Content-Transfer-Encoding: 8bit'
+        ];
+
+        const body = message.text
+            .replace(/\r?\n/g, '\r\n')
+            .split('\r\n')
+            .map(line => (line.startsWith('.') ? `.${line}` : line))
+            .join('\r\n');
+
+        return `${headers.join('\r\n')}\r\n\r\n${body}`;
+    }
+
+    /**
+     * Open a connection and wrap it in a reply reader
+     * @private
+     */
+    connect() {
+        return new Promise((resolve, reject) => {
+            const options = { host: this.host, port: this.port };
+            const socket = this.secure
+                ? tls.connect({ ...options, servername: this.host, rejectUnauthorized: this.rejectUnauthorized })
+                : net.connect(options);
+
+            const onError = error => {
+                socket.destroy();
+                reject(connectionError(error.message));
+            };
+
+            socket.setTimeout(this.timeout, () => onError(new Error('SMTP connection timed out')));
+            socket.once('error', onError);
+            socket.once(this.secure ? 'secureConnect' : 'connect', () => {
+                socket.removeListener('error', onError);
+                socket.removeAllListeners('timeout');
+                resolve(new SmtpSession(socket, this.timeout));
+            });
+        });
+    }
+}
+
+/**
+ * Reads SMTP replies from a socket, one command at a time
+ * @private
+ */
+class SmtpSession {
+    constructor(socket, timeout) {
+        this.timeout = timeout;
+        this.pending = null;
+        this.buffer = '';
+        this.attach(socket);
+    }
+
+    attach(socket) {
+        this.socket = socket;
+        socket.setEncoding('utf8');
+        socket.on('data', chunk => this.onData(chunk));
+        socket.on('error', error => this.fail(connectionError(error.message)));
+        socket.on('close', () => this.fail(connectionError('SMTP connection closed')));
+        socket.setTimeout(this.timeout, () => {
+            this.fail(connectionError('SMTP server did not respond'));
+            socket.destroy();
+        });
+    }
+
+    onData(chunk) {
+        this.buffer += chunk;
+
+        // A reply is complete once a full line has a space after the code
+        // ("250 OK"); continuation lines use a dash ("250-SIZE")
+        const lines = this.buffer.split('\r\n');
+        const lastIndex = lines.slice(0, -1).findIndex(line => /^\d{3}( |$)/.test(line));
+        if (lastIndex === -1 || !this.pending) {
+            return;
+        }
+
+        const replyLines = lines.slice(0, lastIndex + 1);
+        this.buffer = lines.slice(lastIndex + 1).join('\r\n');
+
+        const { resolve } = this.pending;
+        this.pending = null;
+        resolve({ code: parseInt(replyLines[lastIndex].slice(0, 3), 10), text: replyLines.join('\n') });
+    }
+
+    fail(error) {
+        if (this.pending) {
+            const { reject } = this.pending;
+            this.pending = null;
+            reject(error);
+        }
+    }
+
+    /**
+     * Wait for the next reply and check its code
+     */
+    expect(expected) {
+        const codes = Array.isArray(expected) ? expected : [expected];
+
+        return new Promise((resolve, reject) => {
+            this.pending = { resolve, reject };
+            this.onData('');
+        }).then(reply => {
+            if (!codes.includes(reply.code)) {
+                const error = new Error(`SMTP error ${reply.code}: ${reply.text}`);
+                error.responseCode = reply.code;
+                error.retryable = reply.code < 500;
+                throw error;
+            }
+            return reply.text;
+        });
+    }
+
+    command(line, expected) {
+        const reply = this.expect(expected);
+        this.socket.write(`${line}\r\n`);
+        return reply;
+    }
+
+    /**
+     * Switch the connection to TLS after STARTTLS
+     */
+    upgrade(options) {
+        return new Promise((resolve, reject) => {
+            this.socket.removeAllListeners('data');
+            this.socket.removeAllListeners('close');
+            this.socket.removeAllListeners('error');
+            this.socket.removeAllListeners('timeout');
+
+            const secureSocket = tls.connect({ ...options, socket: this.socket }, () => {
+                secureSocket.removeListener('error', reject);
+                this.buffer = '';
+                this.attach(secureSocket);
+                resolve();
+            });
+            secureSocket.once('error', error => reject(connectionError(error.message)));
+        });
+    }
+
+    close() {
+        this.socket.destroy();
+    }
+}
+
+function connectionError(message) {
+    const error = new Error(message);
+    error.retryable = true;
+    return error;
+}
+
+module.exports = SmtpMailer;
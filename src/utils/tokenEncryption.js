@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+
+// Envelope format, with base64url parts:
+// v1.<keyId>.<keyIv>.<wrappedDataKey>.<keyTag>.<iv>.<ciphertext>.<tag>
+const ENVELOPE_VERSION = 'v1';
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+// Passphrase the old cipher used when DISCORD_TOKEN_ENCRYPTION_KEY was unset.
+// Only ever used to read legacy values, never to encrypt.
+const LEGACY_DEFAULT_PASSPHRASE = 'default-key-change-in-production';
+
+/**
+ * Read the key-encryption keys from DISCORD_TOKEN_ENCRYPTION_KEYS, a comma
+ * separated list of `keyId:base64Key` pairs. The first key encrypts new
+ * tokens; the others are only used to decrypt until tokens are re-encrypted.
+ * @returns {Object} { activeKeyId, keys: Map<keyId, Buffer> }
+ */
+function getKeyring(env = process.env) {
+    const keys = new Map();
+    let activeKeyId = null;
+
+    for (const entry of (env.DISCORD_TOKEN_ENCRYPTION_KEYS || '').split(',').map(value => value.trim()).filter(Boolean)) {
+        const separator = entry.indexOf(':');
+        const keyId = entry.slice(0, separator);
+        const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+        if (separator < 1 || !KEY_ID_PATTERN.test(keyId)) {
+            throw new Error('DISCORD_TOKEN_ENCRYPTION_KEYS entries must look like keyId:base64Key');
+        }
+        if (key.length !== KEY_LENGTH) {
+            throw new Error(`Token encryption key ${keyId} must be ${KEY_LENGTH} bytes`);
+        }
+
+        keys.set(keyId, key);
+        activeKeyId = activeKeyId || keyId;
+    }
+
+    return { activeKeyId, keys };
+}
+
+function seal(key, plaintext) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return [iv, ciphertext, cipher.getAuthTag()];
+}
+
+function open(key, iv, ciphertext, tag) {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+function parseEnvelope(value) {
+    const parts = value.split('.');
+    if (parts.length !== 8 || parts[0] !== ENVELOPE_VERSION) {
+        return null;
+    }
+
+    const [, keyId, ...encoded] = parts;
+    const [keyIv, wrappedKey, keyTag, iv, ciphertext, tag] = encoded.map(part => Buffer.from(part, 'base64url'));
+    return { keyId, keyIv, wrappedKey, keyTag, iv, ciphertext, tag };
+}
+
+function formatEnvelope(keyId, wrapped, sealed) {
+    return [ENVELOPE_VERSION, keyId, ...[...wrapped, ...sealed].map(part => part.toString('base64url'))].join('.');
+}
+
+/**
+ * Decrypt a value written by the old crypto.createCipher('aes-256-cbc')
+ * code, which derived key and IV from DISCORD_TOKEN_ENCRYPTION_KEY (or its
+ * built-in default) with OpenSSL's EVP_BytesToKey (MD5, one round, no salt)
+ */
+function decryptLegacy(value, env = process.env) {
+    const passphrase = env.DISCORD_TOKEN_ENCRYPTION_KEY || LEGACY_DEFAULT_PASSPHRASE;
+    if (!/^[0-9a-f]+$/i.test(value)) {
+        return null;
+    }
+
+    let derived = Buffer.alloc(0);
+    let block = Buffer.alloc(0);
+    while (derived.length < KEY_LENGTH + 16) {
+        block = crypto.createHash('md5').update(Buffer.concat([block, Buffer.from(passphrase)])).digest();
+        derived = Buffer.concat([derived, block]);
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-cbc', derived.subarray(0, KEY_LENGTH), derived.subarray(KEY_LENGTH, KEY_LENGTH + 16));
+    return Buffer.concat([decipher.update(Buffer.from(value, 'hex')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Encrypt a token under the active key. Each value gets its own data key,
+ * which is wrapped by the active key, so rotating keys only re-wraps data keys.
+ * @param {string} plaintext - Token
+ * @returns {string|null} Envelope
+ */
+function encryptToken(plaintext) {
+    if (!plaintext) return null;
+
+    const { activeKeyId, keys } = getKeyring();
+    if (!activeKeyId) {
+        throw new Error('DISCORD_TOKEN_ENCRYPTION_KEYS is not set; OAuth tokens cannot be stored');
+    }
+
+    const dataKey = crypto.randomBytes(KEY_LENGTH);
+    return formatEnvelope(activeKeyId, seal(keys.get(activeKeyId), dataKey), seal(dataKey, Buffer.from(plaintext, 'utf8')));
+}
+
+/**
+ * Decrypt an envelope, or a value written before envelopes were introduced
+ * @param {string} value - Stored value
+ * @returns {string|null} Token, or null when it can't be decrypted
+ */
+function decryptToken(value) {
+    if (!value) return null;
+
+    try {
+        const envelope = parseEnvelope(value);
+        if (!envelope) {
+            return decryptLegacy(value);
+        }
+
+        const key = getKeyring().keys.get(envelope.keyId);
+        if (!key) {
+            return null;
+        }
+
+        const dataKey = open(key, envelope.keyIv, envelope.wrappedKey, envelope.keyTag);
+        return open(dataKey, envelope.iv, envelope.ciphertext, envelope.tag).toString('utf8');
+    } catch (error) {
+        return null;
+    }
+}
+
+function isEnvelope(value) {
+    return Boolean(value) && parseEnvelope(value) !== null;
+}
+
+/**
+ * Key a stored value was encrypted with
+ * @returns {string|null} Key ID, 'legacy' for old values, null when empty
+ */
+function getKeyId(value) {
+    if (!value) return null;
+    return parseEnvelope(value)?.keyId || 'legacy';
+}
+
+/**
+ * Check whether a stored value is encrypted under an older key
+ */
+function needsReencryption(value) {
+    return Boolean(value) && getKeyId(value) !== getKeyring().activeKeyId;
+}
+
+/**
+ * Re-encrypt a stored value under the active key. Envelopes only have their
+ * data key re-wrapped; legacy values are decrypted and encrypted again.
+ * @param {string} value - Stored value
+ * @returns {string} Envelope under the active key
+ * @throws {Error} When the value can't be decrypted with the configured keys
+ */
+function reencryptToken(value) {
+    const { activeKeyId, keys } = getKeyring();
+    if (!activeKeyId) {
+        throw new Error('DISCORD_TOKEN_ENCRYPTION_KEYS is not set');
+    }
+
+    const envelope = parseEnvelope(value);
+    if (!envelope) {
+        const plaintext = decryptToken(value);
+        if (plaintext === null) {
+            throw new Error('Legacy token could not be decrypted; set DISCORD_TOKEN_ENCRYPTION_KEY to the key it was stored with');
+        }
+        return encryptToken(plaintext);
+    }
+
+    if (envelope.keyId === activeKeyId) {
+        return value;
+    }
+
+    const oldKey = keys.get(envelope.keyId);
+    if (!oldKey) {
+        throw new Error(`Token encryption key ${envelope.keyId} is not configured`);
+    }
+
+    const dataKey = open(oldKey, envelope.keyIv, envelope.wrappedKey, envelope.keyTag);
+    return formatEnvelope(activeKeyId, seal(keys.get(activeKeyId), dataKey), [envelope.iv, envelope.ciphertext, envelope.tag]);
+}
+
+module.exports = {
+    decryptToken,
+    encryptToken,
+    getKeyId,
+    getKeyring,
+    isEnvelope,
+    needsReencryption,
+    reencryptToken
+};
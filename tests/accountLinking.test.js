@@ -0,0 +1,209 @@
+const AccountLinkService = require('../src/services/accountLinkService');
+const CommunityLinkingService = require('../src/services/communityLinkingService');
+const OAuthHandler = require('../src/handlers/oauthHandler');
+const AccountCommand = require('../src/commands/account');
+const DiscordAccountLink = require('../src/models/discordAccountLink');
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+}));
+
+describe('Account Linking', () => {
+    let botService;
+    let service;
+
+    const discordUser = { id: '111', username: 'holder', global_name: 'Holder' };
+    const tokenData = {
+        access_token: 'access',
+        refresh_token: 'refresh',
+        token_type: 'Bearer',
+        scope: 'identify',
+        expires_in: 604800
+    };
+
+    const createLink = (overrides = {}) => new DiscordAccountLink({
+        discordId: '111',
+        nafflesUserId: 'naffles_1',
+        discordUserInfo: { username: 'holder' },
+        nafflesUserInfo: { username: 'nafflesHolder' },
+        ...overrides
+    });
+
+    beforeEach(() => {
+        process.env.DISCORD_OAUTH_SECRET = 'test-secret';
+
+        jest.spyOn(DiscordAccountLink.prototype, 'save').mockImplementation(function() {
+            return Promise.resolve(this);
+        });
+
+        botService = {
+            db: { isHealthy: () => true },
+            makeNafflesApiCall: jest.fn().mockResolvedValue({ userId: 'naffles_1', username: 'nafflesHolder', tier: 'gold' }),
+            holderRoles: { handleAccountLinked: jest.fn().mockResolvedValue(0) },
+            shardCoordinator: { on: jest.fn(), broadcast: jest.fn().mockResolvedValue(true) }
+        };
+        botService.communityLinking = new CommunityLinkingService(botService);
+        service = new AccountLinkService(botService);
+        botService.accountLinking = service;
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('AccountLinkService', () => {
+        test('should link the Naffles account connected to the Discord user', async () => {
+            jest.spyOn(DiscordAccountLink, 'findOne').mockResolvedValue(null);
+
+            const result = await service.completeLink(discordUser, tokenData, { guildId: 'guild1', ipAddress: '10.0.0.1' });
+
+            expect(result.success).toBe(true);
+            expect(botService.makeNafflesApiCall).toHaveBeenCalledWith('/api/discord/account-links', 'POST', {
+                discordId: '111',
+                discordUsername: 'holder'
+            });
+
+            const { link } = result;
+            expect(link.nafflesUserId).toBe('naffles_1');
+            expect(link.nafflesUserInfo.username).toBe('nafflesHolder');
+            expect(link.status.isVerified).toBe(true);
+            expect(link.oauthTokens.refreshToken).toBe('refresh');
+            expect(link.auditLog[0]).toEqual(expect.objectContaining({ action: 'linked', ipAddress: '10.0.0.1' }));
+
+            expect(botService.holderRoles.handleAccountLinked).toHaveBeenCalledWith('111');
+            expect(botService.shardCoordinator.broadcast).toHaveBeenCalledWith('account_linked', { discordId: '111' });
+        });
+
+        test('should refuse Discord users without a Naffles account or with a suspended link', async () => {
+            botService.makeNafflesApiCall.mockRejectedValueOnce(
+                Object.assign(new Error('Request failed'), { response: { status: 404 } })
+            );
+
+            expect(await service.completeLink(discordUser, tokenData)).toEqual({ success: false, reason: 'naffles_account_not_found' });
+
+            const suspended = createLink();
+            suspended.status.isSuspended = true;
+            jest.spyOn(DiscordAccountLink, 'findOne').mockResolvedValue(suspended);
+
+            expect(await service.completeLink(discordUser, tokenData)).toEqual({ success: false, reason: 'account_suspended' });
+            expect(botService.holderRoles.handleAccountLinked).not.toHaveBeenCalled();
+        });
+
+        test('should toggle consent flags and record when consent changed', async () => {
+            const link = createLink();
+            jest.spyOn(DiscordAccountLink, 'findOne').mockResolvedValue(link);
+
+            const result = await service.updatePrivacy('111', { allowNotifications: false, dataProcessingConsent: true });
+
+            expect(result.changes).toEqual({ allowNotifications: false, dataProcessingConsent: true });
+            expect(link.permissions.allowNotifications).toBe(false);
+            expect(link.permissions.dataProcessingConsent).toBe(true);
+            expect(link.permissions.consentTimestamp).toBeInstanceOf(Date);
+            expect(link.auditLog[0].action).toBe('privacy_updated');
+
+            // Unset and unchanged flags are left alone
+            const unchanged = await service.updatePrivacy('111', { allowNotifications: null, dataProcessingConsent: true });
+            expect(unchanged.changes).toEqual({});
+            expect(link.auditLog).toHaveLength(1);
+        });
+
+        test('should deactivate the link and forget its tokens on unlink', async () => {
+            const link = createLink({ oauthTokens: { accessToken: 'access', refreshToken: 'refresh' } });
+            jest.spyOn(DiscordAccountLink, 'findOne').mockResolvedValueOnce(link).mockResolvedValueOnce(null);
+            botService.makeNafflesApiCall.mockRejectedValue(new Error('API down'));
+
+            expect(await service.unlink('111')).toEqual({ success: true });
+            expect(link.status.isActive).toBe(false);
+            expect(link.oauthTokens.refreshToken).toBeUndefined();
+            expect(link.auditLog[0].action).toBe('unlinked');
+
+            expect(await service.unlink('111')).toEqual({ success: false, reason: 'not_linked' });
+        });
+
+        test('should show activity, consent flags and a relink warning in the status', () => {
+            const link = createLink({
+                activityStats: { totalTasksCompleted: 4, totalPointsEarned: 250, totalAllowlistsEntered: 2 },
+                permissions: { allowNotifications: false, dataProcessingConsent: true }
+            });
+            link.oauthTokens.needsRelink = true;
+
+            const embed = service.buildStatusEmbed(link).toJSON();
+            const field = (name) => embed.fields.find(entry => entry.name.includes(name)).value;
+
+            expect(field('Tasks Completed')).toBe('4');
+            expect(field('Points Earned')).toBe('250');
+            expect(field('Allowlists Entered')).toBe('2');
+            expect(field('Privacy')).toContain('Notifications: ⚪ Off');
+            expect(field('Privacy')).toContain('Data processing consent: 🟢 On');
+            expect(embed.description).toContain('/naffles-account link');
+        });
+    });
+
+    describe('OAuthHandler', () => {
+        let handler;
+        let res;
+
+        const callback = (stateData) => handler.handleOAuthCallback({
+            query: { code: 'code', state: botService.communityLinking.generateSecureState(...stateData) },
+            ip: '10.0.0.1',
+            get: () => 'test-agent'
+        }, res);
+
+        beforeEach(() => {
+            handler = new OAuthHandler(botService, botService.communityLinking);
+            res = { redirect: jest.fn(), send: jest.fn() };
+            jest.spyOn(botService.communityLinking, 'exchangeCodeForToken').mockResolvedValue(tokenData);
+            jest.spyOn(botService.communityLinking, 'getDiscordUserInfo').mockResolvedValue(discordUser);
+            jest.spyOn(service, 'completeLink').mockResolvedValue({ success: true });
+        });
+
+        test('should complete account links started from Discord', async () => {
+            await callback(['guild1', '111', null, 'account']);
+
+            expect(service.completeLink).toHaveBeenCalledWith(discordUser, tokenData, {
+                guildId: 'guild1',
+                ipAddress: '10.0.0.1',
+                userAgent: 'test-agent'
+            });
+            expect(res.redirect).toHaveBeenCalledWith('/oauth/account/success');
+        });
+
+        test('should reject account links authorized by another Discord user', async () => {
+            await callback(['guild1', '222', null, 'account']);
+
+            expect(service.completeLink).not.toHaveBeenCalled();
+            expect(res.redirect).toHaveBeenCalledWith('/oauth/error?error=user_mismatch');
+        });
+    });
+
+    describe('AccountCommand', () => {
+        test('should update privacy settings from the command options', async () => {
+            const command = new AccountCommand(botService);
+            const link = createLink();
+            jest.spyOn(DiscordAccountLink, 'findOne').mockResolvedValue(link);
+
+            const interaction = {
+                user: { id: '111' },
+                guildId: 'guild1',
+                options: {
+                    getSubcommand: () => 'privacy',
+                    getBoolean: (name) => (name === 'notifications' ? false : null)
+                },
+                reply: jest.fn()
+            };
+
+            await command.execute(interaction);
+
+            expect(link.permissions.allowNotifications).toBe(false);
+            expect(link.permissions.dataProcessingConsent).toBe(false);
+            expect(interaction.reply).toHaveBeenCalledWith(expect.objectContaining({
+                content: '✅ Your privacy settings were updated.',
+                ephemeral: true
+            }));
+        });
+    });
+});
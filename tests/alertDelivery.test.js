@@ -0,0 +1,250 @@
+const net = require('net');
+const crypto = require('crypto');
+const axios = require('axios');
+const AlertDeliveryService = require('../src/services/alertDeliveryService');
+const WebhookTransport = require('../src/services/alertTransports/webhookTransport');
+const SecurityAlertConfig = require('../src/models/securityAlertConfig');
+const SmtpMailer = require('../src/utils/smtpMailer');
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    security: jest.fn()
+}));
+
+/**
+ * Just enough of an SMTP server to accept one message per connection
+ */
+const startSmtpServer = ({ rejectRecipient = false } = {}) => new Promise(resolve => {
+    const messages = [];
+    const server = net.createServer(socket => {
+        let buffer = '';
+        let inData = false;
+        let current = { commands: [] };
+
+        socket.write('220 test.local ESMTP\r\n');
+        socket.on('data', chunk => {
+            buffer += chunk.toString();
+
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+
+                if (inData) {
+                    if (line === '.') {
+                        inData = false;
+                        messages.push(current);
+                        socket.write('250 2.0.0 queued\r\n');
+                    } else {
+                        current.data.push(line);
+                    }
+                    continue;
+                }
+
+                current.commands.push(line);
+                if (line.startsWith('EHLO')) {
+                    socket.write('250-test.local\r\n250-AUTH PLAIN\r\n250 8BITMIME\r\n');
+                } else if (line.startsWith('AUTH PLAIN')) {
+                    socket.write('235 2.7.0 Authentication successful\r\n');
+                } else if (line.startsWith('RCPT TO') && rejectRecipient) {
+                    socket.write('550 5.1.1 No such user\r\n');
+                } else if (line === 'DATA') {
+                    inData = true;
+                    current.data = [];
+                    socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+                } else if (line === 'QUIT') {
+                    socket.end('221 2.0.0 Bye\r\n');
+                } else {
+                    socket.write('250 OK\r\n');
+                }
+            }
+        });
+    });
+
+    server.listen(0, '127.0.0.1', () => resolve({ server, port: server.address().port, messages }));
+});
+
+describe('Alert Delivery', () => {
+    let botService;
+    let channel;
+
+    const createService = (options = {}) => new AlertDeliveryService(botService, {
+        mailer: null,
+        globalDestinations: [],
+        baseDelay: 0,
+        ...options
+    });
+
+    beforeEach(() => {
+        jest.useRealTimers();
+        channel = { send: jest.fn().mockResolvedValue() };
+        botService = {
+            db: { isHealthy: jest.fn().mockReturnValue(false) },
+            client: { channels: { fetch: jest.fn().mockResolvedValue(channel) } }
+        };
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should route alerts by each destination\'s minimum severity', async () => {
+        const post = jest.spyOn(axios, 'post').mockResolvedValue({ status: 200 });
+        const service = createService();
+        service.setAlertChannel('guild123', 'channel123', { minSeverity: 'medium' });
+        service.guildConfigs.get('guild123').webhooks.push({
+            webhookId: 'abc123', url: 'https://hooks.example.com/alerts', format: 'json', minSeverity: 'critical'
+        });
+
+        const medium = await service.deliver({ type: 'rapid_commands', severity: 'medium' }, 'guild123');
+        const critical = await service.deliver({ type: 'raid', severity: 'critical' }, 'guild123');
+        const low = await service.deliver({ type: 'new_account', severity: 'low' }, 'guild123');
+
+        expect(medium.delivered).toBe(1);
+        expect(critical.delivered).toBe(2);
+        expect(low.results).toHaveLength(0);
+        expect(channel.send).toHaveBeenCalledTimes(2);
+        expect(post).toHaveBeenCalledTimes(1);
+    });
+
+    test('should suppress repeats within the dedup window and report them on the next alert', async () => {
+        const service = createService({ dedupWindow: 60000 });
+        service.setAlertChannel('guild123', 'channel123', { minSeverity: 'low' });
+        const alert = { type: 'rapid_commands', severity: 'high', userId: 'user1' };
+
+        await service.deliver(alert, 'guild123');
+        const repeat = await service.deliver(alert, 'guild123');
+        const otherUser = await service.deliver({ ...alert, userId: 'user2' }, 'guild123');
+
+        expect(repeat.suppressed).toBe(true);
+        expect(otherUser.delivered).toBe(1);
+
+        service.recentAlerts.get('guild123:rapid_commands:user1').lastSent -= 60000;
+        await service.deliver(alert, 'guild123');
+
+        const footer = channel.send.mock.calls[2][0].embeds[0].data.footer;
+        expect(footer.text).toMatch(/^1 similar alert/);
+        expect(service.getStatistics().suppressed).toBe(1);
+    });
+
+    test('should retry transient failures with backoff and give up on permanent ones', async () => {
+        const serverError = Object.assign(new Error('Bad gateway'), { response: { status: 502 } });
+        const notFound = Object.assign(new Error('Not found'), { response: { status: 404 } });
+        const post = jest.spyOn(axios, 'post')
+            .mockRejectedValueOnce(serverError)
+            .mockResolvedValueOnce({ status: 200 })
+            .mockRejectedValueOnce(notFound);
+        const service = createService({
+            globalDestinations: [{
+                transport: 'webhook', label: 'global webhook', minSeverity: 'low',
+                target: { url: 'https://hooks.example.com/alerts', format: 'json' }
+            }]
+        });
+
+        const retried = await service.deliver({ type: 'raid', severity: 'high' }, null);
+        const rejected = await service.deliver({ type: 'spam', severity: 'high' }, null);
+
+        expect(retried.results[0]).toMatchObject({ success: true, attempts: 2 });
+        expect(rejected.results[0]).toMatchObject({ success: false, attempts: 1 });
+        expect(post).toHaveBeenCalledTimes(3);
+        expect(service.isRetryable(Object.assign(new Error('Too many'), { response: { status: 429 } }))).toBe(true);
+        expect(service.isRetryable(new Error('ECONNRESET'))).toBe(true);
+    });
+
+    test('should persist alert channels and webhooks', async () => {
+        botService.db.isHealthy.mockReturnValue(true);
+        botService.shardCoordinator = { broadcast: jest.fn().mockResolvedValue() };
+        const update = jest.spyOn(SecurityAlertConfig, 'findOneAndUpdate').mockImplementation((query, change) => ({
+            lean: jest.fn().mockResolvedValue({
+                guildId: query.guildId,
+                channel: { channelId: 'channel123', minSeverity: 'high' },
+                webhooks: change.$push ? [{ ...change.$push.webhooks }] : []
+            })
+        }));
+        const service = createService();
+
+        const channelResult = await service.setAlertChannel('guild123', 'channel123', { userId: 'admin1' });
+        const webhookResult = await service.addWebhook('guild123', {
+            url: 'https://hooks.example.com/alerts', format: 'slack', minSeverity: 'critical'
+        }, 'admin1');
+
+        expect(channelResult.success).toBe(true);
+        expect(update.mock.calls[0][1].$set).toMatchObject({ 'channel.channelId': 'channel123', updatedBy: 'admin1' });
+        expect(webhookResult.webhookId).toMatch(/^[0-9a-f]{8}$/);
+        expect(service.getGuildConfig('guild123').webhooks[0]).toMatchObject({ format: 'slack', minSeverity: 'critical' });
+        expect(botService.shardCoordinator.broadcast).toHaveBeenCalledWith('security_alerts_changed', { guildId: 'guild123' });
+    });
+
+    test('should only accept https webhooks on public hostnames', () => {
+        const service = createService();
+
+        expect(service.validateWebhookUrl('https://hooks.slack.com/services/T0/B0/x').valid).toBe(true);
+        expect(service.validateWebhookUrl('http://hooks.example.com').valid).toBe(false);
+        expect(service.validateWebhookUrl('https://localhost/hook').valid).toBe(false);
+        expect(service.validateWebhookUrl('https://169.254.169.254/latest').valid).toBe(false);
+        expect(service.validateWebhookUrl('https://[::1]/hook').valid).toBe(false);
+        expect(service.validateWebhookUrl('not a url').valid).toBe(false);
+    });
+
+    test('should format Slack messages and sign JSON payloads', async () => {
+        const post = jest.spyOn(axios, 'post').mockResolvedValue({ status: 200 });
+        const transport = new WebhookTransport();
+        const alert = { id: 'a1', type: 'rapid_commands', severity: 'critical', description: 'Rapid commands', timestamp: 1700000000000 };
+
+        await transport.send(alert, { url: 'https://hooks.example.com/a', format: 'json', secret: 'shh' });
+        const [, body, { headers }] = post.mock.calls[0];
+        const expected = crypto.createHmac('sha256', 'shh').update(body).digest('hex');
+
+        expect(JSON.parse(body).alert).toMatchObject({ id: 'a1', severity: 'critical', timestamp: '2023-11-14T22:13:20.000Z' });
+        expect(headers['X-Naffles-Signature']).toBe(`sha256=${expected}`);
+
+        const slack = transport.formatSlack(alert);
+        expect(slack.text).toContain('Rapid commands');
+        expect(slack.attachments[0]).toMatchObject({ color: '#a30200', title: 'rapid commands', ts: 1700000000 });
+    });
+
+    describe('SMTP', () => {
+        let smtp;
+
+        afterEach(done => {
+            smtp.server.close(done);
+        });
+
+        test('should deliver alert emails through an SMTP server', async () => {
+            smtp = await startSmtpServer();
+            const mailer = new SmtpMailer({
+                host: '127.0.0.1', port: smtp.port, user: 'alerts', password: 'secret', from: 'bot@example.com', clientName: 'test'
+            });
+            const service = createService({
+                mailer,
+                globalDestinations: [{ transport: 'email', label: 'email', minSeverity: 'high', target: { to: ['ops@example.com'] } }]
+            });
+
+            const result = await service.deliver({ type: 'raid', severity: 'critical', description: 'Raid detected' }, null);
+
+            expect(result.delivered).toBe(1);
+            expect(smtp.messages).toHaveLength(1);
+            const { commands, data } = smtp.messages[0];
+            expect(commands).toContain(`AUTH PLAIN ${Buffer.from('\u0000alerts\u0000secret').toString('base64')}`);
+            expect(commands).toContain('MAIL FROM:<bot@example.com>');
+            expect(commands).toContain('RCPT TO:<ops@example.com>');
+            expect(data).toContain('Subject: [Naffles Security] CRITICAL: raid');
+            expect(data).toContain('Raid detected');
+        });
+
+        test('should not retry permanent SMTP rejections', async () => {
+            smtp = await startSmtpServer({ rejectRecipient: true });
+            const mailer = new SmtpMailer({ host: '127.0.0.1', port: smtp.port, from: 'bot@example.com' });
+
+            const error = await mailer.send({ to: 'nobody@example.com', subject: 'Test', text: 'Test' }).catch(err => err);
+
+            expect(error.responseCode).toBe(550);
+            expect(error.retryable).toBe(false);
+            expect(smtp.messages).toHaveLength(0);
+        });
+    });
+});
@@ -0,0 +1,156 @@
+const zlib = require('zlib');
+const AllowlistExportService = require('../src/services/allowlistExportService');
+const AllowlistConnection = require('../src/models/allowlistConnection');
+const DiscordAllowlistConnection = require('../src/models/discordAllowlistConnection');
+const DiscordAccountLink = require('../src/models/discordAccountLink');
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+}));
+
+describe('Allowlist Export', () => {
+    let botService;
+    let service;
+    let entries;
+
+    const entry = i => ({
+        userId: `naffles${i}`,
+        username: `user${i}`,
+        socialData: { discordId: `discord${i}`, discordUsername: `user${i}#0` },
+        walletAddress: `0x${i.toString(16).padStart(40, '0')}`,
+        enteredAt: '2026-10-01T12:00:00.000Z'
+    });
+
+    beforeEach(() => {
+        entries = [];
+        botService = {
+            db: { isHealthy: jest.fn().mockReturnValue(true) },
+            auditLogger: { logAdminAction: jest.fn().mockResolvedValue() },
+            makeNafflesApiCall: jest.fn().mockImplementation(async endpoint => {
+                const match = endpoint.match(/entries\?page=(\d+)&limit=(\d+)/);
+                if (match) {
+                    const [page, limit] = [Number(match[1]), Number(match[2])];
+                    return { entries: entries.slice((page - 1) * limit, page * limit) };
+                }
+                return { winners: [{ userId: 'naffles2', username: 'user2', walletAddress: '0xwin' }, { userId: 'naffles9', username: 'user9' }] };
+            })
+        };
+        service = new AllowlistExportService(botService);
+
+        jest.spyOn(AllowlistConnection, 'findConnection').mockResolvedValue({ allowlistId: 'allowlist1', guildId: 'guild123' });
+        jest.spyOn(DiscordAccountLink, 'find').mockReturnValue({
+            select: () => ({ lean: jest.fn().mockResolvedValue([{ nafflesUserId: 'naffles9', discordId: 'discord9' }]) })
+        });
+        jest.spyOn(DiscordAllowlistConnection, 'findOne').mockReturnValue({
+            select: () => ({
+                lean: jest.fn().mockResolvedValue({
+                    winnerData: { winners: [{ userId: 'naffles2', discordId: 'discord2', delivery: { status: 'dm_sent' }, claimed: false }] }
+                })
+            })
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const exportParams = overrides => ({
+        allowlistId: 'allowlist1',
+        guildId: 'guild123',
+        dataset: 'entrants',
+        format: 'csv',
+        userId: 'admin1',
+        ...overrides
+    });
+
+    test('should page through entrants and export them as CSV', async () => {
+        service.pageSize = 2;
+        entries = [1, 2, 3].map(entry);
+        entries.push({ userId: 'naffles9', username: '=cmd|x', walletAddress: '0x9' });
+
+        const result = await service.createExport(exportParams());
+
+        expect(botService.makeNafflesApiCall).toHaveBeenCalledWith('/api/allowlists/allowlist1/entries?page=3&limit=2');
+        expect(result).toMatchObject({ success: true, rowCount: 4, compressed: false });
+        expect(result.files[0].name).toBe('allowlist-allowlist1-entrants.csv');
+
+        const lines = result.files[0].buffer.toString().trim().split('\n');
+        expect(lines[0]).toBe('nafflesUserId,username,discordId,discordUsername,walletAddress,enteredAt');
+        expect(lines[1]).toBe(`naffles1,user1,discord1,user1#0,${entry(1).walletAddress},2026-10-01T12:00:00.000Z`);
+        // Discord ID filled in from the account link; formula defused
+        expect(lines[4]).toBe('naffles9,\'=cmd|x,discord9,,0x9,');
+    });
+
+    test('should export winners as JSON with this server\'s delivery status', async () => {
+        const result = await service.createExport(exportParams({ dataset: 'winners', format: 'json' }));
+
+        expect(JSON.parse(result.files[0].buffer.toString())).toEqual([
+            { position: 1, nafflesUserId: 'naffles2', username: 'user2', discordId: 'discord2', walletAddress: '0xwin', enteredAt: null, deliveryStatus: 'dm_sent', claimed: false },
+            { position: 2, nafflesUserId: 'naffles9', username: 'user9', discordId: 'discord9', walletAddress: null, enteredAt: null, deliveryStatus: null, claimed: null }
+        ]);
+        expect(result.files[0].name).toBe('allowlist-allowlist1-winners.json');
+    });
+
+    test('should audit every export', async () => {
+        entries = [1, 2].map(entry);
+
+        await service.createExport(exportParams());
+
+        expect(botService.auditLogger.logAdminAction).toHaveBeenCalledWith('admin1', 'allowlist_export', 'guild123', expect.objectContaining({
+            allowlistId: 'allowlist1',
+            dataset: 'entrants',
+            format: 'csv',
+            rowCount: 2,
+            files: 1,
+            compressed: false
+        }));
+    });
+
+    test('should only export allowlists connected to the server', async () => {
+        AllowlistConnection.findConnection.mockResolvedValue(null);
+
+        expect(await service.createExport(exportParams())).toEqual({ success: false, reason: 'not_connected' });
+        expect(botService.makeNafflesApiCall).not.toHaveBeenCalled();
+        expect(botService.auditLogger.logAdminAction).not.toHaveBeenCalled();
+
+        expect((await service.createExport(exportParams({ dataset: 'everything' }))).reason).toBe('invalid_options');
+    });
+
+    test('should gzip exports over the upload limit', async () => {
+        entries = Array.from({ length: 200 }, (_, i) => entry(i));
+        const plainSize = Buffer.byteLength(service.formatRows(entries.map(record => service.toRow(record, 'entrants')),
+            AllowlistExportService.COLUMNS.entrants, 'csv'));
+
+        const result = await service.createExport(exportParams({ uploadLimit: plainSize - 1 }));
+
+        expect(result.compressed).toBe(true);
+        expect(result.files).toHaveLength(1);
+        expect(result.files[0].name).toBe('allowlist-allowlist1-entrants.csv.gz');
+        expect(zlib.gunzipSync(result.files[0].buffer).toString().trim().split('\n')).toHaveLength(201);
+    });
+
+    test('should split into standalone parts when gzip is not enough', () => {
+        const rows = Array.from({ length: 300 }, (_, i) => service.toRow(entry(i), 'entrants'));
+        const columns = AllowlistExportService.COLUMNS.entrants;
+        const gzippedSize = zlib.gzipSync(service.formatRows(rows, columns, 'json')).length;
+
+        const files = service.packageExport(rows, columns, 'json', 'export', Math.ceil(gzippedSize / 2));
+
+        expect(files.length).toBeGreaterThan(1);
+        expect(files[0].name).toBe(`export.part1of${files.length}.json.gz`);
+        const parts = files.map(file => JSON.parse(zlib.gunzipSync(file.buffer).toString()));
+        expect(parts.flat()).toEqual(rows);
+
+        expect(service.packageExport(rows, columns, 'json', 'export', 100)).toBeNull();
+    });
+
+    test('should use the server boost tier upload limit', () => {
+        expect(service.getUploadLimit({ premiumTier: 0 })).toBe(10 * 1024 * 1024);
+        expect(service.getUploadLimit({ premiumTier: 3 })).toBe(100 * 1024 * 1024);
+        expect(service.getUploadLimit(null)).toBe(10 * 1024 * 1024);
+    });
+});
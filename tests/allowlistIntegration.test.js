@@ -1,5 +1,6 @@
 const { describe, test, expect, beforeAll, afterAll, beforeEach, afterEach } = require('@jest/globals');
 const AllowlistIntegrationService = require('../src/services/allowlistIntegrationService');
+const TwitterVerificationService = require('../src/services/twitterVerificationService');
 const AllowlistConnection = require('../src/models/allowlistConnection');
 const { setupTestEnvironment, cleanupTestEnvironment } = require('./setup');
 
@@ -31,7 +32,7 @@ describe('Allowlist Integration Service', () => {
                 }
             },
             rateLimiter: {
-                checkRateLimit: jest.fn().mockResolvedValue(false)
+                checkRateLimit: jest.fn().mockResolvedValue({ allowed: true, remaining: 2, retryAfter: 0 })
             },
             db: {
                 getUserAccountLink: jest.fn()
@@ -40,6 +41,7 @@ describe('Allowlist Integration Service', () => {
             getServerCommunityMapping: jest.fn(),
             logInteraction: jest.fn().mockResolvedValue(true)
         };
+        mockBotService.twitterVerification = new TwitterVerificationService(mockBotService, { provider: 'naffles_api' });
 
         // Create mock Discord objects
         mockChannel = {
@@ -215,7 +217,7 @@ describe('Allowlist Integration Service', () => {
                 success: true
             };
 
-            mockBotService.rateLimiter.checkRateLimit.mockResolvedValue(false);
+            mockBotService.rateLimiter.checkRateLimit.mockResolvedValue({ allowed: true, remaining: 2, retryAfter: 0 });
             mockBotService.db.getUserAccountLink.mockResolvedValue(mockUserAccount);
             mockBotService.makeNafflesApiCall
                 .mockResolvedValueOnce(mockAllowlist) // Get allowlist
@@ -233,7 +235,7 @@ describe('Allowlist Integration Service', () => {
         });
 
         test('should reject entry if user account not linked', async () => {
-            mockBotService.rateLimiter.checkRateLimit.mockResolvedValue(false);
+            mockBotService.rateLimiter.checkRateLimit.mockResolvedValue({ allowed: true, remaining: 2, retryAfter: 0 });
             mockBotService.db.getUserAccountLink.mockResolvedValue(null);
 
             const result = await allowlistIntegrationService.processAllowlistEntry(
@@ -257,7 +259,7 @@ describe('Allowlist Integration Service', () => {
                 nafflesUserId: 'naffles-user-id'
             };
 
-            mockBotService.rateLimiter.checkRateLimit.mockResolvedValue(false);
+            mockBotService.rateLimiter.checkRateLimit.mockResolvedValue({ allowed: true, remaining: 2, retryAfter: 0 });
             mockBotService.db.getUserAccountLink.mockResolvedValue(mockUserAccount);
             mockBotService.makeNafflesApiCall.mockResolvedValue(mockAllowlist);
 
@@ -287,7 +289,7 @@ describe('Allowlist Integration Service', () => {
                 id: 'existing-entry-id'
             };
 
-            mockBotService.rateLimiter.checkRateLimit.mockResolvedValue(false);
+            mockBotService.rateLimiter.checkRateLimit.mockResolvedValue({ allowed: true, remaining: 2, retryAfter: 0 });
             mockBotService.db.getUserAccountLink.mockResolvedValue(mockUserAccount);
             mockBotService.makeNafflesApiCall
                 .mockResolvedValueOnce(mockAllowlist)
@@ -304,7 +306,7 @@ describe('Allowlist Integration Service', () => {
         });
 
         test('should reject entry if rate limited', async () => {
-            mockBotService.rateLimiter.checkRateLimit.mockResolvedValue(true);
+            mockBotService.rateLimiter.checkRateLimit.mockResolvedValue({ allowed: false, remaining: 0, retryAfter: 240000 });
 
             const result = await allowlistIntegrationService.processAllowlistEntry(
                 mockInteraction,
@@ -330,7 +332,7 @@ describe('Allowlist Integration Service', () => {
                 nafflesUserId: 'naffles-user-id'
             };
 
-            mockBotService.rateLimiter.checkRateLimit.mockResolvedValue(false);
+            mockBotService.rateLimiter.checkRateLimit.mockResolvedValue({ allowed: true, remaining: 2, retryAfter: 0 });
             mockBotService.db.getUserAccountLink.mockResolvedValue(mockUserAccount);
             mockBotService.makeNafflesApiCall
                 .mockResolvedValueOnce(mockAllowlist)
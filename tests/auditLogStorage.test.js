@@ -0,0 +1,241 @@
+const AuditLogger = require('../src/services/auditLogger');
+const AuditLogEntry = require('../src/models/auditLogEntry');
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    audit: jest.fn()
+}));
+
+describe('Audit Log Storage', () => {
+    let botService;
+    let auditLogger;
+    let stored;
+
+    // In-memory stand-in for the auditlogentries collection
+    const mockCollection = () => {
+        stored = [];
+        const bySequence = chainId => stored.filter(entry => entry.chainId === chainId).sort((a, b) => a.sequence - b.sequence);
+        const head = chainId => {
+            const chain = bySequence(chainId);
+            const last = chain[chain.length - 1];
+            return last ? { sequence: last.sequence, hash: last.hash } : null;
+        };
+
+        jest.spyOn(AuditLogEntry, 'create').mockImplementation(async entry => {
+            await Promise.resolve();
+            if (stored.some(existing => existing.chainId === entry.chainId && existing.sequence === entry.sequence)) {
+                throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+            }
+            stored.push(JSON.parse(JSON.stringify(entry)));
+            return entry;
+        });
+        jest.spyOn(AuditLogEntry, 'findChainHead').mockImplementation(async chainId => head(chainId));
+        jest.spyOn(AuditLogEntry, 'findRetentionBoundary').mockImplementation(async (chainId, cutoffDate) => {
+            const expired = bySequence(chainId).filter(entry => new Date(entry.recordedAt) < cutoffDate);
+            const last = expired[expired.length - 1];
+            return last ? { sequence: last.sequence, hash: last.hash } : null;
+        });
+        jest.spyOn(AuditLogEntry, 'deleteMany').mockImplementation(async ({ chainId, sequence }) => {
+            const before = stored.length;
+            stored = stored.filter(entry => entry.chainId !== chainId || entry.sequence > sequence.$lte);
+            return { deletedCount: before - stored.length };
+        });
+        jest.spyOn(AuditLogEntry, 'findOne').mockImplementation(query => ({
+            lean: async () => stored.find(entry => entry.chainId === query.chainId &&
+                entry.action === query.action &&
+                entry.data.details?.throughSequence === query['data.details.throughSequence']) || null
+        }));
+        jest.spyOn(AuditLogEntry, 'find').mockImplementation(query => ({
+            sort: () => ({
+                lean: () => ({
+                    cursor: () => {
+                        const entries = bySequence(query.chainId);
+                        return {
+                            close: jest.fn(),
+                            [Symbol.asyncIterator]: async function* () {
+                                yield* entries;
+                            }
+                        };
+                    }
+                })
+            })
+        }));
+    };
+
+    beforeEach(() => {
+        mockCollection();
+        botService = {
+            db: { isHealthy: jest.fn().mockReturnValue(true) },
+            shardCoordinator: { shardIds: [0, 1] }
+        };
+        auditLogger = new AuditLogger(botService);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should persist entries with indexed fields and chained hashes', async () => {
+        await auditLogger.logAdminAction('admin1', 'config_reset', 'guild123', { reason: 'test' });
+        await auditLogger.logConfigChange('admin1', 'guild123', 'rate_limits', { limit: 5 });
+
+        expect(stored).toHaveLength(2);
+        expect(stored[0]).toMatchObject({
+            chainId: 'shard_0-1',
+            sequence: 1,
+            prevHash: null,
+            type: 'admin_action',
+            userId: 'admin1',
+            guildId: 'guild123',
+            action: 'config_reset',
+            severity: 'high',
+            data: { details: { reason: 'test' } }
+        });
+        expect(stored[1]).toMatchObject({ sequence: 2, prevHash: stored[0].hash, data: { configType: 'rate_limits' } });
+        expect(stored[1].hash).toBe(AuditLogEntry.computeHash(stored[1]));
+
+        // The in-memory copy is still kept for quick reads
+        expect(auditLogger.auditLogs).toHaveLength(2);
+    });
+
+    test('should keep the chain in order under concurrent writes', async () => {
+        await Promise.all(Array.from({ length: 5 }, (_, i) =>
+            auditLogger.logAdminAction('admin1', `action_${i}`, 'guild123')));
+
+        expect(stored.map(entry => entry.sequence)).toEqual([1, 2, 3, 4, 5]);
+        expect(await auditLogger.verifyAuditChain()).toMatchObject({ valid: true, checked: 5, lastSequence: 5 });
+    });
+
+    test('should detect edited, removed and relinked entries', async () => {
+        for (let i = 0; i < 4; i++) {
+            await auditLogger.logAdminAction('admin1', `action_${i}`, 'guild123');
+        }
+
+        stored[1].data.details = { forged: true };
+        expect(await AuditLogEntry.verifyChain('shard_0-1')).toMatchObject({ valid: false, brokenAt: { sequence: 2, reason: 'hash_mismatch' } });
+
+        mockCollection();
+        auditLogger.chainHead = null;
+        for (let i = 0; i < 4; i++) {
+            await auditLogger.logAdminAction('admin1', `action_${i}`, 'guild123');
+        }
+        stored.splice(2, 1);
+        expect((await AuditLogEntry.verifyChain('shard_0-1')).brokenAt).toEqual({ sequence: 3, reason: 'missing_entries' });
+
+        stored.splice(0, 1);
+        expect((await AuditLogEntry.verifyChain('shard_0-1')).brokenAt).toEqual({ sequence: 2, reason: 'missing_entries' });
+    });
+
+    test('should recover when another writer appended to the chain', async () => {
+        await auditLogger.logAdminAction('admin1', 'first', 'guild123');
+        await AuditLogEntry.appendToChain('shard_0-1', { type: 'admin_action', action: 'from_cli' });
+        await auditLogger.logAdminAction('admin1', 'second', 'guild123');
+
+        expect(stored.map(entry => entry.action)).toEqual(['first', 'from_cli', 'second']);
+        expect((await auditLogger.verifyAuditChain()).valid).toBe(true);
+    });
+
+    test('should purge past retention and still verify the remaining entries', async () => {
+        for (let i = 0; i < 3; i++) {
+            await auditLogger.logAdminAction('admin1', `old_${i}`, 'guild123');
+        }
+        // Back-date the entries and re-link them
+        stored.forEach(entry => {
+            entry.recordedAt = new Date(Date.now() - 100 * 24 * 60 * 60 * 1000).toISOString();
+        });
+        stored.forEach((entry, index) => {
+            entry.prevHash = index === 0 ? null : stored[index - 1].hash;
+            entry.hash = AuditLogEntry.computeHash(entry);
+        });
+        auditLogger.chainHead = null;
+        await auditLogger.logAdminAction('admin1', 'recent', 'guild123');
+
+        const deleted = await auditLogger.purgeExpiredEntries();
+
+        expect(deleted).toBe(3);
+        expect(stored.map(entry => entry.action)).toEqual(['recent', 'audit_retention_purge']);
+        expect(await auditLogger.verifyAuditChain()).toMatchObject({ valid: true, firstSequence: 4, checked: 2 });
+
+        await auditLogger.logAdminAction('admin1', 'after_purge', 'guild123');
+        expect(stored[stored.length - 1].sequence).toBe(6);
+    });
+
+    test('should redact an erased user\'s entries and still verify the chain', async () => {
+        await auditLogger.logAdminAction('member1', 'first', 'guild123', { wallet: '0xabc' });
+        await auditLogger.logAdminAction('admin1', 'second', 'guild123');
+        await auditLogger.logAdminAction('member1', 'third', 'guild123');
+
+        jest.spyOn(AuditLogEntry, 'distinct').mockImplementation(async (field, query) => [...new Set(stored
+            .filter(entry => entry.userId === query.userId && (!query.chainId || entry.chainId === query.chainId))
+            .map(entry => entry[field]))]);
+        jest.spyOn(AuditLogEntry, 'updateMany').mockImplementation(async (query, { $set }) => {
+            const matched = stored.filter(entry => entry.chainId === query.chainId && query.entryId.$in.includes(entry.entryId));
+            matched.forEach(entry => Object.assign(entry, $set));
+            return { modifiedCount: matched.length };
+        });
+        AuditLogEntry.findOne.mockImplementation(query => ({
+            lean: async () => stored.find(entry => entry.entryId === query.entryId &&
+                entry.action === query.action &&
+                entry.data.details?.entries?.includes(query['data.details.entries'])) || null
+        }));
+
+        expect(await AuditLogEntry.redactUser('member1', 'erased_1')).toBe(2);
+
+        expect(stored.map(entry => entry.userId)).toEqual(['erased_1', 'admin1', 'erased_1', 'erased_1']);
+        expect(stored[0].data).toEqual({ redacted: true });
+        expect(stored[3].action).toBe('user_data_erasure');
+        expect(await AuditLogEntry.verifyChain('shard_0-1')).toMatchObject({ valid: true, checked: 4 });
+
+        // Entries the erasure didn't list are still checked
+        stored[1].data.details = { forged: true };
+        expect((await AuditLogEntry.verifyChain('shard_0-1')).brokenAt).toEqual({ sequence: 2, reason: 'hash_mismatch' });
+    });
+
+    test('should query persisted logs and fall back to memory when the database is down', async () => {
+        const lean = jest.fn().mockResolvedValue([{
+            entryId: 'audit_1', type: 'admin_action', userId: 'admin1', guildId: 'guild123', action: 'x',
+            severity: 'high', timestamp: new Date(), data: { details: { a: 1 } }
+        }]);
+        const limit = jest.fn().mockReturnValue({ lean });
+        AuditLogEntry.find.mockReturnValue({ sort: () => ({ skip: () => ({ limit }) }) });
+
+        const logs = await auditLogger.queryAuditLogs({ guildId: 'guild123', severity: ['high', 'critical'], startDate: '2026-01-01' }, { limit: 5000 });
+
+        expect(AuditLogEntry.find).toHaveBeenCalledWith({
+            guildId: 'guild123',
+            severity: { $in: ['high', 'critical'] },
+            timestamp: { $gte: new Date('2026-01-01') }
+        });
+        expect(limit).toHaveBeenCalledWith(1000);
+        expect(logs[0]).toMatchObject({ id: 'audit_1', action: 'x', details: { a: 1 } });
+
+        botService.db.isHealthy.mockReturnValue(false);
+        await auditLogger.logAdminAction('admin1', 'offline', 'guild123');
+        expect((await auditLogger.queryAuditLogs({ guildId: 'guild123' })).map(log => log.action)).toEqual(['offline']);
+    });
+
+    test('should export JSON, NDJSON and CSV with escaped values', async () => {
+        botService.db.isHealthy.mockReturnValue(false);
+        await auditLogger.logAdminAction('admin1', 'first', 'guild123', { note: 'a, "quoted"\nvalue' });
+        jest.setSystemTime(Date.now() + 1000);
+        await auditLogger.logAdminAction('admin1', '=HYPERLINK("x")', 'guild123');
+
+        const json = JSON.parse(await auditLogger.exportAuditLogs({ guildId: 'guild123' }, 'json'));
+        expect(json.map(log => log.action)).toEqual(['first', '=HYPERLINK("x")']);
+
+        const ndjson = (await auditLogger.exportAuditLogs({}, 'ndjson')).trim().split('\n').map(line => JSON.parse(line));
+        expect(ndjson).toHaveLength(2);
+
+        const csv = (await auditLogger.exportAuditLogs({}, 'csv')).split('\n');
+        expect(csv[0]).toBe('id,timestamp,type,userId,guildId,action,severity,details');
+        expect(csv[1]).toContain('"{""details"":{""note"":""a, \\""quoted\\""\\nvalue""}}"');
+        expect(csv[csv.length - 2]).toContain(',"\'=HYPERLINK(""x"")",');
+
+        expect(JSON.parse(await auditLogger.exportAuditLogs({ guildId: 'none' }, 'json'))).toEqual([]);
+        expect(() => auditLogger.createExportStream({}, 'xml')).toThrow('Unsupported export format');
+    });
+});
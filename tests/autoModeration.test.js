@@ -0,0 +1,246 @@
+const AutoModerationService = require('../src/services/autoModerationService');
+const ModerationAction = require('../src/models/moderationAction');
+const DiscordServerMapping = require('../src/models/discordServerMapping');
+const DiscordAccountLink = require('../src/models/discordAccountLink');
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    security: jest.fn()
+}));
+
+describe('Auto Moderation', () => {
+    let botService;
+    let service;
+    let member;
+    let dmChannel;
+
+    const event = (type = 'rapid_commands') => ({
+        id: 'sec_1', type, guildId: 'guild123', userId: 'user123', severity: 'medium', details: { commandCount: 12 }
+    });
+
+    const mockPolicy = autoModeration => jest.spyOn(DiscordServerMapping, 'findOne').mockReturnValue({
+        select: () => ({ lean: jest.fn().mockResolvedValue({ botConfig: { autoModeration } }) })
+    });
+
+    const mockHistory = ({ latest = null, previous = 0 } = {}) => {
+        jest.spyOn(ModerationAction, 'find').mockReturnValue({
+            sort: () => ({ limit: () => ({ lean: jest.fn().mockResolvedValue(latest ? [latest] : []) }) })
+        });
+        jest.spyOn(ModerationAction, 'countRecent').mockResolvedValue(previous);
+    };
+
+    beforeEach(() => {
+        jest.spyOn(ModerationAction.prototype, 'save').mockImplementation(function() {
+            return Promise.resolve(this);
+        });
+        jest.spyOn(ModerationAction, 'findOtherCommandBlock').mockResolvedValue(null);
+        jest.spyOn(ModerationAction, 'hasOtherLinkSuspension').mockResolvedValue(false);
+
+        dmChannel = { send: jest.fn().mockResolvedValue() };
+        member = {
+            id: 'user123',
+            guild: { ownerId: 'owner1' },
+            permissions: { has: jest.fn().mockReturnValue(false) },
+            moderatable: true,
+            timeout: jest.fn().mockResolvedValue()
+        };
+
+        botService = {
+            db: { isHealthy: jest.fn().mockReturnValue(true) },
+            auditLogger: { logAdminAction: jest.fn().mockResolvedValue(), logConfigChange: jest.fn().mockResolvedValue() },
+            client: {
+                user: { id: 'bot1' },
+                guilds: {
+                    cache: new Map([['guild123', { id: 'guild123', name: 'Test Guild', members: { fetch: jest.fn().mockResolvedValue(member) } }]])
+                },
+                users: { fetch: jest.fn().mockResolvedValue(dmChannel) },
+                channels: { fetch: jest.fn().mockResolvedValue(null) }
+            }
+        };
+        service = new AutoModerationService(botService);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should do nothing while auto moderation is disabled or the event is not a trigger', async () => {
+        mockPolicy({ enabled: false });
+        mockHistory();
+        expect(await service.handleSecurityEvent(event())).toBeNull();
+
+        service.policyCache.clear();
+        mockPolicy({ enabled: true, triggers: ['bot_detection'] });
+        expect(await service.handleSecurityEvent(event('rapid_commands'))).toBeNull();
+        expect(botService.auditLogger.logAdminAction).not.toHaveBeenCalled();
+    });
+
+    test('should block commands on a first offence and audit it as the bot', async () => {
+        mockPolicy({ enabled: true });
+        mockHistory();
+
+        const action = await service.handleSecurityEvent(event());
+
+        expect(action).toMatchObject({ action: 'block_commands', level: 1, status: 'active' });
+        expect(action.expiresAt.getTime()).toBeGreaterThan(Date.now() + 59 * 60 * 1000);
+        expect(service.getCommandBlock('guild123', 'user123')).toMatchObject({ actionId: action._id.toString() });
+        expect(botService.auditLogger.logAdminAction).toHaveBeenCalledWith('bot1', 'auto_moderation_block_commands', 'guild123',
+            expect.objectContaining({ userId: 'user123', level: 1, trigger: 'rapid_commands' }));
+
+        const dm = dmChannel.send.mock.calls[0][0];
+        expect(dm.components[0].components[0].data.custom_id).toBe(`automod_appeal_${action._id}`);
+    });
+
+    test('should escalate to the next step for repeat offences', async () => {
+        mockPolicy({ enabled: true });
+        mockHistory({ previous: 1 });
+
+        const action = await service.handleSecurityEvent(event());
+
+        expect(action).toMatchObject({ action: 'timeout', level: 2 });
+        expect(member.timeout).toHaveBeenCalledWith(24 * 60 * 60 * 1000, expect.stringContaining('rapid commands'));
+        expect(service.getCommandBlock('guild123', 'user123')).toBeNull();
+    });
+
+    test('should suspend the linked account, or block commands when there is no link', async () => {
+        mockPolicy({ enabled: true });
+        mockHistory({ previous: 5 });
+        const link = { status: { isSuspended: false }, suspend: jest.fn().mockResolvedValue() };
+        const findLink = jest.spyOn(DiscordAccountLink, 'findOne').mockResolvedValueOnce(link).mockResolvedValueOnce(null);
+
+        const suspended = await service.handleSecurityEvent(event());
+        expect(suspended).toMatchObject({ action: 'suspend_link', level: 3, expiresAt: null });
+        expect(link.suspend).toHaveBeenCalledWith(expect.any(String), 'auto_moderation');
+
+        const fallback = await service.handleSecurityEvent(event());
+        expect(fallback).toMatchObject({ action: 'block_commands', fallbackFrom: 'suspend_link' });
+        expect(findLink).toHaveBeenCalledWith({ discordId: 'user123', 'status.isActive': true });
+    });
+
+    test('should record a failed action when the member cannot be timed out', async () => {
+        mockPolicy({ enabled: true, steps: [{ action: 'timeout', duration: 600000 }] });
+        mockHistory();
+        member.moderatable = false;
+
+        const action = await service.handleSecurityEvent(event());
+
+        expect(action.status).toBe('failed');
+        expect(action.lastError).toMatch(/cannot time out/);
+        expect(dmChannel.send).not.toHaveBeenCalled();
+        expect(botService.auditLogger.logAdminAction).toHaveBeenCalledWith('bot1', 'auto_moderation_timeout', 'guild123',
+            expect.objectContaining({ status: 'failed' }));
+    });
+
+    test('should skip staff and members actioned moments ago', async () => {
+        mockPolicy({ enabled: true });
+        mockHistory({ latest: { createdAt: new Date() } });
+        expect(await service.handleSecurityEvent(event())).toBeNull();
+
+        mockHistory();
+        member.permissions.has.mockReturnValue(true);
+        expect(await service.handleSecurityEvent(event())).toBeNull();
+        expect(ModerationAction.prototype.save).not.toHaveBeenCalled();
+    });
+
+    test('should revert an appealed action and audit the moderator', async () => {
+        mockPolicy({ enabled: true });
+        mockHistory();
+        const action = await service.handleSecurityEvent(event());
+        action.appeal.status = 'pending';
+        jest.spyOn(ModerationAction, 'findById').mockResolvedValue(action);
+
+        const result = await service.revertAction(action._id, { id: 'mod1', username: 'mod' });
+
+        expect(result.success).toBe(true);
+        expect(action).toMatchObject({ status: 'reverted', endedBy: 'mod1' });
+        expect(action.appeal.status).toBe('approved');
+        expect(service.getCommandBlock('guild123', 'user123')).toBeNull();
+        expect(botService.auditLogger.logAdminAction).toHaveBeenLastCalledWith('mod1', 'auto_moderation_reverted', 'guild123',
+            expect.objectContaining({ userId: 'user123', appealed: true }));
+
+        expect((await service.revertAction(action._id, { id: 'mod1' })).reason).toBe('not_active');
+    });
+
+    test('should keep a member blocked while another blocking action is active', async () => {
+        mockPolicy({ enabled: true });
+        mockHistory();
+        const action = await service.handleSecurityEvent(event());
+        const remaining = new ModerationAction({
+            guildId: 'guild123', userId: 'user123', action: 'review', level: 4, trigger: { type: 'bot_detection' }
+        });
+        jest.spyOn(ModerationAction, 'findById').mockResolvedValue(action);
+        ModerationAction.findOtherCommandBlock.mockResolvedValue(remaining.toObject());
+
+        expect((await service.revertAction(action._id, { id: 'mod1' })).success).toBe(true);
+        expect(ModerationAction.findOtherCommandBlock).toHaveBeenCalledWith(action);
+        expect(service.getCommandBlock('guild123', 'user123')).toEqual({ actionId: remaining._id.toString(), expiresAt: null });
+    });
+
+    test('should only lift a link suspension once no guild still holds it', async () => {
+        const link = { status: { isSuspended: true, suspendedBy: 'auto_moderation' }, unsuspend: jest.fn().mockResolvedValue() };
+        jest.spyOn(DiscordAccountLink, 'findOne').mockResolvedValue(link);
+        const suspension = () => new ModerationAction({
+            guildId: 'guild123', userId: 'user123', action: 'suspend_link', level: 3, trigger: { type: 'rapid_commands' }
+        });
+
+        const first = suspension();
+        jest.spyOn(ModerationAction, 'findById').mockResolvedValue(first);
+        ModerationAction.hasOtherLinkSuspension.mockResolvedValue(true);
+
+        expect((await service.revertAction(first._id, { id: 'mod1' })).success).toBe(true);
+        expect(ModerationAction.hasOtherLinkSuspension).toHaveBeenCalledWith(first);
+        expect(link.unsuspend).not.toHaveBeenCalled();
+
+        const last = suspension();
+        ModerationAction.findById.mockResolvedValue(last);
+        ModerationAction.hasOtherLinkSuspension.mockResolvedValue(false);
+
+        await service.revertAction(last._id, { id: 'mod1' });
+        expect(link.unsuspend).toHaveBeenCalledWith('auto_moderation');
+    });
+
+    test('should close a pending appeal as expired when the action runs out', async () => {
+        botService.client.isReady = () => true;
+        const action = new ModerationAction({
+            guildId: 'guild123', userId: 'user123', action: 'block_commands', level: 1,
+            trigger: { type: 'rapid_commands' }, expiresAt: new Date(Date.now() - 1000),
+            appeal: { status: 'pending', reason: 'It was a bug' }
+        });
+        jest.spyOn(ModerationAction, 'findExpired').mockResolvedValue([action]);
+
+        await service.processExpiredActions();
+
+        expect(action.status).toBe('expired');
+        expect(action.appeal.status).toBe('expired');
+        expect(botService.auditLogger.logAdminAction).toHaveBeenCalledWith('bot1', 'auto_moderation_expired', 'guild123',
+            expect.objectContaining({ appealExpired: true }));
+    });
+
+    test('should validate escalation steps', async () => {
+        mockPolicy({});
+
+        expect((await service.setStep('guild123', 1, { action: 'timeout', duration: null }, 'admin1')).reason).toBe('invalid_duration');
+        expect((await service.setStep('guild123', 5, { action: 'review', duration: null }, 'admin1')).reason).toBe('invalid_step');
+        expect((await service.setStep('guild123', 1, { action: 'ban', duration: null }, 'admin1')).reason).toBe('invalid_action');
+
+        const update = jest.spyOn(DiscordServerMapping, 'findOneAndUpdate').mockResolvedValue({ botConfig: { autoModeration: {} } });
+        const result = await service.setStep('guild123', 4, { action: 'review', duration: null }, 'admin1');
+
+        expect(result.success).toBe(true);
+        expect(update.mock.calls[0][1].$set['botConfig.autoModeration.steps']).toHaveLength(4);
+        expect(botService.auditLogger.logConfigChange).toHaveBeenCalledWith('admin1', 'guild123', 'auto_moderation', expect.any(Object));
+    });
+
+    test('should let expired command blocks lapse', () => {
+        service.applyCommandBlock('guild123', 'user123', { actionId: 'a1', expiresAt: Date.now() - 1 });
+        service.applyCommandBlock('guild123', 'user456', { actionId: 'a2', expiresAt: null });
+
+        expect(service.getCommandBlock('guild123', 'user123')).toBeNull();
+        expect(service.getCommandBlock('guild123', 'user456')).toMatchObject({ actionId: 'a2' });
+        expect(service.getCommandBlock(null, 'user456')).toBeNull();
+    });
+});
@@ -0,0 +1,195 @@
+const { Routes } = require('discord.js');
+const CommandRegistry = require('../src/handlers/commandRegistry');
+const CommandRegistrationPlanner = require('../src/handlers/commandRegistrationPlanner');
+const GuildFeatureService = require('../src/services/guildFeatureService');
+const DiscordBotService = require('../src/services/discordBotService');
+const DiscordServerMapping = require('../src/models/discordServerMapping');
+const { localizeCommandData } = require('../src/utils/i18n');
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+}));
+
+// What Discord returns for a command registered from the given JSON
+const asRegistered = (command, id) => ({
+    id,
+    application_id: 'client123',
+    version: '1',
+    type: 1,
+    default_member_permissions: null,
+    dm_permission: true,
+    nsfw: false,
+    ...JSON.parse(JSON.stringify(command)),
+    options: (command.options || []).map(option => {
+        const { required, ...rest } = JSON.parse(JSON.stringify(option));
+        return required ? { ...rest, required } : rest;
+    })
+});
+
+describe('Command Registration Planner', () => {
+    let registry;
+    let rest;
+    let planner;
+
+    beforeAll(() => {
+        registry = new CommandRegistry().load();
+    });
+
+    beforeEach(() => {
+        rest = {
+            get: jest.fn().mockResolvedValue([]),
+            post: jest.fn().mockResolvedValue({}),
+            patch: jest.fn().mockResolvedValue({}),
+            delete: jest.fn().mockResolvedValue()
+        };
+        planner = new CommandRegistrationPlanner(rest, 'client123');
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should find nothing to do when Discord already has the commands', () => {
+        const commands = registry.getGlobalCommandData().map(localizeCommandData);
+        const existing = commands.map((command, index) => asRegistered(command, `cmd${index}`));
+
+        const plan = CommandRegistrationPlanner.diff(commands, existing);
+
+        expect(CommandRegistrationPlanner.hasChanges(plan)).toBe(false);
+        expect(plan.unchanged).toHaveLength(commands.length);
+    });
+
+    test('should plan creates, updates and deletes', async () => {
+        const [status, help] = ['naffles-status', 'naffles-help']
+            .map(name => localizeCommandData(registry.get(name).data.toJSON()));
+        rest.get.mockResolvedValue([
+            asRegistered({ ...status, description: 'Old description' }, 'cmd1'),
+            asRegistered({ name: 'naffles-retired', description: 'Removed command' }, 'cmd2')
+        ]);
+
+        const plan = await planner.plan([status, help]);
+
+        expect(rest.get).toHaveBeenCalledWith(Routes.applicationCommands('client123'), expect.objectContaining({
+            query: expect.any(URLSearchParams)
+        }));
+        expect(plan.create.map(entry => entry.name)).toEqual(['naffles-help']);
+        expect(plan.update).toEqual([expect.objectContaining({ name: 'naffles-status', id: 'cmd1', changes: ['description'] })]);
+        expect(plan.delete).toEqual([{ name: 'naffles-retired', id: 'cmd2' }]);
+        expect(planner.formatPlan(plan)).toContain('~ /naffles-status (description)');
+    });
+
+    test('should apply only the planned changes', async () => {
+        const plan = {
+            guildId: 'guild123',
+            create: [{ name: 'naffles-a', command: { name: 'naffles-a' } }],
+            update: [{ name: 'naffles-b', id: 'cmd2', command: { name: 'naffles-b' }, changes: ['options'] }],
+            delete: [{ name: 'naffles-c', id: 'cmd3' }],
+            unchanged: [{ name: 'naffles-d', id: 'cmd4' }]
+        };
+
+        const result = await planner.apply(plan);
+
+        expect(result).toEqual({ created: 1, updated: 1, deleted: 1 });
+        expect(rest.post).toHaveBeenCalledWith(Routes.applicationGuildCommands('client123', 'guild123'), { body: { name: 'naffles-a' } });
+        expect(rest.patch).toHaveBeenCalledWith(Routes.applicationGuildCommand('client123', 'guild123', 'cmd2'), { body: { name: 'naffles-b' } });
+        expect(rest.delete).toHaveBeenCalledWith(Routes.applicationGuildCommand('client123', 'guild123', 'cmd3'));
+    });
+
+    describe('feature gating', () => {
+        let guildFeatures;
+
+        beforeEach(() => {
+            guildFeatures = new GuildFeatureService({ rest, commandRegistry: registry });
+            guildFeatures.planner.clientId = 'client123';
+        });
+
+        test('should keep feature-gated commands out of global registration', () => {
+            const globalNames = registry.getGlobalCommandData().map(command => command.name);
+
+            expect(registry.getFeatures()).toContain('allowlist_analytics');
+            expect(globalNames).not.toContain('naffles-allowlist-analytics');
+            expect(registry.getFeatureCommandData(['allowlist_analytics']).map(command => command.name))
+                .toEqual(['naffles-allowlist-analytics']);
+        });
+
+        test('should register the commands a guild opted into', async () => {
+            jest.spyOn(DiscordServerMapping, 'findOne').mockReturnValue({
+                select: () => ({ lean: jest.fn().mockResolvedValue({ botConfig: { featureFlags: ['allowlist_analytics'] } }) })
+            });
+
+            const { plan, applied } = await guildFeatures.syncGuildCommands('guild123');
+
+            expect(applied).toBe(true);
+            expect(plan.create.map(entry => entry.name)).toEqual(['naffles-allowlist-analytics']);
+            expect(rest.post).toHaveBeenCalledWith(Routes.applicationGuildCommands('client123', 'guild123'), expect.any(Object));
+        });
+
+        test('should remove gated commands when a guild opts out', async () => {
+            jest.spyOn(DiscordServerMapping, 'findOneAndUpdate').mockResolvedValue({ botConfig: { featureFlags: [] } });
+            rest.get.mockResolvedValue([{ id: 'cmd9', name: 'naffles-allowlist-analytics', description: 'Analytics' }]);
+
+            const result = await guildFeatures.setGuildFeature('guild123', 'allowlist_analytics', false, 'admin123');
+
+            expect(result.success).toBe(true);
+            expect(DiscordServerMapping.findOneAndUpdate).toHaveBeenCalledWith(
+                { guildId: 'guild123', isActive: true },
+                { $pull: { 'botConfig.featureFlags': 'allowlist_analytics' } },
+                { new: true }
+            );
+            expect(rest.delete).toHaveBeenCalledWith(Routes.applicationGuildCommand('client123', 'guild123', 'cmd9'));
+        });
+
+        test('should leave ungated guild commands to register-guild', async () => {
+            jest.spyOn(DiscordServerMapping, 'findOne').mockReturnValue({
+                select: () => ({ lean: jest.fn().mockResolvedValue({ botConfig: { featureFlags: [] } }) })
+            });
+            rest.get.mockResolvedValue([
+                { id: 'cmd1', name: 'naffles-status', description: 'Status' },
+                { id: 'cmd9', name: 'naffles-allowlist-analytics', description: 'Analytics' }
+            ]);
+
+            const { plan } = await guildFeatures.syncGuildCommands('guild123');
+
+            expect(plan.delete).toEqual([{ name: 'naffles-allowlist-analytics', id: 'cmd9' }]);
+            expect(rest.delete).toHaveBeenCalledTimes(1);
+        });
+
+        test('should plan a testing guild\'s ungated and enabled feature commands together', async () => {
+            rest.get.mockResolvedValue([{ id: 'cmd8', name: 'naffles-removed', description: 'Old' }]);
+
+            const { plan, applied } = await guildFeatures.syncGuildCommands('guild123', {
+                featureFlags: ['allowlist_analytics'],
+                includeGlobal: true,
+                dryRun: true
+            });
+
+            const names = plan.create.map(entry => entry.name);
+            expect(applied).toBe(false);
+            expect(names).toEqual(expect.arrayContaining(['naffles-status', 'naffles-allowlist-analytics']));
+            expect(names).toHaveLength(registry.getGlobalCommandData().length + 1);
+            expect(plan.delete).toEqual([{ name: 'naffles-removed', id: 'cmd8' }]);
+        });
+
+        test('should not stop startup when feature commands cannot be synced', async () => {
+            jest.spyOn(DiscordServerMapping, 'find').mockImplementation(() => {
+                throw new Error('connection refused');
+            });
+            const bot = { rest, commandRegistry: registry, guildFeatures };
+
+            await expect(DiscordBotService.prototype.registerSlashCommands.call(Object.assign(bot, {
+                syncFeatureCommands: DiscordBotService.prototype.syncFeatureCommands
+            }))).resolves.toBeUndefined();
+            expect(rest.post).toHaveBeenCalledTimes(registry.getGlobalCommandData().length);
+        });
+
+        test('should reject unknown features', async () => {
+            const result = await guildFeatures.setGuildFeature('guild123', 'not_a_feature', true, 'admin123');
+
+            expect(result).toMatchObject({ success: false, reason: 'invalid_feature' });
+        });
+    });
+});
@@ -0,0 +1,190 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CommandRegistry = require('../src/handlers/commandRegistry');
+const CommandHandler = require('../src/handlers/commandHandler');
+const ButtonHandler = require('../src/handlers/buttonHandler');
+const PermissionManager = require('../src/services/permissionManager');
+const HelpCommand = require('../src/commands/help');
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+}));
+
+describe('Command Registry', () => {
+    let registry;
+
+    beforeAll(() => {
+        registry = new CommandRegistry().load();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should load every command module with its metadata', () => {
+        const names = registry.getNames();
+
+        expect(names).toEqual(expect.arrayContaining([
+            'naffles-create-task',
+            'naffles-security',
+            'naffles-allowlist-analytics',
+            'naffles-task-review'
+        ]));
+        expect(registry.getSlashCommandData().map(command => command.name).sort()).toEqual([...names].sort());
+        expect(registry.getCooldown('naffles-create-task')).toBe(10000);
+        expect(registry.getCooldown('naffles-unknown')).toBe(5000);
+        expect(registry.getPermissionDefaults()['naffles-role-rewards']).toEqual({
+            requiredRoles: [],
+            requiredPermissions: ['ManageGuild', 'ManageRoles'],
+            adminOnly: false,
+            maxUsesPerHour: 30,
+            cooldown: 5000
+        });
+    });
+
+    test('should match component routes by custom ID and prefix', () => {
+        expect(registry.findRoute('button', 'refresh_status')).toEqual({ command: 'naffles-status', handler: 'handleButtonInteraction' });
+        expect(registry.findRoute('button', 'enter_allowlist_abc')).toEqual({ command: 'naffles-connect-allowlist', handler: 'handleAllowlistEntry' });
+        expect(registry.findRoute('modal', 'task_review_modal_approve_1')).toEqual({ command: 'naffles-task-review', handler: 'handleReviewDecision' });
+        expect(registry.findRoute('selectMenu', 'help_topic')).toEqual({ command: 'naffles-help', handler: 'handleSelectMenuInteraction' });
+        expect(registry.findRoute('selectMenu', 'refresh_status')).toBeNull();
+        expect(registry.findRoute('button', 'unknown_button')).toBeNull();
+    });
+
+    test('should list help entries for linked and unlinked servers in order', () => {
+        const help = new HelpCommand({ commandRegistry: registry });
+
+        expect(registry.getHelpEntries(false).map(definition => definition.name))
+            .toEqual(['naffles-link-community', 'naffles-status', 'naffles-help']);
+        expect(registry.getHelpEntries(true).map(definition => definition.name)).not.toContain('naffles-security');
+        expect(help.getBasicCommands('en').split('\n')[0]).toBe('• `/naffles-link-community` - Link your community');
+        expect(help.getLinkedServerCommands('es')).toContain('• `/naffles-create-task` - Crear tareas sociales');
+    });
+
+    test('should feed default permissions to the permission manager', () => {
+        jest.spyOn(global, 'setInterval').mockReturnValue(0);
+        const permissionManager = new PermissionManager({ commandRegistry: registry });
+
+        expect(permissionManager.defaultPermissions['naffles-security']).toMatchObject({
+            requiredPermissions: ['Administrator'],
+            adminOnly: true
+        });
+    });
+
+    describe('interaction routing', () => {
+        let botService;
+        let handler;
+
+        const createInteraction = customId => ({
+            customId,
+            user: { id: 'user123' },
+            guildId: 'guild123',
+            reply: jest.fn().mockResolvedValue()
+        });
+
+        beforeEach(() => {
+            botService = {
+                commandRegistry: registry,
+                rateLimiter: { checkRateLimit: jest.fn().mockResolvedValue({ allowed: true }) }
+            };
+            handler = new CommandHandler(botService);
+        });
+
+        test('should route modals and select menus to the declaring command', async () => {
+            const createTask = handler.commands.get('naffles-create-task');
+            const listTasks = handler.commands.get('naffles-list-tasks');
+            jest.spyOn(createTask, 'handleModalSubmit').mockResolvedValue();
+            jest.spyOn(listTasks, 'handleSelectMenu').mockResolvedValue();
+
+            const modal = createInteraction('create_task_modal_abc');
+            const select = createInteraction('select_task_details');
+            await handler.handleModalSubmit(modal);
+            await handler.handleSelectMenu(select);
+
+            expect(createTask.handleModalSubmit).toHaveBeenCalledWith(modal);
+            expect(listTasks.handleSelectMenu).toHaveBeenCalledWith(select);
+        });
+
+        test('should reply to components no command declared', async () => {
+            const interaction = createInteraction('unknown_modal');
+
+            await handler.handleModalSubmit(interaction);
+
+            expect(interaction.reply).toHaveBeenCalledWith(expect.objectContaining({
+                content: expect.stringContaining('Unknown modal')
+            }));
+        });
+
+        test('should route buttons through the command handler', async () => {
+            const buttonHandler = new ButtonHandler(botService, handler);
+            const leaderboard = handler.commands.get('naffles-leaderboard');
+            jest.spyOn(leaderboard, 'handleButtonInteraction').mockResolvedValue();
+
+            const interaction = createInteraction('leaderboard_view_weekly_points');
+            await buttonHandler.handleButtonInteraction(interaction);
+
+            expect(leaderboard.handleButtonInteraction).toHaveBeenCalledWith(interaction);
+            expect(interaction.reply).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('hot reload', () => {
+        let commandsPath;
+
+        const writeCommand = (file, description) => {
+            fs.writeFileSync(path.join(commandsPath, file), `
+                class ExampleCommand {
+                    constructor(botService) { this.botService = botService; }
+                    describe() { return '${description}'; }
+                }
+                module.exports = ExampleCommand;
+                module.exports.data = { name: 'naffles-example', toJSON: () => ({ name: 'naffles-example', description: '${description}' }) };
+                module.exports.meta = { cooldown: 1000 };
+            `);
+        };
+
+        beforeEach(() => {
+            commandsPath = fs.mkdtempSync(path.join(os.tmpdir(), 'naffles-commands-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(commandsPath, { recursive: true, force: true });
+        });
+
+        test('should swap in reloaded command instances', () => {
+            writeCommand('example.js', 'First version');
+            const localRegistry = new CommandRegistry(commandsPath).load();
+            const handler = new CommandHandler({ commandRegistry: localRegistry });
+            const reloaded = jest.fn();
+            localRegistry.on('reloaded', reloaded);
+
+            expect(handler.commands.get('naffles-example').describe()).toBe('First version');
+
+            writeCommand('example.js', 'Second version');
+            // Jest keeps its own module registry alongside require.cache
+            jest.resetModules();
+            const changed = localRegistry.reload();
+
+            expect(changed).toEqual(['naffles-example']);
+            expect(reloaded).toHaveBeenCalledWith({ commands: ['naffles-example'], changedData: ['naffles-example'] });
+            expect(handler.commands.get('naffles-example').describe()).toBe('Second version');
+        });
+
+        test('should keep the last working version when a module fails to load', () => {
+            writeCommand('example.js', 'Working version');
+            const localRegistry = new CommandRegistry(commandsPath).load();
+
+            fs.writeFileSync(path.join(commandsPath, 'example.js'), 'module.exports = {');
+            jest.resetModules();
+            localRegistry.reload();
+
+            expect(localRegistry.has('naffles-example')).toBe(true);
+            expect(localRegistry.getSlashCommandData()[0].description).toBe('Working version');
+        });
+    });
+});
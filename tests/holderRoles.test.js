@@ -0,0 +1,283 @@
+const { PermissionFlagsBits } = require('discord.js');
+const HolderRoleService = require('../src/services/holderRoleService');
+const RoleRewardService = require('../src/services/roleRewardService');
+const TaskEligibilityService = require('../src/services/taskEligibilityService');
+const WebhookIntegrationService = require('../src/services/webhookIntegrationService');
+const HolderRoleRule = require('../src/models/holderRoleRule');
+const RoleRewardGrant = require('../src/models/roleRewardGrant');
+const DiscordAccountLink = require('../src/models/discordAccountLink');
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+}));
+
+describe('Holder Roles', () => {
+    const CONTRACT = '0x' + 'ab'.repeat(20);
+    let botService;
+    let service;
+    let guild;
+    let members;
+    let holdings;
+    let grants;
+
+    const buildPermissions = (...flags) => ({
+        has: jest.fn(flag => flags.includes(flag))
+    });
+
+    const buildMember = id => ({
+        id,
+        user: { id, bot: false },
+        guild: null,
+        roles: {
+            highest: { position: 10 },
+            cache: new Map(),
+            add: jest.fn(async roleId => { members.get(id).roles.cache.set(roleId, true); }),
+            remove: jest.fn(async roleId => { members.get(id).roles.cache.delete(roleId); })
+        }
+    });
+
+    const buildRule = (overrides = {}) => {
+        const rule = new HolderRoleRule({
+            guildId: 'guild123',
+            roleId: 'holder',
+            roleName: 'Holder',
+            ruleType: 'nft',
+            chain: 'ethereum',
+            contractAddress: CONTRACT,
+            minimumBalance: 2,
+            configuredBy: 'admin1',
+            ...overrides
+        });
+        rule.save = jest.fn().mockResolvedValue(rule);
+        return rule;
+    };
+
+    // Grants the bot has recorded, as documents with the model's methods
+    const buildGrant = userId => {
+        const grant = new RoleRewardGrant({ guildId: 'guild123', userId, roleId: 'holder', source: { type: 'holder_rule', id: 'rule1' } });
+        grant.save = jest.fn().mockResolvedValue(grant);
+        grants.push(grant);
+        return grant;
+    };
+
+    beforeEach(() => {
+        members = new Map(['user1', 'user2', 'user3'].map(id => [id, buildMember(id)]));
+        guild = {
+            id: 'guild123',
+            ownerId: 'owner1',
+            roles: {
+                cache: new Map([['holder', { id: 'holder', name: 'Holder', position: 5, managed: false, permissions: buildPermissions() }]]),
+                fetch: jest.fn().mockResolvedValue(null)
+            },
+            members: {
+                me: { permissions: buildPermissions(PermissionFlagsBits.ManageRoles), roles: { highest: { position: 8 } } },
+                cache: members,
+                fetch: jest.fn(async id => members.get(id) || null)
+            }
+        };
+        members.forEach(member => { member.guild = guild; });
+
+        // Naffles user -> NFTs; null makes the API call fail
+        holdings = {
+            naffles1: [{ tokenId: '1', attributes: [{ trait_type: 'Background', value: 'Gold' }] }, { tokenId: '2', attributes: [] }],
+            naffles2: [{ tokenId: '3', attributes: [] }],
+            naffles3: null
+        };
+
+        botService = {
+            db: { isHealthy: jest.fn().mockReturnValue(true) },
+            client: { isReady: () => true, guilds: { cache: new Map([['guild123', guild]]) } },
+            auditLogger: {
+                logConfigChange: jest.fn().mockResolvedValue(),
+                logRoleRewardEvent: jest.fn().mockResolvedValue(),
+                logAdminAction: jest.fn().mockResolvedValue()
+            },
+            makeNafflesApiCall: jest.fn(async endpoint => {
+                const [, userId] = endpoint.match(/ownership\/([^?]+)/);
+                if (holdings[userId] === null) {
+                    throw new Error('Service unavailable');
+                }
+                return holdings[userId] || [];
+            })
+        };
+        botService.roleRewards = new RoleRewardService(botService);
+        botService.taskEligibility = new TaskEligibilityService(botService);
+        service = new HolderRoleService(botService);
+
+        grants = [];
+        jest.spyOn(RoleRewardGrant, 'findActiveGrant').mockImplementation(async (guildId, userId, roleId) =>
+            grants.find(grant => grant.userId === userId && grant.roleId === roleId && grant.status === 'active') || null);
+        jest.spyOn(RoleRewardGrant, 'create').mockImplementation(async fields => buildGrant(fields.userId));
+        jest.spyOn(RoleRewardGrant, 'find').mockImplementation(async () => grants.filter(grant => grant.status === 'active'));
+        jest.spyOn(DiscordAccountLink, 'findByDiscord').mockImplementation(async discordId =>
+            ({ discordId, nafflesUserId: discordId.replace('user', 'naffles') }));
+        jest.spyOn(DiscordAccountLink, 'find').mockReturnValue({
+            select: () => ({
+                lean: jest.fn().mockResolvedValue(['user1', 'user2', 'user3'].map(id => ({ discordId: id, nafflesUserId: id.replace('user', 'naffles') })))
+            })
+        });
+    });
+
+    afterEach(() => {
+        service.stop();
+        jest.restoreAllMocks();
+    });
+
+    test('should check chain, minimum balance and traits through the eligibility validators', async () => {
+        const rule = buildRule();
+        expect(await service.checkHolding(rule, 'naffles1')).toEqual({ eligible: true, balance: 2 });
+        expect(botService.makeNafflesApiCall).toHaveBeenCalledWith(`/api/nft/ownership/naffles1?contract=${CONTRACT}&chain=ethereum`);
+        expect(await service.checkHolding(rule, 'naffles2')).toEqual({ eligible: false, balance: 1 });
+
+        const traitRule = buildRule({ minimumBalance: 1, traits: [{ traitType: 'background', value: 'gold' }] });
+        expect((await service.checkHolding(traitRule, 'naffles1')).balance).toBe(1);
+        expect((await service.checkHolding(traitRule, 'naffles2')).eligible).toBe(false);
+
+        // An API outage is not a zero balance
+        expect(await service.checkHolding(rule, 'naffles3')).toMatchObject({ eligible: null, balance: null });
+
+        botService.makeNafflesApiCall.mockResolvedValueOnce({ balance: '1500.5' });
+        const tokenRule = buildRule({ ruleType: 'token', chain: 'base', minimumBalance: 1000 });
+        expect(await service.checkHolding(tokenRule, 'naffles1')).toEqual({ eligible: true, balance: 1500.5 });
+        expect(botService.makeNafflesApiCall).toHaveBeenLastCalledWith(`/api/tokens/balance/naffles1?token=${CONTRACT}&chain=base`);
+    });
+
+    test('should grant roles to qualifying members when they link or join', async () => {
+        jest.spyOn(HolderRoleRule, 'findByGuild').mockResolvedValue([buildRule()]);
+        jest.spyOn(HolderRoleRule, 'findGuildIdsWithRules').mockResolvedValue(['guild123', 'otherGuild']);
+
+        expect(await service.handleAccountLinked('user1')).toBe(1);
+        expect(members.get('user1').roles.add).toHaveBeenCalledWith('holder', expect.stringContaining('2+ NFTs'));
+        expect(RoleRewardGrant.create).toHaveBeenCalledWith(expect.objectContaining({ userId: 'user1', source: { type: 'holder_rule', id: expect.any(String) } }));
+        expect(botService.auditLogger.logRoleRewardEvent).toHaveBeenCalledWith('user1', 'guild123', 'holder_granted', expect.objectContaining({ balance: 2 }));
+
+        expect(await service.verifyMember(members.get('user2'))).toEqual({ linked: true, granted: [] });
+
+        DiscordAccountLink.findByDiscord.mockResolvedValue(null);
+        expect(await service.verifyMember(members.get('user3'))).toEqual({ linked: false, granted: [] });
+    });
+
+    test('should pass account links from the webhook on to the other shards', async () => {
+        botService.holderRoles = { handleAccountLinked: jest.fn().mockResolvedValue(0) };
+        botService.shardCoordinator = { broadcast: jest.fn().mockResolvedValue(true) };
+        const webhooks = new WebhookIntegrationService(botService, { emit: jest.fn() });
+
+        await webhooks.eventHandlers.get('user.account_linked')({ discordId: 'user1' });
+
+        expect(botService.holderRoles.handleAccountLinked).toHaveBeenCalledWith('user1');
+        expect(botService.shardCoordinator.broadcast).toHaveBeenCalledWith('account_linked', { discordId: 'user1' });
+    });
+
+    test('should not track or revoke roles given some other way', async () => {
+        const rule = buildRule();
+        members.get('user1').roles.cache.set('holder', true);
+
+        expect(await service.grantRole(rule, members.get('user1'), 2)).toEqual({ success: false, reason: 'already_has_role' });
+        expect(RoleRewardGrant.create).not.toHaveBeenCalled();
+    });
+
+    test('should report members below the requirement without revoking in dry run', async () => {
+        const rule = buildRule();
+        jest.spyOn(HolderRoleRule, 'findByGuild').mockResolvedValue([rule]);
+        ['user2', 'user3'].forEach(id => {
+            buildGrant(id);
+            members.get(id).roles.cache.set('holder', true);
+        });
+
+        const [report] = await service.recheckGuild(guild);
+
+        expect(report).toMatchObject({ dryRun: true, checked: 3, holders: 1, granted: 1, belowThreshold: 1, unverified: 1, revoked: 0, revokeUserIds: ['user2'] });
+        expect(members.get('user2').roles.remove).not.toHaveBeenCalled();
+        expect(rule.lastReport).toMatchObject({ belowThreshold: 1, dryRun: true });
+        expect(rule.save).toHaveBeenCalled();
+    });
+
+    test('should change no roles in a preview, even for enforcing rules', async () => {
+        const rule = buildRule({ enforcement: 'enforce' });
+        jest.spyOn(HolderRoleRule, 'findByGuild').mockResolvedValue([rule]);
+        buildGrant('user2');
+
+        const [report] = await service.recheckGuild(guild, { preview: true, userId: 'admin1' });
+
+        expect(report).toMatchObject({ dryRun: true, holders: 1, granted: 0, belowThreshold: 1, revoked: 0 });
+        expect(members.get('user1').roles.add).not.toHaveBeenCalled();
+        expect(botService.auditLogger.logAdminAction).toHaveBeenCalledWith('admin1', 'holder_roles_rechecked', 'guild123', expect.objectContaining({ preview: true }));
+    });
+
+    test('should revoke under enforcement but keep roles it could not verify', async () => {
+        const rule = buildRule({ enforcement: 'enforce' });
+        jest.spyOn(HolderRoleRule, 'findByGuild').mockResolvedValue([rule]);
+        const [grant2, grant3] = ['user2', 'user3'].map(id => {
+            members.get(id).roles.cache.set('holder', true);
+            return buildGrant(id);
+        });
+
+        const [report] = await service.recheckGuild(guild);
+
+        expect(report).toMatchObject({ dryRun: false, revoked: 1, unverified: 1 });
+        expect(members.get('user2').roles.remove).toHaveBeenCalledWith('holder', expect.stringContaining('no longer holds'));
+        expect(grant2.status).toBe('removed');
+        expect(grant3.status).toBe('active');
+        expect(members.get('user3').roles.remove).not.toHaveBeenCalled();
+        expect(botService.auditLogger.logRoleRewardEvent).toHaveBeenCalledWith('user2', 'guild123', 'holder_revoked', expect.objectContaining({ balance: 1 }));
+    });
+
+    test('should require a report before enforcing and reset to dry run when a rule changes', async () => {
+        const rule = buildRule();
+        jest.spyOn(HolderRoleRule, 'findOne').mockResolvedValue(rule);
+
+        expect(await service.setEnforcement('guild123', 'holder', true, 'admin1')).toMatchObject({ success: false, reason: 'report_required' });
+
+        rule.reviewedReport = { generatedAt: new Date(), requestedBy: 'admin1', belowThreshold: 4 };
+        expect(await service.setEnforcement('guild123', 'holder', true, 'admin1')).toMatchObject({ success: true });
+        expect(rule.enforcement).toBe('enforce');
+        expect(botService.auditLogger.logConfigChange).toHaveBeenCalledWith('admin1', 'guild123', 'holder_role', { roleId: 'holder', enforcement: 'enforce', belowThreshold: 4 });
+
+        jest.spyOn(HolderRoleRule, 'findOneAndUpdate').mockResolvedValue(rule);
+        const admin = { id: 'owner1', roles: { highest: { position: 20 } } };
+        await service.configureRule(guild, { roleId: 'holder', ruleType: 'nft', chain: 'ethereum', contractAddress: CONTRACT.toUpperCase().replace('0X', '0x'), minimumBalance: 3 }, admin);
+
+        const [, update] = HolderRoleRule.findOneAndUpdate.mock.calls[0];
+        expect(update.$set).toMatchObject({ enforcement: 'dry_run', contractAddress: CONTRACT, minimumBalance: 3 });
+        expect(update.$unset).toEqual({ lastReport: '', reviewedReport: '' });
+    });
+
+    test('should only accept a recent report an admin requested for enforcing', async () => {
+        const rule = buildRule();
+        jest.spyOn(HolderRoleRule, 'findByGuild').mockResolvedValue([rule]);
+        jest.spyOn(HolderRoleRule, 'findOne').mockResolvedValue(rule);
+        buildGrant('user2');
+
+        // Scheduled re-checks write a report, but nobody reviewed it
+        await service.recheckGuild(guild);
+        expect(rule.lastReport.generatedAt).toBeDefined();
+        expect(await service.setEnforcement('guild123', 'holder', true, 'admin1')).toMatchObject({ success: false, reason: 'report_required' });
+
+        await service.recheckGuild(guild, { preview: true, userId: 'admin1' });
+        expect(rule.reviewedReport).toMatchObject({ requestedBy: 'admin1', belowThreshold: 1 });
+
+        jest.advanceTimersByTime(service.reviewMaxAge);
+        expect(await service.setEnforcement('guild123', 'holder', true, 'admin1')).toMatchObject({ success: false, reason: 'report_required' });
+
+        await service.recheckGuild(guild, { preview: true, userId: 'admin1' });
+        expect(await service.setEnforcement('guild123', 'holder', true, 'admin1')).toMatchObject({ success: true });
+    });
+
+    test('should reject invalid rules', async () => {
+        const admin = { id: 'owner1', roles: { highest: { position: 20 } } };
+        const rule = options => service.configureRule(guild, { roleId: 'holder', ruleType: 'nft', chain: 'ethereum', contractAddress: CONTRACT, ...options }, admin);
+
+        expect((await rule({ chain: 'dogechain' })).reason).toBe('invalid_chain');
+        expect((await rule({ contractAddress: '0x123' })).reason).toBe('invalid_contract');
+        expect((await rule({ chain: 'solana' })).reason).toBe('invalid_contract');
+        expect((await rule({ minimumBalance: 1.5 })).reason).toBe('invalid_balance');
+        expect((await rule({ ruleType: 'token', traits: [{ traitType: 'a', value: 'b' }] })).reason).toBe('invalid_traits');
+
+        guild.roles.cache.get('holder').permissions = buildPermissions(PermissionFlagsBits.Administrator);
+        expect((await rule({})).reason).toBe('privileged_role');
+    });
+});
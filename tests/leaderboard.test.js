@@ -0,0 +1,259 @@
+const LeaderboardService = require('../src/services/leaderboardService');
+const EmbedTemplates = require('../src/services/embedTemplates');
+const EmbedUpdateService = require('../src/services/embedUpdateService');
+const DiscordAccountLink = require('../src/models/discordAccountLink');
+const LeaderboardMessage = require('../src/models/leaderboardMessage');
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+}));
+
+describe('Leaderboard System', () => {
+    let mockBotService;
+    let service;
+    let mockGuild;
+    let redisStore;
+
+    const mockFind = (links) => {
+        const chain = {
+            sort: jest.fn(() => chain),
+            limit: jest.fn(() => chain),
+            select: jest.fn(() => chain),
+            lean: jest.fn().mockResolvedValue(links)
+        };
+        const findSpy = jest.spyOn(DiscordAccountLink, 'find').mockReturnValue(chain);
+        return { findSpy, chain };
+    };
+
+    const buildLinks = (count) => Array.from({ length: count }, (_, index) => ({
+        discordId: `user${index + 1}`,
+        activityStats: {
+            totalPointsEarned: (count - index) * 100,
+            totalTasksCompleted: count - index,
+            weekly: { pointsEarned: (count - index) * 10, tasksCompleted: 1 }
+        }
+    }));
+
+    beforeEach(() => {
+        redisStore = new Map();
+
+        mockGuild = {
+            id: 'guild123',
+            members: {
+                fetch: jest.fn().mockResolvedValue(new Map([['user1', {}], ['user2', {}], ['user3', {}]]))
+            }
+        };
+
+        mockBotService = {
+            client: { guilds: { cache: new Map([['guild123', mockGuild]]) } },
+            // Same surface as RedisService: values are (de)serialized by set and get
+            redis: {
+                get: jest.fn(async key => (redisStore.has(key) ? JSON.parse(redisStore.get(key)) : null)),
+                set: jest.fn(async (key, value) => redisStore.set(key, JSON.stringify(value)))
+            },
+            embedTemplates: new EmbedTemplates(),
+            embedUpdater: {
+                registerRenderer: jest.fn(),
+                registerEmbedForUpdates: jest.fn().mockResolvedValue(),
+                unregisterEmbedFromUpdates: jest.fn().mockResolvedValue()
+            },
+            localization: { getGuildLocale: jest.fn().mockResolvedValue('en') }
+        };
+
+        service = new LeaderboardService(mockBotService);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('Period tracking', () => {
+        test('should start weeks on Monday and months on the 1st (UTC)', () => {
+            const sunday = new Date('2025-06-15T23:00:00Z');
+
+            expect(DiscordAccountLink.getPeriodStart('weekly', sunday).toISOString()).toBe('2025-06-09T00:00:00.000Z');
+            expect(DiscordAccountLink.getPeriodStart('monthly', sunday).toISOString()).toBe('2025-06-01T00:00:00.000Z');
+        });
+
+        test('should reset period totals when a new period starts', async () => {
+            const link = new DiscordAccountLink({
+                discordId: 'user1',
+                activityStats: {
+                    totalPointsEarned: 500,
+                    totalTasksCompleted: 5,
+                    weekly: { periodStart: new Date('2020-01-06T00:00:00Z'), pointsEarned: 300, tasksCompleted: 3 }
+                }
+            });
+            jest.spyOn(link, 'save').mockResolvedValue(link);
+
+            await link.incrementTaskCompletion(50);
+
+            expect(link.activityStats.totalPointsEarned).toBe(550);
+            expect(link.activityStats.weekly.pointsEarned).toBe(50);
+            expect(link.activityStats.weekly.tasksCompleted).toBe(1);
+            expect(link.activityStats.weekly.periodStart.getTime())
+                .toBe(DiscordAccountLink.getPeriodStart('weekly').getTime());
+            expect(link.activityStats.monthly.pointsEarned).toBe(50);
+
+            await link.incrementTaskCompletion(25);
+            expect(link.activityStats.weekly.pointsEarned).toBe(75);
+        });
+    });
+
+    describe('Rankings', () => {
+        test('should rank server members and cache the result', async () => {
+            const { findSpy, chain } = mockFind(buildLinks(3));
+
+            const rankings = await service.getRankings(mockGuild, { period: 'all_time', metric: 'points' });
+
+            expect(rankings[0]).toEqual({ rank: 1, discordId: 'user1', points: 300, tasks: 3 });
+            expect(findSpy).toHaveBeenCalledWith(expect.objectContaining({
+                discordId: { $in: ['user1', 'user2', 'user3'] },
+                'activityStats.totalPointsEarned': { $gt: 0 }
+            }));
+            expect(chain.sort).toHaveBeenCalledWith({
+                'activityStats.totalPointsEarned': -1,
+                'activityStats.totalTasksCompleted': -1
+            });
+            expect(mockBotService.redis.set).toHaveBeenCalledWith(
+                'leaderboard:guild123:all_time:points', rankings, 300
+            );
+
+            expect(await service.getRankings(mockGuild, { period: 'all_time', metric: 'points' })).toEqual(rankings);
+            expect(findSpy).toHaveBeenCalledTimes(1);
+        });
+
+        test('should reuse the member list across views until it goes stale', async () => {
+            const { findSpy } = mockFind(buildLinks(3));
+
+            await service.getRankings(mockGuild, { period: 'all_time', metric: 'points' });
+            await service.getRankings(mockGuild, { period: 'weekly', metric: 'tasks' });
+
+            expect(findSpy).toHaveBeenCalledTimes(2);
+            expect(mockGuild.members.fetch).toHaveBeenCalledTimes(1);
+
+            jest.advanceTimersByTime(service.memberCacheTTL);
+            await service.getRankings(mockGuild, { period: 'monthly', metric: 'points' });
+            expect(mockGuild.members.fetch).toHaveBeenCalledTimes(2);
+        });
+
+        test('should only count the current period for weekly views', async () => {
+            const { findSpy, chain } = mockFind(buildLinks(2));
+
+            const rankings = await service.getRankings(mockGuild, { period: 'weekly', metric: 'tasks' });
+
+            expect(rankings[0].points).toBe(20);
+            expect(findSpy).toHaveBeenCalledWith(expect.objectContaining({
+                'activityStats.weekly.periodStart': DiscordAccountLink.getPeriodStart('weekly'),
+                'activityStats.weekly.tasksCompleted': { $gt: 0 }
+            }));
+            expect(chain.sort).toHaveBeenCalledWith({
+                'activityStats.weekly.tasksCompleted': -1,
+                'activityStats.weekly.pointsEarned': -1
+            });
+        });
+
+        test('should paginate rankings with pagination controls', async () => {
+            mockFind(buildLinks(25));
+
+            const content = await service.buildLeaderboardMessage(mockGuild, {
+                period: 'all_time',
+                metric: 'points',
+                page: 2,
+                locale: 'en'
+            });
+
+            const description = content.embeds[0].data.description;
+            expect(description.split('\n')).toHaveLength(10);
+            expect(description).toContain('**11.** <@user11>');
+            expect(content.components).toHaveLength(1);
+
+            const buttonIds = content.components[0].components.map(button => button.data.custom_id);
+            expect(buttonIds).toContain('leaderboard_view_all_time_points_next_3');
+            expect(service.parseButtonId(buttonIds[0])).toEqual({
+                source: 'view',
+                period: 'all_time',
+                metric: 'points',
+                page: 1
+            });
+        });
+
+        test('should show an empty state when nobody has activity', async () => {
+            mockFind([]);
+
+            const content = await service.buildLeaderboardMessage(mockGuild, { period: 'monthly', locale: 'es' });
+
+            expect(content.embeds[0].data.title).toContain('Este mes');
+            expect(content.components).toHaveLength(0);
+        });
+    });
+
+    describe('Persistent leaderboards', () => {
+        test('should post a leaderboard and register it for refreshing', async () => {
+            mockFind(buildLinks(3));
+            jest.spyOn(LeaderboardMessage, 'create').mockImplementation(async doc => new LeaderboardMessage(doc));
+            const channel = {
+                id: 'channel123',
+                guild: mockGuild,
+                send: jest.fn().mockResolvedValue({ id: 'message123' })
+            };
+
+            const result = await service.postLeaderboard(channel, { period: 'monthly', metric: 'tasks' }, 'admin123');
+
+            expect(result.success).toBe(true);
+            expect(channel.send.mock.calls[0][0].embeds).toHaveLength(1);
+            expect(mockBotService.embedUpdater.registerEmbedForUpdates).toHaveBeenCalledWith(
+                'leaderboard_guild123_message123',
+                expect.objectContaining({ type: 'leaderboard', dataId: 'monthly:tasks', updateFrequency: 600000 })
+            );
+        });
+
+        test('should redraw boards through the embed update service', async () => {
+            const embedUpdater = new EmbedUpdateService({}, {}, {});
+            const renderer = jest.fn().mockResolvedValue({ embeds: ['new'] });
+            const message = { embeds: [{ title: 'old' }], edit: jest.fn().mockResolvedValue() };
+            embedUpdater.client = {
+                channels: { fetch: jest.fn().mockResolvedValue({ messages: { fetch: jest.fn().mockResolvedValue(message) } }) }
+            };
+            embedUpdater.registerRenderer('leaderboard', renderer);
+            embedUpdater.activeEmbeds.set('board1', { type: 'leaderboard', channelId: 'c', messageId: 'm', isActive: true });
+
+            const updated = await embedUpdater.updateEmbed('board1', {}, true);
+
+            expect(updated).toBe(true);
+            expect(message.edit).toHaveBeenCalledWith({ embeds: ['new'] });
+        });
+
+        test('should stop refreshing the leaderboards in a channel', async () => {
+            const board = new LeaderboardMessage({
+                guildId: 'guild123',
+                channelId: 'channel123',
+                messageId: 'message123',
+                period: 'weekly',
+                metric: 'points',
+                createdBy: 'admin123'
+            });
+            jest.spyOn(board, 'save').mockResolvedValue(board);
+            jest.spyOn(LeaderboardMessage, 'findByChannel').mockResolvedValue([board]);
+
+            const removed = await service.removeLeaderboards('guild123', 'channel123');
+
+            expect(removed).toBe(1);
+            expect(board.isActive).toBe(false);
+            expect(mockBotService.embedUpdater.unregisterEmbedFromUpdates).toHaveBeenCalledWith('leaderboard_guild123_message123');
+        });
+
+        test('should record task completions on the account link', async () => {
+            const link = { incrementTaskCompletion: jest.fn().mockResolvedValue() };
+            jest.spyOn(DiscordAccountLink, 'findByDiscord').mockResolvedValue(link);
+
+            await service.recordTaskCompletion('user1', 75);
+
+            expect(link.incrementTaskCompletion).toHaveBeenCalledWith(75);
+        });
+    });
+});
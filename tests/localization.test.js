@@ -0,0 +1,203 @@
+const LocalizationService = require('../src/services/localizationService');
+const EmbedBuilderService = require('../src/services/embedBuilder');
+const FallbackService = require('../src/services/fallbackService');
+const DiscordServerMapping = require('../src/models/discordServerMapping');
+const { t, normalizeLocale, localizeCommandData } = require('../src/utils/i18n');
+const en = require('../src/locales/en.json');
+const es = require('../src/locales/es.json');
+const ptBR = require('../src/locales/pt-BR.json');
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+}));
+
+// Collect dotted keys of a locale file, ignoring command localizations
+const collectKeys = (node, prefix = '') => Object.entries(node).flatMap(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (path === 'commands') return [];
+    if (value && typeof value === 'object' && !Array.isArray(value) && value.other === undefined) {
+        return collectKeys(value, path);
+    }
+    return [path];
+});
+
+describe('Localization System', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('Translation helpers', () => {
+        test('should translate keys and interpolate variables', () => {
+            expect(t('en', 'embed.values.points', { count: 50 })).toBe('50 points');
+            expect(t('es', 'embed.values.points', { count: 50 })).toBe('50 puntos');
+            expect(t('pt-BR', 'templates.status.linkedTo', { name: 'Naffles' })).toBe('Vinculado a Naffles');
+        });
+
+        test('should pick plural forms by count', () => {
+            expect(t('en', 'embed.durations.hours', { count: 1 })).toBe('1 hour');
+            expect(t('en', 'embed.durations.hours', { count: 3 })).toBe('3 hours');
+            expect(t('es', 'embed.durations.days', { count: 1 })).toBe('1 día');
+        });
+
+        test('should fall back to English and then to the key', () => {
+            expect(t('fr', 'embed.fields.reward')).toBe('Reward');
+            expect(t('es', 'missing.key')).toBe('missing.key');
+        });
+
+        test('should map Discord locales to supported locales', () => {
+            expect(normalizeLocale('es-419')).toBe('es');
+            expect(normalizeLocale('es-ES')).toBe('es');
+            expect(normalizeLocale('pt-BR')).toBe('pt-BR');
+            expect(normalizeLocale('en-US')).toBe('en');
+            expect(normalizeLocale('de')).toBeNull();
+        });
+
+        test('should keep every locale file in sync with English', () => {
+            const englishKeys = collectKeys(en).sort();
+            expect(collectKeys(es).sort()).toEqual(englishKeys);
+            expect(collectKeys(ptBR).sort()).toEqual(englishKeys);
+        });
+    });
+
+    describe('Command localizations', () => {
+        test('should add name and description localizations for Discord locales', () => {
+            const json = localizeCommandData({ name: 'naffles-help', description: 'Get help' });
+
+            expect(json.name_localizations).toEqual({
+                'es-ES': 'naffles-ayuda',
+                'es-419': 'naffles-ayuda',
+                'pt-BR': 'naffles-ajuda'
+            });
+            expect(json.description_localizations['pt-BR']).toBe(ptBR.commands['naffles-help'].description);
+        });
+
+        test('should use valid Discord command names', () => {
+            for (const locale of [es, ptBR]) {
+                for (const entry of Object.values(locale.commands)) {
+                    expect(entry.name).toMatch(/^[-_\p{Ll}\p{N}]{1,32}$/u);
+                    expect(entry.description.length).toBeLessThanOrEqual(100);
+                }
+            }
+        });
+
+        test('should leave commands without translations unchanged', () => {
+            const json = localizeCommandData({ name: 'unknown-command', description: 'Test' });
+            expect(json.name_localizations).toBeUndefined();
+        });
+    });
+
+    describe('Localized embeds and messages', () => {
+        test('should render task embeds in the requested locale', () => {
+            const embedBuilder = new EmbedBuilderService();
+            const embed = embedBuilder.createTaskEmbed({
+                title: 'Follow us',
+                description: 'Follow our account',
+                points: 100,
+                duration: 48,
+                type: 'twitter_follow'
+            }, { locale: 'es' });
+
+            const fieldNames = embed.data.fields.map(field => field.name);
+            expect(fieldNames).toContain('💰 Recompensa');
+            expect(embed.data.fields.find(field => field.name.includes('Duración')).value).toBe('2 días');
+            expect(embed.data.footer.text).toBe('Con tecnología de Naffles');
+        });
+
+        test('should keep English output unchanged without a locale', () => {
+            const embedBuilder = new EmbedBuilderService();
+            expect(embedBuilder.formatStatus('active')).toBe('🎉 Active');
+            expect(embedBuilder.formatTaskType('discord_join')).toBe('💬 Discord Join');
+        });
+
+        test('should localize fallback messages', () => {
+            const fallbackService = new FallbackService({});
+            const result = fallbackService.createUserFriendlyMessage(new Error('down'), {
+                context: 'task_creation',
+                suggestAlternatives: true,
+                locale: 'pt-BR'
+            });
+
+            expect(result.message).toContain('Não conseguimos criar sua tarefa agora.');
+            expect(result.alternatives[0]).toBe('Tente novamente em alguns minutos');
+        });
+    });
+
+    describe('Locale resolution', () => {
+        let service;
+
+        const mockMapping = (botConfig, preferredLocale) => {
+            jest.spyOn(DiscordServerMapping, 'findOne').mockReturnValue({
+                select: () => ({
+                    lean: () => Promise.resolve({ botConfig, guildInfo: { preferredLocale } })
+                })
+            });
+        };
+
+        beforeEach(() => {
+            service = new LocalizationService({
+                getServerCommunityMapping: jest.fn().mockResolvedValue({ communityId: 'community123', linkedBy: 'admin123' }),
+                auditLogger: { logConfigChange: jest.fn().mockResolvedValue() }
+            });
+        });
+
+        test('should prefer the member locale when allowed', async () => {
+            mockMapping({ language: 'es', useMemberLocale: true }, 'en-US');
+            const locale = await service.resolveLocale({ guildId: 'guild123', locale: 'pt-BR' });
+            expect(locale).toBe('pt-BR');
+        });
+
+        test('should use the server language when member locales are off or unsupported', async () => {
+            mockMapping({ language: 'es', useMemberLocale: false }, 'en-US');
+            expect(await service.resolveLocale({ guildId: 'guild123', locale: 'pt-BR' })).toBe('es');
+
+            service.settingsCache.clear();
+            mockMapping({ language: 'es', useMemberLocale: true }, 'en-US');
+            expect(await service.resolveLocale({ guildId: 'guild123', locale: 'de' })).toBe('es');
+        });
+
+        test('should fall back to the guild Discord locale when no language is set', async () => {
+            mockMapping({ language: null, useMemberLocale: true }, 'pt-BR');
+            expect(await service.getGuildLocale('guild123')).toBe('pt-BR');
+        });
+
+        test('should store the server language and clear the cache', async () => {
+            const updateSpy = jest.spyOn(DiscordServerMapping, 'findOneAndUpdate').mockResolvedValue({
+                botConfig: { language: 'es', useMemberLocale: false }
+            });
+            service.settingsCache.set('guild123', { settings: {}, timestamp: Date.now() });
+
+            const result = await service.setGuildLanguage(
+                { id: 'guild123', name: 'Test Guild', preferredLocale: 'en-US' },
+                { language: 'es', useMemberLocale: false },
+                'admin123'
+            );
+
+            expect(result).toEqual({ success: true, language: 'es', useMemberLocale: false });
+            expect(updateSpy).toHaveBeenCalledWith(
+                { guildId: 'guild123' },
+                expect.objectContaining({
+                    $set: { 'botConfig.language': 'es', 'botConfig.useMemberLocale': false }
+                }),
+                expect.any(Object)
+            );
+            expect(service.settingsCache.has('guild123')).toBe(false);
+            expect(service.botService.auditLogger.logConfigChange).toHaveBeenCalledWith(
+                'admin123', 'guild123', 'language', expect.any(Object)
+            );
+        });
+
+        test('should refuse to set a language for unlinked servers', async () => {
+            service.botService.getServerCommunityMapping.mockResolvedValue(null);
+            const updateSpy = jest.spyOn(DiscordServerMapping, 'findOneAndUpdate');
+
+            const result = await service.setGuildLanguage({ id: 'guild123' }, { language: 'es' }, 'admin123');
+
+            expect(result.reason).toBe('not_linked');
+            expect(updateSpy).not.toHaveBeenCalled();
+        });
+    });
+});
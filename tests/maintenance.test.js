@@ -0,0 +1,234 @@
+const MaintenanceService = require('../src/services/maintenanceService');
+const CommandRegistry = require('../src/handlers/commandRegistry');
+const CommandHandler = require('../src/handlers/commandHandler');
+const MaintenanceCommand = require('../src/commands/maintenance');
+const ErrorHandler = require('../src/utils/errorHandler');
+const FallbackService = require('../src/services/fallbackService');
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+}));
+
+const MINUTE = 60 * 1000;
+
+// In-memory stand-in for RedisService's JSON key/value API
+const createRedis = () => {
+    const store = new Map();
+
+    return {
+        store,
+        isConnected: true,
+        set: jest.fn(async (key, value) => store.set(key, JSON.parse(JSON.stringify(value)))),
+        del: jest.fn(async key => store.delete(key)),
+        getKeysByPattern: jest.fn(async pattern => [...store.keys()].filter(key => key.startsWith(pattern.replace('*', '')))),
+        mget: jest.fn(async keys => keys.map(key => store.get(key) ?? null))
+    };
+};
+
+describe('Maintenance Mode', () => {
+    let registry;
+    let botService;
+    let maintenance;
+
+    beforeAll(() => {
+        registry = new CommandRegistry().load();
+    });
+
+    beforeEach(() => {
+        jest.setSystemTime(new Date('2026-11-02T12:00:00Z'));
+
+        botService = {
+            commandRegistry: registry,
+            webhookIntegration: { notifyMaintenanceScheduled: jest.fn().mockResolvedValue() },
+            shardCoordinator: { on: jest.fn(), broadcast: jest.fn().mockResolvedValue(true), isPrimary: () => true }
+        };
+        maintenance = new MaintenanceService(botService);
+        botService.maintenance = maintenance;
+    });
+
+    afterEach(() => {
+        maintenance.stop();
+        jest.restoreAllMocks();
+    });
+
+    describe('MaintenanceService', () => {
+        test('should scope windows by feature and guild', async () => {
+            await maintenance.schedule({ features: ['tasks'], guildIds: ['guild1'] });
+
+            expect(maintenance.getActiveWindow('guild1', 'tasks')).toBeTruthy();
+            expect(maintenance.getActiveWindow('guild1', 'allowlists')).toBeNull();
+            expect(maintenance.getActiveWindow('guild2', 'tasks')).toBeNull();
+
+            expect(maintenance.getCommandWindow('guild1', 'naffles-create-task')).toBeTruthy();
+            expect(maintenance.getCommandWindow('guild1', 'naffles-connect-allowlist')).toBeNull();
+
+            // Full maintenance pauses everything except the exempt commands
+            await maintenance.schedule({ guildIds: ['guild2'] });
+            expect(maintenance.getCommandWindow('guild2', 'naffles-connect-allowlist')).toBeTruthy();
+            expect(maintenance.getCommandWindow('guild2', 'naffles-security')).toBeTruthy();
+            expect(maintenance.getCommandWindow('guild2', 'naffles-status')).toBeNull();
+
+            // Only bot-wide full maintenance counts as "maintenance mode"
+            expect(maintenance.getActiveWindow()).toBeNull();
+        });
+
+        test('should apply scheduled windows from their start until their end', async () => {
+            const { window } = await maintenance.schedule({
+                features: ['linking'],
+                startsAt: new Date(Date.now() + 30 * MINUTE),
+                endsAt: new Date(Date.now() + 90 * MINUTE)
+            });
+
+            expect(maintenance.getActiveWindow('guild1', 'linking')).toBeNull();
+            expect(maintenance.listForGuild('guild1')).toEqual([window]);
+
+            jest.advanceTimersByTime(30 * MINUTE);
+            expect(maintenance.getActiveWindow('guild1', 'linking')).toBe(window);
+
+            jest.advanceTimersByTime(60 * MINUTE);
+            expect(maintenance.getActiveWindow('guild1', 'linking')).toBeNull();
+            expect(maintenance.list()).toEqual([]);
+        });
+
+        test('should reject unknown features and windows that end before they start', async () => {
+            expect(await maintenance.schedule({ features: ['raffles'] })).toMatchObject({ success: false, reason: 'invalid_feature' });
+            expect(await maintenance.schedule({
+                startsAt: new Date(Date.now() + 60 * MINUTE),
+                endsAt: new Date(Date.now() + 30 * MINUTE)
+            })).toMatchObject({ success: false, reason: 'invalid_window' });
+            expect(maintenance.list()).toEqual([]);
+        });
+
+        test('should share windows through Redis', async () => {
+            const redis = createRedis();
+            const shard = new MaintenanceService(botService, redis);
+            const cli = new MaintenanceService(null, redis);
+
+            const { window } = await cli.schedule({ features: ['allowlists'], endsAt: new Date(Date.now() + 60 * MINUTE) });
+
+            expect(redis.set).toHaveBeenCalledWith(`discord:maintenance:window:${window.id}`, window, 3600);
+
+            await shard.refresh();
+            expect(shard.getActiveWindow('guild1', 'allowlists')).toEqual(window);
+
+            await cli.end(window.id);
+            await shard.refresh();
+            expect(redis.store.size).toBe(0);
+            expect(shard.getActiveWindow('guild1', 'allowlists')).toBeNull();
+        });
+
+        test('should pre-announce scheduled windows once from the primary shard', async () => {
+            const startsAt = new Date(Date.now() + 24 * 60 * MINUTE);
+            const { window } = await maintenance.schedule({
+                reason: 'Task service upgrade',
+                features: ['tasks'],
+                guildIds: ['guild1'],
+                startsAt,
+                endsAt: new Date(startsAt.getTime() + 45 * MINUTE)
+            });
+
+            await maintenance.refresh();
+
+            expect(botService.webhookIntegration.notifyMaintenanceScheduled).toHaveBeenCalledTimes(1);
+            expect(botService.webhookIntegration.notifyMaintenanceScheduled).toHaveBeenCalledWith(
+                'Task service upgrade', startsAt, 45, { guildIds: ['guild1'], features: ['Tasks'] }
+            );
+            expect(botService.shardCoordinator.broadcast).toHaveBeenCalledWith('maintenance_announced', window);
+
+            // Windows starting now and secondary shards don't announce
+            botService.shardCoordinator.isPrimary = () => false;
+            await maintenance.schedule({ announce: true, startsAt: new Date(Date.now() + 60 * MINUTE) });
+            await maintenance.schedule({});
+            expect(botService.webhookIntegration.notifyMaintenanceScheduled).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    test('should reply with the banner instead of running paused commands', async () => {
+        botService.auditLogger = { logCommandExecution: jest.fn() };
+        const handler = new CommandHandler(botService);
+        const createTask = handler.commands.get('naffles-create-task');
+        jest.spyOn(createTask, 'execute').mockResolvedValue();
+
+        const { window } = await maintenance.schedule({ reason: 'Upgrading', features: ['tasks'] });
+        const interaction = {
+            commandName: 'naffles-create-task',
+            guildId: 'guild1',
+            user: { id: 'user1' },
+            reply: jest.fn().mockResolvedValue()
+        };
+
+        await handler.handleSlashCommand(interaction);
+
+        expect(createTask.execute).not.toHaveBeenCalled();
+        const [reply] = interaction.reply.mock.calls[0];
+        expect(reply.ephemeral).toBe(true);
+        expect(reply.embeds[0].data.title).toBe('🔧 Maintenance in progress');
+        expect(botService.auditLogger.logCommandExecution).toHaveBeenCalledWith(interaction, 'maintenance_blocked', { maintenanceId: window.id });
+    });
+
+    test('should keep the error handler and fallback maintenance switches in sync', async () => {
+        const errorHandler = new ErrorHandler(maintenance);
+        const fallback = new FallbackService(botService);
+
+        await errorHandler.activateMaintenanceMode('Database upgrade', new Date(Date.now() + 60 * MINUTE));
+
+        expect(fallback.isMaintenanceModeActive()).toBe(true);
+        expect(errorHandler.getMaintenanceInfo()).toMatchObject({ active: true, reason: 'Database upgrade' });
+
+        // Partial maintenance is left alone
+        await maintenance.schedule({ features: ['tasks'] });
+        await fallback.disableMaintenanceMode();
+
+        expect(errorHandler.isMaintenanceModeActive()).toBe(false);
+        expect(maintenance.getActiveWindow('guild1', 'tasks')).toBeTruthy();
+    });
+
+    describe('MaintenanceCommand', () => {
+        let command;
+
+        const createInteraction = (subcommand, options = {}) => ({
+            guildId: 'guild1',
+            user: { id: 'admin1' },
+            options: {
+                getSubcommand: () => subcommand,
+                getString: name => options[name] ?? null,
+                getInteger: name => options[name] ?? null,
+                getBoolean: name => options[name] ?? null
+            },
+            reply: jest.fn().mockResolvedValue()
+        });
+
+        beforeEach(() => {
+            botService.validateUserPermissions = jest.fn().mockResolvedValue({ hasPermission: true });
+            botService.auditLogger = { logAdminAction: jest.fn() };
+            command = new MaintenanceCommand(botService);
+        });
+
+        test('should schedule maintenance for this server only', async () => {
+            await command.execute(createInteraction('start', { feature: 'allowlists', starts_in: 10, duration: 30 }));
+
+            const [window] = maintenance.list();
+            expect(window).toMatchObject({ features: ['allowlists'], guildIds: ['guild1'], createdBy: 'admin1' });
+            expect(window.endsAt - window.startsAt).toBe(30 * MINUTE);
+            expect(botService.auditLogger.logAdminAction).toHaveBeenCalledWith('admin1', 'maintenance_scheduled', 'guild1', expect.objectContaining({
+                maintenanceId: window.id
+            }));
+        });
+
+        test('should not end bot-wide maintenance from a server', async () => {
+            const { window: botWide } = await maintenance.schedule({ features: ['tasks'] });
+            await maintenance.schedule({ guildIds: ['guild1'] });
+
+            const byId = createInteraction('end', { id: botWide.id });
+            await command.execute(byId);
+            expect(byId.reply).toHaveBeenCalledWith(expect.objectContaining({ content: expect.stringContaining('only be ended by Naffles') }));
+
+            await command.execute(createInteraction('end'));
+            expect(maintenance.list()).toEqual([botWide]);
+        });
+    });
+});
@@ -0,0 +1,211 @@
+const RaidDetectionService = require('../src/services/raidDetectionService');
+const DiscordServerMapping = require('../src/models/discordServerMapping');
+const DiscordAccountLink = require('../src/models/discordAccountLink');
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    security: jest.fn()
+}));
+
+describe('Raid Detection', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    let botService;
+    let service;
+    let saved;
+
+    const member = (id, username, { avatar = null, createdTimestamp = Date.now() - DAY } = {}) => ({
+        user: { id, username, avatar, createdTimestamp },
+        guild: { id: 'guild123' }
+    });
+
+    const mockSettings = raidProtection => {
+        saved = raidProtection;
+        jest.spyOn(DiscordServerMapping, 'findOne').mockImplementation(() => ({
+            select: () => ({ lean: jest.fn().mockImplementation(() => Promise.resolve({ botConfig: { raidProtection: saved } })) })
+        }));
+        jest.spyOn(DiscordServerMapping, 'findOneAndUpdate').mockImplementation((query, update) => {
+            saved = { ...saved };
+            for (const [path, value] of Object.entries(update.$set)) {
+                const field = path.replace('botConfig.raidProtection.', '');
+                if (field.startsWith('lockdown.')) {
+                    saved.lockdown = { ...saved.lockdown, [field.slice('lockdown.'.length)]: value };
+                } else {
+                    saved[field] = value;
+                }
+            }
+            return Promise.resolve({ botConfig: { raidProtection: saved } });
+        });
+    };
+
+    beforeEach(() => {
+        botService = {
+            db: { isHealthy: jest.fn().mockReturnValue(true) },
+            auditLogger: { logAdminAction: jest.fn().mockResolvedValue(), logConfigChange: jest.fn().mockResolvedValue() },
+            securityMonitor: {
+                alertThresholds: { massJoins: { count: 10, window: 300000 } },
+                createSecurityEvent: jest.fn().mockResolvedValue()
+            },
+            shardCoordinator: { broadcast: jest.fn().mockResolvedValue(), on: jest.fn() },
+            client: { user: { id: 'bot1' } }
+        };
+        service = new RaidDetectionService(botService);
+
+        mockSettings({});
+        jest.spyOn(DiscordAccountLink, 'findSharedNafflesUsers').mockResolvedValue([]);
+        jest.spyOn(DiscordAccountLink, 'findSharedDiscordAccounts').mockResolvedValue([]);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should fold look-alike usernames together', () => {
+        expect(service.normalizeName('R4ID3R_123')).toBe('raider');
+        expect(service.normalizeName('Ráider')).toBe('raider');
+        expect(service.nameSimilarity('raider', 'raiders')).toBeGreaterThanOrEqual(0.8);
+        expect(service.nameSimilarity('alice', 'bobby')).toBe(0);
+    });
+
+    test('should score a coordinated burst as a raid and organic joins as safe', () => {
+        const now = Date.now();
+        const raiders = Array.from({ length: 10 }, (_, i) => ({
+            userId: `r${i}`, username: `raider${i}`, avatar: null, createdTimestamp: now - DAY + i * 60000, joinedAt: now
+        }));
+        const raid = service.scoreJoins(raiders, now);
+
+        expect(raid.raid).toBe(true);
+        expect(raid.score).toBeGreaterThanOrEqual(0.85);
+        expect(raid.suspects).toHaveLength(10);
+        expect(raid.suspects[0].flags).toEqual(expect.arrayContaining(['similar_name', 'creation_cluster', 'new_account']));
+
+        const names = ['alice', 'bob', 'charlie', 'dana', 'eve', 'frank', 'grace', 'heidi', 'ivan', 'judy'];
+        const organic = service.scoreJoins(names.map((username, i) => ({
+            userId: `o${i}`, username, avatar: `hash${i}`, createdTimestamp: now - (i + 1) * 90 * DAY, joinedAt: now
+        })), now);
+
+        expect(organic.raid).toBe(false);
+        expect(organic.signals).toMatchObject({ similarNames: 0, sharedAvatars: 0, creationClusters: 0, newAccounts: 0 });
+        expect(organic.suspects).toHaveLength(0);
+    });
+
+    test('should flag accounts created within an hour of two others', () => {
+        const now = Date.now();
+        const createdAt = [0, 30, 60, 200].map(minutes => now - 30 * DAY + minutes * 60000);
+        const names = ['alice', 'bob', 'charlie', 'dana'];
+        const { suspects } = service.scoreJoins(createdAt.map((createdTimestamp, i) => ({
+            userId: `u${i}`, username: names[i], avatar: null, createdTimestamp, joinedAt: now
+        })), now);
+
+        expect(suspects.map(suspect => suspect.userId)).toEqual(['u0', 'u1', 'u2']);
+        expect(suspects[0].flags).toContain('creation_cluster');
+    });
+
+    test('should only keep the newest joins of a large raid', async () => {
+        for (let i = 0; i < 250; i++) {
+            await service.recordJoin(member(`r${i}`, `raider${i}`));
+        }
+
+        const joins = service.recentJoins.get('guild123');
+        expect(joins).toHaveLength(200);
+        expect(joins[0].userId).toBe('r50');
+    });
+
+    test('should not call a raid on fewer than five joins', () => {
+        const now = Date.now();
+        const joins = Array.from({ length: 4 }, (_, i) => ({
+            userId: `r${i}`, username: 'raider', avatar: null, createdTimestamp: now - 60000, joinedAt: now
+        }));
+
+        expect(service.scoreJoins(joins, now).raid).toBe(false);
+    });
+
+    test('should raise a raid event and lock the guild down once per window', async () => {
+        mockSettings({ autoLockdown: true });
+
+        for (let i = 0; i < 8; i++) {
+            await service.recordJoin(member(`r${i}`, `raider${i}`));
+        }
+
+        const raidEvents = botService.securityMonitor.createSecurityEvent.mock.calls.filter(([event]) => event.type === 'raid_detected');
+        expect(raidEvents).toHaveLength(1);
+        expect(raidEvents[0][0]).toMatchObject({ guildId: 'guild123', details: expect.objectContaining({ joinCount: 5 }) });
+
+        expect(saved.lockdown).toMatchObject({ active: true, reason: 'raid_detected', startedBy: 'raid_detection' });
+        expect(saved.lockdown.endsAt.getTime() - saved.lockdown.startedAt.getTime()).toBe(60 * 60 * 1000);
+        expect(botService.auditLogger.logAdminAction).toHaveBeenCalledWith('bot1', 'raid_lockdown_started', 'guild123',
+            expect.objectContaining({ reason: 'raid_detected' }));
+        expect(botService.shardCoordinator.broadcast).toHaveBeenCalledWith('raid_protection_changed', { guildId: 'guild123' });
+    });
+
+    test('should not lock down automatically when auto lockdown is off', async () => {
+        mockSettings({ autoLockdown: false });
+
+        for (let i = 0; i < 6; i++) {
+            await service.recordJoin(member(`r${i}`, `raider${i}`));
+        }
+
+        expect(botService.securityMonitor.createSecurityEvent).toHaveBeenCalledWith(expect.objectContaining({ type: 'raid_detected' }));
+        expect(DiscordServerMapping.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should leave auto lockdown off for guilds that never opted in', async () => {
+        for (let i = 0; i < 6; i++) {
+            await service.recordJoin(member(`r${i}`, `raider${i}`));
+        }
+
+        expect(service.mergeSettings().autoLockdown).toBe(false);
+        expect(botService.securityMonitor.createSecurityEvent).toHaveBeenCalledWith(expect.objectContaining({ type: 'raid_detected' }));
+        expect(DiscordServerMapping.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should restrict members who joined recently but not established members', async () => {
+        const result = await service.startLockdown('guild123', { duration: 30 * 60000, userId: 'admin1' });
+        expect(result.success).toBe(true);
+        expect(botService.auditLogger.logAdminAction).toHaveBeenCalledWith('admin1', 'raid_lockdown_started', 'guild123', expect.any(Object));
+
+        const restricted = await service.checkNewJoinerLock('guild123', { joinedTimestamp: Date.now() - 60 * 60 * 1000 });
+        expect(restricted.message).toMatch(/raid lockdown/);
+        expect(await service.checkNewJoinerLock('guild123', { joinedTimestamp: Date.now() - 3 * DAY })).toBeNull();
+
+        expect((await service.endLockdown('guild123', 'admin1')).success).toBe(true);
+        expect(await service.checkNewJoinerLock('guild123', { joinedTimestamp: Date.now() })).toBeNull();
+        expect((await service.endLockdown('guild123', 'admin1')).reason).toBe('not_locked');
+    });
+
+    test('should treat a lockdown past its end as lifted', async () => {
+        mockSettings({
+            lockdown: { active: true, reason: 'manual', endsAt: new Date(Date.now() - 1000), joinedAfter: new Date(Date.now() - DAY) }
+        });
+
+        expect(await service.getLockdown('guild123')).toBeNull();
+        expect(await service.checkNewJoinerLock('guild123', { joinedTimestamp: Date.now() })).toBeNull();
+    });
+
+    test('should flag a member whose Naffles account is linked to other Discord accounts', async () => {
+        DiscordAccountLink.findSharedNafflesUsers.mockResolvedValue([{ _id: 'naffles1', discordIds: ['alt1', 'main1'] }]);
+
+        await service.recordJoin(member('alt1', 'someone'));
+
+        expect(DiscordAccountLink.findSharedNafflesUsers).toHaveBeenCalledWith(['alt1']);
+        expect(botService.securityMonitor.createSecurityEvent).toHaveBeenCalledWith(expect.objectContaining({
+            type: 'alt_account_detected',
+            userId: 'alt1',
+            details: { otherDiscordAccounts: ['main1'], nafflesUserIds: ['naffles1'] }
+        }));
+    });
+
+    test('should validate settings and audit changes', async () => {
+        expect((await service.updateSettings('guild123', {}, 'admin1')).reason).toBe('no_values');
+        expect((await service.updateSettings('guild123', { newMemberAge: 1000 }, 'admin1')).reason).toBe('invalid_value');
+
+        const result = await service.updateSettings('guild123', { autoLockdown: false, newMemberAge: 48 * 3600000 }, 'admin1');
+
+        expect(result.success).toBe(true);
+        expect(result.settings).toMatchObject({ autoLockdown: false, newMemberAge: 48 * 3600000 });
+        expect(botService.auditLogger.logConfigChange).toHaveBeenCalledWith('admin1', 'guild123', 'raid_protection', expect.any(Object));
+    });
+});
@@ -0,0 +1,210 @@
+const RateLimiter = require('../src/utils/rateLimiter');
+const RedisRateLimitBackend = require('../src/utils/rateLimitBackends/redisBackend');
+const RateLimitSettingsService = require('../src/services/rateLimitSettingsService');
+const DiscordServerMapping = require('../src/models/discordServerMapping');
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    security: jest.fn()
+}));
+
+describe('Rate Limiter', () => {
+    let now;
+    let limiters;
+
+    const createLimiter = (redisService = null, options = {}) => {
+        const limiter = new RateLimiter(redisService, options);
+        limiters.push(limiter);
+        return limiter;
+    };
+
+    const check = async (limiter, times, ...args) => {
+        const results = [];
+        for (let i = 0; i < times; i++) {
+            results.push(await limiter.checkRateLimit(...args));
+        }
+        return results;
+    };
+
+    beforeEach(() => {
+        now = 1700000000000;
+        limiters = [];
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => {
+        limiters.forEach(limiter => limiter.stop());
+        jest.restoreAllMocks();
+    });
+
+    test('should enforce a sliding window in memory', async () => {
+        const limiter = createLimiter();
+
+        const results = await check(limiter, 6, 'user123', 'command');
+
+        expect(results.slice(0, 5).every(result => result.allowed)).toBe(true);
+        expect(results[4].remaining).toBe(0);
+        expect(results[5]).toMatchObject({ allowed: false, remaining: 0, retryAfter: 60000, backend: 'memory' });
+
+        now += 60000;
+        expect((await limiter.checkRateLimit('user123', 'command')).allowed).toBe(true);
+    });
+
+    test('should refill a token bucket gradually', async () => {
+        const limiter = createLimiter();
+        const bucket = { requests: 4, window: 60000, algorithm: 'token_bucket' };
+
+        const burst = await check(limiter, 5, 'user123', 'api', bucket);
+        expect(burst.map(result => result.allowed)).toEqual([true, true, true, true, false]);
+        expect(burst[4].retryAfter).toBe(15000);
+
+        now += 15000;
+        expect((await limiter.checkRateLimit('user123', 'api', bucket)).allowed).toBe(true);
+        expect((await limiter.checkRateLimit('user123', 'api', bucket)).allowed).toBe(false);
+    });
+
+    test('should apply per-command limits and guild overrides to their own counters', async () => {
+        const getGuildLimits = jest.fn(async guildId => guildId === 'strict-guild'
+            ? { 'command:naffles-create-task': { requests: 1, window: 60000 } }
+            : {});
+        const limiter = createLimiter(null, { getGuildLimits });
+        limiter.setCommandLimit('naffles-create-task', { requests: 2, window: 300000 });
+
+        const strict = await check(limiter, 2, 'user123', 'command', null, { guildId: 'strict-guild', command: 'naffles-create-task' });
+        const relaxed = await check(limiter, 3, 'user123', 'command', null, { guildId: 'other-guild', command: 'naffles-create-task' });
+        const otherCommand = await limiter.checkRateLimit('user123', 'command', null, { guildId: 'other-guild', command: 'naffles-help' });
+
+        expect(strict.map(result => result.allowed)).toEqual([true, false]);
+        expect(relaxed.map(result => result.allowed)).toEqual([true, true, false]);
+        expect(relaxed[2].retryAfter).toBe(300000);
+        expect(otherCommand).toMatchObject({ allowed: true, remaining: 4, limit: 5 });
+    });
+
+    describe('redis backend', () => {
+        let redisService;
+
+        beforeEach(() => {
+            redisService = {
+                isConnected: true,
+                cachePrefixes: { rateLimiting: 'discord:ratelimit:' },
+                evalScript: jest.fn(),
+                deletePattern: jest.fn().mockResolvedValue(2)
+            };
+        });
+
+        test('should run the sliding window atomically in Redis', async () => {
+            const limiter = createLimiter(redisService);
+            redisService.evalScript
+                .mockResolvedValueOnce([1, 1, now])
+                .mockResolvedValueOnce([0, 10, now - 20000]);
+
+            const allowed = await limiter.checkRateLimit('user123', 'button', null, { guildId: 'guild123' });
+            const blocked = await limiter.checkRateLimit('user123', 'button', null, { guildId: 'guild123' });
+
+            const [script, keys, args] = redisService.evalScript.mock.calls[0];
+            expect(script).toBe(RedisRateLimitBackend.SLIDING_WINDOW_SCRIPT);
+            expect(keys).toEqual(['discord:ratelimit:user123:button:sw']);
+            expect(args.slice(0, 3)).toEqual([String(now), '60000', '10']);
+
+            expect(allowed).toMatchObject({ allowed: true, remaining: 9, backend: 'redis' });
+            expect(blocked).toMatchObject({ allowed: false, remaining: 0, retryAfter: 40000 });
+        });
+
+        test('should keep token buckets in a separate key', async () => {
+            const limiter = createLimiter(redisService);
+            redisService.evalScript.mockResolvedValue([1, '2.5']);
+
+            const result = await limiter.checkRateLimit('user123', 'api', { requests: 4, window: 60000, algorithm: 'token_bucket' });
+
+            const [script, keys] = redisService.evalScript.mock.calls[0];
+            expect(script).toBe(RedisRateLimitBackend.TOKEN_BUCKET_SCRIPT);
+            expect(keys).toEqual(['discord:ratelimit:user123:api:tb']);
+            expect(result).toMatchObject({ allowed: true, remaining: 2 });
+        });
+
+        test('should fall back to memory while Redis is down and recover after', async () => {
+            const limiter = createLimiter(redisService);
+            redisService.isConnected = false;
+
+            const results = await check(limiter, 4, 'user123', 'allowlist_entry');
+
+            expect(redisService.evalScript).not.toHaveBeenCalled();
+            expect(results.map(result => result.allowed)).toEqual([true, true, true, false]);
+            expect(results[3].backend).toBe('memory');
+            expect(limiter.getStatistics()).toMatchObject({ backend: 'redis', usingFallback: true, fallbacks: 4 });
+
+            redisService.isConnected = true;
+            redisService.evalScript.mockResolvedValue([1, 1, now]);
+
+            expect((await limiter.checkRateLimit('user123', 'allowlist_entry')).backend).toBe('redis');
+            expect(limiter.getStatistics().usingFallback).toBe(false);
+        });
+
+        test('should reset counters in both backends', async () => {
+            const limiter = createLimiter(redisService);
+            redisService.isConnected = false;
+            await check(limiter, 5, 'user123', 'command');
+            redisService.isConnected = true;
+
+            await limiter.resetRateLimit('user123', 'command');
+
+            expect(redisService.deletePattern).toHaveBeenCalledWith('discord:ratelimit:user123:command:*');
+            expect(limiter.memoryBackend.entries.size).toBe(0);
+        });
+    });
+
+    describe('guild settings', () => {
+        let settings;
+        let botService;
+
+        beforeEach(() => {
+            botService = {
+                auditLogger: { logConfigChange: jest.fn().mockResolvedValue() }
+            };
+            botService.rateLimiter = createLimiter(null, {
+                getGuildLimits: guildId => settings.getGuildLimits(guildId)
+            });
+            settings = new RateLimitSettingsService(botService);
+        });
+
+        test('should store a validated override and audit it', async () => {
+            const update = jest.spyOn(DiscordServerMapping, 'findOneAndUpdate').mockResolvedValue({ guildId: 'guild123' });
+
+            const result = await settings.setGuildLimit('guild123', 'button', { requests: 3, window: 30000, algorithm: 'token_bucket' }, 'admin123');
+
+            expect(result.success).toBe(true);
+            expect(update.mock.calls[0][1]).toEqual({
+                $set: { 'botConfig.rateLimits.button': { requests: 3, window: 30000, algorithm: 'token_bucket' } }
+            });
+            expect(botService.auditLogger.logConfigChange).toHaveBeenCalledWith('admin123', 'guild123', 'rate_limits', {
+                button: { requests: 3, window: 30000, algorithm: 'token_bucket' }
+            });
+        });
+
+        test('should reject unknown limits and invalid values', async () => {
+            const update = jest.spyOn(DiscordServerMapping, 'findOneAndUpdate');
+
+            const unknown = await settings.setGuildLimit('guild123', 'everything', { requests: 3, window: 30000 }, 'admin123');
+            const invalid = await settings.setGuildLimit('guild123', 'command:naffles-help', { requests: 0, window: 30000 }, 'admin123');
+
+            expect(unknown.reason).toBe('invalid_key');
+            expect(invalid.reason).toBe('invalid_limit');
+            expect(update).not.toHaveBeenCalled();
+        });
+
+        test('should feed stored overrides to the rate limiter', async () => {
+            jest.spyOn(DiscordServerMapping, 'findOne').mockReturnValue({
+                select: () => ({ lean: jest.fn().mockResolvedValue({ botConfig: { rateLimits: { button: { requests: 1, window: 60000, algorithm: 'sliding_window' } } } }) })
+            });
+
+            const results = await check(botService.rateLimiter, 2, 'user123', 'button', null, { guildId: 'guild123' });
+
+            expect(results.map(result => result.allowed)).toEqual([true, false]);
+            expect(DiscordServerMapping.findOne).toHaveBeenCalledTimes(1); // cached after the first load
+        });
+    });
+});
@@ -195,6 +195,36 @@ describe('Real-Time Synchronization System', () => {
                 expect(mockClient.channels.fetch).toHaveBeenCalledWith('channel123');
                 expect(mockChannel.messages.fetch).toHaveBeenCalledWith('message123');
             });
+
+            test('should hand the Discord side of a synced update to the other shards', async () => {
+                const listeners = {};
+                mockBotService.shardCoordinator = {
+                    isSharded: jest.fn(() => true),
+                    ownsGuild: jest.fn(guildId => guildId === 'guild123'),
+                    broadcast: jest.fn().mockResolvedValue(true),
+                    on: jest.fn((type, handler) => { listeners[type] = handler; })
+                };
+                mockBotService.winnerNotifications = { notifyWinners: jest.fn() };
+                realTimeSyncService.setupShardListeners();
+
+                const otherShardChannel = { guildId: 'guild456', messages: { fetch: jest.fn() } };
+                mockDb.getAllowlistMessages.mockResolvedValue([{ channelId: 'channel456', messageId: 'message456' }]);
+                mockClient.channels.fetch.mockResolvedValue(otherShardChannel);
+
+                const update = { allowlistId: 'allowlist123', updateType: 'winner_selected', changes: { winners: [] } };
+                await realTimeSyncService.syncAllowlistUpdate({ ...update });
+
+                expect(otherShardChannel.messages.fetch).not.toHaveBeenCalled();
+                expect(mockBotService.winnerNotifications.notifyWinners).toHaveBeenCalledTimes(1);
+                expect(mockBotService.shardCoordinator.broadcast).toHaveBeenCalledWith('sync_allowlist_update', update);
+
+                // The owning shard updates its message; winners are already handed over
+                mockBotService.shardCoordinator.ownsGuild.mockImplementation(guildId => guildId === 'guild456');
+                await listeners.sync_allowlist_update(update);
+
+                expect(otherShardChannel.messages.fetch).toHaveBeenCalledWith('message456');
+                expect(mockBotService.winnerNotifications.notifyWinners).toHaveBeenCalledTimes(1);
+            });
         });
 
         describe('user progress synchronization', () => {
@@ -324,6 +354,37 @@ describe('Real-Time Synchronization System', () => {
                 expect(realTimeSyncService.metrics.failedSyncs).toBe(1);
             });
 
+            test('should keep an operation queued until the other shards have it', async () => {
+                const syncId = 'sync123';
+                mockBotService.shardCoordinator = {
+                    isSharded: jest.fn(() => true),
+                    ownsGuild: jest.fn(() => true),
+                    broadcast: jest.fn().mockResolvedValueOnce(false).mockResolvedValueOnce(true)
+                };
+                mockDb.getTaskMessages.mockResolvedValue([]);
+                const apiSpy = jest.spyOn(realTimeSyncService, 'makeNafflesApiCall');
+
+                realTimeSyncService.syncQueue.set(syncId, {
+                    type: 'task_status',
+                    taskId: 'task123',
+                    newStatus: 'completed',
+                    metadata: {},
+                    retries: 0
+                });
+
+                await realTimeSyncService.processSyncOperation(syncId);
+
+                expect(realTimeSyncService.syncQueue.get(syncId).retries).toBe(1);
+                expect(realTimeSyncService.metrics.successfulSyncs).toBe(0);
+
+                // The retry only repeats the handoff
+                await realTimeSyncService.processSyncOperation(syncId);
+
+                expect(realTimeSyncService.syncQueue.has(syncId)).toBe(false);
+                expect(apiSpy).toHaveBeenCalledTimes(1);
+                expect(mockBotService.shardCoordinator.broadcast).toHaveBeenCalledTimes(2);
+            });
+
             test('should implement error cooldowns', () => {
                 const syncId = 'sync123';
                 realTimeSyncService.errorCooldowns.set(syncId, Date.now());
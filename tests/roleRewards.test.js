@@ -0,0 +1,315 @@
+const { PermissionFlagsBits } = require('discord.js');
+const RoleRewardService = require('../src/services/roleRewardService');
+const RoleRewardConfig = require('../src/models/roleRewardConfig');
+const RoleRewardGrant = require('../src/models/roleRewardGrant');
+const DiscordAccountLink = require('../src/models/discordAccountLink');
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+}));
+
+describe('Role Reward System', () => {
+    let mockBotService;
+    let service;
+    let mockGuild;
+    let mockMember;
+    let rewardRole;
+
+    const buildPermissions = (...flags) => ({
+        has: jest.fn(flag => flags.includes(flag))
+    });
+
+    beforeEach(() => {
+        rewardRole = {
+            id: 'role123',
+            name: 'Supporter',
+            position: 5,
+            managed: false,
+            permissions: buildPermissions()
+        };
+
+        mockMember = {
+            id: 'user123',
+            roles: {
+                highest: { position: 10 },
+                cache: new Map(),
+                add: jest.fn().mockResolvedValue(),
+                remove: jest.fn().mockResolvedValue()
+            }
+        };
+
+        mockGuild = {
+            id: 'guild123',
+            ownerId: 'owner123',
+            roles: {
+                cache: new Map([['role123', rewardRole]]),
+                fetch: jest.fn().mockResolvedValue(null)
+            },
+            members: {
+                me: {
+                    permissions: buildPermissions(PermissionFlagsBits.ManageRoles),
+                    roles: { highest: { position: 8 } }
+                },
+                fetch: jest.fn().mockResolvedValue(mockMember)
+            }
+        };
+
+        mockBotService = {
+            client: {
+                isReady: jest.fn(() => true),
+                guilds: { cache: new Map([['guild123', mockGuild]]) }
+            },
+            auditLogger: {
+                logConfigChange: jest.fn().mockResolvedValue(),
+                logRoleRewardEvent: jest.fn().mockResolvedValue()
+            }
+        };
+
+        service = new RoleRewardService(mockBotService);
+    });
+
+    afterEach(() => {
+        service.stop();
+        jest.restoreAllMocks();
+    });
+
+    const buildConfig = (overrides = {}) => new RoleRewardConfig({
+        guildId: 'guild123',
+        targetType: 'task',
+        targetId: 'task123',
+        roleId: 'role123',
+        roleName: 'Supporter',
+        durationHours: 24,
+        configuredBy: 'admin123',
+        ...overrides
+    });
+
+    describe('Role validation', () => {
+        test('should accept a role below the bot and the configuring member', async () => {
+            const result = await service.validateRoleAssignable(mockGuild, 'role123', mockMember);
+            expect(result.valid).toBe(true);
+        });
+
+        test('should reject a role above the bot\'s highest role', async () => {
+            rewardRole.position = 9;
+            const result = await service.validateRoleAssignable(mockGuild, 'role123');
+            expect(result.reason).toBe('role_hierarchy');
+        });
+
+        test('should reject a role above the configuring member\'s highest role', async () => {
+            mockMember.roles.highest.position = 5;
+            const result = await service.validateRoleAssignable(mockGuild, 'role123', mockMember);
+            expect(result.reason).toBe('member_hierarchy');
+        });
+
+        test('should reject when the bot lacks Manage Roles', async () => {
+            mockGuild.members.me.permissions = buildPermissions();
+            const result = await service.validateRoleAssignable(mockGuild, 'role123');
+            expect(result.reason).toBe('missing_permission');
+        });
+
+        test('should reject managed and administrator roles', async () => {
+            rewardRole.managed = true;
+            expect((await service.validateRoleAssignable(mockGuild, 'role123')).reason).toBe('managed_role');
+
+            rewardRole.managed = false;
+            rewardRole.permissions = buildPermissions(PermissionFlagsBits.Administrator);
+            expect((await service.validateRoleAssignable(mockGuild, 'role123')).reason).toBe('privileged_role');
+        });
+
+        test('should not save a reward that fails validation', async () => {
+            rewardRole.position = 9;
+            const updateSpy = jest.spyOn(RoleRewardConfig, 'findOneAndUpdate');
+
+            const result = await service.configureReward(
+                mockGuild,
+                { targetType: 'task', targetId: 'task123', roleId: 'role123' },
+                mockMember
+            );
+
+            expect(result.success).toBe(false);
+            expect(updateSpy).not.toHaveBeenCalled();
+            expect(mockBotService.auditLogger.logConfigChange).not.toHaveBeenCalled();
+        });
+
+        test('should save a valid reward and record the change', async () => {
+            jest.spyOn(RoleRewardConfig, 'findOneAndUpdate').mockResolvedValue(buildConfig());
+
+            const result = await service.configureReward(
+                mockGuild,
+                { targetType: 'task', targetId: 'task123', roleId: 'role123', durationHours: 24 },
+                mockMember
+            );
+
+            expect(result.success).toBe(true);
+            expect(mockBotService.auditLogger.logConfigChange).toHaveBeenCalledWith(
+                'user123',
+                'guild123',
+                'role_reward',
+                expect.objectContaining({ roleId: 'role123', durationHours: 24 })
+            );
+        });
+    });
+
+    describe('Granting rewards', () => {
+        test('should add the role and record a time-limited grant', async () => {
+            jest.spyOn(RoleRewardConfig.prototype, 'save').mockResolvedValue();
+            jest.spyOn(RoleRewardGrant, 'findActiveGrant').mockResolvedValue(null);
+            const createSpy = jest.spyOn(RoleRewardGrant, 'create').mockResolvedValue({});
+            const config = buildConfig();
+
+            const result = await service.grantReward(config, 'user123');
+
+            expect(result.success).toBe(true);
+            expect(mockMember.roles.add).toHaveBeenCalledWith('role123', expect.any(String));
+            expect(createSpy).toHaveBeenCalledWith(expect.objectContaining({
+                userId: 'user123',
+                roleId: 'role123',
+                source: { type: 'task', id: 'task123' },
+                expiresAt: expect.any(Date)
+            }));
+            expect(config.grantCount).toBe(1);
+            expect(mockBotService.auditLogger.logRoleRewardEvent).toHaveBeenCalledWith(
+                'user123', 'guild123', 'granted', expect.any(Object)
+            );
+        });
+
+        test('should extend an existing grant instead of adding the role again', async () => {
+            jest.spyOn(RoleRewardConfig.prototype, 'save').mockResolvedValue();
+            const existingGrant = new RoleRewardGrant({
+                guildId: 'guild123',
+                userId: 'user123',
+                roleId: 'role123',
+                source: { type: 'task', id: 'task999' },
+                expiresAt: new Date(Date.now() + 60 * 1000)
+            });
+            jest.spyOn(existingGrant, 'save').mockResolvedValue();
+            jest.spyOn(RoleRewardGrant, 'findActiveGrant').mockResolvedValue(existingGrant);
+            mockMember.roles.cache.set('role123', rewardRole);
+
+            const result = await service.grantReward(buildConfig(), 'user123');
+
+            expect(result.success).toBe(true);
+            expect(mockMember.roles.add).not.toHaveBeenCalled();
+            expect(existingGrant.expiresAt.getTime()).toBeGreaterThan(Date.now() + 23 * 60 * 60 * 1000);
+        });
+
+        test('should leave roles the member already had untracked', async () => {
+            jest.spyOn(RoleRewardGrant, 'findActiveGrant').mockResolvedValue(null);
+            const createSpy = jest.spyOn(RoleRewardGrant, 'create');
+            mockMember.roles.cache.set('role123', rewardRole);
+
+            const result = await service.grantReward(buildConfig(), 'user123');
+
+            expect(result).toEqual({ success: false, reason: 'already_has_role' });
+            expect(createSpy).not.toHaveBeenCalled();
+        });
+
+        test('should resolve allowlist winners through their linked account', async () => {
+            jest.spyOn(RoleRewardConfig, 'findActiveForTarget').mockResolvedValue([
+                buildConfig({ targetType: 'allowlist', targetId: 'allowlist123' })
+            ]);
+            jest.spyOn(DiscordAccountLink, 'findByNaffles').mockResolvedValue({ discordId: 'user123' });
+            const grantSpy = jest.spyOn(service, 'grantReward').mockResolvedValue({ success: true });
+
+            const granted = await service.handleAllowlistWinners('allowlist123', [
+                { userId: 'naffles_user_1' },
+                { discordId: 'user456' }
+            ]);
+
+            expect(granted).toBe(2);
+            expect(grantSpy).toHaveBeenCalledWith(expect.anything(), 'user123');
+            expect(grantSpy).toHaveBeenCalledWith(expect.anything(), 'user456');
+        });
+
+        test('should leave allowlist rewards in guilds on other shards to their shard', async () => {
+            const listeners = {};
+            mockBotService.shardCoordinator = {
+                ownsGuild: jest.fn(guildId => guildId === 'guild123'),
+                broadcast: jest.fn().mockResolvedValue(true),
+                on: jest.fn((type, handler) => { listeners[type] = handler; })
+            };
+            service = new RoleRewardService(mockBotService);
+
+            const localConfig = buildConfig({ targetType: 'allowlist', targetId: 'allowlist123' });
+            const otherConfig = buildConfig({ guildId: 'guild456', targetType: 'allowlist', targetId: 'allowlist123' });
+            jest.spyOn(RoleRewardConfig, 'findActiveForTarget').mockResolvedValue([localConfig, otherConfig]);
+            const grantSpy = jest.spyOn(service, 'grantReward').mockResolvedValue({ success: true });
+            const winners = [{ discordId: 'user456' }];
+
+            const granted = await service.handleAllowlistWinners('allowlist123', winners);
+
+            expect(granted).toBe(1);
+            expect(grantSpy).toHaveBeenCalledWith(localConfig, 'user456');
+            expect(grantSpy).not.toHaveBeenCalledWith(otherConfig, 'user456');
+            expect(mockBotService.shardCoordinator.broadcast).toHaveBeenCalledWith('allowlist_winner_roles', {
+                allowlistId: 'allowlist123',
+                winners
+            });
+
+            // The shard that owns guild456 grants its role
+            grantSpy.mockClear();
+            mockBotService.shardCoordinator.ownsGuild.mockImplementation(guildId => guildId === 'guild456');
+            await listeners.allowlist_winner_roles({ allowlistId: 'allowlist123', winners });
+
+            expect(grantSpy).toHaveBeenCalledTimes(1);
+            expect(grantSpy).toHaveBeenCalledWith(otherConfig, 'user456');
+        });
+    });
+
+    describe('Expiry job', () => {
+        const buildGrant = () => {
+            const grant = new RoleRewardGrant({
+                guildId: 'guild123',
+                userId: 'user123',
+                roleId: 'role123',
+                source: { type: 'task', id: 'task123' },
+                expiresAt: new Date(Date.now() - 1000)
+            });
+            jest.spyOn(grant, 'save').mockResolvedValue();
+            return grant;
+        };
+
+        test('should remove expired roles and mark grants expired', async () => {
+            const grant = buildGrant();
+            jest.spyOn(RoleRewardGrant, 'findExpired').mockResolvedValue([grant]);
+            mockMember.roles.cache.set('role123', rewardRole);
+
+            await service.processExpiredGrants();
+
+            expect(mockMember.roles.remove).toHaveBeenCalledWith('role123', expect.any(String));
+            expect(grant.status).toBe('expired');
+            expect(mockBotService.auditLogger.logRoleRewardEvent).toHaveBeenCalledWith(
+                'user123', 'guild123', 'expired', expect.any(Object)
+            );
+        });
+
+        test('should give up after repeated removal failures', async () => {
+            const grant = buildGrant();
+            mockMember.roles.cache.set('role123', rewardRole);
+            mockMember.roles.remove.mockRejectedValue(new Error('Missing Permissions'));
+
+            await service.expireGrant(grant);
+            expect(grant.status).toBe('active');
+
+            await service.expireGrant(grant);
+            await service.expireGrant(grant);
+
+            expect(grant.status).toBe('failed');
+            expect(grant.lastError).toBe('Missing Permissions');
+        });
+
+        test('should skip the expiry run while the Discord client is not ready', async () => {
+            mockBotService.client.isReady.mockReturnValue(false);
+            const findSpy = jest.spyOn(RoleRewardGrant, 'findExpired');
+
+            await service.processExpiredGrants();
+
+            expect(findSpy).not.toHaveBeenCalled();
+        });
+    });
+});
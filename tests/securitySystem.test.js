@@ -5,6 +5,7 @@ const SecurityReporter = require('../src/services/securityReporter');
 
 // Mock Discord.js and other dependencies
 jest.mock('discord.js', () => ({
+    ...jest.requireActual('discord.js'),
     EmbedBuilder: jest.fn().mockImplementation(() => ({
         setTitle: jest.fn().mockReturnThis(),
         setDescription: jest.fn().mockReturnThis(),
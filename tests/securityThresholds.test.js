@@ -0,0 +1,135 @@
+const SecurityMonitor = require('../src/services/securityMonitor');
+const SecurityCommand = require('../src/commands/security');
+const DiscordServerMapping = require('../src/models/discordServerMapping');
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    security: jest.fn()
+}));
+
+describe('Security Thresholds', () => {
+    let botService;
+    let monitor;
+
+    const mockSavedThresholds = securityThresholds => jest.spyOn(DiscordServerMapping, 'findOne').mockReturnValue({
+        select: () => ({ lean: jest.fn().mockResolvedValue({ botConfig: { securityThresholds } }) })
+    });
+
+    beforeEach(() => {
+        jest.spyOn(SecurityMonitor.prototype, 'startMonitoring').mockImplementation(() => {});
+        botService = {
+            db: { isHealthy: jest.fn().mockReturnValue(true) },
+            auditLogger: { logConfigChange: jest.fn().mockResolvedValue() }
+        };
+        monitor = new SecurityMonitor(botService);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should apply saved limits over the defaults', async () => {
+        mockSavedThresholds({ rapidCommands: { count: 3 }, newAccountActivity: { maxAccountAge: 30 * 86400000 } });
+
+        const thresholds = await monitor.getGuildThresholds('guild123');
+
+        expect(thresholds.rapidCommands).toEqual({ count: 3, window: 60000 });
+        expect(thresholds.failedPermissions).toEqual(monitor.alertThresholds.failedPermissions);
+        expect(thresholds.newAccountActivity).toEqual({ count: 3, window: 3600000, maxAccountAge: 30 * 86400000 });
+
+        await monitor.getGuildThresholds('guild123');
+        expect(DiscordServerMapping.findOne).toHaveBeenCalledTimes(1);
+    });
+
+    test('should use the defaults while the database is disconnected', async () => {
+        botService.db.isHealthy.mockReturnValue(false);
+        const findOne = jest.spyOn(DiscordServerMapping, 'findOne');
+
+        expect(await monitor.getGuildThresholds('guild123')).toBe(monitor.alertThresholds);
+        expect(findOne).not.toHaveBeenCalled();
+    });
+
+    test('should alert on a guild\'s own rapid command limit', async () => {
+        mockSavedThresholds({ rapidCommands: { count: 3, window: 60000 } });
+        const interaction = {
+            user: { id: 'user123', createdTimestamp: Date.now() - 365 * 86400000 },
+            guildId: 'guild123',
+            commandName: 'naffles-list-tasks'
+        };
+
+        for (let i = 0; i < 3; i++) {
+            await monitor.monitorCommandExecution(interaction, 'success');
+        }
+
+        expect(monitor.getRecentSecurityEvents(10).map(event => event.type)).toContain('rapid_commands');
+    });
+
+    test('should save and audit a threshold change', async () => {
+        jest.spyOn(DiscordServerMapping, 'findOneAndUpdate').mockResolvedValue({
+            botConfig: { securityThresholds: { failedPermissions: { count: 2, window: 120000 } } }
+        });
+        monitor.thresholdCache.set('guild123', { thresholds: monitor.alertThresholds, timestamp: Date.now() });
+
+        const result = await monitor.setGuildThreshold('guild123', 'failedPermissions', { count: 2, window: 120000 }, 'admin123');
+
+        expect(result.success).toBe(true);
+        expect(result.thresholds.failedPermissions).toEqual({ count: 2, window: 120000 });
+        expect(DiscordServerMapping.findOneAndUpdate).toHaveBeenCalledWith(
+            { guildId: 'guild123', isActive: true },
+            { $set: {
+                'botConfig.securityThresholds.failedPermissions.count': 2,
+                'botConfig.securityThresholds.failedPermissions.window': 120000
+            } },
+            { new: true, runValidators: true }
+        );
+        expect(monitor.thresholdCache.has('guild123')).toBe(false);
+        expect(botService.auditLogger.logConfigChange).toHaveBeenCalledWith(
+            'admin123', 'guild123', 'security_thresholds', { failedPermissions: { count: 2, window: 120000 } }
+        );
+    });
+
+    test('should reject unknown thresholds and fields that do not apply', async () => {
+        const update = jest.spyOn(DiscordServerMapping, 'findOneAndUpdate');
+
+        expect(await monitor.setGuildThreshold('guild123', 'massJoins', { count: 2 }, 'admin123'))
+            .toMatchObject({ success: false, reason: 'invalid_threshold' });
+        expect(await monitor.setGuildThreshold('guild123', 'rapidCommands', { maxAccountAge: 86400000 }, 'admin123'))
+            .toMatchObject({ success: false, reason: 'no_values' });
+        expect(update).not.toHaveBeenCalled();
+    });
+
+    describe('command', () => {
+        const subcommand = name => SecurityCommand.data.toJSON().options.find(option => option.name === name);
+
+        test('should define thresholds and audit filter options', () => {
+            expect(subcommand('thresholds').options.map(option => option.name))
+                .toEqual(['action', 'threshold', 'count', 'window', 'account_age']);
+            expect(subcommand('audit').options.map(option => option.name))
+                .toEqual(['timeframe', 'user', 'type', 'severity']);
+        });
+
+        test('should filter audit logs by timeframe and severity', async () => {
+            const queryAuditLogs = jest.fn().mockResolvedValue([]);
+            const command = new SecurityCommand({ auditLogger: { queryAuditLogs } });
+            const values = { timeframe: 'hour', severity: 'high' };
+            const interaction = {
+                guildId: 'guild123',
+                options: {
+                    getString: name => values[name] || null,
+                    getUser: () => null
+                },
+                reply: jest.fn().mockResolvedValue()
+            };
+
+            await command.handleAuditLogs(interaction);
+
+            const [filters] = queryAuditLogs.mock.calls[0];
+            expect(filters).toMatchObject({ guildId: 'guild123', severity: 'high' });
+            expect(Date.now() - filters.startDate.getTime()).toBeLessThan(60 * 60 * 1000 + 1000);
+        });
+    });
+});
@@ -9,6 +9,7 @@ process.env.NAFFLES_API_KEY = 'test-api-key';
 process.env.MONGODB_URI = 'mongodb://localhost:27017/test';
 process.env.REDIS_URL = 'redis://localhost:6379';
 process.env.LOG_LEVEL = 'error';
+process.env.DISCORD_TOKEN_ENCRYPTION_KEYS = `test:${Buffer.alloc(32, 1).toString('base64')}`;
 
 // Mock console methods to reduce test noise
 global.console = {
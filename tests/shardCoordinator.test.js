@@ -0,0 +1,238 @@
+const ShardCoordinator = require('../src/services/shardCoordinator');
+const EmbedUpdateService = require('../src/services/embedUpdateService');
+const RealTimeSyncService = require('../src/services/realTimeSyncService');
+const SecurityMonitor = require('../src/services/securityMonitor');
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    security: jest.fn()
+}));
+
+// Guild IDs whose timestamp bits put them on shard 1 and shard 0 of two
+const SHARD_ONE_GUILD = String(1n << 22n);
+const SHARD_ZERO_GUILD = String(2n << 22n);
+
+describe('Shard Coordination', () => {
+    let redisService;
+
+    const createCoordinator = (ids = [0], count = 2) => new ShardCoordinator({ shard: { ids, count } }, redisService);
+
+    beforeEach(() => {
+        redisService = {
+            isConnected: true,
+            evalScript: jest.fn(),
+            publish: jest.fn().mockResolvedValue(true),
+            subscribe: jest.fn().mockResolvedValue(true),
+            set: jest.fn().mockResolvedValue(true),
+            setex: jest.fn().mockResolvedValue(true),
+            del: jest.fn().mockResolvedValue(true),
+            getKeysByPattern: jest.fn().mockResolvedValue([]),
+            mget: jest.fn().mockResolvedValue([]),
+            pushToList: jest.fn().mockResolvedValue(1),
+            popFromList: jest.fn().mockResolvedValue([])
+        };
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('coordinator', () => {
+        test('should run every job when not sharded', async () => {
+            const coordinator = new ShardCoordinator({}, redisService);
+
+            expect(coordinator.isSharded()).toBe(false);
+            expect(await coordinator.claimJob('data_cleanup', 60000)).toBe(true);
+            expect(coordinator.ownsGuild(SHARD_ONE_GUILD)).toBe(true);
+            expect(redisService.evalScript).not.toHaveBeenCalled();
+        });
+
+        test('should claim job leases through Redis', async () => {
+            const coordinator = createCoordinator([1]);
+            redisService.evalScript.mockResolvedValueOnce(1).mockResolvedValueOnce(0);
+
+            expect(await coordinator.claimJob('data_cleanup', 60000)).toBe(true);
+            expect(coordinator.getStatus().ownedJobs).toEqual(['data_cleanup']);
+
+            expect(await coordinator.claimJob('data_cleanup', 60000)).toBe(false);
+            expect(coordinator.getStatus().ownedJobs).toEqual([]);
+
+            const [, keys, args] = redisService.evalScript.mock.calls[0];
+            expect(keys).toEqual(['discord:shards:lease:data_cleanup']);
+            expect(args).toEqual([coordinator.instanceId, '60000']);
+        });
+
+        test('should leave jobs to the primary shard while Redis is down', async () => {
+            redisService.isConnected = false;
+
+            expect(await createCoordinator([0]).claimJob('sync_batch', 30000)).toBe(true);
+            expect(await createCoordinator([1]).claimJob('sync_batch', 30000)).toBe(false);
+            expect(redisService.evalScript).not.toHaveBeenCalled();
+        });
+
+        test('should map guilds to their shard', () => {
+            const coordinator = createCoordinator([1]);
+
+            expect(coordinator.shardIdForGuild(SHARD_ONE_GUILD)).toBe(1);
+            expect(coordinator.ownsGuild(SHARD_ONE_GUILD)).toBe(true);
+            expect(coordinator.ownsGuild(SHARD_ZERO_GUILD)).toBe(false);
+        });
+
+        test('should ignore its own broadcasts', async () => {
+            const coordinator = createCoordinator([0]);
+            const handler = jest.fn();
+            coordinator.on('embed_update', handler);
+
+            await coordinator.broadcast('embed_update', { embedId: 'embed1' });
+            const published = redisService.publish.mock.calls[0][1];
+            coordinator.handleMessage(published);
+            coordinator.handleMessage({ ...published, from: 'shard_1_other' });
+
+            expect(handler).toHaveBeenCalledTimes(1);
+            expect(handler).toHaveBeenCalledWith({ embedId: 'embed1' });
+        });
+
+        test('should release held leases on shutdown', async () => {
+            const coordinator = createCoordinator([0]);
+            redisService.evalScript.mockResolvedValue(1);
+            await coordinator.claimJob('data_cleanup', 60000);
+
+            await coordinator.shutdown();
+
+            expect(redisService.evalScript).toHaveBeenLastCalledWith(
+                expect.any(String),
+                ['discord:shards:lease:data_cleanup'],
+                [coordinator.instanceId]
+            );
+            expect(coordinator.getStatus().ownedJobs).toEqual([]);
+        });
+    });
+
+    describe('security statistics', () => {
+        test('should sum statistics reported by every shard', async () => {
+            const coordinator = createCoordinator([0]);
+            jest.spyOn(SecurityMonitor.prototype, 'startMonitoring').mockImplementation(() => {});
+            const monitor = new SecurityMonitor({ shardCoordinator: coordinator });
+            monitor.securityEvents = [{ type: 'rapid_commands', severity: 'medium', timestamp: Date.now() }];
+
+            redisService.getKeysByPattern.mockResolvedValue([
+                `discord:shards:stats:security:${coordinator.instanceId}`,
+                'discord:shards:stats:security:shard_1_other'
+            ]);
+            redisService.mget.mockResolvedValue([{
+                shardIds: [1],
+                stats: {
+                    totalEvents: 2,
+                    recentEvents: 2,
+                    dailyEvents: 2,
+                    eventsByType: { rapid_commands: 1, bot_detection: 1 },
+                    eventsBySeverity: { medium: 1, high: 1 },
+                    suspiciousUsers: 3
+                }
+            }]);
+
+            const stats = await monitor.getClusterSecurityStatistics();
+
+            expect(redisService.mget).toHaveBeenCalledWith(['discord:shards:stats:security:shard_1_other']);
+            expect(stats).toMatchObject({
+                shards: 2,
+                totalEvents: 3,
+                dailyEvents: 3,
+                suspiciousUsers: 3,
+                eventsByType: { rapid_commands: 2, bot_detection: 1 },
+                eventsBySeverity: { medium: 2, high: 1 }
+            });
+        });
+    });
+
+    describe('sync batch queue', () => {
+        test('should share batches through Redis and process them on the lease holder', async () => {
+            const coordinator = createCoordinator([1]);
+            const syncService = new RealTimeSyncService({ redis: redisService, shardCoordinator: coordinator });
+            const batch = { batchId: 'batch_1', operations: [{ type: 'task_status', data: {} }] };
+            jest.spyOn(syncService, 'processBatchTaskUpdates').mockResolvedValue();
+
+            redisService.evalScript.mockResolvedValueOnce(1);
+            await syncService.handleBatchSync({ operations: batch.operations, priority: 'high' });
+            const [, enqueueKeys, enqueueArgs] = redisService.evalScript.mock.calls[0];
+            expect(enqueueKeys[1]).toBe('discord_sync:queue:batches:pending');
+            expect(enqueueArgs[2]).toBe('front');
+            expect(syncService.batchQueue).toHaveLength(0);
+
+            redisService.evalScript.mockResolvedValueOnce(0);
+            await syncService.processBatchQueue();
+            expect(redisService.evalScript).toHaveBeenCalledTimes(2);
+
+            redisService.evalScript
+                .mockResolvedValueOnce(1)
+                .mockResolvedValueOnce(['batch_1', JSON.stringify(batch)])
+                .mockResolvedValueOnce(1);
+            await syncService.processBatchQueue();
+            expect(redisService.evalScript.mock.calls[3][2]).toEqual([expect.any(String), expect.any(String), '50']);
+            expect(redisService.evalScript.mock.calls[4][2]).toEqual(['batch_1']);
+            expect(syncService.processBatchTaskUpdates).toHaveBeenCalledWith(batch.operations);
+        });
+    });
+
+    describe('embed updates', () => {
+        let embedUpdater;
+
+        const embedInfo = guildId => ({
+            guildId,
+            channelId: 'channel123',
+            messageId: 'message123',
+            type: 'task',
+            dataId: 'task123'
+        });
+
+        beforeEach(async () => {
+            embedUpdater = new EmbedUpdateService({ channels: { fetch: jest.fn() } }, {}, redisService, createCoordinator([0]));
+            redisService.keys = jest.fn().mockResolvedValue([]);
+            jest.spyOn(global, 'setInterval').mockReturnValue(0);
+            await embedUpdater.initialize();
+        });
+
+        afterEach(() => {
+            embedUpdater.shardCoordinator.removeAllListeners();
+        });
+
+        test('should hand embeds in other shards\' guilds to their owner', async () => {
+            await embedUpdater.registerEmbedForUpdates('remote_embed', embedInfo(SHARD_ONE_GUILD));
+            await embedUpdater.registerEmbedForUpdates('local_embed', embedInfo(SHARD_ZERO_GUILD));
+
+            expect(redisService.setex).toHaveBeenCalledTimes(2);
+            expect(embedUpdater.activeEmbeds.has('remote_embed')).toBe(false);
+            expect(embedUpdater.activeEmbeds.has('local_embed')).toBe(true);
+            expect(redisService.publish).toHaveBeenCalledTimes(1);
+            expect(redisService.publish.mock.calls[0][1]).toMatchObject({
+                type: 'embed_register',
+                payload: { embedId: 'remote_embed' }
+            });
+        });
+
+        test('should forward updates for embeds tracked by another shard', async () => {
+            const result = await embedUpdater.updateEmbed('remote_embed', { status: 'completed' }, true);
+
+            expect(result).toBe(true);
+            expect(embedUpdater.client.channels.fetch).not.toHaveBeenCalled();
+            expect(redisService.publish.mock.calls[0][1]).toMatchObject({
+                type: 'embed_update',
+                payload: { embedId: 'remote_embed', updateData: { status: 'completed' }, force: true }
+            });
+        });
+
+        test('should take over embeds registered for its guilds by other shards', () => {
+            const coordinator = embedUpdater.shardCoordinator;
+
+            coordinator.handleMessage({ type: 'embed_register', from: 'shard_1_other', payload: { embedId: 'handed_embed', embedInfo: embedInfo(SHARD_ZERO_GUILD) } });
+            expect(embedUpdater.activeEmbeds.has('handed_embed')).toBe(true);
+
+            coordinator.handleMessage({ type: 'embed_unregister', from: 'shard_1_other', payload: { embedId: 'handed_embed' } });
+            expect(embedUpdater.activeEmbeds.has('handed_embed')).toBe(false);
+        });
+    });
+});
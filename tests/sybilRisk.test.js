@@ -0,0 +1,268 @@
+const SybilRiskService = require('../src/services/sybilRiskService');
+const RiskSignal = require('../src/services/riskSignals/riskSignal');
+const AccountAgeSignal = require('../src/services/riskSignals/accountAgeSignal');
+const SharedAccountSignal = require('../src/services/riskSignals/sharedAccountSignal');
+const AllowlistConnection = require('../src/models/allowlistConnection');
+const AllowlistEntryRisk = require('../src/models/allowlistEntryRisk');
+const DiscordAccountLink = require('../src/models/discordAccountLink');
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+}));
+
+class FixedSignal extends RiskSignal {
+    constructor(name, weight, risk) {
+        super(name, weight);
+        this.risk = risk;
+    }
+
+    async evaluate() {
+        if (this.risk instanceof Error) {
+            throw this.risk;
+        }
+        return { risk: this.risk, detail: { fixed: true } };
+    }
+}
+
+describe('Sybil Risk Scoring', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    let botService;
+    let service;
+    let policy;
+    let assessments;
+
+    const context = {
+        discordId: 'user123',
+        guildId: 'guild123',
+        allowlistId: 'allowlist1',
+        nafflesUserId: 'naffles1',
+        walletAddress: '0xabc'
+    };
+
+    // In-memory stand-in for the allowlistentryrisks collection
+    const assessmentDoc = fields => {
+        const doc = new AllowlistEntryRisk(fields);
+        doc.save = jest.fn().mockResolvedValue(doc);
+        return doc;
+    };
+
+    const mockAssessments = () => {
+        assessments = new Map();
+        jest.spyOn(AllowlistEntryRisk, 'findOne').mockImplementation(async ({ allowlistId, discordId }) =>
+            assessments.get(`${allowlistId}:${discordId}`) || null);
+        jest.spyOn(AllowlistEntryRisk, 'findById').mockImplementation(async id =>
+            Array.from(assessments.values()).find(doc => doc._id.toString() === id) || null);
+        jest.spyOn(AllowlistEntryRisk, 'findOneAndUpdate').mockImplementation(async ({ allowlistId, discordId }, update) => {
+            const key = `${allowlistId}:${discordId}`;
+            const doc = assessments.get(key) || assessmentDoc({ allowlistId, discordId, attempts: 0 });
+            doc.set(update.$set);
+            doc.attempts += update.$inc.attempts;
+            assessments.set(key, doc);
+            return doc;
+        });
+    };
+
+    beforeEach(() => {
+        botService = {
+            db: { isHealthy: jest.fn().mockReturnValue(true) },
+            auditLogger: {
+                logAllowlistEvent: jest.fn().mockResolvedValue(),
+                logAdminAction: jest.fn().mockResolvedValue(),
+                logConfigChange: jest.fn().mockResolvedValue()
+            },
+            shardCoordinator: { broadcast: jest.fn().mockResolvedValue(), on: jest.fn() },
+            makeNafflesApiCall: jest.fn().mockResolvedValue({ success: true }),
+            validateUserPermissions: jest.fn().mockResolvedValue({ hasPermission: true }),
+            allowlistIntegration: {
+                updateConnectionAnalytics: jest.fn().mockResolvedValue(),
+                updateAllowlistEmbed: jest.fn().mockResolvedValue()
+            },
+            client: { users: { fetch: jest.fn().mockResolvedValue({ send: jest.fn().mockResolvedValue() }) } }
+        };
+
+        policy = { enabled: true, reviewAbove: 50, rejectAbove: 80 };
+        jest.spyOn(AllowlistConnection, 'findConnection').mockImplementation(() => ({
+            select: () => ({ lean: jest.fn().mockImplementation(() => Promise.resolve({ riskPolicy: policy })) })
+        }));
+        mockAssessments();
+
+        service = new SybilRiskService(botService, { signals: [] });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should weight signals and leave out ones that fail', async () => {
+        service.registerSignal(new FixedSignal('a', 30, 1));
+        service.registerSignal(new FixedSignal('b', 10, 0));
+        service.registerSignal(new FixedSignal('down', 60, new Error('api unavailable')));
+
+        const result = await service.scoreEntrant(context);
+
+        expect(result.score).toBe(75);
+        expect(result.signals).toEqual(expect.arrayContaining([
+            { name: 'a', weight: 30, risk: 1, detail: { fixed: true } },
+            { name: 'down', weight: 60, risk: null, detail: null, error: 'api unavailable' }
+        ]));
+        expect(service.getStatistics()).toMatchObject({ signalErrors: 1, signals: ['a', 'b', 'down'] });
+
+        service.unregisterSignal('a');
+        expect((await service.scoreEntrant(context)).score).toBe(0);
+    });
+
+    test('should score account age and shared wallets from the default signals', async () => {
+        const age = await new AccountAgeSignal().evaluate({ user: { createdTimestamp: Date.now() - 3 * DAY } });
+        expect(age).toEqual({ risk: 0.8, detail: { days: 3 } });
+
+        botService.makeNafflesApiCall.mockResolvedValue({ userIds: ['naffles1', 'naffles2', 'naffles3'] });
+        jest.spyOn(DiscordAccountLink, 'findSharedNafflesUsers').mockResolvedValue([]);
+        const shared = await new SharedAccountSignal(botService).evaluate(context);
+
+        expect(botService.makeNafflesApiCall).toHaveBeenCalledWith('/api/wallets/0xabc/accounts');
+        expect(shared).toEqual({ risk: 1, detail: { otherWalletUsers: 2, otherDiscordAccounts: 0 } });
+    });
+
+    test('should allow, hold or reject entries by the allowlist thresholds', async () => {
+        const signal = new FixedSignal('fixed', 10, 0.3);
+        service.registerSignal(signal);
+
+        expect(await service.assessEntry(context, { userId: 'naffles1' })).toMatchObject({ decision: 'allowed', score: 30 });
+
+        signal.risk = 0.9;
+        const rejected = await service.assessEntry({ ...context, discordId: 'user456' }, { userId: 'naffles2' });
+        expect(rejected).toMatchObject({ decision: 'rejected', score: 90 });
+
+        signal.risk = 0.6;
+        const held = await service.assessEntry({ ...context, discordId: 'user789' }, { userId: 'naffles3' });
+        expect(held).toMatchObject({ decision: 'held', score: 60 });
+        expect(assessments.get('allowlist1:user789')).toMatchObject({
+            decision: 'held',
+            entryData: { userId: 'naffles3' },
+            policy: { reviewAbove: 50, rejectAbove: 80 }
+        });
+        expect(assessments.get('allowlist1:user456').entryData).toBeNull();
+
+        expect(botService.auditLogger.logAllowlistEvent).toHaveBeenCalledTimes(2);
+        expect(botService.auditLogger.logAllowlistEvent).toHaveBeenCalledWith(
+            'user789', 'guild123', 'allowlist1', 'entry_held', expect.objectContaining({ riskScore: 60 })
+        );
+    });
+
+    test('should not rescore held entries and let allowed entrants be rescored', async () => {
+        const signal = new FixedSignal('fixed', 10, 0.6);
+        service.registerSignal(signal);
+
+        await service.assessEntry(context, {});
+        signal.risk = 0;
+        expect(await service.assessEntry(context, {})).toMatchObject({ decision: 'held', score: 60 });
+        expect(assessments.get('allowlist1:user123').attempts).toBe(2);
+
+        policy = { enabled: true, reviewAbove: null, rejectAbove: null };
+        service.policyCache.clear();
+        await service.assessEntry({ ...context, discordId: 'user456' }, {});
+        signal.risk = 1;
+        policy = { enabled: true, reviewAbove: 50, rejectAbove: null };
+        service.policyCache.clear();
+        expect(await service.assessEntry({ ...context, discordId: 'user456' }, {})).toMatchObject({ decision: 'held', score: 100 });
+    });
+
+    test('should skip scoring when the policy is disabled or the database is down', async () => {
+        const signal = new FixedSignal('fixed', 10, 1);
+        jest.spyOn(signal, 'evaluate');
+        service.registerSignal(signal);
+
+        policy = { enabled: false, reviewAbove: 50, rejectAbove: 80 };
+        expect(await service.assessEntry(context, {})).toEqual({ decision: 'allowed', score: null, assessmentId: null });
+
+        service.policyCache.clear();
+        botService.db.isHealthy.mockReturnValue(false);
+        expect((await service.assessEntry(context, {})).decision).toBe('allowed');
+        expect(signal.evaluate).not.toHaveBeenCalled();
+    });
+
+    test('should submit the stored entry when a moderator approves it', async () => {
+        service.registerSignal(new FixedSignal('fixed', 10, 0.6));
+        const { assessmentId } = await service.assessEntry(context, { userId: 'naffles1', discordId: 'user123' });
+
+        const result = await service.reviewEntry(assessmentId.toString(), true, { id: 'mod1' });
+
+        expect(result.success).toBe(true);
+        expect(botService.makeNafflesApiCall).toHaveBeenCalledWith(
+            '/api/allowlists/allowlist1/enter', 'POST', { userId: 'naffles1', discordId: 'user123' }
+        );
+        expect(botService.allowlistIntegration.updateConnectionAnalytics).toHaveBeenCalledWith('allowlist1', 'entry', 'user123');
+        expect(result.assessment).toMatchObject({ decision: 'approved', entryData: null, review: { decidedBy: 'mod1' } });
+        expect(botService.auditLogger.logAdminAction).toHaveBeenCalledWith(
+            'mod1', 'allowlist_entry_approved', 'guild123', { allowlistId: 'allowlist1', discordId: 'user123', riskScore: 60 }
+        );
+        expect(botService.client.users.fetch).toHaveBeenCalledWith('user123');
+
+        // Decided entries stay decided
+        expect(await service.reviewEntry(assessmentId.toString(), false, { id: 'mod2' })).toMatchObject({ success: false, reason: 'not_held' });
+        expect(await service.assessEntry(context, {})).toMatchObject({ decision: 'allowed', score: 60 });
+    });
+
+    test('should keep the hold when Naffles rejects an approved entry, and deny without submitting', async () => {
+        service.registerSignal(new FixedSignal('fixed', 10, 0.6));
+        const { assessmentId } = await service.assessEntry(context, { userId: 'naffles1' });
+
+        botService.makeNafflesApiCall.mockRejectedValueOnce(new Error('Allowlist closed'));
+        const failed = await service.reviewEntry(assessmentId.toString(), true, { id: 'mod1' });
+        expect(failed).toMatchObject({ success: false, reason: 'entry_failed' });
+        expect(failed.assessment.decision).toBe('held');
+        expect(failed.assessment.review.error).toBe('Allowlist closed');
+
+        botService.makeNafflesApiCall.mockClear();
+        const denied = await service.reviewEntry(assessmentId.toString(), false, { id: 'mod1' });
+        expect(denied.assessment.decision).toBe('denied');
+        expect(botService.makeNafflesApiCall).not.toHaveBeenCalled();
+        expect(await service.assessEntry(context, {})).toMatchObject({ decision: 'rejected' });
+    });
+
+    test('should require Manage Server for the review buttons', async () => {
+        const interaction = {
+            customId: 'allowlist_risk_approve_abc',
+            guildId: 'guild123',
+            user: { id: 'user999' },
+            reply: jest.fn().mockResolvedValue(),
+            deferReply: jest.fn().mockResolvedValue()
+        };
+        botService.validateUserPermissions.mockResolvedValue({ hasPermission: false, reason: 'Missing permissions' });
+        jest.spyOn(service, 'reviewEntry');
+
+        await service.handleReviewButton(interaction);
+
+        expect(botService.validateUserPermissions).toHaveBeenCalledWith('guild123', 'user999', ['ManageGuild']);
+        expect(interaction.reply).toHaveBeenCalledWith(expect.objectContaining({ ephemeral: true }));
+        expect(service.reviewEntry).not.toHaveBeenCalled();
+    });
+
+    test('should validate, save and audit policy changes', async () => {
+        expect(await service.updatePolicy('allowlist1', 'guild123', { reviewAbove: 90 }, 'admin1'))
+            .toMatchObject({ success: false, reason: 'invalid_threshold' });
+        expect(await service.updatePolicy('allowlist1', 'guild123', {}, 'admin1'))
+            .toMatchObject({ success: false, reason: 'no_values' });
+
+        jest.spyOn(AllowlistConnection, 'findOneAndUpdate').mockResolvedValue({
+            riskPolicy: { enabled: true, reviewAbove: 40, rejectAbove: null }
+        });
+
+        const result = await service.updatePolicy('allowlist1', 'guild123', { reviewAbove: 40, rejectAbove: 0 }, 'admin1');
+
+        expect(result).toEqual({ success: true, policy: { enabled: true, reviewAbove: 40, rejectAbove: null } });
+        expect(AllowlistConnection.findOneAndUpdate).toHaveBeenCalledWith(
+            { allowlistId: 'allowlist1', guildId: 'guild123', isActive: true },
+            { $set: { 'riskPolicy.reviewAbove': 40, 'riskPolicy.rejectAbove': null, 'riskPolicy.updatedBy': 'admin1' } },
+            { new: true, runValidators: true }
+        );
+        expect(botService.shardCoordinator.broadcast).toHaveBeenCalledWith('allowlist_risk_changed', { guildId: 'guild123', allowlistId: 'allowlist1' });
+        expect(botService.auditLogger.logConfigChange).toHaveBeenCalledWith(
+            'admin1', 'guild123', 'allowlist_risk', { allowlistId: 'allowlist1', reviewAbove: 40, rejectAbove: 0 }
+        );
+    });
+});
@@ -0,0 +1,160 @@
+const SyncQueueStore = require('../src/services/syncQueueStore');
+const RealTimeSyncService = require('../src/services/realTimeSyncService');
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+}));
+
+describe('Durable Sync Queue', () => {
+    let redisService;
+
+    beforeEach(() => {
+        jest.setSystemTime(new Date('2026-10-01T12:00:00Z'));
+
+        redisService = {
+            isConnected: true,
+            evalScript: jest.fn().mockResolvedValue(1),
+            popFromList: jest.fn().mockResolvedValue([])
+        };
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('SyncQueueStore', () => {
+        test('should lease claimed operations for the visibility timeout', async () => {
+            const store = new SyncQueueStore(redisService, 'operations', { visibilityTimeout: 30000 });
+            const operation = { type: 'task_status', taskId: 'task1', retries: 0 };
+            redisService.evalScript.mockResolvedValueOnce(['sync_1', JSON.stringify(operation)]);
+
+            const claimed = await store.claim(5);
+
+            expect(claimed).toEqual([{ id: 'sync_1', operation }]);
+            const [, keys, args] = redisService.evalScript.mock.calls[0];
+            expect(keys).toEqual([
+                'discord_sync:queue:operations:operations',
+                'discord_sync:queue:operations:pending',
+                'discord_sync:queue:operations:inflight'
+            ]);
+            expect(args).toEqual([String(Date.now()), String(Date.now() + 30000), '5']);
+        });
+
+        test('should store operations processed right away as leased', async () => {
+            const store = new SyncQueueStore(redisService, 'operations', { visibilityTimeout: 30000 });
+
+            expect(await store.enqueue('sync_1', { type: 'task_status' }, { claimed: true })).toBe(true);
+
+            const [, , args] = redisService.evalScript.mock.calls[0];
+            expect(args).toEqual(['sync_1', JSON.stringify({ type: 'task_status' }), 'claimed', String(Date.now() + 30000)]);
+        });
+
+        test('should replay dead letters with their retries reset', async () => {
+            const store = new SyncQueueStore(redisService, 'operations');
+            const entry = {
+                id: 'sync_1',
+                operation: { type: 'task_status', taskId: 'task1', retries: 3, lastError: 'API down', timestamp: 1 },
+                reason: 'API down',
+                deadLetteredAt: 2
+            };
+            redisService.evalScript
+                .mockResolvedValueOnce(JSON.stringify(entry))
+                .mockResolvedValueOnce(1)
+                .mockResolvedValueOnce(null);
+
+            const operation = await store.replayDeadLetter('sync_1');
+
+            expect(operation).toEqual({ type: 'task_status', taskId: 'task1', retries: 0, timestamp: Date.now(), replays: 1 });
+            expect(redisService.evalScript.mock.calls[1][1]).toEqual([
+                'discord_sync:queue:operations:dead_letters',
+                'discord_sync:queue:operations:operations',
+                'discord_sync:queue:operations:pending'
+            ]);
+
+            // Already replayed or dropped
+            expect(await store.replayDeadLetter('sync_1')).toBeNull();
+        });
+
+        test('should keep dead letters in memory without Redis', async () => {
+            redisService.isConnected = false;
+            const store = new SyncQueueStore(redisService, 'operations');
+
+            expect(await store.enqueue('sync_1', { type: 'task_status' })).toBe(false);
+            expect(await store.claim(10)).toEqual([]);
+
+            await store.deadLetter('sync_1', { type: 'task_status', retries: 3 }, 'API down');
+            expect(await store.listDeadLetters()).toEqual([
+                expect.objectContaining({ id: 'sync_1', reason: 'API down' })
+            ]);
+            expect((await store.getCounts()).deadLettered).toBe(1);
+
+            expect(await store.dropDeadLetter('sync_1')).toBe(true);
+            expect(await store.listDeadLetters()).toEqual([]);
+            expect(redisService.evalScript).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('RealTimeSyncService', () => {
+        let syncService;
+
+        beforeEach(() => {
+            syncService = new RealTimeSyncService({ redis: redisService });
+        });
+
+        test('should dead-letter operations that exhaust their retries', async () => {
+            const syncOp = { type: 'task_status', taskId: 'task1', retries: 2, timestamp: Date.now() };
+            syncService.syncQueue.set('sync_1', syncOp);
+            jest.spyOn(syncService.syncStore, 'deadLetter');
+
+            await syncService.handleSyncRetry('sync_1', new Error('API down'));
+
+            expect(syncService.syncQueue.has('sync_1')).toBe(false);
+            expect(syncService.syncStore.deadLetter).toHaveBeenCalledWith('sync_1', expect.objectContaining({ retries: 3 }), 'API down');
+            expect(syncService.getStatistics().deadLetteredSyncs).toBe(1);
+        });
+
+        test('should keep the lease while a retry is pending', async () => {
+            const syncOp = { type: 'task_status', taskId: 'task1', retries: 0, timestamp: Date.now() };
+            syncService.syncQueue.set('sync_1', syncOp);
+            jest.spyOn(syncService.syncStore, 'touch');
+            jest.spyOn(syncService, 'processSyncOperation').mockResolvedValue();
+
+            await syncService.handleSyncRetry('sync_1', new Error('API down'));
+
+            expect(syncService.syncStore.touch).toHaveBeenCalledWith('sync_1', syncOp, syncService.retryDelay);
+            expect(syncService.processSyncOperation).not.toHaveBeenCalled();
+
+            jest.advanceTimersByTime(syncService.retryDelay);
+            expect(syncService.processSyncOperation).toHaveBeenCalledWith('sync_1');
+        });
+
+        test('should process claimed operations and acknowledge them on success', async () => {
+            const syncOp = { type: 'task_status', taskId: 'task1', newStatus: 'active', retries: 0, timestamp: Date.now() };
+            jest.spyOn(syncService.syncStore, 'claim').mockResolvedValue([{ id: 'sync_1', operation: syncOp }]);
+            jest.spyOn(syncService.syncStore, 'ack');
+            jest.spyOn(syncService, 'syncTaskStatus').mockResolvedValue();
+
+            await syncService.processPendingSyncs();
+
+            expect(syncService.syncStore.claim).toHaveBeenCalledWith(10);
+            expect(syncService.syncTaskStatus).toHaveBeenCalledWith(syncOp);
+            expect(syncService.syncStore.ack).toHaveBeenCalledWith('sync_1');
+            expect(syncService.syncQueue.has('sync_1')).toBe(false);
+        });
+
+        test('should requeue replayed operations in memory without Redis', async () => {
+            redisService.isConnected = false;
+            await syncService.syncStore.deadLetter('sync_1', { type: 'task_status', taskId: 'task1', retries: 3 }, 'API down');
+
+            const syncOp = await syncService.replayDeadLetter('sync_1');
+
+            expect(syncOp.retries).toBe(0);
+            expect(syncService.syncQueue.get('sync_1')).toBe(syncOp);
+            expect(await syncService.listDeadLetters()).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,224 @@
+const TaskReviewService = require('../src/services/taskReviewService');
+const SocialTaskIntegrationService = require('../src/services/socialTaskIntegrationService');
+const EmbedTemplates = require('../src/services/embedTemplates');
+const TaskSubmission = require('../src/models/taskSubmission');
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+}));
+
+describe('Custom Task Review', () => {
+    let mockBotService;
+    let service;
+    let reviewChannel;
+    let reviewMessage;
+    let member;
+
+    const task = {
+        id: 'task123',
+        type: 'custom',
+        title: 'Share Our Content',
+        status: 'active',
+        configuration: { instructions: 'Share our latest post' },
+        rewards: { points: 150 }
+    };
+
+    const buildSubmission = (overrides = {}) => {
+        const doc = new TaskSubmission({
+            taskId: 'task123',
+            guildId: 'guild123',
+            discordId: 'user123',
+            discordUsername: 'alice',
+            nafflesUserId: 'naffles123',
+            task: { title: 'Share Our Content', points: 150 },
+            proof: { url: 'https://x.com/alice/status/1', text: 'Shared it' },
+            review: { channelId: 'review-channel', messageId: 'card123' },
+            ...overrides
+        });
+        jest.spyOn(doc, 'save').mockResolvedValue(doc);
+        return doc;
+    };
+
+    const buildModalInteraction = (customId, fields) => ({
+        customId,
+        guildId: 'guild123',
+        channelId: 'channel123',
+        user: { id: 'user123', username: 'alice' },
+        isModalSubmit: () => true,
+        fields: { getTextInputValue: jest.fn(name => fields[name] || '') },
+        reply: jest.fn().mockResolvedValue({}),
+        deferReply: jest.fn().mockResolvedValue({}),
+        editReply: jest.fn().mockResolvedValue({})
+    });
+
+    beforeEach(() => {
+        reviewMessage = { id: 'card123', edit: jest.fn().mockResolvedValue({}) };
+        reviewChannel = {
+            id: 'review-channel',
+            send: jest.fn().mockResolvedValue(reviewMessage),
+            messages: { fetch: jest.fn().mockResolvedValue(reviewMessage) }
+        };
+        member = { id: 'user123', send: jest.fn().mockResolvedValue({}) };
+
+        mockBotService = {
+            client: {
+                channels: { fetch: jest.fn().mockResolvedValue(reviewChannel) },
+                users: { fetch: jest.fn().mockResolvedValue(member) },
+                guilds: { cache: new Map([['guild123', { name: 'Test Guild', roles: { cache: new Map() } }]]) }
+            },
+            db: { getUserAccountLink: jest.fn().mockResolvedValue({ nafflesUserId: 'naffles123', discordId: 'user123' }) },
+            embedTemplates: new EmbedTemplates(),
+            localization: {
+                resolveLocale: jest.fn().mockResolvedValue('en'),
+                getGuildLocale: jest.fn().mockResolvedValue('en')
+            },
+            makeNafflesApiCall: jest.fn().mockResolvedValue({ id: 'completion123' }),
+            validateUserPermissions: jest.fn().mockResolvedValue({ hasPermission: true }),
+            leaderboard: { recordTaskCompletion: jest.fn().mockResolvedValue() },
+            roleRewards: { handleTaskCompleted: jest.fn().mockResolvedValue([]) },
+            auditLogger: { logAdminAction: jest.fn().mockResolvedValue() },
+            taskAnalytics: { getVerificationQueue: jest.fn().mockResolvedValue([{}, {}]) },
+            logInteraction: jest.fn().mockResolvedValue()
+        };
+
+        service = new TaskReviewService(mockBotService);
+        mockBotService.taskReview = service;
+        mockBotService.socialTaskIntegration = new SocialTaskIntegrationService(mockBotService);
+
+        jest.spyOn(service, 'getReviewChannelId').mockResolvedValue('review-channel');
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should require proof before a custom task can be submitted', async () => {
+        const interaction = buildModalInteraction('task_proof_modal_task123', {});
+
+        const result = await mockBotService.socialTaskIntegration.verifyCustomTask(task, {}, interaction);
+
+        expect(result.verified).toBe(false);
+        expect(result.reason).toBe('proof_required');
+    });
+
+    test('should store a submission, send it to Naffles and post a review card', async () => {
+        jest.spyOn(mockBotService.socialTaskIntegration, 'getTaskDetails').mockResolvedValue(task);
+        jest.spyOn(mockBotService.socialTaskIntegration, 'checkTaskAvailability').mockResolvedValue({ available: true });
+        jest.spyOn(TaskSubmission, 'findOpenSubmission').mockResolvedValue(null);
+        jest.spyOn(TaskSubmission, 'create').mockImplementation(async data => buildSubmission({ ...data, review: {} }));
+
+        const interaction = buildModalInteraction('task_proof_modal_task123', {
+            proof_url: 'https://x.com/alice/status/1',
+            proof_text: 'Shared it'
+        });
+
+        await service.handleProofSubmission(interaction);
+
+        const [endpoint, method, body] = mockBotService.makeNafflesApiCall.mock.calls[0];
+        expect(endpoint).toBe('/api/social-tasks/task123/complete');
+        expect(method).toBe('POST');
+        expect(body.verificationData).toMatchObject({
+            method: 'manual_review',
+            proof: { url: 'https://x.com/alice/status/1', text: 'Shared it' }
+        });
+
+        const card = reviewChannel.send.mock.calls[0][0];
+        const buttons = card.components[0].components.map(button => button.data.custom_id || button.data.url);
+        expect(card.embeds[0].data.title).toContain('Proof submitted: Share Our Content');
+        expect(buttons[0]).toMatch(/^task_review_approve_/);
+        expect(buttons[1]).toMatch(/^task_review_reject_/);
+        expect(buttons[2]).toBe('https://x.com/alice/status/1');
+
+        expect(interaction.editReply.mock.calls[0][0].content).toContain('was sent to the moderators');
+        expect(mockBotService.leaderboard.recordTaskCompletion).not.toHaveBeenCalled();
+    });
+
+    test('should reject invalid proof links before submitting', async () => {
+        const interaction = buildModalInteraction('task_proof_modal_task123', { proof_url: 'javascript:alert(1)' });
+
+        await service.handleProofSubmission(interaction);
+
+        expect(interaction.reply.mock.calls[0][0].content).toContain('must start with http');
+        expect(mockBotService.makeNafflesApiCall).not.toHaveBeenCalled();
+    });
+
+    test('should approve a submission, reward the member and notify them with the reason', async () => {
+        const submission = buildSubmission({ status: 'approved', review: { channelId: 'review-channel', messageId: 'card123', reviewedBy: 'mod123', reason: 'Looks great' } });
+        jest.spyOn(TaskSubmission, 'claimForReview').mockResolvedValue(submission);
+
+        const result = await service.reviewSubmission(submission._id, 'approved', { id: 'mod123', username: 'mod' }, 'Looks great');
+
+        expect(result.success).toBe(true);
+        expect(mockBotService.makeNafflesApiCall).toHaveBeenCalledWith(
+            '/api/social-tasks/task123/completions/naffles123/review',
+            'POST',
+            expect.objectContaining({ decision: 'approved', reason: 'Looks great', reviewedBy: 'mod123' })
+        );
+        expect(mockBotService.leaderboard.recordTaskCompletion).toHaveBeenCalledWith('user123', 150);
+        expect(mockBotService.roleRewards.handleTaskCompleted).toHaveBeenCalledWith({ id: 'task123' }, 'user123', 'guild123');
+
+        const dm = member.send.mock.calls[0][0].embeds[0].data;
+        expect(dm.title).toContain('was approved');
+        expect(dm.fields[0].value).toBe('Looks great');
+        expect(submission.notification.status).toBe('dm_sent');
+
+        const card = reviewMessage.edit.mock.calls[0][0];
+        expect(card.components[0].components).toHaveLength(1); // only the proof link is left
+        expect(mockBotService.auditLogger.logAdminAction).toHaveBeenCalledWith('mod123', 'task_submission_approved', 'guild123', expect.any(Object));
+    });
+
+    test('should keep the submission pending when Naffles rejects the decision', async () => {
+        const submission = buildSubmission({ status: 'rejected' });
+        jest.spyOn(TaskSubmission, 'claimForReview').mockResolvedValue(submission);
+        const revert = jest.spyOn(TaskSubmission, 'updateOne').mockResolvedValue({});
+        mockBotService.makeNafflesApiCall.mockRejectedValue(new Error('API unavailable'));
+
+        const result = await service.reviewSubmission(submission._id, 'rejected', { id: 'mod123', username: 'mod' }, 'Wrong post');
+
+        expect(result).toMatchObject({ success: false, reason: 'sync_failed' });
+        expect(revert.mock.calls[0][1].$set.status).toBe('pending');
+        expect(member.send).not.toHaveBeenCalled();
+    });
+
+    test('should not let two moderators decide the same submission', async () => {
+        const reviewed = buildSubmission({ status: 'approved', review: { reviewedBy: 'mod999' } });
+        jest.spyOn(TaskSubmission, 'claimForReview').mockResolvedValue(null);
+        jest.spyOn(TaskSubmission, 'findById').mockResolvedValue(reviewed);
+
+        const interaction = buildModalInteraction(`task_review_modal_reject_${reviewed._id}`, { reason: 'Too late' });
+        await service.handleReviewDecision(interaction);
+
+        expect(interaction.editReply.mock.calls[0][0].content).toContain('already reviewed (✅ Approved) by <@mod999>');
+        expect(mockBotService.makeNafflesApiCall).not.toHaveBeenCalled();
+    });
+
+    test('should only let moderators open the review modal', async () => {
+        mockBotService.validateUserPermissions.mockResolvedValue({ hasPermission: false, reason: 'Missing permission: ManageMessages' });
+        const interaction = {
+            customId: 'task_review_approve_abc',
+            guildId: 'guild123',
+            user: { id: 'user456' },
+            reply: jest.fn().mockResolvedValue({}),
+            showModal: jest.fn()
+        };
+
+        await service.handleReviewButton(interaction);
+
+        expect(interaction.showModal).not.toHaveBeenCalled();
+        expect(interaction.reply.mock.calls[0][0].content).toContain('Missing permission: ManageMessages');
+    });
+
+    test('should report the pending queue with Naffles verification queue sizes', async () => {
+        jest.spyOn(TaskSubmission, 'findPending').mockResolvedValue([buildSubmission(), buildSubmission({ discordId: 'user456' })]);
+
+        const queue = await service.getReviewQueue('guild123');
+
+        expect(queue.submissions).toHaveLength(2);
+        expect(queue.tasks).toEqual([{ taskId: 'task123', title: 'Share Our Content', pending: 2, nafflesPending: 2 }]);
+        expect(mockBotService.taskAnalytics.getVerificationQueue).toHaveBeenCalledWith('task123');
+    });
+});
@@ -0,0 +1,259 @@
+const TaskSchedulerService = require('../src/services/taskSchedulerService');
+const ScheduledTaskPost = require('../src/models/scheduledTaskPost');
+const { parseCronExpression, isValidCronExpression, getNextCronDate } = require('../src/utils/cronSchedule');
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+}));
+
+describe('Task Scheduling System', () => {
+    describe('Cron Schedule Utilities', () => {
+        test('should parse a valid 5-field expression', () => {
+            const parsed = parseCronExpression('0,30 9-17 * * 1-5');
+
+            expect([...parsed.minute]).toEqual([0, 30]);
+            expect(parsed.hour.has(9)).toBe(true);
+            expect(parsed.hour.has(18)).toBe(false);
+            expect(parsed.dayOfWeek.has(0)).toBe(false);
+        });
+
+        test('should treat 7 as Sunday', () => {
+            const parsed = parseCronExpression('0 12 * * 7');
+            expect(parsed.dayOfWeek.has(0)).toBe(true);
+        });
+
+        test('should reject invalid expressions', () => {
+            expect(isValidCronExpression('* * *')).toBe(false);
+            expect(isValidCronExpression('61 * * * *')).toBe(false);
+            expect(isValidCronExpression('*/0 * * * *')).toBe(false);
+            expect(isValidCronExpression('*/15 * * * *')).toBe(true);
+        });
+
+        test('should compute the next run in UTC', () => {
+            const after = new Date(Date.UTC(2025, 0, 6, 10, 0)); // Monday 10:00 UTC
+
+            expect(getNextCronDate('0 15 * * 1', after).toISOString()).toBe('2025-01-06T15:00:00.000Z');
+            expect(getNextCronDate('0 9 * * 1', after).toISOString()).toBe('2025-01-13T09:00:00.000Z');
+            expect(getNextCronDate('*/15 * * * *', after).toISOString()).toBe('2025-01-06T10:15:00.000Z');
+            expect(getNextCronDate('0 0 1 3 *', after).toISOString()).toBe('2025-03-01T00:00:00.000Z');
+        });
+    });
+
+    describe('TaskSchedulerService', () => {
+        let mockBotService;
+        let scheduler;
+        let mockChannel;
+
+        beforeEach(() => {
+            mockChannel = { id: 'channel123', guild: { id: 'guild123' } };
+
+            mockBotService = {
+                client: {
+                    isReady: jest.fn(() => true),
+                    channels: { fetch: jest.fn().mockResolvedValue(mockChannel) }
+                },
+                socialTaskIntegration: {
+                    createSocialTask: jest.fn().mockResolvedValue({ id: 'task123', title: 'Follow us' }),
+                    postTaskToDiscord: jest.fn().mockResolvedValue({ message: { id: 'message123' } }),
+                    getTaskDetails: jest.fn().mockResolvedValue({ id: 'task123', title: 'Follow us' })
+                }
+            };
+
+            scheduler = new TaskSchedulerService(mockBotService);
+        });
+
+        afterEach(() => {
+            scheduler.stop();
+            jest.restoreAllMocks();
+        });
+
+        const buildSchedule = (scheduleOverrides = {}) => new ScheduledTaskPost({
+            scheduleId: 'sched_1',
+            guildId: 'guild123',
+            channelId: 'channel123',
+            communityId: 'community123',
+            createdBy: 'user123',
+            taskData: {
+                type: 'twitter_follow',
+                title: 'Follow us',
+                description: 'Follow our Twitter',
+                points: 50,
+                duration: 24,
+                twitterUsername: 'naffles'
+            },
+            schedule: {
+                startTime: new Date(Date.now() - 1000),
+                recurrence: 'none',
+                nextRunAt: new Date(Date.now() - 1000),
+                ...scheduleOverrides
+            }
+        });
+
+        test('should reject an invalid cron rule when creating a schedule', async () => {
+            await expect(scheduler.createSchedule(
+                { type: 'custom', title: 'Test', communityId: 'community123' },
+                { recurrence: 'cron', cronExpression: 'not a cron' },
+                { guildId: 'guild123', channelId: 'channel123', userId: 'user123' }
+            )).rejects.toThrow();
+        });
+
+        test('should save a new schedule with its first run time', async () => {
+            const saveSpy = jest.spyOn(ScheduledTaskPost.prototype, 'save').mockResolvedValue();
+            const startTime = new Date(Date.now() + 60 * 60 * 1000);
+
+            const schedule = await scheduler.createSchedule(
+                { type: 'twitter_follow', title: 'Follow us', points: 10, communityId: 'community123', twitterUsername: 'naffles' },
+                { startTime, recurrence: 'weekly' },
+                { guildId: 'guild123', channelId: 'channel123', userId: 'user123' }
+            );
+
+            expect(saveSpy).toHaveBeenCalled();
+            expect(schedule.schedule.nextRunAt.getTime()).toBe(startTime.getTime());
+            expect(schedule.schedule.recurrence).toBe('weekly');
+            expect(schedule.status).toBe('scheduled');
+        });
+
+        test('should post a one-off schedule and mark it completed', async () => {
+            jest.spyOn(ScheduledTaskPost.prototype, 'save').mockResolvedValue();
+            const schedule = buildSchedule();
+
+            await scheduler.executeSchedule(schedule);
+
+            expect(mockBotService.socialTaskIntegration.createSocialTask).toHaveBeenCalledWith(
+                expect.objectContaining({ title: 'Follow us', communityId: 'community123' }),
+                { guildId: 'guild123', channelId: 'channel123', userId: 'user123' }
+            );
+            expect(mockBotService.socialTaskIntegration.postTaskToDiscord).toHaveBeenCalledWith(
+                mockChannel,
+                expect.objectContaining({ id: 'task123' }),
+                expect.objectContaining({ timing: expect.objectContaining({ isRecurring: false }) })
+            );
+            expect(schedule.status).toBe('completed');
+            expect(schedule.schedule.runCount).toBe(1);
+            expect(schedule.runHistory[0].messageId).toBe('message123');
+        });
+
+        test('should advance a daily schedule past missed runs', async () => {
+            jest.spyOn(ScheduledTaskPost.prototype, 'save').mockResolvedValue();
+            const threeDaysAgo = new Date(Date.now() - 3 * 24 * 60 * 60 * 1000 - 1000);
+            const schedule = buildSchedule({ recurrence: 'daily', nextRunAt: threeDaysAgo });
+
+            await scheduler.executeSchedule(schedule);
+
+            expect(schedule.status).toBe('scheduled');
+            expect(schedule.schedule.nextRunAt.getTime()).toBeGreaterThan(Date.now());
+            expect(schedule.schedule.nextRunAt.getTime()).toBeLessThanOrEqual(Date.now() + 24 * 60 * 60 * 1000);
+        });
+
+        test('should stop a recurring schedule once maxRuns is reached', async () => {
+            jest.spyOn(ScheduledTaskPost.prototype, 'save').mockResolvedValue();
+            const schedule = buildSchedule({ recurrence: 'daily', maxRuns: 1 });
+
+            await scheduler.executeSchedule(schedule);
+
+            expect(schedule.status).toBe('completed');
+            expect(schedule.schedule.nextRunAt).toBeNull();
+        });
+
+        test('should retry failed posts and give up after repeated failures', async () => {
+            jest.spyOn(ScheduledTaskPost.prototype, 'save').mockResolvedValue();
+            mockBotService.socialTaskIntegration.createSocialTask.mockRejectedValue(new Error('API unavailable'));
+            const schedule = buildSchedule();
+
+            await scheduler.executeSchedule(schedule);
+            expect(schedule.status).toBe('scheduled');
+            expect(schedule.consecutiveFailures).toBe(1);
+
+            await scheduler.executeSchedule(schedule);
+            await scheduler.executeSchedule(schedule);
+
+            expect(schedule.status).toBe('failed');
+            expect(schedule.runHistory.every(run => run.status === 'failed')).toBe(true);
+        });
+
+        test('should skip to the next occurrence and close the unposted task when a recurring run keeps failing', async () => {
+            jest.spyOn(ScheduledTaskPost.prototype, 'save').mockResolvedValue();
+            mockBotService.makeNafflesApiCall = jest.fn().mockResolvedValue({});
+            mockBotService.socialTaskIntegration.postTaskToDiscord.mockRejectedValue(new Error('Missing Access'));
+            const schedule = buildSchedule({ recurrence: 'daily' });
+
+            for (let attempt = 0; attempt < 3; attempt++) {
+                await scheduler.executeSchedule(schedule);
+            }
+
+            expect(mockBotService.socialTaskIntegration.createSocialTask).toHaveBeenCalledTimes(1);
+            expect(mockBotService.makeNafflesApiCall).toHaveBeenCalledWith('/api/social-tasks/task123/status', 'PATCH', { status: 'expired' });
+            expect(schedule.pendingTaskId).toBeNull();
+            expect(schedule.status).toBe('scheduled');
+            expect(schedule.consecutiveFailures).toBe(0);
+            expect(schedule.schedule.nextRunAt.getTime()).toBeGreaterThan(Date.now() + 23 * 60 * 60 * 1000);
+        });
+
+        test('should retry a failed post without creating the task again', async () => {
+            const saveSpy = jest.spyOn(ScheduledTaskPost.prototype, 'save').mockResolvedValue();
+            mockBotService.socialTaskIntegration.postTaskToDiscord.mockRejectedValueOnce(new Error('Missing Access'));
+            const schedule = buildSchedule();
+
+            await scheduler.executeSchedule(schedule);
+
+            // The task ID is saved before posting
+            expect(saveSpy).toHaveBeenCalledTimes(2);
+            expect(schedule.pendingTaskId).toBe('task123');
+            expect(schedule.runHistory[0]).toMatchObject({ status: 'failed', taskId: 'task123' });
+
+            await scheduler.executeSchedule(schedule);
+
+            expect(mockBotService.socialTaskIntegration.createSocialTask).toHaveBeenCalledTimes(1);
+            expect(mockBotService.socialTaskIntegration.getTaskDetails).toHaveBeenCalledWith('task123');
+            expect(mockBotService.socialTaskIntegration.postTaskToDiscord).toHaveBeenLastCalledWith(
+                mockChannel,
+                expect.objectContaining({ id: 'task123', discordIntegration: expect.objectContaining({ guildId: 'guild123' }) }),
+                expect.any(Object)
+            );
+            expect(schedule.pendingTaskId).toBeNull();
+            expect(schedule.status).toBe('completed');
+        });
+
+        test('should skip processing while the Discord client is not ready', async () => {
+            mockBotService.client.isReady.mockReturnValue(false);
+            const claimSpy = jest.spyOn(ScheduledTaskPost, 'claimDueSchedule');
+
+            await scheduler.processDueSchedules();
+
+            expect(claimSpy).not.toHaveBeenCalled();
+        });
+
+        test('should process every claimed schedule', async () => {
+            const first = buildSchedule();
+            const second = buildSchedule();
+            jest.spyOn(ScheduledTaskPost, 'claimDueSchedule')
+                .mockResolvedValueOnce(first)
+                .mockResolvedValueOnce(second)
+                .mockResolvedValueOnce(null);
+            const executeSpy = jest.spyOn(scheduler, 'executeSchedule').mockResolvedValue();
+
+            await scheduler.processDueSchedules();
+
+            expect(executeSpy).toHaveBeenCalledTimes(2);
+            expect(scheduler.getStatistics().lastRun).toBeInstanceOf(Date);
+        });
+
+        test('should only claim schedules of guilds on this shard', async () => {
+            mockBotService.shardCoordinator = { isSharded: () => true };
+            mockBotService.client.guilds = { cache: new Map([['guild123', {}], ['guild456', {}]]) };
+            const claimSpy = jest.spyOn(ScheduledTaskPost, 'findOneAndUpdate').mockResolvedValue(null);
+
+            await scheduler.processDueSchedules();
+
+            expect(claimSpy).toHaveBeenCalledWith(
+                expect.objectContaining({ status: 'scheduled', guildId: { $in: ['guild123', 'guild456'] } }),
+                expect.any(Object),
+                expect.any(Object)
+            );
+        });
+    });
+});
@@ -0,0 +1,314 @@
+const TaskTemplateService = require('../src/services/taskTemplateService');
+const TaskTemplateCommand = require('../src/commands/taskTemplate');
+const TaskTemplate = require('../src/models/taskTemplate');
+const RedisService = require('../src/services/redisService');
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+}));
+
+describe('Task Templates', () => {
+    const buildTemplate = (overrides = {}) => new TaskTemplate({
+        templateId: 'tmpl_1',
+        communityId: 'community123',
+        name: 'Weekly Follow',
+        taskData: {
+            type: 'twitter_follow',
+            title: 'Follow us',
+            description: 'Follow our Twitter',
+            points: 50,
+            duration: 24
+        },
+        requirements: { twitterUsername: 'naffles' },
+        embedStyle: { color: 0x7C3AED },
+        createdBy: 'user123',
+        ...overrides
+    });
+
+    // Real RedisService over an in-memory node-redis client
+    const createRedis = () => {
+        const store = new Map();
+        const redis = new RedisService();
+        redis.client = {
+            setEx: jest.fn(async (key, ttl, value) => store.set(key, value)),
+            get: jest.fn(async key => store.get(key) ?? null),
+            del: jest.fn(async key => store.delete(key))
+        };
+        redis.isConnected = true;
+        return redis;
+    };
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('TaskTemplateService', () => {
+        let service;
+
+        beforeEach(() => {
+            service = new TaskTemplateService({});
+        });
+
+        test('should create a new template and drop requirements for other task types', async () => {
+            jest.spyOn(TaskTemplate, 'findByName').mockResolvedValue(null);
+            jest.spyOn(TaskTemplate, 'countDocuments').mockResolvedValue(0);
+            const saveSpy = jest.spyOn(TaskTemplate.prototype, 'save').mockResolvedValue();
+
+            const { template, created } = await service.saveTemplate(
+                'community123',
+                '  Weekly Follow ',
+                {
+                    taskData: { type: 'twitter_follow', title: 'Follow us', points: 50, duration: 24 },
+                    requirements: { twitterUsername: 'naffles', discordInvite: 'https://discord.gg/x' },
+                    embedStyle: { color: 0x7C3AED }
+                },
+                { guildId: 'guild123', userId: 'user123' }
+            );
+
+            expect(saveSpy).toHaveBeenCalled();
+            expect(created).toBe(true);
+            expect(template.name).toBe('Weekly Follow');
+            expect(template.requirements.twitterUsername).toBe('naffles');
+            expect(template.requirements.discordInvite).toBeUndefined();
+            expect(template.embedStyle.color).toBe(0x7C3AED);
+        });
+
+        test('should replace an existing template with the same name', async () => {
+            const existing = buildTemplate();
+            jest.spyOn(TaskTemplate, 'findByName').mockResolvedValue(existing);
+            const countSpy = jest.spyOn(TaskTemplate, 'countDocuments');
+            jest.spyOn(TaskTemplate.prototype, 'save').mockResolvedValue();
+
+            const { template, created } = await service.saveTemplate(
+                'community123',
+                'weekly follow',
+                { taskData: { type: 'twitter_follow', title: 'Follow us again', points: 75 } },
+                { guildId: 'guild456', userId: 'user456' }
+            );
+
+            expect(created).toBe(false);
+            expect(countSpy).not.toHaveBeenCalled();
+            expect(template.templateId).toBe('tmpl_1');
+            expect(template.taskData.title).toBe('Follow us again');
+            expect(template.updatedBy).toBe('user456');
+        });
+
+        test('should enforce the per-community template limit', async () => {
+            jest.spyOn(TaskTemplate, 'findByName').mockResolvedValue(null);
+            jest.spyOn(TaskTemplate, 'countDocuments').mockResolvedValue(service.maxTemplatesPerCommunity);
+
+            await expect(service.saveTemplate(
+                'community123',
+                'One too many',
+                { taskData: { type: 'custom', title: 'Custom' } },
+                { guildId: 'guild123', userId: 'user123' }
+            )).rejects.toThrow('Template limit reached');
+        });
+
+        test('should build task creation data for the using server', () => {
+            const taskData = service.buildTaskData(buildTemplate(), {
+                guildId: 'guild456',
+                userId: 'user456',
+                communityId: 'community123'
+            });
+
+            expect(taskData).toEqual(expect.objectContaining({
+                type: 'twitter_follow',
+                title: 'Follow us',
+                points: 50,
+                duration: 24,
+                guildId: 'guild456',
+                schedule: null,
+                embedStyle: { color: 0x7C3AED, thumbnailUrl: undefined }
+            }));
+        });
+
+        test('should omit embed style when the template has none', () => {
+            const taskData = service.buildTaskData(buildTemplate({ embedStyle: {} }), {
+                guildId: 'guild123',
+                userId: 'user123',
+                communityId: 'community123'
+            });
+
+            expect(taskData.embedStyle).toBeNull();
+        });
+    });
+
+    describe('TaskTemplateCommand', () => {
+        let mockBotService;
+        let command;
+        let mockInteraction;
+
+        beforeEach(() => {
+            mockBotService = {
+                validateUserPermissions: jest.fn().mockResolvedValue({ hasPermission: true }),
+                getServerCommunityMapping: jest.fn().mockResolvedValue({ communityId: 'community123' }),
+                redis: createRedis(),
+                taskTemplates: new TaskTemplateService({}),
+                auditLogger: { logAdminAction: jest.fn().mockResolvedValue() },
+                logInteraction: jest.fn().mockResolvedValue()
+            };
+
+            command = new TaskTemplateCommand(mockBotService);
+
+            mockInteraction = {
+                guildId: 'guild123',
+                user: { id: 'user123' },
+                options: {
+                    getSubcommand: jest.fn(),
+                    getString: jest.fn(),
+                    getInteger: jest.fn()
+                },
+                fields: { getTextInputValue: jest.fn() },
+                reply: jest.fn().mockResolvedValue(),
+                showModal: jest.fn().mockResolvedValue()
+            };
+        });
+
+        test('should open a pre-filled create task modal when using a template', async () => {
+            const template = buildTemplate();
+            jest.spyOn(TaskTemplate, 'findByName').mockResolvedValue(template);
+            jest.spyOn(TaskTemplate, 'recordUsage').mockResolvedValue();
+            mockInteraction.options.getSubcommand.mockReturnValue('use');
+            mockInteraction.options.getString.mockReturnValue('weekly follow');
+
+            await command.execute(mockInteraction);
+
+            expect(mockBotService.redis.client.setEx).toHaveBeenCalledWith('task_creation_user123_guild123', 300, expect.any(String));
+            expect(await mockBotService.redis.get('task_creation_user123_guild123')).toEqual(expect.objectContaining({
+                title: 'Follow us',
+                templateId: 'tmpl_1',
+                embedStyle: { color: 0x7C3AED }
+            }));
+
+            const modal = mockInteraction.showModal.mock.calls[0][0].toJSON();
+            expect(modal.custom_id).toMatch(/^create_task_modal_/);
+            expect(modal.components[0].components[0]).toEqual(expect.objectContaining({
+                custom_id: 'twitter_username',
+                value: 'naffles'
+            }));
+            // Cancelled modals don't count as uses
+            expect(TaskTemplate.recordUsage).not.toHaveBeenCalled();
+        });
+
+        test('should record template usage once the task is created', async () => {
+            const createdTask = { id: 'task1', title: 'Follow us' };
+            Object.assign(mockBotService, {
+                socialTaskIntegration: {
+                    createSocialTask: jest.fn().mockResolvedValue(createdTask),
+                    postTaskToDiscord: jest.fn().mockResolvedValue({ message: { id: 'msg1' } })
+                },
+                taskProgressTracking: { startTaskTracking: jest.fn().mockResolvedValue() }
+            });
+            const recordUsage = jest.spyOn(TaskTemplate, 'recordUsage').mockResolvedValue();
+            const taskData = mockBotService.taskTemplates.buildTaskData(buildTemplate(), {
+                guildId: 'guild123',
+                userId: 'user123',
+                communityId: 'community123'
+            });
+            await command.createTaskCommand.startTaskCreation(mockInteraction, taskData);
+            mockInteraction.channel = { id: 'channel123' };
+            mockInteraction.fields.getTextInputValue.mockReturnValue('naffles');
+
+            await command.createTaskCommand.handleModalSubmit(mockInteraction);
+
+            expect(mockBotService.socialTaskIntegration.createSocialTask).toHaveBeenCalledWith(
+                expect.not.objectContaining({ templateId: expect.anything() }),
+                expect.any(Object)
+            );
+            expect(recordUsage).toHaveBeenCalledWith('tmpl_1');
+            expect(recordUsage.mock.invocationCallOrder[0])
+                .toBeGreaterThan(mockBotService.socialTaskIntegration.postTaskToDiscord.mock.invocationCallOrder[0]);
+        });
+
+        test('should report unknown templates', async () => {
+            jest.spyOn(TaskTemplate, 'findByName').mockResolvedValue(null);
+            mockInteraction.options.getSubcommand.mockReturnValue('use');
+            mockInteraction.options.getString.mockReturnValue('missing');
+
+            await command.execute(mockInteraction);
+
+            expect(mockInteraction.showModal).not.toHaveBeenCalled();
+            expect(mockInteraction.reply).toHaveBeenCalledWith(expect.objectContaining({
+                content: expect.stringContaining('No template named "missing"')
+            }));
+        });
+
+        test('should reject an invalid embed color before opening the modal', async () => {
+            mockInteraction.options.getSubcommand.mockReturnValue('save');
+            mockInteraction.options.getString.mockImplementation(name => (name === 'color' ? 'blue' : null));
+
+            await command.execute(mockInteraction);
+
+            expect(mockInteraction.showModal).not.toHaveBeenCalled();
+            expect(mockInteraction.reply).toHaveBeenCalledWith(expect.objectContaining({
+                content: expect.stringContaining('Invalid color')
+            }));
+        });
+
+        test('should save the template from the requirements modal', async () => {
+            await mockBotService.redis.set('task_template_user123_guild123', {
+                name: 'Join Discord',
+                communityId: 'community123',
+                taskData: { type: 'discord_join', title: 'Join us', points: 20, duration: 168 },
+                embedStyle: {}
+            }, 300);
+            mockInteraction.fields.getTextInputValue.mockReturnValue('https://discord.gg/naffles');
+            const saveSpy = jest.spyOn(mockBotService.taskTemplates, 'saveTemplate')
+                .mockResolvedValue({ template: buildTemplate({ name: 'Join Discord' }), created: true });
+
+            await command.handleModalSubmit(mockInteraction);
+
+            expect(saveSpy).toHaveBeenCalledWith(
+                'community123',
+                'Join Discord',
+                expect.objectContaining({ requirements: { discordInvite: 'https://discord.gg/naffles' } }),
+                { guildId: 'guild123', userId: 'user123' }
+            );
+            expect(await mockBotService.redis.get('task_template_user123_guild123')).toBeNull();
+            expect(mockBotService.auditLogger.logAdminAction).toHaveBeenCalledWith(
+                'user123',
+                'task_template_created',
+                'guild123',
+                expect.objectContaining({ name: 'Join Discord' })
+            );
+        });
+
+        test('should keep the pending template in Redis between the command and its modal', async () => {
+            const options = {
+                name: ' Follow Naffles ',
+                type: 'twitter_follow',
+                title: 'Follow us',
+                description: 'Follow our Twitter',
+                color: '#7C3AED'
+            };
+            mockInteraction.options.getSubcommand.mockReturnValue('save');
+            mockInteraction.options.getString.mockImplementation(name => options[name] ?? null);
+            mockInteraction.options.getInteger.mockImplementation(name => (name === 'points' ? 50 : null));
+            mockInteraction.fields.getTextInputValue.mockReturnValue('naffles');
+            const saveSpy = jest.spyOn(mockBotService.taskTemplates, 'saveTemplate')
+                .mockResolvedValue({ template: buildTemplate({ name: 'Follow Naffles' }), created: true });
+
+            await command.execute(mockInteraction);
+            expect(mockInteraction.showModal).toHaveBeenCalled();
+            expect(mockBotService.redis.client.setEx).toHaveBeenCalledWith('task_template_user123_guild123', 300, expect.any(String));
+
+            await command.handleModalSubmit(mockInteraction);
+
+            expect(saveSpy).toHaveBeenCalledWith(
+                'community123',
+                'Follow Naffles',
+                {
+                    taskData: { type: 'twitter_follow', title: 'Follow us', description: 'Follow our Twitter', points: 50, duration: 168 },
+                    requirements: { twitterUsername: 'naffles' },
+                    embedStyle: { color: 0x7C3AED, thumbnailUrl: null }
+                },
+                { guildId: 'guild123', userId: 'user123' }
+            );
+        });
+    });
+});
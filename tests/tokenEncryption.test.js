@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const {
+    encryptToken,
+    decryptToken,
+    getKeyId,
+    needsReencryption,
+    reencryptToken
+} = require('../src/utils/tokenEncryption');
+const TokenRefreshService = require('../src/services/tokenRefreshService');
+const DiscordAccountLink = require('../src/models/discordAccountLink');
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+}));
+
+const OLD_KEY = crypto.randomBytes(32).toString('base64');
+const NEW_KEY = crypto.randomBytes(32).toString('base64');
+
+// Written by the previous crypto.createCipher('aes-256-cbc', 'legacy-passphrase') code
+const LEGACY_VALUE = 'e4fe0f74b1d8bfaa19796bc1f974c436e52f3ad1949c74300b5b741b092e66ab';
+
+// Written by the baseline discordAccountLink encrypt() with DISCORD_TOKEN_ENCRYPTION_KEY unset
+const BASELINE_ACCESS_TOKEN = '3c12f98e6443eeaa1c64ba69bda7fd8f04ec419a35333b3b451b85f77e5aa41a';
+const BASELINE_REFRESH_TOKEN = '608e007e02280b90f42394fc40eac53dc5debbb424d27824cfb714e5e42a25f4';
+
+describe('OAuth Token Encryption', () => {
+    const originalEnv = { ...process.env };
+
+    beforeEach(() => {
+        process.env.DISCORD_TOKEN_ENCRYPTION_KEYS = `k1:${OLD_KEY}`;
+        delete process.env.DISCORD_TOKEN_ENCRYPTION_KEY;
+    });
+
+    afterEach(() => {
+        process.env = { ...originalEnv };
+        jest.restoreAllMocks();
+    });
+
+    describe('tokenEncryption', () => {
+        test('should encrypt each value with its own IV and key ID', () => {
+            const first = encryptToken('access-token');
+            const second = encryptToken('access-token');
+
+            expect(first).not.toBe(second);
+            expect(first).not.toContain('access-token');
+            expect(getKeyId(first)).toBe('k1');
+            expect(decryptToken(first)).toBe('access-token');
+            expect(decryptToken(second)).toBe('access-token');
+        });
+
+        test('should reject tampered values', () => {
+            const parts = encryptToken('access-token').split('.');
+            const ciphertext = Buffer.from(parts[6], 'base64url');
+            ciphertext[0] ^= 1;
+            parts[6] = ciphertext.toString('base64url');
+
+            expect(decryptToken(parts.join('.'))).toBeNull();
+        });
+
+        test('should refuse to encrypt without a configured key', () => {
+            delete process.env.DISCORD_TOKEN_ENCRYPTION_KEYS;
+
+            expect(() => encryptToken('access-token')).toThrow('DISCORD_TOKEN_ENCRYPTION_KEYS is not set');
+        });
+
+        test('should re-wrap values under a rotated key', () => {
+            const stored = encryptToken('refresh-token');
+
+            process.env.DISCORD_TOKEN_ENCRYPTION_KEYS = `k2:${NEW_KEY},k1:${OLD_KEY}`;
+            expect(needsReencryption(stored)).toBe(true);
+            expect(decryptToken(stored)).toBe('refresh-token');
+
+            const rotated = reencryptToken(stored);
+            expect(getKeyId(rotated)).toBe('k2');
+            expect(needsReencryption(rotated)).toBe(false);
+
+            // The old key can be removed once everything is re-encrypted
+            process.env.DISCORD_TOKEN_ENCRYPTION_KEYS = `k2:${NEW_KEY}`;
+            expect(decryptToken(rotated)).toBe('refresh-token');
+            expect(decryptToken(stored)).toBeNull();
+        });
+
+        test('should read and convert tokens stored by the previous cipher', () => {
+            expect(decryptToken(LEGACY_VALUE)).toBeNull();
+
+            process.env.DISCORD_TOKEN_ENCRYPTION_KEY = 'legacy-passphrase';
+            expect(getKeyId(LEGACY_VALUE)).toBe('legacy');
+            expect(decryptToken(LEGACY_VALUE)).toBe('legacy-refresh-token');
+
+            const converted = reencryptToken(LEGACY_VALUE);
+            expect(getKeyId(converted)).toBe('k1');
+            expect(decryptToken(converted)).toBe('legacy-refresh-token');
+        });
+    });
+
+    describe('legacy token migration', () => {
+        test('should read tokens stored under the old default key', () => {
+            expect(decryptToken(BASELINE_ACCESS_TOKEN)).toBe('baseline-access-token');
+
+            // An explicitly configured legacy key takes precedence over the default
+            process.env.DISCORD_TOKEN_ENCRYPTION_KEY = 'legacy-passphrase';
+            expect(decryptToken(BASELINE_ACCESS_TOKEN)).toBeNull();
+        });
+
+        test('should re-encrypt default-key tokens into envelopes', () => {
+            const link = new DiscordAccountLink({
+                discordId: '111',
+                nafflesUserId: 'naffles_1',
+                oauthTokens: { accessToken: BASELINE_ACCESS_TOKEN, refreshToken: BASELINE_REFRESH_TOKEN }
+            });
+
+            const update = link.getReencryptedTokens();
+
+            expect(Object.keys(update)).toEqual(['oauthTokens.accessToken', 'oauthTokens.refreshToken']);
+            expect(getKeyId(update['oauthTokens.accessToken'])).toBe('k1');
+            expect(decryptToken(update['oauthTokens.accessToken'])).toBe('baseline-access-token');
+            expect(decryptToken(update['oauthTokens.refreshToken'])).toBe('baseline-refresh-token');
+        });
+    });
+
+    describe('TokenRefreshService', () => {
+        let botService;
+        let service;
+
+        const createLink = (overrides = {}) => {
+            const link = new DiscordAccountLink({
+                discordId: '111',
+                nafflesUserId: 'naffles_1',
+                discordUserInfo: { username: 'holder' },
+                nafflesUserInfo: { username: 'holder' },
+                oauthTokens: {
+                    accessToken: encryptToken('old-access'),
+                    refreshToken: encryptToken('old-refresh'),
+                    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+                    ...overrides
+                }
+            });
+            jest.spyOn(link, 'save').mockResolvedValue(link);
+            return link;
+        };
+
+        beforeEach(() => {
+            botService = {
+                db: { isHealthy: () => true },
+                communityLinking: { refreshAccessToken: jest.fn() }
+            };
+            service = new TokenRefreshService(botService);
+        });
+
+        test('should renew tokens with the stored refresh token', async () => {
+            const link = createLink();
+            botService.communityLinking.refreshAccessToken.mockResolvedValue({
+                access_token: 'new-access',
+                refresh_token: 'new-refresh',
+                token_type: 'Bearer',
+                scope: 'identify guilds',
+                expires_in: 604800
+            });
+
+            expect(await service.refreshLink(link)).toBe('refreshed');
+
+            expect(botService.communityLinking.refreshAccessToken).toHaveBeenCalledWith('old-refresh');
+            expect(link.oauthTokens.accessToken).toBe('new-access');
+            expect(link.oauthTokens.refreshFailures).toBe(0);
+            expect(link.save).toHaveBeenCalled();
+        });
+
+        test('should flag links whose refresh token was rejected', async () => {
+            const link = createLink();
+            botService.communityLinking.refreshAccessToken.mockRejectedValue(
+                Object.assign(new Error('Request failed'), { response: { status: 400, data: { error: 'invalid_grant' } } })
+            );
+
+            expect(await service.refreshLink(link)).toBe('flagged');
+
+            expect(link.oauthTokens.needsRelink).toBe(true);
+            expect(link.oauthTokens.lastRefreshError).toBe('invalid_grant');
+            expect(link.auditLog[0].action).toBe('token_refresh_failed');
+        });
+
+        test('should retry outages and flag links that keep failing', async () => {
+            const link = createLink({ refreshFailures: 3 });
+            botService.communityLinking.refreshAccessToken.mockRejectedValue(new Error('socket hang up'));
+
+            expect(await service.refreshLink(link)).toBe('failed');
+            expect(link.oauthTokens.needsRelink).toBe(false);
+
+            expect(await service.refreshLink(link)).toBe('flagged');
+            expect(link.oauthTokens.needsRelink).toBe(true);
+            expect(link.oauthTokens.refreshFailures).toBe(5);
+        });
+
+        test('should skip refreshing when no encryption key is configured', async () => {
+            delete process.env.DISCORD_TOKEN_ENCRYPTION_KEYS;
+            jest.spyOn(DiscordAccountLink, 'findExpiredTokens');
+
+            expect(await service.processRefreshes()).toEqual({ refreshed: 0, failed: 0, flagged: 0 });
+            expect(DiscordAccountLink.findExpiredTokens).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,189 @@
+const TwitterVerificationService = require('../src/services/twitterVerificationService');
+const SignedProofTwitterProvider = require('../src/services/verifiers/signedProofTwitterProvider');
+const SocialTaskIntegrationService = require('../src/services/socialTaskIntegrationService');
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+}));
+
+describe('Twitter Follow Verification', () => {
+    let mockBotService;
+    let redisStore;
+    let service;
+    let stub;
+
+    const request = {
+        nafflesUserId: 'naffles123',
+        discordId: 'discord123',
+        guildId: 'guild123',
+        targetUsername: '@NafflesOfficial',
+        taskId: 'task123',
+        source: 'social_task'
+    };
+
+    beforeEach(() => {
+        redisStore = new Map();
+
+        mockBotService = {
+            // Same surface as RedisService: values are (de)serialized by set and get
+            redis: {
+                get: jest.fn(async key => (redisStore.has(key) ? JSON.parse(redisStore.get(key)) : null)),
+                set: jest.fn(async (key, value) => redisStore.set(key, JSON.stringify(value)))
+            },
+            auditLogger: { logSocialVerification: jest.fn().mockResolvedValue() },
+            makeNafflesApiCall: jest.fn()
+        };
+
+        service = new TwitterVerificationService(mockBotService, { provider: 'stub' });
+        stub = service.getProvider('stub');
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should return a time-limited result and cache it under the normalized username', async () => {
+        stub.setFollow('naffles123', 'nafflesofficial', true);
+
+        const result = await service.verifyFollow(request);
+
+        expect(result).toMatchObject({ verified: true, reason: 'follow_confirmed', provider: 'stub', cached: false });
+        expect(result.verificationId).toEqual(expect.any(String));
+        expect(result.expiresAt.getTime() - result.verifiedAt.getTime()).toBe(3600 * 1000);
+
+        const [cacheKey, , ttl] = mockBotService.redis.set.mock.calls[0];
+        expect(cacheKey).toBe('twitter_follow:stub:naffles123:nafflesofficial');
+        expect(ttl).toBeGreaterThan(3590);
+    });
+
+    test('should answer repeated checks from cache and audit both', async () => {
+        stub.setFollow('naffles123', 'nafflesofficial', true);
+        const providerSpy = jest.spyOn(stub, 'verifyFollow');
+
+        const first = await service.verifyFollow(request);
+        const second = await service.verifyFollow(request);
+
+        expect(providerSpy).toHaveBeenCalledTimes(1);
+        expect(second).toMatchObject({ verified: true, cached: true, verificationId: first.verificationId });
+        expect(second.expiresAt).toEqual(first.expiresAt);
+
+        const audits = mockBotService.auditLogger.logSocialVerification.mock.calls;
+        expect(audits).toHaveLength(2);
+        expect(audits[0]).toEqual(['discord123', 'guild123', 'twitter_follow_verified', expect.objectContaining({
+            verificationId: first.verificationId,
+            provider: 'stub',
+            targetUsername: 'nafflesofficial',
+            cached: false
+        })]);
+        expect(audits[1][3].cached).toBe(true);
+    });
+
+    test('should not answer from an expired cache entry', async () => {
+        stub.setFollow('naffles123', 'nafflesofficial', true);
+        const providerSpy = jest.spyOn(stub, 'verifyFollow');
+
+        await service.verifyFollow(request);
+        jest.advanceTimersByTime(3600 * 1000);
+        const second = await service.verifyFollow(request);
+
+        expect(providerSpy).toHaveBeenCalledTimes(2);
+        expect(second.cached).toBe(false);
+    });
+
+    test('should cache negative results only briefly', async () => {
+        const result = await service.verifyFollow(request);
+
+        expect(result.verified).toBe(false);
+        expect(mockBotService.redis.set.mock.calls[0][2]).toBeLessThanOrEqual(60);
+        expect(mockBotService.auditLogger.logSocialVerification.mock.calls[0][2]).toBe('twitter_follow_not_verified');
+    });
+
+    test('should not cache provider errors', async () => {
+        jest.spyOn(stub, 'verifyFollow').mockRejectedValue(new Error('Twitter API unavailable'));
+
+        await expect(service.verifyFollow(request)).rejects.toThrow('Twitter API unavailable');
+
+        expect(mockBotService.redis.set).not.toHaveBeenCalled();
+        expect(mockBotService.auditLogger.logSocialVerification.mock.calls[0][2]).toBe('twitter_follow_error');
+    });
+
+    describe('signed proof provider', () => {
+        const secret = 'test-proof-secret';
+        const now = () => Math.floor(Date.now() / 1000);
+        const payload = (overrides = {}) => ({
+            sub: 'naffles123',
+            target: 'NafflesOfficial',
+            followed: true,
+            iat: now(),
+            exp: now() + 600,
+            jti: 'proof123',
+            ...overrides
+        });
+
+        beforeEach(() => {
+            service.registerProvider(new SignedProofTwitterProvider(mockBotService, { secret }));
+        });
+
+        test('should accept a valid proof and expire with it', async () => {
+            const proof = SignedProofTwitterProvider.signProof(payload(), secret);
+
+            const result = await service.verifyFollow({ ...request, provider: 'signed_proof', proof });
+
+            expect(result.verified).toBe(true);
+            expect(result.data.proofId).toBe('proof123');
+            expect(result.expiresAt.getTime() - Date.now()).toBeLessThanOrEqual(600 * 1000);
+        });
+
+        test('should reject forged, expired and mismatched proofs', async () => {
+            const forged = SignedProofTwitterProvider.signProof(payload(), 'wrong-secret');
+            const expired = SignedProofTwitterProvider.signProof(payload({ exp: now() - 3600 }), secret);
+            const otherUser = SignedProofTwitterProvider.signProof(payload({ sub: 'someone-else' }), secret);
+
+            const results = [];
+            for (const proof of [forged, expired, otherUser]) {
+                results.push(await service.verifyFollow({ ...request, provider: 'signed_proof', proof }));
+            }
+
+            expect(results.map(result => result.verified)).toEqual([false, false, false]);
+            expect(results.map(result => result.reason)).toEqual(['invalid_proof', 'proof_expired', 'proof_subject_mismatch']);
+        });
+
+        test('should fetch the proof from the Naffles API when none is submitted', async () => {
+            mockBotService.makeNafflesApiCall.mockResolvedValue({
+                proof: SignedProofTwitterProvider.signProof(payload(), secret)
+            });
+
+            const result = await service.verifyFollow({ ...request, provider: 'signed_proof' });
+
+            expect(result.verified).toBe(true);
+            expect(mockBotService.makeNafflesApiCall).toHaveBeenCalledWith(
+                '/api/social-tasks/twitter-follow-proof',
+                'POST',
+                { userId: 'naffles123', targetUsername: 'nafflesofficial', taskId: 'task123' }
+            );
+        });
+    });
+
+    test('should be used by social task verification', async () => {
+        mockBotService.twitterVerification = service;
+        const socialTasks = new SocialTaskIntegrationService(mockBotService);
+        const task = { id: 'task123', type: 'twitter_follow', configuration: { twitterUsername: 'NafflesOfficial' } };
+        const userAccount = { nafflesUserId: 'naffles123', discordId: 'discord123' };
+
+        const notFollowing = await socialTasks.verifyTwitterFollow(task, userAccount, { guildId: 'guild123' });
+        expect(notFollowing.verified).toBe(false);
+        expect(notFollowing.reason).toBe('twitter_follow_not_detected');
+
+        stub.setFollow('naffles123', 'NafflesOfficial', true);
+        redisStore.clear();
+
+        const following = await socialTasks.verifyTwitterFollow(task, userAccount, { guildId: 'guild123' });
+        expect(following.verified).toBe(true);
+        expect(following.data).toMatchObject({ method: 'stub', targetUsername: 'NafflesOfficial' });
+        expect(following.data.verificationId).toEqual(expect.any(String));
+    });
+});
@@ -0,0 +1,269 @@
+const zlib = require('zlib');
+const UserDataService = require('../src/services/userDataService');
+const AccountCommand = require('../src/commands/account');
+const AuditLogEntry = require('../src/models/auditLogEntry');
+const AccountLink = require('../src/models/accountLink');
+const DiscordAccountLink = require('../src/models/discordAccountLink');
+const DiscordTaskPost = require('../src/models/discordTaskPost');
+const DiscordAllowlistConnection = require('../src/models/discordAllowlistConnection');
+const ModerationAction = require('../src/models/moderationAction');
+const TaskTemplate = require('../src/models/taskTemplate');
+const { DATA_SOURCES } = require('../src/services/userDataService');
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    audit: jest.fn()
+}));
+
+describe('User Data Requests', () => {
+    let service;
+
+    const models = [...new Set(DATA_SOURCES.map(source => source.model))];
+
+    // records: model -> query -> documents
+    const mockFind = (records = new Map()) => {
+        for (const model of models) {
+            jest.spyOn(model, 'find').mockImplementation(query => ({
+                lean: async () => records.get(model)?.(query) || []
+            }));
+        }
+    };
+
+    const mockWrites = () => {
+        for (const model of models) {
+            jest.spyOn(model, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+            jest.spyOn(model, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+        }
+        jest.spyOn(AuditLogEntry, 'redactUser').mockResolvedValue(3);
+    };
+
+    // Models with enforcement in force for the user
+    const mockEnforcement = (enforced = []) => {
+        for (const model of models) {
+            jest.spyOn(model, 'exists').mockResolvedValue(enforced.includes(model) ? { _id: 'record' } : null);
+        }
+    };
+
+    beforeEach(() => {
+        service = new UserDataService();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('UserDataService', () => {
+        test('should collect every source without tokens and only the user\'s share of shared records', async () => {
+            mockFind(new Map([
+                [DiscordAccountLink, () => [{
+                    discordId: '111',
+                    nafflesUserId: 'naffles_1',
+                    oauthTokens: { accessToken: 'v1.k1.secret', refreshToken: 'v1.k1.secret', scope: 'identify' },
+                    linkingData: { method: 'oauth', verificationToken: 'token' }
+                }]],
+                [DiscordTaskPost, query => (query.$or ? [{
+                    taskId: 'task1',
+                    guildId: 'guild1',
+                    taskData: { title: 'Follow us' },
+                    engagement: {
+                        participantIds: ['111', '222'],
+                        completedByIds: ['222'],
+                        comments: [{ userId: '111', content: 'done!' }, { userId: '222', content: 'me too' }]
+                    }
+                }] : [])],
+                [DiscordAllowlistConnection, () => [{
+                    allowlistId: 'al1',
+                    guildId: 'guild1',
+                    allowlistData: { title: 'Mint' },
+                    engagement: { entrantIds: ['111'] },
+                    winnerData: { winners: [{ discordId: '222' }, { discordId: '111', position: 2 }] }
+                }]],
+                [AuditLogEntry, () => [{ entryId: 'audit_1', type: 'command_executed', userId: '111', data: {} }]],
+                [TaskTemplate, query => (query.$or ? [{ templateId: 'tpl_1', name: 'Follow', createdBy: '222', updatedBy: '111' }] : [])]
+            ]));
+
+            const archive = await service.collect('111');
+
+            expect(Object.keys(archive)).toEqual(['subject', ...DATA_SOURCES.map(source => source.key)]);
+            expect(archive.subject.discordId).toBe('111');
+
+            const [link] = archive.accountLinks;
+            expect(JSON.stringify(link)).not.toContain('secret');
+            expect(link.oauthTokens.scope).toBe('identify');
+            expect(link.linkingData.verificationToken).toBeUndefined();
+
+            expect(archive.taskEngagement).toEqual([expect.objectContaining({
+                taskId: 'task1',
+                participated: true,
+                completed: false,
+                comments: [{ userId: '111', content: 'done!' }]
+            })]);
+            expect(archive.allowlistParticipation[0]).toMatchObject({ entered: true, winner: { position: 2 } });
+            expect(archive.auditEntries[0]).toMatchObject({ id: 'audit_1', userId: '111' });
+            expect(archive.taskTemplates).toEqual([expect.objectContaining({ templateId: 'tpl_1', updatedBy: '111' })]);
+        });
+
+        test('should build a gzipped JSON archive with per-source counts', async () => {
+            mockFind(new Map([[AccountLink, () => [{ discordId: '111' }]]]));
+
+            const result = await service.createExport('111');
+
+            expect(result.name).toBe('naffles-user-data-111.json.gz');
+            expect(result.counts.legacyAccountLinks).toBe(1);
+            expect(result.counts.interactionLogs).toBe(0);
+
+            const archive = JSON.parse(zlib.gunzipSync(result.buffer).toString());
+            expect(archive.legacyAccountLinks).toEqual([{ discordId: '111' }]);
+            expect(service.getStatistics().exports).toBe(1);
+        });
+
+        test('should pseudonymize analytics records with one random ID and delete the rest', async () => {
+            mockWrites();
+
+            const first = await service.erase('111');
+
+            expect(first.pseudonym).toMatch(/^erased_[0-9a-f]{16}$/);
+
+            expect(AccountLink.deleteMany).toHaveBeenCalledWith({ discordId: '111' });
+            expect(first.results.legacyAccountLinks).toEqual({ pseudonymized: 0, deleted: 1 });
+            expect(first.results.auditEntries).toEqual({ pseudonymized: 3, deleted: 0 });
+            expect(AuditLogEntry.redactUser).toHaveBeenCalledWith('111', first.pseudonym);
+
+            const [filter, update] = DiscordAccountLink.updateMany.mock.calls[0];
+            expect(filter).toEqual({ discordId: '111' });
+            expect(update.$set).toMatchObject({ discordId: first.pseudonym, 'status.isActive': false });
+            expect(update.$set).not.toHaveProperty('activityStats');
+            expect(update.$unset).toHaveProperty('oauthTokens');
+
+            // IDs inside shared task posts are swapped in place and comments removed
+            expect(DiscordTaskPost.updateMany).toHaveBeenCalledWith(
+                { 'engagement.participantIds': '111' },
+                { $set: { 'engagement.participantIds.$[id]': first.pseudonym } },
+                { arrayFilters: [{ id: '111' }] }
+            );
+            expect(DiscordTaskPost.updateMany).toHaveBeenCalledWith(
+                { 'engagement.reactions.users': '111' },
+                { $set: { 'engagement.reactions.$[].users.$[id]': first.pseudonym } },
+                { arrayFilters: [{ id: '111' }] }
+            );
+            expect(DiscordTaskPost.updateMany).toHaveBeenCalledWith(
+                { 'engagement.comments.userId': '111' },
+                { $pull: { 'engagement.comments': { userId: '111' } } }
+            );
+
+            // Allowlist arrays and subdocuments all get the same pseudonym
+            const pseudonyms = DiscordAllowlistConnection.updateMany.mock.calls
+                .filter(([, update]) => update.$set)
+                .map(([, update]) => Object.values(update.$set)[0]);
+            expect(new Set(pseudonyms)).toEqual(new Set([first.pseudonym]));
+
+            expect(DiscordAllowlistConnection.updateMany).toHaveBeenCalledWith(
+                { 'winnerData.winners.discordId': '111' },
+                { $set: {
+                    'winnerData.winners.$[entry].discordId': first.pseudonym,
+                    'winnerData.winners.$[entry].userId': first.pseudonym,
+                    'winnerData.winners.$[entry].username': '[erased]'
+                } },
+                { arrayFilters: [{ 'entry.discordId': '111' }] }
+            );
+
+            // Templates the user created or last edited are credited to the pseudonym
+            expect(TaskTemplate.updateMany).toHaveBeenCalledWith({ createdBy: '111' }, { $set: { createdBy: first.pseudonym } });
+            expect(TaskTemplate.updateMany).toHaveBeenCalledWith({ updatedBy: '111' }, { $set: { updatedBy: first.pseudonym } });
+            expect(first.results.taskTemplates).toEqual({ pseudonymized: 2, deleted: 0 });
+
+            // ...and a new erasure gets a new one
+            expect((await service.erase('111')).pseudonym).not.toBe(first.pseudonym);
+        });
+    });
+
+    describe('AccountCommand', () => {
+        let botService;
+        let command;
+
+        beforeEach(() => {
+            botService = {
+                db: { isHealthy: () => true },
+                userData: service,
+                accountLinking: { unlink: jest.fn().mockResolvedValue({ success: true }) },
+                allowlistExport: { getUploadLimit: () => 10 * 1024 * 1024 },
+                auditLogger: {
+                    eventTypes: { DATA_EXPORT: 'data_export', DATA_DELETION: 'data_deletion' },
+                    logDataRequest: jest.fn(),
+                    redactUser: jest.fn()
+                },
+                shardCoordinator: { broadcast: jest.fn().mockResolvedValue(true) }
+            };
+            command = new AccountCommand(botService);
+        });
+
+        test('should send the archive as a private attachment', async () => {
+            mockFind();
+            const interaction = {
+                user: { id: '111' },
+                options: { getSubcommand: () => 'export' },
+                deferReply: jest.fn(),
+                editReply: jest.fn()
+            };
+
+            await command.execute(interaction);
+
+            expect(interaction.deferReply).toHaveBeenCalledWith({ ephemeral: true });
+            const [reply] = interaction.editReply.mock.calls[0];
+            expect(reply.files[0].name).toBe('naffles-user-data-111.json.gz');
+            expect(botService.auditLogger.logDataRequest).toHaveBeenCalledWith('111', 'data_export', expect.objectContaining({
+                requestedVia: 'command'
+            }));
+        });
+
+        test('should unlink, erase and log the erasure under the pseudonym once confirmed', async () => {
+            mockWrites();
+            mockEnforcement();
+            const interaction = {
+                customId: 'naffles_account_erase_confirm',
+                user: { id: '111' },
+                update: jest.fn(),
+                editReply: jest.fn()
+            };
+
+            await command.handleButtonInteraction(interaction);
+
+            expect(botService.accountLinking.unlink).toHaveBeenCalledWith('111');
+            const [pseudonym] = botService.auditLogger.logDataRequest.mock.calls[0];
+            expect(pseudonym).toMatch(/^erased_/);
+            expect(botService.auditLogger.redactUser).toHaveBeenCalledWith('111', pseudonym);
+            expect(botService.shardCoordinator.broadcast).toHaveBeenCalledWith('user_data_erased', { discordId: '111', pseudonym });
+            expect(interaction.editReply).toHaveBeenCalledWith({ content: '✅ Your data was erased.' });
+        });
+
+        test('should refuse to erase data while moderation applies to the member', async () => {
+            mockWrites();
+            mockEnforcement([ModerationAction]);
+            const slashCommand = {
+                user: { id: '111' },
+                options: { getSubcommand: () => 'erase' },
+                reply: jest.fn()
+            };
+            const confirm = {
+                customId: 'naffles_account_erase_confirm',
+                user: { id: '111' },
+                update: jest.fn(),
+                editReply: jest.fn()
+            };
+
+            await command.execute(slashCommand);
+            await command.handleButtonInteraction(confirm);
+
+            expect(slashCommand.reply.mock.calls[0][0].content).toContain('can\'t be erased while moderation applies');
+            expect(slashCommand.reply.mock.calls[0][0].components).toBeUndefined();
+            expect(confirm.update.mock.calls[0][0].content).toContain('can\'t be erased while moderation applies');
+            expect(botService.accountLinking.unlink).not.toHaveBeenCalled();
+            expect(ModerationAction.updateMany).not.toHaveBeenCalled();
+            expect(ModerationAction.exists).toHaveBeenCalledWith({ userId: '111', status: 'active' });
+        });
+    });
+});
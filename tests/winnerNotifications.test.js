@@ -0,0 +1,218 @@
+const WinnerNotificationService = require('../src/services/winnerNotificationService');
+const EmbedTemplates = require('../src/services/embedTemplates');
+const DiscordAllowlistConnection = require('../src/models/discordAllowlistConnection');
+const DiscordAccountLink = require('../src/models/discordAccountLink');
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+}));
+
+describe('Allowlist Winner Notifications', () => {
+    let mockBotService;
+    let service;
+    let mockChannel;
+    let users;
+    let connection;
+
+    const buildConnection = () => {
+        const doc = new DiscordAllowlistConnection({
+            allowlistId: 'allowlist123',
+            guildId: 'guild123',
+            channelId: 'channel123',
+            messageId: 'message123',
+            connectionData: { connectedBy: 'admin123' },
+            allowlistData: { title: 'Genesis Mint', prize: '1 WL spot', winnerCount: 3 },
+            timing: { endTime: new Date() }
+        });
+        jest.spyOn(doc, 'save').mockResolvedValue(doc);
+        return doc;
+    };
+
+    const buildUser = (id, dmsOpen = true) => ({
+        id,
+        send: dmsOpen
+            ? jest.fn().mockResolvedValue({})
+            : jest.fn().mockRejectedValue(Object.assign(new Error('Cannot send messages to this user'), { code: 50007 }))
+    });
+
+    beforeEach(() => {
+        users = new Map([
+            ['discord1', buildUser('discord1')],
+            ['discord2', buildUser('discord2', false)]
+        ]);
+
+        mockChannel = {
+            id: 'channel123',
+            guild: { id: 'guild123', name: 'Test Guild' },
+            send: jest.fn().mockImplementation(async () => ({ id: `sent${mockChannel.send.mock.calls.length}` }))
+        };
+
+        mockBotService = {
+            client: {
+                channels: { fetch: jest.fn().mockResolvedValue(mockChannel) },
+                users: { fetch: jest.fn(async id => users.get(id)) },
+                guilds: { cache: new Map() }
+            },
+            embedTemplates: new EmbedTemplates(),
+            localization: { getGuildLocale: jest.fn().mockResolvedValue('en') }
+        };
+
+        connection = buildConnection();
+        jest.spyOn(DiscordAllowlistConnection, 'findByAllowlist').mockResolvedValue([connection]);
+        jest.spyOn(DiscordAccountLink, 'findByNaffles').mockImplementation(async userId =>
+            (userId === 'naffles2' ? { discordId: 'discord2' } : null)
+        );
+
+        service = new WinnerNotificationService(mockBotService);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const winners = [
+        { userId: 'naffles1', username: 'alice', discordId: 'discord1' },
+        { userId: 'naffles2', username: 'bob' },
+        { userId: 'naffles3', username: 'carol' }
+    ];
+
+    test('should announce winners with mentions in the connected channel', async () => {
+        await service.notifyWinners('allowlist123', winners);
+
+        const announcement = mockChannel.send.mock.calls[0][0];
+        expect(announcement.content).toBe('<@discord1> <@discord2>');
+        expect(announcement.allowedMentions).toEqual({ users: ['discord1', 'discord2'] });
+        expect(announcement.embeds[0].data.title).toContain('Winners of Genesis Mint');
+        expect(announcement.embeds[0].data.fields[1].value).toContain('carol');
+        expect(connection.winnerData.announcement.messageId).toBe('sent1');
+    });
+
+    test('should DM winners and fall back to a channel ping when DMs are closed', async () => {
+        const totals = await service.notifyWinners('allowlist123', winners);
+
+        expect(totals).toEqual({ dmSent: 1, channelPinged: 1, failed: 0, notLinked: 1 });
+
+        const dm = users.get('discord1').send.mock.calls[0][0];
+        expect(dm.embeds[0].data.title).toBe('🎉 You won Genesis Mint!');
+        expect(dm.embeds[0].data.fields[1].value).toContain('https://naffles.com/allowlist/allowlist123');
+
+        const ping = mockChannel.send.mock.calls[1][0];
+        expect(ping.content).toContain('<@discord2> you won **Genesis Mint**');
+        expect(ping.allowedMentions).toEqual({ users: ['discord2'] });
+    });
+
+    test('should record delivery status per winner', async () => {
+        await service.notifyWinners('allowlist123', winners);
+
+        const [alice, bob, carol] = connection.winnerData.winners;
+        expect(alice.delivery.status).toBe('dm_sent');
+        expect(alice.notified).toBe(true);
+        expect(bob.discordId).toBe('discord2');
+        expect(bob.delivery.status).toBe('channel_pinged');
+        expect(bob.delivery.lastError).toBe('Cannot send messages to this user');
+        expect(carol.delivery.status).toBe('not_linked');
+        expect(connection.getUnreachedWinners().map(w => w.username)).toEqual(['carol']);
+        expect(connection.auditLog[connection.auditLog.length - 1].action).toBe('winners_notified');
+    });
+
+    test('should mark winners as failed when the channel ping also fails', async () => {
+        mockChannel.send
+            .mockResolvedValueOnce({ id: 'announcement' })
+            .mockRejectedValueOnce(new Error('Missing Permissions'));
+
+        const totals = await service.notifyWinners('allowlist123', winners);
+
+        expect(totals.failed).toBe(1);
+        expect(connection.winnerData.winners[1].delivery.status).toBe('failed');
+        expect(connection.winnerData.winners[1].notified).toBe(false);
+    });
+
+    test('should not notify winners twice when the sync event repeats', async () => {
+        await service.notifyWinners('allowlist123', winners);
+        mockChannel.send.mockClear();
+        users.get('discord1').send.mockClear();
+
+        const totals = await service.notifyWinners('allowlist123', winners);
+
+        expect(mockChannel.send).not.toHaveBeenCalled();
+        expect(users.get('discord1').send).not.toHaveBeenCalled();
+        expect(connection.winnerData.winners).toHaveLength(3);
+        expect(totals).toEqual({ dmSent: 0, channelPinged: 0, failed: 0, notLinked: 1 });
+        expect(connection.winnerData.winners[2].delivery.attempts).toBe(2);
+    });
+
+    test('should DM each winner once across connected servers', async () => {
+        const otherChannel = { id: 'channel456', guild: { id: 'guild456', name: 'Other Guild' }, send: jest.fn().mockResolvedValue({ id: 'other' }) };
+        const otherConnection = buildConnection();
+        otherConnection.guildId = 'guild456';
+        otherConnection.channelId = 'channel456';
+        DiscordAllowlistConnection.findByAllowlist.mockResolvedValue([connection, otherConnection]);
+        mockBotService.client.channels.fetch.mockImplementation(async id => (id === 'channel456' ? otherChannel : mockChannel));
+
+        const totals = await service.notifyWinners('allowlist123', winners);
+
+        expect(users.get('discord1').send).toHaveBeenCalledTimes(1);
+        expect(users.get('discord2').send).toHaveBeenCalledTimes(1);
+        expect(totals).toEqual({ dmSent: 1, channelPinged: 2, failed: 0, notLinked: 2 });
+
+        // Each server still gets its announcement and fallback ping
+        expect(otherChannel.send).toHaveBeenCalledTimes(2);
+        expect(otherConnection.winnerData.winners[0].delivery.status).toBe('dm_sent');
+        expect(otherConnection.winnerData.winners[1].delivery.status).toBe('channel_pinged');
+    });
+
+    test('should hand servers on other shards the DM outcomes to announce there', async () => {
+        const listeners = {};
+        mockBotService.shardCoordinator = {
+            ownsGuild: jest.fn(guildId => guildId === 'guild123'),
+            broadcast: jest.fn().mockResolvedValue(true),
+            on: jest.fn((type, handler) => { listeners[type] = handler; })
+        };
+        service = new WinnerNotificationService(mockBotService);
+
+        const otherChannel = { id: 'channel456', guild: { id: 'guild456', name: 'Other Guild' }, send: jest.fn().mockResolvedValue({ id: 'other' }) };
+        const otherConnection = buildConnection();
+        otherConnection.guildId = 'guild456';
+        otherConnection.channelId = 'channel456';
+        DiscordAllowlistConnection.findByAllowlist.mockResolvedValue([connection, otherConnection]);
+        mockBotService.client.channels.fetch.mockImplementation(async id => (id === 'channel456' ? otherChannel : mockChannel));
+
+        await service.notifyWinners('allowlist123', winners);
+
+        expect(otherChannel.send).not.toHaveBeenCalled();
+        expect(otherConnection.save).not.toHaveBeenCalled();
+        const [type, payload] = mockBotService.shardCoordinator.broadcast.mock.calls[0];
+        expect(type).toBe('allowlist_winners_notify');
+        expect(payload.dmResults).toEqual([['discord1', null], ['discord2', 'Cannot send messages to this user']]);
+
+        // The shard that owns guild456 announces and pings without DMing again
+        mockBotService.shardCoordinator.ownsGuild.mockImplementation(guildId => guildId === 'guild456');
+        await listeners.allowlist_winners_notify(payload);
+
+        expect(users.get('discord1').send).toHaveBeenCalledTimes(1);
+        expect(users.get('discord2').send).toHaveBeenCalledTimes(1);
+        expect(otherChannel.send).toHaveBeenCalledTimes(2);
+        expect(otherConnection.winnerData.winners[0].delivery.status).toBe('dm_sent');
+        expect(otherConnection.winnerData.winners[1].delivery.status).toBe('channel_pinged');
+    });
+
+    test('should split long mention lists across messages', async () => {
+        const manyWinners = Array.from({ length: 120 }, (_, index) => {
+            const id = `bulk${index}`;
+            users.set(id, buildUser(id));
+            return { userId: `n${index}`, username: `user${index}`, discordId: id };
+        });
+
+        await service.notifyWinners('allowlist123', manyWinners);
+
+        expect(mockChannel.send).toHaveBeenCalledTimes(3);
+        mockChannel.send.mock.calls.forEach(([message]) => {
+            expect(message.content.length).toBeLessThanOrEqual(2000);
+        });
+        expect(mockChannel.send.mock.calls[0][0].embeds[0].data.fields[1].value).toContain('…and 70 more');
+    });
+});